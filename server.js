@@ -13,6 +13,7 @@ import Sentry, { setupExpressErrorHandler } from "./instrument.js";
 import connectDB from './src/config/db.js';
 import redisClient, { closeRedis } from './src/config/redis.js';
 import { setupSwagger } from './src/config/swagger.js';
+import { initSocket, closeSocket } from './src/config/socket.js';
 
 // Middlewares
 import { requestIdMiddleware } from './src/middleware/requestId.js';
@@ -30,6 +31,8 @@ import AdminService from './src/services/admin.service.js';
 import SupplierEmailTemplateService from './src/services/supplierEmailTemplate.service.js';
 import CustomerEmailTemplateService from './src/services/customerEmailTemplate.service.js';
 import AdminEmailTemplateService from './src/services/adminEmailTemplate.service.js';
+import PushService from './src/services/push.service.js';
+import ScheduledJobService from './src/services/scheduledJob.service.js';
 
 // Connect to database
 console.log('Connecting to database...');
@@ -44,11 +47,12 @@ try {
   // We don't exit(1) here if Redis is optional, but for enterprise we usually want it.
 }
 
-// Bootstrap Admin & Email Templates
+// Bootstrap Admin, Email & Push Templates
 await AdminService.bootstrapAdmin();
 await SupplierEmailTemplateService.bootstrapTemplates();
 await CustomerEmailTemplateService.bootstrapTemplates();
 await AdminEmailTemplateService.bootstrapTemplates();
+await PushService.bootstrapTemplates();
 
 // Initialize Background Workers (BullMQ)
 await import('./src/workers/index.js');
@@ -69,6 +73,11 @@ app.use(express.json({
   limit: '100kb',              // 100KB for JSON (bulk operations support)
   strict: true,                // Only arrays/objects, no primitives
   verify: (req, res, buf) => {
+    // Payment webhooks are signed over the exact bytes received
+    if (req.originalUrl.includes('/webhook')) {
+      req.rawBody = buf;
+    }
+
     // Log large requests for monitoring
     if (buf.length > 50000) {
       Logger.warn('Large JSON request detected', {
@@ -172,15 +181,27 @@ const server = app.listen(PORT, () => {
 server.keepAliveTimeout = 65000;  // 65 seconds
 server.headersTimeout = 66000;    // 66 seconds (must be > keepAliveTimeout)
 
+// Realtime gateway (socket.io) shares the HTTP server
+initSocket(server);
+
 /**
  * GRACEFUL SHUTDOWN
  */
 const gracefulShutdown = (signal) => {
   Logger.warn(`RECEIVED ${signal}. Shutting down gracefully...`);
 
+  // No new cron ticks on this instance; other instances pick up the jobs
+  ScheduledJobService.stop();
+
+  // Open websockets would otherwise keep the HTTP server from closing
+  const socketsClosed = closeSocket();
+
   server.close(async () => {
     Logger.info('HTTP server closed.');
     try {
+      await socketsClosed;
+      Logger.info('Realtime gateway closed.');
+
       const mongoose = (await import('mongoose')).default;
       await mongoose.connection.close();
       Logger.info('Database connection closed.');
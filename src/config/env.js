@@ -53,6 +53,20 @@ const envSchema = z.object({
   REDIS_HOST: z.string().default('127.0.0.1'),
   REDIS_PORT: z.string().default('6379').transform(Number),
   REDIS_PASSWORD: z.string().optional(),
+
+  // Payments
+  API_PUBLIC_URL: z.string().url().default('http://localhost:5000'), // Gateway callback base (PayU/CCAvenue)
+  PAYMENT_SANDBOX: z.enum(['true', 'false']).default('true').transform((v) => v === 'true'),
+
+  // Web push (VAPID). Push is disabled until both keys are set
+  VAPID_PUBLIC_KEY: z.string().optional(),
+  VAPID_PRIVATE_KEY: z.string().optional(),
+  VAPID_SUBJECT: z.string().optional(), // mailto: or https: contact for push services
+
+  // GST registration of the platform (seller of in-house products)
+  PLATFORM_GSTIN: z.string().optional(),
+  PLATFORM_STATE: z.string().optional(),
+  PLATFORM_ADDRESS: z.string().optional(),
 });
 
 let env;
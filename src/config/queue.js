@@ -15,6 +15,7 @@ export const QUEUE_NAMES = {
   EMAIL: 'email',
   BULK_IMPORT: 'bulk-import',
   EXPORT: 'data-export',
+  PUSH: 'push',
 };
 
 // Default job options
@@ -59,6 +60,14 @@ export const exportQueue = new Queue(QUEUE_NAMES.EXPORT, {
   },
 });
 
+export const pushQueue = new Queue(QUEUE_NAMES.PUSH, {
+  connection: connectionOptions,
+  defaultJobOptions: {
+    ...defaultJobOptions,
+    priority: 1,
+  },
+});
+
 /**
  * Queue Event Listeners for Monitoring
  */
@@ -86,6 +95,14 @@ exportQueue.on('failed', (job, err) => {
   Logger.error(`❌ Export failed: ${job.id}`, { error: err.message });
 });
 
+pushQueue.on('completed', (job) => {
+  Logger.info(`🔔 Push job completed: ${job.id} - ${job.data.event}`);
+});
+
+pushQueue.on('failed', (job, err) => {
+  Logger.error(`❌ Push job failed: ${job.id}`, { error: err.message });
+});
+
 /**
  * Graceful shutdown helper
  */
@@ -93,6 +110,7 @@ export const closeQueues = async () => {
   await emailQueue.close();
   await bulkImportQueue.close();
   await exportQueue.close();
+  await pushQueue.close();
   Logger.info('All BullMQ queues closed');
 };
 
@@ -100,6 +118,7 @@ export default {
   emailQueue,
   bulkImportQueue,
   exportQueue,
+  pushQueue,
   closeQueues,
   QUEUE_NAMES,
 };
@@ -0,0 +1,97 @@
+import { Server } from 'socket.io';
+import { createAdapter } from '@socket.io/redis-adapter';
+import redisClient from './redis.js';
+import env from './env.js';
+import { authenticateToken } from '../middleware/auth.middleware.js';
+import RealtimeService from '../services/realtime.service.js';
+import Logger from '../utils/logger.js';
+
+let io = null;
+let pubClient = null;
+let subClient = null;
+
+const parseCookies = (header = '') => Object.fromEntries(
+  header
+    .split(';')
+    .map(part => part.trim().split('='))
+    .filter(([name, ...value]) => name && value.length)
+    .map(([name, ...value]) => [name, decodeURIComponent(value.join('='))])
+);
+
+/**
+ * Same token sources as `protectAll`: explicit auth payload / bearer header,
+ * then the admin or user session cookie
+ */
+const getHandshakeToken = (handshake) => {
+  if (handshake.auth?.token) return handshake.auth.token;
+
+  const authorization = handshake.headers.authorization;
+  if (authorization && authorization.startsWith('Bearer')) {
+    return authorization.split(' ')[1];
+  }
+
+  const cookies = parseCookies(handshake.headers.cookie);
+  return cookies.adminAccessToken || cookies.token;
+};
+
+/**
+ * Attach the authenticated realtime gateway to the HTTP server.
+ * Rooms: `user:<role>:<id>` per account and `role:<role>` per audience.
+ */
+export const initSocket = (httpServer) => {
+  const whitelist = env.ALLOWED_ORIGINS
+    ? env.ALLOWED_ORIGINS.split(',').map(o => o.trim())
+    : [];
+
+  io = new Server(httpServer, {
+    cors: { origin: whitelist, credentials: true },
+    // PM2 cluster has no sticky sessions, so long-polling would hop between instances
+    transports: ['websocket']
+  });
+
+  // Redis pub/sub keeps broadcasts consistent across PM2 instances
+  pubClient = redisClient.duplicate();
+  subClient = redisClient.duplicate();
+  for (const client of [pubClient, subClient]) {
+    client.on('error', (err) => Logger.error('SOCKET_REDIS_ERROR', { error: err.message }));
+  }
+  io.adapter(createAdapter(pubClient, subClient));
+
+  io.use(async (socket, next) => {
+    try {
+      const { user, role } = await authenticateToken(getHandshakeToken(socket.handshake));
+      socket.data.user = { id: user._id.toString(), role };
+      next();
+    } catch (error) {
+      next(new Error(error.message));
+    }
+  });
+
+  io.on('connection', (socket) => {
+    const { id, role } = socket.data.user;
+    socket.join([RealtimeService.userRoom(role, id), RealtimeService.roleRoom(role)]);
+    Logger.debug('Socket connected', { socketId: socket.id, role, userId: id });
+
+    socket.on('disconnect', (reason) => {
+      Logger.debug('Socket disconnected', { socketId: socket.id, role, userId: id, reason });
+    });
+  });
+
+  RealtimeService.attach(io);
+  Logger.info('Realtime gateway initialized');
+
+  return io;
+};
+
+/**
+ * Drop this instance's sockets (clients reconnect to another instance) and
+ * release the adapter connections. The HTTP server is closed by the caller.
+ */
+export const closeSocket = async () => {
+  if (!io) return;
+
+  io.local.disconnectSockets(true);
+  RealtimeService.attach(null);
+  await Promise.all([pubClient, subClient].map(client => client.quit().catch(() => {})));
+  io = null;
+};
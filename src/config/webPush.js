@@ -0,0 +1,22 @@
+import webpush from 'web-push';
+import env from './env.js';
+import Logger from '../utils/logger.js';
+
+/**
+ * Web Push (VAPID) Configuration
+ * Push stays disabled (subscriptions are still stored) until both keys are set.
+ * Generate a key pair with `npx web-push generate-vapid-keys`.
+ */
+export const isWebPushConfigured = Boolean(env.VAPID_PUBLIC_KEY && env.VAPID_PRIVATE_KEY);
+
+if (isWebPushConfigured) {
+  webpush.setVapidDetails(
+    env.VAPID_SUBJECT || `mailto:${env.EMAIL_FROM}`,
+    env.VAPID_PUBLIC_KEY,
+    env.VAPID_PRIVATE_KEY
+  );
+} else {
+  Logger.warn('⚠️ Web push is not configured (VAPID keys missing). Push notifications are disabled.');
+}
+
+export default webpush;
@@ -74,6 +74,26 @@ export const CONFIG = {
   INVENTORY: {
     LOW_STOCK_THRESHOLD: 10,
   },
+  NOTIFICATIONS: {
+    READ_RETENTION_DAYS: 30, // Read notifications are purged after this
+    UNREAD_RETENTION_DAYS: 90, // ...unread ones get longer, but not forever
+  },
+  WISHLIST_ALERTS: {
+    BACK_IN_STOCK_COOLDOWN_HOURS: 24, // At most one restock email per customer per product in this window
+  },
+  CART_RECOVERY: {
+    MAX_REMINDERS: 3,
+    BATCH_SIZE: 200, // Carts handled per job run
+    LOOKBACK_DAYS: 30, // Carts idle longer than this are not chased any more
+    ATTRIBUTION_DAYS: 7, // An order within this many days of a reminder counts as recovered
+  },
+  SCHEDULED_JOBS: {
+    LOCK_TTL_SECONDS: 10 * 60, // Lock lease per run; a crashed instance frees the job after this
+    RUN_HISTORY_DAYS: 30, // Run records are dropped after this
+    FIRST_RUN_LOOKBACK_HOURS: 24, // Window handed to a job that never succeeded before
+  },
+  GUEST_CART_IDLE_DAYS: 7, // Guest carts untouched this long are deleted
+  VENDOR_TIN_EXPIRY_NOTICE_DAYS: 30, // Vendors are warned this many days before their TIN certificate expires
 };
 
 // Environments
@@ -90,6 +110,14 @@ export const REGEX = {
   // Minimum eight characters, at least one uppercase letter, one lowercase letter, one number and one special character
   PASSWORD: /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[\W_])[^\s]{8,}$/,
   MONGODB_ID: /^[0-9a-fA-F]{24}$/,
+  // Indian PIN code (first digit is never 0)
+  PINCODE: /^[1-9]\d{5}$/,
+  // GSTIN: 2-digit state code + PAN + entity number + 'Z' + checksum
+  GSTIN: /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/,
+  // HSN/SAC code (4, 6 or 8 digits)
+  HSN_CODE: /^\d{4}(\d{2}){0,2}$/,
+  // URL slug: lowercase words joined by single hyphens
+  SLUG: /^[a-z0-9]+(?:-[a-z0-9]+)*$/,
 };
 
 // Roles (Legacy support or adding to constants)
@@ -117,6 +145,295 @@ export const TASK_STATUS = {
   CANCELLED: 'cancelled',
 };
 
+// Order Status (applies to the parent order and to each vendor sub-order)
+export const ORDER_STATUS = {
+  PENDING: 'pending',
+  CONFIRMED: 'confirmed',
+  PACKED: 'packed',
+  SHIPPED: 'shipped',
+  DELIVERED: 'delivered',
+  CANCELLED: 'cancelled',
+  RETURNED: 'returned',
+  REFUNDED: 'refunded',
+};
+
+// Payment Status
+export const PAYMENT_STATUS = {
+  PENDING: 'pending',
+  PAID: 'paid',
+  FAILED: 'failed',
+  REFUNDED: 'refunded',
+};
+
+// How the customer pays for an order
+export const PAYMENT_METHOD = {
+  ONLINE: 'online',
+  COD: 'cod',
+  OFFLINE: 'offline', // Bank transfer, UPI to account, cheque... (proof reviewed by admin)
+  WALLET: 'wallet', // Fully paid from the customer's wallet balance
+};
+
+// Admin review state of an offline payment proof
+export const OFFLINE_PAYMENT_STATUS = {
+  AWAITING_PROOF: 'awaiting_proof',
+  SUBMITTED: 'submitted',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+};
+
+// Coupon redemption lifecycle (reserved at checkout, redeemed on payment)
+export const COUPON_REDEMPTION_STATUS = {
+  RESERVED: 'reserved',
+  REDEEMED: 'redeemed',
+  RELEASED: 'released',
+};
+
+// Product review moderation (only approved reviews are public and counted)
+export const REVIEW_STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  HIDDEN: 'hidden',
+};
+
+// Return (RMA) lifecycle of an order line
+export const RETURN_STATUS = {
+  REQUESTED: 'requested',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+  PICKUP_SCHEDULED: 'pickup_scheduled',
+  PICKED_UP: 'picked_up',
+  RECEIVED: 'received',
+  INSPECTED: 'inspected',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled',
+};
+
+// How a completed return is settled with the customer
+export const RETURN_RESOLUTION = {
+  REFUND: 'refund',
+  REPLACEMENT: 'replacement',
+  STORE_CREDIT: 'store_credit',
+};
+
+export const RETURN_REASON = {
+  DAMAGED: 'damaged',
+  DEFECTIVE: 'defective',
+  WRONG_ITEM: 'wrong_item',
+  NOT_AS_DESCRIBED: 'not_as_described',
+  SIZE_OR_FIT: 'size_or_fit',
+  NO_LONGER_NEEDED: 'no_longer_needed',
+  OTHER: 'other',
+};
+
+// Direction of a wallet ledger entry (from the customer's point of view)
+export const WALLET_ENTRY_TYPE = {
+  CREDIT: 'credit',
+  DEBIT: 'debit',
+};
+
+// Why money moved in or out of a wallet
+export const WALLET_ENTRY_SOURCE = {
+  ORDER_PAYMENT: 'order_payment',
+  ORDER_CANCELLATION: 'order_cancellation',
+  RETURN_REFUND: 'return_refund',
+  STORE_CREDIT: 'store_credit',
+  CASHBACK: 'cashback',
+  ADJUSTMENT: 'adjustment',
+};
+
+// What a wallet ledger entry points at
+export const WALLET_REFERENCE_TYPE = {
+  ORDER: 'order',
+  RETURN: 'return',
+  ADMIN: 'admin',
+};
+
+// Vendor settlement ledger: earnings per delivered sub-order, deductions per refunded return
+export const SETTLEMENT_ENTRY_TYPE = {
+  EARNING: 'earning',
+  RETURN_DEDUCTION: 'return_deduction',
+};
+
+// pending = held until availableAt, then payable
+export const SETTLEMENT_ENTRY_STATUS = {
+  PENDING: 'pending',
+  IN_PAYOUT: 'in_payout',
+  PAID: 'paid',
+};
+
+export const PAYOUT_RUN_STATUS = {
+  DRAFT: 'draft',
+  APPROVED: 'approved',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled',
+};
+
+// Bank transfer of one vendor within a payout run
+export const PAYOUT_STATUS = {
+  PENDING: 'pending',
+  PAID: 'paid',
+  FAILED: 'failed',
+};
+
+// Platform commission rules, most specific first: vendor > sub-category > category > global
+export const COMMISSION_SCOPE = {
+  VENDOR: 'vendor',
+  SUB_CATEGORY: 'sub_category',
+  CATEGORY: 'category',
+  GLOBAL: 'global',
+};
+
+// percent of the goods value, or a flat fee per unit sold
+export const COMMISSION_TYPE = {
+  PERCENT: 'percent',
+  FLAT: 'flat',
+};
+
+// Socket.io events pushed by the realtime gateway
+export const REALTIME_EVENTS = {
+  ORDER_STATUS_CHANGED: 'order:status_changed',
+  VENDOR_ORDER_CREATED: 'vendor:order_created',
+  PRODUCT_OUT_OF_STOCK: 'product:out_of_stock',
+  TICKET_REPLIED: 'ticket:replied',
+  NOTIFICATION_CREATED: 'notification:created',
+};
+
+// In-app notification center entries
+export const NOTIFICATION_TYPE = {
+  ORDER_STATUS: 'order_status',
+  NEW_ORDER: 'new_order',
+  OUT_OF_STOCK: 'out_of_stock',
+  VENDOR_STATUS: 'vendor_status',
+  PRODUCT_STATUS: 'product_status',
+  SUPPORT_TICKET: 'support_ticket',
+  TIN_EXPIRY: 'tin_expiry',
+};
+
+// Scheduled job runs (see src/jobs)
+export const JOB_RUN_STATUS = {
+  RUNNING: 'running',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+};
+
+export const JOB_TRIGGER = {
+  SCHEDULE: 'schedule', // Cron tick
+  MANUAL: 'manual', // Started by staff from the admin panel
+};
+
+// Abandoned cart recovery campaigns (one per idle cart)
+export const CART_RECOVERY_STATUS = {
+  ACTIVE: 'active', // Reminders still due
+  RECOVERED: 'recovered', // Customer ordered after a reminder
+  CART_CHANGED: 'cart_changed', // Cart was edited or emptied - reminders stopped
+  EXHAUSTED: 'exhausted', // Every reminder sent, no order
+};
+
+// Opt-in wishlist alerts (sent with the 'Wishlist Alert' customer email template)
+export const WISHLIST_ALERT_TYPE = {
+  BACK_IN_STOCK: 'backInStock',
+  PRICE_DROP: 'priceDrop',
+};
+
+// Web push events, each with an admin-editable template
+export const PUSH_EVENT = {
+  ORDER_STATUS_CHANGED: 'order_status_changed',
+  NEW_VENDOR_ORDER: 'new_vendor_order',
+  PRODUCT_OUT_OF_STOCK: 'product_out_of_stock',
+  SUPPORT_TICKET_REPLY: 'support_ticket_reply',
+  TEST: 'test',
+};
+
+// Accounts that can own push subscriptions (and other per-user notifications)
+export const NOTIFICATION_RECIPIENT_ROLE = {
+  ADMIN: 'admin',
+  EMPLOYEE: 'employee',
+  VENDOR: 'vendor',
+  CUSTOMER: 'customer',
+};
+
+// Who pays for a coupon discount (drives vendor settlements)
+export const COUPON_FUNDED_BY = {
+  PLATFORM: 'platform',
+  VENDOR: 'vendor',
+};
+
+// Customer address book labels
+export const ADDRESS_LABEL = {
+  HOME: 'home',
+  WORK: 'work',
+  OTHER: 'other',
+};
+
+// States and union territories with their GST state codes
+export const INDIAN_STATES = {
+  'Jammu and Kashmir': '01',
+  'Himachal Pradesh': '02',
+  'Punjab': '03',
+  'Chandigarh': '04',
+  'Uttarakhand': '05',
+  'Haryana': '06',
+  'Delhi': '07',
+  'Rajasthan': '08',
+  'Uttar Pradesh': '09',
+  'Bihar': '10',
+  'Sikkim': '11',
+  'Arunachal Pradesh': '12',
+  'Nagaland': '13',
+  'Manipur': '14',
+  'Mizoram': '15',
+  'Tripura': '16',
+  'Meghalaya': '17',
+  'Assam': '18',
+  'West Bengal': '19',
+  'Jharkhand': '20',
+  'Odisha': '21',
+  'Chhattisgarh': '22',
+  'Madhya Pradesh': '23',
+  'Gujarat': '24',
+  'Dadra and Nagar Haveli and Daman and Diu': '26',
+  'Maharashtra': '27',
+  'Karnataka': '29',
+  'Goa': '30',
+  'Lakshadweep': '31',
+  'Kerala': '32',
+  'Tamil Nadu': '33',
+  'Puducherry': '34',
+  'Andaman and Nicobar Islands': '35',
+  'Telangana': '36',
+  'Andhra Pradesh': '37',
+  'Ladakh': '38',
+};
+
+// Shipping zone rate basis (tiers are matched against this metric of a vendor package)
+export const SHIPPING_RATE_TYPE = {
+  FLAT: 'flat',
+  WEIGHT: 'weight',
+  QUANTITY: 'quantity',
+  ORDER_VALUE: 'order_value',
+};
+
+// GST place-of-supply outcome: CGST+SGST within a state, IGST across states
+export const GST_SUPPLY_TYPE = {
+  INTRA_STATE: 'intra_state',
+  INTER_STATE: 'inter_state',
+};
+
+// Sub-order documents (single download or queued batch PDF)
+export const ORDER_DOCUMENT_TYPE = {
+  INVOICE: 'invoice',
+  PACKING_SLIP: 'packing_slip',
+};
+
+// Union territories without a legislature levy UTGST instead of SGST
+export const UTGST_TERRITORIES = [
+  'Chandigarh',
+  'Dadra and Nagar Haveli and Daman and Diu',
+  'Lakshadweep',
+  'Andaman and Nicobar Islands',
+  'Ladakh',
+];
+
 // Banner Settings
 export const BANNER_TYPES = {
   MAIN_SECTION: 'Main Section Banner',
@@ -144,4 +461,5 @@ export const SYSTEM_PERMISSIONS = {
   EMPLOYEE_MANAGEMENT: 'Employee Management',
   THIRD_PARTY_SETUP: '3rd Party Setup',
   HELP_SUPPORT: 'Help Support',
+  WALLET_MANAGEMENT: 'Wallet Management',
 };
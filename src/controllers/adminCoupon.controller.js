@@ -19,6 +19,11 @@ class AdminCouponController {
         return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, coupon, SUCCESS_MESSAGES.FETCHED));
     };
 
+    getCouponRedemptions = async (req, res) => {
+        const result = await AdminCouponService.getCouponRedemptions(req.params.id, req.query);
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, result, SUCCESS_MESSAGES.FETCHED));
+    };
+
     updateCoupon = async (req, res) => {
         const coupon = await AdminCouponService.updateCoupon(req.params.id, req.body);
         return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, coupon, SUCCESS_MESSAGES.UPDATED));
@@ -1,7 +1,7 @@
 import CartService from '../services/cart.service.js';
 import AppError from '../utils/AppError.js';
 import { HTTP_STATUS } from '../constants.js';
-import { addToCartSchema, updateCartItemSchema, guestIdSchema } from '../validations/cart.validation.js';
+import { addToCartSchema, updateCartItemSchema, guestIdSchema, shippingDestinationSchema } from '../validations/cart.validation.js';
 import Logger from '../utils/logger.js';
 
 class CartController {
@@ -29,13 +29,30 @@ class CartController {
         return { guestId };
     }
 
+    /**
+     * Optional shipping destination from the query (?addressId= or ?pincode=&state=)
+     */
+    _getDestination(req) {
+        const validation = shippingDestinationSchema.safeParse({
+            addressId: req.query.addressId,
+            pincode: req.query.pincode,
+            state: req.query.state
+        });
+        if (!validation.success) {
+            throw new AppError(validation.error.issues[0].message, HTTP_STATUS.BAD_REQUEST, 'VALIDATION_ERROR');
+        }
+
+        const { addressId, pincode, state } = validation.data;
+        return addressId || pincode || state ? validation.data : null;
+    }
+
     /**
      * GET /api/v1/cart - Get cart
      */
     async getCart(req, res, next) {
         try {
             const identifier = this._getIdentifier(req);
-            const cart = await CartService.getCart(identifier);
+            const cart = await CartService.getCart(identifier, this._getDestination(req));
 
             res.status(HTTP_STATUS.OK).json({
                 success: true,
@@ -197,7 +214,7 @@ class CartController {
     async getCartSummary(req, res, next) {
         try {
             const identifier = this._getIdentifier(req);
-            const summary = await CartService.getCartSummary(identifier);
+            const summary = await CartService.getCartSummary(identifier, this._getDestination(req));
 
             res.status(HTTP_STATUS.OK).json({
                 success: true,
@@ -0,0 +1,34 @@
+import CartRecoveryService from '../services/cartRecovery.service.js';
+import { HTTP_STATUS, SUCCESS_MESSAGES } from '../constants.js';
+import ApiResponse from '../utils/apiResponse.js';
+
+class CartRecoveryController {
+    getSettings = async (req, res) => {
+        const settings = await CartRecoveryService.getSettings();
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, settings, SUCCESS_MESSAGES.FETCHED));
+    };
+
+    updateSettings = async (req, res) => {
+        const actor = this._staffActor(req);
+        const settings = await CartRecoveryService.updateSettings(req.body, actor.id, actor.role === 'admin' ? 'Admin' : 'Employee');
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, settings, SUCCESS_MESSAGES.UPDATED));
+    };
+
+    getCampaigns = async (req, res) => {
+        const result = await CartRecoveryService.getCampaigns(req.query);
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, result, SUCCESS_MESSAGES.FETCHED));
+    };
+
+    getReport = async (req, res) => {
+        const report = await CartRecoveryService.getReport(req.query);
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, report, SUCCESS_MESSAGES.FETCHED));
+    };
+
+    _staffActor(req) {
+        return req.role === 'admin'
+            ? { role: 'admin', id: req.admin._id }
+            : { role: 'employee', id: req.user._id };
+    }
+}
+
+export default new CartRecoveryController();
@@ -0,0 +1,15 @@
+import CheckoutService from '../services/checkout.service.js';
+import { HTTP_STATUS } from '../constants.js';
+import ApiResponse from '../utils/apiResponse.js';
+
+class CheckoutController {
+    /**
+     * POST /api/v1/checkout - Place order from the customer's cart
+     */
+    checkout = async (req, res) => {
+        const order = await CheckoutService.checkout(req.customer._id, req.body);
+        return res.status(HTTP_STATUS.CREATED).json(new ApiResponse(HTTP_STATUS.CREATED, order, 'Order placed successfully'));
+    };
+}
+
+export default new CheckoutController();
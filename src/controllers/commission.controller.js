@@ -0,0 +1,44 @@
+import CommissionService from '../services/commission.service.js';
+import { HTTP_STATUS, SUCCESS_MESSAGES } from '../constants.js';
+import ApiResponse from '../utils/apiResponse.js';
+
+class CommissionController {
+    getRules = async (req, res) => {
+        const result = await CommissionService.getRules(req.query);
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, result, SUCCESS_MESSAGES.FETCHED));
+    };
+
+    getRuleById = async (req, res) => {
+        const rule = await CommissionService.getRuleById(req.params.id);
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, rule, SUCCESS_MESSAGES.FETCHED));
+    };
+
+    resolveRule = async (req, res) => {
+        const { vendor, category, subCategory, at } = req.query;
+        const applied = await CommissionService.resolveRule({ vendor, category, subCategory }, at ? new Date(at) : new Date());
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, applied, SUCCESS_MESSAGES.FETCHED));
+    };
+
+    createRule = async (req, res) => {
+        const rule = await CommissionService.createRule(req.body, this._staffActor(req));
+        return res.status(HTTP_STATUS.CREATED).json(new ApiResponse(HTTP_STATUS.CREATED, rule, SUCCESS_MESSAGES.CREATED));
+    };
+
+    updateRule = async (req, res) => {
+        const rule = await CommissionService.updateRule(req.params.id, req.body, this._staffActor(req));
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, rule, SUCCESS_MESSAGES.UPDATED));
+    };
+
+    deleteRule = async (req, res) => {
+        await CommissionService.deleteRule(req.params.id, this._staffActor(req));
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, null, SUCCESS_MESSAGES.DELETED));
+    };
+
+    _staffActor(req) {
+        return req.role === 'admin'
+            ? { role: 'admin', id: req.admin._id }
+            : { role: 'employee', id: req.user._id };
+    }
+}
+
+export default new CommissionController();
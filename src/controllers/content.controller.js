@@ -64,6 +64,14 @@ class ContentController {
     return ApiResponse.success(res, HTTP_STATUS.OK, 'Cancellation Policy updated successfully', content);
   };
 
+  /**
+   * @desc    Update the rules of the return workflow
+   */
+  updateReturnSettings = async (req, res) => {
+    const content = await ContentService.updateReturnSettings(req.body);
+    return ApiResponse.success(res, HTTP_STATUS.OK, 'Return settings updated successfully', content);
+  };
+
   /**
    * @desc    Get all site content
    */
@@ -109,7 +117,8 @@ class ContentController {
    */
   getReturnPolicy = async (req, res) => {
     const content = await ContentService.getContent();
-    return ApiResponse.success(res, HTTP_STATUS.OK, 'Return Policy fetched successfully', { returnPolicy: content.returnPolicy });
+    const returnSettings = await ContentService.getReturnSettings();
+    return ApiResponse.success(res, HTTP_STATUS.OK, 'Return Policy fetched successfully', { returnPolicy: content.returnPolicy, returnSettings });
   };
 
   /**
@@ -19,6 +19,11 @@ class CouponController {
         return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, coupon, SUCCESS_MESSAGES.FETCHED));
     };
 
+    getCouponRedemptions = async (req, res) => {
+        const result = await CouponService.getCouponRedemptions(req.params.id, req.vendor._id, req.query);
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, result, SUCCESS_MESSAGES.FETCHED));
+    };
+
     updateCoupon = async (req, res) => {
         const coupon = await CouponService.updateCoupon(req.params.id, req.body, req.vendor._id);
         return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, coupon, SUCCESS_MESSAGES.UPDATED));
@@ -0,0 +1,37 @@
+import CustomerAddressService from '../services/customerAddress.service.js';
+import { HTTP_STATUS, SUCCESS_MESSAGES } from '../constants.js';
+import ApiResponse from '../utils/apiResponse.js';
+
+class CustomerAddressController {
+    listAddresses = async (req, res) => {
+        const addresses = await CustomerAddressService.listAddresses(req.customer._id);
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, addresses, SUCCESS_MESSAGES.FETCHED));
+    };
+
+    getAddress = async (req, res) => {
+        const address = await CustomerAddressService.getAddress(req.customer._id, req.params.id);
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, address, SUCCESS_MESSAGES.FETCHED));
+    };
+
+    createAddress = async (req, res) => {
+        const address = await CustomerAddressService.createAddress(req.customer._id, req.body);
+        return res.status(HTTP_STATUS.CREATED).json(new ApiResponse(HTTP_STATUS.CREATED, address, 'Address added'));
+    };
+
+    updateAddress = async (req, res) => {
+        const address = await CustomerAddressService.updateAddress(req.customer._id, req.params.id, req.body);
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, address, 'Address updated'));
+    };
+
+    setDefaultAddress = async (req, res) => {
+        const address = await CustomerAddressService.setDefaultAddress(req.customer._id, req.params.id, req.body.type || 'both');
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, address, 'Default address updated'));
+    };
+
+    deleteAddress = async (req, res) => {
+        await CustomerAddressService.deleteAddress(req.customer._id, req.params.id);
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, null, SUCCESS_MESSAGES.DELETED));
+    };
+}
+
+export default new CustomerAddressController();
@@ -0,0 +1,75 @@
+import InvoiceService from '../services/invoice.service.js';
+import { HTTP_STATUS, SUCCESS_MESSAGES } from '../constants.js';
+import ApiResponse from '../utils/apiResponse.js';
+
+const sendPdf = (res, { filename, buffer }) => {
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Content-Length', buffer.length);
+    return res.send(buffer);
+};
+
+class InvoiceController {
+    // ========================================
+    // CUSTOMER
+    // ========================================
+
+    downloadMyInvoice = async (req, res) => {
+        const file = await InvoiceService.getInvoice(req.params.id, req.params.subOrderId, { customerId: req.customer._id });
+        return sendPdf(res, file);
+    };
+
+    // ========================================
+    // VENDOR
+    // ========================================
+
+    downloadVendorInvoice = async (req, res) => {
+        const file = await InvoiceService.getInvoice(req.params.id, req.params.subOrderId, { vendorId: req.vendor._id });
+        return sendPdf(res, file);
+    };
+
+    downloadVendorPackingSlip = async (req, res) => {
+        const file = await InvoiceService.getPackingSlip(req.params.id, req.params.subOrderId, { vendorId: req.vendor._id });
+        return sendPdf(res, file);
+    };
+
+    queueVendorBatch = async (req, res) => {
+        const result = await InvoiceService.queueBatch(req.body, { vendorId: req.vendor._id }, { role: 'vendor', id: req.vendor._id });
+        return res.status(HTTP_STATUS.ACCEPTED).json(new ApiResponse(HTTP_STATUS.ACCEPTED, result, 'Document batch queued'));
+    };
+
+    getVendorBatch = async (req, res) => {
+        const result = await InvoiceService.getBatchStatus(req.params.jobId, { vendorId: req.vendor._id });
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, result, SUCCESS_MESSAGES.FETCHED));
+    };
+
+    // ========================================
+    // ADMIN
+    // ========================================
+
+    downloadInvoice = async (req, res) => {
+        const file = await InvoiceService.getInvoice(req.params.id, req.params.subOrderId);
+        return sendPdf(res, file);
+    };
+
+    downloadPackingSlip = async (req, res) => {
+        const file = await InvoiceService.getPackingSlip(req.params.id, req.params.subOrderId);
+        return sendPdf(res, file);
+    };
+
+    queueBatch = async (req, res) => {
+        const requestedBy = req.role === 'admin'
+            ? { role: 'admin', id: req.admin._id }
+            : { role: 'employee', id: req.user._id };
+
+        const result = await InvoiceService.queueBatch(req.body, {}, requestedBy);
+        return res.status(HTTP_STATUS.ACCEPTED).json(new ApiResponse(HTTP_STATUS.ACCEPTED, result, 'Document batch queued'));
+    };
+
+    getBatch = async (req, res) => {
+        const result = await InvoiceService.getBatchStatus(req.params.jobId);
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, result, SUCCESS_MESSAGES.FETCHED));
+    };
+}
+
+export default new InvoiceController();
@@ -0,0 +1,32 @@
+import NotificationService from '../services/notification.service.js';
+import { HTTP_STATUS, SUCCESS_MESSAGES } from '../constants.js';
+import ApiResponse from '../utils/apiResponse.js';
+
+class NotificationController {
+    // Any logged-in account (protectAll sets req.user / req.role)
+    _recipient(req) {
+        return { role: req.role, id: req.user._id };
+    }
+
+    getFeed = async (req, res) => {
+        const result = await NotificationService.getFeed(this._recipient(req), req.query);
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, result, SUCCESS_MESSAGES.FETCHED));
+    };
+
+    getUnreadCount = async (req, res) => {
+        const result = await NotificationService.getUnreadCount(this._recipient(req));
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, result, SUCCESS_MESSAGES.FETCHED));
+    };
+
+    markRead = async (req, res) => {
+        const notification = await NotificationService.markRead(this._recipient(req), req.params.id);
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, notification, SUCCESS_MESSAGES.UPDATED));
+    };
+
+    markAllRead = async (req, res) => {
+        const result = await NotificationService.markAllRead(this._recipient(req));
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, result, 'All notifications marked as read'));
+    };
+}
+
+export default new NotificationController();
@@ -0,0 +1,33 @@
+import OfflinePaymentService from '../services/offlinePayment.service.js';
+import { HTTP_STATUS, SUCCESS_MESSAGES } from '../constants.js';
+import ApiResponse from '../utils/apiResponse.js';
+
+class OfflinePaymentController {
+    submitProof = async (req, res) => {
+        const order = await OfflinePaymentService.submitProof(req.customer._id, req.params.orderId, req.body, req.file);
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, order, 'Payment proof submitted for review'));
+    };
+
+    getApprovalQueue = async (req, res) => {
+        const result = await OfflinePaymentService.getApprovalQueue(req.query);
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, result, SUCCESS_MESSAGES.FETCHED));
+    };
+
+    approve = async (req, res) => {
+        const order = await OfflinePaymentService.approve(req.params.orderId, req.body, this._reviewer(req));
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, order, 'Payment confirmed'));
+    };
+
+    reject = async (req, res) => {
+        const order = await OfflinePaymentService.reject(req.params.orderId, req.body, this._reviewer(req));
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, order, 'Payment proof rejected'));
+    };
+
+    _reviewer(req) {
+        return req.role === 'admin'
+            ? { id: req.admin._id, model: 'Admin' }
+            : { id: req.user._id, model: 'Employee' };
+    }
+}
+
+export default new OfflinePaymentController();
@@ -0,0 +1,68 @@
+import OrderService from '../services/order.service.js';
+import { HTTP_STATUS, SUCCESS_MESSAGES } from '../constants.js';
+import ApiResponse from '../utils/apiResponse.js';
+
+class OrderController {
+    // ========================================
+    // CUSTOMER
+    // ========================================
+
+    getMyOrders = async (req, res) => {
+        const result = await OrderService.getCustomerOrders(req.customer._id, req.query);
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, result, SUCCESS_MESSAGES.FETCHED));
+    };
+
+    getMyOrderById = async (req, res) => {
+        const order = await OrderService.getCustomerOrderById(req.customer._id, req.params.id);
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, order, SUCCESS_MESSAGES.FETCHED));
+    };
+
+    cancelMyOrder = async (req, res) => {
+        const order = await OrderService.cancelCustomerOrder(req.customer._id, req.params.id, req.body);
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, order, 'Order cancelled successfully'));
+    };
+
+    // ========================================
+    // VENDOR
+    // ========================================
+
+    getVendorOrders = async (req, res) => {
+        const result = await OrderService.getVendorOrders(req.vendor._id, req.query);
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, result, SUCCESS_MESSAGES.FETCHED));
+    };
+
+    getVendorOrderById = async (req, res) => {
+        const order = await OrderService.getVendorOrderById(req.vendor._id, req.params.id);
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, order, SUCCESS_MESSAGES.FETCHED));
+    };
+
+    updateVendorSubOrderStatus = async (req, res) => {
+        const order = await OrderService.updateVendorSubOrderStatus(req.vendor._id, req.params.id, req.params.subOrderId, req.body);
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, order, 'Order status updated successfully'));
+    };
+
+    // ========================================
+    // ADMIN
+    // ========================================
+
+    getAllOrders = async (req, res) => {
+        const result = await OrderService.getAllOrders(req.query);
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, result, SUCCESS_MESSAGES.FETCHED));
+    };
+
+    getOrderById = async (req, res) => {
+        const order = await OrderService.getOrderById(req.params.id);
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, order, SUCCESS_MESSAGES.FETCHED));
+    };
+
+    adminUpdateSubOrderStatus = async (req, res) => {
+        const actor = req.role === 'admin'
+            ? { role: 'admin', id: req.admin._id }
+            : { role: 'employee', id: req.user._id };
+
+        const order = await OrderService.adminUpdateSubOrderStatus(req.params.id, req.params.subOrderId, req.body, actor);
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, order, 'Order status updated successfully'));
+    };
+}
+
+export default new OrderController();
@@ -0,0 +1,48 @@
+import PaymentService from '../services/payment.service.js';
+import { HTTP_STATUS } from '../constants.js';
+import ApiResponse from '../utils/apiResponse.js';
+
+class PaymentController {
+    createPayment = async (req, res) => {
+        const result = await PaymentService.createPayment(req.customer._id, req.body.orderId, req.params.gateway);
+        return res.status(HTTP_STATUS.CREATED).json(new ApiResponse(HTTP_STATUS.CREATED, result, 'Payment initiated'));
+    };
+
+    verifyPayment = async (req, res) => {
+        const order = await PaymentService.verifyPayment(req.customer._id, req.params.gateway, req.body);
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, order, 'Payment verified successfully'));
+    };
+
+    getPaymentStatus = async (req, res) => {
+        const order = await PaymentService.syncPaymentStatus(req.params.orderId, req.customer._id);
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, order.payment, 'Payment status fetched'));
+    };
+
+    /**
+     * Gateways retry any non-2xx, so only signature/config problems return an error.
+     */
+    webhook = async (req, res) => {
+        const result = await PaymentService.handleWebhook(req.params.gateway, {
+            rawBody: req.rawBody,
+            headers: req.headers,
+            body: req.body
+        });
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, result, 'Webhook processed'));
+    };
+
+    // ========================================
+    // Admin
+    // ========================================
+
+    capturePayment = async (req, res) => {
+        const order = await PaymentService.capturePayment(req.params.orderId);
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, order, 'Payment captured'));
+    };
+
+    refundPayment = async (req, res) => {
+        const order = await PaymentService.refundPayment(req.params.orderId, req.body);
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, order, 'Refund initiated'));
+    };
+}
+
+export default new PaymentController();
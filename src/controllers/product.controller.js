@@ -45,11 +45,22 @@ class ProductController {
     };
 
     getAllPublicProducts = async (req, res) => {
+        // Infinite-scroll clients page with `cursor` (empty for the first page)
+        if (req.query.cursor !== undefined) {
+            return this._getPublicProductsCursor(req, res);
+        }
+
+        // Faceted listing: page of products + filter counts for the sidebar
+        const result = await ProductService.searchPublicProducts(req.query);
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, result, SUCCESS_MESSAGES.FETCHED));
+    };
+
+    _getPublicProductsCursor = async (req, res) => {
         // Use cursor-based pagination for public APIs (fast & scalable)
         const cursor = req.query.cursor || null;
         const limit = parseInt(req.query.limit) || 20;
         const sortDirection = req.query.sort === 'asc' ? 'asc' : 'desc';
-        
+
         // Filter out unapproved products AND Out of Stock products (Enterprise Standard)
         const filter = {
             status: 'approved',
@@ -62,13 +73,13 @@ class ProductController {
         }
 
         // Use cursor-based pagination for better performance
-        const result = await ProductService.getAllProductsCursor({ 
-            filter, 
-            cursor, 
-            limit, 
-            sortDirection 
+        const result = await ProductService.getAllProductsCursor({
+            filter,
+            cursor,
+            limit,
+            sortDirection
         });
-        
+
         return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, result, SUCCESS_MESSAGES.FETCHED));
     };
 
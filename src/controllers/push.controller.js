@@ -0,0 +1,70 @@
+import PushService from '../services/push.service.js';
+import { HTTP_STATUS, SUCCESS_MESSAGES } from '../constants.js';
+import ApiResponse from '../utils/apiResponse.js';
+
+class PushController {
+    // Any logged-in account (protectAll sets req.user / req.role)
+    _owner(req) {
+        return { role: req.role, id: req.user._id };
+    }
+
+    getPublicKey = async (req, res) => {
+        const result = PushService.getPublicKey();
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, result, SUCCESS_MESSAGES.FETCHED));
+    };
+
+    subscribe = async (req, res) => {
+        const device = await PushService.subscribe(this._owner(req), req.body, req.headers['user-agent']);
+        return res.status(HTTP_STATUS.CREATED).json(new ApiResponse(HTTP_STATUS.CREATED, device, 'Push notifications enabled on this device'));
+    };
+
+    getSubscriptions = async (req, res) => {
+        const devices = await PushService.getSubscriptions(this._owner(req));
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, devices, SUCCESS_MESSAGES.FETCHED));
+    };
+
+    unsubscribe = async (req, res) => {
+        await PushService.unsubscribe(this._owner(req), req.body.endpoint);
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, null, 'Push notifications disabled on this device'));
+    };
+
+    // ========================================
+    // ADMIN
+    // ========================================
+
+    getTemplates = async (req, res) => {
+        const templates = await PushService.getTemplates();
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, templates, SUCCESS_MESSAGES.FETCHED));
+    };
+
+    getTemplateByEvent = async (req, res) => {
+        const template = await PushService.getTemplateByEvent(req.params.event);
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, template, SUCCESS_MESSAGES.FETCHED));
+    };
+
+    updateTemplate = async (req, res) => {
+        const template = await PushService.updateTemplate(req.params.event, req.body);
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, template, SUCCESS_MESSAGES.UPDATED));
+    };
+
+    toggleTemplate = async (req, res) => {
+        const template = await PushService.toggleTemplate(req.params.event);
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, template, SUCCESS_MESSAGES.UPDATED));
+    };
+
+    sendTest = async (req, res) => {
+        const target = req.body.role
+            ? { role: req.body.role, id: req.body.userId }
+            : this._staffActor(req);
+        const result = await PushService.sendTest(target);
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, result, 'Test notification sent'));
+    };
+
+    _staffActor(req) {
+        return req.role === 'admin'
+            ? { role: 'admin', id: req.admin._id }
+            : { role: 'employee', id: req.user._id };
+    }
+}
+
+export default new PushController();
@@ -0,0 +1,99 @@
+import ReturnRequestService from '../services/returnRequest.service.js';
+import { HTTP_STATUS, SUCCESS_MESSAGES } from '../constants.js';
+import ApiResponse from '../utils/apiResponse.js';
+
+class ReturnRequestController {
+    // ========================================
+    // CUSTOMER
+    // ========================================
+
+    createReturn = async (req, res) => {
+        const returnRequest = await ReturnRequestService.createReturn(req.customer._id, req.body, req.files);
+        return res.status(HTTP_STATUS.CREATED).json(new ApiResponse(HTTP_STATUS.CREATED, returnRequest, 'Return requested'));
+    };
+
+    getMyReturns = async (req, res) => {
+        const result = await ReturnRequestService.getMyReturns(req.customer._id, req.query);
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, result, SUCCESS_MESSAGES.FETCHED));
+    };
+
+    getMyReturn = async (req, res) => {
+        const returnRequest = await ReturnRequestService.getMyReturn(req.customer._id, req.params.id);
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, returnRequest, SUCCESS_MESSAGES.FETCHED));
+    };
+
+    cancelMyReturn = async (req, res) => {
+        const returnRequest = await ReturnRequestService.cancelReturn(req.customer._id, req.params.id, req.body.reason);
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, returnRequest, 'Return cancelled'));
+    };
+
+    // ========================================
+    // VENDOR
+    // ========================================
+
+    getVendorReturns = async (req, res) => {
+        const result = await ReturnRequestService.getVendorReturns(req.vendor._id, req.query);
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, result, SUCCESS_MESSAGES.FETCHED));
+    };
+
+    getVendorReturn = async (req, res) => {
+        const returnRequest = await ReturnRequestService.getReturn(req.params.id, { vendorId: req.vendor._id });
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, returnRequest, SUCCESS_MESSAGES.FETCHED));
+    };
+
+    reviewVendorReturn = async (req, res) => {
+        const returnRequest = await ReturnRequestService.reviewReturn(req.params.id, req.body, { vendorId: req.vendor._id }, this._vendorActor(req));
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, returnRequest, 'Return updated successfully'));
+    };
+
+    updateVendorReturnStatus = async (req, res) => {
+        const returnRequest = await ReturnRequestService.updateReturnStatus(req.params.id, req.body, { vendorId: req.vendor._id }, this._vendorActor(req));
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, returnRequest, 'Return updated successfully'));
+    };
+
+    resolveVendorReturn = async (req, res) => {
+        const returnRequest = await ReturnRequestService.resolveReturn(req.params.id, req.body, { vendorId: req.vendor._id }, this._vendorActor(req));
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, returnRequest, 'Return resolved'));
+    };
+
+    // ========================================
+    // ADMIN
+    // ========================================
+
+    getAllReturns = async (req, res) => {
+        const result = await ReturnRequestService.getAllReturns(req.query);
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, result, SUCCESS_MESSAGES.FETCHED));
+    };
+
+    getReturnById = async (req, res) => {
+        const returnRequest = await ReturnRequestService.getReturn(req.params.id);
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, returnRequest, SUCCESS_MESSAGES.FETCHED));
+    };
+
+    reviewReturn = async (req, res) => {
+        const returnRequest = await ReturnRequestService.reviewReturn(req.params.id, req.body, {}, this._staffActor(req));
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, returnRequest, 'Return updated successfully'));
+    };
+
+    updateReturnStatus = async (req, res) => {
+        const returnRequest = await ReturnRequestService.updateReturnStatus(req.params.id, req.body, {}, this._staffActor(req));
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, returnRequest, 'Return updated successfully'));
+    };
+
+    resolveReturn = async (req, res) => {
+        const returnRequest = await ReturnRequestService.resolveReturn(req.params.id, req.body, {}, this._staffActor(req));
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, returnRequest, 'Return resolved'));
+    };
+
+    _vendorActor(req) {
+        return { role: 'vendor', id: req.vendor._id };
+    }
+
+    _staffActor(req) {
+        return req.role === 'admin'
+            ? { role: 'admin', id: req.admin._id }
+            : { role: 'employee', id: req.user._id };
+    }
+}
+
+export default new ReturnRequestController();
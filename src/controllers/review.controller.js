@@ -0,0 +1,80 @@
+import ReviewService from '../services/review.service.js';
+import { HTTP_STATUS, SUCCESS_MESSAGES } from '../constants.js';
+import ApiResponse from '../utils/apiResponse.js';
+
+class ReviewController {
+    // ========================================
+    // PUBLIC / CUSTOMER
+    // ========================================
+
+    getProductReviews = async (req, res) => {
+        const result = await ReviewService.getProductReviews(req.params.productId, req.query);
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, result, SUCCESS_MESSAGES.FETCHED));
+    };
+
+    createReview = async (req, res) => {
+        const review = await ReviewService.createReview(req.customer._id, req.body, req.files);
+        return res.status(HTTP_STATUS.CREATED).json(new ApiResponse(HTTP_STATUS.CREATED, review, 'Review submitted for approval'));
+    };
+
+    updateReview = async (req, res) => {
+        const review = await ReviewService.updateReview(req.customer._id, req.params.id, req.body, req.files);
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, review, 'Review updated and sent for approval'));
+    };
+
+    deleteReview = async (req, res) => {
+        await ReviewService.deleteReview(req.customer._id, req.params.id);
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, null, SUCCESS_MESSAGES.DELETED));
+    };
+
+    getMyReviews = async (req, res) => {
+        const result = await ReviewService.getMyReviews(req.customer._id, req.query);
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, result, SUCCESS_MESSAGES.FETCHED));
+    };
+
+    // ========================================
+    // VENDOR
+    // ========================================
+
+    getVendorReviews = async (req, res) => {
+        const result = await ReviewService.getVendorReviews(req.vendor._id, req.query);
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, result, SUCCESS_MESSAGES.FETCHED));
+    };
+
+    replyToReview = async (req, res) => {
+        const review = await ReviewService.replyToReview(req.vendor._id, req.params.id, req.body.comment);
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, review, 'Reply posted'));
+    };
+
+    deleteReply = async (req, res) => {
+        const review = await ReviewService.deleteReply(req.vendor._id, req.params.id);
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, review, 'Reply removed'));
+    };
+
+    // ========================================
+    // ADMIN
+    // ========================================
+
+    getAllReviews = async (req, res) => {
+        const result = await ReviewService.getAllReviews(req.query);
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, result, SUCCESS_MESSAGES.FETCHED));
+    };
+
+    approveReview = async (req, res) => {
+        const review = await ReviewService.approveReview(req.params.id, req.body, this._moderator(req));
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, review, 'Review approved'));
+    };
+
+    hideReview = async (req, res) => {
+        const review = await ReviewService.hideReview(req.params.id, req.body, this._moderator(req));
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, review, 'Review hidden'));
+    };
+
+    _moderator(req) {
+        return req.role === 'admin'
+            ? { id: req.admin._id, model: 'Admin' }
+            : { id: req.user._id, model: 'Employee' };
+    }
+}
+
+export default new ReviewController();
@@ -0,0 +1,50 @@
+import ScheduledJobService from '../services/scheduledJob.service.js';
+import { HTTP_STATUS, SUCCESS_MESSAGES, JOB_TRIGGER } from '../constants.js';
+import ApiResponse from '../utils/apiResponse.js';
+
+class ScheduledJobController {
+    getJobs = async (req, res) => {
+        const jobs = await ScheduledJobService.listJobs();
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, jobs, SUCCESS_MESSAGES.FETCHED));
+    };
+
+    runJob = async (req, res) => {
+        const actor = this._staffActor(req);
+        const run = await ScheduledJobService.run(req.params.name, {
+            trigger: JOB_TRIGGER.MANUAL,
+            triggeredBy: actor.id,
+            triggeredByModel: actor.role === 'admin' ? 'Admin' : 'Employee'
+        });
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, run, SUCCESS_MESSAGES.OPERATION_SUCCESS));
+    };
+
+    pauseJob = async (req, res) => {
+        const actor = this._staffActor(req);
+        const job = await ScheduledJobService.setPaused(req.params.name, true, actor.id, actor.role === 'admin' ? 'Admin' : 'Employee');
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, job, 'Job paused'));
+    };
+
+    resumeJob = async (req, res) => {
+        const actor = this._staffActor(req);
+        const job = await ScheduledJobService.setPaused(req.params.name, false, actor.id, actor.role === 'admin' ? 'Admin' : 'Employee');
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, job, 'Job resumed'));
+    };
+
+    getRuns = async (req, res) => {
+        const result = await ScheduledJobService.getRuns(req.query);
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, result, SUCCESS_MESSAGES.FETCHED));
+    };
+
+    getRun = async (req, res) => {
+        const run = await ScheduledJobService.getRun(req.params.runId);
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, run, SUCCESS_MESSAGES.FETCHED));
+    };
+
+    _staffActor(req) {
+        return req.role === 'admin'
+            ? { role: 'admin', id: req.admin._id }
+            : { role: 'employee', id: req.user._id };
+    }
+}
+
+export default new ScheduledJobController();
@@ -0,0 +1,108 @@
+import SettlementService from '../services/settlement.service.js';
+import PayoutService from '../services/payout.service.js';
+import { HTTP_STATUS, SUCCESS_MESSAGES } from '../constants.js';
+import ApiResponse from '../utils/apiResponse.js';
+import { convertToCSV, payoutCSVHeaders } from '../utils/csvExport.js';
+
+class SettlementController {
+    // ========================================
+    // VENDOR
+    // ========================================
+
+    getMySummary = async (req, res) => {
+        const summary = await SettlementService.getVendorSummary(req.vendor._id);
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, summary, SUCCESS_MESSAGES.FETCHED));
+    };
+
+    getMyStatement = async (req, res) => {
+        const result = await SettlementService.getVendorStatement(req.vendor._id, req.query);
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, result, SUCCESS_MESSAGES.FETCHED));
+    };
+
+    getMyEntry = async (req, res) => {
+        const entry = await SettlementService.getEntry(req.params.id, { vendorId: req.vendor._id });
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, entry, SUCCESS_MESSAGES.FETCHED));
+    };
+
+    getMyPayouts = async (req, res) => {
+        const result = await PayoutService.getVendorPayouts(req.vendor._id, req.query);
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, result, SUCCESS_MESSAGES.FETCHED));
+    };
+
+    // ========================================
+    // ADMIN
+    // ========================================
+
+    getSettings = async (req, res) => {
+        const settings = await SettlementService.getSettings();
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, settings, SUCCESS_MESSAGES.FETCHED));
+    };
+
+    updateSettings = async (req, res) => {
+        const actor = this._staffActor(req);
+        const settings = await SettlementService.updateSettings(req.body, actor.id, actor.role === 'admin' ? 'Admin' : 'Employee');
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, settings, SUCCESS_MESSAGES.UPDATED));
+    };
+
+    getEntries = async (req, res) => {
+        const result = await SettlementService.getEntries(req.query);
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, result, SUCCESS_MESSAGES.FETCHED));
+    };
+
+    getEntry = async (req, res) => {
+        const entry = await SettlementService.getEntry(req.params.id);
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, entry, SUCCESS_MESSAGES.FETCHED));
+    };
+
+    getVendorSummary = async (req, res) => {
+        const summary = await SettlementService.getVendorSummary(req.params.vendorId);
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, summary, SUCCESS_MESSAGES.FETCHED));
+    };
+
+    createRun = async (req, res) => {
+        const result = await PayoutService.createRun(req.body, this._staffActor(req));
+        return res.status(HTTP_STATUS.CREATED).json(new ApiResponse(HTTP_STATUS.CREATED, result, 'Payout run drafted'));
+    };
+
+    getRuns = async (req, res) => {
+        const result = await PayoutService.getRuns(req.query);
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, result, SUCCESS_MESSAGES.FETCHED));
+    };
+
+    getRun = async (req, res) => {
+        const run = await PayoutService.getRun(req.params.id);
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, run, SUCCESS_MESSAGES.FETCHED));
+    };
+
+    approveRun = async (req, res) => {
+        const run = await PayoutService.approveRun(req.params.id, this._staffActor(req));
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, run, 'Payout run approved'));
+    };
+
+    cancelRun = async (req, res) => {
+        const run = await PayoutService.cancelRun(req.params.id, this._staffActor(req));
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, run, 'Payout run cancelled'));
+    };
+
+    exportRun = async (req, res) => {
+        const { filename, rows } = await PayoutService.exportRun(req.params.id);
+        const csv = convertToCSV(rows, payoutCSVHeaders);
+
+        res.setHeader('Content-Type', 'text/csv');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        return res.send(csv);
+    };
+
+    settlePayout = async (req, res) => {
+        const run = await PayoutService.settlePayout(req.params.id, req.params.payoutId, req.body, this._staffActor(req));
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, run, 'Payout updated'));
+    };
+
+    _staffActor(req) {
+        return req.role === 'admin'
+            ? { role: 'admin', id: req.admin._id }
+            : { role: 'employee', id: req.user._id };
+    }
+}
+
+export default new SettlementController();
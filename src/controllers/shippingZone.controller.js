@@ -0,0 +1,39 @@
+import ShippingZoneService from '../services/shippingZone.service.js';
+import { HTTP_STATUS, SUCCESS_MESSAGES } from '../constants.js';
+import ApiResponse from '../utils/apiResponse.js';
+
+/**
+ * Vendor routes scope every call to `req.vendor`; admin routes pass no owner.
+ */
+class ShippingZoneController {
+    _owner(req) {
+        return req.vendor ? req.vendor._id : undefined;
+    }
+
+    getZones = async (req, res) => {
+        const result = await ShippingZoneService.getZones(req.query, this._owner(req));
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, result, SUCCESS_MESSAGES.FETCHED));
+    };
+
+    getZoneById = async (req, res) => {
+        const zone = await ShippingZoneService.getZoneById(req.params.id, this._owner(req));
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, zone, SUCCESS_MESSAGES.FETCHED));
+    };
+
+    createZone = async (req, res) => {
+        const zone = await ShippingZoneService.createZone(req.body, this._owner(req));
+        return res.status(HTTP_STATUS.CREATED).json(new ApiResponse(HTTP_STATUS.CREATED, zone, SUCCESS_MESSAGES.CREATED));
+    };
+
+    updateZone = async (req, res) => {
+        const zone = await ShippingZoneService.updateZone(req.params.id, req.body, this._owner(req));
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, zone, SUCCESS_MESSAGES.UPDATED));
+    };
+
+    deleteZone = async (req, res) => {
+        await ShippingZoneService.deleteZone(req.params.id, this._owner(req));
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, null, SUCCESS_MESSAGES.DELETED));
+    };
+}
+
+export default new ShippingZoneController();
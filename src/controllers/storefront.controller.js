@@ -0,0 +1,37 @@
+import StorefrontService from '../services/storefront.service.js';
+import { HTTP_STATUS, SUCCESS_MESSAGES } from '../constants.js';
+import ApiResponse from '../utils/apiResponse.js';
+
+class StorefrontController {
+    getShop = async (req, res) => {
+        const shop = await StorefrontService.getShop(req.params.slug);
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, shop, SUCCESS_MESSAGES.FETCHED));
+    };
+
+    getShopProducts = async (req, res) => {
+        const result = await StorefrontService.getShopProducts(req.params.slug, req.query);
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, result, SUCCESS_MESSAGES.FETCHED));
+    };
+
+    getFollowStatus = async (req, res) => {
+        const result = await StorefrontService.getFollowStatus(req.params.slug, req.customer._id);
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, result, SUCCESS_MESSAGES.FETCHED));
+    };
+
+    followShop = async (req, res) => {
+        const result = await StorefrontService.followShop(req.params.slug, req.customer._id);
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, result, 'Shop followed'));
+    };
+
+    unfollowShop = async (req, res) => {
+        const result = await StorefrontService.unfollowShop(req.params.slug, req.customer._id);
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, result, 'Shop unfollowed'));
+    };
+
+    getFollowedShops = async (req, res) => {
+        const result = await StorefrontService.getFollowedShops(req.customer._id, req.query);
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, result, SUCCESS_MESSAGES.FETCHED));
+    };
+}
+
+export default new StorefrontController();
@@ -0,0 +1,41 @@
+import WalletService from '../services/wallet.service.js';
+import { HTTP_STATUS, SUCCESS_MESSAGES } from '../constants.js';
+import ApiResponse from '../utils/apiResponse.js';
+
+class WalletController {
+    // ========================================
+    // CUSTOMER
+    // ========================================
+
+    getMyWallet = async (req, res) => {
+        const wallet = await WalletService.getWallet(req.customer._id);
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, wallet, SUCCESS_MESSAGES.FETCHED));
+    };
+
+    getMyStatement = async (req, res) => {
+        const result = await WalletService.getStatement(req.customer._id, req.query);
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, result, SUCCESS_MESSAGES.FETCHED));
+    };
+
+    // ========================================
+    // ADMIN
+    // ========================================
+
+    getCustomerStatement = async (req, res) => {
+        const result = await WalletService.getStatement(req.params.customerId, req.query);
+        return res.status(HTTP_STATUS.OK).json(new ApiResponse(HTTP_STATUS.OK, result, SUCCESS_MESSAGES.FETCHED));
+    };
+
+    adjustWallet = async (req, res) => {
+        const entry = await WalletService.adminAdjust(req.params.customerId, req.body, this._staffActor(req));
+        return res.status(HTTP_STATUS.CREATED).json(new ApiResponse(HTTP_STATUS.CREATED, entry, 'Wallet adjusted'));
+    };
+
+    _staffActor(req) {
+        return req.role === 'admin'
+            ? { role: 'admin', id: req.admin._id }
+            : { role: 'employee', id: req.user._id };
+    }
+}
+
+export default new WalletController();
@@ -1,7 +1,8 @@
 import WishlistService from '../services/wishlist.service.js';
+import WishlistAlertService from '../services/wishlistAlert.service.js';
 import AppError from '../utils/AppError.js';
 import { HTTP_STATUS } from '../constants.js';
-import { addToWishlistSchema } from '../validations/wishlist.validation.js';
+import { addToWishlistSchema, updateWishlistAlertsSchema } from '../validations/wishlist.validation.js';
 import Logger from '../utils/logger.js';
 
 class WishlistController {
@@ -78,6 +79,40 @@ class WishlistController {
         }
     }
 
+    /**
+     * PATCH /api/v1/wishlist/:productId/alerts - Opt in/out of back-in-stock and price-drop emails
+     */
+    async updateAlerts(req, res, next) {
+        try {
+            const customerId = req.customer._id;
+            const { productId } = req.params;
+
+            // Validate productId format
+            if (!/^[0-9a-fA-F]{24}$/.test(productId)) {
+                throw new AppError('Invalid product ID', HTTP_STATUS.BAD_REQUEST);
+            }
+
+            const validation = updateWishlistAlertsSchema.safeParse(req.body);
+            if (!validation.success) {
+                throw new AppError(
+                    validation.error.issues[0].message,
+                    HTTP_STATUS.BAD_REQUEST,
+                    'VALIDATION_ERROR'
+                );
+            }
+
+            const result = await WishlistAlertService.updateAlerts(customerId, productId, validation.data);
+
+            res.status(HTTP_STATUS.OK).json({
+                success: true,
+                message: 'Wishlist alerts updated successfully',
+                data: result
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+
     /**
      * GET /api/v1/wishlist/check/:productId - Check if product is in wishlist
      */
@@ -0,0 +1,13 @@
+import CartRecoveryService from '../services/cartRecovery.service.js';
+
+/**
+ * Abandoned Cart Recovery
+ * Every 15 minutes. Reminders are claimed per campaign before they are sent,
+ * so a run that overlaps a manual one does not double-send.
+ */
+export default {
+  name: 'cart-recovery',
+  description: 'Send abandoned cart reminders and close finished campaigns',
+  schedule: '*/15 * * * *',
+  run: ({ now }) => CartRecoveryService.processAbandonedCarts(now),
+};
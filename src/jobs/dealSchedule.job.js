@@ -0,0 +1,18 @@
+import FlashDealService from '../services/flashDeal.service.js';
+import ClearanceSaleService from '../services/clearanceSale.service.js';
+
+/**
+ * Deal Schedule
+ * Every 5 minutes. Flash deals and clearance sales switch on and off by date
+ * with nobody touching them; this refreshes the cached public lists at those
+ * moments and sends price-drop alerts for deals that just started.
+ */
+export default {
+  name: 'deal-schedule',
+  description: 'Refresh flash deal and clearance sale caches and alerts when they start or end',
+  schedule: '*/5 * * * *',
+  run: async ({ since, now }) => ({
+    flashDeals: await FlashDealService.syncSchedule(since, now),
+    clearanceSales: await ClearanceSaleService.syncSchedule(since, now),
+  }),
+};
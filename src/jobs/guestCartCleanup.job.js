@@ -0,0 +1,12 @@
+import CartService from '../services/cart.service.js';
+
+/**
+ * Guest Cart Cleanup
+ * Daily at 04:00. Removes idle guest carts the TTL index does not catch.
+ */
+export default {
+  name: 'guest-cart-cleanup',
+  description: 'Delete guest carts that have been idle too long',
+  schedule: '0 4 * * *',
+  run: ({ now }) => CartService.purgeStaleGuestCarts(now),
+};
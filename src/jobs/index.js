@@ -0,0 +1,26 @@
+/**
+ * Scheduled Job Registry
+ * Every job run by ScheduledJobService. A job is
+ * `{ name, description, schedule, run, lockTtlSeconds? }` where `schedule` is a
+ * node-cron expression and `run({ now, since, trigger })` returns a small
+ * result object that is stored with the run. `since` is the start of the
+ * job's last successful run, so time-window jobs resume where they left off.
+ *
+ * Add new jobs here; they show up in the admin job list automatically.
+ */
+
+import notificationCleanupJob from './notificationCleanup.job.js';
+import cartRecoveryJob from './cartRecovery.job.js';
+import dealScheduleJob from './dealSchedule.job.js';
+import vendorTinExpiryJob from './vendorTinExpiry.job.js';
+import guestCartCleanupJob from './guestCartCleanup.job.js';
+
+const jobs = [
+  notificationCleanupJob,
+  cartRecoveryJob,
+  dealScheduleJob,
+  vendorTinExpiryJob,
+  guestCartCleanupJob,
+];
+
+export default jobs;
@@ -0,0 +1,12 @@
+import NotificationService from '../services/notification.service.js';
+
+/**
+ * Notification Retention Cleanup
+ * Daily at 03:30. The purge is an idempotent deleteMany.
+ */
+export default {
+  name: 'notification-cleanup',
+  description: 'Delete in-app notifications past their retention period',
+  schedule: '30 3 * * *',
+  run: ({ now }) => NotificationService.purgeExpired(now),
+};
@@ -0,0 +1,13 @@
+import VendorService from '../services/vendor.service.js';
+
+/**
+ * Vendor TIN Expiry
+ * Daily at 08:00. Notices cover the window since the last successful run,
+ * so a missed day is caught up rather than skipped.
+ */
+export default {
+  name: 'vendor-tin-expiry',
+  description: 'Warn vendors before their TIN certificate expires and flag expired ones to vendor managers',
+  schedule: '0 8 * * *',
+  run: ({ since, now }) => VendorService.notifyTinExpiry(since, now),
+};
@@ -9,21 +9,11 @@ import { HTTP_STATUS } from '../constants.js';
 import env from '../config/env.js';
 
 /**
- * Middleware to allow any authenticated user (Admin, Staff, Vendor, or Customer)
- * Used for universal utilities like file uploads.
+ * Resolve a JWT to its account across all user collections.
+ * Shared by `protectAll` and the realtime gateway handshake.
+ * @returns {Promise<{ user: object, role: 'admin'|'employee'|'vendor'|'customer' }>}
  */
-export const protectAll = catchAsync(async (req, res, next) => {
-  let token;
-
-  // 1. Get token from header or cookies
-  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-    token = req.headers.authorization.split(' ')[1];
-  } else if (req.cookies?.adminAccessToken) {
-    token = req.cookies.adminAccessToken;
-  } else if (req.cookies?.token) {
-    token = req.cookies.token;
-  }
-
+export const authenticateToken = async (token) => {
   if (!token) {
     throw new AppError('Authentication required to access this resource.', HTTP_STATUS.UNAUTHORIZED);
   }
@@ -31,40 +21,32 @@ export const protectAll = catchAsync(async (req, res, next) => {
   try {
     const decoded = jwt.verify(token, env.JWT_SECRET);
 
-    // 2. Try to find user in different collections
+    // Try to find user in different collections
 
     // Check Admin/Employee
     if (decoded.role === 'admin' || !decoded.role) {
       const admin = await AdminRepository.findById(decoded.id);
       if (admin && decoded.version === admin.tokenVersion) {
-        req.user = admin;
-        req.role = 'admin';
-        return next();
+        return { user: admin, role: 'admin' };
       }
     }
 
     // Check Employee
     const employee = await EmployeeRepository.findById(decoded.id);
     if (employee && employee.isActive && employee.tokenVersion === decoded.tokenVersion) {
-      req.user = employee;
-      req.role = 'employee';
-      return next();
+      return { user: employee, role: 'employee' };
     }
 
     // Check Vendor
     const vendor = await VendorRepository.findById(decoded.id);
     if (vendor && vendor.tokenVersion === decoded.version) {
-      req.user = vendor;
-      req.role = 'vendor';
-      return next();
+      return { user: vendor, role: 'vendor' };
     }
 
     // Check Customer
     const customer = await CustomerRepository.findById(decoded.id);
     if (customer && customer.tokenVersion === decoded.version) {
-      req.user = customer;
-      req.role = 'customer';
-      return next();
+      return { user: customer, role: 'customer' };
     }
 
     throw new AppError('Unauthorized access or session expired.', HTTP_STATUS.UNAUTHORIZED);
@@ -74,6 +56,29 @@ export const protectAll = catchAsync(async (req, res, next) => {
     }
     throw error;
   }
+};
+
+/**
+ * Middleware to allow any authenticated user (Admin, Staff, Vendor, or Customer)
+ * Used for universal utilities like file uploads.
+ */
+export const protectAll = catchAsync(async (req, res, next) => {
+  let token;
+
+  // 1. Get token from header or cookies
+  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+    token = req.headers.authorization.split(' ')[1];
+  } else if (req.cookies?.adminAccessToken) {
+    token = req.cookies.adminAccessToken;
+  } else if (req.cookies?.token) {
+    token = req.cookies.token;
+  }
+
+  // 2. Find the account behind the token
+  const { user, role } = await authenticateToken(token);
+  req.user = user;
+  req.role = role;
+  next();
 });
 
 /**
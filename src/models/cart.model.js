@@ -56,6 +56,15 @@ const cartSchema = new mongoose.Schema({
             uppercase: true,
             default: null
         },
+        vendor: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Vendor',
+            default: null
+        },
+        fundedBy: {
+            type: String,
+            default: null
+        },
         discountAmount: {
             type: Number,
             default: 0
@@ -79,6 +88,15 @@ const cartSchema = new mongoose.Schema({
         isActive: {
             type: Boolean,
             default: true
+        },
+        // Targeting snapshot used to pick the eligible lines
+        categories: [{ type: mongoose.Schema.Types.ObjectId, ref: 'ProductCategory' }],
+        subCategories: [{ type: mongoose.Schema.Types.ObjectId, ref: 'ProductSubCategory' }],
+        products: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Product' }],
+        excludedProducts: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Product' }],
+        minQuantity: {
+            type: Number,
+            default: 0
         }
     }
 }, {
@@ -90,6 +108,9 @@ const cartSchema = new mongoose.Schema({
 cartSchema.index({ customer: 1, 'items.product': 1 });
 cartSchema.index({ guestId: 1, 'items.product': 1 });
 
+// Abandoned cart scan (customer carts by last change)
+cartSchema.index({ updatedAt: 1, customer: 1 });
+
 // TTL index for auto-cleanup of expired guest carts
 cartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 
@@ -0,0 +1,92 @@
+import mongoose from 'mongoose';
+import { CART_RECOVERY_STATUS } from '../constants.js';
+
+/**
+ * Cart Recovery
+ * One reminder campaign for one idle cart. The cart's `updatedAt` when it went
+ * idle identifies the campaign: once the cart changes, a later idle period
+ * starts a new one.
+ */
+const cartRecoverySchema = new mongoose.Schema({
+    cart: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Cart',
+        required: true
+    },
+    customer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Customer',
+        required: true,
+        index: true
+    },
+    cartUpdatedAt: {
+        type: Date,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: Object.values(CART_RECOVERY_STATUS),
+        default: CART_RECOVERY_STATUS.ACTIVE
+    },
+    // Cart snapshot at the first reminder
+    cartValue: {
+        type: Number,
+        default: 0
+    },
+    itemCount: {
+        type: Number,
+        default: 0
+    },
+    reminderCount: {
+        type: Number,
+        default: 0
+    },
+    reminders: [{
+        _id: false,
+        step: Number,
+        sentAt: Date,
+        withCoupon: Boolean
+    }],
+    lastReminderAt: {
+        type: Date,
+        default: null
+    },
+    coupon: {
+        code: { type: String, default: null },
+        expireDate: { type: Date, default: null }
+    },
+    // Filled when an order follows a reminder
+    recoveredAt: {
+        type: Date,
+        default: null
+    },
+    order: {
+        id: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', default: null },
+        orderNumber: { type: String, default: null },
+        total: { type: Number, default: 0 },
+        usedCoupon: { type: Boolean, default: false }
+    },
+    closedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true,
+    versionKey: false
+});
+
+// One campaign per idle period of a cart (guards concurrent job runs)
+cartRecoverySchema.index({ cart: 1, cartUpdatedAt: 1 }, { unique: true });
+
+// Job follow-ups
+cartRecoverySchema.index({ status: 1, lastReminderAt: 1 });
+
+// Attribution at checkout
+cartRecoverySchema.index({ customer: 1, lastReminderAt: -1 });
+
+// Reporting windows
+cartRecoverySchema.index({ createdAt: -1, status: 1 });
+
+const CartRecovery = mongoose.model('CartRecovery', cartRecoverySchema);
+
+export default CartRecovery;
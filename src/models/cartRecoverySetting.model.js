@@ -0,0 +1,83 @@
+import mongoose from 'mongoose';
+import { CONFIG } from '../constants.js';
+
+const reminderSchema = new mongoose.Schema(
+  {
+    // Hours of cart inactivity before this reminder goes out
+    delayHours: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    // Attach the auto-generated coupon (created once per campaign, reused by later reminders)
+    includeCoupon: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Cart Recovery Setting (single document)
+ * Abandoned cart reminder sequence and the coupon it may offer.
+ */
+const cartRecoverySettingSchema = new mongoose.Schema(
+  {
+    isEnabled: {
+      type: Boolean,
+      default: false,
+    },
+    reminders: {
+      type: [reminderSchema],
+      default: () => [
+        { delayHours: 1, includeCoupon: false },
+        { delayHours: 24, includeCoupon: false },
+        { delayHours: 72, includeCoupon: true },
+      ],
+      validate: {
+        validator: (reminders) => reminders.length >= 1 && reminders.length <= CONFIG.CART_RECOVERY.MAX_REMINDERS,
+        message: `Between 1 and ${CONFIG.CART_RECOVERY.MAX_REMINDERS} reminders are allowed`,
+      },
+    },
+    // Single-use, customer-specific coupon
+    coupon: {
+      discountType: {
+        type: String,
+        enum: ['amount', 'percent'],
+        default: 'percent',
+      },
+      discountAmount: {
+        type: Number,
+        default: 10,
+        min: 0,
+      },
+      minPurchase: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
+      validityDays: {
+        type: Number,
+        default: 7,
+        min: 1,
+      },
+    },
+    // Audit Fields
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'updatedByModel',
+    },
+    updatedByModel: {
+      type: String,
+      enum: ['Admin', 'Employee'],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const CartRecoverySetting = mongoose.model('CartRecoverySetting', cartRecoverySettingSchema);
+
+export default CartRecoverySetting;
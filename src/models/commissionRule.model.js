@@ -0,0 +1,78 @@
+import mongoose from 'mongoose';
+import { COMMISSION_SCOPE, COMMISSION_TYPE } from '../constants.js';
+
+/**
+ * Commission Rule
+ * Platform commission on vendor sales, as a percent of the goods value or a flat
+ * fee per unit. The target field matching `scope` is set (none for global rules).
+ * A rule applies to orders placed between `startsAt` and `endsAt` (null = open-ended).
+ */
+const commissionRuleSchema = new mongoose.Schema(
+    {
+        name: {
+            type: String,
+            required: [true, 'Rule name is required'],
+            trim: true,
+            maxlength: 100
+        },
+        scope: {
+            type: String,
+            enum: Object.values(COMMISSION_SCOPE),
+            required: true
+        },
+        vendor: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Vendor',
+            default: null
+        },
+        category: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'ProductCategory',
+            default: null
+        },
+        subCategory: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'ProductSubCategory',
+            default: null
+        },
+        type: {
+            type: String,
+            enum: Object.values(COMMISSION_TYPE),
+            default: COMMISSION_TYPE.PERCENT
+        },
+        value: {
+            type: Number,
+            required: true,
+            min: 0
+        },
+        startsAt: {
+            type: Date,
+            default: Date.now
+        },
+        endsAt: {
+            type: Date,
+            default: null
+        },
+        isActive: {
+            type: Boolean,
+            default: true
+        },
+        createdBy: {
+            role: { type: String, enum: ['admin', 'employee'] },
+            id: { type: mongoose.Schema.Types.ObjectId }
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+// Resolution lookup: active rules of a scope/target effective at a date
+commissionRuleSchema.index({ scope: 1, isActive: 1, startsAt: -1 });
+commissionRuleSchema.index({ vendor: 1, scope: 1 });
+commissionRuleSchema.index({ category: 1, scope: 1 });
+commissionRuleSchema.index({ subCategory: 1, scope: 1 });
+
+const CommissionRule = mongoose.model('CommissionRule', commissionRuleSchema);
+
+export default CommissionRule;
@@ -1,12 +1,25 @@
 import mongoose from 'mongoose';
+import { COUPON_FUNDED_BY } from '../constants.js';
 
 const couponSchema = new mongoose.Schema({
+    // 'admin' coupons without a vendor apply across every vendor's items
+    bearer: {
+        type: String,
+        enum: ['admin', 'vendor'],
+        default: 'vendor'
+    },
     vendor: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Vendor',
-        required: true,
+        default: null,
+        required: function () { return this.bearer !== 'admin'; },
         index: true
     },
+    fundedBy: {
+        type: String,
+        enum: Object.values(COUPON_FUNDED_BY),
+        default: COUPON_FUNDED_BY.VENDOR
+    },
     title: {
         type: String,
         required: true,
@@ -61,10 +74,51 @@ const couponSchema = new mongoose.Schema({
     },
     customerScope: {
         type: String,
-        enum: ['all'], // Can be expanded to 'specific' later
+        enum: ['all', 'specific'],
         default: 'all'
     },
-    // Tracking total global usage if needed, though limitForSameUser is per-user
+    // Only used when customerScope is 'specific'
+    customers: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Customer'
+    }],
+    // Product targeting - empty lists mean every product of the vendor
+    categories: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ProductCategory'
+    }],
+    subCategories: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ProductSubCategory'
+    }],
+    products: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product'
+    }],
+    excludedProducts: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product'
+    }],
+    // Minimum quantity of eligible items in the cart
+    minQuantity: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // Global cap across all customers (null = unlimited). Counted against totalReserved
+    // so unpaid orders hold their use until they are paid or cancelled.
+    usageLimit: {
+        type: Number,
+        default: null,
+        min: 1
+    },
+    // Active redemptions (reserved at checkout, decremented on release)
+    totalReserved: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // Paid redemptions
     totalUsed: {
         type: Number,
         default: 0
@@ -0,0 +1,81 @@
+import mongoose from 'mongoose';
+import { COUPON_REDEMPTION_STATUS } from '../constants.js';
+
+/**
+ * Coupon Redemption
+ * One row per order that used a coupon. `slot` numbers a customer's active uses
+ * of a coupon (1..limitForSameUser); the unique partial index makes the
+ * per-user limit race-free across concurrent checkouts.
+ */
+const couponRedemptionSchema = new mongoose.Schema({
+    coupon: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Coupon',
+        required: true
+    },
+    code: {
+        type: String,
+        required: true,
+        uppercase: true,
+        trim: true
+    },
+    customer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Customer',
+        required: true
+    },
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: true,
+        unique: true
+    },
+    orderNumber: {
+        type: String,
+        required: true
+    },
+    discount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    slot: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    // false once released - frees the slot
+    active: {
+        type: Boolean,
+        default: true
+    },
+    status: {
+        type: String,
+        enum: Object.values(COUPON_REDEMPTION_STATUS),
+        default: COUPON_REDEMPTION_STATUS.RESERVED
+    },
+    redeemedAt: Date,
+    releasedAt: Date
+}, {
+    timestamps: true,
+    versionKey: false
+});
+
+// ========================================
+// PERFORMANCE OPTIMIZATION: Database Indexes
+// ========================================
+
+// Note: order index is already created by { unique: true } in schema definition
+
+// Per-user limit: a slot can only be held by one active redemption
+couponRedemptionSchema.index(
+    { coupon: 1, customer: 1, slot: 1 },
+    { unique: true, partialFilterExpression: { active: true } }
+);
+
+// Coupon usage reports
+couponRedemptionSchema.index({ coupon: 1, status: 1, createdAt: -1 });
+
+const CouponRedemption = mongoose.model('CouponRedemption', couponRedemptionSchema);
+
+export default CouponRedemption;
@@ -0,0 +1,121 @@
+import mongoose from 'mongoose';
+import { ADDRESS_LABEL, INDIAN_STATES, REGEX } from '../constants.js';
+
+/**
+ * Customer Address Book
+ * One customer can keep several delivery addresses; at most one of them is the
+ * default shipping address and at most one the default billing address.
+ */
+const customerAddressSchema = new mongoose.Schema(
+  {
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Customer',
+      required: true,
+    },
+    label: {
+      type: String,
+      enum: Object.values(ADDRESS_LABEL),
+      default: ADDRESS_LABEL.HOME,
+    },
+    name: {
+      type: String,
+      required: [true, 'Please add a name'],
+      trim: true,
+      maxlength: 100,
+    },
+    phoneNumber: {
+      type: String,
+      required: [true, 'Please add a phone number'],
+      match: [REGEX.PHONE, 'Please add a valid phone number'],
+      trim: true,
+    },
+    addressLine1: {
+      type: String,
+      required: [true, 'Please add an address'],
+      trim: true,
+      maxlength: 200,
+    },
+    addressLine2: {
+      type: String,
+      trim: true,
+      maxlength: 200,
+    },
+    landmark: {
+      type: String,
+      trim: true,
+      maxlength: 100,
+    },
+    city: {
+      type: String,
+      required: [true, 'Please add a city'],
+      trim: true,
+      maxlength: 100,
+    },
+    state: {
+      type: String,
+      required: [true, 'Please add a state'],
+      enum: Object.keys(INDIAN_STATES),
+    },
+    pincode: {
+      type: String,
+      required: [true, 'Please add a PIN code'],
+      match: [REGEX.PINCODE, 'Please add a valid PIN code'],
+    },
+    country: {
+      type: String,
+      default: 'India',
+      trim: true,
+    },
+    isDefaultShipping: {
+      type: Boolean,
+      default: false,
+    },
+    isDefaultBilling: {
+      type: Boolean,
+      default: false,
+    },
+    // GeoJSON point filled by the geocoder; absent when geocoding is off or failed
+    location: {
+      type: {
+        type: String,
+        enum: ['Point'],
+      },
+      coordinates: {
+        type: [Number], // [lng, lat]
+        default: undefined,
+      },
+    },
+    formattedAddress: {
+      type: String,
+      default: null,
+    },
+    geocodedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Address book listing (defaults first, then most recent)
+customerAddressSchema.index({ customer: 1, isDefaultShipping: -1, updatedAt: -1 });
+
+// A customer has at most one default of each kind
+customerAddressSchema.index(
+  { customer: 1, isDefaultShipping: 1 },
+  { unique: true, partialFilterExpression: { isDefaultShipping: true } }
+);
+customerAddressSchema.index(
+  { customer: 1, isDefaultBilling: 1 },
+  { unique: true, partialFilterExpression: { isDefaultBilling: true } }
+);
+
+// Delivery radius lookups
+customerAddressSchema.index({ location: '2dsphere' }, { sparse: true });
+
+const CustomerAddress = mongoose.model('CustomerAddress', customerAddressSchema);
+
+export default CustomerAddress;
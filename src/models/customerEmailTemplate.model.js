@@ -13,6 +13,8 @@ const customerEmailTemplateSchema = new mongoose.Schema(
         'Account Unblocked',
         'Support Ticket Reply',
         'Password Reset',
+        'Wishlist Alert',
+        'Abandoned Cart Reminder',
       ],
     },
     isEnabled: {
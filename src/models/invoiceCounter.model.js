@@ -0,0 +1,33 @@
+import mongoose from 'mongoose';
+
+/**
+ * Invoice Counter
+ * Consecutive invoice serial per seller per financial year (GST rule 46).
+ * `vendor: null` is the platform's own series for in-house products.
+ */
+const invoiceCounterSchema = new mongoose.Schema(
+    {
+        vendor: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Vendor',
+            default: null
+        },
+        financialYear: {
+            type: String,
+            required: true // e.g. '2026-27'
+        },
+        sequence: {
+            type: Number,
+            default: 0
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+invoiceCounterSchema.index({ vendor: 1, financialYear: 1 }, { unique: true });
+
+const InvoiceCounter = mongoose.model('InvoiceCounter', invoiceCounterSchema);
+
+export default InvoiceCounter;
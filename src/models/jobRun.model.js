@@ -0,0 +1,76 @@
+import mongoose from 'mongoose';
+import { CONFIG, JOB_RUN_STATUS, JOB_TRIGGER } from '../constants.js';
+
+/**
+ * Job Run
+ * History of scheduled job executions, kept for RUN_HISTORY_DAYS.
+ */
+const jobRunSchema = new mongoose.Schema({
+    job: {
+        type: String,
+        required: true
+    },
+    trigger: {
+        type: String,
+        enum: Object.values(JOB_TRIGGER),
+        required: true
+    },
+    // Staff member behind a manual run
+    triggeredBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        refPath: 'triggeredByModel',
+        default: null
+    },
+    triggeredByModel: {
+        type: String,
+        enum: ['Admin', 'Employee'],
+        default: null
+    },
+    // hostname:pid of the instance that held the lock
+    instance: {
+        type: String,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: Object.values(JOB_RUN_STATUS),
+        default: JOB_RUN_STATUS.RUNNING
+    },
+    startedAt: {
+        type: Date,
+        required: true
+    },
+    finishedAt: {
+        type: Date,
+        default: null
+    },
+    durationMs: {
+        type: Number,
+        default: null
+    },
+    // Whatever the job handler returned (counts, flags)
+    result: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    error: {
+        message: { type: String, default: null },
+        stack: { type: String, default: null }
+    }
+}, {
+    timestamps: true,
+    versionKey: false
+});
+
+// History per job, newest first
+jobRunSchema.index({ job: 1, startedAt: -1 });
+
+// Global history filtered by outcome
+jobRunSchema.index({ status: 1, startedAt: -1 });
+
+// Retention
+jobRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: CONFIG.SCHEDULED_JOBS.RUN_HISTORY_DAYS * 24 * 60 * 60 });
+
+const JobRun = mongoose.model('JobRun', jobRunSchema);
+
+export default JobRun;
@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+import { NOTIFICATION_TYPE, NOTIFICATION_RECIPIENT_ROLE } from '../constants.js';
+
+/**
+ * Notification
+ * One entry in a recipient's in-app feed. Staff-wide events are fanned out
+ * into one entry per admin/employee so each keeps their own read state.
+ */
+const notificationSchema = new mongoose.Schema(
+    {
+        recipient: {
+            role: {
+                type: String,
+                enum: Object.values(NOTIFICATION_RECIPIENT_ROLE),
+                required: true
+            },
+            id: {
+                type: mongoose.Schema.Types.ObjectId,
+                required: true
+            }
+        },
+        type: {
+            type: String,
+            enum: Object.values(NOTIFICATION_TYPE),
+            required: true
+        },
+        title: {
+            type: String,
+            required: true,
+            trim: true,
+            maxlength: 150
+        },
+        message: {
+            type: String,
+            trim: true,
+            maxlength: 1000
+        },
+        link: {
+            type: String,
+            trim: true
+        },
+        // Ids the client needs to act on the entry (orderId, productId, ...)
+        data: {
+            type: mongoose.Schema.Types.Mixed,
+            default: {}
+        },
+        readAt: {
+            type: Date,
+            default: null
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+// Feed (newest first, cursor on _id) and unread badge
+notificationSchema.index({ 'recipient.role': 1, 'recipient.id': 1, _id: -1 });
+notificationSchema.index({ 'recipient.role': 1, 'recipient.id': 1, readAt: 1 });
+// Retention cleanup
+notificationSchema.index({ createdAt: 1 });
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+export default Notification;
@@ -0,0 +1,320 @@
+import mongoose from 'mongoose';
+import { ORDER_STATUS, PAYMENT_STATUS, PAYMENT_METHOD, OFFLINE_PAYMENT_STATUS, COUPON_FUNDED_BY, GST_SUPPLY_TYPE, COMMISSION_SCOPE, COMMISSION_TYPE } from '../constants.js';
+
+/**
+ * Address Snapshot
+ * Copied onto the order at checkout so later address edits never rewrite history.
+ */
+const addressSnapshotSchema = new mongoose.Schema({
+    name: { type: String, required: true, trim: true },
+    phoneNumber: { type: String, required: true, trim: true },
+    addressLine1: { type: String, required: true, trim: true },
+    addressLine2: { type: String, trim: true },
+    landmark: { type: String, trim: true },
+    city: { type: String, required: true, trim: true },
+    state: { type: String, required: true, trim: true },
+    pincode: { type: String, required: true, trim: true },
+    country: { type: String, default: 'India', trim: true }
+}, { _id: false });
+
+/**
+ * GST breakdown of an order line (see TaxService.calculateLineTax)
+ */
+const taxBreakdownSchema = new mongoose.Schema({
+    hsnCode: { type: String, default: null },
+    taxType: { type: String, enum: ['percent', 'flat'], default: 'percent' },
+    rate: { type: Number, default: 0 },
+    inclusive: { type: Boolean, default: false },
+    supplyType: { type: String, enum: Object.values(GST_SUPPLY_TYPE) },
+    taxableValue: { type: Number, default: 0 },
+    cgst: { type: Number, default: 0 },
+    sgst: { type: Number, default: 0 },
+    igst: { type: Number, default: 0 },
+    stateTaxLabel: { type: String, enum: ['SGST', 'UTGST'], default: 'SGST' },
+    totalTax: { type: Number, default: 0 }
+}, { _id: false });
+
+/**
+ * Commission rule applied to a vendor line at checkout (see CommissionService.resolveRules).
+ * rule null = settlement default rate.
+ */
+const commissionSnapshotSchema = new mongoose.Schema({
+    rule: { type: mongoose.Schema.Types.ObjectId, ref: 'CommissionRule', default: null },
+    scope: { type: String, enum: Object.values(COMMISSION_SCOPE) },
+    type: { type: String, enum: Object.values(COMMISSION_TYPE) },
+    value: { type: Number, default: 0 }
+}, { _id: false });
+
+/**
+ * Order Line (immutable price snapshot of an enriched cart item)
+ */
+const orderItemSchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true,
+        index: true
+    },
+    name: { type: String, required: true },
+    slug: { type: String },
+    sku: { type: String },
+    thumbnail: {
+        url: String,
+        publicId: String
+    },
+    productType: {
+        type: String,
+        enum: ['physical', 'digital'],
+        default: 'physical'
+    },
+    variation: {
+        type: String,
+        default: null // Variation SKU
+    },
+    quantity: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    basePrice: { type: Number, required: true, min: 0 }, // Unit price before any discount
+    finalPrice: { type: Number, required: true, min: 0 }, // Unit price after best deal
+    activeDeal: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    subtotal: { type: Number, required: true, min: 0 }, // basePrice * quantity
+    productDiscount: { type: Number, default: 0, min: 0 }, // (basePrice - finalPrice) * quantity
+    couponDiscount: { type: Number, default: 0, min: 0 }, // Share of the order coupon
+    tax: { type: Number, default: 0, min: 0 }, // Tax added on top of the price
+    taxBreakdown: { type: taxBreakdownSchema, default: null },
+    commission: { type: commissionSnapshotSchema, default: null }, // Vendor lines only
+    shipping: { type: Number, default: 0, min: 0 },
+    total: { type: Number, required: true, min: 0 },
+    // Bumped with every return request on the line, inside the request's transaction,
+    // so two concurrent requests write-conflict instead of both passing the quantity check
+    returnRequestCount: { type: Number, default: 0 }
+}, { _id: true });
+
+const statusHistorySchema = new mongoose.Schema({
+    status: {
+        type: String,
+        enum: Object.values(ORDER_STATUS),
+        required: true
+    },
+    note: { type: String, trim: true },
+    changedBy: {
+        role: {
+            type: String,
+            enum: ['customer', 'vendor', 'admin', 'employee', 'system'],
+            default: 'system'
+        },
+        id: { type: mongoose.Schema.Types.ObjectId, default: null }
+    },
+    changedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+/**
+ * Vendor Sub-Order
+ * One per vendor in the cart (vendor null = in-house/admin products).
+ */
+const subOrderSchema = new mongoose.Schema({
+    subOrderNumber: {
+        type: String,
+        required: true
+    },
+    vendor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vendor',
+        default: null
+    },
+    items: [orderItemSchema],
+    subtotal: { type: Number, required: true, min: 0 },
+    productDiscount: { type: Number, default: 0, min: 0 },
+    couponDiscount: { type: Number, default: 0, min: 0 },
+    tax: { type: Number, default: 0, min: 0 },
+    shipping: { type: Number, default: 0, min: 0 },
+    total: { type: Number, required: true, min: 0 },
+    status: {
+        type: String,
+        enum: Object.values(ORDER_STATUS),
+        default: ORDER_STATUS.PENDING
+    },
+    statusHistory: [statusHistorySchema],
+    tracking: {
+        carrier: { type: String, trim: true },
+        trackingNumber: { type: String, trim: true },
+        trackingUrl: { type: String, trim: true }
+    },
+    cancellationReason: { type: String, trim: true },
+    // Tax invoice of the vendor for this sub-order (numbered once, on first issue)
+    invoice: {
+        number: { type: String, default: null },
+        financialYear: { type: String, default: null },
+        issuedAt: { type: Date, default: null }
+    },
+    confirmedAt: Date,
+    packedAt: Date,
+    shippedAt: Date,
+    deliveredAt: Date,
+    cancelledAt: Date,
+    returnedAt: Date,
+    refundedAt: Date
+}, { _id: true, timestamps: true });
+
+const orderSchema = new mongoose.Schema({
+    orderNumber: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    customer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Customer',
+        required: true,
+        index: true
+    },
+    subOrders: [subOrderSchema],
+    shippingAddress: {
+        type: addressSnapshotSchema,
+        required: true
+    },
+    billingAddress: addressSnapshotSchema,
+    coupon: {
+        code: { type: String, default: null },
+        vendor: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Vendor',
+            default: null
+        },
+        type: { type: String, default: null },
+        discountType: { type: String, default: null },
+        discountAmount: { type: Number, default: 0 },
+        // Sub-order couponDiscount is paid by the platform or by each vendor
+        fundedBy: {
+            type: String,
+            enum: [...Object.values(COUPON_FUNDED_BY), null],
+            default: null
+        }
+    },
+    totalItems: { type: Number, required: true, min: 1 },
+    subtotal: { type: Number, required: true, min: 0 },
+    productDiscount: { type: Number, default: 0, min: 0 },
+    couponDiscount: { type: Number, default: 0, min: 0 },
+    tax: { type: Number, default: 0, min: 0 },
+    shipping: { type: Number, default: 0, min: 0 },
+    total: { type: Number, required: true, min: 0 },
+    currency: {
+        type: String,
+        default: 'INR'
+    },
+    payment: {
+        method: {
+            type: String,
+            enum: Object.values(PAYMENT_METHOD),
+            default: PAYMENT_METHOD.ONLINE
+        },
+        status: {
+            type: String,
+            enum: Object.values(PAYMENT_STATUS),
+            default: PAYMENT_STATUS.PENDING
+        },
+        gateway: { type: String, default: null }, // e.g. 'razorpay'
+        gatewayOrderId: { type: String, default: null },
+        // Every gateway order issued for this order (retries, a second tab). The
+        // customer can still pay on an older one, so callbacks match any of them.
+        gatewayOrders: [{
+            _id: false,
+            gateway: String,
+            gatewayOrderId: String,
+            createdAt: { type: Date, default: Date.now }
+        }],
+        gatewayPaymentId: { type: String, default: null },
+        amount: { type: Number, default: 0 }, // Amount captured (major units)
+        walletAmount: { type: Number, default: 0, min: 0 }, // Paid from the customer's wallet at checkout
+        failureReason: { type: String, default: null },
+        refundedAmount: { type: Number, default: 0 },
+        refunds: [{
+            _id: false,
+            refundId: String,
+            amount: Number,
+            reason: String,
+            status: String,
+            createdAt: { type: Date, default: Date.now }
+        }],
+        processedEvents: { type: [String], select: false }, // Webhook event ids already applied
+        // Offline method snapshot + customer proof + admin review (method = offline)
+        offline: {
+            methodId: { type: mongoose.Schema.Types.ObjectId, default: null },
+            methodName: String,
+            instructions: String,
+            details: [{ _id: false, label: String, value: String }],
+            requireProof: Boolean,
+            reviewStatus: {
+                type: String,
+                enum: Object.values(OFFLINE_PAYMENT_STATUS)
+            },
+            proof: {
+                url: String,
+                publicId: String
+            },
+            reference: { type: String, trim: true },
+            submittedAt: Date,
+            reviewedBy: {
+                type: mongoose.Schema.Types.ObjectId,
+                refPath: 'payment.offline.reviewedByModel'
+            },
+            reviewedByModel: {
+                type: String,
+                enum: ['Admin', 'Employee']
+            },
+            reviewedAt: Date,
+            reviewNote: { type: String, trim: true }
+        },
+        paidAt: Date,
+        failedAt: Date
+    },
+    status: {
+        type: String,
+        enum: Object.values(ORDER_STATUS),
+        default: ORDER_STATUS.PENDING
+    },
+    statusHistory: [statusHistorySchema],
+    notes: {
+        type: String,
+        trim: true,
+        maxlength: 500
+    }
+}, {
+    timestamps: true,
+    versionKey: false
+});
+
+// ========================================
+// PERFORMANCE OPTIMIZATION: Database Indexes
+// ========================================
+
+// Note: orderNumber index is already created by { unique: true } in schema definition
+
+// Customer order history (most common query)
+orderSchema.index({ customer: 1, createdAt: -1 });
+
+// Vendor sub-order listing
+orderSchema.index({ 'subOrders.vendor': 1, createdAt: -1 });
+
+// Vendor dashboard filters
+orderSchema.index({ 'subOrders.vendor': 1, 'subOrders.status': 1 });
+
+// Admin dashboard filters
+orderSchema.index({ status: 1, createdAt: -1 });
+orderSchema.index({ 'payment.status': 1, createdAt: -1 });
+
+// Offline payment approval queue
+orderSchema.index({ 'payment.method': 1, 'payment.offline.reviewStatus': 1, createdAt: 1 });
+
+// Gateway callbacks look orders up by the gateway's order id
+orderSchema.index({ 'payment.gatewayOrderId': 1 });
+orderSchema.index({ 'payment.gatewayOrders.gatewayOrderId': 1 });
+
+const Order = mongoose.model('Order', orderSchema);
+
+export default Order;
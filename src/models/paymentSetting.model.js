@@ -1,5 +1,41 @@
 import mongoose from 'mongoose';
 
+/**
+ * Offline method shown at checkout (e.g. bank transfer). `details` carries the
+ * account information customers need to pay (account no, IFSC, UPI id...).
+ */
+const offlineMethodSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    instructions: {
+      type: String,
+      trim: true,
+      maxlength: 1000,
+    },
+    details: [
+      {
+        _id: false,
+        label: { type: String, required: true, trim: true, maxlength: 100 },
+        value: { type: String, required: true, trim: true, maxlength: 200 },
+      },
+    ],
+    requireProof: {
+      type: Boolean,
+      default: true,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: false }
+);
+
 const paymentSettingSchema = new mongoose.Schema(
   {
     isCodActive: {
@@ -10,6 +46,21 @@ const paymentSettingSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    // 0 = no limit
+    codMaxOrderValue: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    isCodAllowedForDigital: {
+      type: Boolean,
+      default: false,
+    },
+    isOfflinePaymentActive: {
+      type: Boolean,
+      default: false,
+    },
+    offlineMethods: [offlineMethodSchema],
     updatedBy: {
       type: mongoose.Schema.Types.ObjectId,
       refPath: 'updatedByModel',
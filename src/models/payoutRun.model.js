@@ -0,0 +1,75 @@
+import mongoose from 'mongoose';
+import { PAYOUT_RUN_STATUS, PAYOUT_STATUS } from '../constants.js';
+
+/**
+ * One vendor's transfer within a run. Bank details are snapshotted when the
+ * run is drafted so an approved run pays exactly what was reviewed.
+ */
+const vendorPayoutSchema = new mongoose.Schema({
+    vendor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vendor',
+        required: true
+    },
+    businessName: { type: String, trim: true },
+    bankDetails: {
+        bankName: String,
+        accountHolderName: String,
+        accountNumber: String,
+        ifscCode: String
+    },
+    amount: { type: Number, required: true, min: 0 },
+    entryCount: { type: Number, default: 0 },
+    status: {
+        type: String,
+        enum: Object.values(PAYOUT_STATUS),
+        default: PAYOUT_STATUS.PENDING
+    },
+    reference: { type: String, trim: true }, // Bank UTR / transaction id
+    failureReason: { type: String, trim: true },
+    settledAt: Date
+}, { _id: true });
+
+/**
+ * Payout Run
+ * A batch of vendor transfers: drafted from payable settlement entries,
+ * approved, exported to the bank and then marked paid/failed per vendor.
+ */
+const payoutRunSchema = new mongoose.Schema({
+    runNumber: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    status: {
+        type: String,
+        enum: Object.values(PAYOUT_RUN_STATUS),
+        default: PAYOUT_RUN_STATUS.DRAFT
+    },
+    // Entries that became available up to this moment were considered
+    cutoff: { type: Date, required: true },
+    payouts: [vendorPayoutSchema],
+    totalAmount: { type: Number, default: 0 },
+    note: { type: String, trim: true, maxlength: 500 },
+    createdBy: {
+        role: { type: String, enum: ['admin', 'employee'] },
+        id: { type: mongoose.Schema.Types.ObjectId, default: null }
+    },
+    approvedBy: {
+        role: { type: String, enum: ['admin', 'employee'] },
+        id: { type: mongoose.Schema.Types.ObjectId, default: null }
+    },
+    approvedAt: Date,
+    completedAt: Date,
+    cancelledAt: Date
+}, {
+    timestamps: true,
+    versionKey: false
+});
+
+payoutRunSchema.index({ status: 1, createdAt: -1 });
+payoutRunSchema.index({ 'payouts.vendor': 1, createdAt: -1 });
+
+const PayoutRun = mongoose.model('PayoutRun', payoutRunSchema);
+
+export default PayoutRun;
@@ -77,6 +77,16 @@ const productSchema = new mongoose.Schema(
             enum: ['percent', 'flat'],
             default: 'percent',
         },
+        // Price already includes GST (tax is carved out of it instead of added on top)
+        taxInclusive: {
+            type: Boolean,
+            default: false,
+        },
+        hsnCode: {
+            type: String,
+            trim: true,
+            default: null,
+        },
         discount: {
             type: Number,
             default: 0,
@@ -96,6 +106,12 @@ const productSchema = new mongoose.Schema(
             type: Boolean,
             default: false,
         },
+        // Shipping weight in kg (weight-based shipping zones)
+        weight: {
+            type: Number,
+            default: 0,
+            min: 0,
+        },
         quantity: {
             type: Number,
             required: true,
@@ -178,6 +194,19 @@ const productSchema = new mongoose.Schema(
         videoLink: {
             type: String,
             trim: true
+        },
+        // Denormalized from approved reviews (see ReviewService)
+        rating: {
+            average: { type: Number, default: 0 },
+            count: { type: Number, default: 0 },
+            total: { type: Number, default: 0 },
+            distribution: {
+                1: { type: Number, default: 0 },
+                2: { type: Number, default: 0 },
+                3: { type: Number, default: 0 },
+                4: { type: Number, default: 0 },
+                5: { type: Number, default: 0 }
+            }
         }
     },
     {
@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+import { NOTIFICATION_RECIPIENT_ROLE } from '../constants.js';
+
+/**
+ * Push Subscription
+ * One browser/device registration (the PushSubscription JSON of the Push API).
+ * The endpoint identifies the device; re-subscribing from the same browser
+ * moves it to whoever is logged in. Removed when the push service reports it gone.
+ */
+const pushSubscriptionSchema = new mongoose.Schema(
+    {
+        owner: {
+            role: {
+                type: String,
+                enum: Object.values(NOTIFICATION_RECIPIENT_ROLE),
+                required: true
+            },
+            id: {
+                type: mongoose.Schema.Types.ObjectId,
+                required: true
+            }
+        },
+        endpoint: {
+            type: String,
+            required: [true, 'Push endpoint is required'],
+            unique: true
+        },
+        keys: {
+            p256dh: { type: String, required: true },
+            auth: { type: String, required: true }
+        },
+        expirationTime: {
+            type: Date,
+            default: null
+        },
+        deviceName: {
+            type: String,
+            trim: true,
+            maxlength: 100
+        },
+        userAgent: {
+            type: String,
+            maxlength: 500
+        },
+        lastSentAt: {
+            type: Date,
+            default: null
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+pushSubscriptionSchema.index({ 'owner.role': 1, 'owner.id': 1 });
+
+const PushSubscription = mongoose.model('PushSubscription', pushSubscriptionSchema);
+
+export default PushSubscription;
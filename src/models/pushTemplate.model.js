@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+import { PUSH_EVENT } from '../constants.js';
+
+/**
+ * Push Template
+ * Title, body and click-through URL of one push event. `{placeholder}` tokens
+ * are filled from the event data (same syntax as the email templates).
+ */
+const pushTemplateSchema = new mongoose.Schema(
+    {
+        event: {
+            type: String,
+            enum: Object.values(PUSH_EVENT),
+            required: true,
+            unique: true
+        },
+        title: {
+            type: String,
+            required: [true, 'Push title is required'],
+            trim: true,
+            maxlength: 100
+        },
+        body: {
+            type: String,
+            required: [true, 'Push body is required'],
+            trim: true,
+            maxlength: 300
+        },
+        url: {
+            type: String,
+            trim: true,
+            default: '/'
+        },
+        icon: {
+            type: String,
+            trim: true
+        },
+        isEnabled: {
+            type: Boolean,
+            default: true
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+const PushTemplate = mongoose.model('PushTemplate', pushTemplateSchema);
+
+export default PushTemplate;
@@ -0,0 +1,142 @@
+import mongoose from 'mongoose';
+import { RETURN_STATUS, RETURN_RESOLUTION, RETURN_REASON } from '../constants.js';
+
+const statusHistorySchema = new mongoose.Schema({
+    status: {
+        type: String,
+        enum: Object.values(RETURN_STATUS),
+        required: true
+    },
+    note: { type: String, trim: true },
+    changedBy: {
+        role: {
+            type: String,
+            enum: ['customer', 'vendor', 'admin', 'employee', 'system'],
+            required: true
+        },
+        id: { type: mongoose.Schema.Types.ObjectId, default: null }
+    },
+    changedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+/**
+ * Return Request (RMA)
+ * One per returned order line. Amounts are snapshotted from the order line so
+ * the refund never depends on current product prices.
+ */
+const returnRequestSchema = new mongoose.Schema({
+    rmaNumber: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: true
+    },
+    orderNumber: { type: String, required: true },
+    subOrder: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    subOrderNumber: { type: String, required: true },
+    orderItem: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    customer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Customer',
+        required: true
+    },
+    // Seller of the line (null = in-house product)
+    vendor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vendor',
+        default: null
+    },
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    productName: { type: String, required: true },
+    variation: { type: String, default: null },
+    quantity: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    unitAmount: { type: Number, required: true, min: 0 }, // Paid per unit (excl. shipping)
+    amount: { type: Number, required: true, min: 0 }, // unitAmount * quantity
+    reason: {
+        type: String,
+        enum: Object.values(RETURN_REASON),
+        required: true
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: 2000
+    },
+    images: [{
+        url: { type: String, required: true },
+        publicId: { type: String, required: true }
+    }],
+    preferredResolution: {
+        type: String,
+        enum: Object.values(RETURN_RESOLUTION),
+        required: true
+    },
+    status: {
+        type: String,
+        enum: Object.values(RETURN_STATUS),
+        default: RETURN_STATUS.REQUESTED
+    },
+    statusHistory: [statusHistorySchema],
+    // Vendor approve/reject deadline (admins can still decide afterwards)
+    responseDueAt: { type: Date, required: true },
+    rejectionReason: { type: String, trim: true },
+    pickup: {
+        carrier: { type: String, trim: true },
+        trackingNumber: { type: String, trim: true },
+        scheduledAt: Date,
+        pickedUpAt: Date
+    },
+    receivedAt: Date,
+    inspection: {
+        passed: Boolean,
+        restock: Boolean, // Item can be sold again
+        note: { type: String, trim: true },
+        inspectedAt: Date
+    },
+    resolution: {
+        type: {
+            type: String,
+            enum: Object.values(RETURN_RESOLUTION)
+        },
+        amount: Number,
+        // Part of `amount` paid back to the customer's wallet
+        walletAmount: { type: Number, default: 0 },
+        // Refunds on COD/offline orders are settled outside the gateway; store credit goes to the wallet
+        status: {
+            type: String,
+            enum: ['pending', 'processing', 'completed', 'failed']
+        },
+        refundId: String,
+        note: { type: String, trim: true },
+        resolvedAt: Date
+    }
+}, {
+    timestamps: true
+});
+
+returnRequestSchema.index({ customer: 1, createdAt: -1 });
+returnRequestSchema.index({ vendor: 1, status: 1, createdAt: -1 });
+returnRequestSchema.index({ status: 1, responseDueAt: 1 });
+returnRequestSchema.index({ order: 1, orderItem: 1 });
+
+const ReturnRequest = mongoose.model('ReturnRequest', returnRequestSchema);
+
+export default ReturnRequest;
@@ -0,0 +1,109 @@
+import mongoose from 'mongoose';
+import { REVIEW_STATUS } from '../constants.js';
+
+/**
+ * Product Review
+ * One review per customer per product. Reviews linked to a delivered order
+ * line carry the verified-purchase badge.
+ */
+const reviewSchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    // Product owner at review time (null = in-house product)
+    vendor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vendor',
+        default: null
+    },
+    customer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Customer',
+        required: true
+    },
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        default: null
+    },
+    subOrder: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    orderItem: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    isVerifiedPurchase: {
+        type: Boolean,
+        default: false
+    },
+    rating: {
+        type: Number,
+        required: true,
+        min: 1,
+        max: 5
+    },
+    title: {
+        type: String,
+        trim: true,
+        maxlength: 150
+    },
+    comment: {
+        type: String,
+        trim: true,
+        maxlength: 2000
+    },
+    images: [{
+        url: { type: String, required: true },
+        publicId: { type: String, required: true }
+    }],
+    status: {
+        type: String,
+        enum: Object.values(REVIEW_STATUS),
+        default: REVIEW_STATUS.PENDING
+    },
+    moderation: {
+        moderatedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            refPath: 'moderation.moderatedByModel'
+        },
+        moderatedByModel: {
+            type: String,
+            enum: ['Admin', 'Employee']
+        },
+        moderatedAt: Date,
+        note: { type: String, trim: true }
+    },
+    // Public vendor response
+    vendorReply: {
+        comment: { type: String, trim: true, maxlength: 1000 },
+        repliedAt: Date
+    }
+}, {
+    timestamps: true,
+    versionKey: false
+});
+
+// ========================================
+// PERFORMANCE OPTIMIZATION: Database Indexes
+// ========================================
+
+// One review per customer per product
+reviewSchema.index({ product: 1, customer: 1 }, { unique: true });
+
+// Public product reviews (filter by rating, newest first)
+reviewSchema.index({ product: 1, status: 1, rating: 1, createdAt: -1 });
+
+// Vendor panel and admin moderation queue
+reviewSchema.index({ vendor: 1, status: 1, createdAt: -1 });
+reviewSchema.index({ status: 1, createdAt: 1 });
+
+// Customer's own reviews
+reviewSchema.index({ customer: 1, createdAt: -1 });
+
+const Review = mongoose.model('Review', reviewSchema);
+
+export default Review;
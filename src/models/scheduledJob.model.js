@@ -0,0 +1,56 @@
+import mongoose from 'mongoose';
+import { JOB_RUN_STATUS } from '../constants.js';
+
+/**
+ * Scheduled Job State
+ * One document per job in the registry (src/jobs), created on first run or
+ * pause. The cron expression lives in code; this only keeps what has to be
+ * shared between instances.
+ */
+const scheduledJobSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true
+    },
+    isPaused: {
+        type: Boolean,
+        default: false
+    },
+    pausedAt: {
+        type: Date,
+        default: null
+    },
+    pausedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        refPath: 'pausedByModel',
+        default: null
+    },
+    pausedByModel: {
+        type: String,
+        enum: ['Admin', 'Employee'],
+        default: null
+    },
+    // Summary of the latest finished run
+    lastRun: {
+        run: { type: mongoose.Schema.Types.ObjectId, ref: 'JobRun', default: null },
+        status: { type: String, enum: Object.values(JOB_RUN_STATUS), default: null },
+        startedAt: { type: Date, default: null },
+        finishedAt: { type: Date, default: null },
+        durationMs: { type: Number, default: null },
+        error: { type: String, default: null }
+    },
+    // Start of the latest successful run; time-window jobs resume from here
+    lastSucceededAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true,
+    versionKey: false
+});
+
+const ScheduledJob = mongoose.model('ScheduledJob', scheduledJobSchema);
+
+export default ScheduledJob;
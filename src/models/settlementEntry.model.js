@@ -0,0 +1,98 @@
+import mongoose from 'mongoose';
+import { SETTLEMENT_ENTRY_TYPE, SETTLEMENT_ENTRY_STATUS, COMMISSION_TYPE } from '../constants.js';
+
+/**
+ * Line-level split of an earning. Kept so later return deductions take back
+ * exactly what the vendor earned on the returned units.
+ */
+const settlementLineSchema = new mongoose.Schema({
+    orderItem: { type: mongoose.Schema.Types.ObjectId, required: true },
+    quantity: { type: Number, required: true, min: 1 },
+    goods: { type: Number, default: 0 }, // subtotal - product discount
+    couponShare: { type: Number, default: 0 }, // Vendor-funded coupon on the goods
+    tax: { type: Number, default: 0 },
+    commissionType: { type: String, enum: Object.values(COMMISSION_TYPE), default: COMMISSION_TYPE.PERCENT },
+    commissionRate: { type: Number, default: 0 }, // Percent, or flat fee per unit
+    commission: { type: Number, default: 0 },
+    net: { type: Number, default: 0 } // goods - couponShare + tax - commission
+}, { _id: false });
+
+/**
+ * Settlement Entry (vendor ledger)
+ * A positive earning per delivered sub-order and a negative deduction per
+ * refunded return. Entries are held until `availableAt`, then claimed by a
+ * payout run.
+ */
+const settlementEntrySchema = new mongoose.Schema({
+    vendor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vendor',
+        required: true
+    },
+    type: {
+        type: String,
+        enum: Object.values(SETTLEMENT_ENTRY_TYPE),
+        required: true
+    },
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: true
+    },
+    orderNumber: { type: String, required: true },
+    subOrder: { type: mongoose.Schema.Types.ObjectId, required: true },
+    subOrderNumber: { type: String, required: true },
+    returnRequest: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ReturnRequest',
+        default: null
+    },
+    rmaNumber: { type: String, default: null },
+    // Breakdown (earnings: whole sub-order, deductions: returned units)
+    goods: { type: Number, default: 0 },
+    couponShare: { type: Number, default: 0 },
+    tax: { type: Number, default: 0 },
+    shipping: { type: Number, default: 0 }, // Passed through to the vendor (0 when the platform retains it)
+    commission: { type: Number, default: 0 },
+    lines: [settlementLineSchema],
+    // Signed: earnings > 0, deductions < 0
+    amount: { type: Number, required: true },
+    status: {
+        type: String,
+        enum: Object.values(SETTLEMENT_ENTRY_STATUS),
+        default: SETTLEMENT_ENTRY_STATUS.PENDING
+    },
+    availableAt: { type: Date, required: true },
+    payoutRun: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'PayoutRun',
+        default: null
+    },
+    paidAt: Date
+}, {
+    timestamps: true,
+    versionKey: false
+});
+
+// ========================================
+// PERFORMANCE OPTIMIZATION: Database Indexes
+// ========================================
+
+// One earning per sub-order, one deduction per return
+settlementEntrySchema.index(
+    { subOrder: 1 },
+    { unique: true, partialFilterExpression: { type: SETTLEMENT_ENTRY_TYPE.EARNING } }
+);
+settlementEntrySchema.index(
+    { returnRequest: 1 },
+    { unique: true, partialFilterExpression: { type: SETTLEMENT_ENTRY_TYPE.RETURN_DEDUCTION } }
+);
+
+// Vendor statements and payout selection
+settlementEntrySchema.index({ vendor: 1, createdAt: -1 });
+settlementEntrySchema.index({ status: 1, availableAt: 1, vendor: 1 });
+settlementEntrySchema.index({ payoutRun: 1, vendor: 1 });
+
+const SettlementEntry = mongoose.model('SettlementEntry', settlementEntrySchema);
+
+export default SettlementEntry;
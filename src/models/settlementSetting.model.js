@@ -0,0 +1,44 @@
+import mongoose from 'mongoose';
+
+/**
+ * Settlement Setting (single document)
+ * How vendor earnings are computed and paid out.
+ */
+const settlementSettingSchema = new mongoose.Schema(
+  {
+    // Fallback % of the goods value when no commission rule matches (see CommissionService)
+    defaultCommissionRate: {
+      type: Number,
+      default: 10,
+      min: 0,
+      max: 100,
+    },
+    // true when the platform books the couriers and keeps the shipping charge
+    retainShipping: {
+      type: Boolean,
+      default: false,
+    },
+    // Vendors below this balance are carried over to the next run
+    minimumPayoutAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Audit Fields
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'updatedByModel',
+    },
+    updatedByModel: {
+      type: String,
+      enum: ['Admin', 'Employee'],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const SettlementSetting = mongoose.model('SettlementSetting', settlementSettingSchema);
+
+export default SettlementSetting;
@@ -0,0 +1,83 @@
+import mongoose from 'mongoose';
+import { INDIAN_STATES, SHIPPING_RATE_TYPE } from '../constants.js';
+
+const pincodeRangeSchema = new mongoose.Schema({
+    from: { type: Number, required: true, min: 100000, max: 999999 },
+    to: { type: Number, required: true, min: 100000, max: 999999 }
+}, { _id: false });
+
+/**
+ * Rate tier: applies when min <= metric < max (max null = no upper bound)
+ */
+const rateTierSchema = new mongoose.Schema({
+    min: { type: Number, required: true, min: 0 },
+    max: { type: Number, default: null },
+    cost: { type: Number, required: true, min: 0 }
+}, { _id: false });
+
+/**
+ * Shipping Zone
+ * A destination area (states and/or PIN code ranges) with the rate charged for
+ * one vendor package shipped there. `vendor: null` marks a platform zone, used for
+ * in-house products and for vendors that have not defined zones of their own.
+ */
+const shippingZoneSchema = new mongoose.Schema(
+    {
+        name: {
+            type: String,
+            required: [true, 'Zone name is required'],
+            trim: true,
+            maxlength: 100
+        },
+        vendor: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Vendor',
+            default: null
+        },
+        states: [{
+            type: String,
+            enum: Object.keys(INDIAN_STATES)
+        }],
+        pincodeRanges: [pincodeRangeSchema],
+        rateType: {
+            type: String,
+            enum: Object.values(SHIPPING_RATE_TYPE),
+            default: SHIPPING_RATE_TYPE.FLAT
+        },
+        flatRate: {
+            type: Number,
+            default: 0,
+            min: 0
+        },
+        rates: [rateTierSchema],
+        // Package order value from which shipping is free (null = never)
+        freeShippingThreshold: {
+            type: Number,
+            default: null,
+            min: 0
+        },
+        estimatedDays: {
+            min: { type: Number, default: null },
+            max: { type: Number, default: null }
+        },
+        // Tie-break when several zones of the same owner match a destination
+        priority: {
+            type: Number,
+            default: 0
+        },
+        isActive: {
+            type: Boolean,
+            default: true
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+// Quote lookup: active zones of the vendors in a cart
+shippingZoneSchema.index({ vendor: 1, isActive: 1, priority: -1 });
+
+const ShippingZone = mongoose.model('ShippingZone', shippingZoneSchema);
+
+export default ShippingZone;
@@ -0,0 +1,27 @@
+import mongoose from 'mongoose';
+
+/**
+ * Shop Follower
+ * A customer following a vendor storefront (one document per pair)
+ */
+const shopFollowerSchema = new mongoose.Schema({
+    vendor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vendor',
+        required: true
+    },
+    customer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Customer',
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+shopFollowerSchema.index({ vendor: 1, customer: 1 }, { unique: true });
+shopFollowerSchema.index({ customer: 1, createdAt: -1 });
+
+const ShopFollower = mongoose.model('ShopFollower', shopFollowerSchema);
+
+export default ShopFollower;
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { RETURN_RESOLUTION } from '../constants.js';
 
 const siteContentSchema = new mongoose.Schema(
   {
@@ -30,6 +31,18 @@ const siteContentSchema = new mongoose.Schema(
       type: String,
       default: '',
     },
+    // Rules enforced by the return (RMA) workflow; returnPolicy is the customer-facing text
+    returnSettings: {
+      isEnabled: { type: Boolean, default: true },
+      returnWindowDays: { type: Number, default: 7, min: 0 }, // Days after delivery
+      vendorResponseDays: { type: Number, default: 2, min: 1 }, // Approve/reject deadline
+      requirePhotos: { type: Boolean, default: false },
+      allowedResolutions: {
+        type: [String],
+        enum: Object.values(RETURN_RESOLUTION),
+        default: () => Object.values(RETURN_RESOLUTION),
+      },
+    },
   },
   {
     timestamps: true,
@@ -1,6 +1,6 @@
 import mongoose from 'mongoose';
 import { hashPassword, comparePassword } from '../utils/security.js';
-import { ROLES, VENDOR_STATUS } from '../constants.js';
+import { ROLES, VENDOR_STATUS, INDIAN_STATES } from '../constants.js';
 
 const vendorSchema = new mongoose.Schema(
   {
@@ -58,6 +58,14 @@ const vendorSchema = new mongoose.Schema(
       url: { type: String, default: null },
       publicId: { type: String, default: null },
     },
+    // Public storefront URL (/shops/:shopSlug); set from the business name once known
+    shopSlug: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      unique: true,
+      sparse: true,
+    },
 
     // Step 2 Fields - Business TIN (Optional)
     businessTin: {
@@ -72,6 +80,8 @@ const vendorSchema = new mongoose.Schema(
     // Step 2 Fields - Tax & Legal (Optional Section, but fields mandatory IF section provided)
     taxAndLegal: {
       gstNumber: { type: String, trim: true },
+      // State of GST registration (place of supply); derived from the GSTIN when empty
+      registeredState: { type: String, enum: [...Object.keys(INDIAN_STATES), null], default: null },
       panNumber: { type: String, trim: true },
       taxRegistrationNumber: { type: String, trim: true },
       gstDocument: {
@@ -176,6 +186,9 @@ vendorSchema.index({ _id: 1, tokenVersion: 1 });
 // Index for phone number lookup
 vendorSchema.index({ phoneNumber: 1 });
 
+// Index for TIN expiry reminders (vendor-tin-expiry job)
+vendorSchema.index({ 'businessTin.expiryDate': 1, status: 1 });
+
 // Encrypt password
 vendorSchema.pre('save', async function (next) {
   if (!this.isModified('password')) {
@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+
+/**
+ * Customer Wallet
+ * Running balance of a customer's store credit. The balance is only ever moved
+ * together with a WalletTransaction (see WalletService), so it always equals
+ * the sum of the customer's ledger entries.
+ */
+const walletSchema = new mongoose.Schema({
+    customer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Customer',
+        required: true,
+        unique: true
+    },
+    balance: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    currency: {
+        type: String,
+        default: 'INR'
+    }
+}, {
+    timestamps: true,
+    versionKey: false
+});
+
+// Note: customer index is already created by { unique: true } in schema definition
+
+const Wallet = mongoose.model('Wallet', walletSchema);
+
+export default Wallet;
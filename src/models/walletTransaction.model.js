@@ -0,0 +1,111 @@
+import mongoose from 'mongoose';
+import { WALLET_ENTRY_TYPE, WALLET_ENTRY_SOURCE, WALLET_REFERENCE_TYPE } from '../constants.js';
+
+/**
+ * Wallet Transaction (ledger entry)
+ * Append-only. Every entry moves money between the customer's wallet and a
+ * platform contra account (refunds payable, marketing, order receipts...), so
+ * both sides of the movement are recorded. Mistakes are corrected with a
+ * reversing entry, never by editing or deleting one.
+ */
+const walletTransactionSchema = new mongoose.Schema({
+    wallet: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Wallet',
+        required: true
+    },
+    customer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Customer',
+        required: true
+    },
+    type: {
+        type: String,
+        enum: Object.values(WALLET_ENTRY_TYPE),
+        required: true
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: 0.01
+    },
+    balanceAfter: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    source: {
+        type: String,
+        enum: Object.values(WALLET_ENTRY_SOURCE),
+        required: true
+    },
+    // Other side of the entry (e.g. 'platform:refunds_payable')
+    contraAccount: {
+        type: String,
+        required: true
+    },
+    reason: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 500
+    },
+    reference: {
+        type: {
+            type: String,
+            enum: Object.values(WALLET_REFERENCE_TYPE),
+            required: true
+        },
+        id: { type: mongoose.Schema.Types.ObjectId, default: null },
+        number: { type: String, default: null } // Order / RMA number for statements
+    },
+    createdBy: {
+        role: {
+            type: String,
+            enum: ['customer', 'admin', 'employee', 'vendor', 'system'],
+            required: true
+        },
+        id: { type: mongoose.Schema.Types.ObjectId, default: null }
+    },
+    // Set for system postings so retries never post twice (e.g. 'order:<id>:payment')
+    idempotencyKey: {
+        type: String,
+        default: undefined
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false },
+    versionKey: false
+});
+
+const IMMUTABLE_ERROR = 'Wallet ledger entries are immutable';
+
+walletTransactionSchema.pre('save', function () {
+    if (!this.isNew) {
+        throw new Error(IMMUTABLE_ERROR);
+    }
+});
+
+walletTransactionSchema.pre(
+    ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+    function () {
+        throw new Error(IMMUTABLE_ERROR);
+    }
+);
+
+// ========================================
+// PERFORMANCE OPTIMIZATION: Database Indexes
+// ========================================
+
+// Statements (newest first)
+walletTransactionSchema.index({ customer: 1, createdAt: -1 });
+
+walletTransactionSchema.index({ 'reference.type': 1, 'reference.id': 1 });
+
+walletTransactionSchema.index(
+    { idempotencyKey: 1 },
+    { unique: true, partialFilterExpression: { idempotencyKey: { $type: 'string' } } }
+);
+
+const WalletTransaction = mongoose.model('WalletTransaction', walletTransactionSchema);
+
+export default WalletTransaction;
@@ -9,6 +9,20 @@ const wishlistItemSchema = new mongoose.Schema({
     addedAt: {
         type: Date,
         default: Date.now
+    },
+    // Opt-in email alerts for this product
+    alerts: {
+        backInStock: { type: Boolean, default: false },
+        priceDrop: { type: Boolean, default: false }
+    },
+    // Dedup state: lowest price already announced (seeded at opt-in) and last restock email
+    alertPrice: {
+        type: Number,
+        default: null
+    },
+    stockAlertedAt: {
+        type: Date,
+        default: null
     }
 }, { _id: false });
 
@@ -29,6 +43,9 @@ const wishlistSchema = new mongoose.Schema({
 // Compound index for fast product lookup
 wishlistSchema.index({ customer: 1, 'items.product': 1 });
 
+// Alert fan-out: who wishlisted a given product
+wishlistSchema.index({ 'items.product': 1 });
+
 // Virtual for total items count
 wishlistSchema.virtual('totalItems').get(function () {
     return this.items.length;
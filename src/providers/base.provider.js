@@ -0,0 +1,113 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import AppError from '../utils/AppError.js';
+import { HTTP_STATUS } from '../constants.js';
+
+/**
+ * Payment Provider Contract
+ *
+ * Every gateway adapter extends this class and implements:
+ *  - createPayment({ amount, currency, receipt, orderId, customer })  -> { gatewayOrderId, amount, currency, clientPayload }
+ *  - verifyClientPayment(payload, order)                              -> { valid, status, gatewayOrderId?, gatewayPaymentId, amount }
+ *    (valid = false means the client-supplied proof is untrusted, e.g. bad signature;
+ *    gatewayOrderId names the paid gateway order when it may be an earlier one)
+ *  - capturePayment({ gatewayOrderId, gatewayPaymentId, amount, currency }) -> { status, gatewayPaymentId, amount }
+ *  - refundPayment({ gatewayPaymentId, amount, currency, reason })    -> { refundId, status, amount }
+ *  - verifyWebhook({ rawBody, headers, body })                        -> boolean
+ *  - parseWebhook({ rawBody, headers, body })                         -> { type, eventId, gatewayOrderId, gatewayPaymentId, amount, reason }
+ *  - fetchPaymentStatus({ gatewayOrderId, gatewayPaymentId })         -> { status, gatewayPaymentId, amount }
+ *
+ * Amounts in and out are in major units (e.g. rupees); adapters convert as needed.
+ * `status` is always a PAYMENT_STATUS value; webhook `type` is paid | failed | refunded | ignored.
+ *
+ * The HTTP client is injected so adapters can be tested against stubs.
+ */
+class BasePaymentProvider {
+    constructor(name, credentials = {}, { http = axios, sandbox = true, callbackBaseUrl = '' } = {}) {
+        this.name = name;
+        this.credentials = credentials;
+        this.http = http;
+        this.sandbox = sandbox;
+        this.callbackBaseUrl = callbackBaseUrl;
+    }
+
+    async createPayment() { return this._notSupported('createPayment'); }
+
+    async verifyClientPayment() { return this._notSupported('verifyClientPayment'); }
+
+    async capturePayment() { return this._notSupported('capturePayment'); }
+
+    async refundPayment() { return this._notSupported('refundPayment'); }
+
+    async verifyWebhook() { return false; }
+
+    async parseWebhook() { return { type: 'ignored' }; }
+
+    async fetchPaymentStatus() { return this._notSupported('fetchPaymentStatus'); }
+
+    // ========================================
+    // Shared helpers
+    // ========================================
+
+    _notSupported(operation) {
+        throw new AppError(`${operation} is not supported by ${this.name}`, HTTP_STATUS.BAD_REQUEST, 'PAYMENT_OPERATION_NOT_SUPPORTED');
+    }
+
+    /**
+     * Whether this gateway issued the given order id for the order (current or earlier attempt)
+     */
+    _isIssuedGatewayOrder(order, gatewayOrderId) {
+        if (!gatewayOrderId) return false;
+        if (order.payment?.gateway === this.name && order.payment.gatewayOrderId === gatewayOrderId) return true;
+        return (order.payment?.gatewayOrders || []).some(entry => entry.gateway === this.name && entry.gatewayOrderId === gatewayOrderId);
+    }
+
+    _requireCredentials(...keys) {
+        const missing = keys.filter(key => !this.credentials[key]);
+        if (missing.length > 0) {
+            throw new AppError(`${this.name} is not configured (missing ${missing.join(', ')})`, HTTP_STATUS.SERVICE_UNAVAILABLE);
+        }
+    }
+
+    _toMinorUnits(amount) {
+        return Math.round(Number(amount) * 100);
+    }
+
+    _fromMinorUnits(amount) {
+        return Number(amount || 0) / 100;
+    }
+
+    _formatAmount(amount) {
+        return Number(amount).toFixed(2);
+    }
+
+    _hmacHex(algorithm, secret, payload) {
+        return crypto.createHmac(algorithm, secret).update(payload).digest('hex');
+    }
+
+    _safeEqual(expected, received) {
+        if (!expected || !received) return false;
+        const a = Buffer.from(String(expected));
+        const b = Buffer.from(String(received));
+        return a.length === b.length && crypto.timingSafeEqual(a, b);
+    }
+
+    _callbackUrl() {
+        return `${this.callbackBaseUrl}/api/v1/payments/${this.name}/webhook`;
+    }
+
+    /**
+     * Normalise gateway HTTP failures into a 502 AppError (original error is kept for logs)
+     */
+    _gatewayError(operation, error) {
+        const detail = error?.response?.data?.error?.description
+            || error?.response?.data?.error?.message
+            || error?.response?.data?.message
+            || error?.message;
+        const appError = new AppError(`${this.name} ${operation} failed`, HTTP_STATUS.BAD_GATEWAY, 'PAYMENT_GATEWAY_ERROR');
+        appError.detail = detail;
+        return appError;
+    }
+}
+
+export default BasePaymentProvider;
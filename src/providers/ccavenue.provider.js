@@ -0,0 +1,189 @@
+import crypto from 'crypto';
+import BasePaymentProvider from './base.provider.js';
+import { PAYMENT_STATUS } from '../constants.js';
+
+const CCAVENUE_LIVE = {
+    payment: 'https://secure.ccavenue.com/transaction/transaction.do?command=initiateTransaction',
+    api: 'https://api.ccavenue.com/apis/servlet/DoWebTrans'
+};
+const CCAVENUE_TEST = {
+    payment: 'https://test.ccavenue.com/transaction/transaction.do?command=initiateTransaction',
+    api: 'https://apitest.ccavenue.com/apis/servlet/DoWebTrans'
+};
+
+// Fixed IV mandated by the CCAvenue integration kit
+const CCAVENUE_IV = Buffer.from([0x00, 0x01, 0x02, 0x03, 0x04, 0x05, 0x06, 0x07, 0x08, 0x09, 0x0a, 0x0b, 0x0c, 0x0d, 0x0e, 0x0f]);
+
+/**
+ * CCAvenue Adapter - AES-128-CBC encrypted hosted checkout
+ * Credentials: clientId = merchant id, apiKey = access code, apiSecret = working key
+ * Responses are authentic when they decrypt with our working key.
+ */
+class CcavenueProvider extends BasePaymentProvider {
+    constructor(credentials, options) {
+        super('ccavenue', credentials, options);
+    }
+
+    get urls() {
+        return this.sandbox ? CCAVENUE_TEST : CCAVENUE_LIVE;
+    }
+
+    get _key() {
+        return crypto.createHash('md5').update(this.credentials.apiSecret).digest();
+    }
+
+    encrypt(plainText) {
+        const cipher = crypto.createCipheriv('aes-128-cbc', this._key, CCAVENUE_IV);
+        return cipher.update(plainText, 'utf8', 'hex') + cipher.final('hex');
+    }
+
+    decrypt(encryptedHex) {
+        const decipher = crypto.createDecipheriv('aes-128-cbc', this._key, CCAVENUE_IV);
+        return decipher.update(encryptedHex, 'hex', 'utf8') + decipher.final('utf8');
+    }
+
+    _mapStatus(status) {
+        const normalized = String(status || '').toLowerCase();
+        if (['success', 'successful', 'shipped'].includes(normalized)) return PAYMENT_STATUS.PAID;
+        if (['failure', 'aborted', 'unsuccessful', 'invalid', 'timeout', 'auto-cancelled', 'cancelled'].includes(normalized)) return PAYMENT_STATUS.FAILED;
+        if (['refunded', 'auto-reversed'].includes(normalized)) return PAYMENT_STATUS.REFUNDED;
+        return PAYMENT_STATUS.PENDING; // initiated, awaited
+    }
+
+    /**
+     * Encrypted JSON API call (status / refund)
+     */
+    async _api(command, payload) {
+        this._requireCredentials('apiKey', 'apiSecret');
+
+        const response = await this.http.request({
+            method: 'post',
+            url: this.urls.api,
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            data: new URLSearchParams({
+                enc_request: this.encrypt(JSON.stringify(payload)),
+                access_code: this.credentials.apiKey,
+                command,
+                request_type: 'JSON',
+                response_type: 'JSON',
+                version: '1.2'
+            }).toString()
+        });
+
+        const result = Object.fromEntries(new URLSearchParams(String(response.data)));
+        if (result.status !== '0') {
+            throw new Error(result.enc_response || 'CCAvenue API error');
+        }
+        return JSON.parse(this.decrypt(result.enc_response.trim()));
+    }
+
+    async createPayment({ amount, currency, receipt, orderId, customer = {} }) {
+        this._requireCredentials('clientId', 'apiKey', 'apiSecret');
+
+        const gatewayOrderId = `${receipt}-${Date.now().toString(36)}`.slice(0, 30);
+        const merchantParams = new URLSearchParams({
+            merchant_id: this.credentials.clientId,
+            order_id: gatewayOrderId,
+            amount: this._formatAmount(amount),
+            currency,
+            redirect_url: this._callbackUrl(),
+            cancel_url: this._callbackUrl(),
+            language: 'EN',
+            billing_name: customer.name || '',
+            billing_email: customer.email || '',
+            billing_tel: customer.phoneNumber || '',
+            merchant_param1: String(orderId)
+        }).toString();
+
+        return {
+            gatewayOrderId,
+            amount: Number(amount),
+            currency,
+            clientPayload: {
+                action: this.urls.payment,
+                method: 'POST',
+                params: {
+                    encRequest: this.encrypt(merchantParams),
+                    access_code: this.credentials.apiKey
+                }
+            }
+        };
+    }
+
+    async verifyClientPayment(payload, order) {
+        const result = await this.fetchPaymentStatus({ gatewayOrderId: order.payment?.gatewayOrderId });
+        return { ...result, valid: true };
+    }
+
+    // CCAvenue captures automatically - capture is a status sync
+    async capturePayment({ gatewayOrderId }) {
+        return this.fetchPaymentStatus({ gatewayOrderId });
+    }
+
+    async refundPayment({ gatewayPaymentId, amount }) {
+        try {
+            const refundRef = `RF${Date.now().toString(36)}`;
+            const result = await this._api('refundOrder', {
+                reference_no: gatewayPaymentId,
+                refund_amount: this._formatAmount(amount),
+                refund_ref_no: refundRef
+            });
+
+            const outcome = result.Refund_Order_Result || result;
+            if (Number(outcome.refund_status) !== 0) {
+                throw new Error(outcome.reason || 'Refund rejected');
+            }
+
+            return { refundId: refundRef, status: 'processed', amount: Number(amount) };
+        } catch (error) {
+            throw this._gatewayError('refund', error);
+        }
+    }
+
+    _decodeResponse(body) {
+        if (!body?.encResp || !this.credentials.apiSecret) return null;
+        try {
+            return Object.fromEntries(new URLSearchParams(this.decrypt(String(body.encResp).trim())));
+        } catch {
+            return null;
+        }
+    }
+
+    async verifyWebhook({ body }) {
+        const decoded = this._decodeResponse(body);
+        return !!(decoded?.order_id && decoded?.tracking_id !== undefined);
+    }
+
+    async parseWebhook({ body }) {
+        const decoded = this._decodeResponse(body) || {};
+        const status = this._mapStatus(decoded.order_status);
+        const base = {
+            eventId: decoded.tracking_id ? `${decoded.tracking_id}:${decoded.order_status}` : null,
+            gatewayOrderId: decoded.order_id,
+            gatewayPaymentId: decoded.tracking_id || null
+        };
+
+        if (status === PAYMENT_STATUS.PAID) {
+            return { ...base, type: 'paid', amount: Number(decoded.amount) };
+        }
+        if (status === PAYMENT_STATUS.FAILED) {
+            return { ...base, type: 'failed', reason: decoded.failure_message || decoded.status_message || decoded.order_status };
+        }
+        return { ...base, type: 'ignored', event: decoded.order_status };
+    }
+
+    async fetchPaymentStatus({ gatewayOrderId }) {
+        try {
+            const result = await this._api('orderStatusTracker', { order_no: gatewayOrderId });
+            return {
+                status: this._mapStatus(result.order_status),
+                gatewayPaymentId: result.reference_no || null,
+                amount: Number(result.order_amt || 0)
+            };
+        } catch (error) {
+            throw this._gatewayError('status lookup', error);
+        }
+    }
+}
+
+export default CcavenueProvider;
@@ -0,0 +1,75 @@
+import axios from 'axios';
+import GoogleMapService from '../services/googleMap.service.js';
+import Logger from '../utils/logger.js';
+
+const GEOCODE_URL = 'https://maps.googleapis.com/maps/api/geocode/json';
+const GEOCODE_TIMEOUT_MS = 5000;
+
+/**
+ * Google Geocoding adapter
+ * Resolves a postal address to coordinates with the admin-configured server key.
+ * Geocoding is best effort: a missing key, a miss or an API failure yields null
+ * and the address is saved without a location.
+ */
+const googleGeocoder = {
+  async geocode(address, { http }) {
+    const key = await GoogleMapService.getServerKey();
+    if (!key) return null;
+
+    const query = [address.addressLine1, address.addressLine2, address.landmark, address.city, address.state, address.pincode, address.country || 'India']
+      .filter(Boolean)
+      .join(', ');
+
+    try {
+      const { data } = await http.get(GEOCODE_URL, {
+        params: { address: query, components: `country:IN|postal_code:${address.pincode}`, key },
+        timeout: GEOCODE_TIMEOUT_MS,
+      });
+
+      if (data?.status !== 'OK' || !data.results?.length) {
+        Logger.warn('Geocoding returned no result', { status: data?.status, pincode: address.pincode });
+        return null;
+      }
+
+      const [result] = data.results;
+      return {
+        lat: result.geometry.location.lat,
+        lng: result.geometry.location.lng,
+        formattedAddress: result.formatted_address || null,
+      };
+    } catch (error) {
+      Logger.warn('Geocoding request failed', { error: error.message, pincode: address.pincode });
+      return null;
+    }
+  },
+};
+
+let geocoder = googleGeocoder;
+let httpClient = axios;
+
+/**
+ * Swap the geocoder (tests / other map vendors). Must expose `geocode(address, { http })`.
+ */
+export const setGeocoder = (adapter) => {
+  geocoder = adapter || googleGeocoder;
+};
+
+/**
+ * Swap the HTTP client used by the Google adapter (tests / local stubs)
+ */
+export const setGeocodingHttpClient = (client) => {
+  httpClient = client || axios;
+};
+
+/**
+ * @returns {Promise<{lat: number, lng: number, formattedAddress: string|null}|null>}
+ */
+export const geocodeAddress = async (address) => {
+  return await geocoder.geocode(address, { http: httpClient });
+};
+
+export default {
+  setGeocoder,
+  setGeocodingHttpClient,
+  geocodeAddress,
+};
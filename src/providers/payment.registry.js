@@ -0,0 +1,55 @@
+import axios from 'axios';
+import env from '../config/env.js';
+import RazorpayProvider from './razorpay.provider.js';
+import StripeProvider from './stripe.provider.js';
+import PaypalProvider from './paypal.provider.js';
+import PayuProvider from './payu.provider.js';
+import CcavenueProvider from './ccavenue.provider.js';
+
+/**
+ * Payment Provider Registry
+ * One adapter per PaymentGateway `name` enum value. Adding a gateway means
+ * adding an adapter here - checkout and payment services stay untouched.
+ */
+const providers = new Map([
+  ['razorpay', RazorpayProvider],
+  ['stripe', StripeProvider],
+  ['paypal', PaypalProvider],
+  ['payu', PayuProvider],
+  ['ccavenue', CcavenueProvider],
+]);
+
+let httpClient = axios;
+
+export const hasPaymentProvider = (name) => providers.has(name);
+
+export const registerPaymentProvider = (name, ProviderClass) => {
+  providers.set(name, ProviderClass);
+};
+
+/**
+ * Swap the HTTP client used by REST adapters (tests / local stubs)
+ */
+export const setPaymentHttpClient = (client) => {
+  httpClient = client || axios;
+};
+
+export const createPaymentProvider = (name, credentials) => {
+  const ProviderClass = providers.get(name);
+  if (!ProviderClass) {
+    return null;
+  }
+
+  return new ProviderClass(credentials, {
+    http: httpClient,
+    sandbox: env.PAYMENT_SANDBOX,
+    callbackBaseUrl: env.API_PUBLIC_URL,
+  });
+};
+
+export default {
+  hasPaymentProvider,
+  registerPaymentProvider,
+  setPaymentHttpClient,
+  createPaymentProvider,
+};
@@ -0,0 +1,187 @@
+import BasePaymentProvider from './base.provider.js';
+import { PAYMENT_STATUS } from '../constants.js';
+
+const PAYPAL_LIVE_API = 'https://api-m.paypal.com';
+const PAYPAL_SANDBOX_API = 'https://api-m.sandbox.paypal.com';
+
+/**
+ * PayPal Adapter (Orders v2 REST API)
+ * Credentials: clientId = REST client id, apiSecret = client secret, webhookSecret = webhook id
+ * (PayPal verifies webhooks server-side against the registered webhook id).
+ */
+class PaypalProvider extends BasePaymentProvider {
+    constructor(credentials, options) {
+        super('paypal', credentials, options);
+    }
+
+    get baseUrl() {
+        return this.sandbox ? PAYPAL_SANDBOX_API : PAYPAL_LIVE_API;
+    }
+
+    async _accessToken() {
+        this._requireCredentials('clientId', 'apiSecret');
+
+        if (this._token && this._tokenExpiresAt > Date.now()) {
+            return this._token;
+        }
+
+        const response = await this.http.request({
+            method: 'post',
+            url: `${this.baseUrl}/v1/oauth2/token`,
+            auth: { username: this.credentials.clientId, password: this.credentials.apiSecret },
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            data: 'grant_type=client_credentials'
+        });
+
+        this._token = response.data.access_token;
+        // Refresh a minute early
+        this._tokenExpiresAt = Date.now() + Math.max((response.data.expires_in || 0) - 60, 0) * 1000;
+        return this._token;
+    }
+
+    async _request(method, path, data = undefined) {
+        const token = await this._accessToken();
+        const response = await this.http.request({
+            method,
+            url: `${this.baseUrl}${path}`,
+            headers: {
+                Authorization: `Bearer ${token}`,
+                'Content-Type': 'application/json'
+            },
+            data
+        });
+        return response.data;
+    }
+
+    _mapStatus(status) {
+        if (status === 'COMPLETED') return PAYMENT_STATUS.PAID;
+        if (status === 'VOIDED' || status === 'DECLINED' || status === 'FAILED') return PAYMENT_STATUS.FAILED;
+        if (status === 'REFUNDED') return PAYMENT_STATUS.REFUNDED;
+        return PAYMENT_STATUS.PENDING; // CREATED, SAVED, APPROVED, PAYER_ACTION_REQUIRED
+    }
+
+    _captureOf(paypalOrder) {
+        return paypalOrder?.purchase_units?.[0]?.payments?.captures?.[0] || null;
+    }
+
+    async createPayment({ amount, currency, receipt, orderId }) {
+        try {
+            const paypalOrder = await this._request('post', '/v2/checkout/orders', {
+                intent: 'CAPTURE',
+                purchase_units: [{
+                    reference_id: receipt,
+                    custom_id: String(orderId),
+                    amount: { currency_code: currency, value: this._formatAmount(amount) }
+                }]
+            });
+
+            const approveLink = (paypalOrder.links || []).find(link => link.rel === 'approve' || link.rel === 'payer-action');
+
+            return {
+                gatewayOrderId: paypalOrder.id,
+                amount: Number(amount),
+                currency,
+                clientPayload: {
+                    clientId: this.credentials.clientId,
+                    paypalOrderId: paypalOrder.id,
+                    approveUrl: approveLink?.href || null
+                }
+            };
+        } catch (error) {
+            throw this._gatewayError('order creation', error);
+        }
+    }
+
+    /**
+     * After buyer approval the order still has to be captured server-side.
+     */
+    async verifyClientPayment(payload, order) {
+        const result = await this.capturePayment({ gatewayOrderId: order.payment?.gatewayOrderId });
+        return { ...result, valid: true };
+    }
+
+    async capturePayment({ gatewayOrderId }) {
+        try {
+            const paypalOrder = await this._request('post', `/v2/checkout/orders/${gatewayOrderId}/capture`, {});
+            const capture = this._captureOf(paypalOrder);
+            return {
+                status: this._mapStatus(capture?.status || paypalOrder.status),
+                gatewayPaymentId: capture?.id || null,
+                amount: Number(capture?.amount?.value || 0)
+            };
+        } catch (error) {
+            // Already captured (e.g. by a retried request) - fall back to the current state
+            if (error?.response?.data?.details?.[0]?.issue === 'ORDER_ALREADY_CAPTURED') {
+                return this.fetchPaymentStatus({ gatewayOrderId });
+            }
+            throw this._gatewayError('capture', error);
+        }
+    }
+
+    async refundPayment({ gatewayPaymentId, amount, currency, reason }) {
+        try {
+            const refund = await this._request('post', `/v2/payments/captures/${gatewayPaymentId}/refund`, {
+                amount: { currency_code: currency, value: this._formatAmount(amount) },
+                note_to_payer: reason || undefined
+            });
+            return { refundId: refund.id, status: refund.status, amount: Number(refund.amount?.value ?? amount) };
+        } catch (error) {
+            throw this._gatewayError('refund', error);
+        }
+    }
+
+    async verifyWebhook({ headers, body }) {
+        if (!this.credentials.webhookSecret || !body) return false;
+
+        try {
+            const result = await this._request('post', '/v1/notifications/verify-webhook-signature', {
+                auth_algo: headers['paypal-auth-algo'],
+                cert_url: headers['paypal-cert-url'],
+                transmission_id: headers['paypal-transmission-id'],
+                transmission_sig: headers['paypal-transmission-sig'],
+                transmission_time: headers['paypal-transmission-time'],
+                webhook_id: this.credentials.webhookSecret,
+                webhook_event: body
+            });
+            return result.verification_status === 'SUCCESS';
+        } catch {
+            return false;
+        }
+    }
+
+    async parseWebhook({ body }) {
+        const resource = body?.resource || {};
+        const base = {
+            eventId: body?.id || null,
+            gatewayOrderId: resource.supplementary_data?.related_ids?.order_id || null,
+            gatewayPaymentId: resource.id || null
+        };
+
+        switch (body?.event_type) {
+            case 'PAYMENT.CAPTURE.COMPLETED':
+                return { ...base, type: 'paid', amount: Number(resource.amount?.value || 0) };
+            case 'PAYMENT.CAPTURE.DENIED':
+                return { ...base, type: 'failed', reason: resource.status_details?.reason || 'Capture denied' };
+            case 'PAYMENT.CAPTURE.REFUNDED':
+                return { ...base, type: 'refunded', amount: Number(resource.amount?.value || 0) };
+            default:
+                return { ...base, type: 'ignored', event: body?.event_type };
+        }
+    }
+
+    async fetchPaymentStatus({ gatewayOrderId }) {
+        try {
+            const paypalOrder = await this._request('get', `/v2/checkout/orders/${gatewayOrderId}`);
+            const capture = this._captureOf(paypalOrder);
+            return {
+                status: this._mapStatus(capture?.status || paypalOrder.status),
+                gatewayPaymentId: capture?.id || null,
+                amount: Number(capture?.amount?.value || 0)
+            };
+        } catch (error) {
+            throw this._gatewayError('status lookup', error);
+        }
+    }
+}
+
+export default PaypalProvider;
@@ -0,0 +1,167 @@
+import crypto from 'crypto';
+import BasePaymentProvider from './base.provider.js';
+import { PAYMENT_STATUS } from '../constants.js';
+
+const PAYU_LIVE = { payment: 'https://secure.payu.in/_payment', api: 'https://info.payu.in/merchant/postservice.php?form=2' };
+const PAYU_TEST = { payment: 'https://test.payu.in/_payment', api: 'https://test.payu.in/merchant/postservice.php?form=2' };
+
+/**
+ * PayU (India) Adapter - hosted checkout with SHA-512 request/response hashes
+ * Credentials: apiKey = merchant key, apiSecret = merchant salt
+ * PayU posts the result to surl/furl (our webhook route) as form data.
+ */
+class PayuProvider extends BasePaymentProvider {
+    constructor(credentials, options) {
+        super('payu', credentials, options);
+    }
+
+    get urls() {
+        return this.sandbox ? PAYU_TEST : PAYU_LIVE;
+    }
+
+    _sha512(value) {
+        return crypto.createHash('sha512').update(value).digest('hex');
+    }
+
+    _mapStatus(status) {
+        const normalized = String(status || '').toLowerCase();
+        if (normalized === 'success' || normalized === 'captured') return PAYMENT_STATUS.PAID;
+        if (normalized === 'failure' || normalized === 'failed' || normalized === 'usercancelled' || normalized === 'dropped' || normalized === 'bounced') return PAYMENT_STATUS.FAILED;
+        return PAYMENT_STATUS.PENDING;
+    }
+
+    /**
+     * key|command|var1|salt hash used by the merchant postservice API
+     */
+    async _command(command, var1, extra = {}) {
+        this._requireCredentials('apiKey', 'apiSecret');
+        const { apiKey, apiSecret } = this.credentials;
+
+        const response = await this.http.request({
+            method: 'post',
+            url: this.urls.api,
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            data: new URLSearchParams({
+                key: apiKey,
+                command,
+                var1,
+                ...extra,
+                hash: this._sha512(`${apiKey}|${command}|${var1}|${apiSecret}`)
+            }).toString()
+        });
+        return response.data;
+    }
+
+    async createPayment({ amount, receipt, orderId, customer = {} }) {
+        this._requireCredentials('apiKey', 'apiSecret');
+        const { apiKey, apiSecret } = this.credentials;
+
+        // PayU needs a fresh txnid per attempt
+        const txnid = `${receipt}-${Date.now().toString(36)}`.slice(0, 25);
+        const params = {
+            key: apiKey,
+            txnid,
+            amount: this._formatAmount(amount),
+            productinfo: receipt,
+            firstname: customer.name || 'Customer',
+            email: customer.email || '',
+            phone: customer.phoneNumber || '',
+            udf1: String(orderId),
+            surl: this._callbackUrl(),
+            furl: this._callbackUrl()
+        };
+
+        params.hash = this._sha512([
+            params.key, params.txnid, params.amount, params.productinfo, params.firstname, params.email,
+            params.udf1, '', '', '', '', '', '', '', '', '', apiSecret
+        ].join('|'));
+
+        return {
+            gatewayOrderId: txnid,
+            amount: Number(amount),
+            currency: 'INR',
+            clientPayload: { action: this.urls.payment, method: 'POST', params }
+        };
+    }
+
+    async verifyClientPayment(payload, order) {
+        const result = await this.fetchPaymentStatus({ gatewayOrderId: order.payment?.gatewayOrderId });
+        return { ...result, valid: true };
+    }
+
+    // PayU captures automatically - capture is a status sync
+    async capturePayment({ gatewayOrderId }) {
+        return this.fetchPaymentStatus({ gatewayOrderId });
+    }
+
+    async refundPayment({ gatewayPaymentId, amount }) {
+        try {
+            const token = `RF${Date.now().toString(36)}`;
+            const result = await this._command('cancel_refund_transaction', gatewayPaymentId, {
+                var2: token,
+                var3: this._formatAmount(amount)
+            });
+
+            if (Number(result.status) !== 1) {
+                throw new Error(result.msg || 'Refund rejected');
+            }
+
+            return { refundId: result.request_id || token, status: 'pending', amount: Number(amount) };
+        } catch (error) {
+            throw this._gatewayError('refund', error);
+        }
+    }
+
+    /**
+     * Reverse hash: salt|status||||||udf5|udf4|udf3|udf2|udf1|email|firstname|productinfo|amount|txnid|key
+     */
+    async verifyWebhook({ body }) {
+        const { apiKey, apiSecret } = this.credentials;
+        if (!apiKey || !apiSecret || !body?.hash || body.key !== apiKey) return false;
+
+        const sequence = [
+            apiSecret, body.status, '', '', '', '', '',
+            body.udf5 || '', body.udf4 || '', body.udf3 || '', body.udf2 || '', body.udf1 || '',
+            body.email || '', body.firstname || '', body.productinfo || '', body.amount, body.txnid, body.key
+        ];
+        // additionalCharges is prepended when PayU adds convenience fees
+        const hashInput = body.additionalCharges ? `${body.additionalCharges}|${sequence.join('|')}` : sequence.join('|');
+
+        return this._safeEqual(this._sha512(hashInput), body.hash);
+    }
+
+    async parseWebhook({ body }) {
+        const status = this._mapStatus(body.status);
+        const base = {
+            eventId: body.mihpayid ? `${body.mihpayid}:${body.status}` : null,
+            gatewayOrderId: body.txnid,
+            gatewayPaymentId: body.mihpayid || null
+        };
+
+        if (status === PAYMENT_STATUS.PAID) {
+            return { ...base, type: 'paid', amount: Number(body.amount) };
+        }
+        if (status === PAYMENT_STATUS.FAILED) {
+            return { ...base, type: 'failed', reason: body.error_Message || body.field9 || null };
+        }
+        return { ...base, type: 'ignored', event: body.status };
+    }
+
+    async fetchPaymentStatus({ gatewayOrderId }) {
+        try {
+            const result = await this._command('verify_payment', gatewayOrderId);
+            const details = result.transaction_details?.[gatewayOrderId];
+            if (!details) return { status: PAYMENT_STATUS.PENDING };
+
+            return {
+                status: this._mapStatus(details.status),
+                gatewayPaymentId: details.mihpayid || null,
+                amount: Number(details.amt || details.transaction_amount || 0)
+            };
+        } catch (error) {
+            throw this._gatewayError('status lookup', error);
+        }
+    }
+}
+
+export default PayuProvider;
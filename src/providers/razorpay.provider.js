@@ -0,0 +1,168 @@
+import BasePaymentProvider from './base.provider.js';
+import { createRazorpayClient } from '../utils/razorpay.client.js';
+import { PAYMENT_STATUS } from '../constants.js';
+
+/**
+ * Razorpay Adapter (official SDK via the replaceable client factory)
+ * Credentials: apiKey = key_id, apiSecret = key_secret, webhookSecret = webhook secret
+ */
+class RazorpayProvider extends BasePaymentProvider {
+    constructor(credentials, options) {
+        super('razorpay', credentials, options);
+    }
+
+    get client() {
+        this._requireCredentials('apiKey', 'apiSecret');
+        if (!this._client) {
+            this._client = createRazorpayClient({ keyId: this.credentials.apiKey, keySecret: this.credentials.apiSecret });
+        }
+        return this._client;
+    }
+
+    _mapStatus(status) {
+        if (status === 'captured') return PAYMENT_STATUS.PAID;
+        if (status === 'failed') return PAYMENT_STATUS.FAILED;
+        if (status === 'refunded') return PAYMENT_STATUS.REFUNDED;
+        return PAYMENT_STATUS.PENDING; // created / authorized
+    }
+
+    async createPayment({ amount, currency, receipt, orderId }) {
+        let gatewayOrder;
+        try {
+            gatewayOrder = await this.client.orders.create({
+                amount: this._toMinorUnits(amount),
+                currency,
+                receipt,
+                notes: { orderId: String(orderId), orderNumber: receipt }
+            });
+        } catch (error) {
+            throw this._gatewayError('order creation', error);
+        }
+
+        return {
+            gatewayOrderId: gatewayOrder.id,
+            amount: this._fromMinorUnits(gatewayOrder.amount),
+            currency: gatewayOrder.currency,
+            clientPayload: {
+                keyId: this.credentials.apiKey,
+                razorpayOrderId: gatewayOrder.id,
+                amount: gatewayOrder.amount,
+                currency: gatewayOrder.currency
+            }
+        };
+    }
+
+    /**
+     * Checkout.js handler response: razorpay_signature = HMAC_SHA256(order_id|payment_id, key_secret)
+     */
+    async verifyClientPayment({ razorpayOrderId, razorpayPaymentId, razorpaySignature }, order) {
+        this._requireCredentials('apiSecret');
+
+        // The customer may complete checkout on an earlier gateway order (retry, second tab)
+        if (!this._isIssuedGatewayOrder(order, razorpayOrderId)) {
+            return { valid: false };
+        }
+
+        const expected = this._hmacHex('sha256', this.credentials.apiSecret, `${razorpayOrderId}|${razorpayPaymentId}`);
+        if (!this._safeEqual(expected, razorpaySignature)) {
+            return { valid: false };
+        }
+
+        // The signature does not carry the amount; report what the gateway actually took
+        // (orders paid partly from the wallet are charged less than their total)
+        let payment;
+        try {
+            payment = await this.client.payments.fetch(razorpayPaymentId);
+        } catch (error) {
+            throw this._gatewayError('payment lookup', error);
+        }
+        if (payment.order_id !== razorpayOrderId) {
+            return { valid: false };
+        }
+
+        // Only a captured payment is paid; an authorised one stays pending until capture or its webhook
+        return {
+            status: this._mapStatus(payment.status),
+            valid: true,
+            gatewayOrderId: razorpayOrderId,
+            gatewayPaymentId: razorpayPaymentId,
+            amount: this._fromMinorUnits(payment.amount)
+        };
+    }
+
+    async capturePayment({ gatewayPaymentId, amount, currency }) {
+        try {
+            const payment = await this.client.payments.capture(gatewayPaymentId, this._toMinorUnits(amount), currency);
+            return { status: this._mapStatus(payment.status), gatewayPaymentId: payment.id, amount: this._fromMinorUnits(payment.amount) };
+        } catch (error) {
+            throw this._gatewayError('capture', error);
+        }
+    }
+
+    async refundPayment({ gatewayPaymentId, amount, reason }) {
+        try {
+            const refund = await this.client.payments.refund(gatewayPaymentId, {
+                amount: this._toMinorUnits(amount),
+                notes: reason ? { reason } : undefined
+            });
+            return { refundId: refund.id, status: refund.status, amount: this._fromMinorUnits(refund.amount) };
+        } catch (error) {
+            throw this._gatewayError('refund', error);
+        }
+    }
+
+    async verifyWebhook({ rawBody, headers }) {
+        const secret = this.credentials.webhookSecret;
+        if (!secret || !rawBody) return false;
+
+        const expected = this._hmacHex('sha256', secret, Buffer.isBuffer(rawBody) ? rawBody : String(rawBody));
+        return this._safeEqual(expected, headers['x-razorpay-signature']);
+    }
+
+    async parseWebhook({ rawBody, headers }) {
+        const event = JSON.parse(Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : String(rawBody));
+        const payment = event.payload?.payment?.entity;
+        const refund = event.payload?.refund?.entity;
+        const base = {
+            eventId: headers['x-razorpay-event-id'] || null,
+            gatewayOrderId: payment?.order_id || event.payload?.order?.entity?.id || null,
+            gatewayPaymentId: payment?.id || refund?.payment_id || null
+        };
+
+        switch (event.event) {
+            case 'payment.captured':
+            case 'order.paid':
+                return {
+                    ...base,
+                    type: 'paid',
+                    amount: this._fromMinorUnits(payment?.amount ?? event.payload?.order?.entity?.amount_paid)
+                };
+            case 'payment.failed':
+                return { ...base, type: 'failed', reason: payment?.error_description || null };
+            case 'refund.processed':
+                return { ...base, type: 'refunded', refundId: refund?.id, amount: this._fromMinorUnits(refund?.amount) };
+            default:
+                return { ...base, type: 'ignored', event: event.event };
+        }
+    }
+
+    async fetchPaymentStatus({ gatewayOrderId, gatewayPaymentId }) {
+        try {
+            if (gatewayPaymentId) {
+                const payment = await this.client.payments.fetch(gatewayPaymentId);
+                return { status: this._mapStatus(payment.status), gatewayPaymentId: payment.id, amount: this._fromMinorUnits(payment.amount) };
+            }
+
+            const { items = [] } = await this.client.orders.fetchPayments(gatewayOrderId);
+            const captured = items.find(p => p.status === 'captured');
+            const latest = captured || items[0];
+            if (!latest) return { status: PAYMENT_STATUS.PENDING };
+
+            return { status: this._mapStatus(latest.status), gatewayPaymentId: latest.id, amount: this._fromMinorUnits(latest.amount) };
+        } catch (error) {
+            throw this._gatewayError('status lookup', error);
+        }
+    }
+}
+
+export default RazorpayProvider;
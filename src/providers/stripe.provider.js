@@ -0,0 +1,174 @@
+import BasePaymentProvider from './base.provider.js';
+import { PAYMENT_STATUS } from '../constants.js';
+
+const STRIPE_API = 'https://api.stripe.com/v1';
+
+// Reject webhook timestamps older than this (replay protection, Stripe default)
+const WEBHOOK_TOLERANCE_SECONDS = 300;
+
+/**
+ * Stripe Adapter (PaymentIntents REST API)
+ * Credentials: apiKey = publishable key, apiSecret = secret key, webhookSecret = endpoint signing secret (whsec_...)
+ */
+class StripeProvider extends BasePaymentProvider {
+    constructor(credentials, options) {
+        super('stripe', credentials, options);
+    }
+
+    async _request(method, path, params = null) {
+        this._requireCredentials('apiSecret');
+
+        const response = await this.http.request({
+            method,
+            url: `${STRIPE_API}${path}`,
+            headers: {
+                Authorization: `Bearer ${this.credentials.apiSecret}`,
+                'Content-Type': 'application/x-www-form-urlencoded'
+            },
+            data: params ? new URLSearchParams(params).toString() : undefined
+        });
+        return response.data;
+    }
+
+    _mapStatus(status) {
+        if (status === 'succeeded') return PAYMENT_STATUS.PAID;
+        if (status === 'canceled') return PAYMENT_STATUS.FAILED;
+        return PAYMENT_STATUS.PENDING; // requires_payment_method, requires_action, processing, requires_capture
+    }
+
+    _result(intent) {
+        return {
+            status: this._mapStatus(intent.status),
+            gatewayPaymentId: intent.latest_charge || intent.id,
+            amount: this._fromMinorUnits(intent.amount_received || intent.amount)
+        };
+    }
+
+    async createPayment({ amount, currency, receipt, orderId }) {
+        try {
+            const intent = await this._request('post', '/payment_intents', {
+                amount: String(this._toMinorUnits(amount)),
+                currency: currency.toLowerCase(),
+                'automatic_payment_methods[enabled]': 'true',
+                'metadata[orderId]': String(orderId),
+                'metadata[orderNumber]': receipt
+            });
+
+            return {
+                gatewayOrderId: intent.id,
+                amount: this._fromMinorUnits(intent.amount),
+                currency: intent.currency.toUpperCase(),
+                clientPayload: {
+                    publishableKey: this.credentials.apiKey,
+                    clientSecret: intent.client_secret
+                }
+            };
+        } catch (error) {
+            throw this._gatewayError('payment intent creation', error);
+        }
+    }
+
+    /**
+     * Stripe.js confirms client-side; the server re-reads the intent instead of trusting the client.
+     */
+    async verifyClientPayment(payload, order) {
+        const result = await this.fetchPaymentStatus({ gatewayOrderId: order.payment?.gatewayOrderId });
+        return { ...result, valid: true };
+    }
+
+    async capturePayment({ gatewayOrderId, amount }) {
+        try {
+            const intent = await this._request('post', `/payment_intents/${gatewayOrderId}/capture`, amount
+                ? { amount_to_capture: String(this._toMinorUnits(amount)) }
+                : null);
+            return this._result(intent);
+        } catch (error) {
+            throw this._gatewayError('capture', error);
+        }
+    }
+
+    async refundPayment({ gatewayOrderId, gatewayPaymentId, amount, reason }) {
+        try {
+            const params = { amount: String(this._toMinorUnits(amount)) };
+            if (gatewayPaymentId?.startsWith('ch_') || gatewayPaymentId?.startsWith('py_')) {
+                params.charge = gatewayPaymentId;
+            } else {
+                params.payment_intent = gatewayOrderId;
+            }
+            if (reason) params['metadata[reason]'] = reason;
+
+            const refund = await this._request('post', '/refunds', params);
+            return { refundId: refund.id, status: refund.status, amount: this._fromMinorUnits(refund.amount) };
+        } catch (error) {
+            throw this._gatewayError('refund', error);
+        }
+    }
+
+    /**
+     * Stripe-Signature: t=<timestamp>,v1=<HMAC_SHA256("<t>.<raw body>", whsec)>
+     */
+    async verifyWebhook({ rawBody, headers }) {
+        const secret = this.credentials.webhookSecret;
+        const header = headers['stripe-signature'];
+        if (!secret || !header || !rawBody) return false;
+
+        const parts = String(header).split(',').reduce((acc, part) => {
+            const [key, value] = part.split('=');
+            (acc[key] = acc[key] || []).push(value);
+            return acc;
+        }, {});
+
+        const timestamp = Number(parts.t?.[0]);
+        if (!timestamp || Math.abs(Date.now() / 1000 - timestamp) > WEBHOOK_TOLERANCE_SECONDS) return false;
+
+        const body = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : String(rawBody);
+        const expected = this._hmacHex('sha256', secret, `${timestamp}.${body}`);
+
+        return (parts.v1 || []).some(signature => this._safeEqual(expected, signature));
+    }
+
+    async parseWebhook({ rawBody }) {
+        const event = JSON.parse(Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : String(rawBody));
+        const object = event.data?.object || {};
+
+        switch (event.type) {
+            case 'payment_intent.succeeded':
+                return {
+                    type: 'paid',
+                    eventId: event.id,
+                    gatewayOrderId: object.id,
+                    gatewayPaymentId: object.latest_charge || object.id,
+                    amount: this._fromMinorUnits(object.amount_received)
+                };
+            case 'payment_intent.payment_failed':
+                return {
+                    type: 'failed',
+                    eventId: event.id,
+                    gatewayOrderId: object.id,
+                    gatewayPaymentId: object.latest_charge || null,
+                    reason: object.last_payment_error?.message || null
+                };
+            case 'charge.refunded':
+                return {
+                    type: 'refunded',
+                    eventId: event.id,
+                    gatewayOrderId: object.payment_intent,
+                    gatewayPaymentId: object.id,
+                    amount: this._fromMinorUnits(object.amount_refunded)
+                };
+            default:
+                return { type: 'ignored', eventId: event.id, event: event.type };
+        }
+    }
+
+    async fetchPaymentStatus({ gatewayOrderId }) {
+        try {
+            const intent = await this._request('get', `/payment_intents/${gatewayOrderId}`);
+            return this._result(intent);
+        } catch (error) {
+            throw this._gatewayError('status lookup', error);
+        }
+    }
+}
+
+export default StripeProvider;
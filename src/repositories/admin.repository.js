@@ -49,6 +49,14 @@ class AdminRepository {
     return await Admin.findByIdAndUpdate(id, updateData, { returnDocument: 'after', runValidators: true });
   }
 
+  /**
+   * Every admin account (staff-wide notifications)
+   */
+  async findAllIds() {
+    const admins = await Admin.find({}).select('_id').lean();
+    return admins.map(admin => admin._id);
+  }
+
   async count() {
     return await Admin.countDocuments();
   }
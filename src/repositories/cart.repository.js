@@ -1,6 +1,10 @@
 import Cart from '../models/cart.model.js';
+import CartRecovery from '../models/cartRecovery.model.js';
 import Logger from '../utils/logger.js';
 
+// Everything pricing, coupon eligibility and checkout need from the product
+const CART_PRODUCT_FIELDS = 'name slug sku price discount discountType thumbnail quantity isActive status vendor category subCategory productType tax taxType taxInclusive hsnCode shippingCost multiplyShippingCost weight variations';
+
 class CartRepository {
     /**
      * Find cart by customer ID
@@ -9,7 +13,7 @@ class CartRepository {
         return await Cart.findOne({ customer: customerId })
             .populate({
                 path: 'items.product',
-                select: 'name slug price discount discountType thumbnail quantity isActive status'
+                select: CART_PRODUCT_FIELDS
             })
             .lean()
             .exec();
@@ -22,7 +26,7 @@ class CartRepository {
         return await Cart.findOne({ guestId })
             .populate({
                 path: 'items.product',
-                select: 'name slug price discount discountType thumbnail quantity isActive status'
+                select: CART_PRODUCT_FIELDS
             })
             .lean()
             .exec();
@@ -66,7 +70,7 @@ class CartRepository {
             )
                 .populate({
                     path: 'items.product',
-                    select: 'name slug price discount discountType thumbnail quantity isActive status'
+                    select: CART_PRODUCT_FIELDS
                 })
                 .exec();
         }
@@ -88,7 +92,7 @@ class CartRepository {
         )
             .populate({
                 path: 'items.product',
-                select: 'name slug price discount discountType thumbnail quantity isActive status'
+                select: CART_PRODUCT_FIELDS
             })
             .exec();
     }
@@ -113,7 +117,7 @@ class CartRepository {
         )
             .populate({
                 path: 'items.product',
-                select: 'name slug price discount discountType thumbnail quantity isActive status'
+                select: CART_PRODUCT_FIELDS
             })
             .exec();
     }
@@ -135,15 +139,15 @@ class CartRepository {
         )
             .populate({
                 path: 'items.product',
-                select: 'name slug price discount discountType thumbnail quantity isActive status'
+                select: CART_PRODUCT_FIELDS
             })
             .exec();
     }
 
     /**
-     * Clear entire cart
+     * Clear entire cart (also drops the applied coupon)
      */
-    async clearCart(identifier) {
+    async clearCart(identifier, session = null) {
         const filter = identifier.customer
             ? { customer: identifier.customer }
             : { guestId: identifier.guestId };
@@ -151,9 +155,10 @@ class CartRepository {
         return await Cart.findOneAndUpdate(
             filter,
             {
-                $set: { items: [] }
+                $set: { items: [] },
+                $unset: { appliedCoupon: "" }
             },
-            { new: true }
+            { new: true, session }
         ).exec();
     }
 
@@ -226,7 +231,7 @@ class CartRepository {
             { new: true }
         ).populate({
             path: 'items.product',
-            select: 'name slug price discount discountType thumbnail quantity isActive status'
+            select: CART_PRODUCT_FIELDS
         }).exec();
     }
 
@@ -244,7 +249,7 @@ class CartRepository {
             { new: true }
         ).populate({
             path: 'items.product',
-            select: 'name slug price discount discountType thumbnail quantity isActive status'
+            select: CART_PRODUCT_FIELDS
         }).exec();
     }
 
@@ -258,6 +263,62 @@ class CartRepository {
 
         return await Cart.deleteOne(filter).exec();
     }
+
+    /**
+     * Customer carts with items, last changed in [idleSince, idleBefore], that
+     * have no recovery campaign for that idle period yet. Oldest first.
+     */
+    async findIdleCustomerCarts({ idleBefore, idleSince, limit }) {
+        return await Cart.aggregate([
+            {
+                $match: {
+                    customer: { $ne: null },
+                    'items.0': { $exists: true },
+                    updatedAt: { $lte: idleBefore, $gte: idleSince }
+                }
+            },
+            { $sort: { updatedAt: 1 } },
+            {
+                $lookup: {
+                    from: CartRecovery.collection.name,
+                    let: { cartId: '$_id', cartUpdatedAt: '$updatedAt' },
+                    pipeline: [
+                        { $match: { $expr: { $and: [{ $eq: ['$cart', '$$cartId'] }, { $eq: ['$cartUpdatedAt', '$$cartUpdatedAt'] }] } } },
+                        { $limit: 1 },
+                        { $project: { _id: 1 } }
+                    ],
+                    as: 'recovery'
+                }
+            },
+            { $match: { recovery: { $size: 0 } } },
+            { $limit: limit },
+            { $project: { customer: 1, updatedAt: 1 } }
+        ]);
+    }
+
+    /**
+     * Current change marker and size of a set of carts (cart recovery follow-ups)
+     */
+    async findChangeState(cartIds) {
+        return await Cart.find({ _id: { $in: cartIds } })
+            .select('updatedAt items._id')
+            .lean()
+            .exec();
+    }
+
+    /**
+     * Delete guest carts not changed since `idleBefore`. Backs up the TTL index,
+     * which misses guest carts created by upsert (no `expiresAt`) and counts
+     * from creation rather than from the last change.
+     */
+    async deleteStaleGuestCarts(idleBefore) {
+        const result = await Cart.deleteMany({
+            customer: null,
+            guestId: { $ne: null },
+            updatedAt: { $lt: idleBefore }
+        }).exec();
+        return result.deletedCount;
+    }
 }
 
 export default new CartRepository();
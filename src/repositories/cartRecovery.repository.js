@@ -0,0 +1,176 @@
+import CartRecovery from '../models/cartRecovery.model.js';
+import { CART_RECOVERY_STATUS } from '../constants.js';
+
+const DUPLICATE_KEY = 11000;
+
+class CartRecoveryRepository {
+    /**
+     * Open a campaign for an idle cart. Returns null when another job run
+     * already opened one for the same idle period.
+     */
+    async createIfAbsent(data) {
+        try {
+            const recovery = await CartRecovery.create(data);
+            return recovery.toObject();
+        } catch (error) {
+            if (error.code === DUPLICATE_KEY) return null;
+            throw error;
+        }
+    }
+
+    async findActive(limit) {
+        return await CartRecovery.find({ status: CART_RECOVERY_STATUS.ACTIVE })
+            .sort({ lastReminderAt: 1 })
+            .limit(limit)
+            .lean();
+    }
+
+    /**
+     * Record reminder `step` (1-based). Only succeeds while the campaign is
+     * active and exactly `step - 1` reminders went out, so a reminder is never
+     * sent twice by overlapping runs.
+     */
+    async claimReminder(id, step, { sentAt, withCoupon }, snapshot = {}) {
+        return await CartRecovery.findOneAndUpdate(
+            { _id: id, status: CART_RECOVERY_STATUS.ACTIVE, reminderCount: step - 1 },
+            {
+                $inc: { reminderCount: 1 },
+                $push: { reminders: { step, sentAt, withCoupon } },
+                $set: { lastReminderAt: sentAt, ...snapshot }
+            },
+            { returnDocument: 'after' }
+        ).lean();
+    }
+
+    async setCoupon(id, coupon) {
+        return await CartRecovery.findByIdAndUpdate(id, { $set: { coupon } }, { returnDocument: 'after' }).lean();
+    }
+
+    /**
+     * Close active campaigns (cart changed / sequence finished)
+     */
+    async close(ids, status, closedAt = new Date()) {
+        if (ids.length === 0) return 0;
+        const result = await CartRecovery.updateMany(
+            { _id: { $in: ids }, status: CART_RECOVERY_STATUS.ACTIVE },
+            { $set: { status, closedAt } }
+        );
+        return result.modifiedCount;
+    }
+
+    /**
+     * Attribute an order to the customer's latest campaign reminded since
+     * `remindedSince`. The campaign coupon counts as used when the order
+     * carries its code.
+     */
+    async markRecovered(customerId, remindedSince, { id, orderNumber, total, couponCode }, recoveredAt = new Date()) {
+        return await CartRecovery.findOneAndUpdate(
+            {
+                customer: customerId,
+                status: { $ne: CART_RECOVERY_STATUS.RECOVERED },
+                lastReminderAt: { $gte: remindedSince }
+            },
+            [{
+                $set: {
+                    status: CART_RECOVERY_STATUS.RECOVERED,
+                    recoveredAt,
+                    closedAt: recoveredAt,
+                    order: {
+                        id,
+                        orderNumber: { $literal: orderNumber },
+                        total,
+                        usedCoupon: {
+                            $and: [
+                                { $ne: [{ $ifNull: ['$coupon.code', null] }, null] },
+                                { $eq: ['$coupon.code', { $literal: couponCode || null }] }
+                            ]
+                        }
+                    }
+                }
+            }],
+            { sort: { lastReminderAt: -1 }, returnDocument: 'after', updatePipeline: true }
+        ).lean();
+    }
+
+    /**
+     * Offset-paginated campaign list for admins
+     */
+    async findAll(filter = {}, sort = { createdAt: -1 }, page = 1, limit = 10) {
+        const skip = (page - 1) * limit;
+
+        const [recoveries, total] = await Promise.all([
+            CartRecovery.find(filter)
+                .populate('customer', 'name email')
+                .sort(sort)
+                .skip(skip)
+                .limit(limit)
+                .lean(),
+            CartRecovery.countDocuments(filter)
+        ]);
+
+        return {
+            recoveries,
+            pagination: {
+                total,
+                page,
+                limit,
+                pages: Math.ceil(total / limit)
+            }
+        };
+    }
+
+    /**
+     * Campaign totals and per-reminder breakdown for campaigns opened in [from, to]
+     */
+    async getStats(from, to) {
+        const [result] = await CartRecovery.aggregate([
+            { $match: { createdAt: { $gte: from, $lte: to } } },
+            {
+                $facet: {
+                    totals: [
+                        {
+                            $group: {
+                                _id: null,
+                                campaigns: { $sum: 1 },
+                                remindersSent: { $sum: '$reminderCount' },
+                                cartValue: { $sum: '$cartValue' },
+                                recovered: { $sum: { $cond: [{ $eq: ['$status', CART_RECOVERY_STATUS.RECOVERED] }, 1, 0] } },
+                                recoveredRevenue: { $sum: { $cond: [{ $eq: ['$status', CART_RECOVERY_STATUS.RECOVERED] }, '$order.total', 0] } },
+                                couponsIssued: { $sum: { $cond: [{ $ifNull: ['$coupon.code', false] }, 1, 0] } },
+                                couponsRedeemed: { $sum: { $cond: ['$order.usedCoupon', 1, 0] } }
+                            }
+                        }
+                    ],
+                    byStatus: [
+                        { $group: { _id: '$status', count: { $sum: 1 } } }
+                    ],
+                    // Recovered campaigns are credited to the last reminder before the order
+                    byReminder: [
+                        { $unwind: '$reminders' },
+                        {
+                            $group: {
+                                _id: '$reminders.step',
+                                sent: { $sum: 1 },
+                                recovered: {
+                                    $sum: {
+                                        $cond: [{
+                                            $and: [
+                                                { $eq: ['$status', CART_RECOVERY_STATUS.RECOVERED] },
+                                                { $eq: ['$reminders.step', '$reminderCount'] }
+                                            ]
+                                        }, 1, 0]
+                                    }
+                                }
+                            }
+                        },
+                        { $sort: { _id: 1 } }
+                    ]
+                }
+            }
+        ]);
+
+        return result;
+    }
+}
+
+export default new CartRecoveryRepository();
@@ -0,0 +1,22 @@
+import CartRecoverySetting from '../models/cartRecoverySetting.model.js';
+
+class CartRecoverySettingRepository {
+  async getSettings() {
+    let settings = await CartRecoverySetting.findOne().lean();
+    if (!settings) {
+      // Initialize with defaults if not exists
+      settings = (await CartRecoverySetting.create({})).toObject();
+    }
+    return settings;
+  }
+
+  async updateSettings(updateData) {
+    return await CartRecoverySetting.findOneAndUpdate(
+      {},
+      { $set: updateData },
+      { returnDocument: 'after', upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    ).populate('updatedBy', 'name email').lean();
+  }
+}
+
+export default new CartRecoverySettingRepository();
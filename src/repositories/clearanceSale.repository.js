@@ -27,6 +27,20 @@ class ClearanceSaleRepository extends BaseRepository {
             .lean();
     }
 
+    /**
+     * The vendor's sale if it is running right now (products not populated)
+     */
+    async findActiveByVendor(vendorId) {
+        const now = new Date();
+        return await this.model.findOne({
+            vendor: vendorId,
+            isAdmin: false,
+            isActive: true,
+            startDate: { $lte: now },
+            expireDate: { $gte: now }
+        }).lean();
+    }
+
     async addProducts(vendorId, productIds, isAdmin = false) {
         const query = isAdmin ? { isAdmin: true } : { vendor: vendorId, isAdmin: false };
         const sale = await this.model.findOne(query);
@@ -59,6 +73,19 @@ class ClearanceSaleRepository extends BaseRepository {
             { new: true }
         );
     }
+
+    /**
+     * Active sales whose start or expiry falls in (since, until]
+     */
+    async findScheduleChanges(since, until) {
+        const window = { $gt: since, $lte: until };
+        return await this.model.find({
+            isActive: true,
+            $or: [{ startDate: window }, { expireDate: window }]
+        })
+            .select('startDate expireDate products')
+            .lean();
+    }
 }
 
 export default new ClearanceSaleRepository();
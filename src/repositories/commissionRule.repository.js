@@ -0,0 +1,82 @@
+import CommissionRule from '../models/commissionRule.model.js';
+import { COMMISSION_SCOPE } from '../constants.js';
+
+class CommissionRuleRepository {
+    async create(data) {
+        return await CommissionRule.create(data);
+    }
+
+    async findOne(filter) {
+        return await CommissionRule.findOne(filter)
+            .populate('vendor', 'businessName')
+            .populate('category', 'name')
+            .populate('subCategory', 'name')
+            .lean();
+    }
+
+    /**
+     * Offset-paginated rule list
+     */
+    async findAll(filter = {}, page = 1, limit = 10) {
+        const skip = (page - 1) * limit;
+
+        const [rules, total] = await Promise.all([
+            CommissionRule.find(filter)
+                .sort({ scope: 1, startsAt: -1, createdAt: -1 })
+                .skip(skip)
+                .limit(limit)
+                .populate('vendor', 'businessName')
+                .populate('category', 'name')
+                .populate('subCategory', 'name')
+                .lean(),
+            CommissionRule.countDocuments(filter)
+        ]);
+
+        return {
+            rules,
+            pagination: {
+                total,
+                page,
+                limit,
+                pages: Math.ceil(total / limit)
+            }
+        };
+    }
+
+    /**
+     * Active rules effective at `at` that target any of the given vendors,
+     * categories or sub-categories, plus global rules. Latest start first.
+     */
+    async findEffective({ vendorIds = [], categoryIds = [], subCategoryIds = [] }, at = new Date()) {
+        return await CommissionRule.find({
+            isActive: true,
+            startsAt: { $lte: at },
+            $and: [
+                { $or: [{ endsAt: null }, { endsAt: { $gt: at } }] },
+                {
+                    $or: [
+                        { scope: COMMISSION_SCOPE.GLOBAL },
+                        { scope: COMMISSION_SCOPE.VENDOR, vendor: { $in: vendorIds } },
+                        { scope: COMMISSION_SCOPE.CATEGORY, category: { $in: categoryIds } },
+                        { scope: COMMISSION_SCOPE.SUB_CATEGORY, subCategory: { $in: subCategoryIds } }
+                    ]
+                }
+            ]
+        })
+            .sort({ startsAt: -1, createdAt: -1 })
+            .lean();
+    }
+
+    async updateWhere(filter, update) {
+        return await CommissionRule.findOneAndUpdate(filter, update, {
+            returnDocument: 'after',
+            runValidators: true
+        }).lean();
+    }
+
+    async deleteWhere(filter) {
+        return await CommissionRule.findOneAndDelete(filter).lean();
+    }
+}
+
+export default new CommissionRuleRepository();
@@ -97,6 +97,34 @@ class CouponRepository extends BaseRepository {
     };
   }
 
+  /**
+   * Take one use of the global cap. Returns null when the cap is reached.
+   */
+  async reserveUsage(couponId, session = null) {
+    return await this.model.findOneAndUpdate(
+      {
+        _id: couponId,
+        $or: [
+          { usageLimit: null },
+          { $expr: { $lt: ['$totalReserved', '$usageLimit'] } }
+        ]
+      },
+      { $inc: { totalReserved: 1 } },
+      { returnDocument: 'after', session }
+    ).lean();
+  }
+
+  async releaseUsage(couponId, wasRedeemed = false, session = null) {
+    const $inc = { totalReserved: -1 };
+    if (wasRedeemed) $inc.totalUsed = -1;
+
+    return await this.model.updateOne({ _id: couponId, totalReserved: { $gt: 0 } }, { $inc }, { session });
+  }
+
+  async incrementUsed(couponId, session = null) {
+    return await this.model.updateOne({ _id: couponId }, { $inc: { totalUsed: 1 } }, { session });
+  }
+
     async isCodeExists(code, excludeId = null) {
         const query = { code: code.toUpperCase() };
         if (excludeId) {
@@ -0,0 +1,77 @@
+import CouponRedemption from '../models/couponRedemption.model.js';
+import { COUPON_REDEMPTION_STATUS } from '../constants.js';
+
+class CouponRedemptionRepository {
+    async create(data, session = null) {
+        const [redemption] = await CouponRedemption.create([data], { session });
+        return redemption;
+    }
+
+    async findByOrder(orderId) {
+        return await CouponRedemption.findOne({ order: orderId }).lean();
+    }
+
+    /**
+     * Slots currently held by the customer for a coupon
+     */
+    async findActiveSlots(couponId, customerId, session = null) {
+        const rows = await CouponRedemption.find({ coupon: couponId, customer: customerId, active: true })
+            .select('slot')
+            .session(session)
+            .lean();
+        return rows.map(row => row.slot);
+    }
+
+    async countActive(couponId, customerId) {
+        return await CouponRedemption.countDocuments({ coupon: couponId, customer: customerId, active: true });
+    }
+
+    /**
+     * reserved -> redeemed. Returns null if already redeemed or released.
+     */
+    async markRedeemed(orderId, session = null) {
+        return await CouponRedemption.findOneAndUpdate(
+            { order: orderId, status: COUPON_REDEMPTION_STATUS.RESERVED },
+            { $set: { status: COUPON_REDEMPTION_STATUS.REDEEMED, redeemedAt: new Date() } },
+            { returnDocument: 'before', session }
+        ).lean();
+    }
+
+    /**
+     * Free the slot. Returns the redemption as it was before release (null if already released).
+     */
+    async release(orderId, session = null) {
+        return await CouponRedemption.findOneAndUpdate(
+            { order: orderId, active: true },
+            { $set: { status: COUPON_REDEMPTION_STATUS.RELEASED, active: false, releasedAt: new Date() } },
+            { returnDocument: 'before', session }
+        ).lean();
+    }
+
+    async findByCoupon(couponId, page = 1, limit = 20) {
+        const skip = (page - 1) * limit;
+        const filter = { coupon: couponId };
+
+        const [redemptions, total] = await Promise.all([
+            CouponRedemption.find(filter)
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit)
+                .populate('customer', 'name email')
+                .lean(),
+            CouponRedemption.countDocuments(filter)
+        ]);
+
+        return {
+            redemptions,
+            pagination: {
+                total,
+                page,
+                limit,
+                pages: Math.ceil(total / limit)
+            }
+        };
+    }
+}
+
+export default new CouponRedemptionRepository();
@@ -32,6 +32,15 @@ class CustomerRepository {
     return await query;
   }
 
+  async findActiveByIds(ids, selectFields = '') {
+    Logger.debug('DB: Finding active customers by IDs', { count: ids.length });
+    const query = Customer.find({ _id: { $in: ids }, isActive: true });
+    if (selectFields) {
+      query.select(selectFields);
+    }
+    return await query.lean();
+  }
+
   async updateById(id, updateData, options = { returnDocument: 'after' }) {
     Logger.debug(`DB: Updating customer by ID: ${id}`, { updateData });
     return await Customer.findByIdAndUpdate(id, updateData, options);
@@ -0,0 +1,54 @@
+import CustomerAddress from '../models/customerAddress.model.js';
+
+class CustomerAddressRepository {
+    async create(data, session = null) {
+        const [address] = await CustomerAddress.create([data], { session });
+        return address.toObject();
+    }
+
+    async findOne(filter) {
+        return await CustomerAddress.findOne(filter).lean();
+    }
+
+    /**
+     * Whole address book, defaults first
+     */
+    async findByCustomer(customerId) {
+        return await CustomerAddress.find({ customer: customerId })
+            .sort({ isDefaultShipping: -1, isDefaultBilling: -1, updatedAt: -1 })
+            .lean();
+    }
+
+    async countByCustomer(customerId) {
+        return await CustomerAddress.countDocuments({ customer: customerId });
+    }
+
+    async findLatest(customerId, excludeId = null) {
+        const filter = { customer: customerId };
+        if (excludeId) filter._id = { $ne: excludeId };
+        return await CustomerAddress.findOne(filter).sort({ updatedAt: -1 }).lean();
+    }
+
+    async updateWhere(filter, update, session = null) {
+        return await CustomerAddress.findOneAndUpdate(filter, update, {
+            returnDocument: 'after',
+            runValidators: true,
+            session
+        }).lean();
+    }
+
+    /**
+     * Drop the default flag (`isDefaultShipping` / `isDefaultBilling`) from every other address
+     */
+    async clearDefault(customerId, field, exceptId = null, session = null) {
+        const filter = { customer: customerId, [field]: true };
+        if (exceptId) filter._id = { $ne: exceptId };
+        return await CustomerAddress.updateMany(filter, { $set: { [field]: false } }, { session });
+    }
+
+    async deleteWhere(filter, session = null) {
+        return await CustomerAddress.findOneAndDelete(filter, { session }).lean();
+    }
+}
+
+export default new CustomerAddressRepository();
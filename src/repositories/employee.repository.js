@@ -34,6 +34,20 @@ class EmployeeRepository {
     return await Employee.findByIdAndDelete(id);
   }
 
+  /**
+   * Active employees whose (active) role grants `permission`
+   */
+  async findActiveIdsWithPermission(permission) {
+    const employees = await Employee.find({ isActive: true })
+      .select('_id role')
+      .populate('role', 'permissions isActive')
+      .lean();
+
+    return employees
+      .filter(employee => employee.role?.isActive && employee.role.permissions.includes(permission))
+      .map(employee => employee._id);
+  }
+
   async count(query = {}) {
     return await Employee.countDocuments(query);
   }
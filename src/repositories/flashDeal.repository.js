@@ -114,6 +114,19 @@ class FlashDealRepository extends BaseRepository {
             { new: true }
         );
     }
+
+    /**
+     * Published deals whose start or end falls in (since, until]
+     */
+    async findScheduleChanges(since, until) {
+        const window = { $gt: since, $lte: until };
+        return await this.model.find({
+            isPublished: true,
+            $or: [{ startDate: window }, { endDate: window }]
+        })
+            .select('startDate endDate products')
+            .lean();
+    }
 }
 
 export default new FlashDealRepository();
@@ -0,0 +1,17 @@
+import InvoiceCounter from '../models/invoiceCounter.model.js';
+
+class InvoiceCounterRepository {
+    /**
+     * Atomically take the next serial of a seller's financial-year series
+     */
+    async nextSequence(vendorId, financialYear, session = null) {
+        const counter = await InvoiceCounter.findOneAndUpdate(
+            { vendor: vendorId || null, financialYear },
+            { $inc: { sequence: 1 } },
+            { upsert: true, returnDocument: 'after', session }
+        ).lean();
+        return counter.sequence;
+    }
+}
+
+export default new InvoiceCounterRepository();
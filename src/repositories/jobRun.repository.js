@@ -0,0 +1,48 @@
+import JobRun from '../models/jobRun.model.js';
+
+class JobRunRepository {
+    async create(data) {
+        const run = await JobRun.create(data);
+        return run.toObject();
+    }
+
+    async finish(id, data) {
+        return await JobRun.findByIdAndUpdate(id, { $set: data }, { returnDocument: 'after' }).lean();
+    }
+
+    /**
+     * Offset-paginated run history for admins
+     */
+    async findAll(filter = {}, sort = { startedAt: -1 }, page = 1, limit = 10) {
+        const skip = (page - 1) * limit;
+
+        const [runs, total] = await Promise.all([
+            JobRun.find(filter)
+                .select('-error.stack')
+                .populate('triggeredBy', 'name email')
+                .sort(sort)
+                .skip(skip)
+                .limit(limit)
+                .lean(),
+            JobRun.countDocuments(filter)
+        ]);
+
+        return {
+            runs,
+            pagination: {
+                total,
+                page,
+                limit,
+                pages: Math.ceil(total / limit)
+            }
+        };
+    }
+
+    async findById(id) {
+        return await JobRun.findById(id)
+            .populate('triggeredBy', 'name email')
+            .lean();
+    }
+}
+
+export default new JobRunRepository();
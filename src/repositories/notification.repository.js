@@ -0,0 +1,70 @@
+import Notification from '../models/notification.model.js';
+
+const byRecipient = ({ role, id }) => ({ 'recipient.role': role, 'recipient.id': id });
+
+class NotificationRepository {
+    async createMany(notifications) {
+        return await Notification.insertMany(notifications);
+    }
+
+    /**
+     * Cursor-paginated feed, newest first (cursor = last _id seen)
+     */
+    async findFeed(recipient, { cursor = null, limit = 20, unreadOnly = false } = {}) {
+        const query = byRecipient(recipient);
+        if (unreadOnly) query.readAt = null;
+        if (cursor) query._id = { $lt: cursor };
+
+        // Fetch one extra to determine if there's a next page
+        const notifications = await Notification.find(query)
+            .sort({ _id: -1 })
+            .limit(limit + 1)
+            .lean();
+
+        const hasNextPage = notifications.length > limit;
+        const items = hasNextPage ? notifications.slice(0, limit) : notifications;
+
+        return {
+            notifications: items,
+            pagination: {
+                nextCursor: hasNextPage ? items[items.length - 1]._id : null,
+                hasNextPage,
+                limit,
+                count: items.length
+            }
+        };
+    }
+
+    async countUnread(recipient) {
+        return await Notification.countDocuments({ ...byRecipient(recipient), readAt: null });
+    }
+
+    /**
+     * Keeps the first read time when an entry is read again
+     */
+    async markRead(recipient, id, at = new Date()) {
+        const filter = { _id: id, ...byRecipient(recipient) };
+        return await Notification.findOneAndUpdate({ ...filter, readAt: null }, { $set: { readAt: at } }, { returnDocument: 'after' }).lean()
+            || await Notification.findOne(filter).lean();
+    }
+
+    async markAllRead(recipient, at = new Date()) {
+        const result = await Notification.updateMany({ ...byRecipient(recipient), readAt: null }, { $set: { readAt: at } });
+        return result.modifiedCount;
+    }
+
+    /**
+     * Read entries older than `readBefore`, and any entry older than `createdBefore`
+     */
+    async deleteExpired({ readBefore, createdBefore }) {
+        const result = await Notification.deleteMany({
+            $or: [
+                { readAt: { $ne: null }, createdAt: { $lt: readBefore } },
+                { createdAt: { $lt: createdBefore } }
+            ]
+        });
+        return result.deletedCount;
+    }
+}
+
+export default new NotificationRepository();
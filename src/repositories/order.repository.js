@@ -0,0 +1,359 @@
+import mongoose from 'mongoose';
+import Order from '../models/order.model.js';
+import { ORDER_STATUS, PAYMENT_STATUS, PAYMENT_METHOD, OFFLINE_PAYMENT_STATUS } from '../constants.js';
+
+const CUSTOMER_FIELDS = 'name email phoneNumber';
+
+class OrderRepository {
+    /**
+     * Create order (optionally inside a transaction)
+     */
+    async create(orderData, session = null) {
+        const [order] = await Order.create([orderData], { session });
+        return order;
+    }
+
+    async findById(id, lean = true) {
+        const query = Order.findById(id);
+        return lean ? await query.lean() : await query;
+    }
+
+    async findOne(filter, lean = true) {
+        const query = Order.findOne(filter);
+        return lean ? await query.lean() : await query;
+    }
+
+    async findByOrderNumber(orderNumber) {
+        return await Order.findOne({ orderNumber }).lean();
+    }
+
+    /**
+     * Full order with customer and vendor details (admin/customer detail views)
+     */
+    async findByIdWithDetails(id, filter = {}) {
+        return await Order.findOne({ _id: id, ...filter })
+            .populate('customer', CUSTOMER_FIELDS)
+            .populate('subOrders.vendor', 'businessName email phoneNumber')
+            .lean();
+    }
+
+    async count(filter = {}) {
+        return await Order.countDocuments(filter);
+    }
+
+    /**
+     * Offset-paginated order list
+     */
+    async findAll(filter = {}, sort = { createdAt: -1 }, page = 1, limit = 10) {
+        const skip = (page - 1) * limit;
+
+        const [orders, total] = await Promise.all([
+            Order.find(filter)
+                .sort(sort)
+                .skip(skip)
+                .limit(limit)
+                .populate('customer', CUSTOMER_FIELDS)
+                .populate('subOrders.vendor', 'businessName')
+                .lean(),
+            Order.countDocuments(filter)
+        ]);
+
+        return {
+            orders,
+            pagination: {
+                total,
+                page,
+                limit,
+                pages: Math.ceil(total / limit)
+            }
+        };
+    }
+
+    /**
+     * Vendor view: one row per sub-order belonging to the vendor.
+     * Other vendors' sub-orders are never returned.
+     */
+    async findVendorSubOrders(vendorId, filter = {}, page = 1, limit = 10) {
+        const skip = (page - 1) * limit;
+        const vendor = new mongoose.Types.ObjectId(vendorId.toString());
+
+        const subOrderMatch = { 'subOrders.vendor': vendor };
+        if (filter.status) subOrderMatch['subOrders.status'] = filter.status;
+        if (filter.search) {
+            const escaped = filter.search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            subOrderMatch['subOrders.subOrderNumber'] = { $regex: escaped, $options: 'i' };
+        }
+
+        const [result] = await Order.aggregate([
+            { $match: { 'subOrders.vendor': vendor } },
+            { $unwind: '$subOrders' },
+            { $match: subOrderMatch },
+            { $sort: { createdAt: -1 } },
+            {
+                $facet: {
+                    items: [
+                        { $skip: skip },
+                        { $limit: limit },
+                        {
+                            $project: {
+                                _id: 1,
+                                orderNumber: 1,
+                                customer: 1,
+                                shippingAddress: 1,
+                                payment: 1,
+                                createdAt: 1,
+                                subOrder: '$subOrders'
+                            }
+                        }
+                    ],
+                    total: [{ $count: 'count' }]
+                }
+            }
+        ]);
+
+        const total = result?.total?.[0]?.count || 0;
+
+        return {
+            orders: result?.items || [],
+            pagination: {
+                total,
+                page,
+                limit,
+                pages: Math.ceil(total / limit)
+            }
+        };
+    }
+
+    /**
+     * Compare-and-set a sub-order status.
+     * Returns null when the sub-order is no longer in `fromStatus` (concurrent update).
+     */
+    async updateSubOrderStatus(orderId, subOrderId, fromStatus, toStatus, historyEntry, extraFields = {}, session = null) {
+        const set = { 'subOrders.$.status': toStatus };
+        for (const [key, value] of Object.entries(extraFields)) {
+            set[`subOrders.$.${key}`] = value;
+        }
+
+        return await Order.findOneAndUpdate(
+            {
+                _id: orderId,
+                subOrders: { $elemMatch: { _id: subOrderId, status: fromStatus } }
+            },
+            {
+                $set: set,
+                $push: { 'subOrders.$.statusHistory': historyEntry }
+            },
+            { returnDocument: 'after', session }
+        ).lean();
+    }
+
+    /**
+     * Update the parent order status (derived from its sub-orders)
+     */
+    async updateOrderStatus(orderId, status, historyEntry, session = null) {
+        return await Order.findByIdAndUpdate(
+            orderId,
+            {
+                $set: { status },
+                $push: { statusHistory: historyEntry }
+            },
+            { returnDocument: 'after', session }
+        ).lean();
+    }
+
+    /**
+     * Claim an order line for a new return request (see orderItem.returnRequestCount)
+     */
+    async touchItemForReturn(orderId, subOrderId, itemId, session) {
+        return await Order.updateOne(
+            { _id: orderId },
+            { $inc: { 'subOrders.$[sub].items.$[item].returnRequestCount': 1 } },
+            { arrayFilters: [{ 'sub._id': subOrderId }, { 'item._id': itemId }], session, timestamps: false }
+        );
+    }
+
+    /**
+     * Attach the gateway-side order to an unpaid order. Earlier gateway orders
+     * stay in payment.gatewayOrders so a payment on any of them is recognised.
+     */
+    async setPaymentGatewayOrder(orderId, gateway, gatewayOrderId) {
+        return await Order.findOneAndUpdate(
+            { _id: orderId, 'payment.status': { $in: [PAYMENT_STATUS.PENDING, PAYMENT_STATUS.FAILED] } },
+            {
+                $set: {
+                    'payment.gateway': gateway,
+                    'payment.gatewayOrderId': gatewayOrderId,
+                    'payment.status': PAYMENT_STATUS.PENDING,
+                    'payment.failureReason': null
+                },
+                $push: { 'payment.gatewayOrders': { gateway, gatewayOrderId, createdAt: new Date() } }
+            },
+            { returnDocument: 'after' }
+        ).lean();
+    }
+
+    /**
+     * Mark paid. Idempotent: no-op (returns null) if already paid or the
+     * webhook event was already applied. When the paid gateway order is given
+     * it becomes the current one, since capture and refunds go through it.
+     */
+    async markPaymentPaid(filter, { gateway, gatewayOrderId, gatewayPaymentId, amount }, eventId = null) {
+        const query = { ...filter, 'payment.status': { $ne: PAYMENT_STATUS.PAID } };
+        if (eventId) query['payment.processedEvents'] = { $ne: eventId };
+
+        const update = {
+            $set: {
+                'payment.status': PAYMENT_STATUS.PAID,
+                'payment.gatewayPaymentId': gatewayPaymentId,
+                'payment.amount': amount,
+                'payment.paidAt': new Date(),
+                'payment.failureReason': null
+            }
+        };
+        if (gatewayOrderId) {
+            update.$set['payment.gateway'] = gateway;
+            update.$set['payment.gatewayOrderId'] = gatewayOrderId;
+        }
+        if (eventId) update.$addToSet = { 'payment.processedEvents': eventId };
+
+        return await Order.findOneAndUpdate(query, update, { returnDocument: 'after' }).lean();
+    }
+
+    /**
+     * Mark failed. Never downgrades an order that is already paid.
+     */
+    async markPaymentFailed(filter, { gatewayPaymentId, reason }, eventId = null) {
+        const query = { ...filter, 'payment.status': PAYMENT_STATUS.PENDING };
+        if (eventId) query['payment.processedEvents'] = { $ne: eventId };
+
+        const update = {
+            $set: {
+                'payment.status': PAYMENT_STATUS.FAILED,
+                'payment.gatewayPaymentId': gatewayPaymentId,
+                'payment.failureReason': reason || null,
+                'payment.failedAt': new Date()
+            }
+        };
+        if (eventId) update.$addToSet = { 'payment.processedEvents': eventId };
+
+        return await Order.findOneAndUpdate(query, update, { returnDocument: 'after' }).lean();
+    }
+
+    /**
+     * Record a (partial) refund. The payment flips to refunded once the
+     * refunded total reaches the captured amount.
+     */
+    async recordPaymentRefund(orderId, refund, isFullyRefunded) {
+        const update = {
+            $inc: { 'payment.refundedAmount': refund.amount },
+            $push: { 'payment.refunds': refund }
+        };
+        if (isFullyRefunded) {
+            update.$set = { 'payment.status': PAYMENT_STATUS.REFUNDED };
+        }
+
+        return await Order.findOneAndUpdate(
+            { _id: orderId, 'payment.refunds.refundId': { $ne: refund.refundId } },
+            update,
+            { returnDocument: 'after' }
+        ).lean();
+    }
+
+    /**
+     * Attach the customer's transfer proof. Allowed until an admin approves it.
+     */
+    async submitOfflinePaymentProof(orderId, customerId, { proof, reference }) {
+        return await Order.findOneAndUpdate(
+            {
+                _id: orderId,
+                customer: customerId,
+                'payment.method': PAYMENT_METHOD.OFFLINE,
+                'payment.status': PAYMENT_STATUS.PENDING,
+                'payment.offline.reviewStatus': { $ne: OFFLINE_PAYMENT_STATUS.APPROVED }
+            },
+            {
+                $set: {
+                    'payment.offline.proof': proof,
+                    'payment.offline.reference': reference || null,
+                    'payment.offline.submittedAt': new Date(),
+                    'payment.offline.reviewStatus': OFFLINE_PAYMENT_STATUS.SUBMITTED,
+                    'payment.offline.reviewNote': null
+                }
+            },
+            { returnDocument: 'after' }
+        ).lean();
+    }
+
+    /**
+     * Admin decision on an offline/COD payment. Compare-and-set on the pending
+     * payment (and, for offline, the submitted proof) so double clicks are no-ops.
+     */
+    async reviewOfflinePayment(orderId, method, { approve, amount, reviewer, note }) {
+        const filter = { _id: orderId, 'payment.method': method, 'payment.status': PAYMENT_STATUS.PENDING };
+        if (method === PAYMENT_METHOD.OFFLINE) {
+            filter['payment.offline.reviewStatus'] = OFFLINE_PAYMENT_STATUS.SUBMITTED;
+        }
+
+        const now = new Date();
+        const $set = {
+            'payment.offline.reviewStatus': approve ? OFFLINE_PAYMENT_STATUS.APPROVED : OFFLINE_PAYMENT_STATUS.REJECTED,
+            'payment.offline.reviewedBy': reviewer.id,
+            'payment.offline.reviewedByModel': reviewer.model,
+            'payment.offline.reviewedAt': now,
+            'payment.offline.reviewNote': note || null
+        };
+        if (approve) {
+            $set['payment.status'] = PAYMENT_STATUS.PAID;
+            $set['payment.amount'] = amount;
+            $set['payment.paidAt'] = now;
+        }
+
+        return await Order.findOneAndUpdate(filter, { $set }, { returnDocument: 'after' }).lean();
+    }
+
+    /**
+     * Orders for document batches (no population, capped)
+     */
+    async findForDocuments(filter, limit = 500) {
+        return await Order.find(filter).sort({ createdAt: 1 }).limit(limit).lean();
+    }
+
+    /**
+     * Stamp the invoice on a sub-order unless one was issued meanwhile.
+     * Returns true when this call assigned it.
+     */
+    async assignSubOrderInvoice(orderId, subOrderId, invoice, session = null) {
+        const result = await Order.updateOne(
+            { _id: orderId, subOrders: { $elemMatch: { _id: subOrderId, 'invoice.number': null } } },
+            { $set: { 'subOrders.$.invoice': invoice } },
+            { session }
+        );
+        return result.modifiedCount === 1;
+    }
+
+    /**
+     * Latest delivered order line of this product for the customer (verified-purchase reviews)
+     */
+    async findDeliveredPurchase(customerId, productId) {
+        const order = await Order.findOne({
+            customer: customerId,
+            subOrders: { $elemMatch: { status: ORDER_STATUS.DELIVERED, 'items.product': productId } }
+        })
+            .sort({ createdAt: -1 })
+            .select('orderNumber subOrders._id subOrders.status subOrders.items._id subOrders.items.product')
+            .lean();
+
+        if (!order) return null;
+
+        for (const subOrder of order.subOrders) {
+            if (subOrder.status !== ORDER_STATUS.DELIVERED) continue;
+            const item = subOrder.items.find(line => line.product.toString() === productId.toString());
+            if (item) {
+                return { order: order._id, subOrder: subOrder._id, orderItem: item._id };
+            }
+        }
+        return null;
+    }
+}
+
+export default new OrderRepository();
@@ -0,0 +1,125 @@
+import mongoose from 'mongoose';
+import PayoutRun from '../models/payoutRun.model.js';
+import { PAYOUT_RUN_STATUS, PAYOUT_STATUS } from '../constants.js';
+
+class PayoutRunRepository {
+    async create(data, session = null) {
+        const [run] = await PayoutRun.create([data], { session });
+        return run.toObject();
+    }
+
+    async findById(id) {
+        return await PayoutRun.findById(id).lean();
+    }
+
+    /**
+     * Offset-paginated run list (vendor lines omitted)
+     */
+    async findAll(filter = {}, sort = { createdAt: -1 }, page = 1, limit = 10) {
+        const skip = (page - 1) * limit;
+
+        const [runs, total] = await Promise.all([
+            PayoutRun.find(filter)
+                .select('-payouts')
+                .sort(sort)
+                .skip(skip)
+                .limit(limit)
+                .lean(),
+            PayoutRun.countDocuments(filter)
+        ]);
+
+        return {
+            runs,
+            pagination: {
+                total,
+                page,
+                limit,
+                pages: Math.ceil(total / limit)
+            }
+        };
+    }
+
+    /**
+     * Compare-and-set run status. Returns null when the run is not in one of `fromStatuses`.
+     */
+    async transition(id, fromStatuses, $set, session = null) {
+        return await PayoutRun.findOneAndUpdate(
+            { _id: id, status: { $in: fromStatuses } },
+            { $set },
+            { returnDocument: 'after', session }
+        ).lean();
+    }
+
+    /**
+     * Settle one vendor line of an approved run (pending -> paid/failed)
+     */
+    async settlePayout(runId, payoutId, { status, reference, failureReason }, session = null) {
+        return await PayoutRun.findOneAndUpdate(
+            {
+                _id: runId,
+                status: PAYOUT_RUN_STATUS.APPROVED,
+                payouts: { $elemMatch: { _id: payoutId, status: PAYOUT_STATUS.PENDING } }
+            },
+            {
+                $set: {
+                    'payouts.$.status': status,
+                    'payouts.$.reference': reference || null,
+                    'payouts.$.failureReason': failureReason || null,
+                    'payouts.$.settledAt': new Date()
+                }
+            },
+            { returnDocument: 'after', session }
+        ).lean();
+    }
+
+    /**
+     * A vendor's own lines of approved/completed runs
+     */
+    async findVendorPayouts(vendorId, page = 1, limit = 10) {
+        const vendor = new mongoose.Types.ObjectId(String(vendorId));
+        const match = {
+            'payouts.vendor': vendor,
+            status: { $in: [PAYOUT_RUN_STATUS.APPROVED, PAYOUT_RUN_STATUS.COMPLETED] }
+        };
+
+        const [payouts, total] = await Promise.all([
+            PayoutRun.aggregate([
+                { $match: match },
+                { $sort: { createdAt: -1 } },
+                { $skip: (page - 1) * limit },
+                { $limit: limit },
+                { $unwind: '$payouts' },
+                { $match: { 'payouts.vendor': vendor } },
+                {
+                    $project: {
+                        _id: '$payouts._id',
+                        runId: '$_id',
+                        runNumber: 1,
+                        cutoff: 1,
+                        amount: '$payouts.amount',
+                        entryCount: '$payouts.entryCount',
+                        status: '$payouts.status',
+                        reference: '$payouts.reference',
+                        failureReason: '$payouts.failureReason',
+                        settledAt: '$payouts.settledAt',
+                        accountNumber: '$payouts.bankDetails.accountNumber',
+                        createdAt: 1
+                    }
+                }
+            ]),
+            PayoutRun.countDocuments(match)
+        ]);
+
+        return {
+            payouts,
+            pagination: {
+                total,
+                page,
+                limit,
+                pages: Math.ceil(total / limit)
+            }
+        };
+    }
+}
+
+export default new PayoutRunRepository();
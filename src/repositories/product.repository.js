@@ -1,4 +1,13 @@
+import mongoose from 'mongoose';
 import Product from '../models/product.model.js';
+import Vendor from '../models/vendor.model.js';
+import ProductCategory from '../models/productCategory.model.js';
+import ProductSubCategory from '../models/productSubCategory.model.js';
+import ProductAttribute from '../models/productAttribute.model.js';
+import AppError from '../utils/AppError.js';
+import { HTTP_STATUS } from '../constants.js';
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 
 class ProductRepository {
   async create(data) {
@@ -105,6 +114,198 @@ class ProductRepository {
     };
   }
 
+  /**
+   * Public faceted search in ONE aggregation: the product page plus counts for
+   * every sidebar facet. Each facet ignores its own selection (so other options
+   * in the same group keep their counts) but honours all the others.
+   *
+   * @param {Object} criteria - parsed by ProductService.searchPublicProducts
+   */
+  async facetedSearch(criteria, sort, page = 1, limit = 20) {
+    const toObjectIds = (ids) => ids.map(id => new mongoose.Types.ObjectId(id));
+
+    const baseMatch = { status: 'approved', isActive: true };
+    if (criteria.search) {
+      baseMatch.$text = { $search: criteria.search };
+    }
+
+    // Selections, keyed by the facet they belong to
+    const selections = {};
+    if (criteria.categories?.length) {
+      selections.category = { category: { $in: toObjectIds(criteria.categories) } };
+    }
+    if (criteria.subCategories?.length) {
+      selections.subCategory = { subCategory: { $in: toObjectIds(criteria.subCategories) } };
+    }
+    if (criteria.brands?.length) {
+      selections.brand = { brand: { $in: criteria.brands.map(brand => new RegExp(`^${escapeRegex(brand)}$`, 'i')) } };
+    }
+    if (criteria.colors?.length) {
+      selections.colors = { colors: { $in: criteria.colors } };
+    }
+    const attributeNames = Object.keys(criteria.attributes || {});
+    if (attributeNames.length) {
+      // OR within one attribute, AND across attributes
+      selections.attributes = {
+        $and: attributeNames.map(name => ({
+          attributePairs: { $elemMatch: { name, value: { $in: criteria.attributes[name] } } }
+        }))
+      };
+    }
+    if (criteria.minPrice !== undefined || criteria.maxPrice !== undefined) {
+      const range = {};
+      if (criteria.minPrice !== undefined) range.$gte = criteria.minPrice;
+      if (criteria.maxPrice !== undefined) range.$lte = criteria.maxPrice;
+      selections.price = { effectivePrice: range };
+    }
+    if (criteria.minRating) {
+      selections.rating = { averageRating: { $gte: criteria.minRating } };
+    }
+    if (criteria.inStock) {
+      selections.stock = { quantity: { $gt: 0 } };
+    }
+
+    const matchExcept = (facet = null) => ({
+      $match: { $and: [{}, ...Object.entries(selections).filter(([key]) => key !== facet).map(([, match]) => match)] }
+    });
+    const countBy = (field) => [{ $group: { _id: field, count: { $sum: 1 } } }, { $sort: { count: -1, _id: 1 } }];
+    const lookupName = (collection) => [
+      { $match: { _id: { $ne: null } } },
+      { $lookup: { from: collection, localField: '_id', foreignField: '_id', as: 'doc', pipeline: [{ $project: { name: 1 } }] } },
+      { $project: { _id: 1, count: 1, name: { $arrayElemAt: ['$doc.name', 0] } } }
+    ];
+
+    // (name, value) pairs from the selected attributes and in-stock variations
+    const attributePairsFromAttributes = {
+      $reduce: {
+        input: { $ifNull: ['$attributes', []] },
+        initialValue: [],
+        in: {
+          $concatArrays: ['$$value', {
+            $map: {
+              input: { $ifNull: ['$$this.values', []] },
+              as: 'attributeValue',
+              in: {
+                name: {
+                  $arrayElemAt: [{
+                    $map: {
+                      input: { $filter: { input: '$attributeDocs', as: 'doc', cond: { $eq: ['$$doc._id', '$$this.attribute'] } } },
+                      as: 'doc',
+                      in: '$$doc.name'
+                    }
+                  }, 0]
+                },
+                value: '$$attributeValue'
+              }
+            }
+          }]
+        }
+      }
+    };
+    const attributePairsFromVariations = {
+      $reduce: {
+        input: { $filter: { input: { $ifNull: ['$variations', []] }, as: 'variation', cond: { $gt: ['$$variation.stock', 0] } } },
+        initialValue: [],
+        in: {
+          $concatArrays: ['$$value', {
+            $map: {
+              input: { $objectToArray: { $ifNull: ['$$this.attributeValues', {}] } },
+              as: 'pair',
+              in: { name: '$$pair.k', value: '$$pair.v' }
+            }
+          }]
+        }
+      }
+    };
+
+    const computed = {
+      effectivePrice: {
+        $max: [0, {
+          $switch: {
+            branches: [
+              { case: { $lte: [{ $ifNull: ['$discount', 0] }, 0] }, then: '$price' },
+              { case: { $eq: ['$discountType', 'flat'] }, then: { $subtract: ['$price', '$discount'] } }
+            ],
+            default: { $subtract: ['$price', { $divide: [{ $multiply: ['$price', '$discount'] }, 100] }] }
+          }
+        }]
+      },
+      averageRating: { $ifNull: ['$rating.average', 0] },
+      attributePairs: { $setUnion: [attributePairsFromAttributes, attributePairsFromVariations] }
+    };
+    if (criteria.search) {
+      computed.score = { $meta: 'textScore' };
+    }
+
+    const skip = (page - 1) * limit;
+
+    const [result] = await Product.aggregate([
+      { $match: baseMatch },
+      // Hide products of blocked/inactive vendors (in-house products have no vendor)
+      {
+        $lookup: {
+          from: Vendor.collection.name,
+          localField: 'vendor',
+          foreignField: '_id',
+          as: 'vendorDoc',
+          pipeline: [{ $project: { businessName: 1, businessAddress: 1, status: 1 } }]
+        }
+      },
+      { $match: { $or: [{ vendorDoc: { $size: 0 } }, { 'vendorDoc.status': 'active' }] } },
+      {
+        $lookup: {
+          from: ProductAttribute.collection.name,
+          localField: 'attributes.attribute',
+          foreignField: '_id',
+          as: 'attributeDocs',
+          pipeline: [{ $project: { name: 1 } }]
+        }
+      },
+      { $addFields: computed },
+      {
+        $facet: {
+          products: [
+            matchExcept(),
+            { $sort: sort },
+            { $skip: skip },
+            { $limit: limit },
+            { $lookup: { from: ProductCategory.collection.name, localField: 'category', foreignField: '_id', as: 'category', pipeline: [{ $project: { name: 1 } }] } },
+            { $lookup: { from: ProductSubCategory.collection.name, localField: 'subCategory', foreignField: '_id', as: 'subCategory', pipeline: [{ $project: { name: 1 } }] } },
+            {
+              $set: {
+                category: { $arrayElemAt: ['$category', 0] },
+                subCategory: { $arrayElemAt: ['$subCategory', 0] },
+                vendor: { $ifNull: [{ $arrayElemAt: ['$vendorDoc', 0] }, null] }
+              }
+            },
+            { $project: { vendorDoc: 0, attributeDocs: 0, attributePairs: 0, averageRating: 0, score: 0, purchasePrice: 0 } }
+          ],
+          total: [matchExcept(), { $count: 'count' }],
+          categories: [matchExcept('category'), ...countBy('$category'), ...lookupName(ProductCategory.collection.name)],
+          subCategories: [matchExcept('subCategory'), ...countBy('$subCategory'), ...lookupName(ProductSubCategory.collection.name)],
+          brands: [matchExcept('brand'), { $match: { brand: { $nin: [null, ''] } } }, ...countBy('$brand')],
+          colors: [matchExcept('colors'), { $unwind: '$colors' }, ...countBy('$colors')],
+          attributes: [
+            matchExcept('attributes'),
+            { $unwind: '$attributePairs' },
+            { $match: { 'attributePairs.name': { $ne: null } } },
+            { $group: { _id: { name: '$attributePairs.name', value: '$attributePairs.value' }, count: { $sum: 1 } } },
+            { $sort: { count: -1, '_id.value': 1 } },
+            { $group: { _id: '$_id.name', values: { $push: { value: '$_id.value', count: '$count' } } } },
+            { $sort: { _id: 1 } }
+          ],
+          priceRange: [matchExcept('price'), { $group: { _id: null, min: { $min: '$effectivePrice' }, max: { $max: '$effectivePrice' } } }],
+          priceBuckets: [matchExcept('price'), { $bucketAuto: { groupBy: '$effectivePrice', buckets: 5 } }],
+          ratings: [matchExcept('rating'), ...countBy({ $floor: '$averageRating' })],
+          availability: [matchExcept('stock'), ...countBy({ $gt: ['$quantity', 0] })]
+        }
+      }
+    ]);
+
+    const { products, total, ...facets } = result;
+    return { products, total: total[0]?.count || 0, facets };
+  }
+
   async findById(id) {
     return await Product.findById(id)
       .populate('category', 'name')
@@ -136,6 +337,104 @@ class ProductRepository {
   async updateStatus(id, status) {
     return await Product.findByIdAndUpdate(id, { status }, { returnDocument: 'after' }).lean();
   }
+
+  /**
+   * Atomically decrement stock (conditional update - never goes negative)
+   * When a variation SKU is given, both the variation stock and the product total are reduced.
+   */
+  async decrementStock(productId, quantity, variationSku = null, session = null) {
+    const filter = variationSku
+      ? { _id: productId, quantity: { $gte: quantity }, variations: { $elemMatch: { sku: variationSku, stock: { $gte: quantity } } } }
+      : { _id: productId, quantity: { $gte: quantity } };
+
+    const update = variationSku
+      ? { $inc: { quantity: -quantity, 'variations.$.stock': -quantity } }
+      : { $inc: { quantity: -quantity } };
+
+    const result = await Product.updateOne(filter, update, { session });
+
+    if (result.modifiedCount === 0) {
+      throw new AppError('Insufficient stock for one or more items', HTTP_STATUS.CONFLICT, 'INSUFFICIENT_STOCK');
+    }
+
+    return result;
+  }
+
+  /**
+   * Current stock of a set of products (out-of-stock checks after a sale)
+   */
+  async findStockLevels(productIds) {
+    return await Product.find({ _id: { $in: productIds } })
+      .select('name vendor quantity variations.sku variations.stock')
+      .lean();
+  }
+
+  /**
+   * Fields needed to work out the effective (deal-adjusted) price of products
+   */
+  async findForPricing(productIds) {
+    return await Product.find({ _id: { $in: productIds } })
+      .select('name slug thumbnail price discount discountType vendor quantity isActive status')
+      .lean();
+  }
+
+  /**
+   * Put stock back (cancellations / returns). Returns the updated product
+   * (null when it no longer exists) so callers can tell it was sold out.
+   */
+  async incrementStock(productId, quantity, variationSku = null, session = null) {
+    const filter = variationSku
+      ? { _id: productId, 'variations.sku': variationSku }
+      : { _id: productId };
+
+    const update = variationSku
+      ? { $inc: { quantity, 'variations.$.stock': quantity } }
+      : { $inc: { quantity } };
+
+    return await Product.findOneAndUpdate(filter, update, { returnDocument: 'after', session }).lean();
+  }
+
+  /**
+   * Move the denormalized rating counters: `add` / `remove` are star values (1-5) or null.
+   * The average is recomputed in the same update so readers never see it out of step.
+   */
+  async applyRatingChange(productId, { add = null, remove = null }, session = null) {
+    const delta = { count: 0, total: 0, distribution: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 } };
+    if (add) {
+      delta.count += 1;
+      delta.total += add;
+      delta.distribution[add] += 1;
+    }
+    if (remove) {
+      delta.count -= 1;
+      delta.total -= remove;
+      delta.distribution[remove] -= 1;
+    }
+
+    const inc = (path, value) => ({ $add: [{ $ifNull: [`$${path}`, 0] }, value] });
+    const $set = {
+      'rating.count': inc('rating.count', delta.count),
+      'rating.total': inc('rating.total', delta.total)
+    };
+    for (const star of [1, 2, 3, 4, 5]) {
+      $set[`rating.distribution.${star}`] = inc(`rating.distribution.${star}`, delta.distribution[star]);
+    }
+
+    return await Product.updateOne({ _id: productId }, [
+      { $set },
+      {
+        $set: {
+          'rating.average': {
+            $cond: [
+              { $gt: ['$rating.count', 0] },
+              { $round: [{ $divide: ['$rating.total', '$rating.count'] }, 1] },
+              0
+            ]
+          }
+        }
+      }
+    ], { session });
+  }
 }
 
 export default new ProductRepository();
@@ -0,0 +1,49 @@
+import PushSubscription from '../models/pushSubscription.model.js';
+
+class PushSubscriptionRepository {
+    /**
+     * Register (or re-assign) the device behind an endpoint
+     */
+    async upsertByEndpoint(endpoint, data) {
+        return await PushSubscription.findOneAndUpdate(
+            { endpoint },
+            { $set: { ...data, endpoint } },
+            { returnDocument: 'after', upsert: true, runValidators: true, setDefaultsOnInsert: true }
+        ).lean();
+    }
+
+    async findByOwner(role, id) {
+        return await PushSubscription.find({ 'owner.role': role, 'owner.id': id })
+            .sort({ createdAt: -1 })
+            .lean();
+    }
+
+    /**
+     * Subscriptions of any of `recipients` ({ role, id }); a recipient without
+     * an id stands for every account of that role
+     */
+    async findForRecipients(recipients) {
+        const or = recipients.map(({ role, id }) => (id ? { 'owner.role': role, 'owner.id': id } : { 'owner.role': role }));
+        if (or.length === 0) return [];
+
+        return await PushSubscription.find({ $or: or }).lean();
+    }
+
+    async deleteOne(filter) {
+        const result = await PushSubscription.deleteOne(filter);
+        return result.deletedCount > 0;
+    }
+
+    async deleteByEndpoints(endpoints) {
+        if (endpoints.length === 0) return 0;
+        const result = await PushSubscription.deleteMany({ endpoint: { $in: endpoints } });
+        return result.deletedCount;
+    }
+
+    async markSent(endpoints, at = new Date()) {
+        if (endpoints.length === 0) return;
+        await PushSubscription.updateMany({ endpoint: { $in: endpoints } }, { $set: { lastSentAt: at } });
+    }
+}
+
+export default new PushSubscriptionRepository();
@@ -0,0 +1,25 @@
+import PushTemplate from '../models/pushTemplate.model.js';
+
+class PushTemplateRepository {
+    async findByEvent(event) {
+        return await PushTemplate.findOne({ event }).lean();
+    }
+
+    async getAll() {
+        return await PushTemplate.find({}).sort({ event: 1 }).lean();
+    }
+
+    async create(data) {
+        return await PushTemplate.create(data);
+    }
+
+    async updateByEvent(event, updateData) {
+        return await PushTemplate.findOneAndUpdate(
+            { event },
+            { $set: updateData },
+            { returnDocument: 'after', runValidators: true }
+        ).lean();
+    }
+}
+
+export default new PushTemplateRepository();
@@ -0,0 +1,88 @@
+import mongoose from 'mongoose';
+import ReturnRequest from '../models/returnRequest.model.js';
+import { RETURN_STATUS } from '../constants.js';
+
+class ReturnRequestRepository {
+    async create(data, session = null) {
+        const [returnRequest] = await ReturnRequest.create([data], { session });
+        return returnRequest;
+    }
+
+    async findOne(filter) {
+        return await ReturnRequest.findOne(filter).lean();
+    }
+
+    /**
+     * Offset-paginated return list
+     */
+    async findAll(filter = {}, sort = { createdAt: -1 }, page = 1, limit = 10) {
+        const skip = (page - 1) * limit;
+
+        const [returns, total] = await Promise.all([
+            ReturnRequest.find(filter)
+                .sort(sort)
+                .skip(skip)
+                .limit(limit)
+                .populate('customer', 'name email phoneNumber')
+                .populate('vendor', 'businessName')
+                .lean(),
+            ReturnRequest.countDocuments(filter)
+        ]);
+
+        return {
+            returns,
+            pagination: {
+                total,
+                page,
+                limit,
+                pages: Math.ceil(total / limit)
+            }
+        };
+    }
+
+    /**
+     * Units of an order line already under an open or completed return
+     */
+    async sumReturnedQuantity(orderId, orderItemId, session = null) {
+        const [result] = await ReturnRequest.aggregate([
+            {
+                $match: {
+                    order: new mongoose.Types.ObjectId(String(orderId)),
+                    orderItem: new mongoose.Types.ObjectId(String(orderItemId)),
+                    status: { $nin: [RETURN_STATUS.REJECTED, RETURN_STATUS.CANCELLED] }
+                }
+            },
+            { $group: { _id: null, quantity: { $sum: '$quantity' } } }
+        ]).session(session);
+        return result?.quantity || 0;
+    }
+
+    /**
+     * Sub-orders (of the given ones) that still have a return in progress
+     */
+    async findOpenSubOrders(subOrderIds) {
+        const ids = await ReturnRequest.distinct('subOrder', {
+            subOrder: { $in: subOrderIds },
+            status: { $nin: [RETURN_STATUS.COMPLETED, RETURN_STATUS.REJECTED, RETURN_STATUS.CANCELLED] }
+        });
+        return ids.map(id => id.toString());
+    }
+
+    /**
+     * Compare-and-set status change. Returns null when the return is no longer
+     * in `fromStatus` (someone else moved it first).
+     */
+    async transition(id, fromStatus, { $set = {}, history }, session = null) {
+        return await ReturnRequest.findOneAndUpdate(
+            { _id: id, status: fromStatus },
+            { $set: { ...$set, status: history.status }, $push: { statusHistory: history } },
+            { returnDocument: 'after', session }
+        ).lean();
+    }
+
+    async update(id, update, session = null) {
+        return await ReturnRequest.findByIdAndUpdate(id, update, { returnDocument: 'after', session }).lean();
+    }
+}
+
+export default new ReturnRequestRepository();
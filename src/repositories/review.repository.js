@@ -0,0 +1,80 @@
+import mongoose from 'mongoose';
+import Review from '../models/review.model.js';
+import { REVIEW_STATUS } from '../constants.js';
+
+class ReviewRepository {
+    async create(data) {
+        return await Review.create(data);
+    }
+
+    async findById(id) {
+        return await Review.findById(id).lean();
+    }
+
+    async findOne(filter) {
+        return await Review.findOne(filter).lean();
+    }
+
+    /**
+     * Offset-paginated review list
+     */
+    async findAll(filter = {}, sort = { createdAt: -1 }, page = 1, limit = 10, { withProduct = false } = {}) {
+        const skip = (page - 1) * limit;
+
+        let query = Review.find(filter)
+            .sort(sort)
+            .skip(skip)
+            .limit(limit)
+            .populate('customer', 'name photo');
+        if (withProduct) {
+            query = query.populate('product', 'name slug thumbnail');
+        }
+
+        const [reviews, total] = await Promise.all([
+            query.lean(),
+            Review.countDocuments(filter)
+        ]);
+
+        return {
+            reviews,
+            pagination: {
+                total,
+                page,
+                limit,
+                pages: Math.ceil(total / limit)
+            }
+        };
+    }
+
+    /**
+     * Conditional update. Returns the review as it was before the change
+     * (null when the filter no longer matches) so callers can adjust counters once.
+     */
+    async updateWhere(filter, update, session = null) {
+        return await Review.findOneAndUpdate(filter, update, { returnDocument: 'before', session }).lean();
+    }
+
+    async update(id, update) {
+        return await Review.findByIdAndUpdate(id, update, { returnDocument: 'after' }).lean();
+    }
+
+    async deleteWhere(filter, session = null) {
+        return await Review.findOneAndDelete(filter, { session }).lean();
+    }
+
+    /**
+     * Average and count of a vendor's approved reviews (across all products)
+     */
+    async getVendorRating(vendorId) {
+        const [result] = await Review.aggregate([
+            { $match: { vendor: new mongoose.Types.ObjectId(String(vendorId)), status: REVIEW_STATUS.APPROVED } },
+            { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } }
+        ]);
+        return {
+            average: result ? parseFloat(result.average.toFixed(1)) : 0,
+            count: result?.count || 0
+        };
+    }
+}
+
+export default new ReviewRepository();
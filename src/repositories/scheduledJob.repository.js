@@ -0,0 +1,45 @@
+import ScheduledJob from '../models/scheduledJob.model.js';
+
+class ScheduledJobRepository {
+    async findAll() {
+        return await ScheduledJob.find()
+            .populate('pausedBy', 'name email')
+            .lean();
+    }
+
+    async findByName(name) {
+        return await ScheduledJob.findOne({ name }).lean();
+    }
+
+    async setPaused(name, isPaused, { pausedBy = null, pausedByModel = null } = {}) {
+        return await ScheduledJob.findOneAndUpdate(
+            { name },
+            {
+                $set: {
+                    isPaused,
+                    pausedAt: isPaused ? new Date() : null,
+                    pausedBy: isPaused ? pausedBy : null,
+                    pausedByModel: isPaused ? pausedByModel : null
+                }
+            },
+            { returnDocument: 'after', upsert: true, setDefaultsOnInsert: true }
+        ).populate('pausedBy', 'name email').lean();
+    }
+
+    /**
+     * Store the outcome of a finished run. `succeededAt` moves the job's
+     * time window forward and is only passed for successful runs.
+     */
+    async recordRun(name, lastRun, succeededAt = null) {
+        const update = { lastRun };
+        if (succeededAt) update.lastSucceededAt = succeededAt;
+
+        return await ScheduledJob.findOneAndUpdate(
+            { name },
+            { $set: update },
+            { returnDocument: 'after', upsert: true, setDefaultsOnInsert: true }
+        ).lean();
+    }
+}
+
+export default new ScheduledJobRepository();
@@ -0,0 +1,126 @@
+import mongoose from 'mongoose';
+import SettlementEntry from '../models/settlementEntry.model.js';
+import { SETTLEMENT_ENTRY_TYPE, SETTLEMENT_ENTRY_STATUS } from '../constants.js';
+
+class SettlementEntryRepository {
+    async create(data, session = null) {
+        const [entry] = await SettlementEntry.create([data], { session });
+        return entry.toObject();
+    }
+
+    async findOne(filter) {
+        return await SettlementEntry.findOne(filter).populate('vendor', 'businessName').lean();
+    }
+
+    async findEarning(subOrderId, session = null) {
+        return await SettlementEntry.findOne({ subOrder: subOrderId, type: SETTLEMENT_ENTRY_TYPE.EARNING })
+            .session(session)
+            .lean();
+    }
+
+    async findDeduction(returnRequestId, session = null) {
+        return await SettlementEntry.findOne({ returnRequest: returnRequestId, type: SETTLEMENT_ENTRY_TYPE.RETURN_DEDUCTION })
+            .session(session)
+            .lean();
+    }
+
+    /**
+     * Offset-paginated statement
+     */
+    async findAll(filter = {}, sort = { createdAt: -1 }, page = 1, limit = 10) {
+        const skip = (page - 1) * limit;
+
+        const [entries, total] = await Promise.all([
+            SettlementEntry.find(filter)
+                .select('-lines')
+                .sort(sort)
+                .skip(skip)
+                .limit(limit)
+                .populate('vendor', 'businessName')
+                .lean(),
+            SettlementEntry.countDocuments(filter)
+        ]);
+
+        return {
+            entries,
+            pagination: {
+                total,
+                page,
+                limit,
+                pages: Math.ceil(total / limit)
+            }
+        };
+    }
+
+    /**
+     * Unclaimed entries released up to `cutoff`
+     */
+    async findPayable(cutoff, vendorIds = null) {
+        const filter = {
+            status: SETTLEMENT_ENTRY_STATUS.PENDING,
+            payoutRun: null,
+            availableAt: { $lte: cutoff }
+        };
+        if (vendorIds) filter.vendor = { $in: vendorIds };
+
+        return await SettlementEntry.find(filter)
+            .select('vendor type subOrder amount')
+            .lean();
+    }
+
+    /**
+     * Attach entries to a run. Returns how many were still unclaimed - anything
+     * less than ids.length means another run got there first.
+     */
+    async claim(ids, payoutRunId, session = null) {
+        const result = await SettlementEntry.updateMany(
+            { _id: { $in: ids }, status: SETTLEMENT_ENTRY_STATUS.PENDING, payoutRun: null },
+            { $set: { status: SETTLEMENT_ENTRY_STATUS.IN_PAYOUT, payoutRun: payoutRunId } },
+            { session }
+        );
+        return result.modifiedCount;
+    }
+
+    async markPaid(payoutRunId, vendorId, paidAt, session = null) {
+        return await SettlementEntry.updateMany(
+            { payoutRun: payoutRunId, vendor: vendorId, status: SETTLEMENT_ENTRY_STATUS.IN_PAYOUT },
+            { $set: { status: SETTLEMENT_ENTRY_STATUS.PAID, paidAt } },
+            { session }
+        );
+    }
+
+    /**
+     * Hand entries back to the pool for the next run (failed transfer or cancelled run)
+     */
+    async release(payoutRunId, vendorId = null, session = null) {
+        const filter = { payoutRun: payoutRunId, status: SETTLEMENT_ENTRY_STATUS.IN_PAYOUT };
+        if (vendorId) filter.vendor = vendorId;
+
+        return await SettlementEntry.updateMany(
+            filter,
+            { $set: { status: SETTLEMENT_ENTRY_STATUS.PENDING, payoutRun: null } },
+            { session }
+        );
+    }
+
+    /**
+     * Vendor balances: held (not yet released), available, in an open run, paid
+     */
+    async summarize(vendorId, now = new Date()) {
+        const rows = await SettlementEntry.aggregate([
+            { $match: { vendor: new mongoose.Types.ObjectId(String(vendorId)) } },
+            {
+                $group: {
+                    _id: { status: '$status', held: { $gt: ['$availableAt', now] } },
+                    amount: { $sum: '$amount' },
+                    count: { $sum: 1 },
+                    nextReleaseAt: { $min: '$availableAt' }
+                }
+            }
+        ]);
+
+        return rows;
+    }
+}
+
+export default new SettlementEntryRepository();
@@ -0,0 +1,22 @@
+import SettlementSetting from '../models/settlementSetting.model.js';
+
+class SettlementSettingRepository {
+  async getSettings() {
+    let settings = await SettlementSetting.findOne().lean();
+    if (!settings) {
+      // Initialize with defaults if not exists
+      settings = (await SettlementSetting.create({})).toObject();
+    }
+    return settings;
+  }
+
+  async updateSettings(updateData) {
+    return await SettlementSetting.findOneAndUpdate(
+      {},
+      { $set: updateData },
+      { returnDocument: 'after', upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    ).populate('updatedBy', 'name email').lean();
+  }
+}
+
+export default new SettlementSettingRepository();
@@ -0,0 +1,60 @@
+import ShippingZone from '../models/shippingZone.model.js';
+
+class ShippingZoneRepository {
+    async create(data) {
+        return await ShippingZone.create(data);
+    }
+
+    async findOne(filter) {
+        return await ShippingZone.findOne(filter).lean();
+    }
+
+    /**
+     * Offset-paginated zone list
+     */
+    async findAll(filter = {}, page = 1, limit = 10) {
+        const skip = (page - 1) * limit;
+
+        const [zones, total] = await Promise.all([
+            ShippingZone.find(filter)
+                .sort({ priority: -1, createdAt: -1 })
+                .skip(skip)
+                .limit(limit)
+                .populate('vendor', 'businessName')
+                .lean(),
+            ShippingZone.countDocuments(filter)
+        ]);
+
+        return {
+            zones,
+            pagination: {
+                total,
+                page,
+                limit,
+                pages: Math.ceil(total / limit)
+            }
+        };
+    }
+
+    /**
+     * Active zones owned by any of the given vendors (null = platform zones)
+     */
+    async findActiveByOwners(vendorIds) {
+        return await ShippingZone.find({ vendor: { $in: vendorIds }, isActive: true })
+            .sort({ priority: -1, createdAt: 1 })
+            .lean();
+    }
+
+    async updateWhere(filter, update) {
+        return await ShippingZone.findOneAndUpdate(filter, update, {
+            returnDocument: 'after',
+            runValidators: true
+        }).lean();
+    }
+
+    async deleteWhere(filter) {
+        return await ShippingZone.findOneAndDelete(filter).lean();
+    }
+}
+
+export default new ShippingZoneRepository();
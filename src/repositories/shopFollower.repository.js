@@ -0,0 +1,58 @@
+import ShopFollower from '../models/shopFollower.model.js';
+
+class ShopFollowerRepository {
+    /**
+     * Idempotent follow. Returns true when a new follow was recorded.
+     */
+    async follow(vendorId, customerId) {
+        const result = await ShopFollower.updateOne(
+            { vendor: vendorId, customer: customerId },
+            { $setOnInsert: { vendor: vendorId, customer: customerId } },
+            { upsert: true }
+        );
+        return result.upsertedCount > 0;
+    }
+
+    async unfollow(vendorId, customerId) {
+        const result = await ShopFollower.deleteOne({ vendor: vendorId, customer: customerId });
+        return result.deletedCount > 0;
+    }
+
+    async exists(vendorId, customerId) {
+        return !!(await ShopFollower.exists({ vendor: vendorId, customer: customerId }));
+    }
+
+    async countByVendor(vendorId) {
+        return await ShopFollower.countDocuments({ vendor: vendorId });
+    }
+
+    /**
+     * Offset-paginated shops a customer follows
+     */
+    async findByCustomer(customerId, page = 1, limit = 10) {
+        const skip = (page - 1) * limit;
+        const filter = { customer: customerId };
+
+        const [follows, total] = await Promise.all([
+            ShopFollower.find(filter)
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit)
+                .populate('vendor', 'businessName shopSlug businessLogo status')
+                .lean(),
+            ShopFollower.countDocuments(filter)
+        ]);
+
+        return {
+            follows,
+            pagination: {
+                total,
+                page,
+                limit,
+                pages: Math.ceil(total / limit)
+            }
+        };
+    }
+}
+
+export default new ShopFollowerRepository();
@@ -1,5 +1,6 @@
 import Vendor from '../models/vendor.model.js';
 import Logger from '../utils/logger.js';
+import { VENDOR_STATUS } from '../constants.js';
 
 class VendorRepository {
   async create(vendorData, options = {}) {
@@ -54,6 +55,19 @@ class VendorRepository {
     return await Vendor.findOneAndUpdate(filter, updateData, options);
   }
 
+  /**
+   * Active vendors whose TIN certificate expires in (from, to]
+   */
+  async findByTinExpiry(from, to) {
+    Logger.debug('DB: Finding vendors by TIN expiry', { from, to });
+    return await Vendor.find({
+      status: VENDOR_STATUS.ACTIVE,
+      'businessTin.expiryDate': { $gt: from, $lte: to },
+    })
+      .select('businessName businessTin.expiryDate')
+      .lean();
+  }
+
   async deleteById(id) {
     Logger.debug(`DB: Deleting vendor by ID: ${id}`);
     return await Vendor.findByIdAndDelete(id);
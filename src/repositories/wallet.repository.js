@@ -0,0 +1,32 @@
+import Wallet from '../models/wallet.model.js';
+
+class WalletRepository {
+    async findByCustomer(customerId, session = null) {
+        return await Wallet.findOne({ customer: customerId }).session(session).lean();
+    }
+
+    /**
+     * Add to the balance, opening the wallet on its first credit
+     */
+    async credit(customerId, amount, session = null) {
+        return await Wallet.findOneAndUpdate(
+            { customer: customerId },
+            { $inc: { balance: amount } },
+            { upsert: true, returnDocument: 'after', setDefaultsOnInsert: true, session }
+        ).lean();
+    }
+
+    /**
+     * Take from the balance only if it covers the amount.
+     * Returns null when the balance is insufficient (or there is no wallet).
+     */
+    async debit(customerId, amount, session = null) {
+        return await Wallet.findOneAndUpdate(
+            { customer: customerId, balance: { $gte: amount } },
+            { $inc: { balance: -amount } },
+            { returnDocument: 'after', session }
+        ).lean();
+    }
+}
+
+export default new WalletRepository();
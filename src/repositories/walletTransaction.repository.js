@@ -0,0 +1,40 @@
+import WalletTransaction from '../models/walletTransaction.model.js';
+
+class WalletTransactionRepository {
+    async create(data, session = null) {
+        const [entry] = await WalletTransaction.create([data], { session });
+        return entry.toObject();
+    }
+
+    async findByIdempotencyKey(idempotencyKey, session = null) {
+        return await WalletTransaction.findOne({ idempotencyKey }).session(session).lean();
+    }
+
+    /**
+     * Offset-paginated statement
+     */
+    async findAll(filter = {}, sort = { createdAt: -1 }, page = 1, limit = 10) {
+        const skip = (page - 1) * limit;
+
+        const [transactions, total] = await Promise.all([
+            WalletTransaction.find(filter)
+                .sort(sort)
+                .skip(skip)
+                .limit(limit)
+                .lean(),
+            WalletTransaction.countDocuments(filter)
+        ]);
+
+        return {
+            transactions,
+            pagination: {
+                total,
+                page,
+                limit,
+                pages: Math.ceil(total / limit)
+            }
+        };
+    }
+}
+
+export default new WalletTransactionRepository();
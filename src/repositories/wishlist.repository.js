@@ -92,6 +92,79 @@ class WishlistRepository {
 
         return wishlist ? wishlist.items.length : 0;
     }
+
+    /**
+     * Set alert opt-ins (and dedup state) on one wishlisted product.
+     * Returns null when the product is not in the customer's wishlist.
+     */
+    async updateItemAlerts(customerId, productId, fields) {
+        const $set = {};
+        for (const [key, value] of Object.entries(fields)) {
+            $set[`items.$.${key}`] = value;
+        }
+
+        return await Wishlist.findOneAndUpdate(
+            { customer: customerId, 'items.product': productId },
+            { $set },
+            { new: true }
+        ).lean().exec();
+    }
+
+    /**
+     * Wishlists holding any of `productIds` with the given alert switched on
+     */
+    async findAlertSubscribers(productIds, alertType) {
+        return await Wishlist.find({
+            items: { $elemMatch: { product: { $in: productIds }, [`alerts.${alertType}`]: true } }
+        })
+            .select('customer items')
+            .lean()
+            .exec();
+    }
+
+    /**
+     * Claim the restock alert for one customer/product. Conditional update, so
+     * concurrent restocks within the cooldown send a single email.
+     */
+    async claimBackInStockAlert(wishlistId, productId, cooldownStart, now = new Date()) {
+        const result = await Wishlist.updateOne(
+            {
+                _id: wishlistId,
+                items: {
+                    $elemMatch: {
+                        product: productId,
+                        'alerts.backInStock': true,
+                        $or: [{ stockAlertedAt: null }, { stockAlertedAt: { $lt: cooldownStart } }]
+                    }
+                }
+            },
+            { $set: { 'items.$.stockAlertedAt': now } }
+        ).exec();
+
+        return result.modifiedCount === 1;
+    }
+
+    /**
+     * Claim a price-drop alert: only succeeds when `price` is below the lowest
+     * price already announced to this customer, which then moves down to it.
+     */
+    async claimPriceDropAlert(wishlistId, productId, price) {
+        const result = await Wishlist.updateOne(
+            {
+                _id: wishlistId,
+                items: {
+                    $elemMatch: {
+                        product: productId,
+                        'alerts.priceDrop': true,
+                        alertPrice: { $gt: price }
+                    }
+                }
+            },
+            { $set: { 'items.$.alertPrice': price } }
+        ).exec();
+
+        return result.modifiedCount === 1;
+    }
 }
 
 export default new WishlistRepository();
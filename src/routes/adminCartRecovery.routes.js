@@ -0,0 +1,29 @@
+import express from 'express';
+import { SYSTEM_PERMISSIONS } from '../constants.js';
+import validate from '../middleware/validate.middleware.js';
+import CartRecoveryValidation from '../validations/cartRecovery.validation.js';
+import CartRecoveryController from '../controllers/cartRecovery.controller.js';
+import { authorizeStaff } from '../middleware/employeeAuth.middleware.js';
+import lockRequest from '../middleware/idempotency.middleware.js';
+
+const router = express.Router();
+
+// Admin/Staff Protection
+router.use(authorizeStaff(SYSTEM_PERMISSIONS.OFFERS_AND_DEALS));
+
+// Reminder schedule, coupon offer and on/off switch
+router.get('/settings', CartRecoveryController.getSettings);
+
+router.patch(
+  '/settings',
+  lockRequest('update_cart_recovery_settings'),
+  validate(CartRecoveryValidation.updateSettings),
+  CartRecoveryController.updateSettings
+);
+
+router.get('/campaigns', validate(CartRecoveryValidation.listCampaigns), CartRecoveryController.getCampaigns);
+
+// Recovery rate, recovered revenue and per-reminder breakdown
+router.get('/report', validate(CartRecoveryValidation.report), CartRecoveryController.getReport);
+
+export default router;
@@ -0,0 +1,37 @@
+import express from 'express';
+import { SYSTEM_PERMISSIONS } from '../constants.js';
+import validate from '../middleware/validate.middleware.js';
+import CommissionValidation from '../validations/commission.validation.js';
+import CommissionController from '../controllers/commission.controller.js';
+import { authorizeStaff } from '../middleware/employeeAuth.middleware.js';
+import lockRequest from '../middleware/idempotency.middleware.js';
+
+const router = express.Router();
+
+// Admin/Staff Protection
+router.use(authorizeStaff(SYSTEM_PERMISSIONS.VENDOR_MANAGEMENT));
+
+router.get('/', validate(CommissionValidation.listRules), CommissionController.getRules);
+
+// Priority: vendor > sub-category > category > global > settlement default rate
+router.get('/resolve', validate(CommissionValidation.resolveRule), CommissionController.resolveRule);
+
+router.post(
+  '/',
+  lockRequest('create_commission_rule'),
+  validate(CommissionValidation.createRule),
+  CommissionController.createRule
+);
+
+router.get('/:id', validate(CommissionValidation.ruleById), CommissionController.getRuleById);
+
+router.patch(
+  '/:id',
+  lockRequest('update_commission_rule'),
+  validate(CommissionValidation.updateRule),
+  CommissionController.updateRule
+);
+
+router.delete('/:id', validate(CommissionValidation.ruleById), CommissionController.deleteRule);
+
+export default router;
@@ -1,6 +1,6 @@
 import express from 'express';
 import { z } from 'zod';
-import { SYSTEM_PERMISSIONS } from '../constants.js';
+import { SYSTEM_PERMISSIONS, REGEX } from '../constants.js';
 import validate from '../middleware/validate.middleware.js';
 import { authorizeStaff } from '../middleware/employeeAuth.middleware.js';
 import AdminCouponController from '../controllers/adminCoupon.controller.js';
@@ -8,6 +8,8 @@ import lockRequest from '../middleware/idempotency.middleware.js';
 
 const router = express.Router();
 
+const objectId = (label) => z.string().regex(REGEX.MONGODB_ID, `Invalid ${label}`);
+
 const couponSchema = z.object({
     body: z.object({
         title: z.string().min(1),
@@ -15,13 +17,21 @@ const couponSchema = z.object({
         type: z.enum(['discount_on_purchase', 'free_delivery', 'first_order']),
         bearer: z.enum(['admin', 'vendor']),
         vendor: z.string().regex(/^[0-9a-fA-F]{24}$/, "Invalid Vendor ID").optional().nullable(),
+        fundedBy: z.enum(['platform', 'vendor']).optional(),
         discountType: z.enum(['amount', 'percent']).optional(),
         discountAmount: z.number().min(0).optional(),
         minPurchase: z.number().min(0).optional(),
         limitForSameUser: z.number().min(1).optional(),
+        usageLimit: z.number().int().min(1).nullable().optional(),
         startDate: z.string().min(1),
         expireDate: z.string().min(1),
-        customerScope: z.enum(['all', 'specific']).optional()
+        customerScope: z.enum(['all', 'specific']).optional(),
+        customers: z.array(objectId('customer ID')).optional(),
+        categories: z.array(objectId('category ID')).optional(),
+        subCategories: z.array(objectId('sub-category ID')).optional(),
+        products: z.array(objectId('product ID')).optional(),
+        excludedProducts: z.array(objectId('product ID')).optional(),
+        minQuantity: z.number().int().min(0).optional()
     })
 });
 
@@ -39,6 +49,7 @@ router.route('/:id')
     .patch(lockRequest(), validate(couponSchema.partial()), AdminCouponController.updateCoupon)
     .delete(lockRequest(), AdminCouponController.deleteCoupon);
 
+router.get('/:id/redemptions', AdminCouponController.getCouponRedemptions);
 router.patch('/:id/status', lockRequest(), AdminCouponController.updateStatus);
 
 export default router;
@@ -0,0 +1,33 @@
+import express from 'express';
+import { SYSTEM_PERMISSIONS } from '../constants.js';
+import validate from '../middleware/validate.middleware.js';
+import ScheduledJobValidation from '../validations/scheduledJob.validation.js';
+import ScheduledJobController from '../controllers/scheduledJob.controller.js';
+import { authorizeStaff } from '../middleware/employeeAuth.middleware.js';
+import lockRequest from '../middleware/idempotency.middleware.js';
+
+const router = express.Router();
+
+// Admin/Staff Protection
+router.use(authorizeStaff(SYSTEM_PERMISSIONS.SYSTEM_SETTINGS));
+
+// Registry with schedule, pause state and last run
+router.get('/', ScheduledJobController.getJobs);
+
+// Run history (stack traces only on the single-run view)
+router.get('/runs', validate(ScheduledJobValidation.listRuns), ScheduledJobController.getRuns);
+router.get('/runs/:runId', validate(ScheduledJobValidation.runById), ScheduledJobController.getRun);
+
+// Runs now, even when paused, and answers with the finished run (409 while it is running)
+router.post(
+  '/:name/run',
+  lockRequest('run_scheduled_job'),
+  validate(ScheduledJobValidation.byName),
+  ScheduledJobController.runJob
+);
+
+// Paused jobs skip their cron ticks on every instance
+router.patch('/:name/pause', validate(ScheduledJobValidation.byName), ScheduledJobController.pauseJob);
+router.patch('/:name/resume', validate(ScheduledJobValidation.byName), ScheduledJobController.resumeJob);
+
+export default router;
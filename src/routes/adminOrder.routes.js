@@ -0,0 +1,39 @@
+import express from 'express';
+import { SYSTEM_PERMISSIONS } from '../constants.js';
+import validate from '../middleware/validate.middleware.js';
+import OrderValidation from '../validations/order.validation.js';
+import OrderController from '../controllers/order.controller.js';
+import InvoiceController from '../controllers/invoice.controller.js';
+import { authorizeStaff } from '../middleware/employeeAuth.middleware.js';
+import lockRequest from '../middleware/idempotency.middleware.js';
+
+const router = express.Router();
+
+// Admin/Staff Protection
+router.use(authorizeStaff(SYSTEM_PERMISSIONS.ORDER_MANAGEMENT));
+
+router.get('/', validate(OrderValidation.adminListOrders), OrderController.getAllOrders);
+
+// Combined invoice / packing-slip PDF, generated on the export queue
+router.post(
+  '/invoices/batch',
+  lockRequest('admin_document_batch'),
+  validate(OrderValidation.adminDocumentBatch),
+  InvoiceController.queueBatch
+);
+router.get('/invoices/batch/:jobId', validate(OrderValidation.batchStatus), InvoiceController.getBatch);
+
+router.get('/:id', validate(OrderValidation.getOrder), OrderController.getOrderById);
+
+// Status change / override (body.force bypasses the state machine)
+router.patch(
+  '/:id/sub-orders/:subOrderId/status',
+  lockRequest('admin_update_order_status'),
+  validate(OrderValidation.adminUpdateStatus),
+  OrderController.adminUpdateSubOrderStatus
+);
+
+router.get('/:id/sub-orders/:subOrderId/invoice', validate(OrderValidation.subOrderDocument), InvoiceController.downloadInvoice);
+router.get('/:id/sub-orders/:subOrderId/packing-slip', validate(OrderValidation.subOrderDocument), InvoiceController.downloadPackingSlip);
+
+export default router;
@@ -0,0 +1,48 @@
+import express from 'express';
+import { SYSTEM_PERMISSIONS } from '../constants.js';
+import validate from '../middleware/validate.middleware.js';
+import PaymentValidation from '../validations/payment.validation.js';
+import PaymentController from '../controllers/payment.controller.js';
+import OfflinePaymentController from '../controllers/offlinePayment.controller.js';
+import { authorizeStaff } from '../middleware/employeeAuth.middleware.js';
+import lockRequest from '../middleware/idempotency.middleware.js';
+
+const router = express.Router();
+
+// Admin/Staff Protection
+router.use(authorizeStaff(SYSTEM_PERMISSIONS.ORDER_MANAGEMENT));
+
+// Capture an authorised payment
+router.post(
+  '/orders/:orderId/capture',
+  lockRequest('capture_payment'),
+  validate(PaymentValidation.paymentStatus),
+  PaymentController.capturePayment
+);
+
+// Full (no amount) or partial refund through the original gateway
+router.post(
+  '/orders/:orderId/refund',
+  lockRequest('refund_payment'),
+  validate(PaymentValidation.refundPayment),
+  PaymentController.refundPayment
+);
+
+// Offline / COD approval queue
+router.get('/offline', validate(PaymentValidation.offlineQueue), OfflinePaymentController.getApprovalQueue);
+
+router.patch(
+  '/orders/:orderId/offline/approve',
+  lockRequest('approve_offline_payment'),
+  validate(PaymentValidation.approveOfflinePayment),
+  OfflinePaymentController.approve
+);
+
+router.patch(
+  '/orders/:orderId/offline/reject',
+  lockRequest('reject_offline_payment'),
+  validate(PaymentValidation.rejectOfflinePayment),
+  OfflinePaymentController.reject
+);
+
+export default router;
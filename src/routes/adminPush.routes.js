@@ -0,0 +1,25 @@
+import express from 'express';
+import { SYSTEM_PERMISSIONS } from '../constants.js';
+import validate from '../middleware/validate.middleware.js';
+import PushValidation from '../validations/push.validation.js';
+import PushController from '../controllers/push.controller.js';
+import { authorizeStaff } from '../middleware/employeeAuth.middleware.js';
+
+const router = express.Router();
+
+// Admin/Staff Protection
+router.use(authorizeStaff(SYSTEM_PERMISSIONS.SYSTEM_SETTINGS));
+
+// Per-event push templates ({placeholder} tokens filled from the event data)
+router.get('/templates', PushController.getTemplates);
+
+router.route('/templates/:event')
+  .get(validate(PushValidation.templateByEvent), PushController.getTemplateByEvent)
+  .patch(validate(PushValidation.updateTemplate), PushController.updateTemplate);
+
+router.patch('/templates/:event/toggle', validate(PushValidation.templateByEvent), PushController.toggleTemplate);
+
+// Sent immediately (not queued); defaults to the caller's own devices
+router.post('/test', validate(PushValidation.sendTest), PushController.sendTest);
+
+export default router;
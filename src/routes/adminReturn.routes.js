@@ -0,0 +1,40 @@
+import express from 'express';
+import { SYSTEM_PERMISSIONS } from '../constants.js';
+import validate from '../middleware/validate.middleware.js';
+import ReturnRequestValidation from '../validations/returnRequest.validation.js';
+import ReturnRequestController from '../controllers/returnRequest.controller.js';
+import { authorizeStaff } from '../middleware/employeeAuth.middleware.js';
+import lockRequest from '../middleware/idempotency.middleware.js';
+
+const router = express.Router();
+
+// Admin/Staff Protection
+router.use(authorizeStaff(SYSTEM_PERMISSIONS.ORDER_MANAGEMENT));
+
+// ?overdue=true lists requests the seller did not answer in time
+router.get('/', validate(ReturnRequestValidation.adminListReturns), ReturnRequestController.getAllReturns);
+
+router.get('/:id', validate(ReturnRequestValidation.returnById), ReturnRequestController.getReturnById);
+
+router.patch(
+  '/:id/review',
+  lockRequest('admin_review_return'),
+  validate(ReturnRequestValidation.reviewReturn),
+  ReturnRequestController.reviewReturn
+);
+
+router.patch(
+  '/:id/status',
+  lockRequest('admin_update_return_status'),
+  validate(ReturnRequestValidation.updateStatus),
+  ReturnRequestController.updateReturnStatus
+);
+
+router.patch(
+  '/:id/resolve',
+  lockRequest('admin_resolve_return'),
+  validate(ReturnRequestValidation.resolveReturn),
+  ReturnRequestController.resolveReturn
+);
+
+export default router;
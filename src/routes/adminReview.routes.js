@@ -0,0 +1,31 @@
+import express from 'express';
+import { SYSTEM_PERMISSIONS } from '../constants.js';
+import validate from '../middleware/validate.middleware.js';
+import ReviewValidation from '../validations/review.validation.js';
+import ReviewController from '../controllers/review.controller.js';
+import { authorizeStaff } from '../middleware/employeeAuth.middleware.js';
+import lockRequest from '../middleware/idempotency.middleware.js';
+
+const router = express.Router();
+
+// Admin/Staff Protection
+router.use(authorizeStaff(SYSTEM_PERMISSIONS.PRODUCT_MANAGEMENT));
+
+// ?status=pending is the moderation queue (oldest first)
+router.get('/', validate(ReviewValidation.adminReviews), ReviewController.getAllReviews);
+
+router.patch(
+  '/:id/approve',
+  lockRequest('admin_approve_review'),
+  validate(ReviewValidation.moderateReview),
+  ReviewController.approveReview
+);
+
+router.patch(
+  '/:id/hide',
+  lockRequest('admin_hide_review'),
+  validate(ReviewValidation.moderateReview),
+  ReviewController.hideReview
+);
+
+export default router;
@@ -0,0 +1,65 @@
+import express from 'express';
+import { SYSTEM_PERMISSIONS } from '../constants.js';
+import validate from '../middleware/validate.middleware.js';
+import SettlementValidation from '../validations/settlement.validation.js';
+import SettlementController from '../controllers/settlement.controller.js';
+import { authorizeStaff } from '../middleware/employeeAuth.middleware.js';
+import lockRequest from '../middleware/idempotency.middleware.js';
+
+const router = express.Router();
+
+// Admin/Staff Protection
+router.use(authorizeStaff(SYSTEM_PERMISSIONS.VENDOR_MANAGEMENT));
+
+// Commission, shipping and minimum payout rules
+router.get('/settings', SettlementController.getSettings);
+
+router.patch(
+  '/settings',
+  lockRequest('update_settlement_settings'),
+  validate(SettlementValidation.updateSettings),
+  SettlementController.updateSettings
+);
+
+router.get('/entries', validate(SettlementValidation.adminEntries), SettlementController.getEntries);
+
+router.get('/entries/:id', validate(SettlementValidation.entryById), SettlementController.getEntry);
+
+router.get('/vendors/:vendorId/summary', validate(SettlementValidation.vendorSummary), SettlementController.getVendorSummary);
+
+// Payout runs: draft -> approve -> export to bank -> mark each transfer paid/failed
+router.get('/payout-runs', validate(SettlementValidation.listRuns), SettlementController.getRuns);
+
+router.post(
+  '/payout-runs',
+  lockRequest('create_payout_run'),
+  validate(SettlementValidation.createRun),
+  SettlementController.createRun
+);
+
+router.get('/payout-runs/:id', validate(SettlementValidation.runById), SettlementController.getRun);
+
+router.get('/payout-runs/:id/export', validate(SettlementValidation.runById), SettlementController.exportRun);
+
+router.patch(
+  '/payout-runs/:id/approve',
+  lockRequest('approve_payout_run'),
+  validate(SettlementValidation.runById),
+  SettlementController.approveRun
+);
+
+router.patch(
+  '/payout-runs/:id/cancel',
+  lockRequest('cancel_payout_run'),
+  validate(SettlementValidation.runById),
+  SettlementController.cancelRun
+);
+
+router.patch(
+  '/payout-runs/:id/payouts/:payoutId',
+  lockRequest('settle_vendor_payout'),
+  validate(SettlementValidation.settlePayout),
+  SettlementController.settlePayout
+);
+
+export default router;
@@ -0,0 +1,35 @@
+import express from 'express';
+import { SYSTEM_PERMISSIONS } from '../constants.js';
+import validate from '../middleware/validate.middleware.js';
+import ShippingZoneValidation from '../validations/shippingZone.validation.js';
+import ShippingZoneController from '../controllers/shippingZone.controller.js';
+import { authorizeStaff } from '../middleware/employeeAuth.middleware.js';
+import lockRequest from '../middleware/idempotency.middleware.js';
+
+const router = express.Router();
+
+// Admin/Staff Protection
+router.use(authorizeStaff(SYSTEM_PERMISSIONS.SYSTEM_SETTINGS));
+
+// ?vendor=platform lists platform zones only
+router.get('/', validate(ShippingZoneValidation.adminListZones), ShippingZoneController.getZones);
+
+router.post(
+  '/',
+  lockRequest('admin_create_shipping_zone'),
+  validate(ShippingZoneValidation.adminCreateZone),
+  ShippingZoneController.createZone
+);
+
+router.get('/:id', validate(ShippingZoneValidation.zoneById), ShippingZoneController.getZoneById);
+
+router.patch(
+  '/:id',
+  lockRequest('admin_update_shipping_zone'),
+  validate(ShippingZoneValidation.updateZone),
+  ShippingZoneController.updateZone
+);
+
+router.delete('/:id', validate(ShippingZoneValidation.zoneById), ShippingZoneController.deleteZone);
+
+export default router;
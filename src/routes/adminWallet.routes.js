@@ -0,0 +1,23 @@
+import express from 'express';
+import { SYSTEM_PERMISSIONS } from '../constants.js';
+import validate from '../middleware/validate.middleware.js';
+import WalletValidation from '../validations/wallet.validation.js';
+import WalletController from '../controllers/wallet.controller.js';
+import { authorizeStaff } from '../middleware/employeeAuth.middleware.js';
+import lockRequest from '../middleware/idempotency.middleware.js';
+
+const router = express.Router();
+
+// Admin/Staff Protection
+router.use(authorizeStaff(SYSTEM_PERMISSIONS.WALLET_MANAGEMENT));
+
+router.get('/:customerId', validate(WalletValidation.customerStatement), WalletController.getCustomerStatement);
+
+router.post(
+  '/:customerId/adjustments',
+  lockRequest('admin_adjust_wallet'),
+  validate(WalletValidation.adjustWallet),
+  WalletController.adjustWallet
+);
+
+export default router;
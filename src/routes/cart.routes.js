@@ -10,7 +10,7 @@ const router = express.Router();
  * All routes support both guest (with x-guest-id header) and authenticated users
  */
 
-// Get cart
+// Get cart (?pincode=&state= or ?addressId= quotes shipping by zone)
 router.get('/', optionalAuth, CartController.getCart.bind(CartController));
 
 // Get cart summary only
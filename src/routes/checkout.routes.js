@@ -0,0 +1,23 @@
+import express from 'express';
+import validate from '../middleware/validate.middleware.js';
+import CheckoutValidation from '../validations/checkout.validation.js';
+import CheckoutController from '../controllers/checkout.controller.js';
+import { protectCustomer } from '../middleware/customerAuth.middleware.js';
+import lockRequest from '../middleware/idempotency.middleware.js';
+
+const router = express.Router();
+
+/**
+ * @desc    Place order from cart (split into per-vendor sub-orders)
+ * @route   POST /api/v1/checkout
+ * @access  Private (Customer)
+ */
+router.post(
+  '/',
+  protectCustomer,
+  lockRequest('checkout'),
+  validate(CheckoutValidation.checkout),
+  CheckoutController.checkout
+);
+
+export default router;
@@ -1,7 +1,7 @@
 import express from 'express';
 import ContentController from '../controllers/content.controller.js';
 import { authorizeStaff } from '../middleware/employeeAuth.middleware.js';
-import { SYSTEM_PERMISSIONS } from '../constants.js';
+import { SYSTEM_PERMISSIONS, RETURN_RESOLUTION } from '../constants.js';
 import validate from '../middleware/validate.middleware.js';
 import { z } from 'zod';
 import cacheMiddleware from '../middleware/cache.middleware.js';
@@ -16,6 +16,16 @@ const contentSchema = (field) => z.object({
   }),
 });
 
+const returnSettingsSchema = z.object({
+  body: z.object({
+    isEnabled: z.boolean().optional(),
+    returnWindowDays: z.number().int().min(0).max(365).optional(),
+    vendorResponseDays: z.number().int().min(1).max(30).optional(),
+    requirePhotos: z.boolean().optional(),
+    allowedResolutions: z.array(z.enum(Object.values(RETURN_RESOLUTION))).min(1).optional(),
+  }),
+});
+
 /**
  * Public Routes
  */
@@ -40,6 +50,7 @@ router.patch('/terms-and-conditions', lockRequest('update_terms'), validate(cont
 router.patch('/privacy-policy', lockRequest('update_privacy'), validate(contentSchema('privacyPolicy')), ContentController.updatePrivacyPolicy);
 router.patch('/refund-policy', lockRequest('update_refund'), validate(contentSchema('refundPolicy')), ContentController.updateRefundPolicy);
 router.patch('/return-policy', lockRequest('update_return'), validate(contentSchema('returnPolicy')), ContentController.updateReturnPolicy);
+router.patch('/return-settings', lockRequest('update_return_settings'), validate(returnSettingsSchema), ContentController.updateReturnSettings);
 router.patch('/shipping-policy', lockRequest('update_shipping'), validate(contentSchema('shippingPolicy')), ContentController.updateShippingPolicy);
 router.patch('/cancellation-policy', lockRequest('update_cancellation'), validate(contentSchema('cancellationPolicy')), ContentController.updateCancellationPolicy);
 
@@ -4,10 +4,13 @@ import validate from '../middleware/validate.middleware.js';
 import { protectVendor } from '../middleware/vendorAuth.middleware.js';
 import CouponController from '../controllers/coupon.controller.js';
 import lockRequest from '../middleware/idempotency.middleware.js';
+import { REGEX } from '../constants.js';
 
 const router = express.Router();
 
 // Validation Schemas
+const objectId = (label) => z.string().regex(REGEX.MONGODB_ID, `Invalid ${label}`);
+
 const createCouponSchema = z.object({
     body: z.object({
         title: z.string().min(3, 'Title is required'),
@@ -17,6 +20,14 @@ const createCouponSchema = z.object({
         discountAmount: z.number().min(0).optional(),
         minPurchase: z.number().min(0).optional(),
         limitForSameUser: z.number().min(1).optional(),
+        usageLimit: z.number().int().min(1).nullable().optional(),
+        customerScope: z.enum(['all', 'specific']).optional(),
+        customers: z.array(objectId('customer ID')).optional(),
+        categories: z.array(objectId('category ID')).optional(),
+        subCategories: z.array(objectId('sub-category ID')).optional(),
+        products: z.array(objectId('product ID')).optional(),
+        excludedProducts: z.array(objectId('product ID')).optional(),
+        minQuantity: z.number().int().min(0).optional(),
         startDate: z.string().datetime({ message: 'Start date must be a valid ISO date' }),
         expireDate: z.string().datetime({ message: 'Expire date must be a valid ISO date' })
     }) // Add refinments if needed (e.g., if type=discount_on_purchase, amount required)
@@ -31,6 +42,14 @@ const updateCouponSchema = z.object({
         discountAmount: z.number().min(0).optional(),
         minPurchase: z.number().min(0).optional(),
         limitForSameUser: z.number().min(1).optional(),
+        usageLimit: z.number().int().min(1).nullable().optional(),
+        customerScope: z.enum(['all', 'specific']).optional(),
+        customers: z.array(objectId('customer ID')).optional(),
+        categories: z.array(objectId('category ID')).optional(),
+        subCategories: z.array(objectId('sub-category ID')).optional(),
+        products: z.array(objectId('product ID')).optional(),
+        excludedProducts: z.array(objectId('product ID')).optional(),
+        minQuantity: z.number().int().min(0).optional(),
         startDate: z.string().datetime().optional(),
         expireDate: z.string().datetime().optional()
     })
@@ -58,6 +77,8 @@ router.get('/export/csv', CouponController.exportVendorCoupons);
 
 router.get('/:id', CouponController.getCouponById);
 
+router.get('/:id/redemptions', CouponController.getCouponRedemptions);
+
 router.put(
     '/:id',
     lockRequest('update_coupon'),
@@ -0,0 +1,77 @@
+import express from 'express';
+import validate from '../middleware/validate.middleware.js';
+import CustomerAddressValidation from '../validations/customerAddress.validation.js';
+import CustomerAddressController from '../controllers/customerAddress.controller.js';
+import { protectCustomer } from '../middleware/customerAuth.middleware.js';
+import lockRequest from '../middleware/idempotency.middleware.js';
+
+const router = express.Router();
+
+/**
+ * Customer Address Book Routes
+ */
+router.use(protectCustomer);
+
+/**
+ * @desc    My saved addresses (defaults first)
+ * @route   GET /api/v1/customers/addresses
+ * @access  Private (Customer)
+ */
+router.get('/', CustomerAddressController.listAddresses);
+
+/**
+ * @desc    Save a new address (the first one becomes default shipping and billing)
+ * @route   POST /api/v1/customers/addresses
+ * @access  Private (Customer)
+ */
+router.post(
+  '/',
+  lockRequest('create_address'),
+  validate(CustomerAddressValidation.createAddress),
+  CustomerAddressController.createAddress
+);
+
+/**
+ * @desc    Get a saved address
+ * @route   GET /api/v1/customers/addresses/:id
+ * @access  Private (Customer)
+ */
+router.get('/:id', validate(CustomerAddressValidation.addressById), CustomerAddressController.getAddress);
+
+/**
+ * @desc    Edit a saved address (re-geocoded when the location changes)
+ * @route   PATCH /api/v1/customers/addresses/:id
+ * @access  Private (Customer)
+ */
+router.patch(
+  '/:id',
+  lockRequest('update_address'),
+  validate(CustomerAddressValidation.updateAddress),
+  CustomerAddressController.updateAddress
+);
+
+/**
+ * @desc    Make an address the default shipping and/or billing address
+ * @route   PATCH /api/v1/customers/addresses/:id/default
+ * @access  Private (Customer)
+ */
+router.patch(
+  '/:id/default',
+  lockRequest('default_address'),
+  validate(CustomerAddressValidation.setDefaultAddress),
+  CustomerAddressController.setDefaultAddress
+);
+
+/**
+ * @desc    Delete a saved address
+ * @route   DELETE /api/v1/customers/addresses/:id
+ * @access  Private (Customer)
+ */
+router.delete(
+  '/:id',
+  lockRequest('delete_address'),
+  validate(CustomerAddressValidation.addressById),
+  CustomerAddressController.deleteAddress
+);
+
+export default router;
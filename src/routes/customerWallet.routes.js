@@ -0,0 +1,28 @@
+import express from 'express';
+import validate from '../middleware/validate.middleware.js';
+import WalletValidation from '../validations/wallet.validation.js';
+import WalletController from '../controllers/wallet.controller.js';
+import { protectCustomer } from '../middleware/customerAuth.middleware.js';
+
+const router = express.Router();
+
+/**
+ * Customer Wallet Routes
+ */
+router.use(protectCustomer);
+
+/**
+ * @desc    My wallet balance
+ * @route   GET /api/v1/customers/wallet
+ * @access  Private (Customer)
+ */
+router.get('/', WalletController.getMyWallet);
+
+/**
+ * @desc    Wallet statement (balance + ledger entries, newest first)
+ * @route   GET /api/v1/customers/wallet/statement
+ * @access  Private (Customer)
+ */
+router.get('/statement', validate(WalletValidation.statement), WalletController.getMyStatement);
+
+export default router;
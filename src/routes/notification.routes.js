@@ -0,0 +1,37 @@
+import express from 'express';
+import validate from '../middleware/validate.middleware.js';
+import NotificationValidation from '../validations/notification.validation.js';
+import NotificationController from '../controllers/notification.controller.js';
+import { protectAll } from '../middleware/auth.middleware.js';
+
+const router = express.Router();
+
+/**
+ * In-app Notification Center
+ * Each account (customer, vendor, employee, admin) sees only its own feed.
+ */
+router.use(protectAll);
+
+/**
+ * @desc    Notification feed (newest first, cursor pagination)
+ * @route   GET /api/v1/notifications?cursor=&limit=&unread=true
+ * @access  Private (Customer, Vendor, Employee, Admin)
+ */
+router.get('/', validate(NotificationValidation.feed), NotificationController.getFeed);
+
+/**
+ * @desc    Unread badge count
+ * @route   GET /api/v1/notifications/unread-count
+ * @access  Private (Customer, Vendor, Employee, Admin)
+ */
+router.get('/unread-count', NotificationController.getUnreadCount);
+
+/**
+ * @desc    Mark everything / one notification as read
+ * @route   PATCH /api/v1/notifications/read-all | /api/v1/notifications/:id/read
+ * @access  Private (Customer, Vendor, Employee, Admin)
+ */
+router.patch('/read-all', NotificationController.markAllRead);
+router.patch('/:id/read', validate(NotificationValidation.notificationById), NotificationController.markRead);
+
+export default router;
@@ -0,0 +1,54 @@
+import express from 'express';
+import validate from '../middleware/validate.middleware.js';
+import OrderValidation from '../validations/order.validation.js';
+import OrderController from '../controllers/order.controller.js';
+import InvoiceController from '../controllers/invoice.controller.js';
+import { protectCustomer } from '../middleware/customerAuth.middleware.js';
+import lockRequest from '../middleware/idempotency.middleware.js';
+
+const router = express.Router();
+
+/**
+ * Customer Order Routes
+ * All routes require customer authentication
+ */
+router.use(protectCustomer);
+
+/**
+ * @desc    Order history
+ * @route   GET /api/v1/orders
+ * @access  Private (Customer)
+ */
+router.get('/', validate(OrderValidation.listOrders), OrderController.getMyOrders);
+
+/**
+ * @desc    Order details
+ * @route   GET /api/v1/orders/:id
+ * @access  Private (Customer)
+ */
+router.get('/:id', validate(OrderValidation.getOrder), OrderController.getMyOrderById);
+
+/**
+ * @desc    Cancel order (or a single sub-order) before shipment
+ * @route   PATCH /api/v1/orders/:id/cancel
+ * @access  Private (Customer)
+ */
+router.patch(
+  '/:id/cancel',
+  lockRequest('cancel_order'),
+  validate(OrderValidation.cancelOrder),
+  OrderController.cancelMyOrder
+);
+
+/**
+ * @desc    Download the seller's tax invoice of a sub-order (PDF)
+ * @route   GET /api/v1/orders/:id/sub-orders/:subOrderId/invoice
+ * @access  Private (Customer)
+ */
+router.get(
+  '/:id/sub-orders/:subOrderId/invoice',
+  validate(OrderValidation.subOrderDocument),
+  InvoiceController.downloadMyInvoice
+);
+
+export default router;
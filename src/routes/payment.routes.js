@@ -0,0 +1,71 @@
+import express from 'express';
+import validate from '../middleware/validate.middleware.js';
+import PaymentValidation from '../validations/payment.validation.js';
+import PaymentController from '../controllers/payment.controller.js';
+import OfflinePaymentController from '../controllers/offlinePayment.controller.js';
+import uploadMiddleware from '../middleware/upload.middleware.js';
+import { protectCustomer } from '../middleware/customerAuth.middleware.js';
+import lockRequest from '../middleware/idempotency.middleware.js';
+
+const router = express.Router();
+
+/**
+ * @desc    Gateway webhook / redirect callback (authenticity checked by the gateway adapter)
+ * @route   POST /api/v1/payments/:gateway/webhook
+ * @access  Public (Payment gateway)
+ */
+router.post('/:gateway/webhook', validate(PaymentValidation.webhook), PaymentController.webhook);
+
+/**
+ * @desc    Initiate payment for a placed order on the chosen gateway
+ * @route   POST /api/v1/payments/:gateway/order
+ * @access  Private (Customer)
+ */
+router.post(
+  '/:gateway/order',
+  protectCustomer,
+  lockRequest('create_payment'),
+  validate(PaymentValidation.createPayment),
+  PaymentController.createPayment
+);
+
+/**
+ * @desc    Verify client-side payment completion
+ * @route   POST /api/v1/payments/:gateway/verify
+ * @access  Private (Customer)
+ */
+router.post(
+  '/:gateway/verify',
+  protectCustomer,
+  lockRequest('verify_payment'),
+  validate(PaymentValidation.verifyPayment),
+  PaymentController.verifyPayment
+);
+
+/**
+ * @desc    Refresh payment status from the gateway
+ * @route   GET /api/v1/payments/orders/:orderId/status
+ * @access  Private (Customer)
+ */
+router.get(
+  '/orders/:orderId/status',
+  protectCustomer,
+  validate(PaymentValidation.paymentStatus),
+  PaymentController.getPaymentStatus
+);
+
+/**
+ * @desc    Upload bank transfer / offline payment proof (image or PDF)
+ * @route   POST /api/v1/payments/orders/:orderId/offline-proof
+ * @access  Private (Customer)
+ */
+router.post(
+  '/orders/:orderId/offline-proof',
+  protectCustomer,
+  lockRequest('submit_offline_proof'),
+  uploadMiddleware.single('proof'),
+  validate(PaymentValidation.submitOfflineProof),
+  OfflinePaymentController.submitProof
+);
+
+export default router;
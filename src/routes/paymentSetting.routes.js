@@ -4,6 +4,8 @@ import { authorizeStaff } from '../middleware/employeeAuth.middleware.js';
 import { SYSTEM_PERMISSIONS } from '../constants.js';
 import cacheMiddleware from '../middleware/cache.middleware.js';
 import lockRequest from '../middleware/idempotency.middleware.js';
+import validate from '../middleware/validate.middleware.js';
+import { updateSettingsSchema } from '../validations/paymentSetting.validation.js';
 
 const router = express.Router();
 
@@ -19,6 +21,7 @@ router.patch(
   '/', 
   authorizeStaff(SYSTEM_PERMISSIONS.SYSTEM_SETTINGS), 
   lockRequest(),
+  validate(updateSettingsSchema),
   PaymentSettingController.updateSettings
 );
 
@@ -34,10 +34,13 @@ const createProductSchema = z.object({
         purchasePrice: z.number().min(0).optional(),
         tax: z.number().min(0).max(100).optional(),
         taxType: z.enum(['percent', 'flat']).optional(),
+        taxInclusive: z.boolean().optional(),
+        hsnCode: z.string().regex(REGEX.HSN_CODE, 'HSN code must be 4, 6 or 8 digits').optional(),
         discount: z.number().min(0).optional(),
         discountType: z.enum(['percent', 'flat']).optional(),
         shippingCost: z.number().min(0).optional(),
         multiplyShippingCost: z.boolean().optional(),
+        weight: z.number().min(0).optional(),
         quantity: z.number().int().min(0, 'Quantity must be zero or positive'),
         sku: z.string().min(1, 'SKU is required').max(100, 'SKU too long'),
         brand: z.string().max(100).optional(),
@@ -77,8 +80,11 @@ const updateProductSchema = z.object({
         discountType: z.enum(['percent', 'flat']).optional(),
         tax: z.number().min(0).max(100).optional(),
         taxType: z.enum(['percent', 'flat']).optional(),
+        taxInclusive: z.boolean().optional(),
+        hsnCode: z.string().regex(REGEX.HSN_CODE, 'HSN code must be 4, 6 or 8 digits').optional(),
         shippingCost: z.number().min(0).optional(),
         multiplyShippingCost: z.boolean().optional(),
+        weight: z.number().min(0).optional(),
         isActive: z.boolean().optional(), // Vendor can toggle this
         searchTags: z.array(z.string().max(50)).optional(),
         colors: z.array(z.string().max(50)).max(20).optional(),
@@ -108,13 +114,35 @@ const restockProductSchema = z.object({
     })
 });
 
+const objectIdList = z.string().regex(/^[0-9a-fA-F]{24}(,[0-9a-fA-F]{24})*$/, 'Invalid ID list');
+
+const publicProductsSchema = z.object({
+    query: z.object({
+        search: z.string().trim().max(100).optional(),
+        category: objectIdList.optional(),
+        subCategory: objectIdList.optional(),
+        brand: z.string().max(500).optional(),
+        colors: z.string().max(500).optional(),
+        attributes: z.string().max(1000).optional(), // "Size:L,Color:Red"
+        minPrice: z.coerce.number().min(0).optional(),
+        maxPrice: z.coerce.number().min(0).optional(),
+        minRating: z.coerce.number().min(1).max(5).optional(),
+        inStock: z.enum(['true', 'false']).optional(),
+        sort: z.enum(['relevance', 'newest', 'oldest', 'price_asc', 'price_desc', 'rating', 'asc', 'desc']).optional(),
+        page: z.coerce.number().int().min(1).optional(),
+        limit: z.coerce.number().int().min(1).max(100).optional(),
+        // Cursor (last product ID) pagination for infinite scroll; empty for the first page
+        cursor: z.union([z.literal(''), z.string().regex(/^[0-9a-fA-F]{24}$/, 'Invalid cursor')]).optional(),
+    }),
+});
+
 /**
  * Public Routes
  */
 // Optimized Search API for Search Bar (Autocomplete)
 router.get('/public/search', cacheMiddleware(60), ProductController.searchProducts); // 1 min cache for fresh results
 
-router.get('/public', cacheMiddleware(300), ProductController.getAllPublicProducts); // 5 min cache for sorting/filtering
+router.get('/public', validate(publicProductsSchema), cacheMiddleware(300), ProductController.getAllPublicProducts); // 5 min cache for sorting/filtering
 router.get('/public/:id', cacheMiddleware(300), ProductController.getPublicProductById);
 router.get('/public/:id/similar', cacheMiddleware(600), ProductController.getSimilarProducts); // 10 min cache for similar products
 router.get('/public/featured/list', cacheMiddleware(600), ProductController.getFeaturedProducts); // 10 min cache for featured products
@@ -185,7 +213,7 @@ router.delete(
  * Since v1.routes.js mounts this at /products, we can add sensitive routes here if protected.
  */
 import { authorizeStaff } from '../middleware/employeeAuth.middleware.js';
-import { SYSTEM_PERMISSIONS } from '../constants.js';
+import { SYSTEM_PERMISSIONS, REGEX } from '../constants.js';
 
 const adminRouter = express.Router(); // Sub-router or just attach to main router with check
 
@@ -0,0 +1,32 @@
+import express from 'express';
+import validate from '../middleware/validate.middleware.js';
+import PushValidation from '../validations/push.validation.js';
+import PushController from '../controllers/push.controller.js';
+import { protectAll } from '../middleware/auth.middleware.js';
+
+const router = express.Router();
+
+/**
+ * Web Push Subscription Routes
+ * One subscription per browser/device, for any account type.
+ */
+
+/**
+ * @desc    VAPID public key for PushManager.subscribe()
+ * @route   GET /api/v1/push/public-key
+ * @access  Public
+ */
+router.get('/public-key', PushController.getPublicKey);
+
+router.use(protectAll);
+
+/**
+ * @desc    Register / list / remove this account's push devices
+ * @route   GET|POST|DELETE /api/v1/push/subscriptions
+ * @access  Private (Customer, Vendor, Employee, Admin)
+ */
+router.get('/subscriptions', PushController.getSubscriptions);
+router.post('/subscriptions', validate(PushValidation.subscribe), PushController.subscribe);
+router.delete('/subscriptions', validate(PushValidation.unsubscribe), PushController.unsubscribe);
+
+export default router;
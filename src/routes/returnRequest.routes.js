@@ -0,0 +1,56 @@
+import express from 'express';
+import validate from '../middleware/validate.middleware.js';
+import ReturnRequestValidation from '../validations/returnRequest.validation.js';
+import ReturnRequestController from '../controllers/returnRequest.controller.js';
+import { protectCustomer } from '../middleware/customerAuth.middleware.js';
+import uploadMiddleware from '../middleware/upload.middleware.js';
+import lockRequest from '../middleware/idempotency.middleware.js';
+
+const router = express.Router();
+
+/**
+ * Customer Return Routes
+ * All routes require customer authentication
+ */
+router.use(protectCustomer);
+
+/**
+ * @desc    My return requests
+ * @route   GET /api/v1/returns
+ * @access  Private (Customer)
+ */
+router.get('/', validate(ReturnRequestValidation.listReturns), ReturnRequestController.getMyReturns);
+
+/**
+ * @desc    Return a delivered order line (up to 5 photos in `images`)
+ * @route   POST /api/v1/returns
+ * @access  Private (Customer)
+ */
+router.post(
+  '/',
+  lockRequest('create_return'),
+  uploadMiddleware.array('images', 5),
+  validate(ReturnRequestValidation.createReturn),
+  ReturnRequestController.createReturn
+);
+
+/**
+ * @desc    Return details with its status history
+ * @route   GET /api/v1/returns/:id
+ * @access  Private (Customer)
+ */
+router.get('/:id', validate(ReturnRequestValidation.returnById), ReturnRequestController.getMyReturn);
+
+/**
+ * @desc    Withdraw a return before pickup
+ * @route   PATCH /api/v1/returns/:id/cancel
+ * @access  Private (Customer)
+ */
+router.patch(
+  '/:id/cancel',
+  lockRequest('cancel_return'),
+  validate(ReturnRequestValidation.cancelReturn),
+  ReturnRequestController.cancelMyReturn
+);
+
+export default router;
@@ -0,0 +1,63 @@
+import express from 'express';
+import validate from '../middleware/validate.middleware.js';
+import ReviewValidation from '../validations/review.validation.js';
+import ReviewController from '../controllers/review.controller.js';
+import { protectCustomer } from '../middleware/customerAuth.middleware.js';
+import uploadMiddleware from '../middleware/upload.middleware.js';
+import lockRequest from '../middleware/idempotency.middleware.js';
+
+const router = express.Router();
+
+/**
+ * @desc    Approved reviews of a product with its rating summary
+ * @route   GET /api/v1/reviews/products/:productId
+ * @access  Public
+ */
+router.get('/products/:productId', validate(ReviewValidation.productReviews), ReviewController.getProductReviews);
+
+/**
+ * Customer Review Routes
+ */
+router.use(protectCustomer);
+
+/**
+ * @desc    My reviews
+ * @route   GET /api/v1/reviews/me
+ * @access  Private (Customer)
+ */
+router.get('/me', validate(ReviewValidation.myReviews), ReviewController.getMyReviews);
+
+/**
+ * @desc    Rate and review a product (up to 5 photos in `images`)
+ * @route   POST /api/v1/reviews
+ * @access  Private (Customer)
+ */
+router.post(
+  '/',
+  lockRequest('create_review'),
+  uploadMiddleware.array('images', 5),
+  validate(ReviewValidation.createReview),
+  ReviewController.createReview
+);
+
+/**
+ * @desc    Edit my review (goes back to moderation)
+ * @route   PATCH /api/v1/reviews/:id
+ * @access  Private (Customer)
+ */
+router.patch(
+  '/:id',
+  lockRequest('update_review'),
+  uploadMiddleware.array('images', 5),
+  validate(ReviewValidation.updateReview),
+  ReviewController.updateReview
+);
+
+/**
+ * @desc    Delete my review
+ * @route   DELETE /api/v1/reviews/:id
+ * @access  Private (Customer)
+ */
+router.delete('/:id', lockRequest('delete_review'), validate(ReviewValidation.reviewById), ReviewController.deleteReview);
+
+export default router;
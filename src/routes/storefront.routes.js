@@ -0,0 +1,44 @@
+import express from 'express';
+import validate from '../middleware/validate.middleware.js';
+import StorefrontValidation from '../validations/storefront.validation.js';
+import StorefrontController from '../controllers/storefront.controller.js';
+import { protectCustomer } from '../middleware/customerAuth.middleware.js';
+
+const router = express.Router();
+
+/**
+ * Vendor Storefront Routes
+ * Only active vendors' shops are visible.
+ */
+
+/**
+ * @desc    Shops the logged-in customer follows
+ * @route   GET /api/v1/shops/following
+ * @access  Private (Customer)
+ */
+router.get('/following', protectCustomer, validate(StorefrontValidation.followedShops), StorefrontController.getFollowedShops);
+
+/**
+ * @desc    Shop profile (rating, followers, running clearance sale)
+ * @route   GET /api/v1/shops/:slug
+ * @access  Public
+ */
+router.get('/:slug', validate(StorefrontValidation.shopBySlug), StorefrontController.getShop);
+
+/**
+ * @desc    Shop product listing (deal-enriched)
+ * @route   GET /api/v1/shops/:slug/products
+ * @access  Public
+ */
+router.get('/:slug/products', validate(StorefrontValidation.shopProducts), StorefrontController.getShopProducts);
+
+/**
+ * @desc    Follow / unfollow a shop
+ * @route   GET|POST|DELETE /api/v1/shops/:slug/follow
+ * @access  Private (Customer)
+ */
+router.get('/:slug/follow', protectCustomer, validate(StorefrontValidation.shopBySlug), StorefrontController.getFollowStatus);
+router.post('/:slug/follow', protectCustomer, validate(StorefrontValidation.shopBySlug), StorefrontController.followShop);
+router.delete('/:slug/follow', protectCustomer, validate(StorefrontValidation.shopBySlug), StorefrontController.unfollowShop);
+
+export default router;
@@ -48,6 +48,32 @@ import adminDealOfTheDayRoutes from './adminDealOfTheDay.routes.js';
 import adminCouponRoutes from './adminCoupon.routes.js';
 import cartRoutes from './cart.routes.js';
 import wishlistRoutes from './wishlist.routes.js';
+import checkoutRoutes from './checkout.routes.js';
+import orderRoutes from './order.routes.js';
+import vendorOrderRoutes from './vendorOrder.routes.js';
+import adminOrderRoutes from './adminOrder.routes.js';
+import paymentRoutes from './payment.routes.js';
+import adminPaymentRoutes from './adminPayment.routes.js';
+import reviewRoutes from './review.routes.js';
+import vendorReviewRoutes from './vendorReview.routes.js';
+import adminReviewRoutes from './adminReview.routes.js';
+import customerAddressRoutes from './customerAddress.routes.js';
+import vendorShippingZoneRoutes from './vendorShippingZone.routes.js';
+import adminShippingZoneRoutes from './adminShippingZone.routes.js';
+import returnRequestRoutes from './returnRequest.routes.js';
+import vendorReturnRoutes from './vendorReturn.routes.js';
+import adminReturnRoutes from './adminReturn.routes.js';
+import customerWalletRoutes from './customerWallet.routes.js';
+import adminWalletRoutes from './adminWallet.routes.js';
+import vendorSettlementRoutes from './vendorSettlement.routes.js';
+import adminSettlementRoutes from './adminSettlement.routes.js';
+import adminCommissionRoutes from './adminCommission.routes.js';
+import storefrontRoutes from './storefront.routes.js';
+import pushRoutes from './push.routes.js';
+import adminPushRoutes from './adminPush.routes.js';
+import adminCartRecoveryRoutes from './adminCartRecovery.routes.js';
+import adminJobsRoutes from './adminJobs.routes.js';
+import notificationRoutes from './notification.routes.js';
 
 const router = express.Router();
 
@@ -71,6 +97,8 @@ router.use('/topbar', topbarRoutes);
 router.use('/company-reliability', reliabilityRoutes);
 router.use('/trusted-by', trustedByRoutes);
 router.use('/social-media', socialMediaRoutes);
+router.use('/customers/addresses', customerAddressRoutes);
+router.use('/customers/wallet', customerWalletRoutes);
 router.use('/customers', customerRoutes);
 router.use('/vendors', vendorRoutes);
 router.use('/admin/supplier-template', supplierEmailTemplateRoutes);
@@ -102,6 +130,30 @@ router.use('/admin/deal-of-the-day', adminDealOfTheDayRoutes);
 router.use('/admin/coupons', adminCouponRoutes);
 router.use('/cart', cartRoutes);
 router.use('/wishlist', wishlistRoutes);
+router.use('/checkout', checkoutRoutes);
+router.use('/orders', orderRoutes);
+router.use('/vendor/orders', vendorOrderRoutes);
+router.use('/admin/orders', adminOrderRoutes);
+router.use('/payments', paymentRoutes);
+router.use('/admin/payments', adminPaymentRoutes);
+router.use('/reviews', reviewRoutes);
+router.use('/vendor/reviews', vendorReviewRoutes);
+router.use('/admin/reviews', adminReviewRoutes);
+router.use('/vendor/shipping-zones', vendorShippingZoneRoutes);
+router.use('/admin/shipping-zones', adminShippingZoneRoutes);
+router.use('/returns', returnRequestRoutes);
+router.use('/vendor/returns', vendorReturnRoutes);
+router.use('/admin/returns', adminReturnRoutes);
+router.use('/admin/wallets', adminWalletRoutes);
+router.use('/vendor/settlements', vendorSettlementRoutes);
+router.use('/admin/settlements', adminSettlementRoutes);
+router.use('/admin/commission-rules', adminCommissionRoutes);
+router.use('/shops', storefrontRoutes);
+router.use('/push', pushRoutes);
+router.use('/admin/push', adminPushRoutes);
+router.use('/admin/cart-recovery', adminCartRecoveryRoutes);
+router.use('/admin/jobs', adminJobsRoutes);
+router.use('/notifications', notificationRoutes);
 
 // Health check can also be versioned if needed, but usually kept root
 router.use('/health', healthRoutes);
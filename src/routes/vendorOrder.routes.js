@@ -0,0 +1,40 @@
+import express from 'express';
+import validate from '../middleware/validate.middleware.js';
+import OrderValidation from '../validations/order.validation.js';
+import OrderController from '../controllers/order.controller.js';
+import InvoiceController from '../controllers/invoice.controller.js';
+import { protectVendor } from '../middleware/vendorAuth.middleware.js';
+import lockRequest from '../middleware/idempotency.middleware.js';
+
+const router = express.Router();
+
+/**
+ * Vendor Order Routes
+ * Vendors only ever see and update their own sub-orders
+ */
+router.use(protectVendor);
+
+router.get('/', validate(OrderValidation.listOrders), OrderController.getVendorOrders);
+
+// Combined invoice / packing-slip PDF, generated on the export queue
+router.post(
+  '/invoices/batch',
+  lockRequest('vendor_document_batch'),
+  validate(OrderValidation.documentBatch),
+  InvoiceController.queueVendorBatch
+);
+router.get('/invoices/batch/:jobId', validate(OrderValidation.batchStatus), InvoiceController.getVendorBatch);
+
+router.get('/:id', validate(OrderValidation.getOrder), OrderController.getVendorOrderById);
+
+router.patch(
+  '/:id/sub-orders/:subOrderId/status',
+  lockRequest('vendor_update_order_status'),
+  validate(OrderValidation.updateStatus),
+  OrderController.updateVendorSubOrderStatus
+);
+
+router.get('/:id/sub-orders/:subOrderId/invoice', validate(OrderValidation.subOrderDocument), InvoiceController.downloadVendorInvoice);
+router.get('/:id/sub-orders/:subOrderId/packing-slip', validate(OrderValidation.subOrderDocument), InvoiceController.downloadVendorPackingSlip);
+
+export default router;
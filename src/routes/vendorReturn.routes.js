@@ -0,0 +1,43 @@
+import express from 'express';
+import validate from '../middleware/validate.middleware.js';
+import ReturnRequestValidation from '../validations/returnRequest.validation.js';
+import ReturnRequestController from '../controllers/returnRequest.controller.js';
+import { protectVendor } from '../middleware/vendorAuth.middleware.js';
+import lockRequest from '../middleware/idempotency.middleware.js';
+
+const router = express.Router();
+
+/**
+ * Vendor Return Routes
+ * Returns of the vendor's own order lines
+ */
+router.use(protectVendor);
+
+router.get('/', validate(ReturnRequestValidation.listReturns), ReturnRequestController.getVendorReturns);
+
+router.get('/:id', validate(ReturnRequestValidation.returnById), ReturnRequestController.getVendorReturn);
+
+// Approve / reject (within the response window)
+router.patch(
+  '/:id/review',
+  lockRequest('vendor_review_return'),
+  validate(ReturnRequestValidation.reviewReturn),
+  ReturnRequestController.reviewVendorReturn
+);
+
+// Pickup, receipt and inspection
+router.patch(
+  '/:id/status',
+  lockRequest('vendor_update_return_status'),
+  validate(ReturnRequestValidation.updateStatus),
+  ReturnRequestController.updateVendorReturnStatus
+);
+
+router.patch(
+  '/:id/resolve',
+  lockRequest('vendor_resolve_return'),
+  validate(ReturnRequestValidation.resolveReturn),
+  ReturnRequestController.resolveVendorReturn
+);
+
+export default router;
@@ -0,0 +1,27 @@
+import express from 'express';
+import validate from '../middleware/validate.middleware.js';
+import ReviewValidation from '../validations/review.validation.js';
+import ReviewController from '../controllers/review.controller.js';
+import { protectVendor } from '../middleware/vendorAuth.middleware.js';
+import lockRequest from '../middleware/idempotency.middleware.js';
+
+const router = express.Router();
+
+/**
+ * Vendor Review Routes
+ * Reviews of the vendor's own products; replies are shown publicly
+ */
+router.use(protectVendor);
+
+router.get('/', validate(ReviewValidation.vendorReviews), ReviewController.getVendorReviews);
+
+router.put(
+  '/:id/reply',
+  lockRequest('vendor_review_reply'),
+  validate(ReviewValidation.replyToReview),
+  ReviewController.replyToReview
+);
+
+router.delete('/:id/reply', validate(ReviewValidation.reviewById), ReviewController.deleteReply);
+
+export default router;
@@ -0,0 +1,24 @@
+import express from 'express';
+import validate from '../middleware/validate.middleware.js';
+import SettlementValidation from '../validations/settlement.validation.js';
+import SettlementController from '../controllers/settlement.controller.js';
+import { protectVendor } from '../middleware/vendorAuth.middleware.js';
+
+const router = express.Router();
+
+/**
+ * Vendor Settlement Routes
+ * Earnings, deductions and payouts of the logged-in vendor
+ */
+router.use(protectVendor);
+
+// Held / available / in payout / paid balances
+router.get('/summary', SettlementController.getMySummary);
+
+router.get('/statement', validate(SettlementValidation.statement), SettlementController.getMyStatement);
+
+router.get('/statement/:id', validate(SettlementValidation.entryById), SettlementController.getMyEntry);
+
+router.get('/payouts', validate(SettlementValidation.listPayouts), SettlementController.getMyPayouts);
+
+export default router;
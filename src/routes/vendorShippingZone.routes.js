@@ -0,0 +1,36 @@
+import express from 'express';
+import validate from '../middleware/validate.middleware.js';
+import ShippingZoneValidation from '../validations/shippingZone.validation.js';
+import ShippingZoneController from '../controllers/shippingZone.controller.js';
+import { protectVendor } from '../middleware/vendorAuth.middleware.js';
+import lockRequest from '../middleware/idempotency.middleware.js';
+
+const router = express.Router();
+
+/**
+ * Vendor Shipping Zone Routes
+ * A vendor's own zones override platform zones for its packages
+ */
+router.use(protectVendor);
+
+router.get('/', validate(ShippingZoneValidation.listZones), ShippingZoneController.getZones);
+
+router.post(
+  '/',
+  lockRequest('vendor_create_shipping_zone'),
+  validate(ShippingZoneValidation.createZone),
+  ShippingZoneController.createZone
+);
+
+router.get('/:id', validate(ShippingZoneValidation.zoneById), ShippingZoneController.getZoneById);
+
+router.patch(
+  '/:id',
+  lockRequest('vendor_update_shipping_zone'),
+  validate(ShippingZoneValidation.updateZone),
+  ShippingZoneController.updateZone
+);
+
+router.delete('/:id', validate(ShippingZoneValidation.zoneById), ShippingZoneController.deleteZone);
+
+export default router;
@@ -18,6 +18,9 @@ router.post('/', protectCustomer, WishlistController.addToWishlist.bind(Wishlist
 // Check if product is in wishlist
 router.get('/check/:productId', protectCustomer, WishlistController.checkProduct.bind(WishlistController));
 
+// Opt in/out of back-in-stock and price-drop alerts for a product
+router.patch('/:productId/alerts', protectCustomer, WishlistController.updateAlerts.bind(WishlistController));
+
 // Remove product from wishlist
 router.delete('/:productId', protectCustomer, WishlistController.removeFromWishlist.bind(WishlistController));
 
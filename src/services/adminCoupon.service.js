@@ -1,6 +1,7 @@
 import CouponRepository from '../repositories/coupon.repository.js';
+import CouponRedemptionService from './couponRedemption.service.js';
 import AppError from '../utils/AppError.js';
-import { HTTP_STATUS } from '../constants.js';
+import { HTTP_STATUS, COUPON_FUNDED_BY } from '../constants.js';
 import Cache from '../utils/cache.js';
 
 class AdminCouponService {
@@ -10,10 +11,12 @@ class AdminCouponService {
             throw new AppError('Vendor must be selected when bearer is vendor', HTTP_STATUS.BAD_REQUEST, 'VENDOR_REQUIRED');
         }
 
-        // 2. Clear vendor field if bearer is admin to ensure clean data
+        // 2. Clear vendor field if bearer is admin - the coupon then applies across all vendors
         if (data.bearer === 'admin') {
             data.vendor = null;
         }
+        // Whoever bears the coupon funds it unless the admin says otherwise
+        data.fundedBy = data.fundedBy || (data.bearer === 'vendor' ? COUPON_FUNDED_BY.VENDOR : COUPON_FUNDED_BY.PLATFORM);
 
         // 3. Date Validation
         const start = new Date(data.startDate);
@@ -22,13 +25,18 @@ class AdminCouponService {
             throw new AppError('Expire date must be after start date', HTTP_STATUS.BAD_REQUEST, 'INVALID_DATE_RANGE');
         }
 
-        // 4. Unique Code Validation
+        // 4. Customer-specific coupons need their customers
+        if (data.customerScope === 'specific' && !data.customers?.length) {
+            throw new AppError('Select at least one customer for a customer-specific coupon', HTTP_STATUS.BAD_REQUEST, 'CUSTOMERS_REQUIRED');
+        }
+
+        // 5. Unique Code Validation
         const isExists = await CouponRepository.isCodeExists(data.code);
         if (isExists) {
             throw new AppError('Coupon code already exists', HTTP_STATUS.CONFLICT, 'DUPLICATE_CODE');
         }
 
-        // 5. Create
+        // 6. Create
         const coupon = await CouponRepository.create({
             ...data,
             code: data.code.toUpperCase(),
@@ -40,6 +48,11 @@ class AdminCouponService {
         return coupon;
     }
 
+    async getCouponRedemptions(id, query) {
+        await this.getCouponById(id);
+        return await CouponRedemptionService.getRedemptions(id, query);
+    }
+
     async getCoupons(query) {
         return await CouponRepository.findAll(query);
     }
@@ -59,6 +72,10 @@ class AdminCouponService {
             throw new AppError('Vendor must be selected when bearer is vendor', HTTP_STATUS.BAD_REQUEST, 'VENDOR_REQUIRED');
         }
 
+        if (data.bearer === 'admin') {
+            data.vendor = null;
+        }
+
         if (data.startDate || data.expireDate) {
             const start = data.startDate ? new Date(data.startDate) : new Date(coupon.startDate);
             const end = data.expireDate ? new Date(data.expireDate) : new Date(coupon.expireDate);
@@ -67,6 +84,12 @@ class AdminCouponService {
             }
         }
 
+        const customerScope = data.customerScope ?? coupon.customerScope;
+        const customers = data.customers ?? coupon.customers;
+        if (customerScope === 'specific' && !customers?.length) {
+            throw new AppError('Select at least one customer for a customer-specific coupon', HTTP_STATUS.BAD_REQUEST, 'CUSTOMERS_REQUIRED');
+        }
+
         if (data.code && data.code.toUpperCase() !== coupon.code) {
             const isExists = await CouponRepository.isCodeExists(data.code, id);
             if (isExists) {
@@ -2,21 +2,28 @@ import CartRepository from '../repositories/cart.repository.js';
 import ProductRepository from '../repositories/product.repository.js';
 import CouponRepository from '../repositories/coupon.repository.js';
 import AppError from '../utils/AppError.js';
-import { HTTP_STATUS } from '../constants.js';
+import { isCouponApplicableToItem } from '../utils/couponTargeting.js';
+import { HTTP_STATUS, CONFIG } from '../constants.js';
 import Logger from '../utils/logger.js';
 import ClearanceSaleService from './clearanceSale.service.js';
 import FlashDealService from './flashDeal.service.js';
 import FeaturedDealService from './featuredDeal.service.js';
 import DealOfTheDayService from './dealOfTheDay.service.js';
+import PaymentSettingService from './paymentSetting.service.js';
+import CouponRedemptionService from './couponRedemption.service.js';
+import ShippingZoneService from './shippingZone.service.js';
+import TaxService from './tax.service.js';
+import CustomerAddressService from './customerAddress.service.js';
 
 class CartService {
     /**
      * Get cart for customer or guest
      */
     /**
-     * Get cart for customer or guest with full summary
+     * Get cart for customer or guest with full summary.
+     * Shipping is quoted by zone once a destination ({ pincode, state } or a saved addressId) is given.
      */
-    async getCart(identifier) {
+    async getCart(identifier, destination = null) {
         let cart;
 
         if (identifier.customer) {
@@ -49,7 +56,11 @@ class CartService {
         );
 
         // Enrich products and calculate totals
-        const { items: enrichedItems, summary } = await this.enrichCartItems(cart.items, cart.appliedCoupon);
+        const shippingDestination = await this.resolveDestination(identifier, destination);
+        const { items: enrichedItems, summary } = await this.enrichCartItems(cart.items, cart.appliedCoupon, shippingDestination);
+
+        // Which payment methods the checkout page can offer for this cart
+        const paymentMethods = await PaymentSettingService.getAvailablePaymentMethods(enrichedItems, summary.total);
 
         return {
             items: enrichedItems,
@@ -57,8 +68,11 @@ class CartService {
             appliedCoupon: cart.appliedCoupon ? {
                 code: cart.appliedCoupon.code,
                 discountAmount: cart.appliedCoupon.discountAmount,
-                discountType: cart.appliedCoupon.discountType
-            } : null
+                discountType: cart.appliedCoupon.discountType,
+                // Cart lines the discount was calculated on
+                coveredItems: enrichedItems.filter(item => item.couponApplied).map(item => item._id)
+            } : null,
+            paymentMethods
         };
     }
 
@@ -244,46 +258,34 @@ class CartService {
             throw new AppError('Cart is empty', HTTP_STATUS.BAD_REQUEST);
         }
 
-        // 4. Validate Coupon against Cart Items (Vendor Match)
-        const couponVendorId = coupon.vendor ? coupon.vendor.toString() : null;
-        let hasEligibleItem = false;
-
-        // Helper to get vendor ID safely
-        const getVendorId = (item) => {
-            if (item.product && item.product.vendor) {
-                return item.product.vendor._id ? item.product.vendor._id.toString() : item.product.vendor.toString();
-            }
-            return null;
-        };
-
-        for (const item of cart.items) {
-            const itemVendorId = getVendorId(item);
-            if (itemVendorId && couponVendorId && itemVendorId === couponVendorId) {
-                hasEligibleItem = true;
-                break;
-            }
-        }
+        // 4. Validate Coupon against Cart Items (Vendor + product targeting)
+        const hasEligibleItem = cart.items.some(item => isCouponApplicableToItem(coupon, item));
 
         if (!hasEligibleItem) {
             throw new AppError('Coupon is not applicable to any items in your cart', HTTP_STATUS.BAD_REQUEST);
         }
 
-        // 5. Update Cart with Coupon details
-        // Check if user has already used this coupon (if limit applies)
-        // Note: usage tracking is typically done at checkout, but we can check past orders here if needed.
-        // For now, we rely on checkout validation for strict usage limits.
+        // 5. Customer rules: first order, per-user limit, global cap (enforced atomically at checkout)
+        await CouponRedemptionService.assertEligible(coupon, identifier.customer);
 
         // 4. Update Cart with Coupon details
         // We actully store the coupon details in the cart to persist it
         const couponData = {
             code: coupon.code,
+            vendor: coupon.vendor,
+            fundedBy: coupon.fundedBy,
             discountAmount: coupon.discountAmount,
             discountType: coupon.discountType,
             minPurchase: coupon.minPurchase,
             type: coupon.type,
             startDate: coupon.startDate,
             expireDate: coupon.expireDate,
-            isActive: coupon.isActive
+            isActive: coupon.isActive,
+            categories: coupon.categories,
+            subCategories: coupon.subCategories,
+            products: coupon.products,
+            excludedProducts: coupon.excludedProducts,
+            minQuantity: coupon.minQuantity
         };
 
         await CartRepository.applyCoupon(identifier, couponData);
@@ -300,10 +302,28 @@ class CartService {
     }
 
 
+    /**
+     * Shipping destination from a saved address (customers only) or a raw PIN code / state
+     */
+    async resolveDestination(identifier, destination) {
+        if (!destination) return null;
+
+        if (destination.addressId) {
+            if (!identifier.customer) {
+                throw new AppError('Login to use a saved address', HTTP_STATUS.UNAUTHORIZED, 'ADDRESS_LOGIN_REQUIRED');
+            }
+            const address = await CustomerAddressService.getAddress(identifier.customer, destination.addressId);
+            return { pincode: address.pincode, state: address.state };
+        }
+
+        if (!destination.pincode && !destination.state) return null;
+        return { pincode: destination.pincode || null, state: destination.state || null };
+    }
+
     /**
      * Enrich cart items and calculate totals
      */
-    async enrichCartItems(items, appliedCoupon = null) {
+    async enrichCartItems(items, appliedCoupon = null, destination = null) {
         if (!items || items.length === 0) {
             return {
                 items: [],
@@ -369,18 +389,6 @@ class CartService {
             cartSubtotal += priceCalc.subtotal; // Base Price * Quantity
             cartTotalDiscount += priceCalc.totalDiscount; // (Base Price - Final Price) * Quantity
 
-            // Tax Calculation
-            let itemTax = 0;
-            if (product.tax) {
-                if (product.taxType === 'flat') {
-                    itemTax = product.tax * item.quantity;
-                } else {
-                    // Tax on Final Price (after base discount)
-                    itemTax = (priceCalc.finalPrice * product.tax / 100) * item.quantity;
-                }
-            }
-            cartTax += itemTax;
-
             // Shipping Calculation
             let itemShipping = 0;
             if (product.shippingCost) {
@@ -394,58 +402,63 @@ class CartService {
 
             return {
                 ...priceCalc,
-                tax: itemTax,
-                shipping: itemShipping
+                tax: 0,
+                shipping: itemShipping,
+                couponApplied: false
             };
         });
 
+        // GST on the final price (after base discount); place of supply is the delivery state when known.
+        // Only tax-exclusive lines add to the total, inclusive prices already contain it.
+        const taxes = await TaxService.calculateCartTaxes(enrichedItemsResults, destination);
+        enrichedItemsResults.forEach((item, index) => {
+            item.taxBreakdown = taxes.lines[index];
+            item.tax = taxes.lines[index].additionalTax;
+            cartTax += item.tax;
+        });
+
+        // Zone based shipping replaces the per-product cost once the destination is known
+        let shippingQuote = null;
+        if (destination) {
+            const quote = await ShippingZoneService.quoteShipping(enrichedItemsResults, destination);
+            if (quote) {
+                enrichedItemsResults.forEach((item, index) => { item.shipping = quote.lineShipping[index]; });
+                cartShipping = quote.lineShipping.reduce((sum, cost) => sum + cost, 0);
+                shippingQuote = {
+                    destination: quote.destination,
+                    serviceable: quote.serviceable,
+                    packages: quote.packages
+                };
+            }
+        }
+
         // Coupon Logic (Stacked on Subtotal - Base Discount)
         let couponDiscount = 0;
         let isFreeDelivery = false;
 
         if (appliedCoupon && appliedCoupon.isActive) {
-            // Calculate eligible total (items matching the coupon's vendor)
-            let eligibleTotal = 0;
-
-            // Helper to get vendor ID safely
-            const getVendorId = (item) => {
-                if (item.product && item.product.vendor) {
-                    return item.product.vendor._id ? item.product.vendor._id.toString() : item.product.vendor.toString();
-                }
-                return null; // Admin product or invalid
-            };
-
-            const couponVendorId = appliedCoupon.vendor ? appliedCoupon.vendor.toString() : null;
-
-            enrichedItemsResults.forEach(item => {
-                const itemVendorId = getVendorId(item);
-                if (itemVendorId && couponVendorId && itemVendorId === couponVendorId) {
-                    eligibleTotal += item.finalPrice * item.quantity;
-                }
-            });
-
-            // Validate Min Purchase against ELIGIBLE total, not cart total
-            if (eligibleTotal >= (appliedCoupon.minPurchase || 0)) {
+            // Only the lines the coupon targets (vendor, products, categories, exclusions)
+            const eligibleItems = enrichedItemsResults.filter(item => isCouponApplicableToItem(appliedCoupon, item));
+            const eligibleTotal = eligibleItems.reduce((sum, item) => sum + item.finalPrice * item.quantity, 0);
+            const eligibleQuantity = eligibleItems.reduce((sum, item) => sum + item.quantity, 0);
+
+            // Validate Min Purchase / Min Quantity against ELIGIBLE lines, not the cart total
+            if (
+                eligibleItems.length > 0 &&
+                eligibleTotal >= (appliedCoupon.minPurchase || 0) &&
+                eligibleQuantity >= (appliedCoupon.minQuantity || 0)
+            ) {
                 if (appliedCoupon.type === 'free_delivery') {
                     isFreeDelivery = true;
-                    // In a multi-vendor setup, free delivery might only apply to that vendor's shipping
-                    // However, we'll implement it as global shipping discount for this vendor's items or total cart depending on policy
-                    // Simplified: if coupon is valid, shipping for eligible items becomes 0 or we give discount equal to their shipping
-
-                    // For now, let's calculate the shipping cost for ELIGIBLE items specifically
-                    let eligibleShipping = 0;
-                    items.forEach((item, idx) => {
-                        const itemVendorId = getVendorId(item);
-                        if (itemVendorId && couponVendorId && itemVendorId === couponVendorId) {
-                            eligibleShipping += enrichedItemsResults[idx].shipping;
-                        }
-                    });
-                    couponDiscount = eligibleShipping;
+                    // In a multi-vendor cart free delivery only waives the shipping of the eligible lines
+                    couponDiscount = eligibleItems.reduce((sum, item) => sum + item.shipping, 0);
                 } else if (appliedCoupon.discountType === 'flat' || appliedCoupon.discountType === 'amount') {
                     couponDiscount = Math.min(appliedCoupon.discountAmount, eligibleTotal);
                 } else if (appliedCoupon.discountType === 'percent') {
                     couponDiscount = (eligibleTotal * appliedCoupon.discountAmount) / 100;
                 }
+
+                eligibleItems.forEach(item => { item.couponApplied = true; });
             }
         }
 
@@ -466,7 +479,9 @@ class CartService {
                 productDiscount: parseFloat(cartTotalDiscount.toFixed(2)), // Renovated name for clarity
                 couponDiscount: parseFloat(couponDiscount.toFixed(2)),
                 total: parseFloat(total.toFixed(2)),
-                isFreeDelivery
+                isFreeDelivery,
+                shippingQuote,
+                gst: taxes.totals
             }
         };
     }
@@ -474,8 +489,8 @@ class CartService {
     /**
      * Get only the cart summary without full item details
      */
-    async getCartSummary(identifier) {
-        const cart = await this.getCart(identifier);
+    async getCartSummary(identifier, destination = null) {
+        const cart = await this.getCart(identifier, destination);
 
         // Return only the essential summary data for fast frontend updates
         return {
@@ -487,7 +502,9 @@ class CartService {
                 productDiscount: cart.productDiscount,
                 couponDiscount: cart.couponDiscount,
                 total: cart.total,
-                isFreeDelivery: cart.isFreeDelivery
+                isFreeDelivery: cart.isFreeDelivery,
+                shippingQuote: cart.shippingQuote || null,
+                gst: cart.gst || null
             },
             appliedCoupon: cart.appliedCoupon
         };
@@ -549,9 +566,18 @@ class CartService {
                 _id: product._id,
                 name: product.name,
                 slug: product.slug,
+                sku: product.sku,
                 thumbnail: product.thumbnail,
                 price: product.price,
-                // ... other fields
+                vendor: product.vendor?._id || product.vendor || null,
+                category: product.category?._id || product.category || null,
+                subCategory: product.subCategory?._id || product.subCategory || null,
+                productType: product.productType,
+                weight: product.weight || 0,
+                tax: product.tax || 0,
+                taxType: product.taxType,
+                taxInclusive: !!product.taxInclusive,
+                hsnCode: product.hsnCode || null
             },
             variation: item.variation,
             quantity: quantity,
@@ -564,6 +590,17 @@ class CartService {
         };
     }
 
+    /**
+     * Drop guest carts idle for GUEST_CART_IDLE_DAYS (guest-cart-cleanup job)
+     */
+    async purgeStaleGuestCarts(now = new Date()) {
+        const idleBefore = new Date(now.getTime() - CONFIG.GUEST_CART_IDLE_DAYS * 24 * 60 * 60 * 1000);
+        const deleted = await CartRepository.deleteStaleGuestCarts(idleBefore);
+
+        Logger.info('Stale guest carts purged', { deleted });
+        return { deleted };
+    }
+
 }
 
 export default new CartService();
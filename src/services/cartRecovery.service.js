@@ -0,0 +1,359 @@
+import crypto from 'crypto';
+import CartRecoveryRepository from '../repositories/cartRecovery.repository.js';
+import CartRecoverySettingRepository from '../repositories/cartRecoverySetting.repository.js';
+import CartRepository from '../repositories/cart.repository.js';
+import CustomerRepository from '../repositories/customer.repository.js';
+import CartService from './cart.service.js';
+import AdminCouponService from './adminCoupon.service.js';
+import { emailQueue } from '../config/queue.js';
+import env from '../config/env.js';
+import AppError from '../utils/AppError.js';
+import Logger from '../utils/logger.js';
+import { HTTP_STATUS, CONFIG, CART_RECOVERY_STATUS, COUPON_FUNDED_BY } from '../constants.js';
+
+const REMINDER_TEMPLATE = 'Abandoned Cart Reminder';
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const DEFAULT_REPORT_DAYS = 30;
+// Cart lines listed in the email; the rest are summarised
+const MAX_EMAIL_ITEMS = 5;
+
+const round = (value) => parseFloat(Number(value || 0).toFixed(2));
+
+const escapeHtml = (text) => String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Cart Recovery Service
+ * Abandoned cart campaigns: a scheduled run finds customer carts idle past the
+ * first reminder delay and emails up to three reminders with the priced cart
+ * and, when configured, a single-use coupon. A campaign stops when the cart
+ * changes or is emptied, and is credited as recovered when the customer
+ * checks out within the attribution window of a reminder.
+ *
+ * Every reminder is claimed on the campaign document before it is queued, so
+ * overlapping runs never send the same reminder twice.
+ */
+class CartRecoveryService {
+    // ========================================
+    // SETTINGS
+    // ========================================
+
+    async getSettings() {
+        return await CartRecoverySettingRepository.getSettings();
+    }
+
+    async updateSettings(data, actorId, role) {
+        const update = { updatedBy: actorId, updatedByModel: role };
+
+        if (data.isEnabled !== undefined) update.isEnabled = data.isEnabled;
+
+        if (data.reminders) {
+            const delays = data.reminders.map(reminder => reminder.delayHours);
+            if (delays.some((delay, index) => index > 0 && delay <= delays[index - 1])) {
+                throw new AppError('Reminder delays must increase from one reminder to the next', HTTP_STATUS.BAD_REQUEST, 'INVALID_REMINDER_SCHEDULE');
+            }
+            update.reminders = data.reminders;
+        }
+
+        // Partial coupon updates keep the other coupon fields
+        for (const [key, value] of Object.entries(data.coupon || {})) {
+            update[`coupon.${key}`] = value;
+        }
+
+        const settings = await CartRecoverySettingRepository.updateSettings(update);
+        Logger.info('Cart recovery settings updated', { actorId, isEnabled: settings.isEnabled });
+        return settings;
+    }
+
+    // ========================================
+    // SCHEDULED RUN
+    // ========================================
+
+    /**
+     * Follow up open campaigns, then open campaigns for newly idle carts
+     */
+    async processAbandonedCarts(now = new Date()) {
+        const settings = await this.getSettings();
+        if (!settings.isEnabled) {
+            return { skipped: true };
+        }
+
+        const schedule = settings.reminders.slice(0, CONFIG.CART_RECOVERY.MAX_REMINDERS);
+
+        const followUp = await this._followUpCampaigns(schedule, settings, now);
+        const started = await this._startCampaigns(schedule, settings, now);
+
+        const result = { started, ...followUp };
+        Logger.info('Cart recovery run finished', result);
+        return result;
+    }
+
+    async _followUpCampaigns(schedule, settings, now) {
+        const result = { reminded: 0, stopped: 0, exhausted: 0 };
+
+        const campaigns = await CartRecoveryRepository.findActive(CONFIG.CART_RECOVERY.BATCH_SIZE);
+        if (campaigns.length === 0) return result;
+
+        const carts = await CartRepository.findChangeState(campaigns.map(campaign => campaign.cart));
+        const cartsById = new Map(carts.map(cart => [cart._id.toString(), cart]));
+
+        const changed = [];
+        const finished = [];
+
+        for (const campaign of campaigns) {
+            const cart = cartsById.get(campaign.cart.toString());
+
+            // Any edit moves updatedAt; checkout empties the cart
+            if (!cart || cart.items.length === 0 || new Date(cart.updatedAt).getTime() !== new Date(campaign.cartUpdatedAt).getTime()) {
+                changed.push(campaign._id);
+                continue;
+            }
+
+            const step = campaign.reminderCount + 1;
+            if (step > schedule.length) {
+                finished.push(campaign._id);
+                continue;
+            }
+
+            if (!this._isDue(campaign, schedule, step, now)) continue;
+
+            if (await this._sendReminder(campaign, step, schedule[step - 1], settings, now)) {
+                result.reminded += 1;
+            }
+        }
+
+        result.stopped = await CartRecoveryRepository.close(changed, CART_RECOVERY_STATUS.CART_CHANGED, now);
+        result.exhausted = await CartRecoveryRepository.close(finished, CART_RECOVERY_STATUS.EXHAUSTED, now);
+        return result;
+    }
+
+    async _startCampaigns(schedule, settings, now) {
+        const carts = await CartRepository.findIdleCustomerCarts({
+            idleBefore: new Date(now.getTime() - schedule[0].delayHours * HOUR_MS),
+            idleSince: new Date(now.getTime() - CONFIG.CART_RECOVERY.LOOKBACK_DAYS * DAY_MS),
+            limit: CONFIG.CART_RECOVERY.BATCH_SIZE
+        });
+
+        let started = 0;
+        for (const cart of carts) {
+            const campaign = await CartRecoveryRepository.createIfAbsent({
+                cart: cart._id,
+                customer: cart.customer,
+                cartUpdatedAt: cart.updatedAt
+            });
+            if (!campaign) continue;
+
+            if (await this._sendReminder(campaign, 1, schedule[0], settings, now)) {
+                started += 1;
+            }
+        }
+        return started;
+    }
+
+    /**
+     * Reminder `step` is due once the cart has been idle for its delay, and at
+     * least the gap between the two delays has passed since the previous
+     * reminder (carts picked up late do not get reminders back to back).
+     */
+    _isDue(campaign, schedule, step, now) {
+        const { delayHours } = schedule[step - 1];
+        const idleFor = now.getTime() - new Date(campaign.cartUpdatedAt).getTime();
+        if (idleFor < delayHours * HOUR_MS) return false;
+
+        if (step === 1 || !campaign.lastReminderAt) return true;
+
+        const gap = (delayHours - schedule[step - 2].delayHours) * HOUR_MS;
+        return now.getTime() - new Date(campaign.lastReminderAt).getTime() >= gap;
+    }
+
+    async _sendReminder(campaign, step, reminder, settings, now) {
+        try {
+            const [cart, customer] = await Promise.all([
+                CartService.getCart({ customer: campaign.customer }),
+                CustomerRepository.findById(campaign.customer, 'name email isActive', true)
+            ]);
+
+            // Nothing purchasable left, or nobody to write to
+            if (!cart.items?.length || !customer?.email || !customer.isActive) {
+                await CartRecoveryRepository.close([campaign._id], CART_RECOVERY_STATUS.CART_CHANGED, now);
+                return false;
+            }
+
+            const snapshot = step === 1 ? { cartValue: cart.total, itemCount: cart.totalItems } : {};
+            const claimed = await CartRecoveryRepository.claimReminder(campaign._id, step, { sentAt: now, withCoupon: reminder.includeCoupon }, snapshot);
+            if (!claimed) return false;
+
+            let coupon = claimed.coupon?.code ? claimed.coupon : null;
+            if (reminder.includeCoupon && !coupon) {
+                coupon = await this._issueCoupon(claimed, settings.coupon, now);
+            }
+
+            await emailQueue.add('send-custom', {
+                type: 'send-custom',
+                to: customer.email,
+                template: REMINDER_TEMPLATE,
+                data: {
+                    username: customer.name,
+                    reminderNumber: step,
+                    itemCount: cart.totalItems,
+                    cartTotal: cart.total,
+                    cartItems: this._renderItems(cart.items),
+                    cartUrl: `${env.FRONTEND_URL || 'https://dobbymall.com'}/cart`,
+                    couponCode: coupon?.code || '',
+                    couponMessage: coupon ? this._couponMessage(coupon, settings.coupon) : ''
+                },
+                role: 'customer'
+            });
+
+            return true;
+        } catch (error) {
+            Logger.error('Failed to send cart reminder', { campaignId: campaign._id, step, error: error.message });
+            return false;
+        }
+    }
+
+    /**
+     * Single-use coupon for this customer only. A failure just means the
+     * reminder goes out without one.
+     */
+    async _issueCoupon(campaign, couponSettings, now) {
+        if (!(couponSettings?.discountAmount > 0)) return null;
+
+        try {
+            const code = `CART-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+            const expireDate = new Date(now.getTime() + couponSettings.validityDays * DAY_MS);
+
+            await AdminCouponService.createCoupon({
+                bearer: 'admin',
+                fundedBy: COUPON_FUNDED_BY.PLATFORM,
+                title: 'Cart recovery',
+                code,
+                type: 'discount_on_purchase',
+                discountType: couponSettings.discountType,
+                discountAmount: couponSettings.discountAmount,
+                minPurchase: couponSettings.minPurchase,
+                limitForSameUser: 1,
+                usageLimit: 1,
+                customerScope: 'specific',
+                customers: [campaign.customer],
+                startDate: now,
+                expireDate
+            });
+
+            await CartRecoveryRepository.setCoupon(campaign._id, { code, expireDate });
+            return { code, expireDate };
+        } catch (error) {
+            Logger.error('Failed to issue cart recovery coupon', { campaignId: campaign._id, error: error.message });
+            return null;
+        }
+    }
+
+    _renderItems(items) {
+        const rows = items.slice(0, MAX_EMAIL_ITEMS).map(item => `
+            <tr>
+              <td style="padding: 6px 0;">${escapeHtml(item.product.name)}</td>
+              <td style="padding: 6px 10px;">x ${item.quantity}</td>
+              <td style="padding: 6px 0; text-align: right;">${round(item.finalPrice * item.quantity)}</td>
+            </tr>`).join('');
+
+        const more = items.length > MAX_EMAIL_ITEMS
+            ? `<p>...and ${items.length - MAX_EMAIL_ITEMS} more item(s).</p>`
+            : '';
+
+        return `<table style="width: 100%; border-collapse: collapse;">${rows}</table>${more}`;
+    }
+
+    _couponMessage(coupon, couponSettings) {
+        const discount = couponSettings.discountType === 'percent'
+            ? `${couponSettings.discountAmount}%`
+            : `${couponSettings.discountAmount}`;
+        const expires = new Date(coupon.expireDate).toDateString();
+
+        return `Use code <strong>${coupon.code}</strong> for ${discount} off your order. Valid once, until ${expires}.`;
+    }
+
+    // ========================================
+    // ATTRIBUTION
+    // ========================================
+
+    /**
+     * Called after checkout. Never throws: reporting is not worth failing the order for.
+     */
+    async markRecovered(customerId, order) {
+        try {
+            const remindedSince = new Date(Date.now() - CONFIG.CART_RECOVERY.ATTRIBUTION_DAYS * DAY_MS);
+            const campaign = await CartRecoveryRepository.markRecovered(customerId, remindedSince, {
+                id: order._id,
+                orderNumber: order.orderNumber,
+                total: order.total,
+                couponCode: order.coupon?.code
+            });
+
+            if (campaign) {
+                Logger.info('Abandoned cart recovered', { campaignId: campaign._id, orderNumber: order.orderNumber });
+            }
+        } catch (error) {
+            Logger.error('Failed to attribute order to cart recovery', { orderNumber: order.orderNumber, error: error.message });
+        }
+    }
+
+    // ========================================
+    // ADMIN REPORTING
+    // ========================================
+
+    async getCampaigns(query = {}) {
+        const page = parseInt(query.page) || CONFIG.PAGINATION.DEFAULT_PAGE;
+        const limit = Math.min(parseInt(query.limit) || CONFIG.PAGINATION.DEFAULT_LIMIT, CONFIG.PAGINATION.MAX_LIMIT);
+
+        const filter = {};
+        if (query.status) filter.status = query.status;
+        if (query.customer) filter.customer = query.customer;
+
+        return await CartRecoveryRepository.findAll(filter, { createdAt: -1 }, page, limit);
+    }
+
+    /**
+     * Recovery rate = recovered campaigns / campaigns opened in the window
+     */
+    async getReport(query = {}) {
+        const to = query.endDate ? new Date(query.endDate) : new Date();
+        const from = query.startDate ? new Date(query.startDate) : new Date(to.getTime() - DEFAULT_REPORT_DAYS * DAY_MS);
+
+        if (from > to) {
+            throw new AppError('Start date must be before end date', HTTP_STATUS.BAD_REQUEST, 'INVALID_DATE_RANGE');
+        }
+
+        const stats = await CartRecoveryRepository.getStats(from, to);
+        const totals = stats?.totals?.[0] || {};
+        const campaigns = totals.campaigns || 0;
+        const recovered = totals.recovered || 0;
+
+        return {
+            period: { from, to },
+            campaigns,
+            remindersSent: totals.remindersSent || 0,
+            recovered,
+            recoveryRate: campaigns > 0 ? round((recovered / campaigns) * 100) : 0,
+            abandonedValue: round(totals.cartValue),
+            recoveredRevenue: round(totals.recoveredRevenue),
+            couponsIssued: totals.couponsIssued || 0,
+            couponsRedeemed: totals.couponsRedeemed || 0,
+            byStatus: Object.fromEntries(Object.values(CART_RECOVERY_STATUS).map(status => [
+                status,
+                stats?.byStatus?.find(entry => entry._id === status)?.count || 0
+            ])),
+            byReminder: (stats?.byReminder || []).map(entry => ({
+                reminder: entry._id,
+                sent: entry.sent,
+                recovered: entry.recovered,
+                recoveryRate: entry.sent > 0 ? round((entry.recovered / entry.sent) * 100) : 0
+            }))
+        };
+    }
+}
+
+export default new CartRecoveryService();
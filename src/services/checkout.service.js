@@ -0,0 +1,553 @@
+import crypto from 'crypto';
+import CartRepository from '../repositories/cart.repository.js';
+import OrderRepository from '../repositories/order.repository.js';
+import ProductRepository from '../repositories/product.repository.js';
+import VendorRepository from '../repositories/vendor.repository.js';
+import CustomerRepository from '../repositories/customer.repository.js';
+import CouponRepository from '../repositories/coupon.repository.js';
+import CartService from './cart.service.js';
+import ProductService from './product.service.js';
+import PaymentSettingService from './paymentSetting.service.js';
+import CouponRedemptionService from './couponRedemption.service.js';
+import CustomerAddressService from './customerAddress.service.js';
+import WalletService from './wallet.service.js';
+import CommissionService from './commission.service.js';
+import RealtimeService from './realtime.service.js';
+import PushService from './push.service.js';
+import NotificationService from './notification.service.js';
+import CartRecoveryService from './cartRecovery.service.js';
+import TransactionManager from '../utils/transaction.js';
+import { emailQueue } from '../config/queue.js';
+import AppError from '../utils/AppError.js';
+import { isCouponApplicableToItem } from '../utils/couponTargeting.js';
+import Logger from '../utils/logger.js';
+import { HTTP_STATUS, ORDER_STATUS, VENDOR_STATUS, PAYMENT_METHOD, PAYMENT_STATUS, OFFLINE_PAYMENT_STATUS, COUPON_FUNDED_BY, WALLET_ENTRY_SOURCE, WALLET_REFERENCE_TYPE, PUSH_EVENT, NOTIFICATION_TYPE, SYSTEM_PERMISSIONS } from '../constants.js';
+
+const round = (value) => parseFloat(Number(value || 0).toFixed(2));
+
+/**
+ * Resolve vendor id of an enriched or raw cart line (null = in-house product)
+ */
+const getVendorId = (item) => {
+    const vendor = item?.product?.vendor;
+    if (!vendor) return null;
+    return vendor._id ? vendor._id.toString() : vendor.toString();
+};
+
+class CheckoutService {
+    /**
+     * Convert the customer's cart into an order with one sub-order per vendor.
+     * Stock decrement, order creation and cart clearing happen in one transaction.
+     */
+    async checkout(customerId, payload) {
+        const cart = await CartRepository.findByCustomer(customerId);
+
+        if (!cart || !cart.items || cart.items.length === 0) {
+            throw new AppError('Cart is empty', HTTP_STATUS.BAD_REQUEST);
+        }
+
+        const { shippingAddress, billingAddress } = await this.resolveAddresses(customerId, payload);
+
+        const vendors = await this._validateCartItems(cart.items);
+
+        const destination = { pincode: shippingAddress.pincode, state: shippingAddress.state };
+        const { items, summary } = await CartService.enrichCartItems(cart.items, cart.appliedCoupon, destination);
+
+        if (summary.shippingQuote && !summary.shippingQuote.serviceable) {
+            throw new AppError('Some items cannot be shipped to this address', HTTP_STATUS.BAD_REQUEST, 'SHIPPING_UNAVAILABLE');
+        }
+
+        const couponShares = this.allocateCouponDiscount(items, summary.couponDiscount, cart.appliedCoupon);
+
+        const coupon = summary.couponDiscount > 0 && cart.appliedCoupon
+            ? await this._revalidateCoupon(cart.appliedCoupon.code, customerId)
+            : null;
+
+        // Snapshot the commission rule of every vendor line at the moment of purchase
+        const commissions = await CommissionService.resolveRules(cart.items.map(item => ({
+            vendor: getVendorId(item),
+            category: item.product.category,
+            subCategory: item.product.subCategory
+        })));
+
+        const orderNumber = this.generateOrderNumber();
+        const subOrders = this.buildSubOrders(orderNumber, cart.items, items, couponShares, commissions);
+        const totals = this._sumTotals(subOrders);
+
+        // A wallet covering the whole total turns the order into a wallet payment
+        const walletAmount = await this._resolveWalletAmount(customerId, payload, totals.total);
+        const amountDue = round(totals.total - walletAmount);
+        const paymentMethod = walletAmount > 0 && amountDue === 0
+            ? PAYMENT_METHOD.WALLET
+            : payload.paymentMethod || PAYMENT_METHOD.ONLINE;
+
+        // COD limits, digital-product rules and offline methods come from PaymentSetting
+        const offlineMethod = paymentMethod === PAYMENT_METHOD.WALLET
+            ? null
+            : await PaymentSettingService.assertPaymentMethodAllowed(paymentMethod, {
+                items,
+                total: amountDue,
+                offlineMethodId: payload.offlineMethodId
+            });
+
+        const now = new Date();
+        const orderData = {
+            orderNumber,
+            customer: customerId,
+            subOrders,
+            shippingAddress,
+            billingAddress,
+            coupon: summary.couponDiscount > 0 && cart.appliedCoupon
+                ? {
+                    code: cart.appliedCoupon.code,
+                    vendor: cart.appliedCoupon.vendor || null,
+                    type: cart.appliedCoupon.type,
+                    discountType: cart.appliedCoupon.discountType,
+                    discountAmount: cart.appliedCoupon.discountAmount,
+                    fundedBy: coupon.fundedBy || COUPON_FUNDED_BY.VENDOR
+                }
+                : undefined,
+            totalItems: summary.totalItems,
+            ...totals,
+            payment: this.buildPayment(paymentMethod, offlineMethod, walletAmount),
+            status: ORDER_STATUS.PENDING,
+            statusHistory: [{ status: ORDER_STATUS.PENDING, note: 'Order placed', changedAt: now }],
+            notes: payload.notes
+        };
+
+        const order = await TransactionManager.execute(async (session) => {
+            for (const item of cart.items) {
+                await ProductRepository.decrementStock(item.product._id, item.quantity, item.variation || null, session);
+            }
+
+            const created = await OrderRepository.create(orderData, session);
+
+            if (walletAmount > 0) {
+                await WalletService.debit(customerId, {
+                    amount: walletAmount,
+                    source: WALLET_ENTRY_SOURCE.ORDER_PAYMENT,
+                    reason: `Payment for order ${orderNumber}`,
+                    reference: { type: WALLET_REFERENCE_TYPE.ORDER, id: created._id, number: orderNumber },
+                    createdBy: { role: 'customer', id: customerId },
+                    idempotencyKey: `order:${created._id}:payment`
+                }, session);
+            }
+
+            if (coupon) {
+                await CouponRedemptionService.reserve(coupon, { customerId, order: created, discount: summary.couponDiscount }, session);
+            }
+
+            await CartRepository.clearCart({ customer: customerId }, session);
+
+            return created;
+        });
+
+        Logger.info('Order placed', {
+            orderNumber: order.orderNumber,
+            customerId,
+            paymentMethod,
+            subOrders: order.subOrders.length,
+            total: order.total,
+            walletAmount
+        });
+
+        // Paid in full at checkout - the coupon use is final
+        if (coupon && paymentMethod === PAYMENT_METHOD.WALLET) {
+            await CouponRedemptionService.confirm(order._id);
+        }
+
+        // Stock changed - public product caches are stale
+        await ProductService.invalidateCache();
+
+        await this._queueOrderEmails(order, customerId, vendors);
+        await CartRecoveryService.markRecovered(customerId, order);
+
+        await this._notifyVendors(order);
+        await this._publishStockOuts(cart.items);
+
+        return order;
+    }
+
+    /**
+     * Wallet share of the order total: everything for paymentMethod=wallet,
+     * as much as the balance covers for useWallet, otherwise nothing.
+     * The balance is re-checked atomically by the debit inside the transaction.
+     */
+    async _resolveWalletAmount(customerId, payload, total) {
+        const payFromWallet = payload.paymentMethod === PAYMENT_METHOD.WALLET;
+        if ((!payFromWallet && !payload.useWallet) || total <= 0) {
+            return 0;
+        }
+
+        const balance = await WalletService.getBalance(customerId);
+        if (payFromWallet && balance < total) {
+            throw new AppError(`Wallet balance (${balance}) does not cover the order total of ${total}`, HTTP_STATUS.BAD_REQUEST, 'INSUFFICIENT_WALLET_BALANCE');
+        }
+
+        return round(Math.min(balance, total));
+    }
+
+    /**
+     * Shipping/billing snapshots from the address book or inline payload.
+     * No shipping address at all falls back to the customer's default one;
+     * billing falls back to the default billing address, then to shipping.
+     */
+    async resolveAddresses(customerId, payload) {
+        let shippingAddress = payload.shippingAddress;
+        if (payload.shippingAddressId) {
+            shippingAddress = await CustomerAddressService.getAddressSnapshot(customerId, payload.shippingAddressId);
+        } else if (!shippingAddress) {
+            const fallback = await CustomerAddressService.getDefaultAddress(customerId, 'shipping');
+            if (!fallback) {
+                throw new AppError('Shipping address is required', HTTP_STATUS.BAD_REQUEST, 'ADDRESS_REQUIRED');
+            }
+            shippingAddress = CustomerAddressService.toSnapshot(fallback);
+        }
+
+        let billingAddress = payload.billingAddress;
+        if (payload.billingAddressId) {
+            billingAddress = await CustomerAddressService.getAddressSnapshot(customerId, payload.billingAddressId);
+        } else if (!billingAddress) {
+            const fallback = await CustomerAddressService.getDefaultAddress(customerId, 'billing');
+            billingAddress = fallback ? CustomerAddressService.toSnapshot(fallback) : shippingAddress;
+        }
+
+        return { shippingAddress, billingAddress };
+    }
+
+    /**
+     * Ensure every line is still purchasable. Returns the vendors involved (keyed by id).
+     */
+    async _validateCartItems(cartItems) {
+        const vendorIds = new Set();
+
+        for (const item of cartItems) {
+            const product = item.product;
+
+            if (!product || !product._id) {
+                throw new AppError('One or more products in your cart no longer exist', HTTP_STATUS.BAD_REQUEST);
+            }
+
+            if (!product.isActive || product.status !== 'approved') {
+                throw new AppError(`${product.name} is no longer available`, HTTP_STATUS.BAD_REQUEST);
+            }
+
+            if (item.variation) {
+                const variation = (product.variations || []).find(v => v.sku === item.variation);
+                if (!variation) {
+                    throw new AppError(`Selected variation of ${product.name} is no longer available`, HTTP_STATUS.BAD_REQUEST);
+                }
+                if (variation.stock < item.quantity) {
+                    throw new AppError(`Only ${variation.stock} units of ${product.name} are available`, HTTP_STATUS.CONFLICT, 'INSUFFICIENT_STOCK');
+                }
+            } else if (product.quantity < item.quantity) {
+                throw new AppError(`Only ${product.quantity} units of ${product.name} are available`, HTTP_STATUS.CONFLICT, 'INSUFFICIENT_STOCK');
+            }
+
+            const vendorId = getVendorId(item);
+            if (vendorId) vendorIds.add(vendorId);
+        }
+
+        const vendors = new Map();
+        for (const vendorId of vendorIds) {
+            const vendor = await VendorRepository.findById(vendorId, 'email firstName lastName businessName status', true);
+            if (!vendor || vendor.status !== VENDOR_STATUS.ACTIVE) {
+                throw new AppError('One or more sellers in your cart are currently unavailable', HTTP_STATUS.BAD_REQUEST);
+            }
+            vendors.set(vendorId, vendor);
+        }
+
+        return vendors;
+    }
+
+    /**
+     * The cart keeps a snapshot of the coupon - re-read it so deactivated/expired
+     * coupons and customer limits are enforced at the moment of purchase.
+     */
+    async _revalidateCoupon(code, customerId) {
+        const coupon = await CouponRepository.findByCode(code);
+        const now = new Date();
+
+        if (!coupon || !coupon.isActive || now < new Date(coupon.startDate) || now > new Date(coupon.expireDate)) {
+            throw new AppError(`Coupon ${code} is no longer valid. Please remove it and try again.`, HTTP_STATUS.BAD_REQUEST, 'COUPON_INVALID');
+        }
+
+        await CouponRedemptionService.assertEligible(coupon, customerId);
+        return coupon;
+    }
+
+    /**
+     * Split the cart-level coupon discount across the lines it was computed on.
+     * free_delivery coupons map 1:1 onto line shipping; value coupons are split
+     * pro-rata by line value, with the rounding remainder on the last eligible line.
+     */
+    allocateCouponDiscount(enrichedItems, couponDiscount, appliedCoupon) {
+        const shares = enrichedItems.map(() => 0);
+
+        if (!couponDiscount || !appliedCoupon) {
+            return shares;
+        }
+
+        const eligible = enrichedItems
+            .map((item, index) => ({ item, index }))
+            .filter(({ item }) => isCouponApplicableToItem(appliedCoupon, item));
+
+        if (eligible.length === 0) {
+            return shares;
+        }
+
+        const weightOf = appliedCoupon.type === 'free_delivery'
+            ? ({ item }) => item.shipping || 0
+            : ({ item }) => item.finalPrice * item.quantity;
+
+        const totalWeight = eligible.reduce((sum, entry) => sum + weightOf(entry), 0);
+        if (totalWeight <= 0) {
+            return shares;
+        }
+
+        let allocated = 0;
+        eligible.forEach((entry, i) => {
+            const share = i === eligible.length - 1
+                ? round(couponDiscount - allocated)
+                : round(couponDiscount * weightOf(entry) / totalWeight);
+            shares[entry.index] = share;
+            allocated = round(allocated + share);
+        });
+
+        return shares;
+    }
+
+    /**
+     * Group priced lines by vendor into sub-orders with their own totals
+     */
+    buildSubOrders(orderNumber, cartItems, enrichedItems, couponShares, commissions = []) {
+        const groups = new Map();
+
+        enrichedItems.forEach((item, index) => {
+            const rawProduct = cartItems[index].product;
+            const vendorId = getVendorId(item);
+            const key = vendorId || 'in-house';
+
+            const subtotal = round(item.subtotal);
+            const productDiscount = round(item.totalDiscount);
+            const couponDiscount = round(couponShares[index]);
+            const tax = round(item.tax);
+            const shipping = round(item.shipping);
+
+            const line = {
+                product: item.product._id,
+                name: item.product.name,
+                slug: item.product.slug,
+                sku: item.variation || rawProduct.sku,
+                thumbnail: item.product.thumbnail,
+                productType: rawProduct.productType || 'physical',
+                variation: item.variation || null,
+                quantity: item.quantity,
+                basePrice: item.basePrice,
+                finalPrice: item.finalPrice,
+                activeDeal: item.activeDeal,
+                subtotal,
+                productDiscount,
+                couponDiscount,
+                tax,
+                taxBreakdown: item.taxBreakdown || null,
+                commission: commissions[index] || null,
+                shipping,
+                total: Math.max(0, round(subtotal - productDiscount - couponDiscount + tax + shipping))
+            };
+
+            if (!groups.has(key)) {
+                groups.set(key, { vendor: vendorId, items: [] });
+            }
+            groups.get(key).items.push(line);
+        });
+
+        const now = new Date();
+        let sequence = 0;
+
+        return Array.from(groups.values()).map(({ vendor, items }) => {
+            sequence += 1;
+            return {
+                subOrderNumber: `${orderNumber}-${sequence}`,
+                vendor,
+                items,
+                ...this._sumTotals(items),
+                status: ORDER_STATUS.PENDING,
+                statusHistory: [{ status: ORDER_STATUS.PENDING, note: 'Order placed', changedAt: now }]
+            };
+        });
+    }
+
+    /**
+     * Initial payment block. Offline orders snapshot the method (account details may change later).
+     * Wallet-only orders are paid the moment they are placed.
+     */
+    buildPayment(paymentMethod, offlineMethod = null, walletAmount = 0) {
+        const payment = { method: paymentMethod, status: PAYMENT_STATUS.PENDING };
+
+        if (walletAmount > 0) {
+            payment.walletAmount = walletAmount;
+        }
+
+        if (paymentMethod === PAYMENT_METHOD.WALLET) {
+            payment.status = PAYMENT_STATUS.PAID;
+            payment.paidAt = new Date();
+        }
+
+        if (paymentMethod === PAYMENT_METHOD.OFFLINE && offlineMethod) {
+            payment.offline = {
+                methodId: offlineMethod._id,
+                methodName: offlineMethod.name,
+                instructions: offlineMethod.instructions,
+                details: offlineMethod.details || [],
+                requireProof: offlineMethod.requireProof !== false,
+                // Without a proof step the order goes straight to the admin review queue
+                reviewStatus: offlineMethod.requireProof === false
+                    ? OFFLINE_PAYMENT_STATUS.SUBMITTED
+                    : OFFLINE_PAYMENT_STATUS.AWAITING_PROOF
+            };
+        }
+
+        return payment;
+    }
+
+    _sumTotals(rows) {
+        const totals = { subtotal: 0, productDiscount: 0, couponDiscount: 0, tax: 0, shipping: 0, total: 0 };
+        for (const row of rows) {
+            for (const key of Object.keys(totals)) {
+                totals[key] += row[key] || 0;
+            }
+        }
+        for (const key of Object.keys(totals)) {
+            totals[key] = round(totals[key]);
+        }
+        return totals;
+    }
+
+    /**
+     * Human-friendly, collision-resistant order number (e.g. ORD-LZ3K9Q2A-4F1C2B)
+     */
+    generateOrderNumber() {
+        return `ORD-${Date.now().toString(36).toUpperCase()}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+    }
+
+    /**
+     * Each vendor hears about their sub-order live, by push and in their feed
+     */
+    async _notifyVendors(order) {
+        RealtimeService.orderPlaced(order);
+
+        for (const subOrder of order.subOrders) {
+            if (!subOrder.vendor) continue;
+
+            const totalItems = subOrder.items.reduce((sum, item) => sum + item.quantity, 0);
+            const data = { orderId: order._id, subOrderId: subOrder._id, subOrderNumber: subOrder.subOrderNumber, total: subOrder.total, totalItems };
+
+            await PushService.notifyUser('vendor', subOrder.vendor, PUSH_EVENT.NEW_VENDOR_ORDER, data);
+            await NotificationService.notify({ role: 'vendor', id: subOrder.vendor }, {
+                type: NOTIFICATION_TYPE.NEW_ORDER,
+                title: `New order ${subOrder.subOrderNumber}`,
+                message: `${totalItems} item(s) worth ${subOrder.total}`,
+                link: `/vendor/orders/${order._id}`,
+                data
+            });
+        }
+    }
+
+    /**
+     * Tell vendors and staff about lines this order just sold out
+     * (stock was validated above zero before the sale)
+     */
+    async _publishStockOuts(cartItems) {
+        try {
+            const productIds = [...new Set(cartItems.map(item => item.product._id.toString()))];
+            const levels = new Map(
+                (await ProductRepository.findStockLevels(productIds)).map(product => [product._id.toString(), product])
+            );
+
+            const soldOut = [];
+            for (const item of cartItems) {
+                const product = levels.get(item.product._id.toString());
+                if (!product) continue;
+
+                const stock = item.variation
+                    ? (product.variations || []).find(v => v.sku === item.variation)?.stock
+                    : product.quantity;
+                if (stock === undefined || stock > 0) continue;
+
+                soldOut.push({ product: product._id, name: product.name, vendor: product.vendor || null, variation: item.variation || null });
+            }
+
+            if (soldOut.length > 0) {
+                RealtimeService.productsOutOfStock(soldOut);
+            }
+            for (const item of soldOut) {
+                const content = {
+                    type: NOTIFICATION_TYPE.OUT_OF_STOCK,
+                    title: `Out of stock: ${item.name}`,
+                    message: item.variation ? `Variation ${item.variation} just sold out` : 'This product just sold out',
+                    data: { productId: item.product, variation: item.variation }
+                };
+
+                if (item.vendor) {
+                    await PushService.notifyUser('vendor', item.vendor, PUSH_EVENT.PRODUCT_OUT_OF_STOCK, { productId: item.product, name: item.name });
+                    await NotificationService.notify({ role: 'vendor', id: item.vendor }, { ...content, link: `/vendor/products/${item.product}` });
+                } else {
+                    // In-house product - the catalogue team restocks it
+                    await NotificationService.notifyStaff(SYSTEM_PERMISSIONS.PRODUCT_MANAGEMENT, { ...content, link: `/admin/products/${item.product}` });
+                }
+            }
+        } catch (error) {
+            Logger.error('Failed to publish out-of-stock events', { error: error.message });
+        }
+    }
+
+    async _queueOrderEmails(order, customerId, vendors) {
+        try {
+            const customer = await CustomerRepository.findById(customerId, 'name email', true);
+            if (customer?.email) {
+                await emailQueue.add('send-custom', {
+                    type: 'send-custom',
+                    to: customer.email,
+                    template: 'Order Placed',
+                    data: {
+                        username: customer.name,
+                        orderNumber: order.orderNumber,
+                        total: order.total,
+                        totalItems: order.totalItems,
+                        paymentMethod: order.payment?.method
+                    },
+                    role: 'customer'
+                });
+            }
+        } catch (error) {
+            Logger.error('Failed to queue order placed email', { orderNumber: order.orderNumber, error: error.message });
+        }
+
+        for (const subOrder of order.subOrders) {
+            if (!subOrder.vendor) continue;
+
+            const vendor = vendors.get(subOrder.vendor.toString());
+            if (!vendor?.email) continue;
+
+            try {
+                await emailQueue.add('send-custom', {
+                    type: 'send-custom',
+                    to: vendor.email,
+                    template: 'Order Received',
+                    data: {
+                        username: vendor.businessName || `${vendor.firstName} ${vendor.lastName}`,
+                        orderNumber: subOrder.subOrderNumber,
+                        total: subOrder.total,
+                        totalItems: subOrder.items.reduce((sum, item) => sum + item.quantity, 0)
+                    },
+                    role: 'supplier'
+                });
+            } catch (error) {
+                Logger.error('Failed to queue order received email', { subOrderNumber: subOrder.subOrderNumber, error: error.message });
+            }
+        }
+    }
+}
+
+export default new CheckoutService();
@@ -5,6 +5,7 @@ import { HTTP_STATUS } from '../constants.js';
 import Cache from '../utils/cache.js';
 import L1Cache from '../utils/l1Cache.js';
 import { uploadImageFromUrl, deleteMultipleImages } from '../utils/imageUpload.util.js';
+import WishlistAlertService from './wishlistAlert.service.js';
 
 class ClearanceSaleService {
 
@@ -45,6 +46,7 @@ class ClearanceSaleService {
         }
 
         await this.invalidateCache(vendorId);
+        await WishlistAlertService.pricesChangedForDeal(result);
         return result;
     }
 
@@ -76,6 +78,7 @@ class ClearanceSaleService {
         }
 
         await this.invalidateCache();
+        await WishlistAlertService.pricesChangedForDeal(result);
         return result;
     }
 
@@ -87,6 +90,7 @@ class ClearanceSaleService {
 
         const result = await ClearanceSaleRepository.update(existing._id, { isActive });
         await this.invalidateCache(vendorId);
+        if (isActive) await WishlistAlertService.pricesChangedForDeal(result);
         return result;
     }
 
@@ -98,6 +102,7 @@ class ClearanceSaleService {
 
         const result = await ClearanceSaleRepository.update(existing._id, { isActive });
         await this.invalidateCache();
+        if (isActive) await WishlistAlertService.pricesChangedForDeal(result);
         return result;
     }
 
@@ -119,6 +124,7 @@ class ClearanceSaleService {
 
         const result = await ClearanceSaleRepository.addProducts(vendorId, productIds);
         await this.invalidateCache(vendorId);
+        await WishlistAlertService.pricesChanged(productIds);
         // Also invalidate product caches as their price/display might change?
         // Ideally yes, but depends on if we store "isSale" on product. We don't.
         // But the "Home" page might fetch "Clearance Products".
@@ -149,6 +155,7 @@ class ClearanceSaleService {
 
         const result = await ClearanceSaleRepository.addProducts(null, productIds, true);
         await this.invalidateCache();
+        await WishlistAlertService.pricesChanged(productIds);
         return result;
     }
 
@@ -164,6 +171,7 @@ class ClearanceSaleService {
             throw new AppError('Product not found in clearance sale', HTTP_STATUS.NOT_FOUND, 'PRODUCT_NOT_FOUND');
         }
         await this.invalidateCache(vendorId);
+        if (isActive) await WishlistAlertService.pricesChanged([productId]);
         return result;
     }
 
@@ -173,9 +181,32 @@ class ClearanceSaleService {
             throw new AppError('Product not found in clearance sale', HTTP_STATUS.NOT_FOUND, 'PRODUCT_NOT_FOUND');
         }
         await this.invalidateCache();
+        if (isActive) await WishlistAlertService.pricesChanged([productId]);
         return result;
     }
 
+    /**
+     * Catch up with sales that started or expired in (since, now]
+     * (deal-schedule job): cached lists are dropped and wishlists hear about
+     * the new prices.
+     */
+    async syncSchedule(since, now = new Date()) {
+        const sales = await ClearanceSaleRepository.findScheduleChanges(since, now);
+        if (sales.length === 0) return { started: 0, ended: 0 };
+
+        await this.invalidateCache();
+
+        const started = sales.filter(sale => sale.startDate > since && sale.startDate <= now);
+        for (const sale of started) {
+            await WishlistAlertService.pricesChangedForDeal(sale);
+        }
+
+        return {
+            started: started.length,
+            ended: sales.filter(sale => sale.expireDate > since && sale.expireDate <= now).length
+        };
+    }
+
     async invalidateCache(vendorId) {
         await Cache.delByPattern('clearance*');
         L1Cache.delByPattern('clearance');
@@ -0,0 +1,206 @@
+import CommissionRuleRepository from '../repositories/commissionRule.repository.js';
+import SettlementSettingRepository from '../repositories/settlementSetting.repository.js';
+import AppError from '../utils/AppError.js';
+import AuditLogger from '../utils/audit.js';
+import { HTTP_STATUS, CONFIG, COMMISSION_SCOPE, COMMISSION_TYPE } from '../constants.js';
+
+const round = (value) => parseFloat(Number(value || 0).toFixed(2));
+
+const toId = (value) => {
+    if (!value) return null;
+    return value._id ? value._id.toString() : value.toString();
+};
+
+// Most specific scope wins
+const SCOPE_PRIORITY = [
+    COMMISSION_SCOPE.VENDOR,
+    COMMISSION_SCOPE.SUB_CATEGORY,
+    COMMISSION_SCOPE.CATEGORY,
+    COMMISSION_SCOPE.GLOBAL
+];
+
+// Target field each scope is matched on
+const SCOPE_FIELD = {
+    [COMMISSION_SCOPE.VENDOR]: 'vendor',
+    [COMMISSION_SCOPE.SUB_CATEGORY]: 'subCategory',
+    [COMMISSION_SCOPE.CATEGORY]: 'category',
+    [COMMISSION_SCOPE.GLOBAL]: null
+};
+
+/**
+ * Commission Service
+ * Admin-managed commission rules and the resolver that picks the rule for a
+ * vendor product. The resolved rule is snapshotted onto each order line at
+ * checkout, so settlements never depend on the rules in force today.
+ */
+class CommissionService {
+    // ========================================
+    // RULE MANAGEMENT
+    // ========================================
+
+    async getRules(query = {}) {
+        const page = Math.max(parseInt(query.page) || CONFIG.PAGINATION.DEFAULT_PAGE, 1);
+        const limit = Math.min(parseInt(query.limit) || CONFIG.PAGINATION.DEFAULT_LIMIT, CONFIG.PAGINATION.MAX_LIMIT);
+
+        const filter = {};
+        if (query.scope) filter.scope = query.scope;
+        if (query.vendor) filter.vendor = query.vendor;
+        if (query.category) filter.category = query.category;
+        if (query.subCategory) filter.subCategory = query.subCategory;
+        if (query.isActive !== undefined) filter.isActive = String(query.isActive) === 'true';
+
+        return await CommissionRuleRepository.findAll(filter, page, limit);
+    }
+
+    async getRuleById(id) {
+        const rule = await CommissionRuleRepository.findOne({ _id: id });
+        if (!rule) {
+            throw new AppError('Commission rule not found', HTTP_STATUS.NOT_FOUND, 'COMMISSION_RULE_NOT_FOUND');
+        }
+        return rule;
+    }
+
+    async createRule(data, actor) {
+        const payload = this._normalizeTarget({ ...data, createdBy: actor });
+        this._assertRule(payload);
+
+        const rule = await CommissionRuleRepository.create(payload);
+        AuditLogger.log('COMMISSION_RULE_CREATED', 'COMMISSION', {
+            ruleId: rule._id,
+            scope: rule.scope,
+            type: rule.type,
+            value: rule.value,
+            by: actor.role,
+            actorId: actor.id
+        });
+        return rule;
+    }
+
+    /**
+     * Orders already placed keep the rule they were placed under
+     */
+    async updateRule(id, data, actor) {
+        const rule = await this.getRuleById(id);
+
+        const updates = { ...data };
+        // A rule keeps its scope and target; create a new rule instead
+        delete updates.scope;
+        delete updates.vendor;
+        delete updates.category;
+        delete updates.subCategory;
+        this._assertRule({ ...rule, ...updates });
+
+        const updated = await CommissionRuleRepository.updateWhere({ _id: id }, { $set: updates });
+        AuditLogger.log('COMMISSION_RULE_UPDATED', 'COMMISSION', { ruleId: id, changes: Object.keys(updates), by: actor.role, actorId: actor.id });
+        return updated;
+    }
+
+    async deleteRule(id, actor) {
+        const rule = await CommissionRuleRepository.deleteWhere({ _id: id });
+        if (!rule) {
+            throw new AppError('Commission rule not found', HTTP_STATUS.NOT_FOUND, 'COMMISSION_RULE_NOT_FOUND');
+        }
+        AuditLogger.log('COMMISSION_RULE_DELETED', 'COMMISSION', { ruleId: id, scope: rule.scope, by: actor.role, actorId: actor.id });
+    }
+
+    // ========================================
+    // RESOLUTION
+    // ========================================
+
+    /**
+     * Applied commission for each target ({ vendor, category, subCategory }) at a
+     * point in time. Falls back to the settlement default rate when no rule
+     * matches; in-house targets (no vendor) resolve to null.
+     */
+    async resolveRules(targets, at = new Date()) {
+        const ids = (key) => [...new Set(targets.map(target => toId(target[key])).filter(Boolean))];
+
+        const [rules, settings] = await Promise.all([
+            CommissionRuleRepository.findEffective({
+                vendorIds: ids('vendor'),
+                categoryIds: ids('category'),
+                subCategoryIds: ids('subCategory')
+            }, at),
+            SettlementSettingRepository.getSettings()
+        ]);
+
+        return targets.map(target => (target.vendor ? this._pick(rules, target, settings) : null));
+    }
+
+    async resolveRule(target, at = new Date()) {
+        const [applied] = await this.resolveRules([target], at);
+        return applied;
+    }
+
+    /**
+     * Commission on `base` (goods value of a line) for `quantity` units.
+     * Never more than the goods value itself.
+     */
+    calculate(applied, base, quantity) {
+        if (!applied || base <= 0) return 0;
+
+        const fee = applied.type === COMMISSION_TYPE.FLAT
+            ? applied.value * quantity
+            : base * applied.value / 100;
+        return round(Math.min(base, fee));
+    }
+
+    /**
+     * What the vendor keeps per unit of a product at its listed (discounted) price
+     */
+    async previewForProduct(product, vendorId) {
+        const applied = await this.resolveRule({ vendor: vendorId, category: product.category, subCategory: product.subCategory });
+
+        const discount = product.discountType === 'percent'
+            ? (product.price * (product.discount || 0)) / 100
+            : product.discount || 0;
+        const unitPrice = round(Math.max(0, product.price - discount));
+        const commission = this.calculate(applied, unitPrice, 1);
+
+        return {
+            ...applied,
+            unitPrice,
+            commission,
+            netPerUnit: round(unitPrice - commission)
+        };
+    }
+
+    _pick(rules, target, settings) {
+        for (const scope of SCOPE_PRIORITY) {
+            const field = SCOPE_FIELD[scope];
+            // Rules come latest start first, so the newest effective rule of a scope wins
+            const rule = rules.find(r => r.scope === scope && (!field || toId(r[field]) === toId(target[field])));
+            if (rule) {
+                return { rule: rule._id, scope, type: rule.type, value: rule.value };
+            }
+        }
+
+        return { rule: null, scope: COMMISSION_SCOPE.GLOBAL, type: COMMISSION_TYPE.PERCENT, value: settings.defaultCommissionRate || 0 };
+    }
+
+    /**
+     * Keep only the target field of the rule's scope
+     */
+    _normalizeTarget(rule) {
+        const field = SCOPE_FIELD[rule.scope];
+        for (const key of ['vendor', 'category', 'subCategory']) {
+            if (key !== field) rule[key] = null;
+        }
+        return rule;
+    }
+
+    _assertRule(rule) {
+        const field = SCOPE_FIELD[rule.scope];
+        if (field && !rule[field]) {
+            throw new AppError(`A ${rule.scope.replace('_', '-')} rule needs a ${field}`, HTTP_STATUS.BAD_REQUEST, 'INVALID_COMMISSION_RULE');
+        }
+        if ((rule.type || COMMISSION_TYPE.PERCENT) === COMMISSION_TYPE.PERCENT && rule.value > 100) {
+            throw new AppError('Commission percentage cannot exceed 100%', HTTP_STATUS.BAD_REQUEST, 'INVALID_COMMISSION_RULE');
+        }
+        if (rule.endsAt && new Date(rule.endsAt) <= new Date(rule.startsAt || Date.now())) {
+            throw new AppError('Rule must end after it starts', HTTP_STATUS.BAD_REQUEST, 'INVALID_COMMISSION_RULE');
+        }
+    }
+}
+
+export default new CommissionService();
@@ -1,10 +1,19 @@
 import SiteContentRepository from '../repositories/siteContent.repository.js';
 import AppError from '../utils/AppError.js';
-import { HTTP_STATUS } from '../constants.js';
+import { HTTP_STATUS, RETURN_RESOLUTION } from '../constants.js';
 import Cache from '../utils/cache.js';
 
 const CONTENT_CACHE_KEY = 'multi_vendor:content';
 
+// Mirrors the siteContent.returnSettings schema defaults
+const DEFAULT_RETURN_SETTINGS = {
+  isEnabled: true,
+  returnWindowDays: 7,
+  vendorResponseDays: 2,
+  requirePhotos: false,
+  allowedResolutions: Object.values(RETURN_RESOLUTION),
+};
+
 class ContentService {
   /**
    * Update site content.
@@ -41,6 +50,7 @@ class ContentService {
         returnPolicy: '',
         shippingPolicy: '',
         cancellationPolicy: '',
+        returnSettings: DEFAULT_RETURN_SETTINGS,
       };
     }
     
@@ -49,6 +59,25 @@ class ContentService {
     
     return content;
   }
+
+  /**
+   * Rules of the return workflow (defaults filled in for older documents).
+   * @returns {Promise<Object>}
+   */
+  async getReturnSettings() {
+    const content = await this.getContent();
+    return { ...DEFAULT_RETURN_SETTINGS, ...(content.returnSettings || {}) };
+  }
+
+  /**
+   * Partially update the return settings.
+   * @param {Object} data - returnSettings fields to change.
+   * @returns {Promise<Object>} The updated content document.
+   */
+  async updateReturnSettings(data) {
+    const $set = Object.fromEntries(Object.entries(data).map(([key, value]) => [`returnSettings.${key}`, value]));
+    return await this.updateContent($set);
+  }
 }
 
 export default new ContentService();
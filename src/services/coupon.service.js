@@ -1,6 +1,7 @@
 import CouponRepository from '../repositories/coupon.repository.js';
+import CouponRedemptionService from './couponRedemption.service.js';
 import AppError from '../utils/AppError.js';
-import { HTTP_STATUS } from '../constants.js';
+import { HTTP_STATUS, COUPON_FUNDED_BY } from '../constants.js';
 import Cache from '../utils/cache.js';
 import L1Cache from '../utils/l1Cache.js';
 
@@ -15,27 +16,39 @@ class CouponService {
             throw new AppError('Expire date must be after start date', HTTP_STATUS.BAD_REQUEST, 'INVALID_DATE_RANGE');
         }
 
-        // 2. Validate Code Uniqueness
+        // 2. Customer-specific coupons need their customers
+        if (data.customerScope === 'specific' && !data.customers?.length) {
+            throw new AppError('Select at least one customer for a customer-specific coupon', HTTP_STATUS.BAD_REQUEST, 'CUSTOMERS_REQUIRED');
+        }
+
+        // 3. Validate Code Uniqueness
         const isExists = await CouponRepository.isCodeExists(data.code);
         if (isExists) {
             throw new AppError('Coupon code already exists', HTTP_STATUS.CONFLICT, 'DUPLICATE_CODE');
         }
 
-        // 3. Prepare data
+        // 4. Prepare data
         const couponData = {
             ...data,
+            bearer: 'vendor',
             vendor: vendorId,
+            fundedBy: COUPON_FUNDED_BY.VENDOR,
             code: data.code.toUpperCase(),
             startDate: start,
             expireDate: end
         };
 
-        // 4. Create
+        // 5. Create
         const coupon = await CouponRepository.create(couponData);
         await this.invalidateCache(vendorId);
         return coupon;
     }
 
+    async getCouponRedemptions(id, vendorId, query) {
+        await this.getCouponById(id, vendorId); // Ensure ownership
+        return await CouponRedemptionService.getRedemptions(id, query);
+    }
+
     async invalidateCache(vendorId) {
         // Invalidate public coupon lists and vendor specific lists
         await Cache.delByPattern('coupons*');
@@ -52,7 +65,8 @@ class CouponService {
             throw new AppError('Coupon not found', HTTP_STATUS.NOT_FOUND, 'COUPON_NOT_FOUND');
         }
 
-        if (coupon.vendor.toString() !== vendorId.toString()) {
+        // Platform coupons are managed by admins only
+        if (!coupon.vendor || coupon.vendor.toString() !== vendorId.toString()) {
             throw new AppError('Not authorized to access this coupon', HTTP_STATUS.FORBIDDEN, 'FORBIDDEN_ACCESS');
         }
 
@@ -71,6 +85,12 @@ class CouponService {
             }
         }
 
+        const customerScope = data.customerScope ?? coupon.customerScope;
+        const customers = data.customers ?? coupon.customers;
+        if (customerScope === 'specific' && !customers?.length) {
+            throw new AppError('Select at least one customer for a customer-specific coupon', HTTP_STATUS.BAD_REQUEST, 'CUSTOMERS_REQUIRED');
+        }
+
         if (data.code && data.code.toUpperCase() !== coupon.code) {
             const isExists = await CouponRepository.isCodeExists(data.code, id);
             if (isExists) {
@@ -0,0 +1,126 @@
+import CouponRepository from '../repositories/coupon.repository.js';
+import CouponRedemptionRepository from '../repositories/couponRedemption.repository.js';
+import OrderRepository from '../repositories/order.repository.js';
+import AppError from '../utils/AppError.js';
+import { isCouponAvailableToCustomer } from '../utils/couponTargeting.js';
+import Logger from '../utils/logger.js';
+import { HTTP_STATUS, ORDER_STATUS, COUPON_REDEMPTION_STATUS, CONFIG } from '../constants.js';
+
+/**
+ * Coupon Redemption Service
+ * Lifecycle of a coupon use: reserved (checkout) -> redeemed (payment) -> released (order cancelled).
+ */
+class CouponRedemptionService {
+    /**
+     * Customer-level rules (targeted customers, first order, per-user limit, global cap).
+     * Used for early feedback when applying a coupon; reserve() is the atomic check.
+     */
+    async assertEligible(coupon, customerId) {
+        if (coupon.usageLimit && (coupon.totalReserved || 0) >= coupon.usageLimit) {
+            throw new AppError('Coupon usage limit has been reached', HTTP_STATUS.BAD_REQUEST, 'COUPON_LIMIT_REACHED');
+        }
+
+        if (coupon.customerScope === 'specific') {
+            if (!customerId) {
+                throw new AppError('Please log in to use this coupon', HTTP_STATUS.BAD_REQUEST, 'COUPON_LOGIN_REQUIRED');
+            }
+            if (!isCouponAvailableToCustomer(coupon, customerId)) {
+                throw new AppError('This coupon is not available for your account', HTTP_STATUS.BAD_REQUEST, 'COUPON_NOT_ELIGIBLE');
+            }
+        }
+
+        // Guests are checked again at checkout once they log in
+        if (!customerId) return;
+
+        if (coupon.type === 'first_order') {
+            const previousOrders = await OrderRepository.count({ customer: customerId, status: { $ne: ORDER_STATUS.CANCELLED } });
+            if (previousOrders > 0) {
+                throw new AppError('This coupon is valid on your first order only', HTTP_STATUS.BAD_REQUEST, 'COUPON_FIRST_ORDER_ONLY');
+            }
+        }
+
+        const used = await CouponRedemptionRepository.countActive(coupon._id, customerId);
+        if (used >= (coupon.limitForSameUser || 1)) {
+            throw new AppError('You have already used this coupon', HTTP_STATUS.BAD_REQUEST, 'COUPON_LIMIT_REACHED');
+        }
+    }
+
+    /**
+     * Record the use inside the checkout transaction. The free slot + unique index
+     * enforce limitForSameUser; the conditional $inc enforces usageLimit.
+     */
+    async reserve(coupon, { customerId, order, discount }, session) {
+        const limit = coupon.limitForSameUser || 1;
+        const taken = await CouponRedemptionRepository.findActiveSlots(coupon._id, customerId, session);
+
+        let slot = 1;
+        while (taken.includes(slot)) slot += 1;
+
+        if (slot > limit) {
+            throw new AppError('You have already used this coupon', HTTP_STATUS.BAD_REQUEST, 'COUPON_LIMIT_REACHED');
+        }
+
+        const reserved = await CouponRepository.reserveUsage(coupon._id, session);
+        if (!reserved) {
+            throw new AppError('Coupon usage limit has been reached', HTTP_STATUS.BAD_REQUEST, 'COUPON_LIMIT_REACHED');
+        }
+
+        try {
+            return await CouponRedemptionRepository.create({
+                coupon: coupon._id,
+                code: coupon.code,
+                customer: customerId,
+                order: order._id,
+                orderNumber: order.orderNumber,
+                discount,
+                slot
+            }, session);
+        } catch (error) {
+            // A concurrent checkout took the same slot
+            if (error.code === 11000 || error.codeName === 'WriteConflict') {
+                throw new AppError('You have already used this coupon', HTTP_STATUS.CONFLICT, 'COUPON_LIMIT_REACHED');
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Order paid: count the use. Safe to call repeatedly (webhook + verify).
+     */
+    async confirm(orderId) {
+        try {
+            const redemption = await CouponRedemptionRepository.markRedeemed(orderId);
+            if (redemption) {
+                await CouponRepository.incrementUsed(redemption.coupon);
+            }
+            return redemption;
+        } catch (error) {
+            // Payment is already recorded - never fail the payment flow because of coupon stats
+            Logger.error('Failed to confirm coupon redemption', { orderId, error: error.message });
+            return null;
+        }
+    }
+
+    /**
+     * Order cancelled: give the use back to the customer and to the global cap
+     */
+    async release(orderId, session = null) {
+        const redemption = await CouponRedemptionRepository.release(orderId, session);
+        if (redemption) {
+            await CouponRepository.releaseUsage(
+                redemption.coupon,
+                redemption.status === COUPON_REDEMPTION_STATUS.REDEEMED,
+                session
+            );
+        }
+        return redemption;
+    }
+
+    async getRedemptions(couponId, query = {}) {
+        const page = Math.max(parseInt(query.page) || CONFIG.PAGINATION.DEFAULT_PAGE, 1);
+        const limit = Math.min(parseInt(query.limit) || CONFIG.PAGINATION.DEFAULT_LIMIT, CONFIG.PAGINATION.MAX_LIMIT);
+        return await CouponRedemptionRepository.findByCoupon(couponId, page, limit);
+    }
+}
+
+export default new CouponRedemptionService();
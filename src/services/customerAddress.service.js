@@ -0,0 +1,187 @@
+import CustomerAddressRepository from '../repositories/customerAddress.repository.js';
+import TransactionManager from '../utils/transaction.js';
+import { geocodeAddress } from '../providers/geocoding.provider.js';
+import AppError from '../utils/AppError.js';
+import Logger from '../utils/logger.js';
+import { HTTP_STATUS } from '../constants.js';
+
+const MAX_ADDRESSES = 20;
+
+// Fields that move the pin on the map
+const LOCATION_FIELDS = ['addressLine1', 'addressLine2', 'landmark', 'city', 'state', 'pincode'];
+
+// Fields copied onto an order (matches the order address snapshot)
+const SNAPSHOT_FIELDS = ['name', 'phoneNumber', 'addressLine1', 'addressLine2', 'landmark', 'city', 'state', 'pincode', 'country'];
+
+const DEFAULT_FIELDS = {
+    shipping: 'isDefaultShipping',
+    billing: 'isDefaultBilling'
+};
+
+/**
+ * Customer Address Service
+ * Address book CRUD plus default shipping/billing bookkeeping. The first saved
+ * address becomes both defaults; deleting a default promotes the latest remaining one.
+ */
+class CustomerAddressService {
+    async listAddresses(customerId) {
+        return await CustomerAddressRepository.findByCustomer(customerId);
+    }
+
+    async getAddress(customerId, addressId) {
+        const address = await CustomerAddressRepository.findOne({ _id: addressId, customer: customerId });
+        if (!address) {
+            throw new AppError('Address not found', HTTP_STATUS.NOT_FOUND, 'ADDRESS_NOT_FOUND');
+        }
+        return address;
+    }
+
+    /**
+     * @param {'shipping'|'billing'} type
+     */
+    async getDefaultAddress(customerId, type = 'shipping') {
+        return await CustomerAddressRepository.findOne({ customer: customerId, [DEFAULT_FIELDS[type]]: true });
+    }
+
+    async createAddress(customerId, data) {
+        const count = await CustomerAddressRepository.countByCustomer(customerId);
+        if (count >= MAX_ADDRESSES) {
+            throw new AppError(`You can save at most ${MAX_ADDRESSES} addresses`, HTTP_STATUS.BAD_REQUEST, 'ADDRESS_LIMIT_REACHED');
+        }
+
+        const geo = await this._geocode(data);
+        const isFirst = count === 0;
+        const payload = {
+            ...data,
+            ...geo,
+            customer: customerId,
+            isDefaultShipping: isFirst || !!data.isDefaultShipping,
+            isDefaultBilling: isFirst || !!data.isDefaultBilling
+        };
+
+        const address = await TransactionManager.execute(async (session) => {
+            await this._clearOtherDefaults(customerId, payload, null, session);
+            return await CustomerAddressRepository.create(payload, session);
+        });
+
+        Logger.info('Customer address added', { customerId, addressId: address._id });
+        return address;
+    }
+
+    async updateAddress(customerId, addressId, data) {
+        const address = await this.getAddress(customerId, addressId);
+        this._assertKeepsDefaults(address, data);
+
+        const $set = { ...data };
+        if (data.isDefaultShipping === false) delete $set.isDefaultShipping;
+        if (data.isDefaultBilling === false) delete $set.isDefaultBilling;
+
+        const update = { $set };
+        const moved = LOCATION_FIELDS.some(field => data[field] !== undefined && data[field] !== address[field]);
+        if (moved) {
+            const geo = await this._geocode({ ...address, ...data });
+            Object.assign($set, geo);
+            // The old pin no longer matches the address
+            if (!geo.location) update.$unset = { location: '' };
+        }
+
+        return await TransactionManager.execute(async (session) => {
+            await this._clearOtherDefaults(customerId, $set, address._id, session);
+            const updated = await CustomerAddressRepository.updateWhere({ _id: address._id, customer: customerId }, update, session);
+            if (!updated) {
+                throw new AppError('Address not found', HTTP_STATUS.NOT_FOUND, 'ADDRESS_NOT_FOUND');
+            }
+            return updated;
+        });
+    }
+
+    /**
+     * @param {'shipping'|'billing'|'both'} type
+     */
+    async setDefaultAddress(customerId, addressId, type) {
+        const $set = {};
+        if (type === 'shipping' || type === 'both') $set.isDefaultShipping = true;
+        if (type === 'billing' || type === 'both') $set.isDefaultBilling = true;
+
+        return await TransactionManager.execute(async (session) => {
+            const address = await CustomerAddressRepository.findOne({ _id: addressId, customer: customerId });
+            if (!address) {
+                throw new AppError('Address not found', HTTP_STATUS.NOT_FOUND, 'ADDRESS_NOT_FOUND');
+            }
+            await this._clearOtherDefaults(customerId, $set, address._id, session);
+            return await CustomerAddressRepository.updateWhere({ _id: address._id, customer: customerId }, { $set }, session);
+        });
+    }
+
+    async deleteAddress(customerId, addressId) {
+        await TransactionManager.execute(async (session) => {
+            const deleted = await CustomerAddressRepository.deleteWhere({ _id: addressId, customer: customerId }, session);
+            if (!deleted) {
+                throw new AppError('Address not found', HTTP_STATUS.NOT_FOUND, 'ADDRESS_NOT_FOUND');
+            }
+
+            if (!deleted.isDefaultShipping && !deleted.isDefaultBilling) return;
+
+            const successor = await CustomerAddressRepository.findLatest(customerId, deleted._id);
+            if (!successor) return;
+
+            const $set = {};
+            if (deleted.isDefaultShipping) $set.isDefaultShipping = true;
+            if (deleted.isDefaultBilling) $set.isDefaultBilling = true;
+            await CustomerAddressRepository.updateWhere({ _id: successor._id, customer: customerId }, { $set }, session);
+        });
+    }
+
+    /**
+     * Order-ready copy of a saved address (checkout stores a snapshot, not a reference)
+     */
+    async getAddressSnapshot(customerId, addressId) {
+        const address = await this.getAddress(customerId, addressId);
+        return this.toSnapshot(address);
+    }
+
+    toSnapshot(address) {
+        const snapshot = {};
+        for (const field of SNAPSHOT_FIELDS) {
+            if (address[field] !== undefined && address[field] !== null) snapshot[field] = address[field];
+        }
+        return snapshot;
+    }
+
+    // ========================================
+    // HELPERS
+    // ========================================
+
+    /**
+     * Defaults are moved, not removed: the current default can only lose its flag
+     * when another address takes it.
+     */
+    _assertKeepsDefaults(address, data) {
+        if ((data.isDefaultShipping === false && address.isDefaultShipping)
+            || (data.isDefaultBilling === false && address.isDefaultBilling)) {
+            throw new AppError('Set another address as default instead', HTTP_STATUS.BAD_REQUEST, 'DEFAULT_ADDRESS_REQUIRED');
+        }
+    }
+
+    async _clearOtherDefaults(customerId, flags, exceptId, session) {
+        for (const field of Object.values(DEFAULT_FIELDS)) {
+            if (flags[field] === true) {
+                await CustomerAddressRepository.clearDefault(customerId, field, exceptId, session);
+            }
+        }
+    }
+
+    async _geocode(address) {
+        const result = await geocodeAddress(address);
+        if (!result) {
+            return { formattedAddress: null, geocodedAt: null };
+        }
+        return {
+            location: { type: 'Point', coordinates: [result.lng, result.lat] },
+            formattedAddress: result.formattedAddress,
+            geocodedAt: new Date()
+        };
+    }
+}
+
+export default new CustomerAddressService();
@@ -5,6 +5,12 @@ import AppError from '../utils/AppError.js';
 import { HTTP_STATUS } from '../constants.js';
 import Logger from '../utils/logger.js';
 
+const TEMPLATE_TITLES = {
+  'Support Ticket Reply': 'Reply to your Support Ticket',
+  'Wishlist Alert': 'An item on your wishlist has an update',
+  'Abandoned Cart Reminder': 'You left something in your cart',
+};
+
 class CustomerEmailTemplateService {
   async getAllTemplates() {
     return await CustomerEmailTemplateRepository.getAll();
@@ -83,6 +89,8 @@ class CustomerEmailTemplateService {
       'Account Unblocked',
       'Support Ticket Reply',
       'Password Reset',
+      'Wishlist Alert',
+      'Abandoned Cart Reminder',
     ];
 
     for (const event of events) {
@@ -107,10 +115,32 @@ class CustomerEmailTemplateService {
             <p>This code is valid for 10 minutes.</p>
             <p>If you didn't request this, please ignore this email.</p>
           `;
+        } else if (event === 'Wishlist Alert') {
+          emailContent = `
+            <p>Hello {username},</p>
+            <p>Good news about an item on your wishlist: {alertMessage}</p>
+            <p style="text-align: center; margin: 25px 0;">
+              <a href="{productUrl}" style="background: #1a202c; color: #ffffff; padding: 12px 24px; border-radius: 5px; text-decoration: none;">View {productName}</a>
+            </p>
+            <p>You can turn these alerts off from your wishlist at any time.</p>
+          `;
+        } else if (event === 'Abandoned Cart Reminder') {
+          emailContent = `
+            <p>Hello {username},</p>
+            <p>You left {itemCount} item(s) in your cart. They are still waiting for you:</p>
+            <div style="background: #f4f7f9; padding: 15px; border-radius: 5px; margin: 20px 0;">
+              {cartItems}
+              <p style="text-align: right; margin: 10px 0 0;"><strong>Total: {cartTotal}</strong></p>
+            </div>
+            <p>{couponMessage}</p>
+            <p style="text-align: center; margin: 25px 0;">
+              <a href="{cartUrl}" style="background: #1a202c; color: #ffffff; padding: 12px 24px; border-radius: 5px; text-decoration: none;">Complete your order</a>
+            </p>
+          `;
         }
         await CustomerEmailTemplate.create({
           event,
-          templateTitle: event === 'Support Ticket Reply' ? 'Reply to your Support Ticket' : `${event} Notification`,
+          templateTitle: TEMPLATE_TITLES[event] || `${event} Notification`,
           emailContent,
           isEnabled: true,
           includedLinks: { privacyPolicy: true, contactUs: true },
@@ -5,6 +5,7 @@ import { HTTP_STATUS } from '../constants.js';
 import Cache from '../utils/cache.js';
 import MultiLayerCache from '../utils/multiLayerCache.js';
 import L1Cache from '../utils/l1Cache.js';
+import WishlistAlertService from './wishlistAlert.service.js';
 
 const DEAL_CACHE_KEY = 'deals:active';
 const DEAL_PATTERN = 'deals*';
@@ -71,6 +72,7 @@ class DealOfTheDayService {
 
         const result = await DealOfTheDayRepository.addProducts(dealId, products);
         await this.invalidateCache();
+        await WishlistAlertService.pricesChanged(productIds);
         return result;
     }
 
@@ -83,6 +85,7 @@ class DealOfTheDayService {
     async togglePublishStatus(dealId, isPublished) {
         const result = await DealOfTheDayRepository.togglePublish(dealId, isPublished);
         await this.invalidateCache();
+        if (isPublished) await WishlistAlertService.pricesChangedForDeal(result);
         return result;
     }
 
@@ -90,6 +93,7 @@ class DealOfTheDayService {
         const result = await DealOfTheDayRepository.toggleProductStatus(dealId, productId, isActive);
         if (!result) throw new AppError('Deal or product not found', HTTP_STATUS.NOT_FOUND);
         await this.invalidateCache();
+        if (isActive) await WishlistAlertService.pricesChanged([productId]);
         return result;
     }
 
@@ -6,6 +6,7 @@ import Cache from '../utils/cache.js';
 import MultiLayerCache from '../utils/multiLayerCache.js';
 import L1Cache from '../utils/l1Cache.js';
 import { uploadImageFromUrl, deleteMultipleImages } from '../utils/imageUpload.util.js';
+import WishlistAlertService from './wishlistAlert.service.js';
 
 const FLASH_DEAL_CACHE_KEY = 'flash-deals:active';
 const FLASH_DEAL_PATTERN = 'flash-deals*';
@@ -133,6 +134,8 @@ class FlashDealService {
         }
 
         await this.invalidateCache();
+        // New dates can bring the deal into effect
+        await WishlistAlertService.pricesChangedForDeal(result);
         return result;
     }
 
@@ -166,6 +169,7 @@ class FlashDealService {
 
         const result = await FlashDealRepository.addProducts(dealId, products);
         await this.invalidateCache();
+        await WishlistAlertService.pricesChanged(productIds);
         return result;
     }
 
@@ -178,6 +182,7 @@ class FlashDealService {
     async togglePublishStatus(dealId, isPublished) {
         const result = await FlashDealRepository.togglePublish(dealId, isPublished);
         await this.invalidateCache();
+        if (isPublished) await WishlistAlertService.pricesChangedForDeal(result);
         return result;
     }
 
@@ -185,9 +190,31 @@ class FlashDealService {
         const result = await FlashDealRepository.toggleProductStatus(dealId, productId, isActive);
         if (!result) throw new AppError('Deal or product not found', HTTP_STATUS.NOT_FOUND);
         await this.invalidateCache();
+        if (isActive) await WishlistAlertService.pricesChanged([productId]);
         return result;
     }
 
+    /**
+     * Catch up with deals that started or ended in (since, now] (deal-schedule
+     * job): cached lists are dropped and wishlists hear about the new prices.
+     */
+    async syncSchedule(since, now = new Date()) {
+        const deals = await FlashDealRepository.findScheduleChanges(since, now);
+        if (deals.length === 0) return { started: 0, ended: 0 };
+
+        await this.invalidateCache();
+
+        const started = deals.filter(deal => deal.startDate > since && deal.startDate <= now);
+        for (const deal of started) {
+            await WishlistAlertService.pricesChangedForDeal(deal);
+        }
+
+        return {
+            started: started.length,
+            ended: deals.filter(deal => deal.endDate > since && deal.endDate <= now).length
+        };
+    }
+
     /**
      * Get active flash deals (simple list without pagination)
      * @deprecated Use getActiveFlashDealsCursor for better performance
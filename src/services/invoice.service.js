@@ -0,0 +1,334 @@
+import OrderRepository from '../repositories/order.repository.js';
+import InvoiceCounterRepository from '../repositories/invoiceCounter.repository.js';
+import VendorRepository from '../repositories/vendor.repository.js';
+import SystemSettingRepository from '../repositories/systemSetting.repository.js';
+import TaxService from './tax.service.js';
+import TransactionManager from '../utils/transaction.js';
+import { renderInvoicePdf, renderPackingSlipPdf } from '../utils/invoicePdf.js';
+import { uploadToCloudinary } from '../utils/cloudinary.js';
+import { exportQueue } from '../config/queue.js';
+import env from '../config/env.js';
+import AppError from '../utils/AppError.js';
+import Logger from '../utils/logger.js';
+import { HTTP_STATUS, ORDER_STATUS, ORDER_DOCUMENT_TYPE } from '../constants.js';
+
+// Sub-orders get documents once the vendor has accepted them
+const DOCUMENT_STATUSES = [
+    ORDER_STATUS.CONFIRMED,
+    ORDER_STATUS.PACKED,
+    ORDER_STATUS.SHIPPED,
+    ORDER_STATUS.DELIVERED,
+    ORDER_STATUS.RETURNED,
+    ORDER_STATUS.REFUNDED
+];
+
+const BATCH_JOB = 'invoice-batch';
+const BATCH_ORDER_LIMIT = 500;
+
+// IST offset; the Indian financial year runs 1 April - 31 March
+const IST_OFFSET_MS = 330 * 60 * 1000;
+
+const round = (value) => parseFloat(Number(value || 0).toFixed(2));
+
+/**
+ * Invoice Service
+ * Per-vendor GST tax invoices and packing slips for sub-orders. Every seller (and
+ * the platform for in-house products) has its own consecutive invoice series per
+ * financial year; a sub-order is numbered the first time its invoice is requested
+ * and keeps that number forever.
+ */
+class InvoiceService {
+    /**
+     * Financial year of a date, e.g. '2026-27'
+     */
+    getFinancialYear(date = new Date()) {
+        const ist = new Date(new Date(date).getTime() + IST_OFFSET_MS);
+        const start = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+        return `${start}-${String((start + 1) % 100).padStart(2, '0')}`;
+    }
+
+    /**
+     * INV-2627-00042 (max 16 characters as required for GST invoices)
+     */
+    formatInvoiceNumber(financialYear, sequence) {
+        return `INV-${financialYear.replace('-', '').slice(2)}-${String(sequence).padStart(5, '0')}`;
+    }
+
+    /**
+     * Number the sub-order's invoice unless it already has one. The counter is only
+     * consumed when the sub-order is stamped in the same transaction, so the series
+     * stays gap-free under concurrent downloads.
+     */
+    async issueInvoice(order, subOrder) {
+        if (subOrder.invoice?.number) {
+            return subOrder.invoice;
+        }
+        if (!DOCUMENT_STATUSES.includes(subOrder.status)) {
+            throw new AppError('Invoice is available once the order is confirmed', HTTP_STATUS.BAD_REQUEST, 'INVOICE_NOT_AVAILABLE');
+        }
+
+        const issuedAt = new Date();
+        const financialYear = this.getFinancialYear(issuedAt);
+
+        try {
+            return await TransactionManager.execute(async (session) => {
+                const sequence = await InvoiceCounterRepository.nextSequence(subOrder.vendor, financialYear, session);
+                const invoice = { number: this.formatInvoiceNumber(financialYear, sequence), financialYear, issuedAt };
+
+                const assigned = await OrderRepository.assignSubOrderInvoice(order._id, subOrder._id, invoice, session);
+                if (!assigned) {
+                    throw new AppError('Invoice already issued', HTTP_STATUS.CONFLICT, 'INVOICE_ALREADY_ISSUED');
+                }
+                return invoice;
+            });
+        } catch (error) {
+            if (error.code !== 'INVOICE_ALREADY_ISSUED') throw error;
+
+            // Lost the race: use the number the other request stamped
+            const fresh = await OrderRepository.findById(order._id);
+            return fresh.subOrders.find(s => s._id.toString() === subOrder._id.toString()).invoice;
+        }
+    }
+
+    // ========================================
+    // DOWNLOADS
+    // ========================================
+
+    /**
+     * @param {{customerId?: string, vendorId?: string}} scope empty for admins
+     */
+    async getInvoice(orderId, subOrderId, scope = {}) {
+        const { order, subOrder } = await this._findSubOrder(orderId, subOrderId, scope);
+        const invoice = await this.issueInvoice(order, subOrder);
+        const seller = await this._getSeller(subOrder.vendor);
+
+        const buffer = await renderInvoicePdf([this._buildInvoiceView(order, { ...subOrder, invoice }, seller)]);
+        return { filename: `${invoice.number}.pdf`, buffer };
+    }
+
+    async getPackingSlip(orderId, subOrderId, scope = {}) {
+        const { order, subOrder } = await this._findSubOrder(orderId, subOrderId, scope);
+        if (!DOCUMENT_STATUSES.includes(subOrder.status)) {
+            throw new AppError('Packing slip is available once the order is confirmed', HTTP_STATUS.BAD_REQUEST, 'PACKING_SLIP_NOT_AVAILABLE');
+        }
+        const seller = await this._getSeller(subOrder.vendor);
+
+        const buffer = await renderPackingSlipPdf([this._buildPackingSlipView(order, subOrder, seller)]);
+        return { filename: `packing-slip-${subOrder.subOrderNumber}.pdf`, buffer };
+    }
+
+    // ========================================
+    // BATCHES (export queue)
+    // ========================================
+
+    /**
+     * Queue one combined PDF for many sub-orders. Vendors are always limited to their own.
+     */
+    async queueBatch(payload, scope = {}, requestedBy = null) {
+        const job = await exportQueue.add(BATCH_JOB, {
+            type: payload.type,
+            orderIds: payload.orderIds || null,
+            vendorId: scope.vendorId ? scope.vendorId.toString() : (payload.vendor || null),
+            startDate: payload.startDate || null,
+            endDate: payload.endDate || null,
+            requestedBy
+        });
+
+        return { jobId: job.id, status: 'queued' };
+    }
+
+    async getBatchStatus(jobId, scope = {}) {
+        const job = await exportQueue.getJob(jobId);
+        if (!job || job.name !== BATCH_JOB || (scope.vendorId && job.data.vendorId !== scope.vendorId.toString())) {
+            throw new AppError('Batch not found', HTTP_STATUS.NOT_FOUND);
+        }
+
+        return {
+            jobId: job.id,
+            type: job.data.type,
+            state: await job.getState(),
+            result: job.returnvalue || null,
+            failedReason: job.failedReason || null
+        };
+    }
+
+    /**
+     * Worker side of queueBatch: render every eligible sub-order and upload the PDF
+     */
+    async processBatch(data) {
+        const filter = {};
+        if (data.orderIds?.length) filter._id = { $in: data.orderIds };
+        if (data.vendorId) filter['subOrders.vendor'] = data.vendorId;
+        if (data.startDate || data.endDate) {
+            filter.createdAt = {};
+            if (data.startDate) filter.createdAt.$gte = new Date(data.startDate);
+            if (data.endDate) filter.createdAt.$lte = new Date(data.endDate);
+        }
+
+        const orders = await OrderRepository.findForDocuments(filter, BATCH_ORDER_LIMIT);
+        const sellers = new Map();
+        const views = [];
+        let skipped = 0;
+
+        for (const order of orders) {
+            for (const subOrder of order.subOrders) {
+                if (data.vendorId && subOrder.vendor?.toString() !== data.vendorId) continue;
+                if (!DOCUMENT_STATUSES.includes(subOrder.status)) {
+                    skipped++;
+                    continue;
+                }
+
+                const sellerKey = subOrder.vendor?.toString() || 'in-house';
+                if (!sellers.has(sellerKey)) sellers.set(sellerKey, await this._getSeller(subOrder.vendor));
+                const seller = sellers.get(sellerKey);
+
+                if (data.type === ORDER_DOCUMENT_TYPE.INVOICE) {
+                    const invoice = await this.issueInvoice(order, subOrder);
+                    views.push(this._buildInvoiceView(order, { ...subOrder, invoice }, seller));
+                } else {
+                    views.push(this._buildPackingSlipView(order, subOrder, seller));
+                }
+            }
+        }
+
+        if (views.length === 0) {
+            return { url: null, count: 0, skipped };
+        }
+
+        const buffer = data.type === ORDER_DOCUMENT_TYPE.INVOICE
+            ? await renderInvoicePdf(views)
+            : await renderPackingSlipPdf(views);
+
+        const upload = await uploadToCloudinary(
+            { buffer, mimetype: 'application/pdf' },
+            'invoices/batches',
+            { resource_type: 'raw', public_id: `${data.type}-${Date.now()}.pdf` }
+        );
+
+        Logger.info(`Document batch rendered: ${views.length} ${data.type} page group(s)`, { skipped });
+        return { url: upload.secure_url, publicId: upload.public_id, count: views.length, skipped };
+    }
+
+    // ========================================
+    // HELPERS
+    // ========================================
+
+    async _findSubOrder(orderId, subOrderId, scope) {
+        const filter = { _id: orderId };
+        if (scope.customerId) filter.customer = scope.customerId;
+
+        const order = await OrderRepository.findOne(filter);
+        const subOrder = order?.subOrders.find(s => s._id.toString() === subOrderId.toString());
+
+        if (!subOrder || (scope.vendorId && subOrder.vendor?.toString() !== scope.vendorId.toString())) {
+            throw new AppError('Order not found', HTTP_STATUS.NOT_FOUND);
+        }
+
+        return { order, subOrder };
+    }
+
+    /**
+     * Legal seller details: the vendor, or the platform for in-house products
+     */
+    async _getSeller(vendorId) {
+        if (!vendorId) {
+            const settings = await SystemSettingRepository.getSettings();
+            return {
+                name: settings?.appName || 'Marketplace',
+                address: env.PLATFORM_ADDRESS || null,
+                gstin: env.PLATFORM_GSTIN || null,
+                state: env.PLATFORM_STATE || TaxService.stateFromGstin(env.PLATFORM_GSTIN)
+            };
+        }
+
+        const vendor = await VendorRepository.findById(vendorId, 'businessName businessAddress taxAndLegal', true);
+        const taxAndLegal = vendor?.taxAndLegal || {};
+        return {
+            name: vendor?.businessName || 'Seller',
+            address: vendor?.businessAddress || null,
+            gstin: taxAndLegal.gstNumber || null,
+            state: taxAndLegal.registeredState || TaxService.stateFromGstin(taxAndLegal.gstNumber)
+        };
+    }
+
+    _buildInvoiceView(order, subOrder, seller) {
+        const items = subOrder.items.map(item => {
+            const gross = item.finalPrice * item.quantity;
+            // Lines placed before the GST engine only carry the tax amount
+            const tax = item.taxBreakdown || { taxableValue: gross, rate: 0, cgst: 0, sgst: 0, igst: item.tax || 0 };
+            const totalTax = (tax.cgst || 0) + (tax.sgst || 0) + (tax.igst || 0);
+
+            return {
+                name: item.name,
+                sku: item.variation || item.sku || null,
+                hsnCode: tax.hsnCode || null,
+                quantity: item.quantity,
+                unitPrice: item.basePrice,
+                discount: item.productDiscount || 0,
+                taxableValue: tax.taxableValue,
+                taxType: tax.taxType || 'percent',
+                rate: tax.rate || 0,
+                cgst: tax.cgst || 0,
+                sgst: tax.sgst || 0,
+                igst: tax.igst || 0,
+                stateTaxLabel: tax.stateTaxLabel || 'SGST',
+                total: round(tax.taxableValue + totalTax)
+            };
+        });
+
+        const sum = (field) => round(items.reduce((total, item) => total + item[field], 0));
+
+        return {
+            invoiceNumber: subOrder.invoice.number,
+            invoiceDate: subOrder.invoice.issuedAt,
+            orderNumber: order.orderNumber,
+            orderDate: order.createdAt,
+            subOrderNumber: subOrder.subOrderNumber,
+            seller,
+            billingAddress: order.billingAddress || order.shippingAddress,
+            shippingAddress: order.shippingAddress,
+            placeOfSupply: order.shippingAddress?.state || null,
+            supplyType: subOrder.items.find(item => item.taxBreakdown)?.taxBreakdown.supplyType || null,
+            items,
+            totals: {
+                taxableValue: sum('taxableValue'),
+                cgst: sum('cgst'),
+                sgst: sum('sgst'),
+                igst: sum('igst'),
+                shipping: subOrder.shipping || 0,
+                couponDiscount: subOrder.couponDiscount || 0,
+                total: subOrder.total
+            },
+            qrPayload: JSON.stringify({
+                invoice: subOrder.invoice.number,
+                date: subOrder.invoice.issuedAt,
+                order: order.orderNumber,
+                subOrder: subOrder.subOrderNumber,
+                gstin: seller.gstin,
+                total: subOrder.total
+            })
+        };
+    }
+
+    _buildPackingSlipView(order, subOrder, seller) {
+        return {
+            orderNumber: order.orderNumber,
+            orderDate: order.createdAt,
+            subOrderNumber: subOrder.subOrderNumber,
+            seller,
+            shippingAddress: order.shippingAddress,
+            items: subOrder.items.map(item => ({
+                name: item.name,
+                sku: item.variation || item.sku || null,
+                quantity: item.quantity
+            })),
+            qrPayload: JSON.stringify({
+                order: order.orderNumber,
+                subOrder: subOrder.subOrderNumber,
+                invoice: subOrder.invoice?.number || null
+            })
+        };
+    }
+}
+
+export default new InvoiceService();
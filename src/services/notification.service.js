@@ -0,0 +1,141 @@
+import NotificationRepository from '../repositories/notification.repository.js';
+import AdminRepository from '../repositories/admin.repository.js';
+import EmployeeRepository from '../repositories/employee.repository.js';
+import RealtimeService from './realtime.service.js';
+import AppError from '../utils/AppError.js';
+import Logger from '../utils/logger.js';
+import { HTTP_STATUS, CONFIG, REALTIME_EVENTS } from '../constants.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Notification Service
+ * Per-recipient in-app feeds for customers, vendors, employees and admins.
+ * Recipients are `{ role, id }` (role as set by `protectAll`). New entries are
+ * also pushed to the recipient's socket room so open tabs update live.
+ */
+class NotificationService {
+    // ========================================
+    // CREATION
+    // ========================================
+
+    /**
+     * `content` is { type, title, message, link, data }.
+     * Never throws: a notification is not worth failing the caller for.
+     */
+    async notify(recipient, content) {
+        if (!recipient?.id) return;
+        await this.notifyMany([recipient], content);
+    }
+
+    async notifyMany(recipients, content) {
+        if (recipients.length === 0) return;
+
+        try {
+            const created = await NotificationRepository.createMany(recipients.map(({ role, id }) => ({
+                recipient: { role, id },
+                type: content.type,
+                title: content.title,
+                message: content.message,
+                link: content.link,
+                data: content.data || {}
+            })));
+
+            for (const notification of created) {
+                const { role, id } = notification.recipient;
+                RealtimeService.toUser(role, id, REALTIME_EVENTS.NOTIFICATION_CREATED, this._toEntry(notification));
+            }
+        } catch (error) {
+            Logger.error('Failed to create notifications', { type: content.type, recipients: recipients.length, error: error.message });
+        }
+    }
+
+    /**
+     * Every admin plus the active employees whose role grants `permission`
+     */
+    async notifyStaff(permission, content) {
+        try {
+            const [adminIds, employeeIds] = await Promise.all([
+                AdminRepository.findAllIds(),
+                EmployeeRepository.findActiveIdsWithPermission(permission)
+            ]);
+
+            await this.notifyMany([
+                ...adminIds.map(id => ({ role: 'admin', id })),
+                ...employeeIds.map(id => ({ role: 'employee', id }))
+            ], content);
+        } catch (error) {
+            Logger.error('Failed to notify staff', { type: content.type, permission, error: error.message });
+        }
+    }
+
+    // ========================================
+    // FEED
+    // ========================================
+
+    async getFeed(recipient, query = {}) {
+        const limit = Math.min(parseInt(query.limit) || CONFIG.PAGINATION.DEFAULT_LIMIT, CONFIG.PAGINATION.MAX_LIMIT);
+
+        const result = await NotificationRepository.findFeed(recipient, {
+            cursor: query.cursor || null,
+            limit,
+            unreadOnly: String(query.unread) === 'true'
+        });
+
+        return {
+            notifications: result.notifications.map(notification => this._toEntry(notification)),
+            pagination: result.pagination
+        };
+    }
+
+    async getUnreadCount(recipient) {
+        return { unread: await NotificationRepository.countUnread(recipient) };
+    }
+
+    async markRead(recipient, notificationId) {
+        const notification = await NotificationRepository.markRead(recipient, notificationId);
+        if (!notification) {
+            throw new AppError('Notification not found', HTTP_STATUS.NOT_FOUND, 'NOTIFICATION_NOT_FOUND');
+        }
+        return this._toEntry(notification);
+    }
+
+    async markAllRead(recipient) {
+        return { updated: await NotificationRepository.markAllRead(recipient) };
+    }
+
+    // ========================================
+    // RETENTION
+    // ========================================
+
+    /**
+     * Drop read entries after READ_RETENTION_DAYS and everything after UNREAD_RETENTION_DAYS
+     */
+    async purgeExpired(now = new Date()) {
+        const { READ_RETENTION_DAYS, UNREAD_RETENTION_DAYS } = CONFIG.NOTIFICATIONS;
+
+        const deleted = await NotificationRepository.deleteExpired({
+            readBefore: new Date(now.getTime() - READ_RETENTION_DAYS * DAY_MS),
+            createdBefore: new Date(now.getTime() - UNREAD_RETENTION_DAYS * DAY_MS)
+        });
+
+        Logger.info('Expired notifications purged', { deleted });
+        return { deleted };
+    }
+
+    _toEntry(notification) {
+        return {
+            id: notification._id,
+            type: notification.type,
+            title: notification.title,
+            message: notification.message,
+            link: notification.link,
+            data: notification.data,
+            isRead: !!notification.readAt,
+            readAt: notification.readAt,
+            createdAt: notification.createdAt
+        };
+    }
+}
+
+export default new NotificationService();
@@ -0,0 +1,166 @@
+import OrderRepository from '../repositories/order.repository.js';
+import CouponRedemptionService from './couponRedemption.service.js';
+import { uploadToCloudinary, deleteFromCloudinary } from '../utils/cloudinary.js';
+import AuditLogger from '../utils/audit.js';
+import AppError from '../utils/AppError.js';
+import Logger from '../utils/logger.js';
+import { HTTP_STATUS, CONFIG, ORDER_STATUS, PAYMENT_METHOD, PAYMENT_STATUS, OFFLINE_PAYMENT_STATUS } from '../constants.js';
+
+const PROOF_MIME_TYPES = ['image/', 'application/pdf'];
+
+/**
+ * Offline Payment Service
+ * Bank-transfer style payments (customer uploads proof, admin approves) and
+ * COD cash reconciliation for delivered orders.
+ */
+class OfflinePaymentService {
+    // ========================================
+    // CUSTOMER
+    // ========================================
+
+    async submitProof(customerId, orderId, { reference }, file) {
+        const order = await OrderRepository.findOne({ _id: orderId, customer: customerId });
+        if (!order) {
+            throw new AppError('Order not found', HTTP_STATUS.NOT_FOUND);
+        }
+        if (order.payment?.method !== PAYMENT_METHOD.OFFLINE) {
+            throw new AppError('This order is not paid by offline payment', HTTP_STATUS.BAD_REQUEST);
+        }
+        if (order.status === ORDER_STATUS.CANCELLED) {
+            throw new AppError('Cannot submit payment for a cancelled order', HTTP_STATUS.BAD_REQUEST);
+        }
+        if (order.payment.status !== PAYMENT_STATUS.PENDING || order.payment.offline?.reviewStatus === OFFLINE_PAYMENT_STATUS.APPROVED) {
+            throw new AppError('Payment for this order has already been confirmed', HTTP_STATUS.CONFLICT);
+        }
+        if (order.payment.offline?.requireProof !== false && !file) {
+            throw new AppError('Payment proof is required', HTTP_STATUS.BAD_REQUEST, 'UPLOAD_ERROR');
+        }
+        if (file && !PROOF_MIME_TYPES.some(type => file.mimetype.startsWith(type))) {
+            throw new AppError('Payment proof must be an image or PDF', HTTP_STATUS.BAD_REQUEST, 'FILE_TYPE_ERROR');
+        }
+
+        let proof = order.payment.offline?.proof || null;
+        if (file) {
+            const result = await uploadToCloudinary(file, `payments/offline-proofs/${order._id}`);
+            proof = { url: result.secure_url, publicId: result.public_id };
+        }
+
+        const updated = await OrderRepository.submitOfflinePaymentProof(order._id, customerId, { proof, reference });
+        if (!updated) {
+            if (file) await deleteFromCloudinary(proof.publicId);
+            throw new AppError('Payment for this order has already been confirmed', HTTP_STATUS.CONFLICT);
+        }
+
+        // Replaced proof is no longer needed
+        const previousPublicId = order.payment.offline?.proof?.publicId;
+        if (file && previousPublicId && previousPublicId !== proof.publicId) {
+            await deleteFromCloudinary(previousPublicId);
+        }
+
+        Logger.info('Offline payment proof submitted', { orderNumber: order.orderNumber, customerId });
+        return updated;
+    }
+
+    // ========================================
+    // ADMIN
+    // ========================================
+
+    /**
+     * Approval queue. Offline: proofs by review status (oldest first).
+     * COD: delivered orders whose cash has not been reconciled yet.
+     */
+    async getApprovalQueue(query = {}) {
+        const page = Math.max(parseInt(query.page) || CONFIG.PAGINATION.DEFAULT_PAGE, 1);
+        const limit = Math.min(parseInt(query.limit) || CONFIG.PAGINATION.DEFAULT_LIMIT, CONFIG.PAGINATION.MAX_LIMIT);
+        const method = query.method || PAYMENT_METHOD.OFFLINE;
+
+        const filter = { 'payment.method': method };
+        if (method === PAYMENT_METHOD.COD) {
+            filter['payment.status'] = PAYMENT_STATUS.PENDING;
+            filter.status = ORDER_STATUS.DELIVERED;
+        } else {
+            filter['payment.offline.reviewStatus'] = query.reviewStatus || OFFLINE_PAYMENT_STATUS.SUBMITTED;
+        }
+        if (query.search) {
+            filter.orderNumber = { $regex: query.search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+        }
+
+        return await OrderRepository.findAll(filter, { createdAt: 1 }, page, limit);
+    }
+
+    async approve(orderId, { note } = {}, reviewer) {
+        const order = await this._getReviewableOrder(orderId);
+
+        if (order.payment.method === PAYMENT_METHOD.COD && order.status !== ORDER_STATUS.DELIVERED) {
+            throw new AppError('COD payment can only be confirmed after delivery', HTTP_STATUS.BAD_REQUEST);
+        }
+
+        // The wallet share (if any) was already taken at checkout
+        const amount = Math.round((order.total - (order.payment.walletAmount || 0)) * 100) / 100;
+
+        const updated = await OrderRepository.reviewOfflinePayment(order._id, order.payment.method, {
+            approve: true,
+            amount,
+            reviewer,
+            note
+        });
+        if (!updated) {
+            throw new AppError('Payment is not awaiting review', HTTP_STATUS.CONFLICT);
+        }
+
+        await CouponRedemptionService.confirm(order._id);
+
+        AuditLogger.log('OFFLINE_PAYMENT_APPROVED', 'ORDER', {
+            orderId: order._id,
+            orderNumber: order.orderNumber,
+            method: order.payment.method,
+            amount,
+            reviewedBy: reviewer.id
+        });
+
+        return updated;
+    }
+
+    async reject(orderId, { reason }, reviewer) {
+        const order = await this._getReviewableOrder(orderId);
+
+        if (order.payment.method !== PAYMENT_METHOD.OFFLINE) {
+            throw new AppError('Only offline payment proofs can be rejected', HTTP_STATUS.BAD_REQUEST);
+        }
+
+        // Customer may upload a new proof afterwards
+        const updated = await OrderRepository.reviewOfflinePayment(order._id, order.payment.method, {
+            approve: false,
+            reviewer,
+            note: reason
+        });
+        if (!updated) {
+            throw new AppError('Payment is not awaiting review', HTTP_STATUS.CONFLICT);
+        }
+
+        AuditLogger.log('OFFLINE_PAYMENT_REJECTED', 'ORDER', {
+            orderId: order._id,
+            orderNumber: order.orderNumber,
+            reason,
+            reviewedBy: reviewer.id
+        });
+
+        return updated;
+    }
+
+    async _getReviewableOrder(orderId) {
+        const order = await OrderRepository.findById(orderId);
+        if (!order) {
+            throw new AppError('Order not found', HTTP_STATUS.NOT_FOUND);
+        }
+        if (![PAYMENT_METHOD.OFFLINE, PAYMENT_METHOD.COD].includes(order.payment?.method)) {
+            throw new AppError('Order is not paid by an offline method', HTTP_STATUS.BAD_REQUEST);
+        }
+        if (order.status === ORDER_STATUS.CANCELLED) {
+            throw new AppError('Order has been cancelled', HTTP_STATUS.BAD_REQUEST);
+        }
+        return order;
+    }
+}
+
+export default new OfflinePaymentService();
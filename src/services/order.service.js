@@ -0,0 +1,478 @@
+import OrderRepository from '../repositories/order.repository.js';
+import ProductRepository from '../repositories/product.repository.js';
+import CustomerRepository from '../repositories/customer.repository.js';
+import VendorRepository from '../repositories/vendor.repository.js';
+import ProductService from './product.service.js';
+import CouponRedemptionService from './couponRedemption.service.js';
+import WalletService from './wallet.service.js';
+import SettlementService from './settlement.service.js';
+import RealtimeService from './realtime.service.js';
+import PushService from './push.service.js';
+import NotificationService from './notification.service.js';
+import TransactionManager from '../utils/transaction.js';
+import AuditLogger from '../utils/audit.js';
+import { emailQueue } from '../config/queue.js';
+import AppError from '../utils/AppError.js';
+import Logger from '../utils/logger.js';
+import { HTTP_STATUS, ORDER_STATUS, CONFIG, WALLET_ENTRY_SOURCE, WALLET_REFERENCE_TYPE, PUSH_EVENT, NOTIFICATION_TYPE } from '../constants.js';
+
+/**
+ * Allowed sub-order transitions. Anything not listed here is rejected
+ * unless an admin explicitly forces the change.
+ */
+const ORDER_TRANSITIONS = {
+    [ORDER_STATUS.PENDING]: [ORDER_STATUS.CONFIRMED, ORDER_STATUS.CANCELLED],
+    [ORDER_STATUS.CONFIRMED]: [ORDER_STATUS.PACKED, ORDER_STATUS.CANCELLED],
+    [ORDER_STATUS.PACKED]: [ORDER_STATUS.SHIPPED, ORDER_STATUS.CANCELLED],
+    [ORDER_STATUS.SHIPPED]: [ORDER_STATUS.DELIVERED, ORDER_STATUS.RETURNED],
+    [ORDER_STATUS.DELIVERED]: [ORDER_STATUS.RETURNED],
+    [ORDER_STATUS.RETURNED]: [ORDER_STATUS.REFUNDED],
+    [ORDER_STATUS.CANCELLED]: [ORDER_STATUS.REFUNDED],
+    [ORDER_STATUS.REFUNDED]: []
+};
+
+// Statuses in which the stock is still held by the sub-order (restored on cancel)
+const STOCK_HELD_STATUSES = [ORDER_STATUS.PENDING, ORDER_STATUS.CONFIRMED, ORDER_STATUS.PACKED];
+
+// Customers may cancel until the parcel leaves the warehouse
+const CUSTOMER_CANCELLABLE_STATUSES = STOCK_HELD_STATUSES;
+
+// Vendors move their own sub-orders forward (or cancel before shipment)
+const VENDOR_TARGET_STATUSES = [
+    ORDER_STATUS.CONFIRMED,
+    ORDER_STATUS.PACKED,
+    ORDER_STATUS.SHIPPED,
+    ORDER_STATUS.DELIVERED,
+    ORDER_STATUS.CANCELLED
+];
+
+// Terminal states an admin override cannot reopen (stock/payments already settled)
+const NON_REOPENABLE_STATUSES = [ORDER_STATUS.CANCELLED, ORDER_STATUS.REFUNDED];
+
+// Progress order used to derive the parent order status from its sub-orders
+const STATUS_RANK = [
+    ORDER_STATUS.PENDING,
+    ORDER_STATUS.CONFIRMED,
+    ORDER_STATUS.PACKED,
+    ORDER_STATUS.SHIPPED,
+    ORDER_STATUS.DELIVERED,
+    ORDER_STATUS.RETURNED,
+    ORDER_STATUS.REFUNDED
+];
+
+// Existing template events reused for order status mails
+const CUSTOMER_ORDER_EVENT = 'Order Placed';
+const SUPPLIER_ORDER_EVENT = 'Order Received';
+
+class OrderService {
+    canTransition(from, to) {
+        return (ORDER_TRANSITIONS[from] || []).includes(to);
+    }
+
+    /**
+     * Parent status = least advanced non-cancelled sub-order.
+     * An order whose sub-orders are all cancelled is cancelled.
+     */
+    deriveOrderStatus(subOrders = []) {
+        const active = subOrders.filter(s => s.status !== ORDER_STATUS.CANCELLED);
+        if (active.length === 0) {
+            return ORDER_STATUS.CANCELLED;
+        }
+
+        return active.reduce((lowest, subOrder) => (
+            STATUS_RANK.indexOf(subOrder.status) < STATUS_RANK.indexOf(lowest) ? subOrder.status : lowest
+        ), active[0].status);
+    }
+
+    _parsePagination(query = {}) {
+        const page = Math.max(parseInt(query.page) || CONFIG.PAGINATION.DEFAULT_PAGE, 1);
+        const limit = Math.min(parseInt(query.limit) || CONFIG.PAGINATION.DEFAULT_LIMIT, CONFIG.PAGINATION.MAX_LIMIT);
+        return { page, limit };
+    }
+
+    // ========================================
+    // CUSTOMER
+    // ========================================
+
+    async getCustomerOrders(customerId, query = {}) {
+        const { page, limit } = this._parsePagination(query);
+        const filter = { customer: customerId };
+        if (query.status) filter.status = query.status;
+
+        return await OrderRepository.findAll(filter, { createdAt: -1 }, page, limit);
+    }
+
+    async getCustomerOrderById(customerId, orderId) {
+        const order = await OrderRepository.findByIdWithDetails(orderId, { customer: customerId });
+        if (!order) {
+            throw new AppError('Order not found', HTTP_STATUS.NOT_FOUND);
+        }
+        return order;
+    }
+
+    /**
+     * Cancel a whole order, or a single sub-order, before it ships
+     */
+    async cancelCustomerOrder(customerId, orderId, { subOrderId, reason } = {}) {
+        const order = await OrderRepository.findOne({ _id: orderId, customer: customerId });
+        if (!order) {
+            throw new AppError('Order not found', HTTP_STATUS.NOT_FOUND);
+        }
+
+        const targets = subOrderId
+            ? order.subOrders.filter(s => s._id.toString() === subOrderId.toString())
+            : order.subOrders.filter(s => s.status !== ORDER_STATUS.CANCELLED);
+
+        if (subOrderId && targets.length === 0) {
+            throw new AppError('Sub-order not found', HTTP_STATUS.NOT_FOUND);
+        }
+        if (targets.length === 0) {
+            throw new AppError('Order is already cancelled', HTTP_STATUS.BAD_REQUEST);
+        }
+        if (targets.some(s => !CUSTOMER_CANCELLABLE_STATUSES.includes(s.status))) {
+            throw new AppError('Order can no longer be cancelled because it has already been shipped', HTTP_STATUS.BAD_REQUEST);
+        }
+
+        return await this._applyTransitions(
+            order,
+            targets.map(s => ({ subOrderId: s._id, status: ORDER_STATUS.CANCELLED, reason, note: reason || 'Cancelled by customer' })),
+            { role: 'customer', id: customerId }
+        );
+    }
+
+    // ========================================
+    // VENDOR
+    // ========================================
+
+    async getVendorOrders(vendorId, query = {}) {
+        const { page, limit } = this._parsePagination(query);
+        return await OrderRepository.findVendorSubOrders(vendorId, { status: query.status, search: query.search }, page, limit);
+    }
+
+    /**
+     * Order detail restricted to the vendor's own sub-order(s)
+     */
+    async getVendorOrderById(vendorId, orderId) {
+        const order = await OrderRepository.findByIdWithDetails(orderId, { 'subOrders.vendor': vendorId });
+        if (!order) {
+            throw new AppError('Order not found', HTTP_STATUS.NOT_FOUND);
+        }
+
+        const subOrders = order.subOrders.filter(s => s.vendor && s.vendor._id.toString() === vendorId.toString());
+
+        return {
+            _id: order._id,
+            orderNumber: order.orderNumber,
+            customer: order.customer,
+            shippingAddress: order.shippingAddress,
+            payment: order.payment,
+            createdAt: order.createdAt,
+            subOrders
+        };
+    }
+
+    async updateVendorSubOrderStatus(vendorId, orderId, subOrderId, payload) {
+        if (!VENDOR_TARGET_STATUSES.includes(payload.status)) {
+            throw new AppError(`Vendors cannot set an order to ${payload.status}`, HTTP_STATUS.FORBIDDEN);
+        }
+
+        const order = await OrderRepository.findOne({ _id: orderId });
+        const subOrder = order?.subOrders.find(s => s._id.toString() === subOrderId.toString());
+
+        if (!subOrder || !subOrder.vendor || subOrder.vendor.toString() !== vendorId.toString()) {
+            throw new AppError('Order not found', HTTP_STATUS.NOT_FOUND);
+        }
+
+        return await this._applyTransitions(
+            order,
+            [{ subOrderId, ...payload }],
+            { role: 'vendor', id: vendorId }
+        );
+    }
+
+    // ========================================
+    // ADMIN
+    // ========================================
+
+    async getAllOrders(query = {}) {
+        const { page, limit } = this._parsePagination(query);
+        const filter = {};
+
+        if (query.status) filter.status = query.status;
+        if (query.paymentStatus) filter['payment.status'] = query.paymentStatus;
+        if (query.paymentMethod) filter['payment.method'] = query.paymentMethod;
+        if (query.customer) filter.customer = query.customer;
+        if (query.vendor) filter['subOrders.vendor'] = query.vendor;
+        if (query.search) filter.orderNumber = { $regex: query.search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+        if (query.startDate || query.endDate) {
+            filter.createdAt = {};
+            if (query.startDate) filter.createdAt.$gte = new Date(query.startDate);
+            if (query.endDate) filter.createdAt.$lte = new Date(query.endDate);
+        }
+
+        return await OrderRepository.findAll(filter, { createdAt: -1 }, page, limit);
+    }
+
+    async getOrderById(orderId) {
+        const order = await OrderRepository.findByIdWithDetails(orderId);
+        if (!order) {
+            throw new AppError('Order not found', HTTP_STATUS.NOT_FOUND);
+        }
+        return order;
+    }
+
+    /**
+     * Admin status change. `force` skips the state machine (override),
+     * but cancelled/refunded sub-orders can never be reopened.
+     */
+    async adminUpdateSubOrderStatus(orderId, subOrderId, payload, actor) {
+        const order = await OrderRepository.findOne({ _id: orderId });
+        if (!order) {
+            throw new AppError('Order not found', HTTP_STATUS.NOT_FOUND);
+        }
+
+        const updated = await this._applyTransitions(order, [{ subOrderId, ...payload }], actor);
+
+        AuditLogger.log('ORDER_STATUS_OVERRIDE', 'ORDER', {
+            orderId,
+            subOrderId,
+            status: payload.status,
+            force: !!payload.force
+        });
+
+        return updated;
+    }
+
+    // ========================================
+    // CORE
+    // ========================================
+
+    /**
+     * Validate and persist one or more sub-order transitions in a single transaction.
+     * Each sub-order update is a compare-and-set on its current status, so two
+     * concurrent requests can never both cancel (and double-restock) a sub-order.
+     */
+    async _applyTransitions(order, transitions, actor) {
+        const now = new Date();
+        const changedBy = { role: actor.role, id: actor.id || null };
+
+        const planned = transitions.map(({ subOrderId, status, note, reason, tracking, force }) => {
+            const subOrder = order.subOrders.find(s => s._id.toString() === subOrderId.toString());
+            if (!subOrder) {
+                throw new AppError('Sub-order not found', HTTP_STATUS.NOT_FOUND);
+            }
+
+            const from = subOrder.status;
+            if (from === status) {
+                throw new AppError(`Order is already ${status}`, HTTP_STATUS.BAD_REQUEST);
+            }
+
+            if (force) {
+                if (NON_REOPENABLE_STATUSES.includes(from)) {
+                    throw new AppError(`A ${from} order cannot be reopened`, HTTP_STATUS.BAD_REQUEST);
+                }
+            } else if (!this.canTransition(from, status)) {
+                throw new AppError(`Cannot change order status from ${from} to ${status}`, HTTP_STATUS.BAD_REQUEST, 'INVALID_STATUS_TRANSITION');
+            }
+
+            const extra = { [`${status}At`]: now };
+            if (status === ORDER_STATUS.SHIPPED && tracking) extra.tracking = tracking;
+            if (status === ORDER_STATUS.CANCELLED) extra.cancellationReason = reason || note;
+
+            return {
+                subOrder,
+                from,
+                status,
+                extra,
+                history: { status, note, changedBy, changedAt: now },
+                restock: status === ORDER_STATUS.CANCELLED && STOCK_HELD_STATUSES.includes(from)
+            };
+        });
+
+        const updated = await TransactionManager.execute(async (session) => {
+            let current = null;
+
+            for (const step of planned) {
+                current = await OrderRepository.updateSubOrderStatus(
+                    order._id, step.subOrder._id, step.from, step.status, step.history, step.extra, session
+                );
+
+                if (!current) {
+                    throw new AppError('Order was updated by someone else. Please refresh and try again.', HTTP_STATUS.CONFLICT);
+                }
+
+                if (step.restock) {
+                    for (const item of step.subOrder.items) {
+                        await ProductRepository.incrementStock(item.product, item.quantity, item.variation || null, session);
+                    }
+                }
+
+                // Vendor earning starts its return-window hold on delivery
+                if (step.status === ORDER_STATUS.DELIVERED) {
+                    await SettlementService.recordEarning(current, step.subOrder._id, session);
+                }
+
+                // Cancelled sub-order - its share of the wallet payment goes back
+                if (step.status === ORDER_STATUS.CANCELLED) {
+                    const share = this._walletShare(order, step.subOrder);
+                    if (share > 0) {
+                        await WalletService.credit(order.customer, {
+                            amount: share,
+                            source: WALLET_ENTRY_SOURCE.ORDER_CANCELLATION,
+                            reason: `Order ${step.subOrder.subOrderNumber} cancelled`,
+                            reference: { type: WALLET_REFERENCE_TYPE.ORDER, id: order._id, number: order.orderNumber },
+                            createdBy: changedBy,
+                            idempotencyKey: `order:${order._id}:cancellation:${step.subOrder._id}`
+                        }, session);
+                    }
+                }
+            }
+
+            const derived = this.deriveOrderStatus(current.subOrders);
+            if (derived !== current.status) {
+                current = await OrderRepository.updateOrderStatus(
+                    order._id, derived, { status: derived, changedBy, changedAt: now }, session
+                );
+
+                // Whole order cancelled - the customer gets the coupon use back
+                if (derived === ORDER_STATUS.CANCELLED && current.coupon?.code) {
+                    await CouponRedemptionService.release(order._id, session);
+                }
+
+                // ...and whatever the per-sub-order wallet shares left over (rounding)
+                const walletRemainder = derived === ORDER_STATUS.CANCELLED && current.payment?.walletAmount > 0
+                    ? Math.round((current.payment.walletAmount
+                        - order.subOrders.reduce((sum, subOrder) => sum + this._walletShare(order, subOrder), 0)) * 100) / 100
+                    : 0;
+                if (walletRemainder > 0) {
+                    await WalletService.credit(current.customer, {
+                        amount: walletRemainder,
+                        source: WALLET_ENTRY_SOURCE.ORDER_CANCELLATION,
+                        reason: `Order ${current.orderNumber} cancelled`,
+                        reference: { type: WALLET_REFERENCE_TYPE.ORDER, id: order._id, number: current.orderNumber },
+                        createdBy: changedBy,
+                        idempotencyKey: `order:${order._id}:cancellation`
+                    }, session);
+                }
+            }
+
+            return current;
+        });
+
+        Logger.info('Order status updated', {
+            orderNumber: updated.orderNumber,
+            changes: planned.map(p => ({ subOrderId: p.subOrder._id, from: p.from, to: p.status })),
+            by: changedBy.role
+        });
+
+        if (planned.some(p => p.restock)) {
+            await ProductService.invalidateCache();
+        }
+
+        await this._queueStatusEmails(updated, planned, actor);
+        await this._notifyStatusChange(updated, planned, actor);
+
+        return updated;
+    }
+
+    /**
+     * Wallet money returned with a cancelled sub-order: its share of the order,
+     * rounded down to the paisa so the shares never exceed what was paid from
+     * the wallet (the rest is returned when the whole order is cancelled)
+     */
+    _walletShare(order, subOrder) {
+        const walletAmount = order.payment?.walletAmount || 0;
+        const ordersTotal = order.subOrders.reduce((sum, entry) => sum + (entry.total || 0), 0);
+        if (walletAmount <= 0 || ordersTotal <= 0) return 0;
+
+        return Math.floor((walletAmount * (subOrder.total || 0) / ordersTotal) * 100 + 1e-6) / 100;
+    }
+
+    /**
+     * Live update, push and feed entry per change: always for the customer,
+     * for the vendor only when someone else made the change
+     */
+    async _notifyStatusChange(order, planned, actor) {
+        RealtimeService.orderStatusChanged(order, planned, actor);
+
+        for (const step of planned) {
+            const { subOrder, status } = step;
+            const data = { orderId: order._id, subOrderId: subOrder._id, subOrderNumber: subOrder.subOrderNumber, status };
+
+            await PushService.notifyUser('customer', order.customer, PUSH_EVENT.ORDER_STATUS_CHANGED, data);
+            await NotificationService.notify({ role: 'customer', id: order.customer }, {
+                type: NOTIFICATION_TYPE.ORDER_STATUS,
+                title: `Order ${subOrder.subOrderNumber} is ${status}`,
+                message: step.history.note,
+                link: `/orders/${order._id}`,
+                data
+            });
+
+            if (subOrder.vendor && actor.role !== 'vendor') {
+                await NotificationService.notify({ role: 'vendor', id: subOrder.vendor }, {
+                    type: NOTIFICATION_TYPE.ORDER_STATUS,
+                    title: `Order ${subOrder.subOrderNumber} was marked ${status}`,
+                    message: step.history.note,
+                    link: `/vendor/orders/${order._id}`,
+                    data
+                });
+            }
+        }
+    }
+
+    /**
+     * Customer is told about every change; the vendor is told when someone else
+     * (customer or admin) changed their sub-order.
+     */
+    async _queueStatusEmails(order, planned, actor) {
+        try {
+            const customer = await CustomerRepository.findById(order.customer, 'name email', true);
+            if (customer?.email) {
+                for (const step of planned) {
+                    await emailQueue.add('send-custom', {
+                        type: 'send-custom',
+                        to: customer.email,
+                        template: CUSTOMER_ORDER_EVENT,
+                        data: {
+                            username: customer.name,
+                            orderNumber: step.subOrder.subOrderNumber,
+                            status: step.status,
+                            note: step.history.note
+                        },
+                        role: 'customer'
+                    });
+                }
+            }
+        } catch (error) {
+            Logger.error('Failed to queue order status email', { orderNumber: order.orderNumber, error: error.message });
+        }
+
+        if (actor.role === 'vendor') return;
+
+        for (const step of planned) {
+            if (!step.subOrder.vendor) continue;
+
+            try {
+                const vendor = await VendorRepository.findById(step.subOrder.vendor, 'email firstName lastName businessName', true);
+                if (!vendor?.email) continue;
+
+                await emailQueue.add('send-custom', {
+                    type: 'send-custom',
+                    to: vendor.email,
+                    template: SUPPLIER_ORDER_EVENT,
+                    data: {
+                        username: vendor.businessName || `${vendor.firstName} ${vendor.lastName}`,
+                        orderNumber: step.subOrder.subOrderNumber,
+                        status: step.status,
+                        note: step.history.note
+                    },
+                    role: 'supplier'
+                });
+            } catch (error) {
+                Logger.error('Failed to queue vendor order status email', { subOrderNumber: step.subOrder.subOrderNumber, error: error.message });
+            }
+        }
+    }
+}
+
+export default new OrderService();
@@ -0,0 +1,323 @@
+import OrderRepository from '../repositories/order.repository.js';
+import CustomerRepository from '../repositories/customer.repository.js';
+import PaymentGatewayService from './paymentGateway.service.js';
+import CouponRedemptionService from './couponRedemption.service.js';
+import { createPaymentProvider, hasPaymentProvider } from '../providers/payment.registry.js';
+import AuditLogger from '../utils/audit.js';
+import AppError from '../utils/AppError.js';
+import Logger from '../utils/logger.js';
+import { HTTP_STATUS, ORDER_STATUS, PAYMENT_STATUS, PAYMENT_METHOD } from '../constants.js';
+
+// Compare money in minor units to avoid float drift
+const sameAmount = (a, b) => Math.round(Number(a) * 100) === Math.round(Number(b) * 100);
+
+// What the gateway has to collect (the wallet share was taken at checkout)
+const amountDue = (order) => Math.round((order.total - (order.payment?.walletAmount || 0)) * 100) / 100;
+
+// A payment may land on any gateway order issued for the order, not only the
+// latest one (orders from before the history only carry the current id)
+const gatewayOrderFilter = (gateway, gatewayOrderId) => ({
+    $or: [
+        { 'payment.gateway': gateway, 'payment.gatewayOrderId': gatewayOrderId },
+        { 'payment.gatewayOrders': { $elemMatch: { gateway, gatewayOrderId } } }
+    ]
+});
+
+class PaymentService {
+    /**
+     * Gateways offered at checkout (same source as the storefront list)
+     */
+    async getAvailableGateways() {
+        return await PaymentGatewayService.getPublicGateways();
+    }
+
+    /**
+     * Build the adapter for a gateway. New payments require the gateway to be
+     * publicly active; callbacks/refunds on existing payments only need credentials.
+     */
+    async _getProvider(name, { requireActive = true } = {}) {
+        if (requireActive) {
+            const active = await this.getAvailableGateways();
+            if (!active.some(g => g.name === name)) {
+                throw new AppError('Selected payment gateway is not available', HTTP_STATUS.BAD_REQUEST);
+            }
+        }
+
+        if (!hasPaymentProvider(name)) {
+            throw new AppError(`Payment gateway ${name} is not supported`, HTTP_STATUS.BAD_REQUEST);
+        }
+
+        const { config } = await PaymentGatewayService.getGatewayCredentials(name);
+        return createPaymentProvider(name, config);
+    }
+
+    async _getPayableOrder(customerId, orderId) {
+        const order = await OrderRepository.findOne({ _id: orderId, customer: customerId });
+        if (!order) {
+            throw new AppError('Order not found', HTTP_STATUS.NOT_FOUND);
+        }
+        if (order.payment?.method && order.payment.method !== PAYMENT_METHOD.ONLINE) {
+            throw new AppError('This order is not paid online', HTTP_STATUS.BAD_REQUEST);
+        }
+        if (order.payment?.status === PAYMENT_STATUS.PAID) {
+            throw new AppError('Order is already paid', HTTP_STATUS.CONFLICT);
+        }
+        if ([ORDER_STATUS.CANCELLED, ORDER_STATUS.REFUNDED].includes(order.status)) {
+            throw new AppError(`Cannot pay for a ${order.status} order`, HTTP_STATUS.BAD_REQUEST);
+        }
+        return order;
+    }
+
+    /**
+     * Start a payment on the chosen gateway (defaults to the first active one).
+     * Returns whatever the client needs to complete it (keys, redirect form, approve URL...).
+     */
+    async createPayment(customerId, orderId, gateway = null) {
+        const order = await this._getPayableOrder(customerId, orderId);
+
+        let gatewayName = gateway;
+        if (!gatewayName) {
+            const [first] = await this.getAvailableGateways();
+            if (!first) {
+                throw new AppError('Online payment is currently unavailable', HTTP_STATUS.BAD_REQUEST);
+            }
+            gatewayName = first.name;
+        }
+
+        const provider = await this._getProvider(gatewayName);
+        const customer = await CustomerRepository.findById(customerId, 'name email phoneNumber', true);
+
+        let payment;
+        try {
+            payment = await provider.createPayment({
+                amount: amountDue(order),
+                currency: order.currency || 'INR',
+                receipt: order.orderNumber,
+                orderId: order._id,
+                customer: customer || {}
+            });
+        } catch (error) {
+            Logger.error('Payment creation failed', { gateway: gatewayName, orderNumber: order.orderNumber, error: error.detail || error.message });
+            if (error instanceof AppError && error.statusCode !== HTTP_STATUS.BAD_GATEWAY) throw error;
+            throw new AppError('Unable to initiate payment. Please try again.', HTTP_STATUS.BAD_GATEWAY);
+        }
+
+        const updated = await OrderRepository.setPaymentGatewayOrder(order._id, gatewayName, payment.gatewayOrderId);
+        if (!updated) {
+            throw new AppError('Order is already paid', HTTP_STATUS.CONFLICT);
+        }
+
+        Logger.info('Payment created', { gateway: gatewayName, orderNumber: order.orderNumber, gatewayOrderId: payment.gatewayOrderId });
+
+        return {
+            gateway: gatewayName,
+            orderId: order._id,
+            orderNumber: order.orderNumber,
+            gatewayOrderId: payment.gatewayOrderId,
+            ...payment.clientPayload
+        };
+    }
+
+    /**
+     * Client-side completion (signature check or server-side status lookup per gateway)
+     */
+    async verifyPayment(customerId, gateway, payload) {
+        const order = await OrderRepository.findOne({ _id: payload.orderId, customer: customerId });
+        if (!order) {
+            throw new AppError('Order not found', HTTP_STATUS.NOT_FOUND);
+        }
+        if (order.payment?.gateway !== gateway || !order.payment?.gatewayOrderId) {
+            throw new AppError('Payment does not belong to this order', HTTP_STATUS.BAD_REQUEST);
+        }
+        if (order.payment.status === PAYMENT_STATUS.PAID) {
+            return order; // Webhook got there first
+        }
+
+        const provider = await this._getProvider(gateway, { requireActive: false });
+        const result = await provider.verifyClientPayment(payload, order);
+
+        if (!result.valid) {
+            AuditLogger.security('PAYMENT_SIGNATURE_MISMATCH', { gateway, orderId: order._id });
+            throw new AppError('Payment verification failed', HTTP_STATUS.BAD_REQUEST, 'INVALID_SIGNATURE');
+        }
+
+        const applied = await this._applyResult(gateway, order, result);
+        if (result.status === PAYMENT_STATUS.FAILED) {
+            throw new AppError('Payment failed. Please try again.', HTTP_STATUS.BAD_REQUEST, 'PAYMENT_FAILED');
+        }
+
+        return applied || await OrderRepository.findById(order._id);
+    }
+
+    /**
+     * Gateway webhook / redirect callback. Replays are no-ops.
+     */
+    async handleWebhook(gateway, { rawBody, headers = {}, body }) {
+        const provider = await this._getProvider(gateway, { requireActive: false });
+
+        if (!(await provider.verifyWebhook({ rawBody, headers, body }))) {
+            AuditLogger.security('WEBHOOK_SIGNATURE_MISMATCH', { gateway });
+            throw new AppError('Invalid webhook signature', HTTP_STATUS.BAD_REQUEST, 'INVALID_SIGNATURE');
+        }
+
+        let event;
+        try {
+            event = await provider.parseWebhook({ rawBody, headers, body });
+        } catch {
+            throw new AppError('Malformed webhook payload', HTTP_STATUS.BAD_REQUEST);
+        }
+
+        if (!event.gatewayOrderId || !['paid', 'failed'].includes(event.type)) {
+            // Refunds are initiated (and recorded) through refundPayment
+            Logger.info('Payment webhook ignored', { gateway, type: event.type, event: event.event, eventId: event.eventId });
+            return { handled: false };
+        }
+
+        let updated;
+
+        if (event.type === 'paid') {
+            const filter = gatewayOrderFilter(gateway, event.gatewayOrderId);
+            const order = await OrderRepository.findOne(filter);
+            if (!order) {
+                Logger.warn('Payment webhook for unknown order', { gateway, gatewayOrderId: event.gatewayOrderId, eventId: event.eventId });
+                return { handled: false };
+            }
+            // Acknowledge (no retry) but never mark paid on a short/over payment
+            if (!sameAmount(event.amount, amountDue(order))) {
+                Logger.error('Payment amount mismatch', { gateway, orderNumber: order.orderNumber, expected: amountDue(order), received: event.amount });
+                return { handled: false };
+            }
+            updated = await OrderRepository.markPaymentPaid(filter, {
+                gateway,
+                gatewayOrderId: event.gatewayOrderId,
+                gatewayPaymentId: event.gatewayPaymentId,
+                amount: event.amount
+            }, event.eventId);
+            if (updated) await CouponRedemptionService.confirm(updated._id);
+        } else {
+            // A failure on a superseded gateway order says nothing about the current attempt
+            const filter = { 'payment.gateway': gateway, 'payment.gatewayOrderId': event.gatewayOrderId };
+            updated = await OrderRepository.markPaymentFailed(filter, { gatewayPaymentId: event.gatewayPaymentId, reason: event.reason }, event.eventId);
+        }
+
+        Logger.info('Payment webhook processed', { gateway, type: event.type, gatewayOrderId: event.gatewayOrderId, applied: !!updated, eventId: event.eventId });
+        return { handled: true, applied: !!updated };
+    }
+
+    /**
+     * Re-read the payment from the gateway (missed webhooks, customer "check status")
+     */
+    async syncPaymentStatus(orderId, customerId = null) {
+        const filter = customerId ? { _id: orderId, customer: customerId } : { _id: orderId };
+        const order = await OrderRepository.findOne(filter);
+        if (!order) {
+            throw new AppError('Order not found', HTTP_STATUS.NOT_FOUND);
+        }
+        if (!order.payment?.gateway || !order.payment?.gatewayOrderId || order.payment.status !== PAYMENT_STATUS.PENDING) {
+            return order;
+        }
+
+        const provider = await this._getProvider(order.payment.gateway, { requireActive: false });
+        const result = await provider.fetchPaymentStatus({
+            gatewayOrderId: order.payment.gatewayOrderId,
+            gatewayPaymentId: order.payment.gatewayPaymentId
+        });
+
+        return (await this._applyResult(order.payment.gateway, order, result)) || order;
+    }
+
+    /**
+     * Admin: capture an authorised payment
+     */
+    async capturePayment(orderId) {
+        const order = await OrderRepository.findById(orderId);
+        if (!order || !order.payment?.gateway) {
+            throw new AppError('Order has no online payment', HTTP_STATUS.NOT_FOUND);
+        }
+
+        const provider = await this._getProvider(order.payment.gateway, { requireActive: false });
+        const result = await provider.capturePayment({
+            gatewayOrderId: order.payment.gatewayOrderId,
+            gatewayPaymentId: order.payment.gatewayPaymentId,
+            amount: amountDue(order),
+            currency: order.currency || 'INR'
+        });
+
+        AuditLogger.log('PAYMENT_CAPTURED', 'ORDER', { orderId, gateway: order.payment.gateway, status: result.status });
+
+        return (await this._applyResult(order.payment.gateway, order, result)) || await OrderRepository.findById(orderId);
+    }
+
+    /**
+     * Refund (full or partial) a paid order through its gateway
+     */
+    async refundPayment(orderId, { amount, reason } = {}) {
+        const order = await OrderRepository.findById(orderId);
+        if (!order || !order.payment?.gateway) {
+            throw new AppError('Order has no online payment', HTTP_STATUS.NOT_FOUND);
+        }
+        if (order.payment.status !== PAYMENT_STATUS.PAID) {
+            throw new AppError('Only paid orders can be refunded', HTTP_STATUS.BAD_REQUEST);
+        }
+
+        const captured = order.payment.amount || amountDue(order);
+        const refundable = Math.round((captured - (order.payment.refundedAmount || 0)) * 100) / 100;
+        const refundAmount = amount ?? refundable;
+
+        if (refundAmount <= 0 || refundAmount > refundable) {
+            throw new AppError(`Refund amount must be between 0 and ${refundable}`, HTTP_STATUS.BAD_REQUEST);
+        }
+
+        const provider = await this._getProvider(order.payment.gateway, { requireActive: false });
+        const refund = await provider.refundPayment({
+            gatewayOrderId: order.payment.gatewayOrderId,
+            gatewayPaymentId: order.payment.gatewayPaymentId,
+            amount: refundAmount,
+            currency: order.currency || 'INR',
+            reason
+        });
+
+        const isFullyRefunded = sameAmount(refundAmount, refundable);
+        const updated = await OrderRepository.recordPaymentRefund(order._id, {
+            refundId: refund.refundId,
+            amount: refundAmount,
+            reason,
+            status: refund.status
+        }, isFullyRefunded);
+
+        AuditLogger.log('PAYMENT_REFUNDED', 'ORDER', { orderId, gateway: order.payment.gateway, amount: refundAmount, refundId: refund.refundId });
+
+        return updated || await OrderRepository.findById(orderId);
+    }
+
+    /**
+     * Persist a normalised gateway result. Paid is only applied when the amount
+     * matches the amount due; failed never overrides paid (see repository).
+     * Results that name their gateway order may refer to an earlier one.
+     */
+    async _applyResult(gateway, order, result) {
+        const gatewayOrderId = result.gatewayOrderId || order.payment.gatewayOrderId;
+
+        if (result.status === PAYMENT_STATUS.PAID) {
+            if (!sameAmount(result.amount, amountDue(order))) {
+                Logger.error('Payment amount mismatch', { gateway, orderNumber: order.orderNumber, expected: amountDue(order), received: result.amount });
+                throw new AppError('Payment amount does not match the order total', HTTP_STATUS.BAD_REQUEST, 'PAYMENT_AMOUNT_MISMATCH');
+            }
+            const paid = await OrderRepository.markPaymentPaid(
+                { _id: order._id, ...gatewayOrderFilter(gateway, gatewayOrderId) },
+                { gateway, gatewayOrderId, gatewayPaymentId: result.gatewayPaymentId, amount: result.amount }
+            );
+            if (paid) await CouponRedemptionService.confirm(paid._id);
+            return paid;
+        }
+
+        if (result.status === PAYMENT_STATUS.FAILED) {
+            const filter = { _id: order._id, 'payment.gateway': gateway, 'payment.gatewayOrderId': gatewayOrderId };
+            return await OrderRepository.markPaymentFailed(filter, { gatewayPaymentId: result.gatewayPaymentId, reason: result.reason });
+        }
+
+        return null;
+    }
+}
+
+export default new PaymentService();
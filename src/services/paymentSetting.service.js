@@ -1,4 +1,6 @@
 import PaymentSettingRepository from '../repositories/paymentSetting.repository.js';
+import AppError from '../utils/AppError.js';
+import { HTTP_STATUS, PAYMENT_METHOD } from '../constants.js';
 
 class PaymentSettingService {
   async getSettings() {
@@ -13,6 +15,79 @@ class PaymentSettingService {
     };
     return await PaymentSettingRepository.updateSettings(updateData);
   }
+
+  /**
+   * Payment methods the customer can choose for these cart lines.
+   * Unavailable methods are still listed with the reason (for disabled radio buttons).
+   */
+  async getAvailablePaymentMethods(items, total) {
+    const settings = await this.getSettings();
+    return this.evaluatePaymentMethods(settings, items, total);
+  }
+
+  evaluatePaymentMethods(settings, items, total) {
+    const hasDigital = (items || []).some(item => item.product?.productType === 'digital');
+
+    let codReason = null;
+    if (!settings.isCodActive) {
+      codReason = 'Cash on delivery is currently unavailable';
+    } else if (hasDigital && !settings.isCodAllowedForDigital) {
+      codReason = 'Cash on delivery is not available for digital products';
+    } else if (settings.codMaxOrderValue > 0 && total > settings.codMaxOrderValue) {
+      codReason = `Cash on delivery is available for orders up to ${settings.codMaxOrderValue}`;
+    }
+
+    const offlineMethods = settings.isOfflinePaymentActive
+      ? (settings.offlineMethods || []).filter(method => method.isActive)
+      : [];
+
+    return [
+      {
+        method: PAYMENT_METHOD.ONLINE,
+        available: !!settings.isDigitalPaymentActive,
+        reason: settings.isDigitalPaymentActive ? null : 'Online payment is currently unavailable'
+      },
+      {
+        method: PAYMENT_METHOD.COD,
+        available: !codReason,
+        reason: codReason
+      },
+      {
+        method: PAYMENT_METHOD.OFFLINE,
+        available: offlineMethods.length > 0,
+        reason: offlineMethods.length > 0 ? null : 'Offline payment is currently unavailable',
+        methods: offlineMethods.map(method => ({
+          _id: method._id,
+          name: method.name,
+          instructions: method.instructions,
+          details: method.details,
+          requireProof: method.requireProof
+        }))
+      }
+    ];
+  }
+
+  /**
+   * Enforce the settings at checkout. Returns the offline method for `offline`.
+   */
+  async assertPaymentMethodAllowed(paymentMethod, { items, total, offlineMethodId }) {
+    const options = await this.getAvailablePaymentMethods(items, total);
+    const option = options.find(o => o.method === paymentMethod);
+
+    if (!option || !option.available) {
+      throw new AppError(option?.reason || 'Selected payment method is not available', HTTP_STATUS.BAD_REQUEST, 'PAYMENT_METHOD_UNAVAILABLE');
+    }
+
+    if (paymentMethod !== PAYMENT_METHOD.OFFLINE) {
+      return null;
+    }
+
+    const offlineMethod = option.methods.find(m => m._id.toString() === String(offlineMethodId));
+    if (!offlineMethod) {
+      throw new AppError('Selected offline payment method is not available', HTTP_STATUS.BAD_REQUEST, 'PAYMENT_METHOD_UNAVAILABLE');
+    }
+    return offlineMethod;
+  }
 }
 
 export default new PaymentSettingService();
@@ -0,0 +1,275 @@
+import crypto from 'crypto';
+import PayoutRunRepository from '../repositories/payoutRun.repository.js';
+import SettlementEntryRepository from '../repositories/settlementEntry.repository.js';
+import ReturnRequestRepository from '../repositories/returnRequest.repository.js';
+import VendorRepository from '../repositories/vendor.repository.js';
+import SettlementService from './settlement.service.js';
+import TransactionManager from '../utils/transaction.js';
+import AuditLogger from '../utils/audit.js';
+import AppError from '../utils/AppError.js';
+import Logger from '../utils/logger.js';
+import { HTTP_STATUS, CONFIG, SETTLEMENT_ENTRY_TYPE, PAYOUT_RUN_STATUS, PAYOUT_STATUS } from '../constants.js';
+
+const round = (value) => parseFloat(Number(value || 0).toFixed(2));
+
+const maskAccountNumber = (value) => (value ? `XXXX${String(value).slice(-4)}` : null);
+
+/**
+ * Payout Service
+ * Batches payable settlement entries into payout runs:
+ * draft -> approved (exported to the bank) -> completed once every vendor
+ * transfer is marked paid or failed. Failed transfers and cancelled runs hand
+ * their entries back for the next run.
+ */
+class PayoutService {
+    /**
+     * Draft a run from every entry released up to `cutoff`. Earnings of
+     * sub-orders with a return still in progress stay held; vendors whose net
+     * balance is below the minimum, or who have no bank details, are skipped.
+     */
+    async createRun({ cutoff, vendors, note } = {}, actor) {
+        const cutoffDate = cutoff ? new Date(cutoff) : new Date();
+        if (cutoffDate > new Date()) {
+            throw new AppError('Cutoff cannot be in the future', HTTP_STATUS.BAD_REQUEST);
+        }
+
+        const settings = await SettlementService.getSettings();
+        const candidates = await SettlementEntryRepository.findPayable(cutoffDate, vendors?.length ? vendors : null);
+
+        const earningSubOrders = candidates
+            .filter(entry => entry.type === SETTLEMENT_ENTRY_TYPE.EARNING)
+            .map(entry => entry.subOrder);
+        const disputed = new Set(earningSubOrders.length
+            ? await ReturnRequestRepository.findOpenSubOrders(earningSubOrders)
+            : []);
+
+        const byVendor = new Map();
+        for (const entry of candidates) {
+            if (entry.type === SETTLEMENT_ENTRY_TYPE.EARNING && disputed.has(entry.subOrder.toString())) continue;
+
+            const key = entry.vendor.toString();
+            if (!byVendor.has(key)) byVendor.set(key, { amount: 0, ids: [] });
+            const group = byVendor.get(key);
+            group.amount = round(group.amount + entry.amount);
+            group.ids.push(entry._id);
+        }
+
+        const payouts = [];
+        const entryIds = [];
+        const skipped = [];
+
+        for (const [vendorId, group] of byVendor) {
+            if (group.amount <= 0 || group.amount < settings.minimumPayoutAmount) {
+                skipped.push({ vendor: vendorId, amount: group.amount, reason: 'Below the minimum payout amount' });
+                continue;
+            }
+
+            const vendor = await VendorRepository.findById(vendorId, 'businessName bankDetails', true);
+            const bank = vendor?.bankDetails;
+            if (!bank?.accountNumber || !bank?.ifscCode) {
+                skipped.push({ vendor: vendorId, amount: group.amount, reason: 'Bank details missing' });
+                continue;
+            }
+
+            payouts.push({
+                vendor: vendorId,
+                businessName: vendor.businessName,
+                bankDetails: {
+                    bankName: bank.bankName,
+                    accountHolderName: bank.accountHolderName,
+                    accountNumber: bank.accountNumber,
+                    ifscCode: bank.ifscCode
+                },
+                amount: group.amount,
+                entryCount: group.ids.length
+            });
+            entryIds.push(...group.ids);
+        }
+
+        if (payouts.length === 0) {
+            throw new AppError('No vendor has a payable balance for this cutoff', HTTP_STATUS.BAD_REQUEST, 'NOTHING_TO_PAY');
+        }
+
+        const run = await TransactionManager.execute(async (session) => {
+            const created = await PayoutRunRepository.create({
+                runNumber: this.generateRunNumber(),
+                cutoff: cutoffDate,
+                payouts,
+                totalAmount: round(payouts.reduce((total, payout) => total + payout.amount, 0)),
+                note,
+                createdBy: actor
+            }, session);
+
+            const claimed = await SettlementEntryRepository.claim(entryIds, created._id, session);
+            if (claimed !== entryIds.length) {
+                throw new AppError('Another payout run claimed some of these entries. Please try again.', HTTP_STATUS.CONFLICT);
+            }
+
+            return created;
+        });
+
+        AuditLogger.log('PAYOUT_RUN_CREATED', 'PAYOUT', {
+            runNumber: run.runNumber,
+            vendors: payouts.length,
+            totalAmount: run.totalAmount,
+            by: actor.role,
+            actorId: actor.id
+        });
+
+        return { run, skipped };
+    }
+
+    async getRuns(query = {}) {
+        const page = Math.max(parseInt(query.page) || CONFIG.PAGINATION.DEFAULT_PAGE, 1);
+        const limit = Math.min(parseInt(query.limit) || CONFIG.PAGINATION.DEFAULT_LIMIT, CONFIG.PAGINATION.MAX_LIMIT);
+
+        const filter = {};
+        if (query.status) filter.status = query.status;
+
+        return await PayoutRunRepository.findAll(filter, { createdAt: -1 }, page, limit);
+    }
+
+    async getRun(id) {
+        const run = await PayoutRunRepository.findById(id);
+        if (!run) {
+            throw new AppError('Payout run not found', HTTP_STATUS.NOT_FOUND);
+        }
+        return run;
+    }
+
+    async approveRun(id, actor) {
+        const run = await this.getRun(id);
+
+        const approved = await PayoutRunRepository.transition(run._id, [PAYOUT_RUN_STATUS.DRAFT], {
+            status: PAYOUT_RUN_STATUS.APPROVED,
+            approvedBy: actor,
+            approvedAt: new Date()
+        });
+        if (!approved) {
+            throw new AppError(`A ${run.status} payout run cannot be approved`, HTTP_STATUS.BAD_REQUEST, 'INVALID_STATUS_TRANSITION');
+        }
+
+        AuditLogger.log('PAYOUT_RUN_APPROVED', 'PAYOUT', { runNumber: run.runNumber, totalAmount: run.totalAmount, by: actor.role, actorId: actor.id });
+        return approved;
+    }
+
+    /**
+     * Drop a run before any transfer was settled; its entries go back to the pool
+     */
+    async cancelRun(id, actor) {
+        const run = await this.getRun(id);
+
+        if (run.payouts.some(payout => payout.status !== PAYOUT_STATUS.PENDING)) {
+            throw new AppError('Payout run already has settled transfers', HTTP_STATUS.BAD_REQUEST);
+        }
+
+        const cancelled = await TransactionManager.execute(async (session) => {
+            const updated = await PayoutRunRepository.transition(
+                run._id,
+                [PAYOUT_RUN_STATUS.DRAFT, PAYOUT_RUN_STATUS.APPROVED],
+                { status: PAYOUT_RUN_STATUS.CANCELLED, cancelledAt: new Date() },
+                session
+            );
+            if (!updated) {
+                throw new AppError(`A ${run.status} payout run cannot be cancelled`, HTTP_STATUS.BAD_REQUEST, 'INVALID_STATUS_TRANSITION');
+            }
+
+            await SettlementEntryRepository.release(run._id, null, session);
+            return updated;
+        });
+
+        AuditLogger.log('PAYOUT_RUN_CANCELLED', 'PAYOUT', { runNumber: run.runNumber, by: actor.role, actorId: actor.id });
+        return cancelled;
+    }
+
+    /**
+     * Record the bank outcome of one vendor transfer. Paid transfers settle their
+     * entries; failed ones release them. The run completes with its last transfer.
+     */
+    async settlePayout(runId, payoutId, { status, reference, failureReason }, actor) {
+        const run = await this.getRun(runId);
+        const payout = run.payouts.find(p => p._id.toString() === payoutId.toString());
+        if (!payout) {
+            throw new AppError('Payout not found', HTTP_STATUS.NOT_FOUND);
+        }
+        if (run.status !== PAYOUT_RUN_STATUS.APPROVED) {
+            throw new AppError('Only approved payout runs can be settled', HTTP_STATUS.BAD_REQUEST, 'INVALID_STATUS_TRANSITION');
+        }
+
+        const now = new Date();
+        const updated = await TransactionManager.execute(async (session) => {
+            let current = await PayoutRunRepository.settlePayout(run._id, payout._id, { status, reference, failureReason }, session);
+            if (!current) {
+                throw new AppError('Payout was updated by someone else. Please refresh and try again.', HTTP_STATUS.CONFLICT);
+            }
+
+            if (status === PAYOUT_STATUS.PAID) {
+                await SettlementEntryRepository.markPaid(run._id, payout.vendor, now, session);
+            } else {
+                await SettlementEntryRepository.release(run._id, payout.vendor, session);
+            }
+
+            if (current.payouts.every(p => p.status !== PAYOUT_STATUS.PENDING)) {
+                current = await PayoutRunRepository.transition(run._id, [PAYOUT_RUN_STATUS.APPROVED], {
+                    status: PAYOUT_RUN_STATUS.COMPLETED,
+                    completedAt: now
+                }, session);
+            }
+
+            return current;
+        });
+
+        AuditLogger.log('VENDOR_PAYOUT_SETTLED', 'PAYOUT', {
+            runNumber: run.runNumber,
+            vendorId: payout.vendor,
+            amount: payout.amount,
+            status,
+            reference,
+            by: actor.role,
+            actorId: actor.id
+        });
+        Logger.info('Vendor payout settled', { runNumber: run.runNumber, vendorId: payout.vendor, status });
+
+        return updated;
+    }
+
+    /**
+     * Bank transfer sheet of an approved (or completed) run
+     */
+    async exportRun(id) {
+        const run = await this.getRun(id);
+        if (![PAYOUT_RUN_STATUS.APPROVED, PAYOUT_RUN_STATUS.COMPLETED].includes(run.status)) {
+            throw new AppError('Approve the payout run before exporting it', HTTP_STATUS.BAD_REQUEST);
+        }
+
+        return {
+            filename: `${run.runNumber}.csv`,
+            rows: run.payouts.map(payout => ({
+                ...payout,
+                _id: payout._id.toString(),
+                vendor: payout.vendor.toString(),
+                runNumber: run.runNumber
+            }))
+        };
+    }
+
+    /**
+     * A vendor's transfers (account number masked)
+     */
+    async getVendorPayouts(vendorId, query = {}) {
+        const page = Math.max(parseInt(query.page) || CONFIG.PAGINATION.DEFAULT_PAGE, 1);
+        const limit = Math.min(parseInt(query.limit) || CONFIG.PAGINATION.DEFAULT_LIMIT, CONFIG.PAGINATION.MAX_LIMIT);
+
+        const result = await PayoutRunRepository.findVendorPayouts(vendorId, page, limit);
+        return {
+            ...result,
+            payouts: result.payouts.map(payout => ({ ...payout, accountNumber: maskAccountNumber(payout.accountNumber) }))
+        };
+    }
+
+    generateRunNumber() {
+        return `PAY-${Date.now().toString(36).toUpperCase()}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+    }
+}
+
+export default new PayoutService();
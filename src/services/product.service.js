@@ -2,13 +2,16 @@ import ProductRepository from '../repositories/product.repository.js';
 import ProductCategoryRepository from '../repositories/productCategory.repository.js';
 import ProductSubCategoryRepository from '../repositories/productSubCategory.repository.js';
 import AppError from '../utils/AppError.js';
-import { HTTP_STATUS } from '../constants.js';
+import { HTTP_STATUS, CONFIG, NOTIFICATION_TYPE } from '../constants.js';
 import Cache from '../utils/cache.js';
 import Logger from '../utils/logger.js';
 import ClearanceSaleService from './clearanceSale.service.js';
 import FlashDealService from './flashDeal.service.js';
 import FeaturedDealService from './featuredDeal.service.js';
 import DealOfTheDayService from './dealOfTheDay.service.js';
+import CommissionService from './commission.service.js';
+import NotificationService from './notification.service.js';
+import WishlistAlertService from './wishlistAlert.service.js';
 import vendorCache from '../utils/vendorCache.js';
 import MultiLayerCache from '../utils/multiLayerCache.js';
 import L1Cache from '../utils/l1Cache.js';
@@ -16,6 +19,18 @@ import { deleteMultipleImages } from '../utils/imageUpload.util.js';
 import crypto from 'crypto';
 
 const PRODUCT_CACHE_KEY = 'products';
+// Storefront sort options (`asc`/`desc` kept for older clients)
+const PUBLIC_PRODUCT_SORTS = {
+  relevance: { score: -1, _id: -1 },
+  newest: { createdAt: -1, _id: -1 },
+  oldest: { createdAt: 1, _id: 1 },
+  price_asc: { effectivePrice: 1, _id: 1 },
+  price_desc: { effectivePrice: -1, _id: -1 },
+  rating: { averageRating: -1, 'rating.count': -1, _id: -1 },
+  desc: { createdAt: -1, _id: -1 },
+  asc: { createdAt: 1, _id: 1 }
+};
+
 const CACHE_TAGS = {
   PRODUCTS: 'products',
   DEALS: 'deals',
@@ -128,7 +143,17 @@ class ProductService {
         await this.invalidateCache();
         await vendorCache.invalidateAllVendorCaches();
 
-        return product;
+        // 11. Commission the vendor will be charged at the listed price. The product
+        // is already saved, so a failed preview must not fail the request.
+        const saved = product.toObject ? product.toObject() : product;
+        let commission = null;
+        try {
+            commission = await CommissionService.previewForProduct(saved, vendorId);
+        } catch (error) {
+            Logger.error('Commission preview failed', { productId: saved._id, vendorId, error: error.message });
+        }
+
+        return { ...saved, commission };
     }
 
     async getVendorProducts(vendorId, query) {
@@ -165,6 +190,7 @@ class ProductService {
     }
 
     async _performStockUpdate(product, data) {
+        const previousQuantity = product.quantity;
         let totalQuantity = product.quantity;
         let isUpdated = false;
 
@@ -204,6 +230,7 @@ class ProductService {
         const updateData = { quantity: totalQuantity, variations: product.variations };
         const updated = await ProductRepository.update(product._id, updateData);
         await this.invalidateCache();
+        await WishlistAlertService.productRestocked(updated, previousQuantity);
         return updated;
     }
 
@@ -300,6 +327,96 @@ class ProductService {
         }, { l1TTL: 60, l2TTL: 300 }); // L1: 1min, L2: 5min
     }
 
+    /**
+     * Public listing with faceted filters (GET /products/public).
+     * Lists are comma-separated; attributes are `Name:Value` pairs (e.g. `Size:L,Size:XL,Color:Red`).
+     * Returns the page plus counts for every facet from a single aggregation.
+     */
+    async searchPublicProducts(query = {}) {
+        const cacheKey = `products:faceted:${JSON.stringify(query)}`;
+
+        return await MultiLayerCache.get(cacheKey, async () => {
+            const page = Math.max(parseInt(query.page) || CONFIG.PAGINATION.DEFAULT_PAGE, 1);
+            const limit = Math.min(parseInt(query.limit) || 20, CONFIG.PAGINATION.MAX_LIMIT);
+            const list = (value) => (value ? String(value).split(',').map(item => item.trim()).filter(Boolean) : []);
+
+            const attributes = {};
+            for (const pair of list(query.attributes)) {
+                const separator = pair.indexOf(':');
+                if (separator <= 0) continue;
+                const name = pair.slice(0, separator).trim();
+                (attributes[name] ||= []).push(pair.slice(separator + 1).trim());
+            }
+
+            const criteria = {
+                search: query.search?.trim() || null,
+                categories: list(query.category),
+                subCategories: list(query.subCategory),
+                brands: list(query.brand),
+                colors: list(query.colors),
+                attributes,
+                minPrice: query.minPrice !== undefined ? Number(query.minPrice) : undefined,
+                maxPrice: query.maxPrice !== undefined ? Number(query.maxPrice) : undefined,
+                minRating: query.minRating ? Number(query.minRating) : null,
+                // Out of stock products stay hidden unless the shopper asks for them
+                inStock: String(query.inStock) !== 'false'
+            };
+
+            let sort = PUBLIC_PRODUCT_SORTS[query.sort] ? query.sort : (criteria.search ? 'relevance' : 'newest');
+            if (sort === 'relevance' && !criteria.search) sort = 'newest';
+
+            const { products, total, facets } = await ProductRepository.facetedSearch(criteria, PUBLIC_PRODUCT_SORTS[sort], page, limit);
+
+            let enriched = await ClearanceSaleService.enrichProductsWithSales(products);
+            enriched = await FlashDealService.enrichProductsWithFlashDeals(enriched);
+            enriched = await FeaturedDealService.enrichProductsWithFeaturedDeals(enriched);
+            enriched = await DealOfTheDayService.enrichProductsWithDailyDeals(enriched);
+
+            return {
+                products: enriched,
+                facets: this.formatFacets(facets),
+                sort,
+                pagination: {
+                    total,
+                    page,
+                    limit,
+                    pages: Math.ceil(total / limit)
+                }
+            };
+        }, { l1TTL: 60, l2TTL: 300 }); // L1: 1min, L2: 5min
+    }
+
+    /**
+     * Shape raw facet buckets for the filter sidebar
+     */
+    formatFacets(facets) {
+        const ratingCounts = facets.ratings || [];
+        const availability = facets.availability || [];
+        const priceRange = facets.priceRange?.[0];
+
+        return {
+            categories: facets.categories || [],
+            subCategories: facets.subCategories || [],
+            brands: (facets.brands || []).map(bucket => ({ value: bucket._id, count: bucket.count })),
+            colors: (facets.colors || []).map(bucket => ({ value: bucket._id, count: bucket.count })),
+            attributes: (facets.attributes || []).map(bucket => ({ name: bucket._id, values: bucket.values })),
+            price: {
+                min: priceRange?.min ?? 0,
+                max: priceRange?.max ?? 0,
+                ranges: (facets.priceBuckets || []).map(bucket => ({ min: bucket._id.min, max: bucket._id.max, count: bucket.count }))
+            },
+            // "4 stars & up" style counts
+            ratings: [4, 3, 2, 1].map(stars => ({
+                stars,
+                count: ratingCounts.filter(bucket => bucket._id >= stars).reduce((sum, bucket) => sum + bucket.count, 0)
+            })),
+            availability: {
+                inStock: availability.find(bucket => bucket._id === true)?.count || 0,
+                outOfStock: availability.find(bucket => bucket._id === false)?.count || 0
+            }
+        };
+    }
+
     async searchProducts(searchQuery, limit = 20) {
         // Search autocomplete - use L1 cache for very short TTL
         const cacheKey = `search:${searchQuery.trim().toLowerCase()}:${limit}`;
@@ -669,6 +786,18 @@ class ProductService {
 
         const updated = await ProductRepository.update(id, updateData);
         await this.invalidateCache();
+
+        // Vendors hear about the review of their listing; in-house products have no one to tell
+        if (product.vendor && ['approved', 'rejected'].includes(status)) {
+            await NotificationService.notify({ role: 'vendor', id: product.vendor._id || product.vendor }, {
+                type: NOTIFICATION_TYPE.PRODUCT_STATUS,
+                title: `Product ${status}: ${product.name}`,
+                message: status === 'rejected' ? reason : 'Your product is approved and can be listed.',
+                link: `/vendor/products/${product._id}`,
+                data: { productId: product._id, status }
+            });
+        }
+
         return updated;
     }
 
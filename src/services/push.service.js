@@ -0,0 +1,243 @@
+import PushSubscriptionRepository from '../repositories/pushSubscription.repository.js';
+import PushTemplateRepository from '../repositories/pushTemplate.repository.js';
+import webpush, { isWebPushConfigured } from '../config/webPush.js';
+import { pushQueue } from '../config/queue.js';
+import env from '../config/env.js';
+import AppError from '../utils/AppError.js';
+import Logger from '../utils/logger.js';
+import { HTTP_STATUS, PUSH_EVENT } from '../constants.js';
+
+// Push service answers for subscriptions that will never work again
+const GONE_STATUS_CODES = [404, 410];
+
+// Undelivered pushes are dropped by the push service after a day
+const PUSH_TTL_SECONDS = 24 * 60 * 60;
+
+const DEFAULT_TEMPLATES = {
+    [PUSH_EVENT.ORDER_STATUS_CHANGED]: {
+        title: 'Order {subOrderNumber} is {status}',
+        body: 'Your order {subOrderNumber} is now {status}.',
+        url: '/orders/{orderId}'
+    },
+    [PUSH_EVENT.NEW_VENDOR_ORDER]: {
+        title: 'New order {subOrderNumber}',
+        body: 'You received an order of {totalItems} item(s) worth {total}.',
+        url: '/vendor/orders/{orderId}'
+    },
+    [PUSH_EVENT.PRODUCT_OUT_OF_STOCK]: {
+        title: 'Out of stock: {name}',
+        body: '{name} just sold out. Restock it to keep selling.',
+        url: '/vendor/products/{productId}'
+    },
+    [PUSH_EVENT.SUPPORT_TICKET_REPLY]: {
+        title: 'Reply to ticket {ticketId}',
+        body: 'Our support team replied to "{subject}".',
+        url: '/support-tickets'
+    },
+    [PUSH_EVENT.TEST]: {
+        title: 'Test notification',
+        body: 'Push notifications are working on this device.',
+        url: '/'
+    }
+};
+
+/**
+ * Push Service
+ * Browser push subscriptions per device, admin-editable templates per event,
+ * and delivery through the `push` queue. Subscriptions the push service
+ * reports gone (404/410) are pruned on delivery.
+ *
+ * Recipients are `{ role, id }`; a recipient without an id means every
+ * account of that role.
+ */
+class PushService {
+    getPublicKey() {
+        return { enabled: isWebPushConfigured, publicKey: env.VAPID_PUBLIC_KEY || null };
+    }
+
+    // ========================================
+    // SUBSCRIPTIONS
+    // ========================================
+
+    async subscribe(owner, { endpoint, keys, expirationTime, deviceName }, userAgent) {
+        const subscription = await PushSubscriptionRepository.upsertByEndpoint(endpoint, {
+            owner: { role: owner.role, id: owner.id },
+            keys,
+            expirationTime: expirationTime ? new Date(expirationTime) : null,
+            deviceName,
+            userAgent: userAgent ? userAgent.slice(0, 500) : undefined
+        });
+
+        Logger.info('Push subscription registered', { role: owner.role, ownerId: owner.id });
+        return this._toDevice(subscription);
+    }
+
+    async getSubscriptions(owner) {
+        const subscriptions = await PushSubscriptionRepository.findByOwner(owner.role, owner.id);
+        return subscriptions.map(subscription => this._toDevice(subscription));
+    }
+
+    async unsubscribe(owner, endpoint) {
+        const removed = await PushSubscriptionRepository.deleteOne({ endpoint, 'owner.role': owner.role, 'owner.id': owner.id });
+        if (!removed) {
+            throw new AppError('Push subscription not found', HTTP_STATUS.NOT_FOUND, 'PUSH_SUBSCRIPTION_NOT_FOUND');
+        }
+    }
+
+    // ========================================
+    // DELIVERY
+    // ========================================
+
+    /**
+     * Queue a push to `recipients`. Never throws: a push is not worth failing the caller for.
+     */
+    async notify(recipients, event, data = {}) {
+        if (!isWebPushConfigured) return;
+
+        try {
+            await pushQueue.add(event, { recipients, event, data });
+        } catch (error) {
+            Logger.error('Failed to queue push notification', { event, error: error.message });
+        }
+    }
+
+    async notifyUser(role, id, event, data = {}) {
+        if (!id) return;
+        await this.notify([{ role, id: id.toString() }], event, data);
+    }
+
+    /**
+     * Queue worker entry. Throws only when nothing could be delivered for a
+     * retryable reason, so a retry never repeats a push someone already got.
+     */
+    async processJob({ recipients, event, data }) {
+        const result = await this.deliver(recipients, event, data);
+        if (result.sent === 0 && result.failed > 0) {
+            throw new Error(`Push delivery failed for all ${result.failed} subscription(s)`);
+        }
+        return result;
+    }
+
+    async deliver(recipients, event, data = {}) {
+        const template = await PushTemplateRepository.findByEvent(event);
+        if (!template || !template.isEnabled) {
+            return { sent: 0, pruned: 0, failed: 0, skipped: true };
+        }
+
+        const subscriptions = await PushSubscriptionRepository.findForRecipients(recipients);
+        if (subscriptions.length === 0) {
+            return { sent: 0, pruned: 0, failed: 0 };
+        }
+
+        const payload = JSON.stringify({ event, ...this.render(template, data), data, sentAt: new Date() });
+
+        const results = await Promise.allSettled(subscriptions.map(subscription => webpush.sendNotification(
+            { endpoint: subscription.endpoint, keys: subscription.keys },
+            payload,
+            { TTL: PUSH_TTL_SECONDS }
+        )));
+
+        const delivered = [];
+        const gone = [];
+        let failed = 0;
+        results.forEach((result, index) => {
+            const { endpoint } = subscriptions[index];
+            if (result.status === 'fulfilled') {
+                delivered.push(endpoint);
+            } else if (GONE_STATUS_CODES.includes(result.reason?.statusCode)) {
+                gone.push(endpoint);
+            } else {
+                failed += 1;
+                Logger.warn('Push delivery failed', { event, statusCode: result.reason?.statusCode, error: result.reason?.message });
+            }
+        });
+
+        const pruned = await PushSubscriptionRepository.deleteByEndpoints(gone);
+        await PushSubscriptionRepository.markSent(delivered);
+
+        return { sent: delivered.length, pruned, failed };
+    }
+
+    /**
+     * Send the test template right away (not queued) so the admin sees the outcome
+     */
+    async sendTest(target) {
+        if (!isWebPushConfigured) {
+            throw new AppError('Web push is not configured', HTTP_STATUS.SERVICE_UNAVAILABLE, 'PUSH_NOT_CONFIGURED');
+        }
+
+        const subscriptions = await PushSubscriptionRepository.findByOwner(target.role, target.id);
+        if (subscriptions.length === 0) {
+            throw new AppError('No push subscriptions for this account', HTTP_STATUS.NOT_FOUND, 'PUSH_SUBSCRIPTION_NOT_FOUND');
+        }
+
+        const result = await this.deliver([target], PUSH_EVENT.TEST, {});
+        Logger.info('Test push sent', { role: target.role, ownerId: target.id, ...result });
+        return result;
+    }
+
+    // ========================================
+    // TEMPLATES
+    // ========================================
+
+    async getTemplates() {
+        return await PushTemplateRepository.getAll();
+    }
+
+    async getTemplateByEvent(event) {
+        const template = await PushTemplateRepository.findByEvent(event);
+        if (!template) {
+            throw new AppError(`Push template not found for event: ${event}`, HTTP_STATUS.NOT_FOUND);
+        }
+        return template;
+    }
+
+    async updateTemplate(event, updateData) {
+        await this.getTemplateByEvent(event);
+        const template = await PushTemplateRepository.updateByEvent(event, updateData);
+        Logger.info(`Push template updated for event: ${event}`);
+        return template;
+    }
+
+    async toggleTemplate(event) {
+        const template = await this.getTemplateByEvent(event);
+        return await PushTemplateRepository.updateByEvent(event, { isEnabled: !template.isEnabled });
+    }
+
+    async bootstrapTemplates() {
+        for (const [event, defaults] of Object.entries(DEFAULT_TEMPLATES)) {
+            const exists = await PushTemplateRepository.findByEvent(event);
+            if (!exists) {
+                await PushTemplateRepository.create({ event, ...defaults, isEnabled: true });
+                Logger.info(`Bootstrapped default push template for: ${event}`);
+            }
+        }
+    }
+
+    /**
+     * Fill `{placeholder}` tokens; unknown tokens render empty
+     */
+    render(template, data) {
+        const fill = (text) => (text || '').replace(/{(\w+)}/g, (match, key) => (data[key] ?? '').toString());
+
+        return {
+            title: fill(template.title),
+            body: fill(template.body),
+            url: fill(template.url) || '/',
+            icon: template.icon || undefined
+        };
+    }
+
+    _toDevice(subscription) {
+        return {
+            id: subscription._id,
+            endpoint: subscription.endpoint,
+            deviceName: subscription.deviceName,
+            userAgent: subscription.userAgent,
+            lastSentAt: subscription.lastSentAt,
+            createdAt: subscription.createdAt
+        };
+    }
+}
+
+export default new PushService();
@@ -0,0 +1,137 @@
+import Logger from '../utils/logger.js';
+import { REALTIME_EVENTS } from '../constants.js';
+
+// Staff dashboards (admins and employees) share the operational events
+const STAFF_ROLES = ['admin', 'employee'];
+
+/**
+ * Realtime Service
+ * Publishes domain events to connected sockets. Every socket joins its own
+ * user room (`user:<role>:<id>`) and its role room (`role:<role>`); with the
+ * Redis adapter an emit from any instance reaches sockets on all of them.
+ *
+ * Delivery is best-effort: without a gateway (workers, scripts, tests) or on
+ * failure nothing is thrown, so callers never fail a write over a push.
+ */
+class RealtimeService {
+    constructor() {
+        this.io = null;
+    }
+
+    /**
+     * Called once by the socket gateway when the server starts
+     */
+    attach(io) {
+        this.io = io;
+    }
+
+    userRoom(role, id) {
+        return `user:${role}:${id}`;
+    }
+
+    roleRoom(role) {
+        return `role:${role}`;
+    }
+
+    toUser(role, id, event, payload) {
+        if (!id) return;
+        this._emit([this.userRoom(role, id.toString())], event, payload);
+    }
+
+    toRoles(roles, event, payload) {
+        this._emit(roles.map(role => this.roleRoom(role)), event, payload);
+    }
+
+    // ========================================
+    // DOMAIN EVENTS
+    // ========================================
+
+    /**
+     * Customer sees every sub-order change; the vendor sees changes made by
+     * someone else (they already know about their own)
+     */
+    orderStatusChanged(order, changes, actor) {
+        for (const { subOrder, from, status } of changes) {
+            const payload = {
+                orderId: order._id,
+                orderNumber: order.orderNumber,
+                orderStatus: order.status,
+                subOrderId: subOrder._id,
+                subOrderNumber: subOrder.subOrderNumber,
+                from,
+                status
+            };
+
+            this.toUser('customer', order.customer, REALTIME_EVENTS.ORDER_STATUS_CHANGED, payload);
+            if (subOrder.vendor && actor.role !== 'vendor') {
+                this.toUser('vendor', subOrder.vendor, REALTIME_EVENTS.ORDER_STATUS_CHANGED, payload);
+            }
+        }
+    }
+
+    /**
+     * Each vendor hears about their own sub-order of a new order; staff about the order
+     */
+    orderPlaced(order) {
+        for (const subOrder of order.subOrders) {
+            if (!subOrder.vendor) continue;
+
+            this.toUser('vendor', subOrder.vendor, REALTIME_EVENTS.VENDOR_ORDER_CREATED, {
+                orderId: order._id,
+                subOrderId: subOrder._id,
+                subOrderNumber: subOrder.subOrderNumber,
+                total: subOrder.total,
+                totalItems: subOrder.items.reduce((sum, item) => sum + item.quantity, 0)
+            });
+        }
+
+        this.toRoles(STAFF_ROLES, REALTIME_EVENTS.VENDOR_ORDER_CREATED, {
+            orderId: order._id,
+            orderNumber: order.orderNumber,
+            total: order.total,
+            subOrders: order.subOrders.length
+        });
+    }
+
+    /**
+     * `items` are { product, name, vendor, variation } that just hit zero stock
+     */
+    productsOutOfStock(items) {
+        for (const item of items) {
+            const payload = {
+                productId: item.product,
+                name: item.name,
+                variation: item.variation || null
+            };
+
+            if (item.vendor) {
+                this.toUser('vendor', item.vendor, REALTIME_EVENTS.PRODUCT_OUT_OF_STOCK, payload);
+            }
+            this.toRoles(STAFF_ROLES, REALTIME_EVENTS.PRODUCT_OUT_OF_STOCK, { ...payload, vendorId: item.vendor || null });
+        }
+    }
+
+    ticketReplied(ticket) {
+        const customerId = ticket.customer?._id || ticket.customer;
+
+        this.toUser('customer', customerId, REALTIME_EVENTS.TICKET_REPLIED, {
+            ticketId: ticket.ticketId,
+            subject: ticket.subject,
+            status: ticket.status,
+            reply: ticket.adminReply,
+            replyDate: ticket.replyDate
+        });
+    }
+
+    _emit(rooms, event, payload) {
+        if (!this.io || rooms.length === 0) return;
+
+        try {
+            this.io.to(rooms).emit(event, { ...payload, emittedAt: new Date() });
+        } catch (error) {
+            Logger.error('Failed to publish realtime event', { event, rooms, error: error.message });
+        }
+    }
+}
+
+export default new RealtimeService();
@@ -0,0 +1,467 @@
+import crypto from 'crypto';
+import ReturnRequestRepository from '../repositories/returnRequest.repository.js';
+import OrderRepository from '../repositories/order.repository.js';
+import ProductRepository from '../repositories/product.repository.js';
+import ContentService from './content.service.js';
+import PaymentService from './payment.service.js';
+import ProductService from './product.service.js';
+import WalletService from './wallet.service.js';
+import WishlistAlertService from './wishlistAlert.service.js';
+import SettlementService from './settlement.service.js';
+import TransactionManager from '../utils/transaction.js';
+import { uploadToCloudinary, deleteFromCloudinary } from '../utils/cloudinary.js';
+import AuditLogger from '../utils/audit.js';
+import AppError from '../utils/AppError.js';
+import Logger from '../utils/logger.js';
+import { HTTP_STATUS, CONFIG, ORDER_STATUS, PAYMENT_METHOD, PAYMENT_STATUS, RETURN_STATUS, RETURN_RESOLUTION, WALLET_ENTRY_SOURCE, WALLET_REFERENCE_TYPE } from '../constants.js';
+
+const MAX_RETURN_IMAGES = 5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Allowed return transitions. `received` may follow `approved` directly when
+ * the customer drops the parcel off instead of booking a pickup.
+ */
+const RETURN_TRANSITIONS = {
+    [RETURN_STATUS.REQUESTED]: [RETURN_STATUS.APPROVED, RETURN_STATUS.REJECTED, RETURN_STATUS.CANCELLED],
+    [RETURN_STATUS.APPROVED]: [RETURN_STATUS.PICKUP_SCHEDULED, RETURN_STATUS.RECEIVED, RETURN_STATUS.CANCELLED],
+    [RETURN_STATUS.PICKUP_SCHEDULED]: [RETURN_STATUS.PICKED_UP, RETURN_STATUS.CANCELLED],
+    [RETURN_STATUS.PICKED_UP]: [RETURN_STATUS.RECEIVED],
+    [RETURN_STATUS.RECEIVED]: [RETURN_STATUS.INSPECTED],
+    [RETURN_STATUS.INSPECTED]: [RETURN_STATUS.COMPLETED, RETURN_STATUS.REJECTED],
+    [RETURN_STATUS.REJECTED]: [],
+    [RETURN_STATUS.COMPLETED]: [],
+    [RETURN_STATUS.CANCELLED]: []
+};
+
+// Logistics steps moved by the seller (or an admin) between approval and resolution
+const LOGISTICS_STATUSES = [
+    RETURN_STATUS.PICKUP_SCHEDULED,
+    RETURN_STATUS.PICKED_UP,
+    RETURN_STATUS.RECEIVED,
+    RETURN_STATUS.INSPECTED
+];
+
+// Gateway refund statuses that mean the money has left
+const SETTLED_REFUND_STATUSES = ['succeeded', 'processed', 'completed'];
+
+const round = (value) => parseFloat(Number(value || 0).toFixed(2));
+
+/**
+ * Return Service (RMA)
+ * Customers return delivered order lines within the window configured in the site
+ * return settings. The seller approves or rejects before `responseDueAt` (admins can
+ * decide at any time), tracks pickup / receipt / inspection, and settles the return
+ * with a refund, a replacement or store credit. Stock moves through ProductRepository;
+ * a restock that brings a product back sends the usual back-in-stock alerts.
+ */
+class ReturnRequestService {
+    canTransition(from, to) {
+        return (RETURN_TRANSITIONS[from] || []).includes(to);
+    }
+
+    // ========================================
+    // CUSTOMER
+    // ========================================
+
+    async createReturn(customerId, data, files = []) {
+        const settings = await ContentService.getReturnSettings();
+        if (!settings.isEnabled) {
+            throw new AppError('Returns are currently not accepted', HTTP_STATUS.BAD_REQUEST, 'RETURNS_DISABLED');
+        }
+        if (!settings.allowedResolutions.includes(data.preferredResolution)) {
+            throw new AppError(`${data.preferredResolution} is not offered for returns`, HTTP_STATUS.BAD_REQUEST, 'RESOLUTION_NOT_ALLOWED');
+        }
+
+        const order = await OrderRepository.findOne({ _id: data.orderId, customer: customerId });
+        const subOrder = order?.subOrders.find(s => s._id.toString() === data.subOrderId);
+        const item = subOrder?.items.find(i => i._id.toString() === data.itemId);
+        if (!item) {
+            throw new AppError('Order item not found', HTTP_STATUS.NOT_FOUND);
+        }
+
+        if (subOrder.status !== ORDER_STATUS.DELIVERED) {
+            throw new AppError('Only delivered items can be returned', HTTP_STATUS.BAD_REQUEST, 'RETURN_NOT_ALLOWED');
+        }
+        if (item.productType === 'digital') {
+            throw new AppError('Digital products cannot be returned', HTTP_STATUS.BAD_REQUEST, 'RETURN_NOT_ALLOWED');
+        }
+        const deliveredAt = new Date(subOrder.deliveredAt || subOrder.updatedAt || order.updatedAt);
+        if (Date.now() > deliveredAt.getTime() + settings.returnWindowDays * DAY_MS) {
+            throw new AppError(`Returns are accepted within ${settings.returnWindowDays} days of delivery`, HTTP_STATUS.BAD_REQUEST, 'RETURN_WINDOW_EXPIRED');
+        }
+
+        // Checked again inside the transaction below; this one fails fast before the upload
+        await this._assertReturnable(order, item, data.quantity);
+
+        if (settings.requirePhotos && !files?.length) {
+            throw new AppError('Please attach photos of the item', HTTP_STATUS.BAD_REQUEST, 'PHOTOS_REQUIRED');
+        }
+        if (files?.length > MAX_RETURN_IMAGES) {
+            throw new AppError(`A return can have at most ${MAX_RETURN_IMAGES} photos`, HTTP_STATUS.BAD_REQUEST, 'UPLOAD_ERROR');
+        }
+        const images = await this._uploadImages(files, order._id);
+
+        // Shipping is not refunded; the coupon share and tax of the line are
+        const unitAmount = round((item.total - (item.shipping || 0)) / item.quantity);
+        const now = new Date();
+
+        try {
+            const returnRequest = await TransactionManager.execute(async (session) => {
+                // Writing to the line first makes a concurrent request for it conflict
+                await OrderRepository.touchItemForReturn(order._id, subOrder._id, item._id, session);
+                await this._assertReturnable(order, item, data.quantity, session);
+
+                return await ReturnRequestRepository.create({
+                    rmaNumber: this.generateRmaNumber(),
+                    order: order._id,
+                    orderNumber: order.orderNumber,
+                    subOrder: subOrder._id,
+                    subOrderNumber: subOrder.subOrderNumber,
+                    orderItem: item._id,
+                    customer: customerId,
+                    vendor: subOrder.vendor || null,
+                    product: item.product,
+                    productName: item.name,
+                    variation: item.variation || null,
+                    quantity: data.quantity,
+                    unitAmount,
+                    amount: round(unitAmount * data.quantity),
+                    reason: data.reason,
+                    description: data.description,
+                    images,
+                    preferredResolution: data.preferredResolution,
+                    statusHistory: [{ status: RETURN_STATUS.REQUESTED, note: data.description, changedBy: { role: 'customer', id: customerId }, changedAt: now }],
+                    responseDueAt: new Date(now.getTime() + settings.vendorResponseDays * DAY_MS)
+                }, session);
+            });
+
+            Logger.info('Return requested', { rmaNumber: returnRequest.rmaNumber, subOrderNumber: subOrder.subOrderNumber, customerId });
+            return returnRequest;
+        } catch (error) {
+            await this._deleteImages(images);
+            if (error.codeName === 'WriteConflict') {
+                throw new AppError('Another return for this item is being submitted. Please try again.', HTTP_STATUS.CONFLICT, 'RETURN_IN_PROGRESS');
+            }
+            throw error;
+        }
+    }
+
+    async getMyReturns(customerId, query = {}) {
+        return await this._list({ customer: customerId }, query);
+    }
+
+    async getMyReturn(customerId, id) {
+        return await this._findReturn(id, { customerId });
+    }
+
+    /**
+     * Customers can withdraw a return until the parcel has been picked up
+     */
+    async cancelReturn(customerId, id, reason) {
+        const returnRequest = await this._findReturn(id, { customerId });
+        return await this._transition(returnRequest, RETURN_STATUS.CANCELLED, {
+            note: reason || 'Cancelled by customer'
+        }, { role: 'customer', id: customerId });
+    }
+
+    // ========================================
+    // VENDOR / ADMIN
+    // ========================================
+
+    async getVendorReturns(vendorId, query = {}) {
+        return await this._list({ vendor: vendorId }, query);
+    }
+
+    async getAllReturns(query = {}) {
+        const filter = {};
+        if (query.vendor) filter.vendor = query.vendor;
+        if (query.customer) filter.customer = query.customer;
+        if (query.overdue === 'true') {
+            filter.status = RETURN_STATUS.REQUESTED;
+            filter.responseDueAt = { $lt: new Date() };
+        }
+        return await this._list(filter, query);
+    }
+
+    /**
+     * @param {{vendorId?: string}} scope empty for admins
+     */
+    async getReturn(id, scope = {}) {
+        return await this._findReturn(id, scope);
+    }
+
+    /**
+     * Approve or reject a requested return. Sellers must answer before the
+     * response deadline; after it only admins can decide.
+     */
+    async reviewReturn(id, { approve, note }, scope, actor) {
+        const returnRequest = await this._findReturn(id, scope);
+
+        if (actor.role === 'vendor' && returnRequest.status === RETURN_STATUS.REQUESTED
+            && new Date(returnRequest.responseDueAt) < new Date()) {
+            throw new AppError('The response window for this return has closed; it is now handled by the marketplace', HTTP_STATUS.BAD_REQUEST, 'RESPONSE_WINDOW_CLOSED');
+        }
+        if (!approve && !note) {
+            throw new AppError('A reason is required to reject a return', HTTP_STATUS.BAD_REQUEST);
+        }
+
+        return await this._transition(
+            returnRequest,
+            approve ? RETURN_STATUS.APPROVED : RETURN_STATUS.REJECTED,
+            { note, $set: approve ? {} : { rejectionReason: note } },
+            actor
+        );
+    }
+
+    /**
+     * Pickup / receipt / inspection tracking
+     */
+    async updateReturnStatus(id, { status, note, pickup, inspection }, scope, actor) {
+        if (!LOGISTICS_STATUSES.includes(status)) {
+            throw new AppError(`Use the dedicated endpoint to set a return to ${status}`, HTTP_STATUS.BAD_REQUEST);
+        }
+        const returnRequest = await this._findReturn(id, scope);
+        const now = new Date();
+        const $set = {};
+
+        if (status === RETURN_STATUS.PICKUP_SCHEDULED) {
+            if (pickup?.carrier) $set['pickup.carrier'] = pickup.carrier;
+            if (pickup?.trackingNumber) $set['pickup.trackingNumber'] = pickup.trackingNumber;
+            if (pickup?.scheduledAt) $set['pickup.scheduledAt'] = new Date(pickup.scheduledAt);
+        }
+        if (status === RETURN_STATUS.PICKED_UP) $set['pickup.pickedUpAt'] = now;
+        if (status === RETURN_STATUS.RECEIVED) $set.receivedAt = now;
+        if (status === RETURN_STATUS.INSPECTED) {
+            if (typeof inspection?.passed !== 'boolean') {
+                throw new AppError('Inspection result is required', HTTP_STATUS.BAD_REQUEST);
+            }
+            $set.inspection = {
+                passed: inspection.passed,
+                restock: inspection.passed && inspection.restock !== false,
+                note: inspection.note || note,
+                inspectedAt: now
+            };
+        }
+
+        return await this._transition(returnRequest, status, { note, $set }, actor);
+    }
+
+    /**
+     * Settle an inspected return. Stock changes are committed together with the
+     * status; the gateway refund runs afterwards and its outcome is recorded.
+     */
+    async resolveReturn(id, { type, amount, note }, scope, actor) {
+        const returnRequest = await this._findReturn(id, scope);
+
+        if (returnRequest.status !== RETURN_STATUS.INSPECTED) {
+            throw new AppError('Only inspected returns can be resolved', HTTP_STATUS.BAD_REQUEST, 'INVALID_STATUS_TRANSITION');
+        }
+        if (!returnRequest.inspection?.passed) {
+            throw new AppError('The item failed inspection; reject the return instead', HTTP_STATUS.BAD_REQUEST);
+        }
+
+        const settings = await ContentService.getReturnSettings();
+        const resolutionType = type || returnRequest.preferredResolution;
+        if (!settings.allowedResolutions.includes(resolutionType)) {
+            throw new AppError(`${resolutionType} is not offered for returns`, HTTP_STATUS.BAD_REQUEST, 'RESOLUTION_NOT_ALLOWED');
+        }
+
+        const resolutionAmount = resolutionType === RETURN_RESOLUTION.REPLACEMENT ? 0 : round(amount ?? returnRequest.amount);
+        if (resolutionAmount > returnRequest.amount) {
+            throw new AppError(`Amount cannot exceed ${returnRequest.amount}`, HTTP_STATUS.BAD_REQUEST);
+        }
+
+        const order = await OrderRepository.findById(returnRequest.order);
+        // Store credit and the wallet-paid part of a refund go back to the wallet,
+        // the rest of a refund goes back through the gateway
+        const walletAmount = this._walletRefundPart(resolutionType, resolutionAmount, order);
+        const gatewayAmount = round(resolutionAmount - walletAmount);
+        const gatewayRefund = resolutionType === RETURN_RESOLUTION.REFUND
+            && gatewayAmount > 0
+            && !!order?.payment?.gateway
+            && order.payment.status === PAYMENT_STATUS.PAID;
+        const walletCredit = resolutionType === RETURN_RESOLUTION.STORE_CREDIT
+            || (resolutionType === RETURN_RESOLUTION.REFUND && order?.payment?.method === PAYMENT_METHOD.WALLET);
+
+        const now = new Date();
+        const restock = !!returnRequest.inspection.restock;
+        const replacement = resolutionType === RETURN_RESOLUTION.REPLACEMENT;
+
+        let restocked = null;
+        const completed = await TransactionManager.execute(async (session) => {
+            const updated = await ReturnRequestRepository.transition(returnRequest._id, RETURN_STATUS.INSPECTED, {
+                $set: {
+                    resolution: {
+                        type: resolutionType,
+                        amount: resolutionAmount,
+                        walletAmount,
+                        // Replacements ship with the seller's next dispatch; COD/offline refunds
+                        // are paid out manually
+                        status: replacement || walletCredit ? 'completed' : (gatewayRefund ? 'processing' : 'pending'),
+                        note,
+                        resolvedAt: now
+                    }
+                },
+                history: { status: RETURN_STATUS.COMPLETED, note, changedBy: this._changedBy(actor), changedAt: now }
+            }, session);
+
+            if (!updated) {
+                throw new AppError('Return was updated by someone else. Please refresh and try again.', HTTP_STATUS.CONFLICT);
+            }
+
+            if (restock) {
+                restocked = await ProductRepository.incrementStock(returnRequest.product, returnRequest.quantity, returnRequest.variation, session);
+            }
+            if (replacement) {
+                await ProductRepository.decrementStock(returnRequest.product, returnRequest.quantity, returnRequest.variation, session);
+            }
+            if (walletAmount > 0) {
+                await WalletService.credit(returnRequest.customer, {
+                    amount: walletAmount,
+                    source: resolutionType === RETURN_RESOLUTION.STORE_CREDIT
+                        ? WALLET_ENTRY_SOURCE.STORE_CREDIT
+                        : WALLET_ENTRY_SOURCE.RETURN_REFUND,
+                    reason: `Return ${returnRequest.rmaNumber}`,
+                    reference: { type: WALLET_REFERENCE_TYPE.RETURN, id: returnRequest._id, number: returnRequest.rmaNumber },
+                    createdBy: this._changedBy(actor),
+                    idempotencyKey: `return:${returnRequest._id}:resolution`
+                }, session);
+            }
+            // Money going back to the customer comes out of the vendor's settlement
+            if (!replacement && order) {
+                await SettlementService.recordReturnDeduction(returnRequest, order, resolutionAmount, session);
+            }
+
+            return updated;
+        });
+
+        if (restock || replacement) {
+            await ProductService.invalidateCache();
+        }
+        if (restocked) {
+            await WishlistAlertService.productRestocked(restocked, restocked.quantity - returnRequest.quantity);
+        }
+
+        AuditLogger.log('RETURN_RESOLVED', 'RETURN', {
+            rmaNumber: returnRequest.rmaNumber,
+            type: resolutionType,
+            amount: resolutionAmount,
+            by: actor.role
+        });
+
+        if (!gatewayRefund) {
+            return completed;
+        }
+        return await this._refund(completed, gatewayAmount);
+    }
+
+    // ========================================
+    // HELPERS
+    // ========================================
+
+    generateRmaNumber() {
+        return `RMA-${Date.now().toString(36).toUpperCase()}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+    }
+
+    async _assertReturnable(order, item, quantity, session = null) {
+        const returnable = item.quantity - await ReturnRequestRepository.sumReturnedQuantity(order._id, item._id, session);
+        if (quantity > returnable) {
+            throw new AppError(`Only ${returnable} unit(s) of this item can be returned`, HTTP_STATUS.BAD_REQUEST, 'RETURN_QUANTITY_EXCEEDED');
+        }
+    }
+
+    /**
+     * Wallet part of a resolution: all of it for store credit and orders paid
+     * from the wallet; for a refund of an order paid partly from the wallet,
+     * the wallet's share of the order total
+     */
+    _walletRefundPart(type, amount, order) {
+        if (type === RETURN_RESOLUTION.STORE_CREDIT) return amount;
+        if (type !== RETURN_RESOLUTION.REFUND || !order?.payment) return 0;
+        if (order.payment.method === PAYMENT_METHOD.WALLET) return amount;
+
+        const paidFromWallet = order.payment.walletAmount || 0;
+        if (paidFromWallet <= 0 || !(order.total > 0)) return 0;
+        return Math.min(amount, round(amount * paidFromWallet / order.total));
+    }
+
+    async _refund(returnRequest, amount) {
+        try {
+            const reason = `Return ${returnRequest.rmaNumber}`;
+            const order = await PaymentService.refundPayment(returnRequest.order, { amount, reason });
+            const refund = (order.payment.refunds || []).find(entry => entry.reason === reason);
+            const settled = SETTLED_REFUND_STATUSES.includes(String(refund?.status).toLowerCase());
+
+            return await ReturnRequestRepository.update(returnRequest._id, {
+                $set: {
+                    'resolution.status': settled ? 'completed' : 'processing',
+                    'resolution.refundId': refund?.refundId || null
+                }
+            });
+        } catch (error) {
+            Logger.error('Return refund failed', { rmaNumber: returnRequest.rmaNumber, error: error.message });
+            return await ReturnRequestRepository.update(returnRequest._id, {
+                $set: { 'resolution.status': 'failed', 'resolution.note': error.message }
+            });
+        }
+    }
+
+    async _transition(returnRequest, status, { note, $set = {} }, actor) {
+        if (!this.canTransition(returnRequest.status, status)) {
+            throw new AppError(`Cannot change return status from ${returnRequest.status} to ${status}`, HTTP_STATUS.BAD_REQUEST, 'INVALID_STATUS_TRANSITION');
+        }
+
+        const updated = await ReturnRequestRepository.transition(returnRequest._id, returnRequest.status, {
+            $set,
+            history: { status, note, changedBy: this._changedBy(actor), changedAt: new Date() }
+        });
+        if (!updated) {
+            throw new AppError('Return was updated by someone else. Please refresh and try again.', HTTP_STATUS.CONFLICT);
+        }
+
+        Logger.info('Return status updated', { rmaNumber: updated.rmaNumber, from: returnRequest.status, to: status, by: actor.role });
+        return updated;
+    }
+
+    _changedBy(actor) {
+        return { role: actor.role, id: actor.id || null };
+    }
+
+    async _findReturn(id, scope = {}) {
+        const filter = { _id: id };
+        if (scope.customerId) filter.customer = scope.customerId;
+        if (scope.vendorId) filter.vendor = scope.vendorId;
+
+        const returnRequest = await ReturnRequestRepository.findOne(filter);
+        if (!returnRequest) {
+            throw new AppError('Return not found', HTTP_STATUS.NOT_FOUND);
+        }
+        return returnRequest;
+    }
+
+    async _list(filter, query) {
+        const page = Math.max(parseInt(query.page) || CONFIG.PAGINATION.DEFAULT_PAGE, 1);
+        const limit = Math.min(parseInt(query.limit) || CONFIG.PAGINATION.DEFAULT_LIMIT, CONFIG.PAGINATION.MAX_LIMIT);
+        if (query.status && !filter.status) filter.status = query.status;
+
+        return await ReturnRequestRepository.findAll(filter, { createdAt: -1 }, page, limit);
+    }
+
+    async _uploadImages(files, orderId) {
+        if (!files?.length) return [];
+
+        if (files.some(file => !file.mimetype.startsWith('image/'))) {
+            throw new AppError('Return photos must be images', HTTP_STATUS.BAD_REQUEST, 'FILE_TYPE_ERROR');
+        }
+
+        const results = await Promise.all(files.map(file => uploadToCloudinary(file, `returns/${orderId}`)));
+        return results.map(result => ({ url: result.secure_url, publicId: result.public_id }));
+    }
+
+    async _deleteImages(images) {
+        await Promise.all((images || []).map(image => deleteFromCloudinary(image.publicId)));
+    }
+}
+
+export default new ReturnRequestService();
@@ -0,0 +1,327 @@
+import ReviewRepository from '../repositories/review.repository.js';
+import ProductRepository from '../repositories/product.repository.js';
+import OrderRepository from '../repositories/order.repository.js';
+import ProductService from './product.service.js';
+import TransactionManager from '../utils/transaction.js';
+import { uploadToCloudinary, deleteFromCloudinary } from '../utils/cloudinary.js';
+import AuditLogger from '../utils/audit.js';
+import AppError from '../utils/AppError.js';
+import Logger from '../utils/logger.js';
+import { HTTP_STATUS, CONFIG, REVIEW_STATUS } from '../constants.js';
+
+const MAX_REVIEW_IMAGES = 5;
+
+const REVIEW_SORTS = {
+    newest: { createdAt: -1 },
+    highest: { rating: -1, createdAt: -1 },
+    lowest: { rating: 1, createdAt: -1 }
+};
+
+/**
+ * Review Service
+ * Reviews start pending; only approved reviews are public and counted in the
+ * product's denormalized rating (average, count, distribution).
+ */
+class ReviewService {
+    // ========================================
+    // PUBLIC
+    // ========================================
+
+    async getProductReviews(productId, query = {}) {
+        const product = await ProductRepository.findById(productId);
+        if (!product || product.status !== 'approved' || !product.isActive) {
+            throw new AppError('Product not found', HTTP_STATUS.NOT_FOUND, 'PRODUCT_NOT_FOUND');
+        }
+
+        const { page, limit } = this._pagination(query);
+        const filter = { product: productId, status: REVIEW_STATUS.APPROVED };
+        if (query.rating) filter.rating = Number(query.rating);
+        if (query.verified === 'true') filter.isVerifiedPurchase = true;
+        if (query.withImages === 'true') filter['images.0'] = { $exists: true };
+
+        const result = await ReviewRepository.findAll(filter, REVIEW_SORTS[query.sort] || REVIEW_SORTS.newest, page, limit);
+
+        return {
+            summary: this._ratingSummary(product),
+            ...result
+        };
+    }
+
+    // ========================================
+    // CUSTOMER
+    // ========================================
+
+    async createReview(customerId, data, files = []) {
+        const product = await ProductRepository.findById(data.productId);
+        if (!product || product.status !== 'approved') {
+            throw new AppError('Product not found', HTTP_STATUS.NOT_FOUND, 'PRODUCT_NOT_FOUND');
+        }
+
+        const existing = await ReviewRepository.findOne({ product: product._id, customer: customerId });
+        if (existing) {
+            throw new AppError('You have already reviewed this product', HTTP_STATUS.CONFLICT, 'REVIEW_EXISTS');
+        }
+
+        this._assertImageCount(files.length);
+        const purchase = await OrderRepository.findDeliveredPurchase(customerId, product._id);
+        const images = await this._uploadImages(files, product._id);
+
+        try {
+            const review = await ReviewRepository.create({
+                product: product._id,
+                vendor: product.vendor?._id || product.vendor || null,
+                customer: customerId,
+                order: purchase?.order || null,
+                subOrder: purchase?.subOrder || null,
+                orderItem: purchase?.orderItem || null,
+                isVerifiedPurchase: !!purchase,
+                rating: data.rating,
+                title: data.title,
+                comment: data.comment,
+                images
+            });
+
+            Logger.info('Review submitted', { reviewId: review._id, productId: product._id, customerId });
+            return review;
+        } catch (error) {
+            await this._deleteImages(images);
+            if (error.code === 11000) {
+                throw new AppError('You have already reviewed this product', HTTP_STATUS.CONFLICT, 'REVIEW_EXISTS');
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Edits go back to moderation; an approved review stops counting until re-approved.
+     */
+    async updateReview(customerId, reviewId, data, files = []) {
+        const review = await ReviewRepository.findOne({ _id: reviewId, customer: customerId });
+        if (!review) {
+            throw new AppError('Review not found', HTTP_STATUS.NOT_FOUND, 'REVIEW_NOT_FOUND');
+        }
+
+        const removeIds = new Set(data.removeImages || []);
+        const kept = review.images.filter(image => !removeIds.has(image.publicId));
+        this._assertImageCount(kept.length + files.length);
+
+        const uploaded = await this._uploadImages(files, review.product);
+
+        const $set = { status: REVIEW_STATUS.PENDING, images: [...kept, ...uploaded] };
+        for (const field of ['rating', 'title', 'comment']) {
+            if (data[field] !== undefined) $set[field] = data[field];
+        }
+
+        let before;
+        try {
+            before = await TransactionManager.execute(async (session) => {
+                const previous = await ReviewRepository.updateWhere(
+                    { _id: review._id, customer: customerId, updatedAt: review.updatedAt },
+                    { $set },
+                    session
+                );
+                if (!previous) {
+                    throw new AppError('Review was changed meanwhile, please retry', HTTP_STATUS.CONFLICT, 'REVIEW_CONFLICT');
+                }
+                if (previous.status === REVIEW_STATUS.APPROVED) {
+                    await ProductRepository.applyRatingChange(previous.product, { remove: previous.rating }, session);
+                }
+                return previous;
+            });
+        } catch (error) {
+            await this._deleteImages(uploaded);
+            throw error;
+        }
+
+        await this._deleteImages(review.images.filter(image => removeIds.has(image.publicId)));
+        if (before.status === REVIEW_STATUS.APPROVED) {
+            await this._invalidateProductCache();
+        }
+
+        return await ReviewRepository.findById(review._id);
+    }
+
+    async deleteReview(customerId, reviewId) {
+        const deleted = await TransactionManager.execute(async (session) => {
+            const review = await ReviewRepository.deleteWhere({ _id: reviewId, customer: customerId }, session);
+            if (!review) {
+                throw new AppError('Review not found', HTTP_STATUS.NOT_FOUND, 'REVIEW_NOT_FOUND');
+            }
+            if (review.status === REVIEW_STATUS.APPROVED) {
+                await ProductRepository.applyRatingChange(review.product, { remove: review.rating }, session);
+            }
+            return review;
+        });
+
+        await this._deleteImages(deleted.images);
+        if (deleted.status === REVIEW_STATUS.APPROVED) {
+            await this._invalidateProductCache();
+        }
+    }
+
+    async getMyReviews(customerId, query = {}) {
+        const { page, limit } = this._pagination(query);
+        return await ReviewRepository.findAll({ customer: customerId }, REVIEW_SORTS.newest, page, limit, { withProduct: true });
+    }
+
+    // ========================================
+    // VENDOR
+    // ========================================
+
+    async getVendorReviews(vendorId, query = {}) {
+        const { page, limit } = this._pagination(query);
+        const filter = { vendor: vendorId, status: { $ne: REVIEW_STATUS.HIDDEN } };
+        if (query.product) filter.product = query.product;
+        if (query.rating) filter.rating = Number(query.rating);
+        if (query.replied === 'true') filter['vendorReply.comment'] = { $ne: null };
+        if (query.replied === 'false') filter['vendorReply.comment'] = null;
+
+        return await ReviewRepository.findAll(filter, REVIEW_SORTS[query.sort] || REVIEW_SORTS.newest, page, limit, { withProduct: true });
+    }
+
+    async replyToReview(vendorId, reviewId, comment) {
+        const review = await ReviewRepository.findOne({ _id: reviewId, vendor: vendorId });
+        if (!review) {
+            throw new AppError('Review not found', HTTP_STATUS.NOT_FOUND, 'REVIEW_NOT_FOUND');
+        }
+        if (review.status === REVIEW_STATUS.HIDDEN) {
+            throw new AppError('Cannot reply to a hidden review', HTTP_STATUS.BAD_REQUEST);
+        }
+
+        return await ReviewRepository.update(review._id, {
+            $set: { vendorReply: { comment, repliedAt: new Date() } }
+        });
+    }
+
+    async deleteReply(vendorId, reviewId) {
+        const review = await ReviewRepository.findOne({ _id: reviewId, vendor: vendorId });
+        if (!review) {
+            throw new AppError('Review not found', HTTP_STATUS.NOT_FOUND, 'REVIEW_NOT_FOUND');
+        }
+
+        return await ReviewRepository.update(review._id, { $unset: { vendorReply: '' } });
+    }
+
+    // ========================================
+    // ADMIN
+    // ========================================
+
+    async getAllReviews(query = {}) {
+        const { page, limit } = this._pagination(query);
+        const filter = {};
+        if (query.status) filter.status = query.status;
+        if (query.product) filter.product = query.product;
+        if (query.vendor) filter.vendor = query.vendor;
+        if (query.customer) filter.customer = query.customer;
+        if (query.rating) filter.rating = Number(query.rating);
+
+        // Moderation queue reads oldest first
+        const sort = query.status === REVIEW_STATUS.PENDING ? { createdAt: 1 } : REVIEW_SORTS.newest;
+        return await ReviewRepository.findAll(filter, sort, page, limit, { withProduct: true });
+    }
+
+    async approveReview(reviewId, { note } = {}, moderator) {
+        return await this._moderate(reviewId, REVIEW_STATUS.APPROVED, note, moderator);
+    }
+
+    async hideReview(reviewId, { note } = {}, moderator) {
+        return await this._moderate(reviewId, REVIEW_STATUS.HIDDEN, note, moderator);
+    }
+
+    /**
+     * Status change + counter move in one transaction. Compare-and-set on the
+     * current status so a double click never counts a review twice.
+     */
+    async _moderate(reviewId, status, note, moderator) {
+        const before = await TransactionManager.execute(async (session) => {
+            const previous = await ReviewRepository.updateWhere(
+                { _id: reviewId, status: { $ne: status } },
+                {
+                    $set: {
+                        status,
+                        moderation: {
+                            moderatedBy: moderator.id,
+                            moderatedByModel: moderator.model,
+                            moderatedAt: new Date(),
+                            note: note || null
+                        }
+                    }
+                },
+                session
+            );
+
+            if (!previous) {
+                const exists = await ReviewRepository.findById(reviewId);
+                throw exists
+                    ? new AppError(`Review is already ${status}`, HTTP_STATUS.CONFLICT, 'REVIEW_CONFLICT')
+                    : new AppError('Review not found', HTTP_STATUS.NOT_FOUND, 'REVIEW_NOT_FOUND');
+            }
+
+            if (status === REVIEW_STATUS.APPROVED) {
+                await ProductRepository.applyRatingChange(previous.product, { add: previous.rating }, session);
+            } else if (previous.status === REVIEW_STATUS.APPROVED) {
+                await ProductRepository.applyRatingChange(previous.product, { remove: previous.rating }, session);
+            }
+            return previous;
+        });
+
+        await this._invalidateProductCache();
+
+        AuditLogger.log(status === REVIEW_STATUS.APPROVED ? 'REVIEW_APPROVED' : 'REVIEW_HIDDEN', 'REVIEW', {
+            reviewId,
+            productId: before.product,
+            previousStatus: before.status,
+            moderatedBy: moderator.id
+        });
+
+        return await ReviewRepository.findById(reviewId);
+    }
+
+    // ========================================
+    // HELPERS
+    // ========================================
+
+    _ratingSummary(product) {
+        const rating = product.rating || {};
+        return {
+            average: rating.average || 0,
+            count: rating.count || 0,
+            distribution: rating.distribution || { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 }
+        };
+    }
+
+    _pagination(query) {
+        return {
+            page: Math.max(parseInt(query.page) || CONFIG.PAGINATION.DEFAULT_PAGE, 1),
+            limit: Math.min(parseInt(query.limit) || CONFIG.PAGINATION.DEFAULT_LIMIT, CONFIG.PAGINATION.MAX_LIMIT)
+        };
+    }
+
+    _assertImageCount(count) {
+        if (count > MAX_REVIEW_IMAGES) {
+            throw new AppError(`A review can have at most ${MAX_REVIEW_IMAGES} photos`, HTTP_STATUS.BAD_REQUEST, 'UPLOAD_ERROR');
+        }
+    }
+
+    async _uploadImages(files, productId) {
+        if (!files?.length) return [];
+
+        if (files.some(file => !file.mimetype.startsWith('image/'))) {
+            throw new AppError('Review photos must be images', HTTP_STATUS.BAD_REQUEST, 'FILE_TYPE_ERROR');
+        }
+
+        const results = await Promise.all(files.map(file => uploadToCloudinary(file, `reviews/${productId}`)));
+        return results.map(result => ({ url: result.secure_url, publicId: result.public_id }));
+    }
+
+    async _deleteImages(images) {
+        await Promise.all((images || []).map(image => deleteFromCloudinary(image.publicId)));
+    }
+
+    async _invalidateProductCache() {
+        // Product detail and listings embed the rating counters
+        await ProductService.invalidateCache();
+    }
+}
+
+export default new ReviewService();
@@ -0,0 +1,220 @@
+import os from 'os';
+import cron from 'node-cron';
+import jobs from '../jobs/index.js';
+import ScheduledJobRepository from '../repositories/scheduledJob.repository.js';
+import JobRunRepository from '../repositories/jobRun.repository.js';
+import DistributedLock from '../utils/distributedLock.js';
+import AppError from '../utils/AppError.js';
+import Logger from '../utils/logger.js';
+import { HTTP_STATUS, CONFIG, JOB_RUN_STATUS, JOB_TRIGGER } from '../constants.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const TICK_MS = 60 * 1000;
+
+// Recorded on each run so history shows which PM2 instance did the work
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+/**
+ * Scheduled Job Service
+ * Every instance schedules the whole registry (src/jobs), but a Redis lock per
+ * job lets only one of them execute a run. Pause state and run history live in
+ * Mongo, so all instances and the admin panel share them.
+ */
+class ScheduledJobService {
+    constructor() {
+        this.tasks = new Map();
+    }
+
+    // ========================================
+    // SCHEDULER
+    // ========================================
+
+    start() {
+        if (this.tasks.size > 0) return;
+
+        for (const job of jobs) {
+            if (!cron.validate(job.schedule)) {
+                throw new Error(`Invalid cron expression for job ${job.name}: ${job.schedule}`);
+            }
+            this.tasks.set(job.name, cron.schedule(job.schedule, () => this._runScheduled(job)));
+        }
+
+        Logger.info(`⏰ ${this.tasks.size} scheduled jobs registered`);
+    }
+
+    stop() {
+        for (const task of this.tasks.values()) {
+            task.stop();
+        }
+        this.tasks.clear();
+    }
+
+    async _runScheduled(job) {
+        try {
+            // All instances fire the same (minute) tick. Claiming it keeps a
+            // quick job from running again on an instance whose timer fired
+            // after the first run had already released its lock.
+            const tick = Math.floor(Date.now() / TICK_MS);
+            const claimed = await DistributedLock.acquire(`job:${job.name}:tick:${tick}`, 2 * TICK_MS);
+            if (!claimed) return;
+
+            await this.run(job.name, { trigger: JOB_TRIGGER.SCHEDULE });
+        } catch (error) {
+            Logger.error('Scheduled job could not start', { job: job.name, error: error.message });
+        }
+    }
+
+    // ========================================
+    // EXECUTION
+    // ========================================
+
+    /**
+     * Run a job under its lock and record the run. Scheduled runs return null
+     * when the job is paused or still running elsewhere; manual runs ignore
+     * the pause and report a running job as a conflict.
+     */
+    async run(name, { trigger = JOB_TRIGGER.MANUAL, triggeredBy = null, triggeredByModel = null } = {}) {
+        const job = this._getJob(name);
+
+        const lockKey = `job:${name}:lock`;
+        const lockTtlMs = (job.lockTtlSeconds || CONFIG.SCHEDULED_JOBS.LOCK_TTL_SECONDS) * 1000;
+        const token = await DistributedLock.acquire(lockKey, lockTtlMs);
+
+        if (!token) {
+            if (trigger === JOB_TRIGGER.MANUAL) {
+                throw new AppError('Job is already running', HTTP_STATUS.CONFLICT, 'JOB_ALREADY_RUNNING');
+            }
+            Logger.debug('Scheduled job skipped, lock held elsewhere', { job: name });
+            return null;
+        }
+
+        try {
+            const state = await ScheduledJobRepository.findByName(name);
+            if (trigger === JOB_TRIGGER.SCHEDULE && state?.isPaused) {
+                return null;
+            }
+
+            return await this._execute(job, state, { trigger, triggeredBy, triggeredByModel });
+        } finally {
+            try {
+                await DistributedLock.release(lockKey, token);
+            } catch (error) {
+                Logger.warn('Failed to release job lock', { job: name, error: error.message });
+            }
+        }
+    }
+
+    async _execute(job, state, { trigger, triggeredBy, triggeredByModel }) {
+        const startedAt = new Date();
+        const since = state?.lastSucceededAt
+            || new Date(startedAt.getTime() - CONFIG.SCHEDULED_JOBS.FIRST_RUN_LOOKBACK_HOURS * HOUR_MS);
+
+        const run = await JobRunRepository.create({
+            job: job.name,
+            trigger,
+            triggeredBy,
+            triggeredByModel,
+            instance: INSTANCE_ID,
+            startedAt
+        });
+
+        let result = null;
+        let error = null;
+        try {
+            result = (await job.run({ now: startedAt, since, trigger })) ?? null;
+        } catch (err) {
+            error = { message: err.message, stack: err.stack };
+            Logger.error('Scheduled job failed', { job: job.name, runId: run._id, error: err.message });
+        }
+
+        const finishedAt = new Date();
+        const durationMs = finishedAt.getTime() - startedAt.getTime();
+        const status = error ? JOB_RUN_STATUS.FAILED : JOB_RUN_STATUS.SUCCEEDED;
+
+        const finished = await JobRunRepository.finish(run._id, {
+            status,
+            finishedAt,
+            durationMs,
+            result,
+            ...(error && { error })
+        });
+
+        await ScheduledJobRepository.recordRun(job.name, {
+            run: run._id,
+            status,
+            startedAt,
+            finishedAt,
+            durationMs,
+            error: error?.message || null
+        }, error ? null : startedAt);
+
+        Logger.info('Scheduled job finished', { job: job.name, trigger, status, durationMs });
+        return finished;
+    }
+
+    // ========================================
+    // ADMIN
+    // ========================================
+
+    async listJobs() {
+        const states = await ScheduledJobRepository.findAll();
+        const statesByName = new Map(states.map(state => [state.name, state]));
+
+        return jobs.map(job => this._toEntry(job, statesByName.get(job.name)));
+    }
+
+    async setPaused(name, isPaused, pausedBy, pausedByModel) {
+        const job = this._getJob(name);
+        const state = await ScheduledJobRepository.setPaused(name, isPaused, { pausedBy, pausedByModel });
+
+        Logger.info(`Scheduled job ${isPaused ? 'paused' : 'resumed'}`, { job: name, by: pausedBy });
+        return this._toEntry(job, state);
+    }
+
+    async getRuns(query = {}) {
+        const { page = 1, limit = 20, job, status, trigger } = query;
+
+        const filter = {};
+        if (job) filter.job = job;
+        if (status) filter.status = status;
+        if (trigger) filter.trigger = trigger;
+
+        const { runs, pagination } = await JobRunRepository.findAll(filter, { startedAt: -1 }, Number(page), Number(limit));
+        return { items: runs, pagination };
+    }
+
+    async getRun(runId) {
+        const run = await JobRunRepository.findById(runId);
+        if (!run) {
+            throw new AppError('Job run not found', HTTP_STATUS.NOT_FOUND, 'JOB_RUN_NOT_FOUND');
+        }
+        return run;
+    }
+
+    // ========================================
+    // HELPERS
+    // ========================================
+
+    _getJob(name) {
+        const job = jobs.find(entry => entry.name === name);
+        if (!job) {
+            throw new AppError('Scheduled job not found', HTTP_STATUS.NOT_FOUND, 'JOB_NOT_FOUND');
+        }
+        return job;
+    }
+
+    _toEntry(job, state) {
+        return {
+            name: job.name,
+            description: job.description,
+            schedule: job.schedule,
+            isPaused: !!state?.isPaused,
+            pausedAt: state?.pausedAt || null,
+            pausedBy: state?.pausedBy || null,
+            lastRun: state?.lastRun?.status ? state.lastRun : null,
+            lastSucceededAt: state?.lastSucceededAt || null
+        };
+    }
+}
+
+export default new ScheduledJobService();
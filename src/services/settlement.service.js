@@ -0,0 +1,247 @@
+import SettlementEntryRepository from '../repositories/settlementEntry.repository.js';
+import SettlementSettingRepository from '../repositories/settlementSetting.repository.js';
+import ContentService from './content.service.js';
+import CommissionService from './commission.service.js';
+import AppError from '../utils/AppError.js';
+import Logger from '../utils/logger.js';
+import { HTTP_STATUS, CONFIG, COUPON_FUNDED_BY, COMMISSION_TYPE, SETTLEMENT_ENTRY_TYPE, SETTLEMENT_ENTRY_STATUS } from '../constants.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value) => parseFloat(Number(value || 0).toFixed(2));
+const sum = (rows, key) => round(rows.reduce((total, row) => total + (row[key] || 0), 0));
+
+/**
+ * Settlement Service
+ * Vendor earnings ledger: what each delivered sub-order earns the vendor,
+ * what refunded returns take back, and the balances derived from it.
+ */
+class SettlementService {
+    // ========================================
+    // SETTINGS
+    // ========================================
+
+    async getSettings() {
+        return await SettlementSettingRepository.getSettings();
+    }
+
+    async updateSettings(data, actorId, role) {
+        return await SettlementSettingRepository.updateSettings({
+            ...data,
+            updatedBy: actorId,
+            updatedByModel: role
+        });
+    }
+
+    // ========================================
+    // LEDGER
+    // ========================================
+
+    /**
+     * Split a vendor sub-order into goods, vendor-funded coupon, tax, shipping
+     * and platform commission. Commission is charged on the goods value after
+     * the vendor's own coupon share, under the rule snapshotted on the line at
+     * checkout (lines placed before commission rules fall back to the default
+     * rate); tax and shipping are never commissioned.
+     */
+    computeEarning(order, subOrder, settings) {
+        const vendorFunded = order.coupon?.fundedBy !== COUPON_FUNDED_BY.PLATFORM;
+        const freeDelivery = order.coupon?.type === 'free_delivery';
+        const fallback = { type: COMMISSION_TYPE.PERCENT, value: settings.defaultCommissionRate || 0 };
+
+        const lines = subOrder.items.map((item) => {
+            const applied = item.commission || fallback;
+            const goods = round(item.subtotal - (item.productDiscount || 0));
+            const couponShare = vendorFunded && !freeDelivery ? round(item.couponDiscount) : 0;
+            const tax = round(item.tax);
+            const commission = CommissionService.calculate(applied, Math.max(0, goods - couponShare), item.quantity);
+
+            return {
+                orderItem: item._id,
+                quantity: item.quantity,
+                goods,
+                couponShare,
+                tax,
+                commissionType: applied.type,
+                commissionRate: applied.value,
+                commission,
+                net: round(goods - couponShare + tax - commission)
+            };
+        });
+
+        // A vendor-funded free-delivery coupon is paid out of the vendor's shipping
+        const shippingCoupon = vendorFunded && freeDelivery ? sum(subOrder.items, 'couponDiscount') : 0;
+        const shipping = round((settings.retainShipping ? 0 : subOrder.shipping || 0) - shippingCoupon);
+
+        return {
+            goods: sum(lines, 'goods'),
+            couponShare: round(sum(lines, 'couponShare') + shippingCoupon),
+            tax: sum(lines, 'tax'),
+            shipping,
+            commission: sum(lines, 'commission'),
+            lines,
+            amount: round(sum(lines, 'net') + shipping)
+        };
+    }
+
+    /**
+     * Earning of a delivered vendor sub-order, held for the return window.
+     * Idempotent per sub-order; joins the caller's transaction.
+     */
+    async recordEarning(order, subOrderId, session = null) {
+        const subOrder = order.subOrders.find(s => s._id.toString() === subOrderId.toString());
+        if (!subOrder?.vendor) {
+            return null; // In-house products are not settled
+        }
+
+        const existing = await SettlementEntryRepository.findEarning(subOrder._id, session);
+        if (existing) {
+            return existing;
+        }
+
+        const [settings, returnSettings] = await Promise.all([
+            this.getSettings(),
+            ContentService.getReturnSettings()
+        ]);
+
+        const deliveredAt = subOrder.deliveredAt ? new Date(subOrder.deliveredAt) : new Date();
+        const holdDays = returnSettings.isEnabled ? returnSettings.returnWindowDays : 0;
+
+        const entry = await SettlementEntryRepository.create({
+            vendor: subOrder.vendor,
+            type: SETTLEMENT_ENTRY_TYPE.EARNING,
+            order: order._id,
+            orderNumber: order.orderNumber,
+            subOrder: subOrder._id,
+            subOrderNumber: subOrder.subOrderNumber,
+            ...this.computeEarning(order, subOrder, settings),
+            availableAt: new Date(deliveredAt.getTime() + holdDays * DAY_MS)
+        }, session);
+
+        Logger.info('Vendor earning recorded', { subOrderNumber: subOrder.subOrderNumber, amount: entry.amount, availableAt: entry.availableAt });
+        return entry;
+    }
+
+    /**
+     * Take back what the vendor earned on refunded units (pro-rata when only part
+     * of the return amount was refunded). Payable immediately, so it nets
+     * against the vendor's next payout.
+     */
+    async recordReturnDeduction(returnRequest, order, refundAmount, session = null) {
+        if (!returnRequest.vendor || !(refundAmount > 0)) {
+            return null;
+        }
+
+        const existing = await SettlementEntryRepository.findDeduction(returnRequest._id, session);
+        if (existing) {
+            return existing;
+        }
+
+        const subOrder = order.subOrders.find(s => s._id.toString() === returnRequest.subOrder.toString());
+        const earning = await SettlementEntryRepository.findEarning(returnRequest.subOrder, session);
+        const isReturnedLine = (line) => line.orderItem.toString() === returnRequest.orderItem.toString();
+
+        // Sub-orders delivered before settlements existed have no earning yet
+        let line = earning?.lines?.find(isReturnedLine);
+        if (!line) {
+            line = this.computeEarning(order, subOrder, await this.getSettings()).lines.find(isReturnedLine);
+        }
+        if (!line) {
+            throw new AppError('Returned item not found on the order', HTTP_STATUS.NOT_FOUND);
+        }
+
+        const share = (returnRequest.quantity / line.quantity) * Math.min(1, refundAmount / returnRequest.amount);
+        const part = (value) => round(value * share);
+
+        const entry = await SettlementEntryRepository.create({
+            vendor: returnRequest.vendor,
+            type: SETTLEMENT_ENTRY_TYPE.RETURN_DEDUCTION,
+            order: order._id,
+            orderNumber: order.orderNumber,
+            subOrder: subOrder._id,
+            subOrderNumber: subOrder.subOrderNumber,
+            returnRequest: returnRequest._id,
+            rmaNumber: returnRequest.rmaNumber,
+            goods: part(line.goods),
+            couponShare: part(line.couponShare),
+            tax: part(line.tax),
+            commission: part(line.commission),
+            amount: -part(line.net),
+            availableAt: new Date()
+        }, session);
+
+        Logger.info('Vendor return deduction recorded', { rmaNumber: returnRequest.rmaNumber, amount: entry.amount });
+        return entry;
+    }
+
+    // ========================================
+    // STATEMENTS
+    // ========================================
+
+    /**
+     * Balances of a vendor: held for the return window, available for the next
+     * run, in an open run, and paid out so far.
+     */
+    async getVendorSummary(vendorId) {
+        const rows = await SettlementEntryRepository.summarize(vendorId, new Date());
+        const summary = { onHold: 0, available: 0, inPayout: 0, paid: 0, nextReleaseAt: null };
+
+        for (const row of rows) {
+            const { status, held } = row._id;
+            if (status === SETTLEMENT_ENTRY_STATUS.PENDING && held) {
+                summary.onHold = round(summary.onHold + row.amount);
+                summary.nextReleaseAt = row.nextReleaseAt;
+            } else if (status === SETTLEMENT_ENTRY_STATUS.PENDING) {
+                summary.available = round(summary.available + row.amount);
+            } else if (status === SETTLEMENT_ENTRY_STATUS.IN_PAYOUT) {
+                summary.inPayout = round(summary.inPayout + row.amount);
+            } else {
+                summary.paid = round(summary.paid + row.amount);
+            }
+        }
+
+        return summary;
+    }
+
+    async getVendorStatement(vendorId, query = {}) {
+        return await this._listEntries({ vendor: vendorId }, query);
+    }
+
+    async getEntries(query = {}) {
+        const filter = {};
+        if (query.vendor) filter.vendor = query.vendor;
+        if (query.payoutRun) filter.payoutRun = query.payoutRun;
+        return await this._listEntries(filter, query);
+    }
+
+    /**
+     * Single entry with its line breakdown (vendors only see their own)
+     */
+    async getEntry(id, scope = {}) {
+        const filter = { _id: id };
+        if (scope.vendorId) filter.vendor = scope.vendorId;
+
+        const entry = await SettlementEntryRepository.findOne(filter);
+        if (!entry) {
+            throw new AppError('Settlement entry not found', HTTP_STATUS.NOT_FOUND);
+        }
+        return entry;
+    }
+
+    async _listEntries(filter, query) {
+        const page = Math.max(parseInt(query.page) || CONFIG.PAGINATION.DEFAULT_PAGE, 1);
+        const limit = Math.min(parseInt(query.limit) || CONFIG.PAGINATION.DEFAULT_LIMIT, CONFIG.PAGINATION.MAX_LIMIT);
+
+        if (query.type) filter.type = query.type;
+        if (query.status) filter.status = query.status;
+        if (query.startDate || query.endDate) {
+            filter.createdAt = {};
+            if (query.startDate) filter.createdAt.$gte = new Date(query.startDate);
+            if (query.endDate) filter.createdAt.$lte = new Date(query.endDate);
+        }
+
+        return await SettlementEntryRepository.findAll(filter, { createdAt: -1 }, page, limit);
+    }
+}
+
+export default new SettlementService();
@@ -0,0 +1,184 @@
+import ShippingZoneRepository from '../repositories/shippingZone.repository.js';
+import AppError from '../utils/AppError.js';
+import Logger from '../utils/logger.js';
+import { pickZone, calculateZoneRate, splitShipping } from '../utils/shippingRates.js';
+import { HTTP_STATUS, CONFIG, SHIPPING_RATE_TYPE } from '../constants.js';
+
+const round = (value) => parseFloat(Number(value || 0).toFixed(2));
+
+const toId = (value) => {
+    if (!value) return null;
+    return value._id ? value._id.toString() : value.toString();
+};
+
+/**
+ * Shipping Zone Service
+ * Zone CRUD for vendors (their own zones) and admins (platform zones, or any
+ * vendor's), plus the quote engine used by the cart and checkout.
+ *
+ * `vendorId === undefined` means an admin caller (no ownership scope).
+ */
+class ShippingZoneService {
+    // ========================================
+    // ZONE MANAGEMENT
+    // ========================================
+
+    async getZones(query = {}, vendorId = undefined) {
+        const page = Math.max(parseInt(query.page) || CONFIG.PAGINATION.DEFAULT_PAGE, 1);
+        const limit = Math.min(parseInt(query.limit) || CONFIG.PAGINATION.DEFAULT_LIMIT, CONFIG.PAGINATION.MAX_LIMIT);
+
+        const filter = {};
+        if (vendorId !== undefined) {
+            filter.vendor = vendorId;
+        } else if (query.vendor) {
+            filter.vendor = query.vendor === 'platform' ? null : query.vendor;
+        }
+        if (query.isActive !== undefined) filter.isActive = String(query.isActive) === 'true';
+        if (query.state) filter.states = query.state;
+
+        return await ShippingZoneRepository.findAll(filter, page, limit);
+    }
+
+    async getZoneById(id, vendorId = undefined) {
+        const zone = await ShippingZoneRepository.findOne(this._scope(id, vendorId));
+        if (!zone) {
+            throw new AppError('Shipping zone not found', HTTP_STATUS.NOT_FOUND, 'SHIPPING_ZONE_NOT_FOUND');
+        }
+        return zone;
+    }
+
+    /**
+     * Vendors always own what they create; admins create platform zones unless they pass a vendor.
+     */
+    async createZone(data, vendorId = undefined) {
+        const payload = { ...data, vendor: vendorId !== undefined ? vendorId : (data.vendor || null) };
+        this._assertZone(payload);
+
+        const zone = await ShippingZoneRepository.create(payload);
+        Logger.info('Shipping zone created', { zoneId: zone._id, vendorId: payload.vendor });
+        return zone;
+    }
+
+    async updateZone(id, data, vendorId = undefined) {
+        const zone = await this.getZoneById(id, vendorId);
+
+        const updates = { ...data };
+        // Ownership never moves through an update
+        delete updates.vendor;
+        this._assertZone({ ...zone, ...updates });
+
+        return await ShippingZoneRepository.updateWhere(this._scope(id, vendorId), { $set: updates });
+    }
+
+    async deleteZone(id, vendorId = undefined) {
+        const zone = await ShippingZoneRepository.deleteWhere(this._scope(id, vendorId));
+        if (!zone) {
+            throw new AppError('Shipping zone not found', HTTP_STATUS.NOT_FOUND, 'SHIPPING_ZONE_NOT_FOUND');
+        }
+        Logger.info('Shipping zone deleted', { zoneId: id, vendorId: zone.vendor });
+    }
+
+    // ========================================
+    // QUOTE ENGINE
+    // ========================================
+
+    /**
+     * Quote shipping of priced cart lines to a destination ({ pincode, state }).
+     * Physical lines are grouped into one package per vendor; each package is
+     * charged by the vendor's best matching zone, falling back to platform zones.
+     * Digital lines never ship.
+     *
+     * Returns null when no zones are configured for any owner involved, so callers
+     * keep the per-product shipping cost.
+     */
+    async quoteShipping(items, destination) {
+        const packages = new Map();
+        items.forEach((item, index) => {
+            if (item.product?.productType === 'digital') return;
+
+            const vendorId = toId(item.product?.vendor);
+            const key = vendorId || 'in-house';
+            if (!packages.has(key)) {
+                packages.set(key, { vendor: vendorId, indexes: [], weight: 0, quantity: 0, orderValue: 0 });
+            }
+
+            const pkg = packages.get(key);
+            pkg.indexes.push(index);
+            pkg.weight += (item.product?.weight || 0) * item.quantity;
+            pkg.quantity += item.quantity;
+            pkg.orderValue += item.finalPrice * item.quantity;
+        });
+
+        const owners = [...new Set([...packages.values()].map(pkg => pkg.vendor).filter(Boolean)), null];
+        const zones = await ShippingZoneRepository.findActiveByOwners(owners);
+        if (!zones.length) return null;
+
+        const platformZones = zones.filter(zone => !zone.vendor);
+        const lineShipping = items.map(() => 0);
+        const quoted = [];
+
+        for (const pkg of packages.values()) {
+            const vendorZones = pkg.vendor ? zones.filter(zone => toId(zone.vendor) === pkg.vendor) : [];
+            const zone = pickZone(vendorZones, destination) || pickZone(platformZones, destination);
+            const cost = zone ? calculateZoneRate(zone, pkg) : null;
+
+            if (cost !== null) {
+                const shares = splitShipping(cost, pkg.indexes.map(index => ({
+                    value: items[index].finalPrice * items[index].quantity,
+                    quantity: items[index].quantity
+                })));
+                pkg.indexes.forEach((index, position) => { lineShipping[index] = shares[position]; });
+            }
+
+            quoted.push({
+                vendor: pkg.vendor,
+                zone: zone ? { _id: zone._id, name: zone.name, estimatedDays: zone.estimatedDays || null } : null,
+                weight: round(pkg.weight),
+                quantity: pkg.quantity,
+                orderValue: round(pkg.orderValue),
+                cost: cost ?? 0,
+                serviceable: cost !== null
+            });
+        }
+
+        return {
+            destination: { pincode: destination.pincode || null, state: destination.state || null },
+            serviceable: quoted.every(pkg => pkg.serviceable),
+            packages: quoted,
+            lineShipping
+        };
+    }
+
+    // ========================================
+    // HELPERS
+    // ========================================
+
+    _scope(id, vendorId) {
+        return vendorId !== undefined ? { _id: id, vendor: vendorId } : { _id: id };
+    }
+
+    /**
+     * Checks that need the whole zone (updates are partial)
+     */
+    _assertZone(zone) {
+        if (!zone.states?.length && !zone.pincodeRanges?.length) {
+            throw new AppError('A zone needs at least one state or PIN code range', HTTP_STATUS.BAD_REQUEST, 'INVALID_SHIPPING_ZONE');
+        }
+
+        if ((zone.pincodeRanges || []).some(range => range.from > range.to)) {
+            throw new AppError('PIN code range start must not exceed its end', HTTP_STATUS.BAD_REQUEST, 'INVALID_SHIPPING_ZONE');
+        }
+
+        const rateType = zone.rateType || SHIPPING_RATE_TYPE.FLAT;
+        if (rateType !== SHIPPING_RATE_TYPE.FLAT) {
+            if (!zone.rates?.length) {
+                throw new AppError(`${rateType} based zones need at least one rate tier`, HTTP_STATUS.BAD_REQUEST, 'INVALID_SHIPPING_ZONE');
+            }
+            if (zone.rates.some(rate => rate.max !== null && rate.max !== undefined && rate.max <= rate.min)) {
+                throw new AppError('Rate tier max must be greater than min', HTTP_STATUS.BAD_REQUEST, 'INVALID_SHIPPING_ZONE');
+            }
+        }
+    }
+}
+
+export default new ShippingZoneService();
@@ -0,0 +1,177 @@
+import VendorRepository from '../repositories/vendor.repository.js';
+import ProductRepository from '../repositories/product.repository.js';
+import ReviewRepository from '../repositories/review.repository.js';
+import ClearanceSaleRepository from '../repositories/clearanceSale.repository.js';
+import ShopFollowerRepository from '../repositories/shopFollower.repository.js';
+import ProductService from './product.service.js';
+import AppError from '../utils/AppError.js';
+import Cache from '../utils/cache.js';
+import L1Cache from '../utils/l1Cache.js';
+import MultiLayerCache from '../utils/multiLayerCache.js';
+import { HTTP_STATUS, CONFIG, VENDOR_STATUS } from '../constants.js';
+
+const SHOP_CACHE_PREFIX = 'shop:';
+const CACHE_TTL = { l1TTL: 60, l2TTL: 300 };
+
+// Vendor fields safe to show on a public storefront
+const SHOP_FIELDS = 'businessName businessAddress businessLogo businessBanner shopSlug createdAt';
+
+const SHOP_PRODUCT_SORTS = {
+    newest: { createdAt: -1, _id: -1 },
+    oldest: { createdAt: 1, _id: 1 },
+    price_asc: { price: 1, _id: 1 },
+    price_desc: { price: -1, _id: -1 },
+    rating: { 'rating.average': -1, 'rating.count': -1, _id: -1 }
+};
+
+/**
+ * Storefront Service
+ * Public shop pages of active vendors: profile (rating, followers, running
+ * clearance sale) and product listing, plus customer follows.
+ *
+ * Profiles are cached under `shop:*` (cleared on any vendor change); product
+ * pages under `products:shop:*` so product writes clear them with the rest of
+ * the product cache.
+ */
+class StorefrontService {
+    async getShop(slug) {
+        const shop = await MultiLayerCache.get(this._profileKey(slug), () => this._buildProfile(slug), CACHE_TTL);
+        if (!shop) {
+            throw new AppError('Shop not found', HTTP_STATUS.NOT_FOUND, 'SHOP_NOT_FOUND');
+        }
+        return shop;
+    }
+
+    /**
+     * Approved, active products of a shop with the same deal enrichment as the
+     * public catalogue
+     */
+    async getShopProducts(slug, query = {}) {
+        const shop = await this.getShop(slug);
+
+        const page = Math.max(parseInt(query.page) || CONFIG.PAGINATION.DEFAULT_PAGE, 1);
+        const limit = Math.min(parseInt(query.limit) || 20, CONFIG.PAGINATION.MAX_LIMIT);
+        const sortKey = SHOP_PRODUCT_SORTS[query.sort] ? query.sort : 'newest';
+
+        const filter = { vendor: shop.id };
+        if (query.category) filter.category = query.category;
+        if (query.search) filter.search = query.search;
+
+        const cacheKey = `products:shop:${shop.id}:${JSON.stringify({ page, limit, sortKey, category: query.category, search: query.search })}`;
+
+        return await MultiLayerCache.get(cacheKey, () => ProductService.getAllProducts({
+            filter,
+            sort: SHOP_PRODUCT_SORTS[sortKey],
+            page,
+            limit
+        }), CACHE_TTL);
+    }
+
+    // ========================================
+    // FOLLOWERS
+    // ========================================
+
+    async followShop(slug, customerId) {
+        const shop = await this.getShop(slug);
+
+        if (await ShopFollowerRepository.follow(shop.id, customerId)) {
+            await MultiLayerCache.del(this._profileKey(slug));
+        }
+        return { following: true, followerCount: await ShopFollowerRepository.countByVendor(shop.id) };
+    }
+
+    async unfollowShop(slug, customerId) {
+        const shop = await this.getShop(slug);
+
+        if (await ShopFollowerRepository.unfollow(shop.id, customerId)) {
+            await MultiLayerCache.del(this._profileKey(slug));
+        }
+        return { following: false, followerCount: await ShopFollowerRepository.countByVendor(shop.id) };
+    }
+
+    async getFollowStatus(slug, customerId) {
+        const shop = await this.getShop(slug);
+        return { following: await ShopFollowerRepository.exists(shop.id, customerId) };
+    }
+
+    /**
+     * Shops a customer follows (suspended shops are left out)
+     */
+    async getFollowedShops(customerId, query = {}) {
+        const page = Math.max(parseInt(query.page) || CONFIG.PAGINATION.DEFAULT_PAGE, 1);
+        const limit = Math.min(parseInt(query.limit) || CONFIG.PAGINATION.DEFAULT_LIMIT, CONFIG.PAGINATION.MAX_LIMIT);
+
+        const { follows, pagination } = await ShopFollowerRepository.findByCustomer(customerId, page, limit);
+
+        return {
+            shops: follows
+                .filter(follow => follow.vendor?.status === VENDOR_STATUS.ACTIVE && follow.vendor.shopSlug)
+                .map(follow => ({
+                    id: follow.vendor._id,
+                    shopSlug: follow.vendor.shopSlug,
+                    businessName: follow.vendor.businessName,
+                    businessLogo: follow.vendor.businessLogo,
+                    followedAt: follow.createdAt
+                })),
+            pagination
+        };
+    }
+
+    /**
+     * Drop every cached shop profile (vendor profile, images or status changed)
+     */
+    async invalidateCache() {
+        await Cache.delByPattern(`${SHOP_CACHE_PREFIX}*`);
+        L1Cache.delByPattern(SHOP_CACHE_PREFIX);
+    }
+
+    async _buildProfile(slug) {
+        const vendor = await VendorRepository.findOne(
+            { shopSlug: String(slug).toLowerCase(), status: VENDOR_STATUS.ACTIVE },
+            SHOP_FIELDS,
+            true
+        );
+        if (!vendor) {
+            return null; // Not cached, so a re-activated shop shows up immediately
+        }
+
+        const [productCount, rating, followerCount, sale] = await Promise.all([
+            ProductRepository.count({ vendor: vendor._id, status: 'approved', isActive: true }),
+            ReviewRepository.getVendorRating(vendor._id),
+            ShopFollowerRepository.countByVendor(vendor._id),
+            ClearanceSaleRepository.findActiveByVendor(vendor._id)
+        ]);
+
+        return {
+            id: vendor._id,
+            shopSlug: vendor.shopSlug,
+            businessName: vendor.businessName,
+            businessAddress: vendor.businessAddress,
+            businessLogo: vendor.businessLogo,
+            businessBanner: vendor.businessBanner,
+            joinedAt: vendor.createdAt,
+            productCount,
+            rating,
+            followerCount,
+            clearanceSale: sale
+                ? {
+                    discountType: sale.discountType,
+                    discountAmount: sale.discountAmount,
+                    startDate: sale.startDate,
+                    expireDate: sale.expireDate,
+                    offerActiveTime: sale.offerActiveTime,
+                    startTime: sale.startTime,
+                    endTime: sale.endTime,
+                    metaTitle: sale.metaTitle,
+                    productCount: (sale.products || []).filter(item => item.isActive).length
+                }
+                : null
+        };
+    }
+
+    _profileKey(slug) {
+        return `${SHOP_CACHE_PREFIX}profile:${String(slug).toLowerCase()}`;
+    }
+}
+
+export default new StorefrontService();
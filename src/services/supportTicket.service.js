@@ -1,9 +1,12 @@
 import SupportTicketRepository from '../repositories/supportTicket.repository.js';
+import RealtimeService from './realtime.service.js';
+import PushService from './push.service.js';
+import NotificationService from './notification.service.js';
 import { emailQueue } from '../config/queue.js';
 import { uploadToCloudinary } from '../utils/cloudinary.js';
 import Cache from '../utils/cache.js';
 import AppError from '../utils/AppError.js';
-import { HTTP_STATUS } from '../constants.js';
+import { HTTP_STATUS, PUSH_EVENT, NOTIFICATION_TYPE, SYSTEM_PERMISSIONS } from '../constants.js';
 import Logger from '../utils/logger.js';
 
 class SupportTicketService {
@@ -27,6 +30,14 @@ class SupportTicketService {
     await Cache.delByPattern(`response:customer:${customerId}:*support-tickets*`);
     await Cache.delByPattern(`response:admin:*support-tickets*`);
 
+    await NotificationService.notifyStaff(SYSTEM_PERMISSIONS.HELP_SUPPORT, {
+      type: NOTIFICATION_TYPE.SUPPORT_TICKET,
+      title: `New support ticket ${ticket.ticketId}`,
+      message: ticket.subject,
+      link: '/admin/support-tickets',
+      data: { ticketId: ticket.ticketId }
+    });
+
     Logger.info(`Support ticket submitted: ${ticket.ticketId} by Customer: ${customerId}`);
     return ticket;
   }
@@ -112,6 +123,19 @@ class SupportTicketService {
       Logger.error(`Failed to queue support ticket reply email`, { ticketId, error: error.message });
     }
 
+    RealtimeService.ticketReplied(ticket);
+    await PushService.notifyUser('customer', ticket.customer._id, PUSH_EVENT.SUPPORT_TICKET_REPLY, {
+      ticketId: ticket.ticketId,
+      subject: ticket.subject
+    });
+    await NotificationService.notify({ role: 'customer', id: ticket.customer._id }, {
+      type: NOTIFICATION_TYPE.SUPPORT_TICKET,
+      title: `Reply to ticket ${ticket.ticketId}`,
+      message: adminReply,
+      link: '/support-tickets',
+      data: { ticketId: ticket.ticketId }
+    });
+
     // Invalidate Caches
     await Cache.delByPattern(`response:customer:${ticket.customer._id}:*support-tickets*`);
     await Cache.delByPattern(`response:admin:*support-tickets*`);
@@ -0,0 +1,140 @@
+import VendorRepository from '../repositories/vendor.repository.js';
+import env from '../config/env.js';
+import { GST_SUPPLY_TYPE, UTGST_TERRITORIES, INDIAN_STATES } from '../constants.js';
+
+const round = (value) => parseFloat(Number(value || 0).toFixed(2));
+
+// GST state code -> state name
+const STATE_BY_GST_CODE = new Map(Object.entries(INDIAN_STATES).map(([name, code]) => [code, name]));
+
+const toId = (value) => {
+    if (!value) return null;
+    return value._id ? value._id.toString() : value.toString();
+};
+
+/**
+ * Tax Service (Indian GST)
+ * Place of supply decides the split: seller and delivery address in the same state
+ * pay CGST + SGST (UTGST in union territories without a legislature), different
+ * states pay IGST. `Product.tax` is the GST rate (percent) or a flat amount per unit;
+ * `taxInclusive` prices carve the tax out of the price instead of adding it.
+ */
+class TaxService {
+    /**
+     * Registered state of a GSTIN from its two-digit state code
+     */
+    stateFromGstin(gstin) {
+        if (!gstin) return null;
+        return STATE_BY_GST_CODE.get(String(gstin).trim().slice(0, 2)) || null;
+    }
+
+    /**
+     * Seller state per vendor id ('in-house' for platform products)
+     */
+    async getSellerStates(vendorIds) {
+        const states = new Map([['in-house', env.PLATFORM_STATE || this.stateFromGstin(env.PLATFORM_GSTIN)]]);
+
+        const vendors = await Promise.all(
+            [...new Set(vendorIds.filter(Boolean))].map(id => VendorRepository.findById(id, 'taxAndLegal', true))
+        );
+        for (const vendor of vendors) {
+            if (!vendor) continue;
+            const taxAndLegal = vendor.taxAndLegal || {};
+            states.set(vendor._id.toString(), taxAndLegal.registeredState || this.stateFromGstin(taxAndLegal.gstNumber));
+        }
+
+        return states;
+    }
+
+    /**
+     * Unknown seller or buyer state is treated as an intra-state supply; the total
+     * tax is the same either way, only the split differs.
+     */
+    getSupplyType(sellerState, buyerState) {
+        return sellerState && buyerState && sellerState !== buyerState
+            ? GST_SUPPLY_TYPE.INTER_STATE
+            : GST_SUPPLY_TYPE.INTRA_STATE;
+    }
+
+    /**
+     * GST of one line.
+     * @param {{unitPrice: number, quantity: number, rate: number, taxType: string, inclusive: boolean, hsnCode: string}} line
+     * @param {{sellerState: string|null, buyerState: string|null}} places
+     */
+    calculateLineTax(line, { sellerState = null, buyerState = null } = {}) {
+        const rate = line.rate || 0;
+        const gross = line.unitPrice * line.quantity;
+
+        let totalTax;
+        if (line.taxType === 'flat') {
+            totalTax = rate * line.quantity;
+        } else if (line.inclusive) {
+            totalTax = gross - gross / (1 + rate / 100);
+        } else {
+            totalTax = gross * rate / 100;
+        }
+        totalTax = round(totalTax);
+
+        const supplyType = this.getSupplyType(sellerState, buyerState);
+        const breakdown = {
+            hsnCode: line.hsnCode || null,
+            taxType: line.taxType || 'percent',
+            rate,
+            inclusive: !!line.inclusive,
+            supplyType,
+            taxableValue: round(line.inclusive ? gross - totalTax : gross),
+            cgst: 0,
+            sgst: 0,
+            igst: 0,
+            stateTaxLabel: UTGST_TERRITORIES.includes(sellerState || buyerState) ? 'UTGST' : 'SGST',
+            totalTax,
+            // Tax charged on top of the price (inclusive prices already contain it)
+            additionalTax: line.inclusive ? 0 : totalTax
+        };
+
+        if (supplyType === GST_SUPPLY_TYPE.INTER_STATE) {
+            breakdown.igst = totalTax;
+        } else {
+            breakdown.cgst = round(totalTax / 2);
+            breakdown.sgst = round(totalTax - breakdown.cgst);
+        }
+
+        return breakdown;
+    }
+
+    /**
+     * Per-line GST breakdown of priced cart lines shipped to `destination` ({ state }).
+     * Returns the breakdowns (aligned with `items`) and the cart totals per tax head.
+     */
+    async calculateCartTaxes(items, destination = null) {
+        const sellerStates = await this.getSellerStates(items.map(item => toId(item.product?.vendor)));
+        const buyerState = destination?.state || null;
+
+        const lines = items.map(item => this.calculateLineTax({
+            unitPrice: item.finalPrice,
+            quantity: item.quantity,
+            rate: item.product?.tax,
+            taxType: item.product?.taxType,
+            inclusive: item.product?.taxInclusive,
+            hsnCode: item.product?.hsnCode
+        }, {
+            sellerState: sellerStates.get(toId(item.product?.vendor) || 'in-house') || null,
+            buyerState
+        }));
+
+        const totals = lines.reduce((sum, line) => ({
+            taxableValue: sum.taxableValue + line.taxableValue,
+            cgst: sum.cgst + line.cgst,
+            sgst: sum.sgst + line.sgst,
+            igst: sum.igst + line.igst,
+            total: sum.total + line.totalTax
+        }), { taxableValue: 0, cgst: 0, sgst: 0, igst: 0, total: 0 });
+
+        return {
+            lines,
+            totals: Object.fromEntries(Object.entries(totals).map(([key, value]) => [key, round(value)]))
+        };
+    }
+}
+
+export default new TaxService();
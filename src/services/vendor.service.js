@@ -4,18 +4,36 @@ import Product from '../models/product.model.js';
 import { uploadToCloudinary, deleteFromCloudinary } from '../utils/cloudinary.js';
 import vendorCache from '../utils/vendorCache.js';
 import AppError from '../utils/AppError.js';
-import { HTTP_STATUS, ERROR_MESSAGES, VENDOR_STATUS } from '../constants.js';
+import { HTTP_STATUS, ERROR_MESSAGES, VENDOR_STATUS, NOTIFICATION_TYPE, CONFIG, SYSTEM_PERMISSIONS } from '../constants.js';
 import { generateToken, generateRefreshToken } from '../utils/jwt.js';
 import AuditLogger from '../utils/audit.js';
 import TransactionManager from '../utils/transaction.js';
 import Logger from '../utils/logger.js';
 import LoginSettingRepository from '../repositories/loginSetting.repository.js';
 import ProductService from './product.service.js';
+import StorefrontService from './storefront.service.js';
+import NotificationService from './notification.service.js';
 import Coupon from '../models/coupon.model.js';
 import ClearanceSale from '../models/clearanceSale.model.js';
 import { emailQueue } from '../config/queue.js';
 import env from '../config/env.js';
 
+// Feed entry shown to the vendor when an admin changes their account status
+const VENDOR_STATUS_NOTICES = {
+  [VENDOR_STATUS.ACTIVE]: {
+    title: 'Your seller account is active',
+    message: 'You can now list products and receive orders.'
+  },
+  [VENDOR_STATUS.INACTIVE]: {
+    title: 'Your seller account has been deactivated',
+    message: 'Your shop is hidden and you cannot receive orders. Contact support for details.'
+  },
+  [VENDOR_STATUS.REJECTED]: {
+    title: 'Your seller application was rejected',
+    message: 'Contact support for details.'
+  }
+};
+
 class VendorService {
   /**
    * Signup Step 1: Basic account creation
@@ -66,6 +84,7 @@ class VendorService {
       registrationStep: 2,
       status: VENDOR_STATUS.PENDING // Now awaiting admin approval
     });
+    await this.ensureShopSlug(updatedVendor);
 
     Logger.info(`Vendor signup Step 2 complete for: ${vendor.email}`);
     AuditLogger.log('VENDOR_SIGNUP_STEP2_COMPLETE', 'VENDOR', { vendorId: vendor._id });
@@ -227,15 +246,25 @@ class VendorService {
     delete updateData.status;
     delete updateData.tokenVersion;
 
+    // Shop URL chosen by the vendor must be free
+    if (updateData.shopSlug) {
+      const taken = await VendorRepository.findOne({ shopSlug: updateData.shopSlug, _id: { $ne: vendorId } }, '_id', true);
+      if (taken) {
+        throw new AppError('This shop URL is already taken', HTTP_STATUS.CONFLICT, 'SHOP_SLUG_TAKEN');
+      }
+    }
+
     const vendor = await VendorRepository.updateById(vendorId, updateData);
 
     if (!vendor) {
       throw new AppError('Vendor not found', HTTP_STATUS.NOT_FOUND);
     }
+    const shopSlug = await this.ensureShopSlug(vendor);
     AuditLogger.log('VENDOR_PROFILE_UPDATED', 'VENDOR', { vendorId, updatedFields: Object.keys(updateData) });
 
     // CACHE INVALIDATION: Clear vendor caches for real-time updates
     await vendorCache.invalidateVendorCache(vendorId);
+    await StorefrontService.invalidateCache();
 
     return {
       message: 'Profile updated successfully',
@@ -244,6 +273,7 @@ class VendorService {
         firstName: vendor.firstName,
         lastName: vendor.lastName,
         businessName: vendor.businessName,
+        shopSlug,
         businessAddress: vendor.businessAddress,
         phoneNumber: vendor.phoneNumber,
         businessTin: vendor.businessTin,
@@ -308,6 +338,7 @@ class VendorService {
 
     // CACHE INVALIDATION: Clear vendor caches for real-time updates
     await vendorCache.invalidateVendorCache(vendorId);
+    await StorefrontService.invalidateCache();
 
     return updatedVendor[field];
   }
@@ -411,6 +442,7 @@ class VendorService {
 
         // Optional fields
         businessName: vendorData.businessName,
+        shopSlug: vendorData.businessName ? await this.generateShopSlug(vendorData.businessName) : undefined,
         businessAddress: vendorData.businessAddress,
         businessTin: vendorData.businessTin,
         taxAndLegal: vendorData.taxAndLegal,
@@ -450,6 +482,52 @@ class VendorService {
     });
   }
 
+  /**
+   * TIN certificate reminders (vendor-tin-expiry job). A vendor is warned when
+   * the expiry date comes within VENDOR_TIN_EXPIRY_NOTICE_DAYS, and again
+   * together with vendor managers once it has passed. Both checks look at the
+   * (since, now] window shifted by their lead time, so each date is announced once.
+   */
+  async notifyTinExpiry(since, now = new Date()) {
+    const leadMs = CONFIG.VENDOR_TIN_EXPIRY_NOTICE_DAYS * 24 * 60 * 60 * 1000;
+
+    const [expiring, expired] = await Promise.all([
+      VendorRepository.findByTinExpiry(new Date(since.getTime() + leadMs), new Date(now.getTime() + leadMs)),
+      VendorRepository.findByTinExpiry(since, now),
+    ]);
+
+    for (const vendor of expiring) {
+      const expiryDate = vendor.businessTin.expiryDate;
+      await NotificationService.notify({ role: 'vendor', id: vendor._id }, {
+        type: NOTIFICATION_TYPE.TIN_EXPIRY,
+        title: 'Your TIN certificate expires soon',
+        message: `Your TIN certificate expires on ${expiryDate.toISOString().slice(0, 10)}. Upload the renewed certificate to keep your account compliant.`,
+        link: '/vendor/profile',
+        data: { expiryDate }
+      });
+    }
+
+    for (const vendor of expired) {
+      const expiryDate = vendor.businessTin.expiryDate;
+      await NotificationService.notify({ role: 'vendor', id: vendor._id }, {
+        type: NOTIFICATION_TYPE.TIN_EXPIRY,
+        title: 'Your TIN certificate has expired',
+        message: 'Upload a valid TIN certificate from your profile.',
+        link: '/vendor/profile',
+        data: { expiryDate }
+      });
+      await NotificationService.notifyStaff(SYSTEM_PERMISSIONS.VENDOR_MANAGEMENT, {
+        type: NOTIFICATION_TYPE.TIN_EXPIRY,
+        title: 'Vendor TIN certificate expired',
+        message: `The TIN certificate of ${vendor.businessName || 'a vendor'} expired on ${expiryDate.toISOString().slice(0, 10)}.`,
+        link: `/admin/vendors/${vendor._id}`,
+        data: { vendorId: vendor._id, expiryDate }
+      });
+    }
+
+    return { expiring: expiring.length, expired: expired.length };
+  }
+
   /**
    * Admin: Update Vendor Status (Approve, Reject, Suspend, Activate)
    */
@@ -466,8 +544,14 @@ class VendorService {
 
     AuditLogger.log(`VENDOR_STATUS_UPDATED_${status.toUpperCase()}`, 'ADMIN', { vendorId, status });
 
+    // Vendors registered before storefronts get their shop URL on (re)activation
+    if (status === VENDOR_STATUS.ACTIVE) {
+      await this.ensureShopSlug(vendor);
+    }
+
     // CACHE INVALIDATION: Clear ALL vendor caches (status affects lists and filters)
     await vendorCache.invalidateAllVendorCaches();
+    await StorefrontService.invalidateCache();
 
     // Trigger Dynamic Emails - ASYNC via Queue
     try {
@@ -492,6 +576,16 @@ class VendorService {
       Logger.error('Failed to queue vendor status update email', { vendorId, status, error: error.message });
     }
 
+    const notice = VENDOR_STATUS_NOTICES[status];
+    if (notice) {
+      await NotificationService.notify({ role: 'vendor', id: vendor._id }, {
+        type: NOTIFICATION_TYPE.VENDOR_STATUS,
+        ...notice,
+        link: '/vendor/dashboard',
+        data: { status }
+      });
+    }
+
     let message = `Vendor ${status} successfully`;
     if (status === VENDOR_STATUS.ACTIVE) message = 'Vendor activated successfully';
     if (status === VENDOR_STATUS.INACTIVE) message = 'Vendor suspended/deactivated successfully';
@@ -539,12 +633,47 @@ class VendorService {
 
       // CACHE INVALIDATION: Clear ALL vendor caches
       await vendorCache.invalidateAllVendorCaches();
+      await StorefrontService.invalidateCache();
 
       Logger.info(`Successfully performed cascade delete for vendor: ${vendorId}`);
       return { message: 'Vendor account and all associated data deleted successfully' };
     });
   }
 
+  /**
+   * Unique storefront slug from a business name (e.g. "Acme Traders" -> "acme-traders-2")
+   */
+  async generateShopSlug(businessName) {
+    const base = String(businessName)
+      .toLowerCase()
+      .trim()
+      .replace(/[^a-z0-9\s-]/g, '')
+      .replace(/[\s-]+/g, '-')
+      .replace(/^-|-$/g, '') || 'shop';
+
+    let slug = base;
+    let counter = 1;
+    while (await VendorRepository.findOne({ shopSlug: slug }, '_id', true)) {
+      slug = `${base}-${counter}`;
+      counter++;
+    }
+    return slug;
+  }
+
+  /**
+   * Give a vendor its shop slug once the business name is known.
+   * Existing slugs never change automatically, so shared shop links keep working.
+   */
+  async ensureShopSlug(vendor) {
+    if (!vendor || vendor.shopSlug || !vendor.businessName) {
+      return vendor?.shopSlug || null;
+    }
+
+    const shopSlug = await this.generateShopSlug(vendor.businessName);
+    await VendorRepository.updateById(vendor._id, { shopSlug });
+    return shopSlug;
+  }
+
   /**
    * Admin: Get Vendor Details by ID
    * CACHED: 10 minutes TTL
@@ -578,6 +707,7 @@ class VendorService {
       businessAddress: vendor.businessAddress,
       businessLogo: vendor.businessLogo,
       businessBanner: vendor.businessBanner,
+      shopSlug: vendor.shopSlug,
 
       // Business TIN
       businessTin: vendor.businessTin,
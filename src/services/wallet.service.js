@@ -0,0 +1,158 @@
+import WalletRepository from '../repositories/wallet.repository.js';
+import WalletTransactionRepository from '../repositories/walletTransaction.repository.js';
+import CustomerRepository from '../repositories/customer.repository.js';
+import TransactionManager from '../utils/transaction.js';
+import AuditLogger from '../utils/audit.js';
+import AppError from '../utils/AppError.js';
+import Logger from '../utils/logger.js';
+import { HTTP_STATUS, CONFIG, WALLET_ENTRY_TYPE, WALLET_ENTRY_SOURCE, WALLET_REFERENCE_TYPE } from '../constants.js';
+
+const round = (value) => parseFloat(Number(value || 0).toFixed(2));
+
+/**
+ * Platform account on the other side of each kind of wallet movement
+ */
+const CONTRA_ACCOUNTS = {
+    [WALLET_ENTRY_SOURCE.ORDER_PAYMENT]: 'platform:order_receipts',
+    [WALLET_ENTRY_SOURCE.ORDER_CANCELLATION]: 'platform:order_receipts',
+    [WALLET_ENTRY_SOURCE.RETURN_REFUND]: 'platform:refunds_payable',
+    [WALLET_ENTRY_SOURCE.STORE_CREDIT]: 'platform:refunds_payable',
+    [WALLET_ENTRY_SOURCE.CASHBACK]: 'platform:marketing',
+    [WALLET_ENTRY_SOURCE.ADJUSTMENT]: 'platform:adjustments'
+};
+
+class WalletService {
+    /**
+     * Balance of a customer (customers without a wallet simply have 0)
+     */
+    async getWallet(customerId) {
+        const wallet = await WalletRepository.findByCustomer(customerId);
+        return {
+            balance: round(wallet?.balance),
+            currency: wallet?.currency || 'INR'
+        };
+    }
+
+    async getBalance(customerId) {
+        const { balance } = await this.getWallet(customerId);
+        return balance;
+    }
+
+    /**
+     * Balance plus the paginated ledger, newest first
+     */
+    async getStatement(customerId, query = {}) {
+        const page = Math.max(parseInt(query.page) || CONFIG.PAGINATION.DEFAULT_PAGE, 1);
+        const limit = Math.min(parseInt(query.limit) || CONFIG.PAGINATION.DEFAULT_LIMIT, CONFIG.PAGINATION.MAX_LIMIT);
+
+        const filter = { customer: customerId };
+        if (query.type) filter.type = query.type;
+        if (query.source) filter.source = query.source;
+        if (query.startDate || query.endDate) {
+            filter.createdAt = {};
+            if (query.startDate) filter.createdAt.$gte = new Date(query.startDate);
+            if (query.endDate) filter.createdAt.$lte = new Date(query.endDate);
+        }
+
+        const [wallet, statement] = await Promise.all([
+            this.getWallet(customerId),
+            WalletTransactionRepository.findAll(filter, { createdAt: -1, _id: -1 }, page, limit)
+        ]);
+
+        return { wallet, ...statement };
+    }
+
+    /**
+     * Add money to the wallet.
+     * @param {Object} entry - { amount, source, reason, reference: { type, id, number }, createdBy, idempotencyKey }
+     * @param {ClientSession} [session] - join the caller's transaction (otherwise one is opened)
+     */
+    async credit(customerId, entry, session = null) {
+        return await this._post(WALLET_ENTRY_TYPE.CREDIT, customerId, entry, session);
+    }
+
+    /**
+     * Take money from the wallet. Fails with INSUFFICIENT_WALLET_BALANCE
+     * instead of letting the balance go negative.
+     */
+    async debit(customerId, entry, session = null) {
+        return await this._post(WALLET_ENTRY_TYPE.DEBIT, customerId, entry, session);
+    }
+
+    /**
+     * Admin/staff credit or debit (goodwill, cashback, corrections)
+     */
+    async adminAdjust(customerId, { type, amount, reason, source }, actor) {
+        const customer = await CustomerRepository.findById(customerId, '_id', true);
+        if (!customer) {
+            throw new AppError('Customer not found', HTTP_STATUS.NOT_FOUND);
+        }
+
+        const entry = await this._post(type, customerId, {
+            amount,
+            source: source || WALLET_ENTRY_SOURCE.ADJUSTMENT,
+            reason,
+            reference: { type: WALLET_REFERENCE_TYPE.ADMIN, id: actor.id || null },
+            createdBy: actor
+        });
+
+        AuditLogger.log('WALLET_ADJUSTED', 'WALLET', {
+            customerId,
+            type,
+            amount: entry.amount,
+            balanceAfter: entry.balanceAfter,
+            by: actor.role,
+            actorId: actor.id
+        });
+
+        return entry;
+    }
+
+    /**
+     * Move the balance and write the ledger entry in one transaction.
+     * A posting with an idempotency key that already exists returns the
+     * original entry (retries, double-processed cancellations...).
+     */
+    async _post(type, customerId, { amount, source, reason, reference, createdBy, idempotencyKey }, session = null) {
+        const value = round(amount);
+        if (!(value > 0)) {
+            throw new AppError('Amount must be greater than 0', HTTP_STATUS.BAD_REQUEST);
+        }
+
+        const post = async (txSession) => {
+            if (idempotencyKey) {
+                const existing = await WalletTransactionRepository.findByIdempotencyKey(idempotencyKey, txSession);
+                if (existing) return existing;
+            }
+
+            const wallet = type === WALLET_ENTRY_TYPE.CREDIT
+                ? await WalletRepository.credit(customerId, value, txSession)
+                : await WalletRepository.debit(customerId, value, txSession);
+
+            if (!wallet) {
+                throw new AppError('Insufficient wallet balance', HTTP_STATUS.BAD_REQUEST, 'INSUFFICIENT_WALLET_BALANCE');
+            }
+
+            return await WalletTransactionRepository.create({
+                wallet: wallet._id,
+                customer: customerId,
+                type,
+                amount: value,
+                balanceAfter: round(wallet.balance),
+                source,
+                contraAccount: CONTRA_ACCOUNTS[source],
+                reason,
+                reference,
+                createdBy: { role: createdBy?.role || 'system', id: createdBy?.id || null },
+                idempotencyKey: idempotencyKey || undefined
+            }, txSession);
+        };
+
+        const entry = session ? await post(session) : await TransactionManager.execute(post);
+
+        Logger.info('Wallet entry posted', { customerId, type, source, amount: value, balanceAfter: entry.balanceAfter });
+        return entry;
+    }
+}
+
+export default new WalletService();
@@ -194,6 +194,10 @@ class WishlistService {
                 basePrice: parseFloat(basePrice.toFixed(2)),
                 finalPrice: parseFloat(finalPrice.toFixed(2)),
                 activeDeal,
+                alerts: {
+                    backInStock: !!item.alerts?.backInStock,
+                    priceDrop: !!item.alerts?.priceDrop
+                },
                 addedAt: item.addedAt
             };
         });
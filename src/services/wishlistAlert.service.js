@@ -0,0 +1,228 @@
+import WishlistRepository from '../repositories/wishlist.repository.js';
+import ProductRepository from '../repositories/product.repository.js';
+import CustomerRepository from '../repositories/customer.repository.js';
+import CartService from './cart.service.js';
+import ClearanceSaleService from './clearanceSale.service.js';
+import FlashDealService from './flashDeal.service.js';
+import FeaturedDealService from './featuredDeal.service.js';
+import DealOfTheDayService from './dealOfTheDay.service.js';
+import { emailQueue } from '../config/queue.js';
+import env from '../config/env.js';
+import AppError from '../utils/AppError.js';
+import Logger from '../utils/logger.js';
+import { HTTP_STATUS, CONFIG, WISHLIST_ALERT_TYPE } from '../constants.js';
+
+const ALERT_TEMPLATE = 'Wishlist Alert';
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Wishlist Alert Service
+ * Opt-in emails for wishlisted products: "back in stock" when a sold-out
+ * product is restocked, and "price drop" when a clearance sale, flash deal or
+ * deal of the day lowers its effective price.
+ *
+ * Every alert is claimed with a conditional update on the wishlist item before
+ * it is queued, so a customer hears about a restock at most once per cooldown
+ * and about a price only when it is below the lowest one already announced.
+ */
+class WishlistAlertService {
+    // ========================================
+    // OPT-IN
+    // ========================================
+
+    async updateAlerts(customerId, productId, { backInStock, priceDrop }) {
+        const fields = {};
+
+        if (backInStock !== undefined) {
+            fields['alerts.backInStock'] = backInStock;
+        }
+
+        if (priceDrop !== undefined) {
+            fields['alerts.priceDrop'] = priceDrop;
+            // Baseline is today's price: only later drops below it are announced
+            if (priceDrop) {
+                const products = await ProductRepository.findForPricing([productId]);
+                const prices = await this.getEffectivePrices(products);
+                fields.alertPrice = prices.get(productId.toString()) ?? null;
+            }
+        }
+
+        const wishlist = await WishlistRepository.updateItemAlerts(customerId, productId, fields);
+        if (!wishlist) {
+            throw new AppError('Product is not in your wishlist', HTTP_STATUS.NOT_FOUND, 'NOT_IN_WISHLIST');
+        }
+
+        const item = wishlist.items.find(entry => entry.product.toString() === productId.toString());
+
+        Logger.info('Wishlist alerts updated', { customerId, productId, alerts: item.alerts });
+
+        return {
+            productId,
+            alerts: item.alerts,
+            alertPrice: item.alertPrice
+        };
+    }
+
+    // ========================================
+    // TRIGGERS
+    // ========================================
+
+    /**
+     * After a stock update. Only a sold-out -> in-stock transition counts.
+     * Never throws: an alert is not worth failing the restock for.
+     */
+    async productRestocked(product, previousQuantity) {
+        if (previousQuantity > 0 || !(product?.quantity > 0) || !this._isPurchasable(product)) return;
+
+        try {
+            const wishlists = await WishlistRepository.findAlertSubscribers([product._id], WISHLIST_ALERT_TYPE.BACK_IN_STOCK);
+            if (wishlists.length === 0) return;
+
+            const cooldownStart = new Date(Date.now() - CONFIG.WISHLIST_ALERTS.BACK_IN_STOCK_COOLDOWN_HOURS * HOUR_MS);
+            const prices = await this.getEffectivePrices([product]);
+            const price = prices.get(product._id.toString());
+
+            const alerts = [];
+            for (const wishlist of wishlists) {
+                const claimed = await WishlistRepository.claimBackInStockAlert(wishlist._id, product._id, cooldownStart);
+                if (claimed) {
+                    alerts.push({ customer: wishlist.customer, product, type: WISHLIST_ALERT_TYPE.BACK_IN_STOCK, price });
+                }
+            }
+
+            await this._queueEmails(alerts);
+        } catch (error) {
+            Logger.error('Failed to send back-in-stock alerts', { productId: product._id, error: error.message });
+        }
+    }
+
+    /**
+     * After a deal change that may lower the price of `productIds`.
+     * Never throws: an alert is not worth failing the deal update for.
+     */
+    async pricesChanged(productIds) {
+        if (!productIds || productIds.length === 0) return;
+
+        try {
+            const wishlists = await WishlistRepository.findAlertSubscribers(productIds, WISHLIST_ALERT_TYPE.PRICE_DROP);
+            if (wishlists.length === 0) return;
+
+            const products = (await ProductRepository.findForPricing(productIds)).filter(product => this._isPurchasable(product));
+            const productsById = new Map(products.map(product => [product._id.toString(), product]));
+            const prices = await this.getEffectivePrices(products);
+
+            const alerts = [];
+            for (const wishlist of wishlists) {
+                for (const item of wishlist.items) {
+                    const productId = item.product.toString();
+                    const price = prices.get(productId);
+
+                    if (!item.alerts?.priceDrop || price === undefined || item.alertPrice === null || price >= item.alertPrice) continue;
+
+                    const claimed = await WishlistRepository.claimPriceDropAlert(wishlist._id, item.product, price);
+                    if (claimed) {
+                        alerts.push({
+                            customer: wishlist.customer,
+                            product: productsById.get(productId),
+                            type: WISHLIST_ALERT_TYPE.PRICE_DROP,
+                            price,
+                            previousPrice: item.alertPrice
+                        });
+                    }
+                }
+            }
+
+            await this._queueEmails(alerts);
+        } catch (error) {
+            Logger.error('Failed to send price-drop alerts', { products: productIds.length, error: error.message });
+        }
+    }
+
+    /**
+     * Same as pricesChanged, for the active products of a sale/deal document
+     */
+    async pricesChangedForDeal(deal) {
+        const productIds = (deal?.products || [])
+            .filter(entry => entry.isActive !== false)
+            .map(entry => entry.product?._id || entry.product);
+
+        await this.pricesChanged(productIds);
+    }
+
+    // ========================================
+    // HELPERS
+    // ========================================
+
+    /**
+     * Effective unit price per product id, using the same best-deal rules as the cart
+     */
+    async getEffectivePrices(products) {
+        if (products.length === 0) return new Map();
+
+        const [withSales, withFlash, withFeatured, withDaily] = await Promise.all([
+            ClearanceSaleService.enrichProductsWithSales([...products]),
+            FlashDealService.enrichProductsWithFlashDeals([...products]),
+            FeaturedDealService.enrichProductsWithFeaturedDeals([...products]),
+            DealOfTheDayService.enrichProductsWithDailyDeals([...products])
+        ]);
+
+        return new Map(products.map((product, index) => {
+            const { finalPrice } = CartService.calculateItemPrice(
+                { quantity: 1 },
+                product,
+                withSales[index],
+                withFlash[index],
+                withFeatured[index],
+                withDaily[index]
+            );
+            return [product._id.toString(), finalPrice];
+        }));
+    }
+
+    async _queueEmails(alerts) {
+        if (alerts.length === 0) return;
+
+        const customerIds = [...new Set(alerts.map(alert => alert.customer.toString()))];
+        const customers = await CustomerRepository.findActiveByIds(customerIds, 'name email');
+        const customersById = new Map(customers.map(customer => [customer._id.toString(), customer]));
+        const frontendUrl = env.FRONTEND_URL || 'https://dobbymall.com';
+
+        for (const alert of alerts) {
+            const customer = customersById.get(alert.customer.toString());
+            if (!customer?.email) continue;
+
+            const { product } = alert;
+            const alertMessage = alert.type === WISHLIST_ALERT_TYPE.BACK_IN_STOCK
+                ? `${product.name} is back in stock.`
+                : `${product.name} dropped from ${alert.previousPrice} to ${alert.price}.`;
+
+            try {
+                await emailQueue.add('send-custom', {
+                    type: 'send-custom',
+                    to: customer.email,
+                    template: ALERT_TEMPLATE,
+                    data: {
+                        username: customer.name,
+                        alertType: alert.type,
+                        alertMessage,
+                        productName: product.name,
+                        productUrl: `${frontendUrl}/product/${product.slug}`,
+                        price: alert.price,
+                        previousPrice: alert.previousPrice ?? ''
+                    },
+                    role: 'customer'
+                });
+            } catch (error) {
+                Logger.error('Failed to queue wishlist alert email', { type: alert.type, productId: product._id, error: error.message });
+            }
+        }
+
+        Logger.info('Wishlist alerts queued', { alerts: alerts.length });
+    }
+
+    _isPurchasable(product) {
+        return product.isActive === true && product.status === 'approved';
+    }
+}
+
+export default new WishlistAlertService();
@@ -0,0 +1,42 @@
+/**
+ * Coupon targeting rules shared by the cart (discount calculation) and
+ * checkout (splitting the discount across vendor sub-orders).
+ */
+
+const toId = (value) => {
+    if (!value) return null;
+    return value._id ? value._id.toString() : value.toString();
+};
+
+const includesId = (list, value) => {
+    const id = toId(value);
+    return !!id && (list || []).some(entry => toId(entry) === id);
+};
+
+/**
+ * Whether a cart line counts towards the coupon. The line must belong to the
+ * coupon vendor (platform coupons have none and cover every vendor) and not be
+ * excluded; when products/categories/sub-categories are set, matching any one
+ * of them qualifies the line.
+ */
+export const isCouponApplicableToItem = (coupon, item) => {
+    const product = item?.product;
+    if (!coupon || !product) return false;
+
+    const couponVendorId = toId(coupon.vendor);
+    if (couponVendorId && couponVendorId !== toId(product.vendor)) return false;
+
+    if (includesId(coupon.excludedProducts, product._id)) return false;
+
+    const hasTargets = [coupon.products, coupon.categories, coupon.subCategories].some(list => list?.length > 0);
+    if (!hasTargets) return true;
+
+    return includesId(coupon.products, product._id)
+        || includesId(coupon.categories, product.category)
+        || includesId(coupon.subCategories, product.subCategory);
+};
+
+export const isCouponAvailableToCustomer = (coupon, customerId) => {
+    if (coupon.customerScope !== 'specific') return true;
+    return includesId(coupon.customers, customerId);
+};
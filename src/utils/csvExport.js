@@ -69,6 +69,22 @@ export const couponCSVHeaders = [
   { label: 'Status', key: 'isActive' },
   { label: 'Bearer', key: 'bearer' },
   { label: 'Vendor', key: 'vendor.businessName' },
+  { label: 'Funded By', key: 'fundedBy' },
   { label: 'Total Used', key: 'totalUsed' },
   { label: 'Created At', key: 'createdAt' }
 ];
+
+export const payoutCSVHeaders = [
+  { label: 'Run Number', key: 'runNumber' },
+  { label: 'Payout ID', key: '_id' },
+  { label: 'Vendor ID', key: 'vendor' },
+  { label: 'Business Name', key: 'businessName' },
+  { label: 'Account Holder', key: 'bankDetails.accountHolderName' },
+  { label: 'Account Number', key: 'bankDetails.accountNumber' },
+  { label: 'IFSC', key: 'bankDetails.ifscCode' },
+  { label: 'Bank Name', key: 'bankDetails.bankName' },
+  { label: 'Amount', key: 'amount' },
+  { label: 'Entries', key: 'entryCount' },
+  { label: 'Status', key: 'status' },
+  { label: 'Reference', key: 'reference' }
+];
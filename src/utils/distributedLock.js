@@ -0,0 +1,40 @@
+import crypto from 'crypto';
+import redisClient from '../config/redis.js';
+
+// Delete the key only while it still holds our token, so an expired lease
+// taken over by another instance is never released by the old holder
+const RELEASE_SCRIPT = `
+if redis.call("get", KEYS[1]) == ARGV[1] then
+  return redis.call("del", KEYS[1])
+end
+return 0
+`;
+
+/**
+ * Distributed Lock
+ * Redis lease shared by every instance (SET NX PX + token-checked release).
+ * Unlike Cache, Redis errors are thrown: callers must not assume they hold a
+ * lock they could not take.
+ */
+class DistributedLock {
+  /**
+   * @param {string} key
+   * @param {number} ttlMs - Lease length; the lock frees itself after this
+   * @returns {Promise<string|null>} Token to release with, or null when held elsewhere
+   */
+  async acquire(key, ttlMs) {
+    const token = crypto.randomUUID();
+    const result = await redisClient.set(key, token, 'PX', ttlMs, 'NX');
+    return result === 'OK' ? token : null;
+  }
+
+  /**
+   * @returns {Promise<boolean>} false when the lease had already expired
+   */
+  async release(key, token) {
+    const deleted = await redisClient.eval(RELEASE_SCRIPT, 1, key, token);
+    return deleted === 1;
+  }
+}
+
+export default new DistributedLock();
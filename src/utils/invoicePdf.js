@@ -0,0 +1,201 @@
+import PDFDocument from 'pdfkit-table';
+import QRCode from 'qrcode';
+
+/**
+ * Invoice / Packing Slip PDF rendering
+ * Takes plain view models (see InvoiceService) and renders one or more documents,
+ * one per page group, into a single PDF buffer. Amounts are in INR; the built-in
+ * Helvetica font has no rupee glyph, so columns are labelled instead.
+ */
+
+const MARGIN = 36;
+const QR_SIZE = 84;
+
+const money = (value) => Number(value || 0).toFixed(2);
+
+const formatDate = (value) => (value
+    ? new Date(value).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric', timeZone: 'Asia/Kolkata' })
+    : '-');
+
+const formatAddress = (address) => {
+    if (!address) return '-';
+    return [
+        address.name,
+        address.addressLine1,
+        address.addressLine2,
+        address.landmark,
+        [address.city, address.state, address.pincode].filter(Boolean).join(', '),
+        address.phoneNumber ? `Phone: ${address.phoneNumber}` : null
+    ].filter(Boolean).join('\n');
+};
+
+const collect = (doc) => new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+});
+
+/**
+ * Title, seller block and QR code shared by both documents. Returns the y below it.
+ */
+const drawHeader = async (doc, title, view) => {
+    const width = doc.page.width - MARGIN * 2;
+    const top = MARGIN;
+
+    const qr = await QRCode.toBuffer(view.qrPayload, { margin: 1, width: QR_SIZE * 2 });
+    doc.image(qr, MARGIN + width - QR_SIZE, top, { width: QR_SIZE });
+
+    doc.font('Helvetica-Bold').fontSize(16).text(title, MARGIN, top);
+    doc.moveDown(0.4);
+    doc.fontSize(10).text(view.seller.name || '-');
+    doc.font('Helvetica').fontSize(8);
+    if (view.seller.address) doc.text(view.seller.address, { width: width - QR_SIZE - 12 });
+    if (view.seller.gstin) doc.text(`GSTIN: ${view.seller.gstin}`);
+    if (view.seller.state) doc.text(`State: ${view.seller.state}`);
+
+    return Math.max(doc.y, top + QR_SIZE) + 12;
+};
+
+const drawReferences = (doc, y, references) => {
+    doc.font('Helvetica').fontSize(8);
+    references.forEach(([label, value], index) => {
+        const column = index % 2;
+        const row = Math.floor(index / 2);
+        const x = MARGIN + column * 270;
+        doc.font('Helvetica-Bold').text(`${label}:`, x, y + row * 12, { continued: true })
+            .font('Helvetica').text(` ${value}`);
+    });
+    return y + Math.ceil(references.length / 2) * 12 + 8;
+};
+
+const drawAddresses = (doc, y, blocks) => {
+    let bottom = y;
+    blocks.forEach(([label, address], index) => {
+        const x = MARGIN + index * 270;
+        doc.font('Helvetica-Bold').fontSize(9).text(label, x, y);
+        doc.font('Helvetica').fontSize(8).text(formatAddress(address), x, y + 12, { width: 250 });
+        bottom = Math.max(bottom, doc.y);
+    });
+    return bottom + 12;
+};
+
+const drawInvoice = async (doc, view) => {
+    const width = doc.page.width - MARGIN * 2;
+    let y = await drawHeader(doc, 'TAX INVOICE', view);
+
+    y = drawReferences(doc, y, [
+        ['Invoice No', view.invoiceNumber],
+        ['Invoice Date', formatDate(view.invoiceDate)],
+        ['Order No', view.orderNumber],
+        ['Order Date', formatDate(view.orderDate)],
+        ['Sub-Order', view.subOrderNumber],
+        ['Place of Supply', view.placeOfSupply || '-']
+    ]);
+    y = drawAddresses(doc, y, [['Bill To', view.billingAddress], ['Ship To', view.shippingAddress]]);
+
+    const stateTax = view.items.find(item => item.stateTaxLabel === 'UTGST') ? 'UTGST' : 'SGST';
+    await doc.table({
+        headers: ['#', 'Item', 'HSN', 'Qty', 'Rate', 'Disc.', 'Taxable', 'GST %', 'CGST', stateTax, 'IGST', 'Total'],
+        rows: view.items.map((item, index) => [
+            String(index + 1),
+            item.sku ? `${item.name}\nSKU: ${item.sku}` : item.name,
+            item.hsnCode || '-',
+            String(item.quantity),
+            money(item.unitPrice),
+            money(item.discount),
+            money(item.taxableValue),
+            item.taxType === 'flat' ? 'flat' : String(item.rate),
+            money(item.cgst),
+            money(item.sgst),
+            money(item.igst),
+            money(item.total)
+        ])
+    }, {
+        x: MARGIN,
+        y,
+        width,
+        columnsSize: [16, 128, 38, 24, 44, 36, 48, 30, 38, 38, 38, 42],
+        prepareHeader: () => doc.font('Helvetica-Bold').fontSize(7),
+        prepareRow: () => doc.font('Helvetica').fontSize(7)
+    });
+
+    const totals = [
+        ['Taxable Value (INR)', view.totals.taxableValue],
+        ['CGST', view.totals.cgst],
+        [stateTax, view.totals.sgst],
+        ['IGST', view.totals.igst],
+        ['Shipping', view.totals.shipping],
+        ['Coupon Discount', -view.totals.couponDiscount],
+        ['Grand Total (INR)', view.totals.total]
+    ];
+    doc.moveDown(0.5);
+    totals.forEach(([label, value], index) => {
+        const bold = index === totals.length - 1;
+        const rowY = doc.y;
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(bold ? 10 : 8);
+        doc.text(label, MARGIN + width - 220, rowY, { width: 130 });
+        doc.text(money(value), MARGIN + width - 90, rowY, { width: 90, align: 'right' });
+    });
+
+    doc.moveDown(1.5);
+    doc.font('Helvetica').fontSize(7).fillColor('gray')
+        .text(`Supply type: ${view.supplyType === 'inter_state' ? 'Inter-state (IGST)' : 'Intra-state (CGST + ' + stateTax + ')'}`, MARGIN)
+        .text('This is a computer generated invoice and does not require a signature.', MARGIN)
+        .fillColor('black');
+};
+
+const drawPackingSlip = async (doc, view) => {
+    const width = doc.page.width - MARGIN * 2;
+    let y = await drawHeader(doc, 'PACKING SLIP', view);
+
+    y = drawReferences(doc, y, [
+        ['Order No', view.orderNumber],
+        ['Order Date', formatDate(view.orderDate)],
+        ['Sub-Order', view.subOrderNumber],
+        ['Items', String(view.items.reduce((sum, item) => sum + item.quantity, 0))]
+    ]);
+    y = drawAddresses(doc, y, [['Ship To', view.shippingAddress]]);
+
+    await doc.table({
+        headers: ['#', 'Item', 'SKU / Variation', 'Qty'],
+        rows: view.items.map((item, index) => [String(index + 1), item.name, item.sku || '-', String(item.quantity)])
+    }, {
+        x: MARGIN,
+        y,
+        width,
+        columnsSize: [24, 300, 150, 49],
+        prepareHeader: () => doc.font('Helvetica-Bold').fontSize(8),
+        prepareRow: () => doc.font('Helvetica').fontSize(8)
+    });
+};
+
+const render = async (views, draw) => {
+    const doc = new PDFDocument({ size: 'A4', margin: MARGIN, bufferPages: false });
+    const done = collect(doc);
+
+    for (let index = 0; index < views.length; index += 1) {
+        if (index > 0) doc.addPage();
+        await draw(doc, views[index]);
+    }
+
+    doc.end();
+    return await done;
+};
+
+/**
+ * @param {Array<object>} invoices invoice view models
+ * @returns {Promise<Buffer>}
+ */
+export const renderInvoicePdf = async (invoices) => render(invoices, drawInvoice);
+
+/**
+ * @param {Array<object>} slips packing slip view models
+ * @returns {Promise<Buffer>}
+ */
+export const renderPackingSlipPdf = async (slips) => render(slips, drawPackingSlip);
+
+export default {
+    renderInvoicePdf,
+    renderPackingSlipPdf,
+};
@@ -0,0 +1,27 @@
+import Razorpay from 'razorpay';
+
+/**
+ * Razorpay Client Factory
+ * The factory is swappable so the payment flow can run against a local fake
+ * (tests, staging without gateway access). A replacement only needs to expose
+ * `orders.create(options)` and `payments.fetch(paymentId)`.
+ */
+const defaultFactory = ({ keyId, keySecret }) => new Razorpay({ key_id: keyId, key_secret: keySecret });
+
+let clientFactory = defaultFactory;
+
+export const createRazorpayClient = (credentials) => clientFactory(credentials);
+
+export const setRazorpayClientFactory = (factory) => {
+  clientFactory = typeof factory === 'function' ? factory : defaultFactory;
+};
+
+export const resetRazorpayClientFactory = () => {
+  clientFactory = defaultFactory;
+};
+
+export default {
+  createRazorpayClient,
+  setRazorpayClientFactory,
+  resetRazorpayClientFactory,
+};
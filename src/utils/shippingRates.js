@@ -0,0 +1,89 @@
+import { SHIPPING_RATE_TYPE } from '../constants.js';
+
+/**
+ * Shipping zone matching and rate rules shared by the cart quote and checkout.
+ * A package is the set of physical cart lines shipped by one vendor.
+ */
+
+const round = (value) => parseFloat(Number(value || 0).toFixed(2));
+
+/**
+ * How specifically a zone covers a destination: 2 = PIN code range, 1 = state, 0 = not covered
+ */
+export const zoneMatchScore = (zone, destination) => {
+    const pincode = Number(destination?.pincode);
+    if (pincode && (zone.pincodeRanges || []).some(range => pincode >= range.from && pincode <= range.to)) {
+        return 2;
+    }
+    if (destination?.state && (zone.states || []).includes(destination.state)) {
+        return 1;
+    }
+    return 0;
+};
+
+/**
+ * Best zone for a destination: PIN code ranges beat whole states, then higher priority wins.
+ * Zones are expected in priority order.
+ */
+export const pickZone = (zones, destination) => {
+    let best = null;
+    let bestScore = 0;
+    for (const zone of zones || []) {
+        const score = zoneMatchScore(zone, destination);
+        if (score > bestScore) {
+            best = zone;
+            bestScore = score;
+        }
+    }
+    return best;
+};
+
+/**
+ * Cost of shipping one package through a zone, or null when no rate tier covers it
+ * (e.g. heavier than the last weight slab).
+ * @param {{weight: number, quantity: number, orderValue: number}} pkg
+ */
+export const calculateZoneRate = (zone, pkg) => {
+    if (zone.freeShippingThreshold !== null && zone.freeShippingThreshold !== undefined
+        && pkg.orderValue >= zone.freeShippingThreshold) {
+        return 0;
+    }
+
+    if (zone.rateType === SHIPPING_RATE_TYPE.FLAT) {
+        return round(zone.flatRate);
+    }
+
+    const metric = {
+        [SHIPPING_RATE_TYPE.WEIGHT]: pkg.weight,
+        [SHIPPING_RATE_TYPE.QUANTITY]: pkg.quantity,
+        [SHIPPING_RATE_TYPE.ORDER_VALUE]: pkg.orderValue
+    }[zone.rateType];
+
+    const tier = (zone.rates || []).find(rate =>
+        metric >= rate.min && (rate.max === null || rate.max === undefined || metric < rate.max)
+    );
+    return tier ? round(tier.cost) : null;
+};
+
+/**
+ * Spread a package charge over its lines pro-rata by line value (by quantity when
+ * every line is free). The last line takes the rounding remainder.
+ * @param {Array<{value: number, quantity: number}>} lines
+ */
+export const splitShipping = (cost, lines) => {
+    if (!lines.length) return [];
+
+    const totalValue = lines.reduce((sum, line) => sum + line.value, 0);
+    const weightOf = totalValue > 0 ? (line) => line.value : (line) => line.quantity;
+    const totalWeight = lines.reduce((sum, line) => sum + weightOf(line), 0) || 1;
+
+    let allocated = 0;
+    return lines.map((line, index) => {
+        if (index === lines.length - 1) {
+            return round(cost - allocated);
+        }
+        const share = round(cost * weightOf(line) / totalWeight);
+        allocated += share;
+        return share;
+    });
+};
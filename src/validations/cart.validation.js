@@ -1,4 +1,5 @@
 import { z } from 'zod';
+import { REGEX, INDIAN_STATES } from '../constants.js';
 
 /**
  * Add to Cart Validation
@@ -21,3 +22,12 @@ export const updateCartItemSchema = z.object({
  * Guest ID Validation (UUID v4)
  */
 export const guestIdSchema = z.string().uuid('Invalid guest ID format');
+
+/**
+ * Shipping Destination Validation (cart query: saved address or PIN code / state)
+ */
+export const shippingDestinationSchema = z.object({
+    addressId: z.string().regex(REGEX.MONGODB_ID, 'Invalid address ID').optional(),
+    pincode: z.string().regex(REGEX.PINCODE, 'PIN code must be 6 digits').optional(),
+    state: z.enum(Object.keys(INDIAN_STATES), { message: 'Invalid state' }).optional()
+});
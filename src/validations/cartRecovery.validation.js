@@ -0,0 +1,48 @@
+import { z } from 'zod';
+import { REGEX, CONFIG, CART_RECOVERY_STATUS } from '../constants.js';
+
+const objectId = (label) => z.string().regex(REGEX.MONGODB_ID, `Invalid ${label}`);
+
+const reminder = z.object({
+  delayHours: z.number().int().min(1).max(30 * 24),
+  includeCoupon: z.boolean().optional(),
+});
+
+const updateSettings = z.object({
+  body: z.object({
+    isEnabled: z.boolean().optional(),
+    reminders: z.array(reminder).min(1).max(CONFIG.CART_RECOVERY.MAX_REMINDERS).optional(),
+    coupon: z.object({
+      discountType: z.enum(['amount', 'percent']).optional(),
+      discountAmount: z.number().min(0).optional(),
+      minPurchase: z.number().min(0).optional(),
+      validityDays: z.number().int().min(1).max(90).optional(),
+    }).optional(),
+  }).refine((data) => Object.keys(data).length > 0, { message: 'Nothing to update' })
+    .refine(
+      (data) => data.coupon?.discountType !== 'percent' || data.coupon?.discountAmount === undefined || data.coupon.discountAmount <= 100,
+      { message: 'Percent discount cannot exceed 100', path: ['coupon', 'discountAmount'] }
+    ),
+});
+
+const listCampaigns = z.object({
+  query: z.object({
+    page: z.coerce.number().int().min(1).optional(),
+    limit: z.coerce.number().int().min(1).max(100).optional(),
+    status: z.enum(Object.values(CART_RECOVERY_STATUS)).optional(),
+    customer: objectId('customer ID').optional(),
+  }),
+});
+
+const report = z.object({
+  query: z.object({
+    startDate: z.string().datetime().optional(),
+    endDate: z.string().datetime().optional(),
+  }),
+});
+
+export default {
+  updateSettings,
+  listCampaigns,
+  report,
+};
@@ -0,0 +1,42 @@
+import { z } from 'zod';
+import { REGEX, PAYMENT_METHOD, INDIAN_STATES } from '../constants.js';
+
+const address = z.object({
+  name: z.string({ required_error: 'Name is required' }).min(2).max(100).trim(),
+  phoneNumber: z.string({ required_error: 'Phone number is required' }).regex(REGEX.PHONE, 'Invalid phone number'),
+  addressLine1: z.string({ required_error: 'Address is required' }).min(3).max(200).trim(),
+  addressLine2: z.string().max(200).trim().optional(),
+  landmark: z.string().max(100).trim().optional(),
+  city: z.string({ required_error: 'City is required' }).min(2).max(100).trim(),
+  state: z.enum(Object.keys(INDIAN_STATES), { message: 'Invalid state' }),
+  pincode: z.string({ required_error: 'Pincode is required' }).regex(/^\d{6}$/, 'Pincode must be 6 digits'),
+  country: z.string().max(100).trim().optional(),
+});
+
+const checkout = z.object({
+  body: z.object({
+    // Either a saved address book entry or an inline address; neither = default shipping address
+    shippingAddressId: z.string().regex(REGEX.MONGODB_ID, 'Invalid address ID').optional(),
+    shippingAddress: address.optional(),
+    billingAddressId: z.string().regex(REGEX.MONGODB_ID, 'Invalid address ID').optional(),
+    billingAddress: address.optional(),
+    notes: z.string().max(500).trim().optional(),
+    paymentMethod: z.enum(Object.values(PAYMENT_METHOD)).default(PAYMENT_METHOD.ONLINE),
+    offlineMethodId: z.string().regex(REGEX.MONGODB_ID, 'Invalid offline method ID').optional(),
+    // Apply the wallet balance first; paymentMethod covers whatever is left
+    useWallet: z.boolean().default(false),
+  }).refine(
+    (data) => !(data.shippingAddressId && data.shippingAddress),
+    { message: 'Send either shippingAddressId or shippingAddress', path: ['shippingAddress'] }
+  ).refine(
+    (data) => !(data.billingAddressId && data.billingAddress),
+    { message: 'Send either billingAddressId or billingAddress', path: ['billingAddress'] }
+  ).refine(
+    (data) => data.paymentMethod !== PAYMENT_METHOD.OFFLINE || !!data.offlineMethodId,
+    { message: 'Offline payment method is required', path: ['offlineMethodId'] }
+  ),
+});
+
+export default {
+  checkout,
+};
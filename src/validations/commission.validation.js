@@ -0,0 +1,71 @@
+import { z } from 'zod';
+import { REGEX, COMMISSION_SCOPE, COMMISSION_TYPE } from '../constants.js';
+
+const objectId = (label) => z.string().regex(REGEX.MONGODB_ID, `Invalid ${label}`);
+
+const ruleParams = z.object({
+  id: objectId('commission rule ID'),
+});
+
+const ruleFields = {
+  name: z.string().trim().min(2).max(100),
+  type: z.enum(Object.values(COMMISSION_TYPE)),
+  value: z.number().min(0),
+  startsAt: z.string().datetime(),
+  endsAt: z.string().datetime().nullable(),
+  isActive: z.boolean(),
+};
+
+const createRule = z.object({
+  body: z.object({
+    ...ruleFields,
+    scope: z.enum(Object.values(COMMISSION_SCOPE)),
+    vendor: objectId('vendor ID').optional(),
+    category: objectId('category ID').optional(),
+    subCategory: objectId('sub-category ID').optional(),
+    type: ruleFields.type.optional(),
+    startsAt: ruleFields.startsAt.optional(),
+    endsAt: ruleFields.endsAt.optional(),
+    isActive: ruleFields.isActive.optional(),
+  }),
+});
+
+// Scope and target are fixed once a rule exists
+const updateRule = z.object({
+  params: ruleParams,
+  body: z.object(ruleFields).partial(),
+});
+
+const ruleById = z.object({
+  params: ruleParams,
+});
+
+const listRules = z.object({
+  query: z.object({
+    page: z.coerce.number().int().min(1).optional(),
+    limit: z.coerce.number().int().min(1).max(100).optional(),
+    scope: z.enum(Object.values(COMMISSION_SCOPE)).optional(),
+    vendor: objectId('vendor ID').optional(),
+    category: objectId('category ID').optional(),
+    subCategory: objectId('sub-category ID').optional(),
+    isActive: z.enum(['true', 'false']).optional(),
+  }),
+});
+
+// Which rule a vendor product would be charged under (optionally at a past/future date)
+const resolveRule = z.object({
+  query: z.object({
+    vendor: objectId('vendor ID'),
+    category: objectId('category ID').optional(),
+    subCategory: objectId('sub-category ID').optional(),
+    at: z.string().datetime().optional(),
+  }),
+});
+
+export default {
+  createRule,
+  updateRule,
+  ruleById,
+  listRules,
+  resolveRule,
+};
@@ -0,0 +1,57 @@
+import { z } from 'zod';
+import { REGEX, ADDRESS_LABEL, INDIAN_STATES } from '../constants.js';
+
+const addressParams = z.object({
+  id: z.string().regex(REGEX.MONGODB_ID, 'Invalid address ID'),
+});
+
+const addressFields = {
+  label: z.enum(Object.values(ADDRESS_LABEL)),
+  name: z.string().trim().min(2).max(100),
+  phoneNumber: z.string().regex(REGEX.PHONE, 'Invalid phone number'),
+  addressLine1: z.string().trim().min(3).max(200),
+  addressLine2: z.string().trim().max(200),
+  landmark: z.string().trim().max(100),
+  city: z.string().trim().min(2).max(100),
+  state: z.enum(Object.keys(INDIAN_STATES), { message: 'Invalid state' }),
+  pincode: z.string().regex(REGEX.PINCODE, 'PIN code must be 6 digits'),
+  isDefaultShipping: z.boolean(),
+  isDefaultBilling: z.boolean(),
+};
+
+const createAddress = z.object({
+  body: z.object({
+    ...addressFields,
+    label: addressFields.label.optional(),
+    addressLine2: addressFields.addressLine2.optional(),
+    landmark: addressFields.landmark.optional(),
+    isDefaultShipping: addressFields.isDefaultShipping.optional(),
+    isDefaultBilling: addressFields.isDefaultBilling.optional(),
+  }),
+});
+
+const updateAddress = z.object({
+  params: addressParams,
+  body: z.object(addressFields).partial().refine(
+    (data) => Object.keys(data).length > 0,
+    { message: 'At least one field is required' }
+  ),
+});
+
+const addressById = z.object({
+  params: addressParams,
+});
+
+const setDefaultAddress = z.object({
+  params: addressParams,
+  body: z.object({
+    type: z.enum(['shipping', 'billing', 'both']).default('both'),
+  }),
+});
+
+export default {
+  createAddress,
+  updateAddress,
+  addressById,
+  setDefaultAddress,
+};
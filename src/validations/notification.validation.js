@@ -0,0 +1,21 @@
+import { z } from 'zod';
+import { REGEX } from '../constants.js';
+
+const feed = z.object({
+  query: z.object({
+    cursor: z.string().regex(REGEX.MONGODB_ID, 'Invalid cursor').optional(),
+    limit: z.coerce.number().int().min(1).max(100).optional(),
+    unread: z.enum(['true', 'false']).optional(),
+  }),
+});
+
+const notificationById = z.object({
+  params: z.object({
+    id: z.string().regex(REGEX.MONGODB_ID, 'Invalid notification ID'),
+  }),
+});
+
+export default {
+  feed,
+  notificationById,
+};
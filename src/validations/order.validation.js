@@ -0,0 +1,112 @@
+import { z } from 'zod';
+import { REGEX, ORDER_STATUS, PAYMENT_STATUS, PAYMENT_METHOD, ORDER_DOCUMENT_TYPE } from '../constants.js';
+
+const objectId = (label) => z.string().regex(REGEX.MONGODB_ID, `Invalid ${label}`);
+
+const orderParams = z.object({
+  id: objectId('order ID'),
+});
+
+const subOrderParams = z.object({
+  id: objectId('order ID'),
+  subOrderId: objectId('sub-order ID'),
+});
+
+const listOrders = z.object({
+  query: z.object({
+    page: z.coerce.number().int().min(1).optional(),
+    limit: z.coerce.number().int().min(1).max(100).optional(),
+    status: z.enum(Object.values(ORDER_STATUS)).optional(),
+    search: z.string().trim().max(50).optional(),
+  }),
+});
+
+const adminListOrders = z.object({
+  query: listOrders.shape.query.extend({
+    paymentStatus: z.enum(Object.values(PAYMENT_STATUS)).optional(),
+    paymentMethod: z.enum(Object.values(PAYMENT_METHOD)).optional(),
+    customer: objectId('customer ID').optional(),
+    vendor: objectId('vendor ID').optional(),
+    startDate: z.string().datetime().optional(),
+    endDate: z.string().datetime().optional(),
+  }),
+});
+
+const getOrder = z.object({
+  params: orderParams,
+});
+
+const cancelOrder = z.object({
+  params: orderParams,
+  body: z.object({
+    subOrderId: objectId('sub-order ID').optional(),
+    reason: z.string().trim().max(500).optional(),
+  }),
+});
+
+const tracking = z.object({
+  carrier: z.string().trim().max(100).optional(),
+  trackingNumber: z.string().trim().max(100).optional(),
+  trackingUrl: z.string().url().optional(),
+});
+
+const updateStatus = z.object({
+  params: subOrderParams,
+  body: z.object({
+    status: z.enum(Object.values(ORDER_STATUS)),
+    note: z.string().trim().max(500).optional(),
+    reason: z.string().trim().max(500).optional(),
+    tracking: tracking.optional(),
+  }),
+});
+
+const adminUpdateStatus = z.object({
+  params: subOrderParams,
+  body: updateStatus.shape.body.extend({
+    force: z.boolean().optional(),
+  }),
+});
+
+const subOrderDocument = z.object({
+  params: subOrderParams,
+});
+
+// Either explicit orders or a date range (an unbounded batch is never queued)
+const documentBatchBody = z.object({
+  type: z.enum(Object.values(ORDER_DOCUMENT_TYPE)),
+  orderIds: z.array(objectId('order ID')).min(1).max(500).optional(),
+  startDate: z.string().datetime().optional(),
+  endDate: z.string().datetime().optional(),
+});
+
+const requireBatchSelection = (body) => !!(body.orderIds || body.startDate || body.endDate);
+const BATCH_SELECTION_MESSAGE = { message: 'Provide orderIds or a date range', path: ['orderIds'] };
+
+const documentBatch = z.object({
+  body: documentBatchBody.refine(requireBatchSelection, BATCH_SELECTION_MESSAGE),
+});
+
+const adminDocumentBatch = z.object({
+  body: documentBatchBody.extend({
+    vendor: objectId('vendor ID').optional(),
+  }).refine(requireBatchSelection, BATCH_SELECTION_MESSAGE),
+});
+
+const batchStatus = z.object({
+  params: z.object({
+    jobId: z.string().trim().min(1).max(64),
+  }),
+});
+
+export default {
+  listOrders,
+  adminListOrders,
+  getOrder,
+  cancelOrder,
+  updateStatus,
+  adminUpdateStatus,
+  subOrderDocument,
+  documentBatch,
+  adminDocumentBatch,
+  batchStatus,
+};
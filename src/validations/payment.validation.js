@@ -0,0 +1,96 @@
+import { z } from 'zod';
+import { REGEX, PAYMENT_METHOD, OFFLINE_PAYMENT_STATUS } from '../constants.js';
+
+const PAYMENT_GATEWAYS = ['razorpay', 'stripe', 'paypal', 'payu', 'ccavenue'];
+
+const orderId = z.string({ required_error: 'Order ID is required' }).regex(REGEX.MONGODB_ID, 'Invalid order ID');
+const gatewayParams = z.object({
+  gateway: z.enum(PAYMENT_GATEWAYS, { message: 'Unsupported payment gateway' }),
+});
+
+const createPayment = z.object({
+  params: gatewayParams,
+  body: z.object({
+    orderId,
+  }),
+});
+
+// Gateway-specific proof fields (signature, payment intent id...) are passed through to the adapter
+const verifyPayment = z.object({
+  params: gatewayParams,
+  body: z.object({
+    orderId,
+  }).passthrough(),
+});
+
+// Payload shape is gateway-specific and checked by the adapter's signature verification
+const webhook = z.object({
+  params: gatewayParams,
+  body: z.object({}).passthrough(),
+});
+
+const paymentStatus = z.object({
+  params: z.object({
+    orderId,
+  }),
+});
+
+const refundPayment = z.object({
+  params: z.object({
+    orderId,
+  }),
+  body: z.object({
+    amount: z.coerce.number().positive('Refund amount must be positive').optional(),
+    reason: z.string().trim().max(500).optional(),
+  }),
+});
+
+// Multipart body (proof file arrives as req.file)
+const submitOfflineProof = z.object({
+  params: z.object({
+    orderId,
+  }),
+  body: z.object({
+    reference: z.string().trim().max(100).optional(),
+  }),
+});
+
+const offlineQueue = z.object({
+  query: z.object({
+    method: z.enum([PAYMENT_METHOD.OFFLINE, PAYMENT_METHOD.COD]).optional(),
+    reviewStatus: z.enum(Object.values(OFFLINE_PAYMENT_STATUS)).optional(),
+    search: z.string().trim().max(50).optional(),
+    page: z.coerce.number().int().min(1).optional(),
+    limit: z.coerce.number().int().min(1).max(100).optional(),
+  }),
+});
+
+const approveOfflinePayment = z.object({
+  params: z.object({
+    orderId,
+  }),
+  body: z.object({
+    note: z.string().trim().max(500).optional(),
+  }),
+});
+
+const rejectOfflinePayment = z.object({
+  params: z.object({
+    orderId,
+  }),
+  body: z.object({
+    reason: z.string({ required_error: 'Rejection reason is required' }).trim().min(3).max(500),
+  }),
+});
+
+export default {
+  createPayment,
+  verifyPayment,
+  webhook,
+  paymentStatus,
+  refundPayment,
+  submitOfflineProof,
+  offlineQueue,
+  approveOfflinePayment,
+  rejectOfflinePayment,
+};
@@ -0,0 +1,32 @@
+import { z } from 'zod';
+
+/**
+ * Payment Setting Validation Schema
+ * Offline methods are replaced as a whole (send the full list).
+ */
+const offlineMethodSchema = z.object({
+  _id: z.string().regex(/^[0-9a-fA-F]{24}$/, 'Invalid method ID').optional(),
+  name: z.string().trim().min(2, 'Method name must be at least 2 characters').max(100),
+  instructions: z.string().trim().max(1000).optional(),
+  details: z.array(z.object({
+    label: z.string().trim().min(1).max(100),
+    value: z.string().trim().min(1).max(200),
+  })).max(20).optional(),
+  requireProof: z.boolean().optional(),
+  isActive: z.boolean().optional(),
+});
+
+export const updateSettingsSchema = z.object({
+  body: z.object({
+    isCodActive: z.boolean().optional(),
+    isDigitalPaymentActive: z.boolean().optional(),
+    codMaxOrderValue: z.number().min(0, 'COD limit cannot be negative').optional(),
+    isCodAllowedForDigital: z.boolean().optional(),
+    isOfflinePaymentActive: z.boolean().optional(),
+    offlineMethods: z.array(offlineMethodSchema).max(10).optional(),
+  }),
+});
+
+export default {
+  updateSettingsSchema,
+};
@@ -0,0 +1,54 @@
+import { z } from 'zod';
+import { REGEX, PUSH_EVENT, NOTIFICATION_RECIPIENT_ROLE } from '../constants.js';
+
+const subscribe = z.object({
+  body: z.object({
+    endpoint: z.string().url('Invalid push endpoint').max(2000),
+    keys: z.object({
+      p256dh: z.string().min(1).max(200),
+      auth: z.string().min(1).max(100),
+    }),
+    expirationTime: z.number().int().positive().nullable().optional(),
+    deviceName: z.string().trim().max(100).optional(),
+  }),
+});
+
+const unsubscribe = z.object({
+  body: z.object({
+    endpoint: z.string().url('Invalid push endpoint').max(2000),
+  }),
+});
+
+const templateParams = z.object({
+  event: z.enum(Object.values(PUSH_EVENT)),
+});
+
+const templateByEvent = z.object({
+  params: templateParams,
+});
+
+const updateTemplate = z.object({
+  params: templateParams,
+  body: z.object({
+    title: z.string().trim().min(1).max(100).optional(),
+    body: z.string().trim().min(1).max(300).optional(),
+    url: z.string().trim().max(500).optional(),
+    icon: z.string().trim().url().max(500).optional(),
+  }).refine(data => Object.keys(data).length > 0, { message: 'Nothing to update' }),
+});
+
+// Defaults to the calling admin's own devices
+const sendTest = z.object({
+  body: z.object({
+    role: z.enum(Object.values(NOTIFICATION_RECIPIENT_ROLE)).optional(),
+    userId: z.string().regex(REGEX.MONGODB_ID, 'Invalid user ID').optional(),
+  }).refine(data => !data.role === !data.userId, { message: 'role and userId must be given together' }),
+});
+
+export default {
+  subscribe,
+  unsubscribe,
+  templateByEvent,
+  updateTemplate,
+  sendTest,
+};
@@ -0,0 +1,101 @@
+import { z } from 'zod';
+import { REGEX, RETURN_STATUS, RETURN_RESOLUTION, RETURN_REASON } from '../constants.js';
+
+const objectId = (label) => z.string().regex(REGEX.MONGODB_ID, `Invalid ${label}`);
+
+const returnParams = z.object({
+  id: objectId('return ID'),
+});
+
+const listQuery = z.object({
+  page: z.coerce.number().int().min(1).optional(),
+  limit: z.coerce.number().int().min(1).max(100).optional(),
+  status: z.enum(Object.values(RETURN_STATUS)).optional(),
+});
+
+// Return forms are multipart (photos), so numbers arrive as strings
+const createReturn = z.object({
+  body: z.object({
+    orderId: objectId('order ID'),
+    subOrderId: objectId('sub-order ID'),
+    itemId: objectId('order item ID'),
+    quantity: z.coerce.number().int().min(1),
+    reason: z.enum(Object.values(RETURN_REASON)),
+    description: z.string().trim().max(2000).optional(),
+    preferredResolution: z.enum(Object.values(RETURN_RESOLUTION)),
+  }),
+});
+
+const listReturns = z.object({
+  query: listQuery,
+});
+
+const adminListReturns = z.object({
+  query: listQuery.extend({
+    vendor: objectId('vendor ID').optional(),
+    customer: objectId('customer ID').optional(),
+    overdue: z.enum(['true', 'false']).optional(),
+  }),
+});
+
+const returnById = z.object({
+  params: returnParams,
+});
+
+const cancelReturn = z.object({
+  params: returnParams,
+  body: z.object({
+    reason: z.string().trim().max(500).optional(),
+  }),
+});
+
+const reviewReturn = z.object({
+  params: returnParams,
+  body: z.object({
+    approve: z.boolean(),
+    note: z.string().trim().max(500).optional(),
+  }),
+});
+
+const updateStatus = z.object({
+  params: returnParams,
+  body: z.object({
+    status: z.enum([
+      RETURN_STATUS.PICKUP_SCHEDULED,
+      RETURN_STATUS.PICKED_UP,
+      RETURN_STATUS.RECEIVED,
+      RETURN_STATUS.INSPECTED,
+    ]),
+    note: z.string().trim().max(500).optional(),
+    pickup: z.object({
+      carrier: z.string().trim().max(100).optional(),
+      trackingNumber: z.string().trim().max(100).optional(),
+      scheduledAt: z.string().datetime().optional(),
+    }).optional(),
+    inspection: z.object({
+      passed: z.boolean(),
+      restock: z.boolean().optional(),
+      note: z.string().trim().max(500).optional(),
+    }).optional(),
+  }),
+});
+
+const resolveReturn = z.object({
+  params: returnParams,
+  body: z.object({
+    type: z.enum(Object.values(RETURN_RESOLUTION)).optional(),
+    amount: z.number().min(0).optional(),
+    note: z.string().trim().max(500).optional(),
+  }),
+});
+
+export default {
+  createReturn,
+  listReturns,
+  adminListReturns,
+  returnById,
+  cancelReturn,
+  reviewReturn,
+  updateStatus,
+  resolveReturn,
+};
@@ -0,0 +1,108 @@
+import { z } from 'zod';
+import { REGEX, REVIEW_STATUS } from '../constants.js';
+
+const objectId = (label) => z.string().regex(REGEX.MONGODB_ID, `Invalid ${label}`);
+
+const reviewParams = z.object({
+  id: objectId('review ID'),
+});
+
+// Review forms are multipart (photos), so numbers arrive as strings
+const rating = z.coerce.number().int().min(1, 'Rating must be between 1 and 5').max(5, 'Rating must be between 1 and 5');
+const listQuery = {
+  page: z.coerce.number().int().min(1).optional(),
+  limit: z.coerce.number().int().min(1).max(100).optional(),
+  rating: z.coerce.number().int().min(1).max(5).optional(),
+  sort: z.enum(['newest', 'highest', 'lowest']).optional(),
+};
+
+const productReviews = z.object({
+  params: z.object({
+    productId: objectId('product ID'),
+  }),
+  query: z.object({
+    ...listQuery,
+    verified: z.enum(['true', 'false']).optional(),
+    withImages: z.enum(['true', 'false']).optional(),
+  }),
+});
+
+const createReview = z.object({
+  body: z.object({
+    productId: objectId('product ID'),
+    rating,
+    title: z.string().trim().max(150).optional(),
+    comment: z.string().trim().max(2000).optional(),
+  }),
+});
+
+const updateReview = z.object({
+  params: reviewParams,
+  body: z.object({
+    rating: rating.optional(),
+    title: z.string().trim().max(150).optional(),
+    comment: z.string().trim().max(2000).optional(),
+    // Single value when only one photo is removed from a multipart form
+    removeImages: z.preprocess(
+      (value) => (typeof value === 'string' ? [value] : value),
+      z.array(z.string().min(1)).max(5)
+    ).optional(),
+  }),
+});
+
+const reviewById = z.object({
+  params: reviewParams,
+});
+
+const myReviews = z.object({
+  query: z.object({
+    page: listQuery.page,
+    limit: listQuery.limit,
+  }),
+});
+
+const vendorReviews = z.object({
+  query: z.object({
+    ...listQuery,
+    product: objectId('product ID').optional(),
+    replied: z.enum(['true', 'false']).optional(),
+  }),
+});
+
+const replyToReview = z.object({
+  params: reviewParams,
+  body: z.object({
+    comment: z.string().trim().min(1, 'Reply is required').max(1000),
+  }),
+});
+
+const adminReviews = z.object({
+  query: z.object({
+    page: listQuery.page,
+    limit: listQuery.limit,
+    rating: listQuery.rating,
+    status: z.enum(Object.values(REVIEW_STATUS)).optional(),
+    product: objectId('product ID').optional(),
+    vendor: objectId('vendor ID').optional(),
+    customer: objectId('customer ID').optional(),
+  }),
+});
+
+const moderateReview = z.object({
+  params: reviewParams,
+  body: z.object({
+    note: z.string().trim().max(500).optional(),
+  }),
+});
+
+export default {
+  productReviews,
+  createReview,
+  updateReview,
+  reviewById,
+  myReviews,
+  vendorReviews,
+  replyToReview,
+  adminReviews,
+  moderateReview,
+};
@@ -0,0 +1,33 @@
+import { z } from 'zod';
+import { REGEX, JOB_RUN_STATUS, JOB_TRIGGER } from '../constants.js';
+
+// Registry names are kebab-case; unknown names are rejected by the service
+const jobName = z.string().regex(/^[a-z0-9]+(-[a-z0-9]+)*$/, 'Invalid job name');
+
+const byName = z.object({
+  params: z.object({
+    name: jobName,
+  }),
+});
+
+const listRuns = z.object({
+  query: z.object({
+    page: z.coerce.number().int().min(1).optional(),
+    limit: z.coerce.number().int().min(1).max(100).optional(),
+    job: jobName.optional(),
+    status: z.enum(Object.values(JOB_RUN_STATUS)).optional(),
+    trigger: z.enum(Object.values(JOB_TRIGGER)).optional(),
+  }),
+});
+
+const runById = z.object({
+  params: z.object({
+    runId: z.string().regex(REGEX.MONGODB_ID, 'Invalid run ID'),
+  }),
+});
+
+export default {
+  byName,
+  listRuns,
+  runById,
+};
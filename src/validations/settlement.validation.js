@@ -0,0 +1,100 @@
+import { z } from 'zod';
+import { REGEX, SETTLEMENT_ENTRY_TYPE, SETTLEMENT_ENTRY_STATUS, PAYOUT_RUN_STATUS, PAYOUT_STATUS } from '../constants.js';
+
+const objectId = (label) => z.string().regex(REGEX.MONGODB_ID, `Invalid ${label}`);
+
+const pageQuery = z.object({
+  page: z.coerce.number().int().min(1).optional(),
+  limit: z.coerce.number().int().min(1).max(100).optional(),
+});
+
+const entryQuery = pageQuery.extend({
+  type: z.enum(Object.values(SETTLEMENT_ENTRY_TYPE)).optional(),
+  status: z.enum(Object.values(SETTLEMENT_ENTRY_STATUS)).optional(),
+  startDate: z.string().datetime().optional(),
+  endDate: z.string().datetime().optional(),
+});
+
+const runParams = z.object({
+  id: objectId('payout run ID'),
+});
+
+const statement = z.object({
+  query: entryQuery,
+});
+
+const adminEntries = z.object({
+  query: entryQuery.extend({
+    vendor: objectId('vendor ID').optional(),
+    payoutRun: objectId('payout run ID').optional(),
+  }),
+});
+
+const entryById = z.object({
+  params: z.object({
+    id: objectId('entry ID'),
+  }),
+});
+
+const vendorSummary = z.object({
+  params: z.object({
+    vendorId: objectId('vendor ID'),
+  }),
+});
+
+const listPayouts = z.object({
+  query: pageQuery,
+});
+
+const updateSettings = z.object({
+  body: z.object({
+    defaultCommissionRate: z.number().min(0).max(100).optional(),
+    retainShipping: z.boolean().optional(),
+    minimumPayoutAmount: z.number().min(0).optional(),
+  }).refine((data) => Object.keys(data).length > 0, { message: 'Nothing to update' }),
+});
+
+const createRun = z.object({
+  body: z.object({
+    cutoff: z.string().datetime().optional(),
+    vendors: z.array(objectId('vendor ID')).max(500).optional(),
+    note: z.string().trim().max(500).optional(),
+  }),
+});
+
+const listRuns = z.object({
+  query: pageQuery.extend({
+    status: z.enum(Object.values(PAYOUT_RUN_STATUS)).optional(),
+  }),
+});
+
+const runById = z.object({
+  params: runParams,
+});
+
+const settlePayout = z.object({
+  params: runParams.extend({
+    payoutId: objectId('payout ID'),
+  }),
+  body: z.object({
+    status: z.enum([PAYOUT_STATUS.PAID, PAYOUT_STATUS.FAILED]),
+    reference: z.string().trim().max(100).optional(),
+    failureReason: z.string().trim().max(500).optional(),
+  }).refine(
+    (data) => data.status !== PAYOUT_STATUS.PAID || !!data.reference,
+    { message: 'Bank reference is required for paid transfers', path: ['reference'] }
+  ),
+});
+
+export default {
+  statement,
+  adminEntries,
+  entryById,
+  vendorSummary,
+  listPayouts,
+  updateSettings,
+  createRun,
+  listRuns,
+  runById,
+  settlePayout,
+};
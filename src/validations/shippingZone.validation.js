@@ -0,0 +1,86 @@
+import { z } from 'zod';
+import { REGEX, INDIAN_STATES, SHIPPING_RATE_TYPE } from '../constants.js';
+
+const objectId = (label) => z.string().regex(REGEX.MONGODB_ID, `Invalid ${label}`);
+
+const zoneParams = z.object({
+  id: objectId('shipping zone ID'),
+});
+
+const pincode = z.number().int().min(100000, 'PIN code must be 6 digits').max(999999, 'PIN code must be 6 digits');
+
+const zoneFields = {
+  name: z.string().trim().min(2).max(100),
+  states: z.array(z.enum(Object.keys(INDIAN_STATES), { message: 'Invalid state' })),
+  pincodeRanges: z.array(z.object({ from: pincode, to: pincode })).max(200),
+  rateType: z.enum(Object.values(SHIPPING_RATE_TYPE)),
+  flatRate: z.number().min(0),
+  rates: z.array(z.object({
+    min: z.number().min(0),
+    max: z.number().min(0).nullable().optional(),
+    cost: z.number().min(0),
+  })).max(50),
+  freeShippingThreshold: z.number().min(0).nullable(),
+  estimatedDays: z.object({
+    min: z.number().int().min(0).nullable().optional(),
+    max: z.number().int().min(0).nullable().optional(),
+  }),
+  priority: z.number().int(),
+  isActive: z.boolean(),
+};
+
+const createZone = z.object({
+  body: z.object({
+    ...zoneFields,
+    states: zoneFields.states.optional(),
+    pincodeRanges: zoneFields.pincodeRanges.optional(),
+    rateType: zoneFields.rateType.optional(),
+    flatRate: zoneFields.flatRate.optional(),
+    rates: zoneFields.rates.optional(),
+    freeShippingThreshold: zoneFields.freeShippingThreshold.optional(),
+    estimatedDays: zoneFields.estimatedDays.optional(),
+    priority: zoneFields.priority.optional(),
+    isActive: zoneFields.isActive.optional(),
+  }),
+});
+
+// Admins may create a zone on behalf of a vendor
+const adminCreateZone = z.object({
+  body: createZone.shape.body.extend({
+    vendor: objectId('vendor ID').nullable().optional(),
+  }),
+});
+
+const updateZone = z.object({
+  params: zoneParams,
+  body: z.object(zoneFields).partial(),
+});
+
+const zoneById = z.object({
+  params: zoneParams,
+});
+
+const listZones = z.object({
+  query: z.object({
+    page: z.coerce.number().int().min(1).optional(),
+    limit: z.coerce.number().int().min(1).max(100).optional(),
+    isActive: z.enum(['true', 'false']).optional(),
+    state: z.enum(Object.keys(INDIAN_STATES)).optional(),
+  }),
+});
+
+const adminListZones = z.object({
+  query: listZones.shape.query.extend({
+    // 'platform' = zones without a vendor
+    vendor: z.union([z.literal('platform'), objectId('vendor ID')]).optional(),
+  }),
+});
+
+export default {
+  createZone,
+  adminCreateZone,
+  updateZone,
+  zoneById,
+  listZones,
+  adminListZones,
+};
@@ -0,0 +1,34 @@
+import { z } from 'zod';
+import { REGEX } from '../constants.js';
+
+const shopParams = z.object({
+  slug: z.string().trim().toLowerCase().max(60).regex(REGEX.SLUG, 'Invalid shop URL'),
+});
+
+const shopBySlug = z.object({
+  params: shopParams,
+});
+
+const shopProducts = z.object({
+  params: shopParams,
+  query: z.object({
+    page: z.coerce.number().int().min(1).optional(),
+    limit: z.coerce.number().int().min(1).max(100).optional(),
+    sort: z.enum(['newest', 'oldest', 'price_asc', 'price_desc', 'rating']).optional(),
+    category: z.string().regex(REGEX.MONGODB_ID, 'Invalid category ID').optional(),
+    search: z.string().trim().min(1).max(100).optional(),
+  }),
+});
+
+const followedShops = z.object({
+  query: z.object({
+    page: z.coerce.number().int().min(1).optional(),
+    limit: z.coerce.number().int().min(1).max(100).optional(),
+  }),
+});
+
+export default {
+  shopBySlug,
+  shopProducts,
+  followedShops,
+};
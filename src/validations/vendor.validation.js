@@ -1,5 +1,5 @@
 import { z } from 'zod';
-import { REGEX } from '../constants.js';
+import { REGEX, INDIAN_STATES } from '../constants.js';
 
 const signupStep1 = z.object({
   body: z.object({
@@ -33,6 +33,7 @@ const signupStep2 = z.object({
       gstNumber: z.string({ required_error: 'GST number is required if tax section is provided' }),
       panNumber: z.string({ required_error: 'PAN number is required if tax section is provided' }),
       taxRegistrationNumber: z.string({ required_error: 'Tax registration number is required if tax section is provided' }),
+      registeredState: z.enum(Object.keys(INDIAN_STATES)).optional(),
     }).optional(),
   }),
 });
@@ -51,6 +52,10 @@ const updateProfile = z.object({
     phoneNumber: z.string().regex(REGEX.PHONE, 'Invalid phone number').optional(),
     businessName: z.string().min(2).trim().optional(),
     businessAddress: z.string().min(5).trim().optional(),
+    // Public shop URL (/shops/:shopSlug)
+    shopSlug: z.string().trim().toLowerCase().min(3).max(60)
+      .regex(REGEX.SLUG, 'Shop URL may only contain letters, numbers and hyphens')
+      .optional(),
     
     // Optional Sections
     businessTin: z.object({
@@ -62,6 +67,7 @@ const updateProfile = z.object({
       gstNumber: z.string().optional(),
       panNumber: z.string().optional(),
       taxRegistrationNumber: z.string().optional(),
+      registeredState: z.enum(Object.keys(INDIAN_STATES)).optional(),
     }).optional(),
     
     // Note: Email is intentionally excluded to make it read-only
@@ -102,6 +108,7 @@ const adminCreateVendor = z.object({
       gstNumber: z.string().optional(),
       panNumber: z.string().optional(),
       taxRegistrationNumber: z.string().optional(),
+      registeredState: z.enum(Object.keys(INDIAN_STATES)).optional(),
     }).optional(),
 
     // Optional Bank Details
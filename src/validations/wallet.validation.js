@@ -0,0 +1,41 @@
+import { z } from 'zod';
+import { REGEX, WALLET_ENTRY_TYPE, WALLET_ENTRY_SOURCE } from '../constants.js';
+
+const customerParams = z.object({
+  customerId: z.string().regex(REGEX.MONGODB_ID, 'Invalid customer ID'),
+});
+
+const statementQuery = z.object({
+  page: z.coerce.number().int().min(1).optional(),
+  limit: z.coerce.number().int().min(1).max(100).optional(),
+  type: z.enum(Object.values(WALLET_ENTRY_TYPE)).optional(),
+  source: z.enum(Object.values(WALLET_ENTRY_SOURCE)).optional(),
+  startDate: z.string().datetime().optional(),
+  endDate: z.string().datetime().optional(),
+});
+
+const statement = z.object({
+  query: statementQuery,
+});
+
+const customerStatement = z.object({
+  params: customerParams,
+  query: statementQuery,
+});
+
+const adjustWallet = z.object({
+  params: customerParams,
+  body: z.object({
+    type: z.enum(Object.values(WALLET_ENTRY_TYPE)),
+    amount: z.number().positive().max(1000000),
+    reason: z.string().trim().min(3).max(500),
+    // Staff may only post goodwill/corrections or cashback by hand
+    source: z.enum([WALLET_ENTRY_SOURCE.ADJUSTMENT, WALLET_ENTRY_SOURCE.CASHBACK]).default(WALLET_ENTRY_SOURCE.ADJUSTMENT),
+  }),
+});
+
+export default {
+  statement,
+  customerStatement,
+  adjustWallet,
+};
@@ -6,3 +6,13 @@ import { z } from 'zod';
 export const addToWishlistSchema = z.object({
     productId: z.string().regex(/^[0-9a-fA-F]{24}$/, 'Invalid product ID')
 });
+
+/**
+ * Wishlist Alert Opt-in Validation
+ */
+export const updateWishlistAlertsSchema = z.object({
+    backInStock: z.boolean().optional(),
+    priceDrop: z.boolean().optional()
+}).refine(data => data.backInStock !== undefined || data.priceDrop !== undefined, {
+    message: 'Provide backInStock and/or priceDrop'
+});
@@ -0,0 +1,51 @@
+import { Worker } from 'bullmq';
+import InvoiceService from '../services/invoice.service.js';
+import Logger from '../utils/logger.js';
+import { getRedisConnection } from '../config/redis.js';
+import { QUEUE_NAMES } from '../config/queue.js';
+
+/**
+ * Export Queue Worker
+ * Long-running document and data exports
+ */
+
+const connectionOptions = getRedisConnection();
+
+const exportWorker = new Worker(
+  QUEUE_NAMES.EXPORT,
+  async (job) => {
+    Logger.info(`📄 Processing export job: ${job.id} - ${job.name}`);
+
+    switch (job.name) {
+      case 'invoice-batch':
+        return await InvoiceService.processBatch(job.data);
+
+      default:
+        Logger.warn(`Unknown export job: ${job.name}`);
+        throw new Error(`Unknown export job: ${job.name}`);
+    }
+  },
+  {
+    connection: connectionOptions,
+    concurrency: 1, // PDF rendering is CPU bound
+  }
+);
+
+// Worker event listeners
+exportWorker.on('completed', (job) => {
+  Logger.debug(`Export job ${job.id} completed`);
+});
+
+exportWorker.on('failed', (job, err) => {
+  Logger.error(`Export job ${job.id} failed after ${job.attemptsMade} attempts`, {
+    error: err.message,
+  });
+});
+
+exportWorker.on('error', (err) => {
+  Logger.error('Export worker error', { error: err.message });
+});
+
+Logger.info('📄 Export worker started');
+
+export default exportWorker;
@@ -7,8 +7,13 @@
 
 import './email.worker.js';
 // import './bulkImport.worker.js'; // Uncomment when needed
-// import './export.worker.js'; // Uncomment when needed
+import './export.worker.js';
+import './push.worker.js';
 
+import ScheduledJobService from '../services/scheduledJob.service.js';
 import Logger from '../utils/logger.js';
 
+// Scheduled jobs (registry in src/jobs)
+ScheduledJobService.start();
+
 Logger.info('🚀 All background workers initialized');
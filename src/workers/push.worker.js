@@ -0,0 +1,43 @@
+import { Worker } from 'bullmq';
+import PushService from '../services/push.service.js';
+import Logger from '../utils/logger.js';
+import { getRedisConnection } from '../config/redis.js';
+import { QUEUE_NAMES } from '../config/queue.js';
+
+/**
+ * Push Queue Worker
+ * One job per event; fans out to every subscription of its recipients
+ */
+
+const connectionOptions = getRedisConnection();
+
+const pushWorker = new Worker(
+  QUEUE_NAMES.PUSH,
+  async (job) => {
+    Logger.info(`🔔 Processing push job: ${job.id} - ${job.data.event}`);
+    return await PushService.processJob(job.data);
+  },
+  {
+    connection: connectionOptions,
+    concurrency: 5,
+  }
+);
+
+// Worker event listeners
+pushWorker.on('completed', (job, result) => {
+  Logger.debug(`Push job ${job.id} completed`, result);
+});
+
+pushWorker.on('failed', (job, err) => {
+  Logger.error(`Push job ${job.id} failed after ${job.attemptsMade} attempts`, {
+    error: err.message,
+  });
+});
+
+pushWorker.on('error', (err) => {
+  Logger.error('Push worker error', { error: err.message });
+});
+
+Logger.info('🔔 Push worker started');
+
+export default pushWorker;
@@ -0,0 +1,67 @@
+import { describe, beforeEach, it, expect, jest } from '@jest/globals';
+
+// Mock dependencies
+jest.mock('../../src/repositories/coupon.repository.js', () => ({
+    __esModule: true,
+    default: {
+        isCodeExists: jest.fn(),
+        create: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/services/couponRedemption.service.js', () => ({
+    __esModule: true,
+    default: {},
+}));
+
+jest.mock('../../src/utils/cache.js', () => ({
+    __esModule: true,
+    default: {
+        delByPattern: jest.fn(),
+    },
+}));
+
+// Import after mocks
+import AdminCouponService from '../../src/services/adminCoupon.service.js';
+import CouponRepository from '../../src/repositories/coupon.repository.js';
+
+const VENDOR_ID = '64b000000000000000000001';
+
+const couponData = (extra = {}) => ({
+    title: 'Festive',
+    code: 'fest10',
+    type: 'discount_on_purchase',
+    discountType: 'percentage',
+    discount: 10,
+    startDate: '2026-11-01',
+    expireDate: '2026-11-30',
+    ...extra,
+});
+
+describe('AdminCouponService', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        CouponRepository.isCodeExists.mockResolvedValue(false);
+        CouponRepository.create.mockImplementation(async (data) => data);
+    });
+
+    describe('createCoupon', () => {
+        it('should record a vendor-borne coupon as vendor-funded', async () => {
+            const coupon = await AdminCouponService.createCoupon(couponData({ bearer: 'vendor', vendor: VENDOR_ID }));
+
+            expect(coupon).toMatchObject({ code: 'FEST10', vendor: VENDOR_ID, fundedBy: 'vendor' });
+        });
+
+        it('should record an admin-borne coupon as platform-funded', async () => {
+            const coupon = await AdminCouponService.createCoupon(couponData({ bearer: 'admin', vendor: VENDOR_ID }));
+
+            expect(coupon).toMatchObject({ vendor: null, fundedBy: 'platform' });
+        });
+
+        it('should keep an explicit funding choice', async () => {
+            const coupon = await AdminCouponService.createCoupon(couponData({ bearer: 'vendor', vendor: VENDOR_ID, fundedBy: 'platform' }));
+
+            expect(coupon.fundedBy).toBe('platform');
+        });
+    });
+});
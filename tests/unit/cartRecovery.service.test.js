@@ -0,0 +1,295 @@
+import { describe, beforeEach, it, expect, jest } from '@jest/globals';
+
+// Mock dependencies
+jest.mock('../../src/repositories/cartRecovery.repository.js', () => ({
+    __esModule: true,
+    default: {
+        createIfAbsent: jest.fn(),
+        findActive: jest.fn(),
+        claimReminder: jest.fn(),
+        setCoupon: jest.fn(),
+        close: jest.fn(),
+        markRecovered: jest.fn(),
+        findAll: jest.fn(),
+        getStats: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/repositories/cartRecoverySetting.repository.js', () => ({
+    __esModule: true,
+    default: {
+        getSettings: jest.fn(),
+        updateSettings: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/repositories/cart.repository.js', () => ({
+    __esModule: true,
+    default: {
+        findIdleCustomerCarts: jest.fn(),
+        findChangeState: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/repositories/customer.repository.js', () => ({
+    __esModule: true,
+    default: {
+        findById: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/services/cart.service.js', () => ({
+    __esModule: true,
+    default: {
+        getCart: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/services/adminCoupon.service.js', () => ({
+    __esModule: true,
+    default: {
+        createCoupon: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/config/queue.js', () => ({
+    __esModule: true,
+    emailQueue: {
+        add: jest.fn(),
+    },
+}));
+
+// Import after mocks
+import CartRecoveryService from '../../src/services/cartRecovery.service.js';
+import CartRecoveryRepository from '../../src/repositories/cartRecovery.repository.js';
+import CartRecoverySettingRepository from '../../src/repositories/cartRecoverySetting.repository.js';
+import CartRepository from '../../src/repositories/cart.repository.js';
+import CustomerRepository from '../../src/repositories/customer.repository.js';
+import CartService from '../../src/services/cart.service.js';
+import AdminCouponService from '../../src/services/adminCoupon.service.js';
+import { emailQueue } from '../../src/config/queue.js';
+
+const HOUR = 60 * 60 * 1000;
+const NOW = new Date('2026-10-20T12:00:00Z');
+const hoursAgo = (hours) => new Date(NOW.getTime() - hours * HOUR);
+
+const settings = {
+    isEnabled: true,
+    reminders: [
+        { delayHours: 1, includeCoupon: false },
+        { delayHours: 24, includeCoupon: false },
+        { delayHours: 72, includeCoupon: true },
+    ],
+    coupon: { discountType: 'percent', discountAmount: 10, minPurchase: 0, validityDays: 7 },
+};
+
+const campaign = (overrides = {}) => ({
+    _id: 'rec-1',
+    cart: 'cart-1',
+    customer: 'cust-1',
+    cartUpdatedAt: hoursAgo(30),
+    reminderCount: 1,
+    lastReminderAt: hoursAgo(29),
+    coupon: { code: null },
+    ...overrides,
+});
+
+describe('CartRecoveryService', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        CartRecoverySettingRepository.getSettings.mockResolvedValue(settings);
+        CartRecoveryRepository.findActive.mockResolvedValue([]);
+        CartRecoveryRepository.close.mockImplementation(async (ids) => ids.length);
+        CartRecoveryRepository.claimReminder.mockImplementation(async (id, step) => campaign({ _id: id, reminderCount: step }));
+        CartRepository.findIdleCustomerCarts.mockResolvedValue([]);
+        CartService.getCart.mockResolvedValue({
+            items: [{ product: { name: 'Shoe <XL>' }, quantity: 2, finalPrice: 40 }],
+            totalItems: 2,
+            total: 80,
+        });
+        CustomerRepository.findById.mockResolvedValue({ _id: 'cust-1', name: 'Jane', email: 'jane@test.com', isActive: true });
+    });
+
+    describe('processAbandonedCarts', () => {
+        it('should do nothing while the campaign is switched off', async () => {
+            CartRecoverySettingRepository.getSettings.mockResolvedValue({ ...settings, isEnabled: false });
+
+            const result = await CartRecoveryService.processAbandonedCarts(NOW);
+
+            expect(result).toEqual({ skipped: true });
+            expect(CartRepository.findIdleCustomerCarts).not.toHaveBeenCalled();
+        });
+
+        it('should open a campaign for an idle cart and send the first reminder with the cart', async () => {
+            CartRepository.findIdleCustomerCarts.mockResolvedValue([
+                { _id: 'cart-1', customer: 'cust-1', updatedAt: hoursAgo(2) },
+                { _id: 'cart-2', customer: 'cust-2', updatedAt: hoursAgo(3) },
+            ]);
+            // cart-2 was picked up by another instance
+            CartRecoveryRepository.createIfAbsent.mockImplementation(async (data) => (
+                data.cart === 'cart-1' ? campaign({ reminderCount: 0, lastReminderAt: null, cartUpdatedAt: data.cartUpdatedAt }) : null
+            ));
+
+            const result = await CartRecoveryService.processAbandonedCarts(NOW);
+
+            expect(CartRepository.findIdleCustomerCarts).toHaveBeenCalledWith({
+                idleBefore: hoursAgo(1),
+                idleSince: hoursAgo(30 * 24),
+                limit: 200,
+            });
+            expect(result.started).toBe(1);
+            expect(CartRecoveryRepository.claimReminder).toHaveBeenCalledWith('rec-1', 1, { sentAt: NOW, withCoupon: false }, { cartValue: 80, itemCount: 2 });
+            expect(emailQueue.add).toHaveBeenCalledTimes(1);
+            const job = emailQueue.add.mock.calls[0][1];
+            expect(job).toMatchObject({
+                to: 'jane@test.com',
+                template: 'Abandoned Cart Reminder',
+                role: 'customer',
+                data: { username: 'Jane', reminderNumber: 1, itemCount: 2, cartTotal: 80, couponCode: '', couponMessage: '' },
+            });
+            expect(job.data.cartItems).toContain('Shoe &lt;XL&gt;');
+            expect(job.data.cartItems).toContain('80');
+        });
+
+        it('should stop reminders once the cart was edited or emptied', async () => {
+            CartRecoveryRepository.findActive.mockResolvedValue([
+                campaign({ _id: 'rec-edited' }),
+                campaign({ _id: 'rec-emptied', cart: 'cart-2' }),
+            ]);
+            CartRepository.findChangeState.mockResolvedValue([
+                { _id: 'cart-1', updatedAt: hoursAgo(1), items: [{ _id: 'line-1' }] },
+                { _id: 'cart-2', updatedAt: hoursAgo(30), items: [] },
+            ]);
+
+            const result = await CartRecoveryService.processAbandonedCarts(NOW);
+
+            expect(CartRecoveryRepository.close).toHaveBeenCalledWith(['rec-edited', 'rec-emptied'], 'cart_changed', NOW);
+            expect(result.stopped).toBe(2);
+            expect(emailQueue.add).not.toHaveBeenCalled();
+        });
+
+        it('should space out reminders for carts picked up late', async () => {
+            // Idle 30h (past the 24h delay) but the first reminder only went out 10 minutes ago
+            CartRecoveryRepository.findActive.mockResolvedValue([campaign({ lastReminderAt: new Date(NOW.getTime() - 10 * 60 * 1000) })]);
+            CartRepository.findChangeState.mockResolvedValue([{ _id: 'cart-1', updatedAt: hoursAgo(30), items: [{ _id: 'line-1' }] }]);
+
+            const result = await CartRecoveryService.processAbandonedCarts(NOW);
+
+            expect(result.reminded).toBe(0);
+            expect(CartRecoveryRepository.claimReminder).not.toHaveBeenCalled();
+        });
+
+        it('should attach one single-use coupon for this customer to the coupon reminder', async () => {
+            CartRecoveryRepository.findActive.mockResolvedValue([
+                campaign({ cartUpdatedAt: hoursAgo(80), reminderCount: 2, lastReminderAt: hoursAgo(56) }),
+            ]);
+            CartRepository.findChangeState.mockResolvedValue([{ _id: 'cart-1', updatedAt: hoursAgo(80), items: [{ _id: 'line-1' }] }]);
+
+            const result = await CartRecoveryService.processAbandonedCarts(NOW);
+
+            expect(result.reminded).toBe(1);
+            expect(AdminCouponService.createCoupon).toHaveBeenCalledWith(expect.objectContaining({
+                bearer: 'admin',
+                fundedBy: 'platform',
+                discountType: 'percent',
+                discountAmount: 10,
+                usageLimit: 1,
+                limitForSameUser: 1,
+                customerScope: 'specific',
+                customers: ['cust-1'],
+                expireDate: new Date(NOW.getTime() + 7 * 24 * HOUR),
+            }));
+            const { code } = AdminCouponService.createCoupon.mock.calls[0][0];
+            expect(code).toMatch(/^CART-[0-9A-F]{8}$/);
+            expect(CartRecoveryRepository.setCoupon).toHaveBeenCalledWith('rec-1', { code, expireDate: expect.any(Date) });
+            expect(emailQueue.add.mock.calls[0][1].data).toMatchObject({ reminderNumber: 3, couponCode: code });
+            expect(emailQueue.add.mock.calls[0][1].data.couponMessage).toContain('10%');
+        });
+
+        it('should not email when another run already sent the reminder', async () => {
+            CartRecoveryRepository.findActive.mockResolvedValue([campaign()]);
+            CartRepository.findChangeState.mockResolvedValue([{ _id: 'cart-1', updatedAt: hoursAgo(30), items: [{ _id: 'line-1' }] }]);
+            CartRecoveryRepository.claimReminder.mockResolvedValue(null);
+
+            const result = await CartRecoveryService.processAbandonedCarts(NOW);
+
+            expect(result.reminded).toBe(0);
+            expect(emailQueue.add).not.toHaveBeenCalled();
+        });
+
+        it('should close campaigns whose reminders are all sent', async () => {
+            CartRecoveryRepository.findActive.mockResolvedValue([campaign({ reminderCount: 3, cartUpdatedAt: hoursAgo(100) })]);
+            CartRepository.findChangeState.mockResolvedValue([{ _id: 'cart-1', updatedAt: hoursAgo(100), items: [{ _id: 'line-1' }] }]);
+
+            const result = await CartRecoveryService.processAbandonedCarts(NOW);
+
+            expect(CartRecoveryRepository.close).toHaveBeenCalledWith(['rec-1'], 'exhausted', NOW);
+            expect(result.exhausted).toBe(1);
+        });
+    });
+
+    describe('markRecovered', () => {
+        it('should credit the order and its coupon to the latest reminded campaign', async () => {
+            CartRecoveryRepository.markRecovered.mockResolvedValue({ _id: 'rec-1' });
+
+            await CartRecoveryService.markRecovered('cust-1', { _id: 'order-1', orderNumber: 'ORD-1', total: 75, coupon: { code: 'CART-AB12CD34' } });
+
+            expect(CartRecoveryRepository.markRecovered).toHaveBeenCalledWith('cust-1', expect.any(Date), {
+                id: 'order-1',
+                orderNumber: 'ORD-1',
+                total: 75,
+                couponCode: 'CART-AB12CD34',
+            });
+        });
+
+        it('should never fail the checkout', async () => {
+            CartRecoveryRepository.markRecovered.mockRejectedValue(new Error('Mongo down'));
+
+            await expect(CartRecoveryService.markRecovered('cust-1', { _id: 'order-1' })).resolves.toBeUndefined();
+        });
+    });
+
+    describe('settings', () => {
+        it('should refuse reminder delays that do not increase', async () => {
+            await expect(CartRecoveryService.updateSettings({
+                reminders: [{ delayHours: 24 }, { delayHours: 24 }],
+            }, 'admin-1', 'Admin')).rejects.toMatchObject({ code: 'INVALID_REMINDER_SCHEDULE' });
+        });
+
+        it('should update single coupon fields without resetting the others', async () => {
+            CartRecoverySettingRepository.updateSettings.mockResolvedValue(settings);
+
+            await CartRecoveryService.updateSettings({ isEnabled: true, coupon: { discountAmount: 15 } }, 'admin-1', 'Admin');
+
+            expect(CartRecoverySettingRepository.updateSettings).toHaveBeenCalledWith({
+                updatedBy: 'admin-1',
+                updatedByModel: 'Admin',
+                isEnabled: true,
+                'coupon.discountAmount': 15,
+            });
+        });
+    });
+
+    describe('getReport', () => {
+        it('should report the recovery rate overall and per reminder', async () => {
+            CartRecoveryRepository.getStats.mockResolvedValue({
+                totals: [{ campaigns: 40, remindersSent: 90, cartValue: 8000, recovered: 10, recoveredRevenue: 2150.5, couponsIssued: 12, couponsRedeemed: 4 }],
+                byStatus: [{ _id: 'recovered', count: 10 }, { _id: 'exhausted', count: 25 }, { _id: 'active', count: 5 }],
+                byReminder: [{ _id: 1, sent: 40, recovered: 6 }, { _id: 2, sent: 30, recovered: 3 }, { _id: 3, sent: 20, recovered: 1 }],
+            });
+
+            const report = await CartRecoveryService.getReport({ startDate: '2026-10-01T00:00:00.000Z', endDate: '2026-10-20T00:00:00.000Z' });
+
+            expect(CartRecoveryRepository.getStats).toHaveBeenCalledWith(new Date('2026-10-01T00:00:00.000Z'), new Date('2026-10-20T00:00:00.000Z'));
+            expect(report).toMatchObject({
+                campaigns: 40,
+                recovered: 10,
+                recoveryRate: 25,
+                recoveredRevenue: 2150.5,
+                couponsRedeemed: 4,
+                byStatus: { active: 5, recovered: 10, cart_changed: 0, exhausted: 25 },
+            });
+            expect(report.byReminder[0]).toEqual({ reminder: 1, sent: 40, recovered: 6, recoveryRate: 15 });
+        });
+    });
+});
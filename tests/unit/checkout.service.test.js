@@ -0,0 +1,537 @@
+import { describe, beforeEach, it, expect, jest } from '@jest/globals';
+import AppError from '../../src/utils/AppError.js';
+
+// Mock dependencies
+jest.mock('../../src/repositories/cart.repository.js', () => ({
+    __esModule: true,
+    default: {
+        findByCustomer: jest.fn(),
+        clearCart: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/repositories/order.repository.js', () => ({
+    __esModule: true,
+    default: {
+        create: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/repositories/product.repository.js', () => ({
+    __esModule: true,
+    default: {
+        decrementStock: jest.fn(),
+        findStockLevels: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/repositories/vendor.repository.js', () => ({
+    __esModule: true,
+    default: {
+        findById: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/repositories/customer.repository.js', () => ({
+    __esModule: true,
+    default: {
+        findById: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/services/cart.service.js', () => ({
+    __esModule: true,
+    default: {
+        enrichCartItems: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/services/product.service.js', () => ({
+    __esModule: true,
+    default: {
+        invalidateCache: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/services/paymentSetting.service.js', () => ({
+    __esModule: true,
+    default: {
+        assertPaymentMethodAllowed: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/services/couponRedemption.service.js', () => ({
+    __esModule: true,
+    default: {
+        assertEligible: jest.fn(),
+        reserve: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/services/customerAddress.service.js', () => ({
+    __esModule: true,
+    default: {
+        getAddressSnapshot: jest.fn(),
+        getDefaultAddress: jest.fn(),
+        toSnapshot: jest.fn((address) => ({ ...address })),
+    },
+}));
+
+jest.mock('../../src/services/wallet.service.js', () => ({
+    __esModule: true,
+    default: {
+        getBalance: jest.fn(),
+        debit: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/services/commission.service.js', () => ({
+    __esModule: true,
+    default: {
+        resolveRules: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/services/realtime.service.js', () => ({
+    __esModule: true,
+    default: {
+        orderPlaced: jest.fn(),
+        productsOutOfStock: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/services/push.service.js', () => ({
+    __esModule: true,
+    default: {
+        notifyUser: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/services/notification.service.js', () => ({
+    __esModule: true,
+    default: {
+        notify: jest.fn(),
+        notifyStaff: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/services/cartRecovery.service.js', () => ({
+    __esModule: true,
+    default: {
+        markRecovered: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/utils/transaction.js', () => ({
+    __esModule: true,
+    default: {
+        execute: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/config/queue.js', () => ({
+    __esModule: true,
+    emailQueue: {
+        add: jest.fn(),
+    },
+}));
+
+// Import after mocks
+import CheckoutService from '../../src/services/checkout.service.js';
+import CartRepository from '../../src/repositories/cart.repository.js';
+import OrderRepository from '../../src/repositories/order.repository.js';
+import ProductRepository from '../../src/repositories/product.repository.js';
+import VendorRepository from '../../src/repositories/vendor.repository.js';
+import CustomerRepository from '../../src/repositories/customer.repository.js';
+import CartService from '../../src/services/cart.service.js';
+import PaymentSettingService from '../../src/services/paymentSetting.service.js';
+import CustomerAddressService from '../../src/services/customerAddress.service.js';
+import WalletService from '../../src/services/wallet.service.js';
+import CommissionService from '../../src/services/commission.service.js';
+import RealtimeService from '../../src/services/realtime.service.js';
+import PushService from '../../src/services/push.service.js';
+import NotificationService from '../../src/services/notification.service.js';
+import CartRecoveryService from '../../src/services/cartRecovery.service.js';
+import TransactionManager from '../../src/utils/transaction.js';
+import { emailQueue } from '../../src/config/queue.js';
+
+const VENDOR_A = '64b000000000000000000001';
+const VENDOR_B = '64b000000000000000000002';
+
+const rawItem = (id, vendor, quantity = 1, extra = {}) => ({
+    _id: `item-${id}`,
+    quantity,
+    variation: null,
+    product: {
+        _id: `prod-${id}`,
+        name: `Product ${id}`,
+        sku: `SKU-${id}`,
+        vendor,
+        isActive: true,
+        status: 'approved',
+        quantity: 50,
+        ...extra,
+    },
+});
+
+const enrichedItem = (id, vendor, { quantity = 1, price = 100, shipping = 0, tax = 0 } = {}) => ({
+    _id: `item-${id}`,
+    product: { _id: `prod-${id}`, name: `Product ${id}`, slug: `product-${id}`, vendor },
+    variation: null,
+    quantity,
+    basePrice: price,
+    finalPrice: price,
+    activeDeal: null,
+    subtotal: price * quantity,
+    totalDiscount: 0,
+    tax,
+    shipping,
+});
+
+describe('CheckoutService', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        TransactionManager.execute.mockImplementation(async (callback) => callback('mock-session'));
+        VendorRepository.findById.mockImplementation(async (id) => ({ _id: id, email: `${id}@vendor.com`, businessName: 'Shop', status: 'active' }));
+        CustomerRepository.findById.mockResolvedValue({ name: 'Jane', email: 'jane@test.com' });
+        OrderRepository.create.mockImplementation(async (data) => data);
+        PaymentSettingService.assertPaymentMethodAllowed.mockResolvedValue(null);
+        CommissionService.resolveRules.mockImplementation(async (targets) => targets.map(() => null));
+        ProductRepository.findStockLevels.mockResolvedValue([]);
+    });
+
+    describe('allocateCouponDiscount', () => {
+        it('should split a value coupon pro-rata across the coupon vendor lines only', () => {
+            const items = [
+                enrichedItem(1, VENDOR_A, { price: 300 }),
+                enrichedItem(2, VENDOR_A, { price: 100 }),
+                enrichedItem(3, VENDOR_B, { price: 500 }),
+            ];
+
+            const shares = CheckoutService.allocateCouponDiscount(items, 40, { vendor: VENDOR_A, type: 'discount_on_purchase' });
+
+            expect(shares).toEqual([30, 10, 0]);
+        });
+
+        it('should put the rounding remainder on the last eligible line', () => {
+            const items = [
+                enrichedItem(1, VENDOR_A, { price: 100 }),
+                enrichedItem(2, VENDOR_A, { price: 100 }),
+                enrichedItem(3, VENDOR_A, { price: 100 }),
+            ];
+
+            const shares = CheckoutService.allocateCouponDiscount(items, 10, { vendor: VENDOR_A, type: 'discount_on_purchase' });
+
+            expect(shares).toEqual([3.33, 3.33, 3.34]);
+        });
+
+        it('should allocate free delivery by line shipping', () => {
+            const items = [
+                enrichedItem(1, VENDOR_A, { shipping: 20 }),
+                enrichedItem(2, VENDOR_A, { shipping: 0 }),
+            ];
+
+            const shares = CheckoutService.allocateCouponDiscount(items, 20, { vendor: VENDOR_A, type: 'free_delivery' });
+
+            expect(shares).toEqual([20, 0]);
+        });
+
+        it('should split a platform coupon across every vendor pro-rata', () => {
+            const items = [
+                enrichedItem(1, VENDOR_A, { price: 300 }),
+                enrichedItem(2, VENDOR_B, { price: 100 }),
+                enrichedItem(3, null, { price: 100 }),
+            ];
+
+            const shares = CheckoutService.allocateCouponDiscount(items, 50, { vendor: null, type: 'discount_on_purchase', fundedBy: 'platform' });
+
+            expect(shares).toEqual([30, 10, 10]);
+        });
+
+        it('should only discount targeted categories and skip excluded products', () => {
+            const items = [
+                enrichedItem(1, VENDOR_A, { price: 200 }),
+                enrichedItem(2, VENDOR_A, { price: 100 }),
+                enrichedItem(3, VENDOR_A, { price: 100 }),
+            ];
+            items[0].product.category = 'cat-shoes';
+            items[1].product.category = 'cat-shoes';
+            items[2].product.category = 'cat-bags';
+
+            const shares = CheckoutService.allocateCouponDiscount(items, 20, {
+                vendor: VENDOR_A,
+                type: 'discount_on_purchase',
+                categories: ['cat-shoes'],
+                excludedProducts: ['prod-2'],
+            });
+
+            expect(shares).toEqual([20, 0, 0]);
+        });
+    });
+
+    describe('checkout', () => {
+        const payload = {
+            shippingAddress: {
+                name: 'Jane',
+                phoneNumber: '9876543210',
+                addressLine1: '1 Main Street',
+                city: 'Pune',
+                state: 'Maharashtra',
+                pincode: '411001',
+            },
+        };
+
+        it('should throw if the cart is empty', async () => {
+            CartRepository.findByCustomer.mockResolvedValue({ items: [] });
+
+            await expect(CheckoutService.checkout('cust-1', payload)).rejects.toThrow(AppError);
+            expect(TransactionManager.execute).not.toHaveBeenCalled();
+        });
+
+        it('should reject items with insufficient stock before opening a transaction', async () => {
+            CartRepository.findByCustomer.mockResolvedValue({
+                items: [rawItem(1, VENDOR_A, 5, { quantity: 2 })],
+            });
+
+            await expect(CheckoutService.checkout('cust-1', payload)).rejects.toThrow('Only 2 units');
+            expect(TransactionManager.execute).not.toHaveBeenCalled();
+        });
+
+        it('should create one sub-order per vendor, decrement stock and clear the cart', async () => {
+            CartRepository.findByCustomer.mockResolvedValue({
+                items: [rawItem(1, VENDOR_A, 2), rawItem(2, VENDOR_B), rawItem(3, null)],
+                appliedCoupon: null,
+            });
+            CartService.enrichCartItems.mockResolvedValue({
+                items: [
+                    enrichedItem(1, VENDOR_A, { quantity: 2, price: 100, shipping: 10 }),
+                    enrichedItem(2, VENDOR_B, { price: 50, tax: 9 }),
+                    enrichedItem(3, null, { price: 20 }),
+                ],
+                summary: { totalItems: 4, couponDiscount: 0 },
+            });
+
+            const order = await CheckoutService.checkout('cust-1', payload);
+
+            expect(order.subOrders).toHaveLength(3);
+            expect(order.subOrders.map(s => s.vendor)).toEqual([VENDOR_A, VENDOR_B, null]);
+            expect(order.subOrders[0].subOrderNumber).toBe(`${order.orderNumber}-1`);
+            expect(order.subOrders[0].total).toBe(210);
+            expect(order.total).toBe(289);
+            expect(order.billingAddress).toEqual(payload.shippingAddress);
+
+            expect(ProductRepository.decrementStock).toHaveBeenCalledTimes(3);
+            expect(ProductRepository.decrementStock).toHaveBeenCalledWith('prod-1', 2, null, 'mock-session');
+            expect(CartRepository.clearCart).toHaveBeenCalledWith({ customer: 'cust-1' }, 'mock-session');
+
+            // 1 customer + 2 vendor notifications (in-house sub-order has no vendor email)
+            expect(emailQueue.add).toHaveBeenCalledTimes(3);
+
+            // Credits a pending abandoned cart campaign, if any
+            expect(CartRecoveryService.markRecovered).toHaveBeenCalledWith('cust-1', order);
+        });
+
+        it('should publish the new order and the lines it sold out', async () => {
+            CartRepository.findByCustomer.mockResolvedValue({
+                items: [rawItem(1, VENDOR_A, 2), rawItem(2, VENDOR_B)],
+                appliedCoupon: null,
+            });
+            CartService.enrichCartItems.mockResolvedValue({
+                items: [enrichedItem(1, VENDOR_A, { quantity: 2 }), enrichedItem(2, VENDOR_B)],
+                summary: { totalItems: 3, couponDiscount: 0 },
+            });
+            ProductRepository.findStockLevels.mockResolvedValue([
+                { _id: 'prod-1', name: 'Product 1', vendor: VENDOR_A, quantity: 0 },
+                { _id: 'prod-2', name: 'Product 2', vendor: VENDOR_B, quantity: 7 },
+            ]);
+
+            const order = await CheckoutService.checkout('cust-1', payload);
+
+            expect(RealtimeService.orderPlaced).toHaveBeenCalledWith(order);
+            expect(ProductRepository.findStockLevels).toHaveBeenCalledWith(['prod-1', 'prod-2']);
+            expect(RealtimeService.productsOutOfStock).toHaveBeenCalledWith([
+                { product: 'prod-1', name: 'Product 1', vendor: VENDOR_A, variation: null },
+            ]);
+            expect(PushService.notifyUser).toHaveBeenCalledWith('vendor', VENDOR_A, 'new_vendor_order', expect.objectContaining({ totalItems: 2 }));
+            expect(PushService.notifyUser).toHaveBeenCalledWith('vendor', VENDOR_A, 'product_out_of_stock', { productId: 'prod-1', name: 'Product 1' });
+            expect(NotificationService.notify).toHaveBeenCalledWith(
+                { role: 'vendor', id: VENDOR_B },
+                expect.objectContaining({ type: 'new_order', link: expect.stringContaining('/vendor/orders/') })
+            );
+            expect(NotificationService.notify).toHaveBeenCalledWith(
+                { role: 'vendor', id: VENDOR_A },
+                expect.objectContaining({ type: 'out_of_stock', title: 'Out of stock: Product 1' })
+            );
+        });
+
+        it('should leave in-house sell-outs to the catalogue staff', async () => {
+            CartRepository.findByCustomer.mockResolvedValue({ items: [rawItem(1, null)], appliedCoupon: null });
+            CartService.enrichCartItems.mockResolvedValue({
+                items: [enrichedItem(1, null)],
+                summary: { totalItems: 1, couponDiscount: 0 },
+            });
+            ProductRepository.findStockLevels.mockResolvedValue([{ _id: 'prod-1', name: 'Product 1', vendor: null, quantity: 0 }]);
+
+            await CheckoutService.checkout('cust-1', payload);
+
+            expect(NotificationService.notifyStaff).toHaveBeenCalledWith('Product Management', expect.objectContaining({ type: 'out_of_stock' }));
+            expect(NotificationService.notify).not.toHaveBeenCalled();
+        });
+
+        it('should snapshot the commission rule of each vendor line', async () => {
+            const applied = { rule: 'rule-1', scope: 'category', type: 'percent', value: 12 };
+            CartRepository.findByCustomer.mockResolvedValue({
+                items: [rawItem(1, VENDOR_A, 1, { category: 'cat-1', subCategory: 'sub-cat-1' }), rawItem(2, null)],
+                appliedCoupon: null,
+            });
+            CartService.enrichCartItems.mockResolvedValue({
+                items: [enrichedItem(1, VENDOR_A), enrichedItem(2, null)],
+                summary: { totalItems: 2, couponDiscount: 0 },
+            });
+            CommissionService.resolveRules.mockResolvedValue([applied, null]);
+
+            const order = await CheckoutService.checkout('cust-1', payload);
+
+            expect(CommissionService.resolveRules).toHaveBeenCalledWith([
+                { vendor: VENDOR_A, category: 'cat-1', subCategory: 'sub-cat-1' },
+                { vendor: null, category: undefined, subCategory: undefined },
+            ]);
+            expect(order.subOrders[0].items[0].commission).toEqual(applied);
+            expect(order.subOrders[1].items[0].commission).toBeNull();
+        });
+
+        it('should refuse destinations the shipping zones do not cover', async () => {
+            CartRepository.findByCustomer.mockResolvedValue({ items: [rawItem(1, VENDOR_A)], appliedCoupon: null });
+            CartService.enrichCartItems.mockResolvedValue({
+                items: [enrichedItem(1, VENDOR_A, { price: 100 })],
+                summary: { totalItems: 1, couponDiscount: 0, shippingQuote: { serviceable: false, packages: [] } },
+            });
+
+            await expect(CheckoutService.checkout('cust-1', payload)).rejects.toMatchObject({ code: 'SHIPPING_UNAVAILABLE' });
+            expect(CartService.enrichCartItems).toHaveBeenCalledWith(expect.any(Array), null, { pincode: '411001', state: 'Maharashtra' });
+            expect(TransactionManager.execute).not.toHaveBeenCalled();
+        });
+
+        it('should default to online payment', async () => {
+            CartRepository.findByCustomer.mockResolvedValue({ items: [rawItem(1, VENDOR_A)], appliedCoupon: null });
+            CartService.enrichCartItems.mockResolvedValue({
+                items: [enrichedItem(1, VENDOR_A, { price: 100 })],
+                summary: { totalItems: 1, couponDiscount: 0 },
+            });
+
+            const order = await CheckoutService.checkout('cust-1', payload);
+
+            expect(order.payment).toEqual({ method: 'online', status: 'pending' });
+        });
+
+        it('should refuse a payment method disallowed by payment settings before touching stock', async () => {
+            CartRepository.findByCustomer.mockResolvedValue({ items: [rawItem(1, VENDOR_A)], appliedCoupon: null });
+            CartService.enrichCartItems.mockResolvedValue({
+                items: [enrichedItem(1, VENDOR_A, { price: 5000 })],
+                summary: { totalItems: 1, couponDiscount: 0 },
+            });
+            PaymentSettingService.assertPaymentMethodAllowed.mockRejectedValue(
+                new AppError('Cash on delivery is available for orders up to 2000', 400, 'PAYMENT_METHOD_UNAVAILABLE')
+            );
+
+            await expect(CheckoutService.checkout('cust-1', { ...payload, paymentMethod: 'cod' }))
+                .rejects.toMatchObject({ code: 'PAYMENT_METHOD_UNAVAILABLE' });
+            expect(PaymentSettingService.assertPaymentMethodAllowed).toHaveBeenCalledWith('cod', expect.objectContaining({ total: 5000 }));
+            expect(TransactionManager.execute).not.toHaveBeenCalled();
+        });
+
+        it('should snapshot the offline method and await proof', async () => {
+            CartRepository.findByCustomer.mockResolvedValue({ items: [rawItem(1, VENDOR_A)], appliedCoupon: null });
+            CartService.enrichCartItems.mockResolvedValue({
+                items: [enrichedItem(1, VENDOR_A, { price: 100 })],
+                summary: { totalItems: 1, couponDiscount: 0 },
+            });
+            PaymentSettingService.assertPaymentMethodAllowed.mockResolvedValue({
+                _id: 'method-1',
+                name: 'Bank Transfer',
+                instructions: 'Use the order number as reference',
+                details: [{ label: 'IFSC', value: 'HDFC0000001' }],
+                requireProof: true,
+            });
+
+            const order = await CheckoutService.checkout('cust-1', { ...payload, paymentMethod: 'offline', offlineMethodId: 'method-1' });
+
+            expect(order.payment).toMatchObject({
+                method: 'offline',
+                status: 'pending',
+                offline: { methodId: 'method-1', methodName: 'Bank Transfer', reviewStatus: 'awaiting_proof' },
+            });
+        });
+
+        describe('wallet payments', () => {
+            beforeEach(() => {
+                CartRepository.findByCustomer.mockResolvedValue({ items: [rawItem(1, VENDOR_A)], appliedCoupon: null });
+                CartService.enrichCartItems.mockResolvedValue({
+                    items: [enrichedItem(1, VENDOR_A, { price: 100 })],
+                    summary: { totalItems: 1, couponDiscount: 0 },
+                });
+                OrderRepository.create.mockImplementation(async (data) => ({ _id: 'order-1', ...data }));
+            });
+
+            it('should apply the balance first and leave the rest to the chosen method', async () => {
+                WalletService.getBalance.mockResolvedValue(40);
+
+                const order = await CheckoutService.checkout('cust-1', { ...payload, paymentMethod: 'cod', useWallet: true });
+
+                expect(PaymentSettingService.assertPaymentMethodAllowed).toHaveBeenCalledWith('cod', expect.objectContaining({ total: 60 }));
+                expect(order.payment).toEqual({ method: 'cod', status: 'pending', walletAmount: 40 });
+                expect(WalletService.debit).toHaveBeenCalledWith('cust-1', expect.objectContaining({
+                    amount: 40,
+                    source: 'order_payment',
+                    reference: expect.objectContaining({ type: 'order', id: 'order-1' }),
+                    idempotencyKey: 'order:order-1:payment',
+                }), 'mock-session');
+            });
+
+            it('should mark the order paid when the wallet covers the total', async () => {
+                WalletService.getBalance.mockResolvedValue(500);
+
+                const order = await CheckoutService.checkout('cust-1', { ...payload, useWallet: true });
+
+                expect(order.payment).toMatchObject({ method: 'wallet', status: 'paid', walletAmount: 100 });
+                expect(PaymentSettingService.assertPaymentMethodAllowed).not.toHaveBeenCalled();
+            });
+
+            it('should refuse a wallet-only payment the balance does not cover', async () => {
+                WalletService.getBalance.mockResolvedValue(99.99);
+
+                await expect(CheckoutService.checkout('cust-1', { ...payload, paymentMethod: 'wallet' }))
+                    .rejects.toMatchObject({ code: 'INSUFFICIENT_WALLET_BALANCE' });
+                expect(TransactionManager.execute).not.toHaveBeenCalled();
+            });
+        });
+    });
+
+    describe('resolveAddresses', () => {
+        const saved = { name: 'Jane', city: 'Pune', state: 'Maharashtra', pincode: '411001' };
+
+        it('should snapshot saved addresses picked by id', async () => {
+            CustomerAddressService.getAddressSnapshot.mockResolvedValue(saved);
+
+            const result = await CheckoutService.resolveAddresses('cust-1', { shippingAddressId: 'addr-1' });
+
+            expect(CustomerAddressService.getAddressSnapshot).toHaveBeenCalledWith('cust-1', 'addr-1');
+            expect(result).toEqual({ shippingAddress: saved, billingAddress: saved });
+        });
+
+        it('should fall back to the default shipping and billing addresses', async () => {
+            const billing = { ...saved, city: 'Mumbai' };
+            CustomerAddressService.getDefaultAddress.mockImplementation(async (customerId, type) => (type === 'shipping' ? saved : billing));
+
+            const result = await CheckoutService.resolveAddresses('cust-1', {});
+
+            expect(result).toEqual({ shippingAddress: saved, billingAddress: billing });
+        });
+
+        it('should require an address when the address book has no default', async () => {
+            CustomerAddressService.getDefaultAddress.mockResolvedValue(null);
+
+            await expect(CheckoutService.resolveAddresses('cust-1', {})).rejects.toMatchObject({ code: 'ADDRESS_REQUIRED' });
+        });
+    });
+});
@@ -0,0 +1,167 @@
+import { describe, beforeEach, it, expect, jest } from '@jest/globals';
+
+// Mock dependencies
+jest.mock('../../src/repositories/commissionRule.repository.js', () => ({
+    __esModule: true,
+    default: {
+        create: jest.fn(),
+        findOne: jest.fn(),
+        findEffective: jest.fn(),
+        updateWhere: jest.fn(),
+        deleteWhere: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/repositories/settlementSetting.repository.js', () => ({
+    __esModule: true,
+    default: {
+        getSettings: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/utils/audit.js', () => ({
+    __esModule: true,
+    default: {
+        log: jest.fn(),
+        security: jest.fn(),
+    },
+}));
+
+// Import after mocks
+import CommissionService from '../../src/services/commission.service.js';
+import CommissionRuleRepository from '../../src/repositories/commissionRule.repository.js';
+import SettlementSettingRepository from '../../src/repositories/settlementSetting.repository.js';
+
+const VENDOR_A = '64b000000000000000000001';
+const VENDOR_B = '64b000000000000000000002';
+const CATEGORY = '64c000000000000000000001';
+const SUB_CATEGORY = '64d000000000000000000001';
+const ADMIN = { role: 'admin', id: 'admin-1' };
+
+const rule = (id, scope, extra = {}) => ({ _id: id, scope, type: 'percent', value: 5, vendor: null, category: null, subCategory: null, ...extra });
+
+describe('CommissionService', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        SettlementSettingRepository.getSettings.mockResolvedValue({ defaultCommissionRate: 10 });
+        CommissionRuleRepository.create.mockImplementation(async (data) => ({ _id: 'rule-new', ...data }));
+    });
+
+    describe('resolveRules', () => {
+        it('should prefer vendor over sub-category over category over global rules', async () => {
+            CommissionRuleRepository.findEffective.mockResolvedValue([
+                rule('global', 'global', { value: 8 }),
+                rule('category', 'category', { category: CATEGORY, value: 12 }),
+                rule('sub', 'sub_category', { subCategory: SUB_CATEGORY, value: 15 }),
+                rule('vendor', 'vendor', { vendor: VENDOR_A, type: 'flat', value: 20 }),
+            ]);
+
+            const [vendorRule, subRule, categoryRule, globalRule] = await CommissionService.resolveRules([
+                { vendor: VENDOR_A, category: CATEGORY, subCategory: SUB_CATEGORY },
+                { vendor: VENDOR_B, category: CATEGORY, subCategory: SUB_CATEGORY },
+                { vendor: VENDOR_B, category: CATEGORY },
+                { vendor: VENDOR_B, category: '64c000000000000000000002' },
+            ]);
+
+            expect(vendorRule).toEqual({ rule: 'vendor', scope: 'vendor', type: 'flat', value: 20 });
+            expect(subRule).toMatchObject({ rule: 'sub', value: 15 });
+            expect(categoryRule).toMatchObject({ rule: 'category', value: 12 });
+            expect(globalRule).toMatchObject({ rule: 'global', value: 8 });
+        });
+
+        it('should take the newest effective rule of a scope', async () => {
+            // Repository returns rules latest start first
+            CommissionRuleRepository.findEffective.mockResolvedValue([
+                rule('new', 'category', { category: CATEGORY, value: 7 }),
+                rule('old', 'category', { category: CATEGORY, value: 11 }),
+            ]);
+            const at = new Date('2026-11-01T00:00:00Z');
+
+            const applied = await CommissionService.resolveRule({ vendor: VENDOR_A, category: CATEGORY }, at);
+
+            expect(applied).toMatchObject({ rule: 'new', value: 7 });
+            expect(CommissionRuleRepository.findEffective).toHaveBeenCalledWith(
+                { vendorIds: [VENDOR_A], categoryIds: [CATEGORY], subCategoryIds: [] },
+                at
+            );
+        });
+
+        it('should fall back to the settlement default rate and skip in-house lines', async () => {
+            CommissionRuleRepository.findEffective.mockResolvedValue([]);
+
+            const [applied, inHouse] = await CommissionService.resolveRules([
+                { vendor: VENDOR_A, category: CATEGORY },
+                { vendor: null, category: CATEGORY },
+            ]);
+
+            expect(applied).toEqual({ rule: null, scope: 'global', type: 'percent', value: 10 });
+            expect(inHouse).toBeNull();
+        });
+    });
+
+    describe('calculate', () => {
+        it('should charge a percent of the goods value', () => {
+            expect(CommissionService.calculate({ type: 'percent', value: 12.5 }, 999, 3)).toBe(124.88);
+        });
+
+        it('should charge a flat fee per unit, capped at the goods value', () => {
+            expect(CommissionService.calculate({ type: 'flat', value: 20 }, 300, 3)).toBe(60);
+            expect(CommissionService.calculate({ type: 'flat', value: 20 }, 30, 3)).toBe(30);
+        });
+    });
+
+    describe('previewForProduct', () => {
+        it('should show the commission on the discounted listing price', async () => {
+            CommissionRuleRepository.findEffective.mockResolvedValue([
+                rule('category', 'category', { category: CATEGORY, value: 12 }),
+            ]);
+
+            const preview = await CommissionService.previewForProduct(
+                { category: CATEGORY, price: 1000, discount: 10, discountType: 'percent' },
+                VENDOR_A
+            );
+
+            expect(preview).toMatchObject({ scope: 'category', value: 12, unitPrice: 900, commission: 108, netPerUnit: 792 });
+        });
+    });
+
+    describe('createRule', () => {
+        it('should keep only the target of the rule scope', async () => {
+            const created = await CommissionService.createRule(
+                { name: 'Fashion', scope: 'category', category: CATEGORY, vendor: VENDOR_A, value: 12 },
+                ADMIN
+            );
+
+            expect(created).toMatchObject({ category: CATEGORY, vendor: null, subCategory: null, createdBy: ADMIN });
+        });
+
+        it('should require the target of scoped rules', async () => {
+            await expect(CommissionService.createRule({ name: 'Seller', scope: 'vendor', value: 5 }, ADMIN))
+                .rejects.toMatchObject({ code: 'INVALID_COMMISSION_RULE' });
+        });
+
+        it('should reject percentages above 100 and rules that end before they start', async () => {
+            await expect(CommissionService.createRule({ name: 'All', scope: 'global', value: 120 }, ADMIN))
+                .rejects.toMatchObject({ code: 'INVALID_COMMISSION_RULE' });
+            await expect(CommissionService.createRule({
+                name: 'All',
+                scope: 'global',
+                value: 5,
+                startsAt: '2026-12-01T00:00:00.000Z',
+                endsAt: '2026-11-01T00:00:00.000Z',
+            }, ADMIN)).rejects.toMatchObject({ code: 'INVALID_COMMISSION_RULE' });
+            expect(CommissionRuleRepository.create).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('updateRule', () => {
+        it('should never move a rule to another scope or target', async () => {
+            CommissionRuleRepository.findOne.mockResolvedValue(rule('rule-1', 'vendor', { vendor: VENDOR_A }));
+            CommissionRuleRepository.updateWhere.mockResolvedValue({});
+
+            await CommissionService.updateRule('rule-1', { value: 6, scope: 'global', vendor: VENDOR_B }, ADMIN);
+
+            expect(CommissionRuleRepository.updateWhere).toHaveBeenCalledWith({ _id: 'rule-1' }, { $set: { value: 6 } });
+        });
+    });
+});
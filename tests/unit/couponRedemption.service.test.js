@@ -0,0 +1,140 @@
+import { describe, beforeEach, it, expect, jest } from '@jest/globals';
+
+// Mock dependencies
+jest.mock('../../src/repositories/coupon.repository.js', () => ({
+    __esModule: true,
+    default: {
+        reserveUsage: jest.fn(),
+        releaseUsage: jest.fn(),
+        incrementUsed: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/repositories/couponRedemption.repository.js', () => ({
+    __esModule: true,
+    default: {
+        create: jest.fn(),
+        findActiveSlots: jest.fn(),
+        countActive: jest.fn(),
+        markRedeemed: jest.fn(),
+        release: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/repositories/order.repository.js', () => ({
+    __esModule: true,
+    default: {
+        count: jest.fn(),
+    },
+}));
+
+// Import after mocks
+import CouponRedemptionService from '../../src/services/couponRedemption.service.js';
+import CouponRepository from '../../src/repositories/coupon.repository.js';
+import CouponRedemptionRepository from '../../src/repositories/couponRedemption.repository.js';
+import OrderRepository from '../../src/repositories/order.repository.js';
+
+const coupon = {
+    _id: 'coupon-1',
+    code: 'SAVE10',
+    type: 'discount_on_purchase',
+    limitForSameUser: 2,
+    usageLimit: null,
+    totalReserved: 0,
+};
+const order = { _id: 'order-1', orderNumber: 'ORD-TEST' };
+
+describe('CouponRedemptionService', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        CouponRepository.reserveUsage.mockResolvedValue({ ...coupon, totalReserved: 1 });
+        CouponRedemptionRepository.create.mockImplementation(async (data) => data);
+    });
+
+    describe('assertEligible', () => {
+        it('should reject first_order coupons for customers with previous orders', async () => {
+            OrderRepository.count.mockResolvedValue(1);
+
+            await expect(CouponRedemptionService.assertEligible({ ...coupon, type: 'first_order' }, 'cust-1'))
+                .rejects.toMatchObject({ code: 'COUPON_FIRST_ORDER_ONLY' });
+            expect(OrderRepository.count).toHaveBeenCalledWith({ customer: 'cust-1', status: { $ne: 'cancelled' } });
+        });
+
+        it('should only accept customer-specific coupons from the targeted customers', async () => {
+            const targeted = { ...coupon, customerScope: 'specific', customers: ['cust-2'] };
+            CouponRedemptionRepository.countActive.mockResolvedValue(0);
+
+            await expect(CouponRedemptionService.assertEligible(targeted, 'cust-1')).rejects.toMatchObject({ code: 'COUPON_NOT_ELIGIBLE' });
+            await expect(CouponRedemptionService.assertEligible(targeted, null)).rejects.toMatchObject({ code: 'COUPON_LOGIN_REQUIRED' });
+            await expect(CouponRedemptionService.assertEligible(targeted, 'cust-2')).resolves.toBeUndefined();
+        });
+
+        it('should reject once the per-user limit is used up', async () => {
+            CouponRedemptionRepository.countActive.mockResolvedValue(2);
+
+            await expect(CouponRedemptionService.assertEligible(coupon, 'cust-1')).rejects.toMatchObject({ code: 'COUPON_LIMIT_REACHED' });
+        });
+
+        it('should reject when the global cap is exhausted', async () => {
+            await expect(CouponRedemptionService.assertEligible({ ...coupon, usageLimit: 100, totalReserved: 100 }, null))
+                .rejects.toMatchObject({ code: 'COUPON_LIMIT_REACHED' });
+        });
+    });
+
+    describe('reserve', () => {
+        it('should take the lowest free slot and one use of the global cap', async () => {
+            CouponRedemptionRepository.findActiveSlots.mockResolvedValue([2]);
+
+            const redemption = await CouponRedemptionService.reserve(coupon, { customerId: 'cust-1', order, discount: 50 }, 'session');
+
+            expect(redemption).toMatchObject({ slot: 1, coupon: 'coupon-1', order: 'order-1', discount: 50 });
+            expect(CouponRepository.reserveUsage).toHaveBeenCalledWith('coupon-1', 'session');
+        });
+
+        it('should refuse when every slot is taken', async () => {
+            CouponRedemptionRepository.findActiveSlots.mockResolvedValue([1, 2]);
+
+            await expect(CouponRedemptionService.reserve(coupon, { customerId: 'cust-1', order, discount: 50 }, 'session'))
+                .rejects.toMatchObject({ code: 'COUPON_LIMIT_REACHED' });
+            expect(CouponRepository.reserveUsage).not.toHaveBeenCalled();
+        });
+
+        it('should refuse when the global cap was reached concurrently', async () => {
+            CouponRedemptionRepository.findActiveSlots.mockResolvedValue([]);
+            CouponRepository.reserveUsage.mockResolvedValue(null);
+
+            await expect(CouponRedemptionService.reserve(coupon, { customerId: 'cust-1', order, discount: 50 }, 'session'))
+                .rejects.toMatchObject({ code: 'COUPON_LIMIT_REACHED' });
+            expect(CouponRedemptionRepository.create).not.toHaveBeenCalled();
+        });
+
+        it('should turn a duplicate slot into a limit error', async () => {
+            CouponRedemptionRepository.findActiveSlots.mockResolvedValue([]);
+            CouponRedemptionRepository.create.mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+
+            await expect(CouponRedemptionService.reserve(coupon, { customerId: 'cust-1', order, discount: 50 }, 'session'))
+                .rejects.toMatchObject({ statusCode: 409, code: 'COUPON_LIMIT_REACHED' });
+        });
+    });
+
+    describe('confirm / release', () => {
+        it('should increment totalUsed only on the first confirmation', async () => {
+            CouponRedemptionRepository.markRedeemed
+                .mockResolvedValueOnce({ coupon: 'coupon-1', status: 'reserved' })
+                .mockResolvedValueOnce(null);
+
+            await CouponRedemptionService.confirm('order-1');
+            await CouponRedemptionService.confirm('order-1');
+
+            expect(CouponRepository.incrementUsed).toHaveBeenCalledTimes(1);
+        });
+
+        it('should give back both counters when a paid redemption is released', async () => {
+            CouponRedemptionRepository.release.mockResolvedValue({ coupon: 'coupon-1', status: 'redeemed' });
+
+            await CouponRedemptionService.release('order-1', 'session');
+
+            expect(CouponRepository.releaseUsage).toHaveBeenCalledWith('coupon-1', true, 'session');
+        });
+    });
+});
@@ -0,0 +1,131 @@
+import { describe, beforeEach, it, expect, jest } from '@jest/globals';
+
+// Mock dependencies
+jest.mock('../../src/repositories/customerAddress.repository.js', () => ({
+    __esModule: true,
+    default: {
+        create: jest.fn(),
+        findOne: jest.fn(),
+        findByCustomer: jest.fn(),
+        countByCustomer: jest.fn(),
+        findLatest: jest.fn(),
+        updateWhere: jest.fn(),
+        clearDefault: jest.fn(),
+        deleteWhere: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/providers/geocoding.provider.js', () => ({
+    __esModule: true,
+    geocodeAddress: jest.fn(),
+}));
+
+jest.mock('../../src/utils/transaction.js', () => ({
+    __esModule: true,
+    default: {
+        execute: jest.fn(),
+    },
+}));
+
+// Import after mocks
+import CustomerAddressService from '../../src/services/customerAddress.service.js';
+import CustomerAddressRepository from '../../src/repositories/customerAddress.repository.js';
+import TransactionManager from '../../src/utils/transaction.js';
+import { geocodeAddress } from '../../src/providers/geocoding.provider.js';
+
+const address = {
+    name: 'Jane',
+    phoneNumber: '9876543210',
+    addressLine1: '1 Main Street',
+    city: 'Pune',
+    state: 'Maharashtra',
+    pincode: '411001',
+};
+
+describe('CustomerAddressService', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        TransactionManager.execute.mockImplementation(async (callback) => callback('mock-session'));
+        CustomerAddressRepository.create.mockImplementation(async (data) => ({ _id: 'addr-1', ...data }));
+        CustomerAddressRepository.updateWhere.mockImplementation(async (filter, update) => ({ _id: filter._id, ...update.$set }));
+        geocodeAddress.mockResolvedValue({ lat: 18.52, lng: 73.85, formattedAddress: 'Pune, Maharashtra 411001, India' });
+    });
+
+    describe('createAddress', () => {
+        it('should make the first address the default shipping and billing address', async () => {
+            CustomerAddressRepository.countByCustomer.mockResolvedValue(0);
+
+            const result = await CustomerAddressService.createAddress('cust-1', address);
+
+            expect(result).toMatchObject({ isDefaultShipping: true, isDefaultBilling: true });
+            expect(result.location).toEqual({ type: 'Point', coordinates: [73.85, 18.52] });
+        });
+
+        it('should move the default flag off the previous address', async () => {
+            CustomerAddressRepository.countByCustomer.mockResolvedValue(2);
+
+            const result = await CustomerAddressService.createAddress('cust-1', { ...address, isDefaultShipping: true });
+
+            expect(result).toMatchObject({ isDefaultShipping: true, isDefaultBilling: false });
+            expect(CustomerAddressRepository.clearDefault).toHaveBeenCalledTimes(1);
+            expect(CustomerAddressRepository.clearDefault).toHaveBeenCalledWith('cust-1', 'isDefaultShipping', null, 'mock-session');
+        });
+
+        it('should save the address without a location when geocoding fails', async () => {
+            CustomerAddressRepository.countByCustomer.mockResolvedValue(1);
+            geocodeAddress.mockResolvedValue(null);
+
+            const result = await CustomerAddressService.createAddress('cust-1', address);
+
+            expect(result.location).toBeUndefined();
+            expect(result.geocodedAt).toBeNull();
+        });
+
+        it('should cap the size of the address book', async () => {
+            CustomerAddressRepository.countByCustomer.mockResolvedValue(20);
+
+            await expect(CustomerAddressService.createAddress('cust-1', address)).rejects.toMatchObject({ code: 'ADDRESS_LIMIT_REACHED' });
+            expect(CustomerAddressRepository.create).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('updateAddress', () => {
+        it('should only geocode again when the location changes', async () => {
+            CustomerAddressRepository.findOne.mockResolvedValue({ _id: 'addr-1', ...address });
+
+            await CustomerAddressService.updateAddress('cust-1', 'addr-1', { name: 'Jane Doe' });
+            expect(geocodeAddress).not.toHaveBeenCalled();
+
+            await CustomerAddressService.updateAddress('cust-1', 'addr-1', { pincode: '411002' });
+            expect(geocodeAddress).toHaveBeenCalledWith(expect.objectContaining({ pincode: '411002', city: 'Pune' }));
+        });
+
+        it('should not let the default address drop its flag', async () => {
+            CustomerAddressRepository.findOne.mockResolvedValue({ _id: 'addr-1', ...address, isDefaultShipping: true });
+
+            await expect(CustomerAddressService.updateAddress('cust-1', 'addr-1', { isDefaultShipping: false }))
+                .rejects.toMatchObject({ code: 'DEFAULT_ADDRESS_REQUIRED' });
+        });
+    });
+
+    describe('deleteAddress', () => {
+        it('should promote the latest remaining address when a default is deleted', async () => {
+            CustomerAddressRepository.deleteWhere.mockResolvedValue({ _id: 'addr-1', isDefaultShipping: true, isDefaultBilling: false });
+            CustomerAddressRepository.findLatest.mockResolvedValue({ _id: 'addr-2' });
+
+            await CustomerAddressService.deleteAddress('cust-1', 'addr-1');
+
+            expect(CustomerAddressRepository.updateWhere).toHaveBeenCalledWith(
+                { _id: 'addr-2', customer: 'cust-1' },
+                { $set: { isDefaultShipping: true } },
+                'mock-session'
+            );
+        });
+
+        it('should return 404 for an address of another customer', async () => {
+            CustomerAddressRepository.deleteWhere.mockResolvedValue(null);
+
+            await expect(CustomerAddressService.deleteAddress('cust-1', 'addr-9')).rejects.toMatchObject({ statusCode: 404 });
+        });
+    });
+});
@@ -0,0 +1,212 @@
+import { describe, beforeEach, it, expect, jest } from '@jest/globals';
+
+// Mock dependencies
+jest.mock('../../src/repositories/order.repository.js', () => ({
+    __esModule: true,
+    default: {
+        findOne: jest.fn(),
+        findById: jest.fn(),
+        findForDocuments: jest.fn(),
+        assignSubOrderInvoice: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/repositories/invoiceCounter.repository.js', () => ({
+    __esModule: true,
+    default: {
+        nextSequence: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/repositories/vendor.repository.js', () => ({
+    __esModule: true,
+    default: {
+        findById: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/repositories/systemSetting.repository.js', () => ({
+    __esModule: true,
+    default: {
+        getSettings: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/utils/transaction.js', () => ({
+    __esModule: true,
+    default: {
+        execute: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/utils/invoicePdf.js', () => ({
+    __esModule: true,
+    renderInvoicePdf: jest.fn(),
+    renderPackingSlipPdf: jest.fn(),
+}));
+
+jest.mock('../../src/utils/cloudinary.js', () => ({
+    __esModule: true,
+    uploadToCloudinary: jest.fn(),
+}));
+
+jest.mock('../../src/config/queue.js', () => ({
+    __esModule: true,
+    exportQueue: {
+        add: jest.fn(),
+        getJob: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/config/env.js', () => ({
+    __esModule: true,
+    default: {
+        PLATFORM_GSTIN: '29ABCDE1234F1Z5',
+    },
+}));
+
+// Import after mocks
+import InvoiceService from '../../src/services/invoice.service.js';
+import OrderRepository from '../../src/repositories/order.repository.js';
+import InvoiceCounterRepository from '../../src/repositories/invoiceCounter.repository.js';
+import VendorRepository from '../../src/repositories/vendor.repository.js';
+import TransactionManager from '../../src/utils/transaction.js';
+import { renderInvoicePdf } from '../../src/utils/invoicePdf.js';
+import { exportQueue } from '../../src/config/queue.js';
+
+const VENDOR_A = '64b000000000000000000001';
+const VENDOR_B = '64b000000000000000000002';
+
+const subOrder = (extra = {}) => ({
+    _id: 'sub-1',
+    subOrderNumber: 'ORD-1-1',
+    vendor: VENDOR_A,
+    status: 'confirmed',
+    items: [{
+        name: 'T-shirt',
+        quantity: 2,
+        basePrice: 500,
+        finalPrice: 500,
+        productDiscount: 0,
+        taxBreakdown: { hsnCode: '6109', rate: 18, supplyType: 'intra_state', taxableValue: 1000, cgst: 90, sgst: 90, igst: 0 },
+    }],
+    shipping: 50,
+    couponDiscount: 0,
+    total: 1230,
+    ...extra,
+});
+
+const order = (sub = subOrder()) => ({
+    _id: 'order-1',
+    orderNumber: 'ORD-1',
+    customer: 'cust-1',
+    shippingAddress: { name: 'A', state: 'Maharashtra' },
+    subOrders: [sub],
+});
+
+describe('InvoiceService', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        TransactionManager.execute.mockImplementation(async (callback) => callback('session'));
+        VendorRepository.findById.mockResolvedValue({
+            businessName: 'Acme',
+            taxAndLegal: { gstNumber: '27ABCDE1234F1Z5' },
+        });
+        renderInvoicePdf.mockResolvedValue(Buffer.from('%PDF'));
+    });
+
+    describe('numbering', () => {
+        it('should roll the financial year over on 1 April (IST)', () => {
+            expect(InvoiceService.getFinancialYear(new Date('2027-03-31T18:29:00Z'))).toBe('2026-27');
+            expect(InvoiceService.getFinancialYear(new Date('2027-03-31T18:31:00Z'))).toBe('2027-28');
+        });
+
+        it('should format invoice numbers within 16 characters', () => {
+            const number = InvoiceService.formatInvoiceNumber('2026-27', 42);
+
+            expect(number).toBe('INV-2627-00042');
+            expect(number.length).toBeLessThanOrEqual(16);
+        });
+    });
+
+    describe('issueInvoice', () => {
+        it('should return the existing invoice without consuming the series', async () => {
+            const invoice = { number: 'INV-2627-00007', financialYear: '2026-27', issuedAt: new Date() };
+
+            const result = await InvoiceService.issueInvoice(order(), subOrder({ invoice }));
+
+            expect(result).toBe(invoice);
+            expect(InvoiceCounterRepository.nextSequence).not.toHaveBeenCalled();
+        });
+
+        it('should take the next number of the vendor series and stamp the sub-order', async () => {
+            InvoiceCounterRepository.nextSequence.mockResolvedValue(3);
+            OrderRepository.assignSubOrderInvoice.mockResolvedValue(true);
+
+            const result = await InvoiceService.issueInvoice(order(), subOrder());
+
+            expect(InvoiceCounterRepository.nextSequence).toHaveBeenCalledWith(VENDOR_A, expect.any(String), 'session');
+            expect(result.number).toMatch(/^INV-\d{4}-00003$/);
+            expect(OrderRepository.assignSubOrderInvoice).toHaveBeenCalledWith('order-1', 'sub-1', result, 'session');
+        });
+
+        it('should fall back to the number stamped by a concurrent request', async () => {
+            const stamped = { number: 'INV-2627-00004' };
+            InvoiceCounterRepository.nextSequence.mockResolvedValue(5);
+            OrderRepository.assignSubOrderInvoice.mockResolvedValue(false);
+            OrderRepository.findById.mockResolvedValue(order(subOrder({ invoice: stamped })));
+
+            const result = await InvoiceService.issueInvoice(order(), subOrder());
+
+            expect(result).toEqual(stamped);
+        });
+
+        it('should refuse sub-orders the vendor has not confirmed', async () => {
+            await expect(InvoiceService.issueInvoice(order(), subOrder({ status: 'pending' })))
+                .rejects.toMatchObject({ code: 'INVOICE_NOT_AVAILABLE' });
+            expect(TransactionManager.execute).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('getInvoice', () => {
+        it('should hide other vendors\' sub-orders', async () => {
+            OrderRepository.findOne.mockResolvedValue(order());
+
+            await expect(InvoiceService.getInvoice('order-1', 'sub-1', { vendorId: VENDOR_B }))
+                .rejects.toMatchObject({ statusCode: 404 });
+        });
+
+        it('should render the invoice with the seller GSTIN and a QR reference', async () => {
+            const invoice = { number: 'INV-2627-00001', financialYear: '2026-27', issuedAt: new Date() };
+            OrderRepository.findOne.mockResolvedValue(order(subOrder({ invoice })));
+
+            const result = await InvoiceService.getInvoice('order-1', 'sub-1', { customerId: 'cust-1' });
+
+            expect(OrderRepository.findOne).toHaveBeenCalledWith({ _id: 'order-1', customer: 'cust-1' });
+            expect(result.filename).toBe('INV-2627-00001.pdf');
+
+            const [[view]] = renderInvoicePdf.mock.calls[0];
+            expect(view.seller).toMatchObject({ name: 'Acme', gstin: '27ABCDE1234F1Z5', state: 'Maharashtra' });
+            expect(view.totals).toMatchObject({ taxableValue: 1000, cgst: 90, sgst: 90, igst: 0, total: 1230 });
+            expect(JSON.parse(view.qrPayload)).toMatchObject({ invoice: 'INV-2627-00001', order: 'ORD-1', subOrder: 'ORD-1-1' });
+        });
+    });
+
+    describe('batches', () => {
+        it('should pin vendor batches to the vendor and check ownership of the job', async () => {
+            exportQueue.add.mockResolvedValue({ id: '17' });
+
+            const result = await InvoiceService.queueBatch(
+                { type: 'invoice', vendor: VENDOR_B, startDate: '2026-10-01T00:00:00.000Z' },
+                { vendorId: VENDOR_A }
+            );
+
+            expect(result.jobId).toBe('17');
+            expect(exportQueue.add.mock.calls[0][1]).toMatchObject({ type: 'invoice', vendorId: VENDOR_A });
+
+            exportQueue.getJob.mockResolvedValue({ id: '17', name: 'invoice-batch', data: { vendorId: VENDOR_A } });
+            await expect(InvoiceService.getBatchStatus('17', { vendorId: VENDOR_B }))
+                .rejects.toMatchObject({ statusCode: 404 });
+        });
+    });
+});
@@ -0,0 +1,135 @@
+import { describe, beforeEach, it, expect, jest } from '@jest/globals';
+
+// Mock dependencies
+jest.mock('../../src/repositories/notification.repository.js', () => ({
+    __esModule: true,
+    default: {
+        createMany: jest.fn(),
+        findFeed: jest.fn(),
+        countUnread: jest.fn(),
+        markRead: jest.fn(),
+        markAllRead: jest.fn(),
+        deleteExpired: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/repositories/admin.repository.js', () => ({
+    __esModule: true,
+    default: {
+        findAllIds: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/repositories/employee.repository.js', () => ({
+    __esModule: true,
+    default: {
+        findActiveIdsWithPermission: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/services/realtime.service.js', () => ({
+    __esModule: true,
+    default: {
+        toUser: jest.fn(),
+    },
+}));
+
+// Import after mocks
+import NotificationService from '../../src/services/notification.service.js';
+import NotificationRepository from '../../src/repositories/notification.repository.js';
+import AdminRepository from '../../src/repositories/admin.repository.js';
+import EmployeeRepository from '../../src/repositories/employee.repository.js';
+import RealtimeService from '../../src/services/realtime.service.js';
+
+const content = { type: 'support_ticket', title: 'New support ticket TKT-1', message: 'Late delivery', link: '/admin/support-tickets' };
+
+describe('NotificationService', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        NotificationRepository.createMany.mockImplementation(async (docs) => docs.map((doc, i) => ({
+            _id: `n-${i + 1}`,
+            readAt: null,
+            createdAt: new Date(),
+            ...doc,
+        })));
+    });
+
+    describe('notify', () => {
+        it('should store the entry and push it to the recipient room', async () => {
+            await NotificationService.notify({ role: 'customer', id: 'cust-1' }, content);
+
+            expect(NotificationRepository.createMany).toHaveBeenCalledWith([
+                expect.objectContaining({ recipient: { role: 'customer', id: 'cust-1' }, type: 'support_ticket', data: {} }),
+            ]);
+            expect(RealtimeService.toUser).toHaveBeenCalledWith(
+                'customer',
+                'cust-1',
+                'notification:created',
+                expect.objectContaining({ id: 'n-1', title: 'New support ticket TKT-1', isRead: false })
+            );
+        });
+
+        it('should never fail the caller', async () => {
+            NotificationRepository.createMany.mockRejectedValue(new Error('Mongo down'));
+
+            await expect(NotificationService.notify({ role: 'vendor', id: 'v-1' }, content)).resolves.toBeUndefined();
+        });
+
+        it('should give every admin and each permitted employee their own entry', async () => {
+            AdminRepository.findAllIds.mockResolvedValue(['admin-1']);
+            EmployeeRepository.findActiveIdsWithPermission.mockResolvedValue(['emp-1', 'emp-2']);
+
+            await NotificationService.notifyStaff('Help Support', content);
+
+            expect(EmployeeRepository.findActiveIdsWithPermission).toHaveBeenCalledWith('Help Support');
+            expect(NotificationRepository.createMany.mock.calls[0][0].map(doc => doc.recipient)).toEqual([
+                { role: 'admin', id: 'admin-1' },
+                { role: 'employee', id: 'emp-1' },
+                { role: 'employee', id: 'emp-2' },
+            ]);
+            expect(RealtimeService.toUser).toHaveBeenCalledTimes(3);
+        });
+    });
+
+    describe('feed', () => {
+        it('should page the feed by cursor and filter unread entries', async () => {
+            NotificationRepository.findFeed.mockResolvedValue({
+                notifications: [{ _id: 'n-9', type: 'new_order', title: 'New order', readAt: new Date() }],
+                pagination: { nextCursor: 'n-9', hasNextPage: true, limit: 1, count: 1 },
+            });
+            const recipient = { role: 'vendor', id: 'v-1' };
+
+            const result = await NotificationService.getFeed(recipient, { cursor: '64b000000000000000000010', limit: '1', unread: 'true' });
+
+            expect(NotificationRepository.findFeed).toHaveBeenCalledWith(recipient, {
+                cursor: '64b000000000000000000010',
+                limit: 1,
+                unreadOnly: true,
+            });
+            expect(result.notifications[0]).toMatchObject({ id: 'n-9', isRead: true });
+            expect(result.pagination.nextCursor).toBe('n-9');
+        });
+
+        it('should only mark entries of the caller as read', async () => {
+            NotificationRepository.markRead.mockResolvedValue(null);
+
+            await expect(NotificationService.markRead({ role: 'customer', id: 'cust-2' }, 'n-1'))
+                .rejects.toMatchObject({ code: 'NOTIFICATION_NOT_FOUND', statusCode: 404 });
+        });
+    });
+
+    describe('purgeExpired', () => {
+        it('should keep read entries 30 days and unread ones 90 days', async () => {
+            NotificationRepository.deleteExpired.mockResolvedValue(12);
+            const now = new Date('2026-10-31T00:00:00Z');
+
+            const result = await NotificationService.purgeExpired(now);
+
+            expect(result).toEqual({ deleted: 12 });
+            expect(NotificationRepository.deleteExpired).toHaveBeenCalledWith({
+                readBefore: new Date('2026-10-01T00:00:00Z'),
+                createdBefore: new Date('2026-08-02T00:00:00Z'),
+            });
+        });
+    });
+});
@@ -0,0 +1,183 @@
+import { describe, beforeEach, it, expect, jest } from '@jest/globals';
+
+// Mock dependencies
+jest.mock('../../src/repositories/order.repository.js', () => ({
+    __esModule: true,
+    default: {
+        findOne: jest.fn(),
+        findById: jest.fn(),
+        findAll: jest.fn(),
+        submitOfflinePaymentProof: jest.fn(),
+        reviewOfflinePayment: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/utils/cloudinary.js', () => ({
+    __esModule: true,
+    uploadToCloudinary: jest.fn(),
+    deleteFromCloudinary: jest.fn(),
+}));
+
+jest.mock('../../src/services/couponRedemption.service.js', () => ({
+    __esModule: true,
+    default: {
+        confirm: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/utils/audit.js', () => ({
+    __esModule: true,
+    default: {
+        log: jest.fn(),
+        security: jest.fn(),
+    },
+}));
+
+// Import after mocks
+import OfflinePaymentService from '../../src/services/offlinePayment.service.js';
+import PaymentSettingService from '../../src/services/paymentSetting.service.js';
+import OrderRepository from '../../src/repositories/order.repository.js';
+import { uploadToCloudinary, deleteFromCloudinary } from '../../src/utils/cloudinary.js';
+
+const reviewer = { id: 'admin-1', model: 'Admin' };
+const proofFile = { mimetype: 'image/png', buffer: Buffer.from('png') };
+
+const offlineOrder = (overrides = {}) => ({
+    _id: 'order-1',
+    orderNumber: 'ORD-TEST',
+    customer: 'cust-1',
+    status: 'pending',
+    total: 1200,
+    payment: {
+        method: 'offline',
+        status: 'pending',
+        offline: { methodName: 'Bank Transfer', requireProof: true, reviewStatus: 'awaiting_proof' },
+    },
+    ...overrides,
+});
+
+describe('OfflinePaymentService', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        uploadToCloudinary.mockResolvedValue({ secure_url: 'https://cdn/proof.png', public_id: 'proof-2' });
+    });
+
+    describe('submitProof', () => {
+        it('should upload the proof and move the payment into review', async () => {
+            OrderRepository.findOne.mockResolvedValue(offlineOrder());
+            OrderRepository.submitOfflinePaymentProof.mockResolvedValue({ _id: 'order-1' });
+
+            await OfflinePaymentService.submitProof('cust-1', 'order-1', { reference: 'UTR123' }, proofFile);
+
+            expect(uploadToCloudinary).toHaveBeenCalledWith(proofFile, 'payments/offline-proofs/order-1');
+            expect(OrderRepository.submitOfflinePaymentProof).toHaveBeenCalledWith('order-1', 'cust-1', {
+                proof: { url: 'https://cdn/proof.png', publicId: 'proof-2' },
+                reference: 'UTR123',
+            });
+        });
+
+        it('should replace a rejected proof and delete the old file', async () => {
+            OrderRepository.findOne.mockResolvedValue(offlineOrder({
+                payment: { method: 'offline', status: 'pending', offline: { reviewStatus: 'rejected', proof: { publicId: 'proof-1' } } },
+            }));
+            OrderRepository.submitOfflinePaymentProof.mockResolvedValue({ _id: 'order-1' });
+
+            await OfflinePaymentService.submitProof('cust-1', 'order-1', {}, proofFile);
+
+            expect(deleteFromCloudinary).toHaveBeenCalledWith('proof-1');
+        });
+
+        it('should require a proof file when the method asks for one', async () => {
+            OrderRepository.findOne.mockResolvedValue(offlineOrder());
+
+            await expect(OfflinePaymentService.submitProof('cust-1', 'order-1', {}, undefined)).rejects.toMatchObject({ statusCode: 400 });
+            expect(OrderRepository.submitOfflinePaymentProof).not.toHaveBeenCalled();
+        });
+
+        it('should reject proofs for orders paid by another method', async () => {
+            OrderRepository.findOne.mockResolvedValue(offlineOrder({ payment: { method: 'online', status: 'pending' } }));
+
+            await expect(OfflinePaymentService.submitProof('cust-1', 'order-1', {}, proofFile)).rejects.toMatchObject({ statusCode: 400 });
+            expect(uploadToCloudinary).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('review', () => {
+        it('should mark a submitted offline payment as paid for the order total', async () => {
+            OrderRepository.findById.mockResolvedValue(offlineOrder({ payment: { method: 'offline', status: 'pending', offline: { reviewStatus: 'submitted' } } }));
+            OrderRepository.reviewOfflinePayment.mockResolvedValue({ _id: 'order-1', payment: { status: 'paid' } });
+
+            await OfflinePaymentService.approve('order-1', { note: 'Matched bank statement' }, reviewer);
+
+            expect(OrderRepository.reviewOfflinePayment).toHaveBeenCalledWith('order-1', 'offline', {
+                approve: true,
+                amount: 1200,
+                reviewer,
+                note: 'Matched bank statement',
+            });
+        });
+
+        it('should only confirm COD cash after delivery', async () => {
+            OrderRepository.findById.mockResolvedValue(offlineOrder({ status: 'shipped', payment: { method: 'cod', status: 'pending' } }));
+
+            await expect(OfflinePaymentService.approve('order-1', {}, reviewer)).rejects.toMatchObject({ statusCode: 400 });
+            expect(OrderRepository.reviewOfflinePayment).not.toHaveBeenCalled();
+        });
+
+        it('should return 409 when the payment was already reviewed', async () => {
+            OrderRepository.findById.mockResolvedValue(offlineOrder());
+            OrderRepository.reviewOfflinePayment.mockResolvedValue(null);
+
+            await expect(OfflinePaymentService.reject('order-1', { reason: 'Amount mismatch' }, reviewer)).rejects.toMatchObject({ statusCode: 409 });
+        });
+    });
+
+    describe('getApprovalQueue', () => {
+        it('should list delivered unpaid COD orders oldest first', async () => {
+            OrderRepository.findAll.mockResolvedValue({ orders: [], pagination: {} });
+
+            await OfflinePaymentService.getApprovalQueue({ method: 'cod' });
+
+            expect(OrderRepository.findAll).toHaveBeenCalledWith(
+                { 'payment.method': 'cod', 'payment.status': 'pending', status: 'delivered' },
+                { createdAt: 1 },
+                1,
+                expect.any(Number)
+            );
+        });
+    });
+});
+
+describe('PaymentSettingService.evaluatePaymentMethods', () => {
+    const settings = {
+        isCodActive: true,
+        isDigitalPaymentActive: true,
+        codMaxOrderValue: 2000,
+        isCodAllowedForDigital: false,
+        isOfflinePaymentActive: true,
+        offlineMethods: [
+            { _id: 'm1', name: 'Bank Transfer', isActive: true, requireProof: true },
+            { _id: 'm2', name: 'Cheque', isActive: false },
+        ],
+    };
+    const physical = [{ product: { productType: 'physical' } }];
+    const method = (options, name) => options.find(o => o.method === name);
+
+    it('should block COD above the configured order value', () => {
+        expect(method(PaymentSettingService.evaluatePaymentMethods(settings, physical, 1500), 'cod').available).toBe(true);
+        expect(method(PaymentSettingService.evaluatePaymentMethods(settings, physical, 2500), 'cod').available).toBe(false);
+    });
+
+    it('should block COD for carts with digital products', () => {
+        const items = [...physical, { product: { productType: 'digital' } }];
+        const cod = method(PaymentSettingService.evaluatePaymentMethods(settings, items, 100), 'cod');
+
+        expect(cod).toMatchObject({ available: false, reason: expect.stringContaining('digital') });
+    });
+
+    it('should only offer active offline methods', () => {
+        const offline = method(PaymentSettingService.evaluatePaymentMethods(settings, physical, 100), 'offline');
+
+        expect(offline.methods.map(m => m.name)).toEqual(['Bank Transfer']);
+    });
+});
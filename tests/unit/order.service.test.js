@@ -0,0 +1,327 @@
+import { describe, beforeEach, it, expect, jest } from '@jest/globals';
+import AppError from '../../src/utils/AppError.js';
+
+// Mock dependencies
+jest.mock('../../src/repositories/order.repository.js', () => ({
+    __esModule: true,
+    default: {
+        findOne: jest.fn(),
+        findAll: jest.fn(),
+        findByIdWithDetails: jest.fn(),
+        findVendorSubOrders: jest.fn(),
+        updateSubOrderStatus: jest.fn(),
+        updateOrderStatus: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/repositories/product.repository.js', () => ({
+    __esModule: true,
+    default: {
+        incrementStock: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/repositories/customer.repository.js', () => ({
+    __esModule: true,
+    default: {
+        findById: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/repositories/vendor.repository.js', () => ({
+    __esModule: true,
+    default: {
+        findById: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/services/product.service.js', () => ({
+    __esModule: true,
+    default: {
+        invalidateCache: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/services/couponRedemption.service.js', () => ({
+    __esModule: true,
+    default: {
+        release: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/services/wallet.service.js', () => ({
+    __esModule: true,
+    default: {
+        credit: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/services/settlement.service.js', () => ({
+    __esModule: true,
+    default: {
+        recordEarning: jest.fn(),
+        recordReturnDeduction: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/services/realtime.service.js', () => ({
+    __esModule: true,
+    default: {
+        orderStatusChanged: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/services/push.service.js', () => ({
+    __esModule: true,
+    default: {
+        notifyUser: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/services/notification.service.js', () => ({
+    __esModule: true,
+    default: {
+        notify: jest.fn(),
+        notifyStaff: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/utils/transaction.js', () => ({
+    __esModule: true,
+    default: {
+        execute: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/utils/audit.js', () => ({
+    __esModule: true,
+    default: {
+        log: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/config/queue.js', () => ({
+    __esModule: true,
+    emailQueue: {
+        add: jest.fn(),
+    },
+}));
+
+// Import after mocks
+import OrderService from '../../src/services/order.service.js';
+import OrderRepository from '../../src/repositories/order.repository.js';
+import ProductRepository from '../../src/repositories/product.repository.js';
+import CustomerRepository from '../../src/repositories/customer.repository.js';
+import VendorRepository from '../../src/repositories/vendor.repository.js';
+import ProductService from '../../src/services/product.service.js';
+import WalletService from '../../src/services/wallet.service.js';
+import RealtimeService from '../../src/services/realtime.service.js';
+import PushService from '../../src/services/push.service.js';
+import NotificationService from '../../src/services/notification.service.js';
+import TransactionManager from '../../src/utils/transaction.js';
+import { emailQueue } from '../../src/config/queue.js';
+
+const VENDOR_ID = '64b000000000000000000001';
+const OTHER_VENDOR_ID = '64b000000000000000000002';
+
+const buildOrder = (statuses = ['pending', 'pending']) => ({
+    _id: 'order-1',
+    orderNumber: 'ORD-TEST',
+    customer: 'cust-1',
+    status: 'pending',
+    subOrders: statuses.map((status, i) => ({
+        _id: `sub-${i + 1}`,
+        subOrderNumber: `ORD-TEST-${i + 1}`,
+        vendor: i === 0 ? VENDOR_ID : OTHER_VENDOR_ID,
+        status,
+        items: [{ product: `prod-${i + 1}`, quantity: 2, variation: null }],
+    })),
+});
+
+describe('OrderService', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        TransactionManager.execute.mockImplementation(async (callback) => callback('mock-session'));
+        CustomerRepository.findById.mockResolvedValue({ name: 'Jane', email: 'jane@test.com' });
+        VendorRepository.findById.mockResolvedValue({ email: 'shop@test.com', businessName: 'Shop' });
+        OrderRepository.updateOrderStatus.mockImplementation(async (id, status) => ({ _id: id, status, subOrders: [] }));
+    });
+
+    describe('canTransition', () => {
+        it('should allow forward lifecycle transitions', () => {
+            expect(OrderService.canTransition('pending', 'confirmed')).toBe(true);
+            expect(OrderService.canTransition('packed', 'shipped')).toBe(true);
+            expect(OrderService.canTransition('delivered', 'returned')).toBe(true);
+            expect(OrderService.canTransition('returned', 'refunded')).toBe(true);
+        });
+
+        it('should reject skipping or reversing steps', () => {
+            expect(OrderService.canTransition('pending', 'shipped')).toBe(false);
+            expect(OrderService.canTransition('shipped', 'cancelled')).toBe(false);
+            expect(OrderService.canTransition('refunded', 'pending')).toBe(false);
+        });
+    });
+
+    describe('deriveOrderStatus', () => {
+        it('should follow the least advanced active sub-order', () => {
+            expect(OrderService.deriveOrderStatus([{ status: 'shipped' }, { status: 'confirmed' }])).toBe('confirmed');
+        });
+
+        it('should ignore cancelled sub-orders unless all are cancelled', () => {
+            expect(OrderService.deriveOrderStatus([{ status: 'cancelled' }, { status: 'delivered' }])).toBe('delivered');
+            expect(OrderService.deriveOrderStatus([{ status: 'cancelled' }, { status: 'cancelled' }])).toBe('cancelled');
+        });
+    });
+
+    describe('cancelCustomerOrder', () => {
+        it('should cancel every sub-order, restore stock and notify customer and vendors', async () => {
+            const order = buildOrder(['pending', 'packed']);
+            OrderRepository.findOne.mockResolvedValue(order);
+            OrderRepository.updateSubOrderStatus
+                .mockResolvedValueOnce({ ...order, subOrders: [{ status: 'cancelled' }, { status: 'packed' }] })
+                .mockResolvedValueOnce({ ...order, subOrders: [{ status: 'cancelled' }, { status: 'cancelled' }] });
+
+            const result = await OrderService.cancelCustomerOrder('cust-1', 'order-1', { reason: 'Changed my mind' });
+
+            expect(result.status).toBe('cancelled');
+            expect(OrderRepository.updateSubOrderStatus).toHaveBeenCalledWith(
+                'order-1', 'sub-1', 'pending', 'cancelled',
+                expect.objectContaining({ status: 'cancelled', changedBy: { role: 'customer', id: 'cust-1' } }),
+                expect.objectContaining({ cancellationReason: 'Changed my mind' }),
+                'mock-session'
+            );
+            expect(ProductRepository.incrementStock).toHaveBeenCalledWith('prod-1', 2, null, 'mock-session');
+            expect(ProductRepository.incrementStock).toHaveBeenCalledWith('prod-2', 2, null, 'mock-session');
+            expect(ProductService.invalidateCache).toHaveBeenCalled();
+            // 2 customer mails + 2 vendor mails
+            expect(emailQueue.add).toHaveBeenCalledTimes(4);
+        });
+
+        it('should give the wallet share of the payment back when the whole order is cancelled', async () => {
+            const order = buildOrder(['pending']);
+            OrderRepository.findOne.mockResolvedValue(order);
+            OrderRepository.updateSubOrderStatus.mockResolvedValue({ ...order, subOrders: [{ status: 'cancelled' }] });
+            OrderRepository.updateOrderStatus.mockResolvedValue({
+                ...order,
+                status: 'cancelled',
+                payment: { method: 'online', walletAmount: 150 },
+            });
+
+            await OrderService.cancelCustomerOrder('cust-1', 'order-1');
+
+            expect(WalletService.credit).toHaveBeenCalledWith('cust-1', expect.objectContaining({
+                amount: 150,
+                source: 'order_cancellation',
+                reference: expect.objectContaining({ type: 'order', id: 'order-1' }),
+                idempotencyKey: 'order:order-1:cancellation',
+            }), 'mock-session');
+        });
+
+        it('should give a cancelled sub-order its share of the wallet payment back', async () => {
+            const order = buildOrder(['pending', 'delivered']);
+            order.subOrders[0].total = 300;
+            order.subOrders[1].total = 100;
+            order.payment = { method: 'online', walletAmount: 200 };
+            OrderRepository.findOne.mockResolvedValue(order);
+            OrderRepository.updateSubOrderStatus.mockResolvedValue({ ...order, subOrders: [{ status: 'cancelled' }, { status: 'delivered' }] });
+
+            await OrderService.cancelCustomerOrder('cust-1', 'order-1', { subOrderId: 'sub-1' });
+
+            expect(WalletService.credit).toHaveBeenCalledTimes(1);
+            expect(WalletService.credit).toHaveBeenCalledWith('cust-1', expect.objectContaining({
+                amount: 150,
+                source: 'order_cancellation',
+                idempotencyKey: 'order:order-1:cancellation:sub-1',
+            }), 'mock-session');
+        });
+
+        it('should only return the rounding remainder with the whole order once sub-order shares are credited', async () => {
+            const order = buildOrder(['pending', 'pending', 'pending']);
+            order.subOrders.forEach(subOrder => { subOrder.total = 100; });
+            order.payment = { method: 'online', walletAmount: 100 };
+            OrderRepository.findOne.mockResolvedValue(order);
+            OrderRepository.updateSubOrderStatus.mockResolvedValue({ ...order, subOrders: order.subOrders.map(() => ({ status: 'cancelled' })) });
+            OrderRepository.updateOrderStatus.mockResolvedValue({ ...order, status: 'cancelled' });
+
+            await OrderService.cancelCustomerOrder('cust-1', 'order-1');
+
+            const credited = WalletService.credit.mock.calls.map(([, entry]) => [entry.idempotencyKey, entry.amount]);
+            expect(credited).toEqual([
+                ['order:order-1:cancellation:sub-1', 33.33],
+                ['order:order-1:cancellation:sub-2', 33.33],
+                ['order:order-1:cancellation:sub-3', 33.33],
+                ['order:order-1:cancellation', 0.01],
+            ]);
+        });
+
+        it('should refuse to cancel once any sub-order has shipped', async () => {
+            OrderRepository.findOne.mockResolvedValue(buildOrder(['pending', 'shipped']));
+
+            await expect(OrderService.cancelCustomerOrder('cust-1', 'order-1')).rejects.toThrow(AppError);
+            expect(TransactionManager.execute).not.toHaveBeenCalled();
+        });
+
+        it('should fail with conflict when the sub-order changed concurrently', async () => {
+            OrderRepository.findOne.mockResolvedValue(buildOrder(['pending']));
+            OrderRepository.updateSubOrderStatus.mockResolvedValue(null);
+
+            await expect(OrderService.cancelCustomerOrder('cust-1', 'order-1')).rejects.toMatchObject({ statusCode: 409 });
+            expect(ProductRepository.incrementStock).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('updateVendorSubOrderStatus', () => {
+        it('should move the vendor sub-order forward without notifying the vendor', async () => {
+            const order = buildOrder(['confirmed', 'pending']);
+            OrderRepository.findOne.mockResolvedValue(order);
+            OrderRepository.updateSubOrderStatus.mockResolvedValue({ ...order, status: 'pending', subOrders: [{ status: 'packed' }, { status: 'pending' }] });
+
+            await OrderService.updateVendorSubOrderStatus(VENDOR_ID, 'order-1', 'sub-1', { status: 'packed' });
+
+            expect(OrderRepository.updateSubOrderStatus).toHaveBeenCalledWith(
+                'order-1', 'sub-1', 'confirmed', 'packed', expect.any(Object), expect.objectContaining({ packedAt: expect.any(Date) }), 'mock-session'
+            );
+            expect(ProductRepository.incrementStock).not.toHaveBeenCalled();
+            expect(emailQueue.add).toHaveBeenCalledTimes(1);
+            expect(emailQueue.add.mock.calls[0][1].role).toBe('customer');
+            expect(RealtimeService.orderStatusChanged).toHaveBeenCalledWith(
+                expect.any(Object),
+                [expect.objectContaining({ from: 'confirmed', status: 'packed' })],
+                expect.objectContaining({ role: 'vendor' })
+            );
+            expect(PushService.notifyUser).toHaveBeenCalledWith('customer', 'cust-1', 'order_status_changed', expect.objectContaining({ status: 'packed' }));
+            // Customer feed only - the vendor made the change
+            expect(NotificationService.notify).toHaveBeenCalledTimes(1);
+            expect(NotificationService.notify).toHaveBeenCalledWith(
+                { role: 'customer', id: 'cust-1' },
+                expect.objectContaining({ type: 'order_status', title: 'Order ORD-TEST-1 is packed' })
+            );
+        });
+
+        it('should not let a vendor touch another vendor sub-order', async () => {
+            OrderRepository.findOne.mockResolvedValue(buildOrder(['pending', 'pending']));
+
+            await expect(
+                OrderService.updateVendorSubOrderStatus(VENDOR_ID, 'order-1', 'sub-2', { status: 'confirmed' })
+            ).rejects.toMatchObject({ statusCode: 404 });
+        });
+
+        it('should reject invalid transitions', async () => {
+            OrderRepository.findOne.mockResolvedValue(buildOrder(['pending']));
+
+            await expect(
+                OrderService.updateVendorSubOrderStatus(VENDOR_ID, 'order-1', 'sub-1', { status: 'delivered' })
+            ).rejects.toMatchObject({ code: 'INVALID_STATUS_TRANSITION' });
+        });
+    });
+
+    describe('adminUpdateSubOrderStatus', () => {
+        it('should allow forced overrides but never reopen a cancelled sub-order', async () => {
+            OrderRepository.findOne.mockResolvedValue(buildOrder(['cancelled']));
+
+            await expect(
+                OrderService.adminUpdateSubOrderStatus('order-1', 'sub-1', { status: 'confirmed', force: true }, { role: 'admin', id: 'admin-1' })
+            ).rejects.toThrow('cannot be reopened');
+        });
+    });
+});
@@ -0,0 +1,82 @@
+import crypto from 'crypto';
+import express from 'express';
+import request from 'supertest';
+import { describe, beforeEach, it, expect, jest } from '@jest/globals';
+
+// Mock dependencies (the route, validate middleware and controller are real)
+jest.mock('../../src/services/payment.service.js', () => ({
+    __esModule: true,
+    default: {
+        handleWebhook: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/controllers/offlinePayment.controller.js', () => ({
+    __esModule: true,
+    default: {
+        submitProof: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/middleware/customerAuth.middleware.js', () => ({
+    __esModule: true,
+    protectCustomer: jest.fn((req, res, next) => next()),
+}));
+
+jest.mock('../../src/middleware/idempotency.middleware.js', () => ({
+    __esModule: true,
+    default: jest.fn(() => (req, res, next) => next()),
+}));
+
+jest.mock('../../src/middleware/upload.middleware.js', () => ({
+    __esModule: true,
+    default: {
+        single: jest.fn(() => (req, res, next) => next()),
+    },
+}));
+
+// Import after mocks
+import paymentRoutes from '../../src/routes/payment.routes.js';
+import PaymentService from '../../src/services/payment.service.js';
+import PayuProvider from '../../src/providers/payu.provider.js';
+
+const payu = new PayuProvider({ apiKey: 'merchantkey', apiSecret: 'salt' }, { sandbox: true, callbackBaseUrl: 'https://api.example.com' });
+const sha512 = (value) => crypto.createHash('sha512').update(value).digest('hex');
+
+const app = express();
+app.use(express.urlencoded({ extended: true }));
+app.use('/payments', paymentRoutes);
+
+describe('POST /payments/:gateway/webhook', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        // Verify with the real adapter so a stripped body would fail the signature check
+        PaymentService.handleWebhook.mockImplementation(async (gateway, { body }) => ({
+            verified: await payu.verifyWebhook({ body })
+        }));
+    });
+
+    it('should hand a signed PayU form callback to the adapter intact', async () => {
+        const body = { key: 'merchantkey', txnid: 'ORD-TEST-1', amount: '250.00', productinfo: 'ORD-TEST', firstname: 'Asha', email: 'a@b.com', udf1: 'order-1', status: 'success', mihpayid: '403993715' };
+        body.hash = sha512('salt|success||||||||||order-1|a@b.com|Asha|ORD-TEST|250.00|ORD-TEST-1|merchantkey');
+
+        const response = await request(app)
+            .post('/payments/payu/webhook')
+            .type('form')
+            .send(body)
+            .expect(200);
+
+        expect(PaymentService.handleWebhook).toHaveBeenCalledWith('payu', expect.objectContaining({ body: expect.objectContaining({ txnid: 'ORD-TEST-1', hash: body.hash }) }));
+        expect(response.body.data.verified).toBe(true);
+    });
+
+    it('should reject unsupported gateways before reaching the service', async () => {
+        await request(app)
+            .post('/payments/unknown/webhook')
+            .type('form')
+            .send({ status: 'success' })
+            .expect(400);
+
+        expect(PaymentService.handleWebhook).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,359 @@
+import crypto from 'crypto';
+import { describe, beforeEach, afterAll, it, expect, jest } from '@jest/globals';
+
+// Mock dependencies
+jest.mock('../../src/repositories/order.repository.js', () => ({
+    __esModule: true,
+    default: {
+        findOne: jest.fn(),
+        findById: jest.fn(),
+        setPaymentGatewayOrder: jest.fn(),
+        markPaymentPaid: jest.fn(),
+        markPaymentFailed: jest.fn(),
+        recordPaymentRefund: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/repositories/customer.repository.js', () => ({
+    __esModule: true,
+    default: {
+        findById: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/services/paymentGateway.service.js', () => ({
+    __esModule: true,
+    default: {
+        getGatewayCredentials: jest.fn(),
+        getPublicGateways: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/services/couponRedemption.service.js', () => ({
+    __esModule: true,
+    default: {
+        confirm: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/utils/audit.js', () => ({
+    __esModule: true,
+    default: {
+        log: jest.fn(),
+        security: jest.fn(),
+    },
+}));
+
+// Import after mocks
+import PaymentService from '../../src/services/payment.service.js';
+import OrderRepository from '../../src/repositories/order.repository.js';
+import PaymentGatewayService from '../../src/services/paymentGateway.service.js';
+import CouponRedemptionService from '../../src/services/couponRedemption.service.js';
+import { setRazorpayClientFactory, resetRazorpayClientFactory } from '../../src/utils/razorpay.client.js';
+
+const KEY_SECRET = 'test_key_secret';
+const WEBHOOK_SECRET = 'test_webhook_secret';
+
+const sign = (payload, secret) => crypto.createHmac('sha256', secret).update(payload).digest('hex');
+
+/**
+ * Local fake standing in for the Razorpay SDK
+ */
+const fakeRazorpay = {
+    orders: {
+        create: jest.fn(async (options) => ({ id: 'order_FAKE123', amount: options.amount, currency: options.currency })),
+    },
+    payments: {
+        fetch: jest.fn(),
+        refund: jest.fn(async (paymentId, options) => ({ id: 'rfnd_1', status: 'processed', amount: options.amount })),
+    },
+};
+
+const order = {
+    _id: 'order-1',
+    orderNumber: 'ORD-TEST',
+    customer: 'cust-1',
+    status: 'pending',
+    total: 499.5,
+    currency: 'INR',
+    payment: { status: 'pending', gateway: 'razorpay', gatewayOrderId: 'order_FAKE123' },
+};
+
+// Lookup matching any gateway order issued for the order
+const issuedFilter = (gatewayOrderId) => ({
+    $or: [
+        { 'payment.gateway': 'razorpay', 'payment.gatewayOrderId': gatewayOrderId },
+        { 'payment.gatewayOrders': { $elemMatch: { gateway: 'razorpay', gatewayOrderId } } },
+    ],
+});
+
+const webhookRequest = (payload, signature, eventId) => ({
+    rawBody: Buffer.from(payload),
+    headers: { 'x-razorpay-signature': signature, 'x-razorpay-event-id': eventId },
+});
+
+describe('PaymentService (Razorpay adapter)', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        setRazorpayClientFactory(() => fakeRazorpay);
+        PaymentGatewayService.getGatewayCredentials.mockResolvedValue({
+            name: 'razorpay',
+            config: { apiKey: 'rzp_test_key', apiSecret: KEY_SECRET, webhookSecret: WEBHOOK_SECRET },
+        });
+        PaymentGatewayService.getPublicGateways.mockResolvedValue([{ name: 'razorpay', title: 'Razorpay' }]);
+    });
+
+    afterAll(() => {
+        resetRazorpayClientFactory();
+    });
+
+    describe('createPayment', () => {
+        it('should create a gateway order in paise and attach it to the order', async () => {
+            OrderRepository.findOne.mockResolvedValue({ ...order, payment: { status: 'pending' } });
+            OrderRepository.setPaymentGatewayOrder.mockResolvedValue(order);
+
+            const result = await PaymentService.createPayment('cust-1', 'order-1', 'razorpay');
+
+            expect(fakeRazorpay.orders.create).toHaveBeenCalledWith(expect.objectContaining({ amount: 49950, currency: 'INR', receipt: 'ORD-TEST' }));
+            expect(OrderRepository.setPaymentGatewayOrder).toHaveBeenCalledWith('order-1', 'razorpay', 'order_FAKE123');
+            expect(result).toMatchObject({ gateway: 'razorpay', gatewayOrderId: 'order_FAKE123', keyId: 'rzp_test_key', razorpayOrderId: 'order_FAKE123', amount: 49950 });
+        });
+
+        it('should refuse to create a payment for an already paid order', async () => {
+            OrderRepository.findOne.mockResolvedValue({ ...order, payment: { status: 'paid' } });
+
+            await expect(PaymentService.createPayment('cust-1', 'order-1', 'razorpay')).rejects.toMatchObject({ statusCode: 409 });
+            expect(fakeRazorpay.orders.create).not.toHaveBeenCalled();
+        });
+
+        it('should reject a gateway that is not active', async () => {
+            OrderRepository.findOne.mockResolvedValue({ ...order, payment: { status: 'pending' } });
+
+            await expect(PaymentService.createPayment('cust-1', 'order-1', 'stripe')).rejects.toMatchObject({ statusCode: 400 });
+            expect(OrderRepository.setPaymentGatewayOrder).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('verifyPayment', () => {
+        it('should mark the order paid when the signature matches', async () => {
+            OrderRepository.findOne.mockResolvedValue(order);
+            OrderRepository.markPaymentPaid.mockResolvedValue({ ...order, payment: { status: 'paid' } });
+            fakeRazorpay.payments.fetch.mockResolvedValue({ id: 'pay_1', order_id: 'order_FAKE123', status: 'captured', amount: 49950 });
+
+            const result = await PaymentService.verifyPayment('cust-1', 'razorpay', {
+                orderId: 'order-1',
+                razorpayOrderId: 'order_FAKE123',
+                razorpayPaymentId: 'pay_1',
+                razorpaySignature: sign('order_FAKE123|pay_1', KEY_SECRET),
+            });
+
+            expect(result.payment.status).toBe('paid');
+            expect(OrderRepository.markPaymentPaid).toHaveBeenCalledWith(
+                { _id: 'order-1', ...issuedFilter('order_FAKE123') },
+                { gateway: 'razorpay', gatewayOrderId: 'order_FAKE123', gatewayPaymentId: 'pay_1', amount: 499.5 }
+            );
+        });
+
+        it('should accept the gateway share of an order paid partly from the wallet', async () => {
+            const splitOrder = { ...order, payment: { ...order.payment, walletAmount: 100 } };
+            OrderRepository.findOne.mockResolvedValue(splitOrder);
+            OrderRepository.markPaymentPaid.mockResolvedValue({ ...splitOrder, payment: { status: 'paid' } });
+            fakeRazorpay.payments.fetch.mockResolvedValue({ id: 'pay_1', order_id: 'order_FAKE123', status: 'captured', amount: 39950 });
+
+            await PaymentService.verifyPayment('cust-1', 'razorpay', {
+                orderId: 'order-1',
+                razorpayOrderId: 'order_FAKE123',
+                razorpayPaymentId: 'pay_1',
+                razorpaySignature: sign('order_FAKE123|pay_1', KEY_SECRET),
+            });
+
+            expect(fakeRazorpay.payments.fetch).toHaveBeenCalledWith('pay_1');
+            expect(OrderRepository.markPaymentPaid).toHaveBeenCalledWith(
+                { _id: 'order-1', ...issuedFilter('order_FAKE123') },
+                { gateway: 'razorpay', gatewayOrderId: 'order_FAKE123', gatewayPaymentId: 'pay_1', amount: 399.5 }
+            );
+        });
+
+        it('should accept a payment completed on an earlier gateway order of the same order', async () => {
+            const retried = {
+                ...order,
+                payment: {
+                    ...order.payment,
+                    gatewayOrderId: 'order_SECOND',
+                    gatewayOrders: [
+                        { gateway: 'razorpay', gatewayOrderId: 'order_FAKE123' },
+                        { gateway: 'razorpay', gatewayOrderId: 'order_SECOND' },
+                    ],
+                },
+            };
+            OrderRepository.findOne.mockResolvedValue(retried);
+            OrderRepository.markPaymentPaid.mockResolvedValue({ ...retried, payment: { status: 'paid' } });
+            fakeRazorpay.payments.fetch.mockResolvedValue({ id: 'pay_1', order_id: 'order_FAKE123', status: 'captured', amount: 49950 });
+
+            await PaymentService.verifyPayment('cust-1', 'razorpay', {
+                orderId: 'order-1',
+                razorpayOrderId: 'order_FAKE123',
+                razorpayPaymentId: 'pay_1',
+                razorpaySignature: sign('order_FAKE123|pay_1', KEY_SECRET),
+            });
+
+            expect(OrderRepository.markPaymentPaid).toHaveBeenCalledWith(
+                { _id: 'order-1', ...issuedFilter('order_FAKE123') },
+                { gateway: 'razorpay', gatewayOrderId: 'order_FAKE123', gatewayPaymentId: 'pay_1', amount: 499.5 }
+            );
+        });
+
+        it('should reject a payment that belongs to another gateway order', async () => {
+            OrderRepository.findOne.mockResolvedValue(order);
+            fakeRazorpay.payments.fetch.mockResolvedValue({ id: 'pay_1', order_id: 'order_OTHER', status: 'captured', amount: 49950 });
+
+            await expect(PaymentService.verifyPayment('cust-1', 'razorpay', {
+                orderId: 'order-1',
+                razorpayOrderId: 'order_FAKE123',
+                razorpayPaymentId: 'pay_1',
+                razorpaySignature: sign('order_FAKE123|pay_1', KEY_SECRET),
+            })).rejects.toMatchObject({ code: 'INVALID_SIGNATURE' });
+            expect(OrderRepository.markPaymentPaid).not.toHaveBeenCalled();
+        });
+
+        it('should leave an authorised but uncaptured payment pending', async () => {
+            OrderRepository.findOne.mockResolvedValue(order);
+            OrderRepository.findById.mockResolvedValue(order);
+            fakeRazorpay.payments.fetch.mockResolvedValue({ id: 'pay_1', order_id: 'order_FAKE123', status: 'authorized', amount: 49950 });
+
+            const result = await PaymentService.verifyPayment('cust-1', 'razorpay', {
+                orderId: 'order-1',
+                razorpayOrderId: 'order_FAKE123',
+                razorpayPaymentId: 'pay_1',
+                razorpaySignature: sign('order_FAKE123|pay_1', KEY_SECRET),
+            });
+
+            expect(result.payment.status).toBe('pending');
+            expect(OrderRepository.markPaymentPaid).not.toHaveBeenCalled();
+            expect(OrderRepository.markPaymentFailed).not.toHaveBeenCalled();
+            expect(CouponRedemptionService.confirm).not.toHaveBeenCalled();
+        });
+
+        it('should reject a tampered signature', async () => {
+            OrderRepository.findOne.mockResolvedValue(order);
+
+            await expect(PaymentService.verifyPayment('cust-1', 'razorpay', {
+                orderId: 'order-1',
+                razorpayOrderId: 'order_FAKE123',
+                razorpayPaymentId: 'pay_1',
+                razorpaySignature: sign('order_FAKE123|pay_2', KEY_SECRET),
+            })).rejects.toMatchObject({ code: 'INVALID_SIGNATURE' });
+            expect(OrderRepository.markPaymentPaid).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('handleWebhook', () => {
+        const capturedEvent = JSON.stringify({
+            event: 'payment.captured',
+            payload: { payment: { entity: { id: 'pay_1', order_id: 'order_FAKE123', amount: 49950 } } },
+        });
+
+        it('should reject an unsigned webhook', async () => {
+            await expect(PaymentService.handleWebhook('razorpay', webhookRequest(capturedEvent, 'bad', 'evt_1')))
+                .rejects.toMatchObject({ statusCode: 400 });
+        });
+
+        it('should mark paid on payment.captured and be a no-op on replay', async () => {
+            OrderRepository.findOne.mockResolvedValue(order);
+            OrderRepository.markPaymentPaid
+                .mockResolvedValueOnce({ ...order, payment: { status: 'paid' } })
+                .mockResolvedValueOnce(null);
+
+            const signature = sign(capturedEvent, WEBHOOK_SECRET);
+            const first = await PaymentService.handleWebhook('razorpay', webhookRequest(capturedEvent, signature, 'evt_1'));
+            const replay = await PaymentService.handleWebhook('razorpay', webhookRequest(capturedEvent, signature, 'evt_1'));
+
+            expect(first).toEqual({ handled: true, applied: true });
+            expect(replay).toEqual({ handled: true, applied: false });
+            expect(OrderRepository.markPaymentPaid).toHaveBeenCalledWith(
+                issuedFilter('order_FAKE123'),
+                { gateway: 'razorpay', gatewayOrderId: 'order_FAKE123', gatewayPaymentId: 'pay_1', amount: 499.5 },
+                'evt_1'
+            );
+        });
+
+        it('should mark paid when the customer pays on the first of two gateway orders', async () => {
+            // A retry issued order_SECOND; the customer completed checkout in the first tab
+            const retried = {
+                ...order,
+                payment: {
+                    status: 'pending',
+                    gateway: 'razorpay',
+                    gatewayOrderId: 'order_SECOND',
+                    gatewayOrders: [
+                        { gateway: 'razorpay', gatewayOrderId: 'order_FAKE123' },
+                        { gateway: 'razorpay', gatewayOrderId: 'order_SECOND' },
+                    ],
+                },
+            };
+            OrderRepository.findOne.mockResolvedValue(retried);
+            OrderRepository.markPaymentPaid.mockResolvedValue({ ...retried, payment: { status: 'paid' } });
+
+            const result = await PaymentService.handleWebhook('razorpay', webhookRequest(capturedEvent, sign(capturedEvent, WEBHOOK_SECRET), 'evt_4'));
+
+            expect(result).toEqual({ handled: true, applied: true });
+            expect(OrderRepository.findOne).toHaveBeenCalledWith(issuedFilter('order_FAKE123'));
+            expect(OrderRepository.markPaymentPaid).toHaveBeenCalledWith(
+                issuedFilter('order_FAKE123'),
+                { gateway: 'razorpay', gatewayOrderId: 'order_FAKE123', gatewayPaymentId: 'pay_1', amount: 499.5 },
+                'evt_4'
+            );
+        });
+
+        it('should not mark paid when the captured amount differs from the order total', async () => {
+            OrderRepository.findOne.mockResolvedValue({ ...order, total: 10 });
+
+            const result = await PaymentService.handleWebhook('razorpay', webhookRequest(capturedEvent, sign(capturedEvent, WEBHOOK_SECRET), 'evt_2'));
+
+            expect(result.handled).toBe(false);
+            expect(OrderRepository.markPaymentPaid).not.toHaveBeenCalled();
+        });
+
+        it('should mark failed on payment.failed', async () => {
+            const failedEvent = JSON.stringify({
+                event: 'payment.failed',
+                payload: { payment: { entity: { id: 'pay_2', order_id: 'order_FAKE123', error_description: 'Card declined' } } },
+            });
+            OrderRepository.markPaymentFailed.mockResolvedValue({ ...order, payment: { status: 'failed' } });
+
+            const result = await PaymentService.handleWebhook('razorpay', webhookRequest(failedEvent, sign(failedEvent, WEBHOOK_SECRET), 'evt_3'));
+
+            expect(result).toEqual({ handled: true, applied: true });
+            expect(OrderRepository.markPaymentFailed).toHaveBeenCalledWith(
+                { 'payment.gateway': 'razorpay', 'payment.gatewayOrderId': 'order_FAKE123' },
+                { gatewayPaymentId: 'pay_2', reason: 'Card declined' },
+                'evt_3'
+            );
+        });
+    });
+
+    describe('refundPayment', () => {
+        const paidOrder = { ...order, payment: { ...order.payment, status: 'paid', gatewayPaymentId: 'pay_1', amount: 499.5, refundedAmount: 100 } };
+
+        it('should refund the remaining balance by default and mark the order refunded', async () => {
+            OrderRepository.findById.mockResolvedValue(paidOrder);
+            OrderRepository.recordPaymentRefund.mockResolvedValue({ ...paidOrder, payment: { status: 'refunded' } });
+
+            await PaymentService.refundPayment('order-1', { reason: 'Damaged' });
+
+            expect(fakeRazorpay.payments.refund).toHaveBeenCalledWith('pay_1', expect.objectContaining({ amount: 39950 }));
+            expect(OrderRepository.recordPaymentRefund).toHaveBeenCalledWith(
+                'order-1',
+                { refundId: 'rfnd_1', amount: 399.5, reason: 'Damaged', status: 'processed' },
+                true
+            );
+        });
+
+        it('should reject a refund larger than the refundable balance', async () => {
+            OrderRepository.findById.mockResolvedValue(paidOrder);
+
+            await expect(PaymentService.refundPayment('order-1', { amount: 450 })).rejects.toMatchObject({ statusCode: 400 });
+            expect(fakeRazorpay.payments.refund).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,143 @@
+import crypto from 'crypto';
+import { describe, beforeEach, it, expect, jest } from '@jest/globals';
+
+import StripeProvider from '../../src/providers/stripe.provider.js';
+import PaypalProvider from '../../src/providers/paypal.provider.js';
+import PayuProvider from '../../src/providers/payu.provider.js';
+import CcavenueProvider from '../../src/providers/ccavenue.provider.js';
+import { createPaymentProvider, hasPaymentProvider } from '../../src/providers/payment.registry.js';
+
+/**
+ * Adapters are exercised against a stubbed HTTP client - no gateway traffic.
+ */
+const http = { request: jest.fn() };
+const options = { http, sandbox: true, callbackBaseUrl: 'https://api.example.com' };
+
+const order = { _id: 'order-1', orderNumber: 'ORD-TEST', total: 250, payment: { gatewayOrderId: 'gw_1' } };
+
+describe('Payment provider registry', () => {
+    it('should expose an adapter for every PaymentGateway name', () => {
+        ['razorpay', 'stripe', 'paypal', 'payu', 'ccavenue'].forEach(name => {
+            expect(hasPaymentProvider(name)).toBe(true);
+            expect(createPaymentProvider(name, {}).name).toBe(name);
+        });
+        expect(createPaymentProvider('unknown', {})).toBeNull();
+    });
+});
+
+describe('StripeProvider', () => {
+    const stripe = new StripeProvider({ apiKey: 'pk_test', apiSecret: 'sk_test', webhookSecret: 'whsec_test' }, options);
+
+    beforeEach(() => jest.clearAllMocks());
+
+    it('should create a payment intent in minor units', async () => {
+        http.request.mockResolvedValue({ data: { id: 'pi_1', amount: 25000, currency: 'inr', client_secret: 'pi_1_secret' } });
+
+        const result = await stripe.createPayment({ amount: 250, currency: 'INR', receipt: 'ORD-TEST', orderId: 'order-1' });
+
+        const call = http.request.mock.calls[0][0];
+        expect(call.url).toBe('https://api.stripe.com/v1/payment_intents');
+        expect(call.headers.Authorization).toBe('Bearer sk_test');
+        expect(new URLSearchParams(call.data).get('amount')).toBe('25000');
+        expect(result).toMatchObject({ gatewayOrderId: 'pi_1', amount: 250, clientPayload: { publishableKey: 'pk_test', clientSecret: 'pi_1_secret' } });
+    });
+
+    it('should verify a signed webhook and reject a stale or tampered one', async () => {
+        const rawBody = JSON.stringify({ id: 'evt_1', type: 'payment_intent.succeeded', data: { object: { id: 'pi_1', amount_received: 25000 } } });
+        const t = Math.floor(Date.now() / 1000);
+        const sig = crypto.createHmac('sha256', 'whsec_test').update(`${t}.${rawBody}`).digest('hex');
+
+        expect(await stripe.verifyWebhook({ rawBody, headers: { 'stripe-signature': `t=${t},v1=${sig}` } })).toBe(true);
+        expect(await stripe.verifyWebhook({ rawBody: `${rawBody} `, headers: { 'stripe-signature': `t=${t},v1=${sig}` } })).toBe(false);
+        expect(await stripe.verifyWebhook({ rawBody, headers: { 'stripe-signature': `t=${t - 1000},v1=${sig}` } })).toBe(false);
+
+        expect(await stripe.parseWebhook({ rawBody })).toMatchObject({ type: 'paid', eventId: 'evt_1', gatewayOrderId: 'pi_1', amount: 250 });
+    });
+
+    it('should wrap gateway failures in a 502', async () => {
+        http.request.mockRejectedValue({ response: { data: { error: { message: 'No such payment_intent' } } } });
+
+        await expect(stripe.fetchPaymentStatus({ gatewayOrderId: 'pi_x' }))
+            .rejects.toMatchObject({ statusCode: 502, code: 'PAYMENT_GATEWAY_ERROR' });
+    });
+});
+
+describe('PaypalProvider', () => {
+    let paypal;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        paypal = new PaypalProvider({ clientId: 'client', apiSecret: 'secret', webhookSecret: 'WH-1' }, options);
+        http.request.mockImplementation(async ({ url }) => {
+            if (url.endsWith('/v1/oauth2/token')) return { data: { access_token: 'token', expires_in: 3600 } };
+            if (url.endsWith('/capture')) {
+                return { data: { status: 'COMPLETED', purchase_units: [{ payments: { captures: [{ id: 'CAP-1', status: 'COMPLETED', amount: { value: '250.00' } }] } }] } };
+            }
+            return { data: {} };
+        });
+    });
+
+    it('should capture the approved order when the customer returns', async () => {
+        const result = await paypal.verifyClientPayment({}, order);
+
+        expect(result).toEqual({ valid: true, status: 'paid', gatewayPaymentId: 'CAP-1', amount: 250 });
+        expect(http.request).toHaveBeenCalledWith(expect.objectContaining({
+            url: 'https://api-m.sandbox.paypal.com/v2/checkout/orders/gw_1/capture',
+            headers: expect.objectContaining({ Authorization: 'Bearer token' })
+        }));
+    });
+
+    it('should reuse the access token between calls', async () => {
+        await paypal.fetchPaymentStatus({ gatewayOrderId: 'gw_1' });
+        await paypal.fetchPaymentStatus({ gatewayOrderId: 'gw_1' });
+
+        const tokenCalls = http.request.mock.calls.filter(([call]) => call.url.endsWith('/v1/oauth2/token'));
+        expect(tokenCalls).toHaveLength(1);
+    });
+});
+
+describe('PayuProvider', () => {
+    const payu = new PayuProvider({ apiKey: 'merchantkey', apiSecret: 'salt' }, options);
+    const sha512 = (value) => crypto.createHash('sha512').update(value).digest('hex');
+
+    it('should build a hashed hosted-checkout form posting back to the webhook route', async () => {
+        const result = await payu.createPayment({ amount: 250, receipt: 'ORD-TEST', orderId: 'order-1', customer: { name: 'Asha', email: 'a@b.com' } });
+        const { params } = result.clientPayload;
+
+        expect(result.clientPayload.action).toBe('https://test.payu.in/_payment');
+        expect(params.surl).toBe('https://api.example.com/api/v1/payments/payu/webhook');
+        expect(params.hash).toBe(sha512(`merchantkey|${params.txnid}|250.00|ORD-TEST|Asha|a@b.com|order-1||||||||||salt`));
+    });
+
+    it('should accept only responses carrying a valid reverse hash', async () => {
+        const body = { key: 'merchantkey', txnid: 'ORD-TEST-1', amount: '250.00', productinfo: 'ORD-TEST', firstname: 'Asha', email: 'a@b.com', udf1: 'order-1', status: 'success', mihpayid: '403993715' };
+        body.hash = sha512(`salt|success||||||||||order-1|a@b.com|Asha|ORD-TEST|250.00|ORD-TEST-1|merchantkey`);
+
+        expect(await payu.verifyWebhook({ body })).toBe(true);
+        expect(await payu.verifyWebhook({ body: { ...body, amount: '1.00' } })).toBe(false);
+        expect(await payu.parseWebhook({ body })).toMatchObject({ type: 'paid', gatewayOrderId: 'ORD-TEST-1', gatewayPaymentId: '403993715', amount: 250 });
+    });
+});
+
+describe('CcavenueProvider', () => {
+    const ccavenue = new CcavenueProvider({ clientId: 'M1', apiKey: 'ACCESS', apiSecret: 'WORKINGKEY' }, options);
+
+    it('should round-trip encrypted callbacks and reject foreign ones', async () => {
+        const encResp = ccavenue.encrypt('order_id=ORD-TEST-1&tracking_id=1100&order_status=Success&amount=250.00');
+
+        expect(await ccavenue.verifyWebhook({ body: { encResp } })).toBe(true);
+        expect(await ccavenue.parseWebhook({ body: { encResp } })).toMatchObject({ type: 'paid', gatewayOrderId: 'ORD-TEST-1', gatewayPaymentId: '1100', amount: 250 });
+
+        const foreign = new CcavenueProvider({ apiSecret: 'OTHERKEY' }, options);
+        expect(await foreign.verifyWebhook({ body: { encResp } })).toBe(false);
+    });
+
+    it('should decrypt the order status API response', async () => {
+        http.request.mockResolvedValue({
+            data: `status=0&enc_response=${ccavenue.encrypt(JSON.stringify({ order_status: 'Shipped', reference_no: '1100', order_amt: 250 }))}`
+        });
+
+        expect(await ccavenue.fetchPaymentStatus({ gatewayOrderId: 'ORD-TEST-1' }))
+            .toEqual({ status: 'paid', gatewayPaymentId: '1100', amount: 250 });
+    });
+});
@@ -0,0 +1,120 @@
+import { describe, beforeEach, it, expect, jest } from '@jest/globals';
+
+// Mock dependencies
+jest.mock('../../src/repositories/product.repository.js', () => ({
+    __esModule: true,
+    default: {
+        findOne: jest.fn(),
+        create: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/repositories/productCategory.repository.js', () => ({
+    __esModule: true,
+    default: {
+        findById: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/repositories/productSubCategory.repository.js', () => ({
+    __esModule: true,
+    default: {
+        findById: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/services/commission.service.js', () => ({
+    __esModule: true,
+    default: {
+        previewForProduct: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/utils/cache.js', () => ({
+    __esModule: true,
+    default: {
+        delByPattern: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/utils/vendorCache.js', () => ({
+    __esModule: true,
+    default: {
+        invalidateAllVendorCaches: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/services/wishlistAlert.service.js', () => ({
+    __esModule: true,
+    default: {},
+}));
+
+jest.mock('../../src/services/notification.service.js', () => ({
+    __esModule: true,
+    default: {},
+}));
+
+jest.mock('../../src/utils/imageUpload.util.js', () => ({
+    __esModule: true,
+    deleteMultipleImages: jest.fn(),
+}));
+
+// Import after mocks
+import ProductService from '../../src/services/product.service.js';
+import ProductRepository from '../../src/repositories/product.repository.js';
+import ProductCategoryRepository from '../../src/repositories/productCategory.repository.js';
+import CommissionService from '../../src/services/commission.service.js';
+
+const VENDOR_ID = '64b000000000000000000001';
+const CATEGORY_ID = '64c000000000000000000001';
+
+const productData = () => ({
+    name: 'Trail Shoe',
+    sku: 'SHOE-1',
+    category: CATEGORY_ID,
+    price: 1000,
+    discount: 10,
+    discountType: 'percent',
+    images: [{ url: 'https://img.test/1.jpg' }],
+    thumbnail: { url: 'https://img.test/thumb.jpg' },
+});
+
+// Saved document as Mongoose returns it (defaults applied, toObject available)
+const savedProduct = (data) => {
+    const saved = { ...data, _id: '64d000000000000000000001', vendor: VENDOR_ID, discount: 10, status: 'pending' };
+    return { ...saved, toObject: () => saved };
+};
+
+describe('ProductService.createProduct commission preview', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        ProductCategoryRepository.findById.mockResolvedValue({ _id: CATEGORY_ID, status: 'active' });
+        // Slug lookup chains .select(); SKU lookup is awaited directly
+        ProductRepository.findOne.mockImplementation(() => {
+            const result = Promise.resolve(null);
+            result.select = () => Promise.resolve(null);
+            return result;
+        });
+        ProductRepository.create.mockImplementation(async (data) => savedProduct(data));
+    });
+
+    it('should preview the commission from the saved product', async () => {
+        CommissionService.previewForProduct.mockResolvedValue({ type: 'percent', value: 10, unitPrice: 900, commission: 90, netPerUnit: 810 });
+
+        const result = await ProductService.createProduct(productData(), VENDOR_ID);
+
+        const [previewed, vendorId] = CommissionService.previewForProduct.mock.calls[0];
+        expect(previewed).toMatchObject({ _id: '64d000000000000000000001', status: 'pending', price: 1000 });
+        expect(vendorId).toBe(VENDOR_ID);
+        expect(result).toMatchObject({ _id: '64d000000000000000000001', commission: { commission: 90, netPerUnit: 810 } });
+    });
+
+    it('should still return the created product when the preview fails', async () => {
+        CommissionService.previewForProduct.mockRejectedValue(new Error('settings unavailable'));
+
+        const result = await ProductService.createProduct(productData(), VENDOR_ID);
+
+        expect(ProductRepository.create).toHaveBeenCalledTimes(1);
+        expect(result).toMatchObject({ _id: '64d000000000000000000001', name: 'Trail Shoe', commission: null });
+    });
+});
@@ -0,0 +1,88 @@
+import express from 'express';
+import request from 'supertest';
+import { describe, beforeEach, it, expect, jest } from '@jest/globals';
+
+// Mock dependencies (the route, validate middleware and controller are real)
+jest.mock('../../src/services/product.service.js', () => ({
+    __esModule: true,
+    default: {
+        getAllProductsCursor: jest.fn(),
+        searchPublicProducts: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/middleware/vendorAuth.middleware.js', () => ({
+    __esModule: true,
+    protectVendor: jest.fn((req, res, next) => next()),
+}));
+
+jest.mock('../../src/middleware/cache.middleware.js', () => ({
+    __esModule: true,
+    default: jest.fn(() => (req, res, next) => next()),
+}));
+
+jest.mock('../../src/middleware/idempotency.middleware.js', () => ({
+    __esModule: true,
+    default: jest.fn(() => (req, res, next) => next()),
+}));
+
+// Import after mocks
+import productRoutes from '../../src/routes/product.routes.js';
+import ProductService from '../../src/services/product.service.js';
+
+const app = express();
+app.use('/products', productRoutes);
+
+const CURSOR = '64b0000000000000000000aa';
+
+describe('GET /products/public', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        ProductService.getAllProductsCursor.mockResolvedValue({
+            products: [{ _id: '64b0000000000000000000a9', name: 'Shoe' }],
+            pagination: { nextCursor: '64b0000000000000000000a9', hasNextPage: true, limit: 1, count: 1 },
+        });
+        ProductService.searchPublicProducts.mockResolvedValue({
+            products: [],
+            facets: {},
+            sort: 'newest',
+            pagination: { total: 0, page: 1, limit: 20, pages: 0 },
+        });
+    });
+
+    it('should keep cursor pagination for infinite-scroll clients', async () => {
+        const response = await request(app)
+            .get('/products/public')
+            .query({ cursor: CURSOR, limit: 1, sort: 'asc', search: 'shoe' })
+            .expect(200);
+
+        expect(ProductService.getAllProductsCursor).toHaveBeenCalledWith({
+            filter: { status: 'approved', isActive: true, quantity: { $gt: 0 }, search: 'shoe' },
+            cursor: CURSOR,
+            limit: 1,
+            sortDirection: 'asc',
+        });
+        expect(ProductService.searchPublicProducts).not.toHaveBeenCalled();
+        expect(response.body.data.pagination).toEqual({ nextCursor: '64b0000000000000000000a9', hasNextPage: true, limit: 1, count: 1 });
+    });
+
+    it('should start a cursor listing from an empty cursor', async () => {
+        await request(app).get('/products/public?cursor=').expect(200);
+
+        expect(ProductService.getAllProductsCursor).toHaveBeenCalledWith(expect.objectContaining({ cursor: null, limit: 20, sortDirection: 'desc' }));
+    });
+
+    it('should serve the faceted listing when no cursor is sent', async () => {
+        const response = await request(app).get('/products/public?page=2&brand=Nike').expect(200);
+
+        expect(ProductService.searchPublicProducts).toHaveBeenCalledWith(expect.objectContaining({ brand: 'Nike' }));
+        expect(ProductService.getAllProductsCursor).not.toHaveBeenCalled();
+        expect(response.body.data).toHaveProperty('facets');
+    });
+
+    it('should reject a malformed cursor', async () => {
+        await request(app).get('/products/public?cursor=not-an-id').expect(400);
+
+        expect(ProductService.getAllProductsCursor).not.toHaveBeenCalled();
+    });
+});
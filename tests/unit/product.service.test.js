@@ -119,6 +119,18 @@ jest.unstable_mockModule('../../src/services/dealOfTheDay.service.js', () => ({
     default: { enrichProductsWithDailyDeals: jest.fn((p) => p) },
 }));
 
+jest.unstable_mockModule('../../src/services/commission.service.js', () => ({
+    default: { previewForProduct: jest.fn().mockResolvedValue({ scope: 'global', type: 'percent', value: 10 }) },
+}));
+
+jest.unstable_mockModule('../../src/services/notification.service.js', () => ({
+    default: { notify: jest.fn() },
+}));
+
+jest.unstable_mockModule('../../src/services/wishlistAlert.service.js', () => ({
+    default: { productRestocked: jest.fn() },
+}));
+
 // ─── Load Mocked Modules ────────────────────────────────────────────────────
 
 const getMocks = async () => {
@@ -219,6 +231,7 @@ describe('ProductService', () => {
             expect(ProductCategoryRepository.findById).toHaveBeenCalledWith(data.category);
             expect(ProductRepository.create).toHaveBeenCalled();
             expect(result._id).toBeDefined();
+            expect(result.commission).toMatchObject({ type: 'percent', value: 10 });
         });
 
         it('should throw CATEGORY_NOT_FOUND when category does not exist', async () => {
@@ -0,0 +1,191 @@
+import { describe, beforeEach, it, expect, jest } from '@jest/globals';
+
+// Mock dependencies
+jest.mock('../../src/repositories/pushSubscription.repository.js', () => ({
+    __esModule: true,
+    default: {
+        upsertByEndpoint: jest.fn(),
+        findByOwner: jest.fn(),
+        findForRecipients: jest.fn(),
+        deleteOne: jest.fn(),
+        deleteByEndpoints: jest.fn(),
+        markSent: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/repositories/pushTemplate.repository.js', () => ({
+    __esModule: true,
+    default: {
+        findByEvent: jest.fn(),
+        getAll: jest.fn(),
+        create: jest.fn(),
+        updateByEvent: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/config/webPush.js', () => ({
+    __esModule: true,
+    isWebPushConfigured: true,
+    default: {
+        sendNotification: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/config/queue.js', () => ({
+    __esModule: true,
+    pushQueue: {
+        add: jest.fn(),
+    },
+}));
+
+// Import after mocks
+import PushService from '../../src/services/push.service.js';
+import PushSubscriptionRepository from '../../src/repositories/pushSubscription.repository.js';
+import PushTemplateRepository from '../../src/repositories/pushTemplate.repository.js';
+import webpush from '../../src/config/webPush.js';
+import { pushQueue } from '../../src/config/queue.js';
+
+const subscription = (endpoint) => ({
+    _id: `sub-${endpoint}`,
+    endpoint: `https://push.example.com/${endpoint}`,
+    keys: { p256dh: 'p256dh-key', auth: 'auth-key' },
+});
+
+const pushError = (statusCode) => Object.assign(new Error('Push failed'), { statusCode });
+
+describe('PushService', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        PushTemplateRepository.findByEvent.mockResolvedValue({
+            event: 'order_status_changed',
+            title: 'Order {subOrderNumber} is {status}',
+            body: 'Your order {subOrderNumber} is now {status}.',
+            url: '/orders/{orderId}',
+            isEnabled: true,
+        });
+        PushSubscriptionRepository.deleteByEndpoints.mockImplementation(async (endpoints) => endpoints.length);
+    });
+
+    describe('subscribe', () => {
+        it('should register the device for the logged-in account without exposing its keys', async () => {
+            PushSubscriptionRepository.upsertByEndpoint.mockImplementation(async (endpoint, data) => ({ _id: 'sub-1', endpoint, ...data }));
+            const { endpoint, keys } = subscription('device-1');
+
+            const device = await PushService.subscribe({ role: 'vendor', id: 'vendor-1' }, { endpoint, keys, deviceName: 'Laptop' }, 'Mozilla/5.0');
+
+            expect(PushSubscriptionRepository.upsertByEndpoint).toHaveBeenCalledWith(endpoint, expect.objectContaining({
+                owner: { role: 'vendor', id: 'vendor-1' },
+                keys,
+                expirationTime: null,
+                userAgent: 'Mozilla/5.0',
+            }));
+            expect(device).toMatchObject({ id: 'sub-1', deviceName: 'Laptop' });
+            expect(device).not.toHaveProperty('keys');
+        });
+
+        it('should only remove a device of the caller', async () => {
+            PushSubscriptionRepository.deleteOne.mockResolvedValue(false);
+
+            await expect(PushService.unsubscribe({ role: 'customer', id: 'cust-1' }, 'https://push.example.com/other'))
+                .rejects.toMatchObject({ code: 'PUSH_SUBSCRIPTION_NOT_FOUND', statusCode: 404 });
+            expect(PushSubscriptionRepository.deleteOne).toHaveBeenCalledWith({
+                endpoint: 'https://push.example.com/other',
+                'owner.role': 'customer',
+                'owner.id': 'cust-1',
+            });
+        });
+    });
+
+    describe('notify', () => {
+        it('should queue one job per event for the recipients', async () => {
+            await PushService.notifyUser('customer', 'cust-1', 'order_status_changed', { status: 'shipped' });
+
+            expect(pushQueue.add).toHaveBeenCalledWith('order_status_changed', {
+                recipients: [{ role: 'customer', id: 'cust-1' }],
+                event: 'order_status_changed',
+                data: { status: 'shipped' },
+            });
+        });
+
+        it('should never fail the caller when the queue is down', async () => {
+            pushQueue.add.mockRejectedValue(new Error('Redis down'));
+
+            await expect(PushService.notifyUser('customer', 'cust-1', 'order_status_changed')).resolves.toBeUndefined();
+        });
+    });
+
+    describe('deliver', () => {
+        it('should render the event template into every device of the recipients', async () => {
+            PushSubscriptionRepository.findForRecipients.mockResolvedValue([subscription('a'), subscription('b')]);
+            webpush.sendNotification.mockResolvedValue({ statusCode: 201 });
+
+            const result = await PushService.deliver([{ role: 'customer', id: 'cust-1' }], 'order_status_changed', {
+                orderId: 'order-1',
+                subOrderNumber: 'ORD-1-1',
+                status: 'shipped',
+            });
+
+            expect(result).toEqual({ sent: 2, pruned: 0, failed: 0 });
+            const payload = JSON.parse(webpush.sendNotification.mock.calls[0][1]);
+            expect(payload).toMatchObject({
+                event: 'order_status_changed',
+                title: 'Order ORD-1-1 is shipped',
+                body: 'Your order ORD-1-1 is now shipped.',
+                url: '/orders/order-1',
+            });
+            expect(PushSubscriptionRepository.markSent).toHaveBeenCalledWith([
+                'https://push.example.com/a',
+                'https://push.example.com/b',
+            ]);
+        });
+
+        it('should prune subscriptions the push service reports gone', async () => {
+            PushSubscriptionRepository.findForRecipients.mockResolvedValue([subscription('live'), subscription('gone'), subscription('flaky')]);
+            webpush.sendNotification
+                .mockResolvedValueOnce({ statusCode: 201 })
+                .mockRejectedValueOnce(pushError(410))
+                .mockRejectedValueOnce(pushError(500));
+
+            const result = await PushService.deliver([{ role: 'vendor' }], 'order_status_changed', {});
+
+            expect(result).toEqual({ sent: 1, pruned: 1, failed: 1 });
+            expect(PushSubscriptionRepository.deleteByEndpoints).toHaveBeenCalledWith(['https://push.example.com/gone']);
+        });
+
+        it('should send nothing for a disabled template', async () => {
+            PushTemplateRepository.findByEvent.mockResolvedValue({ event: 'order_status_changed', title: 'x', body: 'y', isEnabled: false });
+
+            const result = await PushService.deliver([{ role: 'customer', id: 'cust-1' }], 'order_status_changed', {});
+
+            expect(result.skipped).toBe(true);
+            expect(PushSubscriptionRepository.findForRecipients).not.toHaveBeenCalled();
+        });
+
+        it('should only ask the queue to retry when no device got the push', async () => {
+            PushSubscriptionRepository.findForRecipients.mockResolvedValue([subscription('a')]);
+            webpush.sendNotification.mockRejectedValue(pushError(503));
+
+            await expect(PushService.processJob({ recipients: [{ role: 'admin' }], event: 'order_status_changed', data: {} }))
+                .rejects.toThrow('Push delivery failed');
+        });
+    });
+
+    describe('sendTest', () => {
+        it('should refuse accounts without devices', async () => {
+            PushSubscriptionRepository.findByOwner.mockResolvedValue([]);
+
+            await expect(PushService.sendTest({ role: 'admin', id: 'admin-1' })).rejects.toMatchObject({ code: 'PUSH_SUBSCRIPTION_NOT_FOUND' });
+        });
+    });
+
+    describe('bootstrapTemplates', () => {
+        it('should only create templates that are missing', async () => {
+            PushTemplateRepository.findByEvent.mockImplementation(async (event) => (event === 'test' ? { event } : null));
+
+            await PushService.bootstrapTemplates();
+
+            const created = PushTemplateRepository.create.mock.calls.map(([data]) => data.event);
+            expect(created).toEqual(['order_status_changed', 'new_vendor_order', 'product_out_of_stock', 'support_ticket_reply']);
+        });
+    });
+});
@@ -0,0 +1,121 @@
+import { describe, beforeEach, afterEach, it, expect, jest } from '@jest/globals';
+
+import RealtimeService from '../../src/services/realtime.service.js';
+
+const VENDOR_A = '64b000000000000000000001';
+const VENDOR_B = '64b000000000000000000002';
+
+// Records every (rooms, event, payload) emitted through io.to(rooms).emit()
+const buildIO = () => {
+    const emitted = [];
+    return {
+        emitted,
+        to: jest.fn((rooms) => ({
+            emit: (event, payload) => emitted.push({ rooms, event, payload }),
+        })),
+    };
+};
+
+describe('RealtimeService', () => {
+    let io;
+
+    beforeEach(() => {
+        io = buildIO();
+        RealtimeService.attach(io);
+    });
+
+    afterEach(() => {
+        RealtimeService.attach(null);
+    });
+
+    it('should do nothing without a gateway', () => {
+        RealtimeService.attach(null);
+
+        expect(() => RealtimeService.toUser('customer', 'cust-1', 'event', {})).not.toThrow();
+        expect(io.to).not.toHaveBeenCalled();
+    });
+
+    describe('orderStatusChanged', () => {
+        const order = {
+            _id: 'order-1',
+            orderNumber: 'ORD-TEST',
+            customer: 'cust-1',
+            status: 'confirmed',
+        };
+        const changes = [{ subOrder: { _id: 'sub-1', subOrderNumber: 'ORD-TEST-1', vendor: VENDOR_A }, from: 'pending', status: 'confirmed' }];
+
+        it('should tell the customer and the vendor when someone else changed the sub-order', () => {
+            RealtimeService.orderStatusChanged(order, changes, { role: 'admin', id: 'admin-1' });
+
+            expect(io.emitted.map(e => e.rooms)).toEqual([['user:customer:cust-1'], [`user:vendor:${VENDOR_A}`]]);
+            expect(io.emitted[0]).toMatchObject({
+                event: 'order:status_changed',
+                payload: { orderNumber: 'ORD-TEST', subOrderId: 'sub-1', from: 'pending', status: 'confirmed' },
+            });
+        });
+
+        it('should not echo a vendor change back to the vendor', () => {
+            RealtimeService.orderStatusChanged(order, changes, { role: 'vendor', id: VENDOR_A });
+
+            expect(io.emitted.map(e => e.rooms)).toEqual([['user:customer:cust-1']]);
+        });
+    });
+
+    describe('orderPlaced', () => {
+        it('should send each vendor only their own sub-order and staff the whole order', () => {
+            RealtimeService.orderPlaced({
+                _id: 'order-1',
+                orderNumber: 'ORD-TEST',
+                total: 300,
+                subOrders: [
+                    { _id: 'sub-1', subOrderNumber: 'ORD-TEST-1', vendor: VENDOR_A, total: 200, items: [{ quantity: 2 }] },
+                    { _id: 'sub-2', subOrderNumber: 'ORD-TEST-2', vendor: VENDOR_B, total: 80, items: [{ quantity: 1 }] },
+                    { _id: 'sub-3', subOrderNumber: 'ORD-TEST-3', vendor: null, total: 20, items: [{ quantity: 1 }] },
+                ],
+            });
+
+            expect(io.emitted.map(e => e.rooms)).toEqual([
+                [`user:vendor:${VENDOR_A}`],
+                [`user:vendor:${VENDOR_B}`],
+                ['role:admin', 'role:employee'],
+            ]);
+            expect(io.emitted[0].payload).toMatchObject({ subOrderNumber: 'ORD-TEST-1', total: 200, totalItems: 2 });
+            expect(io.emitted[2].payload).toMatchObject({ orderNumber: 'ORD-TEST', subOrders: 3 });
+        });
+    });
+
+    describe('productsOutOfStock', () => {
+        it('should alert the owning vendor and staff, and only staff for in-house products', () => {
+            RealtimeService.productsOutOfStock([
+                { product: 'prod-1', name: 'Shoe', vendor: VENDOR_A, variation: 'SKU-L' },
+                { product: 'prod-2', name: 'Bag', vendor: null },
+            ]);
+
+            expect(io.emitted.map(e => e.rooms)).toEqual([
+                [`user:vendor:${VENDOR_A}`],
+                ['role:admin', 'role:employee'],
+                ['role:admin', 'role:employee'],
+            ]);
+            expect(io.emitted[1].payload).toMatchObject({ productId: 'prod-1', variation: 'SKU-L', vendorId: VENDOR_A });
+        });
+    });
+
+    describe('ticketReplied', () => {
+        it('should push the reply to the ticket owner', () => {
+            RealtimeService.ticketReplied({
+                ticketId: 'TKT-1',
+                subject: 'Late delivery',
+                status: 'Resolved',
+                adminReply: 'Shipped today',
+                customer: { _id: 'cust-1', email: 'jane@test.com' },
+            });
+
+            expect(io.emitted).toHaveLength(1);
+            expect(io.emitted[0]).toMatchObject({
+                rooms: ['user:customer:cust-1'],
+                event: 'ticket:replied',
+                payload: { ticketId: 'TKT-1', reply: 'Shipped today' },
+            });
+        });
+    });
+});
@@ -0,0 +1,370 @@
+import { describe, beforeEach, it, expect, jest } from '@jest/globals';
+
+// Mock dependencies
+jest.mock('../../src/repositories/returnRequest.repository.js', () => ({
+    __esModule: true,
+    default: {
+        create: jest.fn(),
+        findOne: jest.fn(),
+        sumReturnedQuantity: jest.fn(),
+        transition: jest.fn(),
+        update: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/repositories/order.repository.js', () => ({
+    __esModule: true,
+    default: {
+        findOne: jest.fn(),
+        findById: jest.fn(),
+        touchItemForReturn: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/repositories/product.repository.js', () => ({
+    __esModule: true,
+    default: {
+        incrementStock: jest.fn(),
+        decrementStock: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/services/content.service.js', () => ({
+    __esModule: true,
+    default: {
+        getReturnSettings: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/services/payment.service.js', () => ({
+    __esModule: true,
+    default: {
+        refundPayment: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/services/product.service.js', () => ({
+    __esModule: true,
+    default: {
+        invalidateCache: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/services/wishlistAlert.service.js', () => ({
+    __esModule: true,
+    default: {
+        productRestocked: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/services/wallet.service.js', () => ({
+    __esModule: true,
+    default: {
+        credit: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/services/settlement.service.js', () => ({
+    __esModule: true,
+    default: {
+        recordEarning: jest.fn(),
+        recordReturnDeduction: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/utils/transaction.js', () => ({
+    __esModule: true,
+    default: {
+        execute: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/utils/cloudinary.js', () => ({
+    __esModule: true,
+    uploadToCloudinary: jest.fn(),
+    deleteFromCloudinary: jest.fn(),
+}));
+
+// Import after mocks
+import ReturnRequestService from '../../src/services/returnRequest.service.js';
+import ReturnRequestRepository from '../../src/repositories/returnRequest.repository.js';
+import OrderRepository from '../../src/repositories/order.repository.js';
+import ProductRepository from '../../src/repositories/product.repository.js';
+import ContentService from '../../src/services/content.service.js';
+import PaymentService from '../../src/services/payment.service.js';
+import WalletService from '../../src/services/wallet.service.js';
+import WishlistAlertService from '../../src/services/wishlistAlert.service.js';
+import TransactionManager from '../../src/utils/transaction.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const VENDOR_ID = '64b000000000000000000001';
+
+const settings = (extra = {}) => ({
+    isEnabled: true,
+    returnWindowDays: 7,
+    vendorResponseDays: 2,
+    requirePhotos: false,
+    allowedResolutions: ['refund', 'replacement', 'store_credit'],
+    ...extra,
+});
+
+const deliveredOrder = (deliveredAt = new Date(Date.now() - DAY_MS)) => ({
+    _id: 'order-1',
+    orderNumber: 'ORD-1',
+    subOrders: [{
+        _id: { toString: () => 'sub-1' },
+        subOrderNumber: 'ORD-1-1',
+        vendor: VENDOR_ID,
+        status: 'delivered',
+        deliveredAt,
+        items: [{
+            _id: { toString: () => 'item-1' },
+            product: 'prod-1',
+            name: 'Shoe',
+            variation: 'SHOE-42',
+            quantity: 2,
+            total: 2100, // 2 x 1000 + 50 shipping + 50 tax
+            shipping: 50,
+        }],
+    }],
+});
+
+const payload = (extra = {}) => ({
+    orderId: 'order-1',
+    subOrderId: 'sub-1',
+    itemId: 'item-1',
+    quantity: 1,
+    reason: 'damaged',
+    preferredResolution: 'refund',
+    ...extra,
+});
+
+const inspectedReturn = (extra = {}) => ({
+    _id: 'ret-1',
+    rmaNumber: 'RMA-1',
+    order: 'order-1',
+    product: 'prod-1',
+    variation: 'SHOE-42',
+    quantity: 1,
+    amount: 1025,
+    preferredResolution: 'refund',
+    status: 'inspected',
+    inspection: { passed: true, restock: true },
+    ...extra,
+});
+
+describe('ReturnRequestService', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        ContentService.getReturnSettings.mockResolvedValue(settings());
+        TransactionManager.execute.mockImplementation(async (callback) => callback('session'));
+        ReturnRequestRepository.create.mockImplementation(async (data) => data);
+        ReturnRequestRepository.sumReturnedQuantity.mockResolvedValue(0);
+    });
+
+    describe('createReturn', () => {
+        it('should snapshot the refundable amount without shipping and set the vendor deadline', async () => {
+            OrderRepository.findOne.mockResolvedValue(deliveredOrder());
+
+            const result = await ReturnRequestService.createReturn('cust-1', payload());
+
+            expect(result).toMatchObject({
+                vendor: VENDOR_ID,
+                productName: 'Shoe',
+                variation: 'SHOE-42',
+                unitAmount: 1025,
+                amount: 1025,
+            });
+            expect(result.rmaNumber).toMatch(/^RMA-/);
+            expect(result.responseDueAt.getTime() - Date.now()).toBeGreaterThan(DAY_MS);
+        });
+
+        it('should reject returns after the return window', async () => {
+            OrderRepository.findOne.mockResolvedValue(deliveredOrder(new Date(Date.now() - 8 * DAY_MS)));
+
+            await expect(ReturnRequestService.createReturn('cust-1', payload()))
+                .rejects.toMatchObject({ code: 'RETURN_WINDOW_EXPIRED' });
+        });
+
+        it('should not return more units than are left on the line', async () => {
+            OrderRepository.findOne.mockResolvedValue(deliveredOrder());
+            ReturnRequestRepository.sumReturnedQuantity.mockResolvedValue(2);
+
+            await expect(ReturnRequestService.createReturn('cust-1', payload()))
+                .rejects.toMatchObject({ code: 'RETURN_QUANTITY_EXCEEDED' });
+            expect(ReturnRequestRepository.create).not.toHaveBeenCalled();
+        });
+
+        it('should re-check the quantity inside the transaction after claiming the line', async () => {
+            OrderRepository.findOne.mockResolvedValue(deliveredOrder());
+            // A concurrent request committed between the fast check and the transaction
+            ReturnRequestRepository.sumReturnedQuantity.mockResolvedValueOnce(0).mockResolvedValueOnce(2);
+
+            await expect(ReturnRequestService.createReturn('cust-1', payload()))
+                .rejects.toMatchObject({ code: 'RETURN_QUANTITY_EXCEEDED' });
+            expect(OrderRepository.touchItemForReturn).toHaveBeenCalledWith('order-1', expect.anything(), expect.anything(), 'session');
+            expect(ReturnRequestRepository.sumReturnedQuantity).toHaveBeenLastCalledWith('order-1', expect.anything(), 'session');
+            expect(ReturnRequestRepository.create).not.toHaveBeenCalled();
+        });
+
+        it('should answer a concurrent request for the same line with a conflict', async () => {
+            OrderRepository.findOne.mockResolvedValue(deliveredOrder());
+            OrderRepository.touchItemForReturn.mockRejectedValueOnce(Object.assign(new Error('Write conflict'), { codeName: 'WriteConflict' }));
+
+            await expect(ReturnRequestService.createReturn('cust-1', payload()))
+                .rejects.toMatchObject({ statusCode: 409, code: 'RETURN_IN_PROGRESS' });
+            expect(ReturnRequestRepository.create).not.toHaveBeenCalled();
+        });
+
+        it('should enforce the photo requirement of the return settings', async () => {
+            ContentService.getReturnSettings.mockResolvedValue(settings({ requirePhotos: true }));
+            OrderRepository.findOne.mockResolvedValue(deliveredOrder());
+
+            await expect(ReturnRequestService.createReturn('cust-1', payload(), []))
+                .rejects.toMatchObject({ code: 'PHOTOS_REQUIRED' });
+        });
+    });
+
+    describe('reviewReturn', () => {
+        it('should stop vendors from answering after the response window', async () => {
+            ReturnRequestRepository.findOne.mockResolvedValue({
+                _id: 'ret-1',
+                status: 'requested',
+                responseDueAt: new Date(Date.now() - 1000),
+            });
+
+            await expect(ReturnRequestService.reviewReturn('ret-1', { approve: true }, { vendorId: VENDOR_ID }, { role: 'vendor', id: VENDOR_ID }))
+                .rejects.toMatchObject({ code: 'RESPONSE_WINDOW_CLOSED' });
+            expect(ReturnRequestRepository.transition).not.toHaveBeenCalled();
+        });
+
+        it('should let admins decide overdue requests', async () => {
+            ReturnRequestRepository.findOne.mockResolvedValue({
+                _id: 'ret-1',
+                status: 'requested',
+                responseDueAt: new Date(Date.now() - 1000),
+            });
+            ReturnRequestRepository.transition.mockResolvedValue({ _id: 'ret-1', status: 'approved' });
+
+            const result = await ReturnRequestService.reviewReturn('ret-1', { approve: true }, {}, { role: 'admin', id: 'admin-1' });
+
+            expect(result.status).toBe('approved');
+            expect(ReturnRequestRepository.transition).toHaveBeenCalledWith('ret-1', 'requested', expect.objectContaining({
+                history: expect.objectContaining({ status: 'approved' }),
+            }));
+        });
+    });
+
+    describe('updateReturnStatus', () => {
+        it('should not skip the pickup and receipt steps', async () => {
+            ReturnRequestRepository.findOne.mockResolvedValue({ _id: 'ret-1', status: 'approved' });
+
+            await expect(ReturnRequestService.updateReturnStatus('ret-1', { status: 'inspected', inspection: { passed: true } }, {}, { role: 'admin' }))
+                .rejects.toMatchObject({ code: 'INVALID_STATUS_TRANSITION' });
+        });
+    });
+
+    describe('resolveReturn', () => {
+        it('should restock and refund a paid online order through the gateway', async () => {
+            ReturnRequestRepository.findOne.mockResolvedValue(inspectedReturn());
+            OrderRepository.findById.mockResolvedValue({ payment: { gateway: 'razorpay', status: 'paid' } });
+            ReturnRequestRepository.transition.mockImplementation(async (id, from, { $set }) => ({ ...inspectedReturn(), ...$set, status: 'completed' }));
+            PaymentService.refundPayment.mockResolvedValue({
+                payment: { refunds: [{ refundId: 'rfnd_1', reason: 'Return RMA-1', status: 'processed' }] },
+            });
+            ReturnRequestRepository.update.mockResolvedValue({ status: 'completed' });
+
+            await ReturnRequestService.resolveReturn('ret-1', {}, { vendorId: VENDOR_ID }, { role: 'vendor', id: VENDOR_ID });
+
+            expect(ProductRepository.incrementStock).toHaveBeenCalledWith('prod-1', 1, 'SHOE-42', 'session');
+            expect(PaymentService.refundPayment).toHaveBeenCalledWith('order-1', { amount: 1025, reason: 'Return RMA-1' });
+            expect(ReturnRequestRepository.update).toHaveBeenCalledWith('ret-1', {
+                $set: { 'resolution.status': 'completed', 'resolution.refundId': 'rfnd_1' },
+            });
+        });
+
+        it('should send back-in-stock alerts when a return restocks a sold-out product', async () => {
+            const restocked = { _id: 'prod-1', quantity: 1, status: 'approved', isActive: true };
+            ReturnRequestRepository.findOne.mockResolvedValue(inspectedReturn({ preferredResolution: 'replacement' }));
+            OrderRepository.findById.mockResolvedValue({ payment: { gateway: 'razorpay', status: 'paid' } });
+            ReturnRequestRepository.transition.mockImplementation(async (id, from, { $set }) => ({ ...inspectedReturn(), ...$set, status: 'completed' }));
+            ProductRepository.incrementStock.mockResolvedValue(restocked);
+
+            await ReturnRequestService.resolveReturn('ret-1', { type: 'store_credit' }, {}, { role: 'admin', id: 'admin-1' });
+
+            expect(WishlistAlertService.productRestocked).toHaveBeenCalledWith(restocked, 0);
+        });
+
+        it('should ship replacements from stock without refunding', async () => {
+            ReturnRequestRepository.findOne.mockResolvedValue(inspectedReturn({ inspection: { passed: true, restock: false } }));
+            OrderRepository.findById.mockResolvedValue({ payment: { gateway: 'razorpay', status: 'paid' } });
+            ReturnRequestRepository.transition.mockImplementation(async (id, from, { $set }) => ({ ...inspectedReturn(), ...$set, status: 'completed' }));
+
+            const result = await ReturnRequestService.resolveReturn('ret-1', { type: 'replacement' }, {}, { role: 'admin', id: 'admin-1' });
+
+            expect(ProductRepository.incrementStock).not.toHaveBeenCalled();
+            expect(ProductRepository.decrementStock).toHaveBeenCalledWith('prod-1', 1, 'SHOE-42', 'session');
+            expect(PaymentService.refundPayment).not.toHaveBeenCalled();
+            expect(result.resolution).toMatchObject({ type: 'replacement', amount: 0, status: 'completed' });
+        });
+
+        it('should settle store credit in the wallet with the return', async () => {
+            ReturnRequestRepository.findOne.mockResolvedValue(inspectedReturn({ customer: 'cust-1', preferredResolution: 'store_credit' }));
+            OrderRepository.findById.mockResolvedValue({ payment: { gateway: 'razorpay', status: 'paid' } });
+            ReturnRequestRepository.transition.mockImplementation(async (id, from, { $set }) => ({ ...inspectedReturn(), ...$set, status: 'completed' }));
+
+            const result = await ReturnRequestService.resolveReturn('ret-1', {}, {}, { role: 'admin', id: 'admin-1' });
+
+            expect(WalletService.credit).toHaveBeenCalledWith('cust-1', expect.objectContaining({
+                amount: 1025,
+                source: 'store_credit',
+                reference: { type: 'return', id: 'ret-1', number: 'RMA-1' },
+                idempotencyKey: 'return:ret-1:resolution',
+            }), 'session');
+            expect(PaymentService.refundPayment).not.toHaveBeenCalled();
+            expect(result.resolution).toMatchObject({ type: 'store_credit', status: 'completed' });
+        });
+
+        it('should refund orders paid from the wallet back to the wallet', async () => {
+            ReturnRequestRepository.findOne.mockResolvedValue(inspectedReturn({ customer: 'cust-1' }));
+            OrderRepository.findById.mockResolvedValue({ payment: { method: 'wallet', status: 'paid', walletAmount: 2100 } });
+            ReturnRequestRepository.transition.mockImplementation(async (id, from, { $set }) => ({ ...inspectedReturn(), ...$set, status: 'completed' }));
+
+            await ReturnRequestService.resolveReturn('ret-1', {}, {}, { role: 'admin', id: 'admin-1' });
+
+            expect(WalletService.credit).toHaveBeenCalledWith('cust-1', expect.objectContaining({ source: 'return_refund' }), 'session');
+            expect(PaymentService.refundPayment).not.toHaveBeenCalled();
+        });
+
+        it('should split a refund between the wallet and the gateway for orders paid partly from the wallet', async () => {
+            ReturnRequestRepository.findOne.mockResolvedValue(inspectedReturn({ customer: 'cust-1' }));
+            OrderRepository.findById.mockResolvedValue({ total: 2050, payment: { method: 'online', gateway: 'razorpay', status: 'paid', walletAmount: 410 } });
+            ReturnRequestRepository.transition.mockImplementation(async (id, from, { $set }) => ({ ...inspectedReturn(), ...$set, status: 'completed' }));
+            PaymentService.refundPayment.mockResolvedValue({
+                payment: { refunds: [{ refundId: 'rfnd_1', reason: 'Return RMA-1', status: 'processed' }] },
+            });
+            ReturnRequestRepository.update.mockResolvedValue({ status: 'completed' });
+
+            await ReturnRequestService.resolveReturn('ret-1', {}, {}, { role: 'admin', id: 'admin-1' });
+
+            // 410 of 2050 (20%) came from the wallet
+            expect(WalletService.credit).toHaveBeenCalledWith('cust-1', expect.objectContaining({
+                amount: 205,
+                source: 'return_refund',
+                idempotencyKey: 'return:ret-1:resolution',
+            }), 'session');
+            expect(PaymentService.refundPayment).toHaveBeenCalledWith('order-1', { amount: 820, reason: 'Return RMA-1' });
+            expect(ReturnRequestRepository.transition).toHaveBeenCalledWith('ret-1', 'inspected', expect.objectContaining({
+                $set: { resolution: expect.objectContaining({ amount: 1025, walletAmount: 205, status: 'processing' }) },
+            }), 'session');
+        });
+
+        it('should refuse items that failed inspection', async () => {
+            ReturnRequestRepository.findOne.mockResolvedValue(inspectedReturn({ inspection: { passed: false } }));
+
+            await expect(ReturnRequestService.resolveReturn('ret-1', {}, {}, { role: 'admin' }))
+                .rejects.toThrow('failed inspection');
+            expect(TransactionManager.execute).not.toHaveBeenCalled();
+        });
+    });
+});
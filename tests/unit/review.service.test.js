@@ -0,0 +1,183 @@
+import { describe, beforeEach, it, expect, jest } from '@jest/globals';
+
+// Mock dependencies
+jest.mock('../../src/repositories/review.repository.js', () => ({
+    __esModule: true,
+    default: {
+        create: jest.fn(),
+        findById: jest.fn(),
+        findOne: jest.fn(),
+        findAll: jest.fn(),
+        updateWhere: jest.fn(),
+        update: jest.fn(),
+        deleteWhere: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/repositories/product.repository.js', () => ({
+    __esModule: true,
+    default: {
+        findById: jest.fn(),
+        applyRatingChange: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/repositories/order.repository.js', () => ({
+    __esModule: true,
+    default: {
+        findDeliveredPurchase: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/services/product.service.js', () => ({
+    __esModule: true,
+    default: {
+        invalidateCache: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/utils/transaction.js', () => ({
+    __esModule: true,
+    default: {
+        execute: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/utils/cloudinary.js', () => ({
+    __esModule: true,
+    uploadToCloudinary: jest.fn(),
+    deleteFromCloudinary: jest.fn(),
+}));
+
+jest.mock('../../src/utils/audit.js', () => ({
+    __esModule: true,
+    default: {
+        log: jest.fn(),
+        security: jest.fn(),
+    },
+}));
+
+// Import after mocks
+import ReviewService from '../../src/services/review.service.js';
+import ReviewRepository from '../../src/repositories/review.repository.js';
+import ProductRepository from '../../src/repositories/product.repository.js';
+import OrderRepository from '../../src/repositories/order.repository.js';
+import TransactionManager from '../../src/utils/transaction.js';
+import { uploadToCloudinary, deleteFromCloudinary } from '../../src/utils/cloudinary.js';
+
+const moderator = { id: 'admin-1', model: 'Admin' };
+const product = { _id: 'prod-1', vendor: { _id: 'vendor-1' }, status: 'approved', isActive: true };
+const photo = { mimetype: 'image/jpeg', buffer: Buffer.from('jpg') };
+
+describe('ReviewService', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        TransactionManager.execute.mockImplementation(async (callback) => callback('mock-session'));
+        ProductRepository.findById.mockResolvedValue(product);
+        ReviewRepository.findOne.mockResolvedValue(null);
+        ReviewRepository.create.mockImplementation(async (data) => ({ _id: 'review-1', ...data }));
+        uploadToCloudinary.mockResolvedValue({ secure_url: 'https://cdn/review.jpg', public_id: 'review-img-1' });
+    });
+
+    describe('createReview', () => {
+        it('should mark reviews tied to a delivered order line as verified', async () => {
+            OrderRepository.findDeliveredPurchase.mockResolvedValue({ order: 'order-1', subOrder: 'sub-1', orderItem: 'line-1' });
+
+            const review = await ReviewService.createReview('cust-1', { productId: 'prod-1', rating: 5, comment: 'Great' }, [photo]);
+
+            expect(review).toMatchObject({
+                vendor: 'vendor-1',
+                order: 'order-1',
+                orderItem: 'line-1',
+                isVerifiedPurchase: true,
+                images: [{ url: 'https://cdn/review.jpg', publicId: 'review-img-1' }],
+            });
+            expect(uploadToCloudinary).toHaveBeenCalledWith(photo, 'reviews/prod-1');
+        });
+
+        it('should accept unverified reviews without a delivered purchase', async () => {
+            OrderRepository.findDeliveredPurchase.mockResolvedValue(null);
+
+            const review = await ReviewService.createReview('cust-1', { productId: 'prod-1', rating: 3 }, []);
+
+            expect(review.isVerifiedPurchase).toBe(false);
+        });
+
+        it('should reject a second review of the same product', async () => {
+            ReviewRepository.findOne.mockResolvedValue({ _id: 'review-0' });
+
+            await expect(ReviewService.createReview('cust-1', { productId: 'prod-1', rating: 4 }, [])).rejects.toMatchObject({ statusCode: 409 });
+            expect(ReviewRepository.create).not.toHaveBeenCalled();
+        });
+
+        it('should remove uploaded photos when the review cannot be saved', async () => {
+            OrderRepository.findDeliveredPurchase.mockResolvedValue(null);
+            ReviewRepository.create.mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+
+            await expect(ReviewService.createReview('cust-1', { productId: 'prod-1', rating: 4 }, [photo])).rejects.toMatchObject({ statusCode: 409 });
+            expect(deleteFromCloudinary).toHaveBeenCalledWith('review-img-1');
+        });
+    });
+
+    describe('moderation', () => {
+        it('should count a review in the product rating when approved', async () => {
+            ReviewRepository.updateWhere.mockResolvedValue({ _id: 'review-1', product: 'prod-1', rating: 4, status: 'pending' });
+
+            await ReviewService.approveReview('review-1', {}, moderator);
+
+            expect(ProductRepository.applyRatingChange).toHaveBeenCalledWith('prod-1', { add: 4 }, 'mock-session');
+        });
+
+        it('should take an approved review out of the rating when hidden', async () => {
+            ReviewRepository.updateWhere.mockResolvedValue({ _id: 'review-1', product: 'prod-1', rating: 2, status: 'approved' });
+
+            await ReviewService.hideReview('review-1', { note: 'Spam' }, moderator);
+
+            expect(ProductRepository.applyRatingChange).toHaveBeenCalledWith('prod-1', { remove: 2 }, 'mock-session');
+        });
+
+        it('should leave counters alone when hiding a pending review', async () => {
+            ReviewRepository.updateWhere.mockResolvedValue({ _id: 'review-1', product: 'prod-1', rating: 2, status: 'pending' });
+
+            await ReviewService.hideReview('review-1', {}, moderator);
+
+            expect(ProductRepository.applyRatingChange).not.toHaveBeenCalled();
+        });
+
+        it('should return 409 when the review already has that status', async () => {
+            ReviewRepository.updateWhere.mockResolvedValue(null);
+            ReviewRepository.findById.mockResolvedValue({ _id: 'review-1', status: 'approved' });
+
+            await expect(ReviewService.approveReview('review-1', {}, moderator)).rejects.toMatchObject({ statusCode: 409 });
+            expect(ProductRepository.applyRatingChange).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('customer changes', () => {
+        it('should uncount an approved review when the customer edits it', async () => {
+            const review = { _id: 'review-1', product: 'prod-1', rating: 5, status: 'approved', images: [], updatedAt: 'ts' };
+            ReviewRepository.findOne.mockResolvedValue(review);
+            ReviewRepository.updateWhere.mockResolvedValue(review);
+
+            await ReviewService.updateReview('cust-1', 'review-1', { rating: 3 }, []);
+
+            expect(ReviewRepository.updateWhere).toHaveBeenCalledWith(
+                { _id: 'review-1', customer: 'cust-1', updatedAt: 'ts' },
+                { $set: { status: 'pending', images: [], rating: 3 } },
+                'mock-session'
+            );
+            expect(ProductRepository.applyRatingChange).toHaveBeenCalledWith('prod-1', { remove: 5 }, 'mock-session');
+        });
+
+        it('should uncount and clean up photos when an approved review is deleted', async () => {
+            ReviewRepository.deleteWhere.mockResolvedValue({
+                _id: 'review-1', product: 'prod-1', rating: 1, status: 'approved', images: [{ publicId: 'img-1' }],
+            });
+
+            await ReviewService.deleteReview('cust-1', 'review-1');
+
+            expect(ProductRepository.applyRatingChange).toHaveBeenCalledWith('prod-1', { remove: 1 }, 'mock-session');
+            expect(deleteFromCloudinary).toHaveBeenCalledWith('img-1');
+        });
+    });
+});
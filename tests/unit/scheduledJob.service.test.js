@@ -0,0 +1,225 @@
+import { describe, beforeEach, it, expect, jest } from '@jest/globals';
+
+// Mock dependencies
+jest.mock('../../src/jobs/index.js', () => ({
+    __esModule: true,
+    default: [
+        { name: 'demo-job', description: 'Demo', schedule: '*/5 * * * *', run: jest.fn() },
+        { name: 'other-job', description: 'Other', schedule: '0 4 * * *', run: jest.fn(), lockTtlSeconds: 30 },
+    ],
+}));
+
+jest.mock('../../src/repositories/scheduledJob.repository.js', () => ({
+    __esModule: true,
+    default: {
+        findAll: jest.fn(),
+        findByName: jest.fn(),
+        setPaused: jest.fn(),
+        recordRun: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/repositories/jobRun.repository.js', () => ({
+    __esModule: true,
+    default: {
+        create: jest.fn(),
+        finish: jest.fn(),
+        findAll: jest.fn(),
+        findById: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/utils/distributedLock.js', () => ({
+    __esModule: true,
+    default: {
+        acquire: jest.fn(),
+        release: jest.fn(),
+    },
+}));
+
+jest.mock('node-cron', () => ({
+    __esModule: true,
+    default: {
+        validate: jest.fn(() => true),
+        schedule: jest.fn(() => ({ stop: jest.fn() })),
+    },
+}));
+
+// Import after mocks
+import ScheduledJobService from '../../src/services/scheduledJob.service.js';
+import jobs from '../../src/jobs/index.js';
+import ScheduledJobRepository from '../../src/repositories/scheduledJob.repository.js';
+import JobRunRepository from '../../src/repositories/jobRun.repository.js';
+import DistributedLock from '../../src/utils/distributedLock.js';
+import cron from 'node-cron';
+import { JOB_RUN_STATUS, JOB_TRIGGER } from '../../src/constants.js';
+
+const [demoJob, otherJob] = jobs;
+
+describe('ScheduledJobService', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        ScheduledJobService.stop();
+
+        DistributedLock.acquire.mockResolvedValue('token-1');
+        DistributedLock.release.mockResolvedValue(true);
+        ScheduledJobRepository.findByName.mockResolvedValue(null);
+        JobRunRepository.create.mockResolvedValue({ _id: 'run-1' });
+        JobRunRepository.finish.mockImplementation(async (id, data) => ({ _id: id, ...data }));
+    });
+
+    describe('run', () => {
+        it('runs the job under its lock and records a successful run', async () => {
+            const lastSucceededAt = new Date('2026-10-19T10:00:00Z');
+            ScheduledJobRepository.findByName.mockResolvedValue({ name: 'demo-job', lastSucceededAt });
+            demoJob.run.mockResolvedValue({ deleted: 3 });
+
+            const run = await ScheduledJobService.run('demo-job', { trigger: JOB_TRIGGER.SCHEDULE });
+
+            expect(DistributedLock.acquire).toHaveBeenCalledWith('job:demo-job:lock', 10 * 60 * 1000);
+            expect(demoJob.run).toHaveBeenCalledWith(expect.objectContaining({ since: lastSucceededAt, trigger: JOB_TRIGGER.SCHEDULE }));
+            expect(run.status).toBe(JOB_RUN_STATUS.SUCCEEDED);
+            expect(run.result).toEqual({ deleted: 3 });
+            expect(run.durationMs).toBeGreaterThanOrEqual(0);
+
+            const { startedAt } = JobRunRepository.create.mock.calls[0][0];
+            expect(ScheduledJobRepository.recordRun).toHaveBeenCalledWith(
+                'demo-job',
+                expect.objectContaining({ run: 'run-1', status: JOB_RUN_STATUS.SUCCEEDED, error: null }),
+                startedAt
+            );
+            expect(DistributedLock.release).toHaveBeenCalledWith('job:demo-job:lock', 'token-1');
+        });
+
+        it('records a failed run without moving the job window and still releases the lock', async () => {
+            demoJob.run.mockRejectedValue(new Error('boom'));
+
+            const run = await ScheduledJobService.run('demo-job', { trigger: JOB_TRIGGER.SCHEDULE });
+
+            expect(run.status).toBe(JOB_RUN_STATUS.FAILED);
+            expect(run.error.message).toBe('boom');
+            expect(ScheduledJobRepository.recordRun).toHaveBeenCalledWith(
+                'demo-job',
+                expect.objectContaining({ status: JOB_RUN_STATUS.FAILED, error: 'boom' }),
+                null
+            );
+            expect(DistributedLock.release).toHaveBeenCalled();
+        });
+
+        it('falls back to the first-run lookback when the job never succeeded', async () => {
+            demoJob.run.mockResolvedValue(null);
+
+            await ScheduledJobService.run('demo-job');
+
+            const { now, since } = demoJob.run.mock.calls[0][0];
+            expect(now.getTime() - since.getTime()).toBe(24 * 60 * 60 * 1000);
+        });
+
+        it('uses the lease declared by the job', async () => {
+            otherJob.run.mockResolvedValue(null);
+
+            await ScheduledJobService.run('other-job');
+
+            expect(DistributedLock.acquire).toHaveBeenCalledWith('job:other-job:lock', 30 * 1000);
+        });
+
+        it('skips a scheduled run when another instance holds the lock', async () => {
+            DistributedLock.acquire.mockResolvedValue(null);
+
+            const run = await ScheduledJobService.run('demo-job', { trigger: JOB_TRIGGER.SCHEDULE });
+
+            expect(run).toBeNull();
+            expect(demoJob.run).not.toHaveBeenCalled();
+            expect(DistributedLock.release).not.toHaveBeenCalled();
+        });
+
+        it('rejects a manual run while the job is running', async () => {
+            DistributedLock.acquire.mockResolvedValue(null);
+
+            await expect(ScheduledJobService.run('demo-job', { trigger: JOB_TRIGGER.MANUAL }))
+                .rejects.toMatchObject({ statusCode: 409, code: 'JOB_ALREADY_RUNNING' });
+        });
+
+        it('skips scheduled runs of a paused job but allows manual ones', async () => {
+            ScheduledJobRepository.findByName.mockResolvedValue({ name: 'demo-job', isPaused: true });
+            demoJob.run.mockResolvedValue({ ok: true });
+
+            const scheduled = await ScheduledJobService.run('demo-job', { trigger: JOB_TRIGGER.SCHEDULE });
+            expect(scheduled).toBeNull();
+            expect(demoJob.run).not.toHaveBeenCalled();
+            expect(DistributedLock.release).toHaveBeenCalledTimes(1);
+
+            const manual = await ScheduledJobService.run('demo-job', {
+                trigger: JOB_TRIGGER.MANUAL,
+                triggeredBy: 'admin-1',
+                triggeredByModel: 'Admin'
+            });
+            expect(manual.status).toBe(JOB_RUN_STATUS.SUCCEEDED);
+            expect(JobRunRepository.create).toHaveBeenCalledWith(expect.objectContaining({
+                trigger: JOB_TRIGGER.MANUAL,
+                triggeredBy: 'admin-1',
+                triggeredByModel: 'Admin'
+            }));
+        });
+
+        it('throws for an unknown job', async () => {
+            await expect(ScheduledJobService.run('missing-job'))
+                .rejects.toMatchObject({ statusCode: 404, code: 'JOB_NOT_FOUND' });
+            expect(DistributedLock.acquire).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('scheduler', () => {
+        it('schedules every registered job once', () => {
+            ScheduledJobService.start();
+            ScheduledJobService.start();
+
+            expect(cron.schedule).toHaveBeenCalledTimes(2);
+            expect(cron.schedule).toHaveBeenCalledWith('*/5 * * * *', expect.any(Function));
+            expect(cron.schedule).toHaveBeenCalledWith('0 4 * * *', expect.any(Function));
+        });
+
+        it('lets only the instance that claims the tick run the job', async () => {
+            ScheduledJobService.start();
+            const tick = cron.schedule.mock.calls[0][1];
+            demoJob.run.mockResolvedValue(null);
+
+            DistributedLock.acquire.mockResolvedValueOnce(null);
+            await tick();
+            expect(demoJob.run).not.toHaveBeenCalled();
+
+            await tick();
+            expect(DistributedLock.acquire).toHaveBeenCalledWith(expect.stringMatching(/^job:demo-job:tick:\d+$/), 2 * 60 * 1000);
+            expect(demoJob.run).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('admin', () => {
+        it('lists the registry merged with stored state', async () => {
+            ScheduledJobRepository.findAll.mockResolvedValue([
+                { name: 'other-job', isPaused: true, lastRun: { status: JOB_RUN_STATUS.FAILED, error: 'boom' } },
+            ]);
+
+            const list = await ScheduledJobService.listJobs();
+
+            expect(list).toHaveLength(2);
+            expect(list[0]).toMatchObject({ name: 'demo-job', isPaused: false, lastRun: null });
+            expect(list[1]).toMatchObject({ name: 'other-job', isPaused: true, lastRun: { status: JOB_RUN_STATUS.FAILED } });
+        });
+
+        it('pauses a registered job', async () => {
+            ScheduledJobRepository.setPaused.mockResolvedValue({ name: 'demo-job', isPaused: true, pausedBy: 'admin-1' });
+
+            const job = await ScheduledJobService.setPaused('demo-job', true, 'admin-1', 'Admin');
+
+            expect(ScheduledJobRepository.setPaused).toHaveBeenCalledWith('demo-job', true, { pausedBy: 'admin-1', pausedByModel: 'Admin' });
+            expect(job).toMatchObject({ name: 'demo-job', schedule: '*/5 * * * *', isPaused: true });
+        });
+
+        it('refuses to pause an unknown job', async () => {
+            await expect(ScheduledJobService.setPaused('missing-job', true, 'admin-1', 'Admin'))
+                .rejects.toMatchObject({ statusCode: 404 });
+            expect(ScheduledJobRepository.setPaused).not.toHaveBeenCalled();
+        });
+    });
+});
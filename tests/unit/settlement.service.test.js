@@ -0,0 +1,323 @@
+import { describe, beforeEach, it, expect, jest } from '@jest/globals';
+
+// Mock dependencies
+jest.mock('../../src/repositories/settlementEntry.repository.js', () => ({
+    __esModule: true,
+    default: {
+        create: jest.fn(),
+        findEarning: jest.fn(),
+        findDeduction: jest.fn(),
+        findPayable: jest.fn(),
+        claim: jest.fn(),
+        markPaid: jest.fn(),
+        release: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/repositories/settlementSetting.repository.js', () => ({
+    __esModule: true,
+    default: {
+        getSettings: jest.fn(),
+        updateSettings: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/repositories/payoutRun.repository.js', () => ({
+    __esModule: true,
+    default: {
+        create: jest.fn(),
+        findById: jest.fn(),
+        transition: jest.fn(),
+        settlePayout: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/repositories/returnRequest.repository.js', () => ({
+    __esModule: true,
+    default: {
+        findOpenSubOrders: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/repositories/vendor.repository.js', () => ({
+    __esModule: true,
+    default: {
+        findById: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/services/content.service.js', () => ({
+    __esModule: true,
+    default: {
+        getReturnSettings: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/utils/transaction.js', () => ({
+    __esModule: true,
+    default: {
+        execute: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/utils/audit.js', () => ({
+    __esModule: true,
+    default: {
+        log: jest.fn(),
+        security: jest.fn(),
+    },
+}));
+
+// Import after mocks
+import SettlementService from '../../src/services/settlement.service.js';
+import PayoutService from '../../src/services/payout.service.js';
+import SettlementEntryRepository from '../../src/repositories/settlementEntry.repository.js';
+import SettlementSettingRepository from '../../src/repositories/settlementSetting.repository.js';
+import PayoutRunRepository from '../../src/repositories/payoutRun.repository.js';
+import ReturnRequestRepository from '../../src/repositories/returnRequest.repository.js';
+import VendorRepository from '../../src/repositories/vendor.repository.js';
+import ContentService from '../../src/services/content.service.js';
+import TransactionManager from '../../src/utils/transaction.js';
+
+const VENDOR_A = '64b000000000000000000001';
+const VENDOR_B = '64b000000000000000000002';
+const ADMIN = { role: 'admin', id: 'admin-1' };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const settings = (extra = {}) => ({ defaultCommissionRate: 10, retainShipping: false, minimumPayoutAmount: 100, ...extra });
+
+const subOrder = (extra = {}) => ({
+    _id: 'sub-1',
+    subOrderNumber: 'ORD-1-1',
+    vendor: VENDOR_A,
+    deliveredAt: new Date('2026-10-01T00:00:00Z'),
+    items: [{
+        _id: 'item-1',
+        quantity: 2,
+        subtotal: 1000,
+        productDiscount: 0,
+        couponDiscount: 100,
+        tax: 162,
+    }],
+    shipping: 50,
+    ...extra,
+});
+
+const order = (sub = subOrder(), coupon = { type: 'percentage', fundedBy: 'vendor' }) => ({
+    _id: 'order-1',
+    orderNumber: 'ORD-1',
+    coupon,
+    subOrders: [sub],
+});
+
+describe('SettlementService', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        TransactionManager.execute.mockImplementation(async (callback) => callback('session'));
+        SettlementSettingRepository.getSettings.mockResolvedValue(settings());
+        ContentService.getReturnSettings.mockResolvedValue({ isEnabled: true, returnWindowDays: 7 });
+        SettlementEntryRepository.create.mockImplementation(async (data) => ({ _id: 'entry-1', ...data }));
+    });
+
+    describe('computeEarning', () => {
+        it('should charge commission on goods net of the vendor coupon share and pass shipping through', () => {
+            const result = SettlementService.computeEarning(order(), subOrder(), settings());
+
+            expect(result.lines[0]).toMatchObject({ goods: 1000, couponShare: 100, tax: 162, commissionRate: 10, commission: 90, net: 972 });
+            expect(result).toMatchObject({ shipping: 50, commission: 90, amount: 1022 });
+        });
+
+        it('should charge the commission rule snapshotted on the line at checkout', () => {
+            const sub = subOrder({ items: [{ ...subOrder().items[0], commission: { rule: 'rule-1', scope: 'vendor', type: 'flat', value: 25 } }] });
+
+            const result = SettlementService.computeEarning(order(sub), sub, settings());
+
+            expect(result.lines[0]).toMatchObject({ commissionType: 'flat', commissionRate: 25, commission: 50, net: 1012 });
+        });
+
+        it('should leave platform-funded coupons out of the vendor earning', () => {
+            const result = SettlementService.computeEarning(order(subOrder(), { type: 'percentage', fundedBy: 'platform' }), subOrder(), settings());
+
+            expect(result).toMatchObject({ couponShare: 0, commission: 100, amount: 1112 });
+        });
+
+        it('should take a vendor-funded free delivery coupon out of shipping', () => {
+            const result = SettlementService.computeEarning(
+                order(subOrder(), { type: 'free_delivery', fundedBy: 'vendor' }),
+                subOrder({ items: [{ ...subOrder().items[0], couponDiscount: 50 }] }),
+                settings({ retainShipping: false })
+            );
+
+            expect(result.lines[0].couponShare).toBe(0);
+            expect(result).toMatchObject({ couponShare: 50, shipping: 0 });
+        });
+    });
+
+    describe('recordEarning', () => {
+        it('should hold the earning until the return window closes', async () => {
+            SettlementEntryRepository.findEarning.mockResolvedValue(null);
+
+            const entry = await SettlementService.recordEarning(order(), 'sub-1', 'session');
+
+            expect(entry).toMatchObject({ type: 'earning', vendor: VENDOR_A, subOrder: 'sub-1', amount: 1022 });
+            expect(entry.availableAt.getTime()).toBe(new Date('2026-10-01T00:00:00Z').getTime() + 7 * DAY_MS);
+            expect(SettlementEntryRepository.create).toHaveBeenCalledWith(expect.any(Object), 'session');
+        });
+
+        it('should not record the same sub-order twice', async () => {
+            const existing = { _id: 'entry-0' };
+            SettlementEntryRepository.findEarning.mockResolvedValue(existing);
+
+            expect(await SettlementService.recordEarning(order(), 'sub-1')).toBe(existing);
+            expect(SettlementEntryRepository.create).not.toHaveBeenCalled();
+        });
+
+        it('should skip in-house sub-orders', async () => {
+            expect(await SettlementService.recordEarning(order(subOrder({ vendor: null })), 'sub-1')).toBeNull();
+            expect(SettlementEntryRepository.findEarning).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('recordReturnDeduction', () => {
+        const returnRequest = {
+            _id: 'rma-1',
+            rmaNumber: 'RMA-1',
+            vendor: VENDOR_A,
+            subOrder: 'sub-1',
+            orderItem: 'item-1',
+            quantity: 1,
+            amount: 581,
+        };
+
+        it('should take back the earned share of the refunded units', async () => {
+            SettlementEntryRepository.findDeduction.mockResolvedValue(null);
+            SettlementEntryRepository.findEarning.mockResolvedValue({
+                lines: [{ orderItem: 'item-1', quantity: 2, goods: 1000, couponShare: 100, tax: 162, commission: 90, net: 972 }],
+            });
+
+            const entry = await SettlementService.recordReturnDeduction(returnRequest, order(), 581, 'session');
+
+            expect(entry).toMatchObject({ type: 'return_deduction', returnRequest: 'rma-1', commission: 45, amount: -486 });
+        });
+
+        it('should scale a partial refund', async () => {
+            SettlementEntryRepository.findDeduction.mockResolvedValue(null);
+            SettlementEntryRepository.findEarning.mockResolvedValue(null);
+
+            const entry = await SettlementService.recordReturnDeduction(returnRequest, order(), 290.5, 'session');
+
+            expect(entry.amount).toBe(-243);
+        });
+
+        it('should ignore returns that were not refunded', async () => {
+            expect(await SettlementService.recordReturnDeduction(returnRequest, order(), 0)).toBeNull();
+            expect(SettlementEntryRepository.create).not.toHaveBeenCalled();
+        });
+    });
+});
+
+describe('PayoutService', () => {
+    const bankDetails = { bankName: 'HDFC', accountHolderName: 'Acme', accountNumber: '12345678901', ifscCode: 'HDFC0000001' };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        TransactionManager.execute.mockImplementation(async (callback) => callback('session'));
+        SettlementSettingRepository.getSettings.mockResolvedValue(settings());
+        ReturnRequestRepository.findOpenSubOrders.mockResolvedValue([]);
+        PayoutRunRepository.create.mockImplementation(async (data) => ({ _id: 'run-1', ...data }));
+    });
+
+    describe('createRun', () => {
+        it('should net deductions per vendor, skip small balances and claim the entries', async () => {
+            SettlementEntryRepository.findPayable.mockResolvedValue([
+                { _id: 'e1', vendor: VENDOR_A, type: 'earning', subOrder: 'sub-1', amount: 1022 },
+                { _id: 'e2', vendor: VENDOR_A, type: 'return_deduction', subOrder: 'sub-1', amount: -486 },
+                { _id: 'e3', vendor: VENDOR_B, type: 'earning', subOrder: 'sub-2', amount: 60 },
+            ]);
+            VendorRepository.findById.mockResolvedValue({ businessName: 'Acme', bankDetails });
+            SettlementEntryRepository.claim.mockResolvedValue(2);
+
+            const { run, skipped } = await PayoutService.createRun({}, ADMIN);
+
+            expect(run.payouts).toHaveLength(1);
+            expect(run.payouts[0]).toMatchObject({ vendor: VENDOR_A, amount: 536, entryCount: 2 });
+            expect(run.totalAmount).toBe(536);
+            expect(skipped).toEqual([expect.objectContaining({ vendor: VENDOR_B, amount: 60 })]);
+            expect(SettlementEntryRepository.claim).toHaveBeenCalledWith(['e1', 'e2'], 'run-1', 'session');
+        });
+
+        it('should keep earnings of sub-orders with an open return out of the run', async () => {
+            SettlementEntryRepository.findPayable.mockResolvedValue([
+                { _id: 'e1', vendor: VENDOR_A, type: 'earning', subOrder: 'sub-1', amount: 1022 },
+            ]);
+            ReturnRequestRepository.findOpenSubOrders.mockResolvedValue(['sub-1']);
+
+            await expect(PayoutService.createRun({}, ADMIN)).rejects.toMatchObject({ code: 'NOTHING_TO_PAY' });
+            expect(TransactionManager.execute).not.toHaveBeenCalled();
+        });
+
+        it('should skip vendors without bank details', async () => {
+            SettlementEntryRepository.findPayable.mockResolvedValue([
+                { _id: 'e1', vendor: VENDOR_A, type: 'earning', subOrder: 'sub-1', amount: 1022 },
+            ]);
+            VendorRepository.findById.mockResolvedValue({ businessName: 'Acme', bankDetails: {} });
+
+            await expect(PayoutService.createRun({}, ADMIN)).rejects.toMatchObject({ code: 'NOTHING_TO_PAY' });
+        });
+
+        it('should abort when a concurrent run claimed some entries', async () => {
+            SettlementEntryRepository.findPayable.mockResolvedValue([
+                { _id: 'e1', vendor: VENDOR_A, type: 'earning', subOrder: 'sub-1', amount: 1022 },
+            ]);
+            VendorRepository.findById.mockResolvedValue({ businessName: 'Acme', bankDetails });
+            SettlementEntryRepository.claim.mockResolvedValue(0);
+
+            await expect(PayoutService.createRun({}, ADMIN)).rejects.toMatchObject({ statusCode: 409 });
+        });
+    });
+
+    describe('settlePayout', () => {
+        const run = (status = 'approved') => ({
+            _id: 'run-1',
+            runNumber: 'PAY-1',
+            status,
+            payouts: [
+                { _id: 'p1', vendor: VENDOR_A, amount: 536, status: 'pending' },
+                { _id: 'p2', vendor: VENDOR_B, amount: 300, status: 'pending' },
+            ],
+        });
+
+        it('should mark the entries paid and complete the run with its last transfer', async () => {
+            PayoutRunRepository.findById.mockResolvedValue(run());
+            PayoutRunRepository.settlePayout.mockResolvedValue({
+                payouts: [{ status: 'paid' }, { status: 'paid' }],
+            });
+            PayoutRunRepository.transition.mockResolvedValue({ _id: 'run-1', status: 'completed' });
+
+            const result = await PayoutService.settlePayout('run-1', 'p1', { status: 'paid', reference: 'UTR1' }, ADMIN);
+
+            expect(SettlementEntryRepository.markPaid).toHaveBeenCalledWith('run-1', VENDOR_A, expect.any(Date), 'session');
+            expect(PayoutRunRepository.transition).toHaveBeenCalledWith('run-1', ['approved'], expect.objectContaining({ status: 'completed' }), 'session');
+            expect(result.status).toBe('completed');
+        });
+
+        it('should release the entries of a failed transfer', async () => {
+            PayoutRunRepository.findById.mockResolvedValue(run());
+            PayoutRunRepository.settlePayout.mockResolvedValue({
+                payouts: [{ status: 'failed' }, { status: 'pending' }],
+            });
+
+            await PayoutService.settlePayout('run-1', 'p1', { status: 'failed', failureReason: 'Account closed' }, ADMIN);
+
+            expect(SettlementEntryRepository.release).toHaveBeenCalledWith('run-1', VENDOR_A, 'session');
+            expect(PayoutRunRepository.transition).not.toHaveBeenCalled();
+        });
+
+        it('should refuse runs that were not approved', async () => {
+            PayoutRunRepository.findById.mockResolvedValue(run('draft'));
+
+            await expect(PayoutService.settlePayout('run-1', 'p1', { status: 'paid', reference: 'UTR1' }, ADMIN))
+                .rejects.toMatchObject({ code: 'INVALID_STATUS_TRANSITION' });
+        });
+    });
+});
@@ -0,0 +1,149 @@
+import { describe, beforeEach, it, expect, jest } from '@jest/globals';
+
+// Mock dependencies
+jest.mock('../../src/repositories/shippingZone.repository.js', () => ({
+    __esModule: true,
+    default: {
+        create: jest.fn(),
+        findOne: jest.fn(),
+        findAll: jest.fn(),
+        findActiveByOwners: jest.fn(),
+        updateWhere: jest.fn(),
+        deleteWhere: jest.fn(),
+    },
+}));
+
+// Import after mocks
+import ShippingZoneService from '../../src/services/shippingZone.service.js';
+import ShippingZoneRepository from '../../src/repositories/shippingZone.repository.js';
+
+const VENDOR_A = '64b000000000000000000001';
+const VENDOR_B = '64b000000000000000000002';
+
+const line = (vendor, { price = 100, quantity = 1, weight = 0, productType = 'physical' } = {}) => ({
+    product: { vendor, weight, productType },
+    quantity,
+    finalPrice: price,
+});
+
+const zone = (name, extra = {}) => ({
+    _id: `zone-${name}`,
+    name,
+    vendor: null,
+    states: [],
+    pincodeRanges: [],
+    rateType: 'flat',
+    flatRate: 0,
+    rates: [],
+    freeShippingThreshold: null,
+    ...extra,
+});
+
+const PUNE = { pincode: '411001', state: 'Maharashtra' };
+
+describe('ShippingZoneService', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('quoteShipping', () => {
+        it('should return null when no zones are configured', async () => {
+            ShippingZoneRepository.findActiveByOwners.mockResolvedValue([]);
+
+            const quote = await ShippingZoneService.quoteShipping([line(VENDOR_A)], PUNE);
+
+            expect(quote).toBeNull();
+            expect(ShippingZoneRepository.findActiveByOwners).toHaveBeenCalledWith([VENDOR_A, null]);
+        });
+
+        it('should charge one package per vendor and split it across the lines', async () => {
+            ShippingZoneRepository.findActiveByOwners.mockResolvedValue([
+                zone('maharashtra', { states: ['Maharashtra'], flatRate: 60 }),
+            ]);
+
+            const quote = await ShippingZoneService.quoteShipping([
+                line(VENDOR_A, { price: 100 }),
+                line(VENDOR_A, { price: 200 }),
+                line(VENDOR_B, { price: 50 }),
+            ], PUNE);
+
+            expect(quote.packages.map(pkg => pkg.cost)).toEqual([60, 60]);
+            expect(quote.lineShipping).toEqual([20, 40, 60]);
+            expect(quote.serviceable).toBe(true);
+        });
+
+        it('should prefer the vendor zone and PIN code ranges over whole states', async () => {
+            ShippingZoneRepository.findActiveByOwners.mockResolvedValue([
+                zone('platform-state', { states: ['Maharashtra'], flatRate: 80 }),
+                zone('vendor-state', { vendor: VENDOR_A, states: ['Maharashtra'], flatRate: 50 }),
+                zone('vendor-pune', { vendor: VENDOR_A, pincodeRanges: [{ from: 411001, to: 411062 }], flatRate: 30 }),
+            ]);
+
+            const quote = await ShippingZoneService.quoteShipping([line(VENDOR_A), line(VENDOR_B)], PUNE);
+
+            expect(quote.packages[0].zone.name).toBe('vendor-pune');
+            expect(quote.packages[1].zone.name).toBe('platform-state');
+            expect(quote.lineShipping).toEqual([30, 80]);
+        });
+
+        it('should price weight slabs and waive shipping above the free threshold', async () => {
+            ShippingZoneRepository.findActiveByOwners.mockResolvedValue([
+                zone('weight', {
+                    states: ['Maharashtra'],
+                    rateType: 'weight',
+                    rates: [{ min: 0, max: 1, cost: 40 }, { min: 1, max: 5, cost: 90 }],
+                    freeShippingThreshold: 1000,
+                }),
+            ]);
+
+            const heavy = await ShippingZoneService.quoteShipping([line(VENDOR_A, { weight: 0.75, quantity: 2 })], PUNE);
+            expect(heavy.lineShipping).toEqual([90]);
+
+            const free = await ShippingZoneService.quoteShipping([line(VENDOR_A, { weight: 0.75, quantity: 2, price: 600 })], PUNE);
+            expect(free.lineShipping).toEqual([0]);
+        });
+
+        it('should flag packages no zone or rate tier covers', async () => {
+            ShippingZoneRepository.findActiveByOwners.mockResolvedValue([
+                zone('weight', { states: ['Maharashtra'], rateType: 'weight', rates: [{ min: 0, max: 5, cost: 90 }] }),
+            ]);
+
+            const tooHeavy = await ShippingZoneService.quoteShipping([line(VENDOR_A, { weight: 6 })], PUNE);
+            expect(tooHeavy.serviceable).toBe(false);
+
+            const elsewhere = await ShippingZoneService.quoteShipping([line(VENDOR_A)], { pincode: '560001', state: 'Karnataka' });
+            expect(elsewhere.packages[0]).toMatchObject({ zone: null, serviceable: false, cost: 0 });
+        });
+
+        it('should not ship digital products', async () => {
+            ShippingZoneRepository.findActiveByOwners.mockResolvedValue([
+                zone('maharashtra', { states: ['Maharashtra'], flatRate: 60 }),
+            ]);
+
+            const quote = await ShippingZoneService.quoteShipping([
+                line(VENDOR_A, { productType: 'digital' }),
+                line(null),
+            ], PUNE);
+
+            expect(quote.packages).toHaveLength(1);
+            expect(quote.packages[0].vendor).toBeNull();
+            expect(quote.lineShipping).toEqual([0, 60]);
+        });
+    });
+
+    describe('zone management', () => {
+        it('should require a rate tier for non-flat zones', async () => {
+            await expect(ShippingZoneService.createZone({ name: 'Metro', states: ['Delhi'], rateType: 'weight' }, VENDOR_A))
+                .rejects.toMatchObject({ code: 'INVALID_SHIPPING_ZONE' });
+            expect(ShippingZoneRepository.create).not.toHaveBeenCalled();
+        });
+
+        it('should keep vendor zones owned by the vendor', async () => {
+            ShippingZoneRepository.create.mockImplementation(async (data) => data);
+
+            const created = await ShippingZoneService.createZone({ name: 'Metro', states: ['Delhi'], vendor: VENDOR_B }, VENDOR_A);
+
+            expect(created.vendor).toBe(VENDOR_A);
+        });
+    });
+});
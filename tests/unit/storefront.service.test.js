@@ -0,0 +1,175 @@
+import { describe, beforeEach, it, expect, jest } from '@jest/globals';
+
+// Mock dependencies
+jest.mock('../../src/repositories/vendor.repository.js', () => ({
+    __esModule: true,
+    default: {
+        findOne: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/repositories/product.repository.js', () => ({
+    __esModule: true,
+    default: {
+        count: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/repositories/review.repository.js', () => ({
+    __esModule: true,
+    default: {
+        getVendorRating: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/repositories/clearanceSale.repository.js', () => ({
+    __esModule: true,
+    default: {
+        findActiveByVendor: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/repositories/shopFollower.repository.js', () => ({
+    __esModule: true,
+    default: {
+        follow: jest.fn(),
+        unfollow: jest.fn(),
+        exists: jest.fn(),
+        countByVendor: jest.fn(),
+        findByCustomer: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/services/product.service.js', () => ({
+    __esModule: true,
+    default: {
+        getAllProducts: jest.fn(),
+    },
+}));
+
+// Cache misses straight through to the loader
+jest.mock('../../src/utils/multiLayerCache.js', () => ({
+    __esModule: true,
+    default: {
+        get: jest.fn(async (key, fetchFn) => fetchFn()),
+        del: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/utils/cache.js', () => ({
+    __esModule: true,
+    default: {
+        delByPattern: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/utils/l1Cache.js', () => ({
+    __esModule: true,
+    default: {
+        delByPattern: jest.fn(),
+    },
+}));
+
+// Import after mocks
+import StorefrontService from '../../src/services/storefront.service.js';
+import VendorRepository from '../../src/repositories/vendor.repository.js';
+import ProductRepository from '../../src/repositories/product.repository.js';
+import ReviewRepository from '../../src/repositories/review.repository.js';
+import ClearanceSaleRepository from '../../src/repositories/clearanceSale.repository.js';
+import ShopFollowerRepository from '../../src/repositories/shopFollower.repository.js';
+import ProductService from '../../src/services/product.service.js';
+import MultiLayerCache from '../../src/utils/multiLayerCache.js';
+
+const VENDOR_ID = '64b000000000000000000001';
+
+const vendor = {
+    _id: VENDOR_ID,
+    businessName: 'Acme',
+    shopSlug: 'acme',
+    businessLogo: { url: 'logo' },
+    createdAt: new Date('2026-01-01T00:00:00Z'),
+};
+
+describe('StorefrontService', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        VendorRepository.findOne.mockResolvedValue(vendor);
+        ProductRepository.count.mockResolvedValue(12);
+        ReviewRepository.getVendorRating.mockResolvedValue({ average: 4.3, count: 27 });
+        ShopFollowerRepository.countByVendor.mockResolvedValue(5);
+        ClearanceSaleRepository.findActiveByVendor.mockResolvedValue(null);
+    });
+
+    describe('getShop', () => {
+        it('should build the public profile of an active vendor', async () => {
+            ClearanceSaleRepository.findActiveByVendor.mockResolvedValue({
+                discountType: 'flat',
+                discountAmount: 20,
+                products: [{ isActive: true }, { isActive: false }],
+            });
+
+            const shop = await StorefrontService.getShop('Acme');
+
+            expect(VendorRepository.findOne).toHaveBeenCalledWith({ shopSlug: 'acme', status: 'active' }, expect.any(String), true);
+            expect(MultiLayerCache.get).toHaveBeenCalledWith('shop:profile:acme', expect.any(Function), expect.any(Object));
+            expect(shop).toMatchObject({
+                id: VENDOR_ID,
+                businessName: 'Acme',
+                productCount: 12,
+                rating: { average: 4.3, count: 27 },
+                followerCount: 5,
+                clearanceSale: { discountType: 'flat', discountAmount: 20, productCount: 1 },
+            });
+            expect(shop).not.toHaveProperty('bankDetails');
+        });
+
+        it('should hide shops of vendors that are not active', async () => {
+            VendorRepository.findOne.mockResolvedValue(null);
+
+            await expect(StorefrontService.getShop('acme')).rejects.toMatchObject({ code: 'SHOP_NOT_FOUND', statusCode: 404 });
+        });
+    });
+
+    describe('getShopProducts', () => {
+        it('should list the shop through the deal-enriched product listing', async () => {
+            ProductService.getAllProducts.mockResolvedValue({ products: [], pagination: {} });
+
+            await StorefrontService.getShopProducts('acme', { sort: 'price_asc', page: '2', category: 'cat-1' });
+
+            expect(ProductService.getAllProducts).toHaveBeenCalledWith({
+                filter: { vendor: VENDOR_ID, category: 'cat-1' },
+                sort: { price: 1, _id: 1 },
+                page: 2,
+                limit: 20,
+            });
+            expect(MultiLayerCache.get.mock.calls[1][0]).toMatch(/^products:shop:/);
+        });
+    });
+
+    describe('follow', () => {
+        it('should refresh the cached profile only when the follow is new', async () => {
+            ShopFollowerRepository.follow.mockResolvedValueOnce(true).mockResolvedValueOnce(false);
+
+            const first = await StorefrontService.followShop('acme', 'cust-1');
+            await StorefrontService.followShop('acme', 'cust-1');
+
+            expect(first).toEqual({ following: true, followerCount: 5 });
+            expect(ShopFollowerRepository.follow).toHaveBeenCalledWith(VENDOR_ID, 'cust-1');
+            expect(MultiLayerCache.del).toHaveBeenCalledTimes(1);
+        });
+
+        it('should leave suspended shops out of the followed list', async () => {
+            ShopFollowerRepository.findByCustomer.mockResolvedValue({
+                follows: [
+                    { vendor: { _id: 'v1', shopSlug: 'acme', businessName: 'Acme', status: 'active' }, createdAt: new Date() },
+                    { vendor: { _id: 'v2', shopSlug: 'gone', businessName: 'Gone', status: 'inactive' }, createdAt: new Date() },
+                ],
+                pagination: { total: 2 },
+            });
+
+            const result = await StorefrontService.getFollowedShops('cust-1');
+
+            expect(result.shops.map(shop => shop.shopSlug)).toEqual(['acme']);
+        });
+    });
+});
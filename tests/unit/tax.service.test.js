@@ -0,0 +1,92 @@
+import { describe, beforeEach, it, expect, jest } from '@jest/globals';
+
+// Mock dependencies
+jest.mock('../../src/repositories/vendor.repository.js', () => ({
+    __esModule: true,
+    default: {
+        findById: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/config/env.js', () => ({
+    __esModule: true,
+    default: {
+        PLATFORM_GSTIN: '29ABCDE1234F1Z5',
+    },
+}));
+
+// Import after mocks
+import TaxService from '../../src/services/tax.service.js';
+import VendorRepository from '../../src/repositories/vendor.repository.js';
+
+const VENDOR_MH = '64b000000000000000000001';
+const VENDOR_DL = '64b000000000000000000002';
+
+const line = (extra = {}) => ({ unitPrice: 1000, quantity: 2, rate: 18, taxType: 'percent', inclusive: false, hsnCode: '6109', ...extra });
+
+describe('TaxService', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('calculateLineTax', () => {
+        it('should split intra-state tax into CGST and SGST', () => {
+            const tax = TaxService.calculateLineTax(line(), { sellerState: 'Maharashtra', buyerState: 'Maharashtra' });
+
+            expect(tax).toMatchObject({
+                supplyType: 'intra_state',
+                taxableValue: 2000,
+                cgst: 180,
+                sgst: 180,
+                igst: 0,
+                totalTax: 360,
+                additionalTax: 360,
+                hsnCode: '6109',
+            });
+        });
+
+        it('should charge IGST across states', () => {
+            const tax = TaxService.calculateLineTax(line(), { sellerState: 'Maharashtra', buyerState: 'Karnataka' });
+
+            expect(tax).toMatchObject({ supplyType: 'inter_state', cgst: 0, sgst: 0, igst: 360 });
+        });
+
+        it('should carve tax out of inclusive prices without adding it again', () => {
+            const tax = TaxService.calculateLineTax(line({ unitPrice: 118, quantity: 1, inclusive: true }), {});
+
+            expect(tax).toMatchObject({ taxableValue: 100, totalTax: 18, additionalTax: 0, cgst: 9, sgst: 9 });
+        });
+
+        it('should treat flat tax as an amount per unit', () => {
+            const tax = TaxService.calculateLineTax(line({ taxType: 'flat', rate: 5, quantity: 3 }), {});
+
+            expect(tax.totalTax).toBe(15);
+        });
+
+        it('should label the state share UTGST in union territories', () => {
+            const tax = TaxService.calculateLineTax(line(), { sellerState: 'Chandigarh', buyerState: 'Chandigarh' });
+
+            expect(tax.stateTaxLabel).toBe('UTGST');
+        });
+    });
+
+    describe('calculateCartTaxes', () => {
+        it('should resolve seller states from vendor registration or GSTIN', async () => {
+            VendorRepository.findById.mockImplementation(async (id) => (id === VENDOR_MH
+                ? { _id: VENDOR_MH, taxAndLegal: { registeredState: 'Maharashtra' } }
+                : { _id: VENDOR_DL, taxAndLegal: { gstNumber: '07ABCDE1234F1Z5' } }));
+
+            const items = [
+                { product: { vendor: VENDOR_MH, tax: 18 }, finalPrice: 100, quantity: 1 },
+                { product: { vendor: VENDOR_DL, tax: 12 }, finalPrice: 100, quantity: 1 },
+                { product: { vendor: null, tax: 5 }, finalPrice: 100, quantity: 1 },
+            ];
+
+            const result = await TaxService.calculateCartTaxes(items, { state: 'Delhi' });
+
+            expect(result.lines.map(tax => tax.supplyType)).toEqual(['inter_state', 'intra_state', 'inter_state']);
+            expect(result.totals).toEqual({ taxableValue: 300, cgst: 6, sgst: 6, igst: 23, total: 35 });
+            expect(VendorRepository.findById).toHaveBeenCalledTimes(2);
+        });
+    });
+});
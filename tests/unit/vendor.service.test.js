@@ -10,6 +10,7 @@ jest.mock('../../src/repositories/vendor.repository.js', () => ({
         findByEmail: jest.fn(),
         findById: jest.fn(),
         updateById: jest.fn(),
+        findOne: jest.fn(),
         create: jest.fn(),
         deleteById: jest.fn(),
     },
@@ -52,6 +53,21 @@ jest.mock('../../src/services/product.service.js', () => ({
     },
 }));
 
+jest.mock('../../src/services/storefront.service.js', () => ({
+    __esModule: true,
+    default: {
+        invalidateCache: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/services/notification.service.js', () => ({
+    __esModule: true,
+    default: {
+        notify: jest.fn(),
+        notifyStaff: jest.fn(),
+    },
+}));
+
 jest.mock('../../src/models/coupon.model.js', () => ({
     __esModule: true,
     default: {
@@ -122,6 +138,7 @@ import Vendor from '../../src/models/vendor.model.js';
 import Product from '../../src/models/product.model.js';
 import LoginSettingRepository from '../../src/repositories/loginSetting.repository.js';
 import vendorCache from '../../src/utils/vendorCache.js';
+import NotificationService from '../../src/services/notification.service.js';
 import TransactionManager from '../../src/utils/transaction.js';
 import { emailQueue } from '../../src/config/queue.js';
 import { uploadToCloudinary, deleteFromCloudinary } from '../../src/utils/cloudinary.js';
@@ -133,6 +150,8 @@ describe('VendorService', () => {
 
     beforeEach(() => {
         jest.clearAllMocks();
+        // No shop slug is taken unless a test says so
+        VendorRepository.findOne.mockResolvedValue(null);
         vendorData = {
             email: 'vendor@test.com',
             firstName: 'John',
@@ -279,6 +298,37 @@ describe('VendorService', () => {
         });
     });
 
+    describe('shop slug', () => {
+        it('should number the slug when the business name is already taken', async () => {
+            VendorRepository.findOne
+                .mockResolvedValueOnce({ _id: 'other-1' })
+                .mockResolvedValueOnce({ _id: 'other-2' })
+                .mockResolvedValueOnce(null);
+
+            const slug = await VendorService.generateShopSlug('  Acme & Sons Traders ');
+
+            expect(slug).toBe('acme-sons-traders-2');
+        });
+
+        it('should assign a slug once the vendor has a business name', async () => {
+            const vendorId = new mongoose.Types.ObjectId();
+            VendorRepository.updateById.mockResolvedValue({ _id: vendorId, businessName: 'Acme' });
+
+            const result = await VendorService.updateProfile(vendorId, { businessName: 'Acme' });
+
+            expect(VendorRepository.updateById).toHaveBeenCalledWith(vendorId, { shopSlug: 'acme' });
+            expect(result.vendor.shopSlug).toBe('acme');
+        });
+
+        it('should reject a shop URL used by another vendor', async () => {
+            VendorRepository.findOne.mockResolvedValueOnce({ _id: 'other' });
+
+            await expect(VendorService.updateProfile(new mongoose.Types.ObjectId(), { shopSlug: 'acme' }))
+                .rejects.toMatchObject({ code: 'SHOP_SLUG_TAKEN' });
+            expect(VendorRepository.updateById).not.toHaveBeenCalled();
+        });
+    });
+
     describe('updateImage', () => {
         it('should update image successfully', async () => {
             const vendorId = new mongoose.Types.ObjectId();
@@ -332,6 +382,18 @@ describe('VendorService', () => {
             expect(vendorCache.invalidateAllVendorCaches).toHaveBeenCalled();
             expect(result.message).toContain('activated successfully');
         });
+
+        it('should put the status change in the vendor feed', async () => {
+            const vendorId = new mongoose.Types.ObjectId();
+            VendorRepository.updateById.mockResolvedValue({ _id: vendorId, email: 'v@t.com', status: 'active' });
+
+            await VendorService.approveVendor(vendorId);
+
+            expect(NotificationService.notify).toHaveBeenCalledWith(
+                { role: 'vendor', id: vendorId },
+                expect.objectContaining({ type: 'vendor_status', title: 'Your seller account is active', data: { status: 'active' } })
+            );
+        });
     });
 
     describe('deleteVendor', () => {
@@ -0,0 +1,156 @@
+import { describe, beforeEach, it, expect, jest } from '@jest/globals';
+
+// Mock dependencies
+jest.mock('../../src/repositories/wallet.repository.js', () => ({
+    __esModule: true,
+    default: {
+        findByCustomer: jest.fn(),
+        credit: jest.fn(),
+        debit: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/repositories/walletTransaction.repository.js', () => ({
+    __esModule: true,
+    default: {
+        create: jest.fn(),
+        findByIdempotencyKey: jest.fn(),
+        findAll: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/repositories/customer.repository.js', () => ({
+    __esModule: true,
+    default: {
+        findById: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/utils/transaction.js', () => ({
+    __esModule: true,
+    default: {
+        execute: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/utils/audit.js', () => ({
+    __esModule: true,
+    default: {
+        log: jest.fn(),
+    },
+}));
+
+// Import after mocks
+import WalletService from '../../src/services/wallet.service.js';
+import WalletRepository from '../../src/repositories/wallet.repository.js';
+import WalletTransactionRepository from '../../src/repositories/walletTransaction.repository.js';
+import CustomerRepository from '../../src/repositories/customer.repository.js';
+import TransactionManager from '../../src/utils/transaction.js';
+
+const entry = (extra = {}) => ({
+    amount: 250,
+    source: 'store_credit',
+    reason: 'Return RMA-1',
+    reference: { type: 'return', id: 'ret-1', number: 'RMA-1' },
+    idempotencyKey: 'return:ret-1:resolution',
+    ...extra,
+});
+
+describe('WalletService', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        TransactionManager.execute.mockImplementation(async (callback) => callback('session'));
+        WalletTransactionRepository.findByIdempotencyKey.mockResolvedValue(null);
+        WalletTransactionRepository.create.mockImplementation(async (data) => data);
+    });
+
+    describe('credit', () => {
+        it('should move the balance and write the ledger entry with its contra account', async () => {
+            WalletRepository.credit.mockResolvedValue({ _id: 'wallet-1', balance: 1250.5 });
+
+            const result = await WalletService.credit('cust-1', entry());
+
+            expect(WalletRepository.credit).toHaveBeenCalledWith('cust-1', 250, 'session');
+            expect(result).toMatchObject({
+                wallet: 'wallet-1',
+                customer: 'cust-1',
+                type: 'credit',
+                amount: 250,
+                balanceAfter: 1250.5,
+                contraAccount: 'platform:refunds_payable',
+                createdBy: { role: 'system', id: null },
+            });
+        });
+
+        it('should not post twice for the same idempotency key', async () => {
+            const existing = { _id: 'txn-1', amount: 250 };
+            WalletTransactionRepository.findByIdempotencyKey.mockResolvedValue(existing);
+
+            const result = await WalletService.credit('cust-1', entry());
+
+            expect(result).toBe(existing);
+            expect(WalletRepository.credit).not.toHaveBeenCalled();
+            expect(WalletTransactionRepository.create).not.toHaveBeenCalled();
+        });
+
+        it('should join the caller\'s transaction instead of opening one', async () => {
+            WalletRepository.credit.mockResolvedValue({ _id: 'wallet-1', balance: 250 });
+
+            await WalletService.credit('cust-1', entry(), 'outer-session');
+
+            expect(TransactionManager.execute).not.toHaveBeenCalled();
+            expect(WalletTransactionRepository.create).toHaveBeenCalledWith(expect.any(Object), 'outer-session');
+        });
+
+        it('should reject non-positive amounts', async () => {
+            await expect(WalletService.credit('cust-1', entry({ amount: 0.001 })))
+                .rejects.toMatchObject({ statusCode: 400 });
+        });
+    });
+
+    describe('debit', () => {
+        it('should refuse to take more than the balance', async () => {
+            WalletRepository.debit.mockResolvedValue(null);
+
+            await expect(WalletService.debit('cust-1', entry({ source: 'order_payment' })))
+                .rejects.toMatchObject({ code: 'INSUFFICIENT_WALLET_BALANCE' });
+            expect(WalletTransactionRepository.create).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('adminAdjust', () => {
+        it('should reference the acting staff member', async () => {
+            CustomerRepository.findById.mockResolvedValue({ _id: 'cust-1' });
+            WalletRepository.debit.mockResolvedValue({ _id: 'wallet-1', balance: 50 });
+
+            const result = await WalletService.adminAdjust('cust-1', { type: 'debit', amount: 20, reason: 'Duplicate goodwill credit' }, { role: 'employee', id: 'emp-1' });
+
+            expect(result).toMatchObject({
+                type: 'debit',
+                source: 'adjustment',
+                contraAccount: 'platform:adjustments',
+                reference: { type: 'admin', id: 'emp-1' },
+                createdBy: { role: 'employee', id: 'emp-1' },
+            });
+        });
+
+        it('should 404 for unknown customers', async () => {
+            CustomerRepository.findById.mockResolvedValue(null);
+
+            await expect(WalletService.adminAdjust('cust-x', { type: 'credit', amount: 20, reason: 'Cashback' }, { role: 'admin', id: 'admin-1' }))
+                .rejects.toMatchObject({ statusCode: 404 });
+        });
+    });
+
+    describe('getStatement', () => {
+        it('should return the balance with the filtered ledger page', async () => {
+            WalletRepository.findByCustomer.mockResolvedValue({ balance: 80, currency: 'INR' });
+            WalletTransactionRepository.findAll.mockResolvedValue({ transactions: [], pagination: { total: 0, page: 2, limit: 5, pages: 0 } });
+
+            const result = await WalletService.getStatement('cust-1', { page: '2', limit: '5', type: 'credit' });
+
+            expect(WalletTransactionRepository.findAll).toHaveBeenCalledWith({ customer: 'cust-1', type: 'credit' }, { createdAt: -1, _id: -1 }, 2, 5);
+            expect(result.wallet).toEqual({ balance: 80, currency: 'INR' });
+        });
+    });
+});
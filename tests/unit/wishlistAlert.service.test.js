@@ -0,0 +1,226 @@
+import { describe, beforeEach, it, expect, jest } from '@jest/globals';
+
+// Mock dependencies
+jest.mock('../../src/repositories/wishlist.repository.js', () => ({
+    __esModule: true,
+    default: {
+        updateItemAlerts: jest.fn(),
+        findAlertSubscribers: jest.fn(),
+        claimBackInStockAlert: jest.fn(),
+        claimPriceDropAlert: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/repositories/product.repository.js', () => ({
+    __esModule: true,
+    default: {
+        findForPricing: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/repositories/customer.repository.js', () => ({
+    __esModule: true,
+    default: {
+        findActiveByIds: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/services/clearanceSale.service.js', () => ({
+    __esModule: true,
+    default: {
+        enrichProductsWithSales: jest.fn(),
+    },
+}));
+
+jest.mock('../../src/services/flashDeal.service.js', () => ({
+    __esModule: true,
+    default: {
+        enrichProductsWithFlashDeals: jest.fn(async (products) => products),
+    },
+}));
+
+jest.mock('../../src/services/featuredDeal.service.js', () => ({
+    __esModule: true,
+    default: {
+        enrichProductsWithFeaturedDeals: jest.fn(async (products) => products),
+    },
+}));
+
+jest.mock('../../src/services/dealOfTheDay.service.js', () => ({
+    __esModule: true,
+    default: {
+        enrichProductsWithDailyDeals: jest.fn(async (products) => products),
+    },
+}));
+
+jest.mock('../../src/config/queue.js', () => ({
+    __esModule: true,
+    emailQueue: {
+        add: jest.fn(),
+    },
+}));
+
+// Import after mocks
+import WishlistAlertService from '../../src/services/wishlistAlert.service.js';
+import WishlistRepository from '../../src/repositories/wishlist.repository.js';
+import ProductRepository from '../../src/repositories/product.repository.js';
+import CustomerRepository from '../../src/repositories/customer.repository.js';
+import ClearanceSaleService from '../../src/services/clearanceSale.service.js';
+import { emailQueue } from '../../src/config/queue.js';
+
+const PRODUCT_ID = '64b000000000000000000001';
+const OTHER_PRODUCT_ID = '64b000000000000000000002';
+
+const buildProduct = (overrides = {}) => ({
+    _id: PRODUCT_ID,
+    name: 'Running Shoe',
+    slug: 'running-shoe',
+    price: 100,
+    discount: 0,
+    quantity: 0,
+    isActive: true,
+    status: 'approved',
+    vendor: 'vendor-1',
+    ...overrides,
+});
+
+const subscriber = (id, items) => ({ _id: `wishlist-${id}`, customer: `cust-${id}`, items });
+
+describe('WishlistAlertService', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        ClearanceSaleService.enrichProductsWithSales.mockImplementation(async (products) => products);
+        CustomerRepository.findActiveByIds.mockImplementation(async (ids) => ids.map(id => ({
+            _id: id,
+            name: `Customer ${id}`,
+            email: `${id}@test.com`,
+        })));
+    });
+
+    describe('updateAlerts', () => {
+        it('should seed the price-drop baseline with the current effective price', async () => {
+            ProductRepository.findForPricing.mockResolvedValue([buildProduct({ discount: 10, discountType: 'percent' })]);
+            WishlistRepository.updateItemAlerts.mockResolvedValue({
+                items: [{ product: PRODUCT_ID, alerts: { backInStock: false, priceDrop: true }, alertPrice: 90 }],
+            });
+
+            const result = await WishlistAlertService.updateAlerts('cust-1', PRODUCT_ID, { priceDrop: true });
+
+            expect(WishlistRepository.updateItemAlerts).toHaveBeenCalledWith('cust-1', PRODUCT_ID, {
+                'alerts.priceDrop': true,
+                alertPrice: 90,
+            });
+            expect(result).toEqual({ productId: PRODUCT_ID, alerts: { backInStock: false, priceDrop: true }, alertPrice: 90 });
+        });
+
+        it('should reject products that are not in the wishlist', async () => {
+            WishlistRepository.updateItemAlerts.mockResolvedValue(null);
+
+            await expect(WishlistAlertService.updateAlerts('cust-1', PRODUCT_ID, { backInStock: true }))
+                .rejects.toMatchObject({ code: 'NOT_IN_WISHLIST', statusCode: 404 });
+            expect(ProductRepository.findForPricing).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('productRestocked', () => {
+        it('should email each opted-in customer whose alert could be claimed', async () => {
+            WishlistRepository.findAlertSubscribers.mockResolvedValue([subscriber(1, []), subscriber(2, [])]);
+            // Customer 2 was already told within the cooldown
+            WishlistRepository.claimBackInStockAlert.mockImplementation(async (wishlistId) => wishlistId === 'wishlist-1');
+
+            await WishlistAlertService.productRestocked(buildProduct({ quantity: 25 }), 0);
+
+            expect(WishlistRepository.findAlertSubscribers).toHaveBeenCalledWith([PRODUCT_ID], 'backInStock');
+            expect(WishlistRepository.claimBackInStockAlert).toHaveBeenCalledTimes(2);
+            expect(emailQueue.add).toHaveBeenCalledTimes(1);
+            expect(emailQueue.add).toHaveBeenCalledWith('send-custom', expect.objectContaining({
+                to: 'cust-1@test.com',
+                template: 'Wishlist Alert',
+                role: 'customer',
+                data: expect.objectContaining({
+                    alertType: 'backInStock',
+                    alertMessage: 'Running Shoe is back in stock.',
+                    productName: 'Running Shoe',
+                    price: 100,
+                }),
+            }));
+        });
+
+        it('should ignore top-ups of products that were still in stock', async () => {
+            await WishlistAlertService.productRestocked(buildProduct({ quantity: 30 }), 5);
+
+            expect(WishlistRepository.findAlertSubscribers).not.toHaveBeenCalled();
+            expect(emailQueue.add).not.toHaveBeenCalled();
+        });
+
+        it('should never fail the restock', async () => {
+            WishlistRepository.findAlertSubscribers.mockRejectedValue(new Error('Mongo down'));
+
+            await expect(WishlistAlertService.productRestocked(buildProduct({ quantity: 5 }), 0)).resolves.toBeUndefined();
+        });
+    });
+
+    describe('pricesChanged', () => {
+        beforeEach(() => {
+            ProductRepository.findForPricing.mockResolvedValue([
+                buildProduct({ quantity: 10 }),
+                buildProduct({ _id: OTHER_PRODUCT_ID, name: 'Bag', slug: 'bag', price: 50, quantity: 3 }),
+            ]);
+            // Clearance sale takes 20% off the shoe
+            ClearanceSaleService.enrichProductsWithSales.mockImplementation(async (products) => products.map(product => (
+                product._id === PRODUCT_ID ? Object.assign(product, { salePrice: 80, clearanceSale: { discountType: 'flat' } }) : product
+            )));
+            WishlistRepository.claimPriceDropAlert.mockResolvedValue(true);
+        });
+
+        it('should only alert when the deal price beats the lowest price already announced', async () => {
+            WishlistRepository.findAlertSubscribers.mockResolvedValue([
+                subscriber(1, [{ product: PRODUCT_ID, alerts: { priceDrop: true }, alertPrice: 100 }]),
+                subscriber(2, [{ product: PRODUCT_ID, alerts: { priceDrop: true }, alertPrice: 80 }]),
+                subscriber(3, [
+                    { product: PRODUCT_ID, alerts: { priceDrop: false }, alertPrice: 100 },
+                    { product: OTHER_PRODUCT_ID, alerts: { priceDrop: true }, alertPrice: 50 },
+                ]),
+            ]);
+
+            await WishlistAlertService.pricesChanged([PRODUCT_ID, OTHER_PRODUCT_ID]);
+
+            expect(WishlistRepository.claimPriceDropAlert).toHaveBeenCalledTimes(1);
+            expect(WishlistRepository.claimPriceDropAlert).toHaveBeenCalledWith('wishlist-1', PRODUCT_ID, 80);
+            expect(emailQueue.add).toHaveBeenCalledTimes(1);
+            expect(emailQueue.add.mock.calls[0][1]).toMatchObject({
+                to: 'cust-1@test.com',
+                data: {
+                    alertType: 'priceDrop',
+                    alertMessage: 'Running Shoe dropped from 100 to 80.',
+                    price: 80,
+                    previousPrice: 100,
+                },
+            });
+        });
+
+        it('should not email when another worker claimed the same drop first', async () => {
+            WishlistRepository.findAlertSubscribers.mockResolvedValue([
+                subscriber(1, [{ product: PRODUCT_ID, alerts: { priceDrop: true }, alertPrice: 100 }]),
+            ]);
+            WishlistRepository.claimPriceDropAlert.mockResolvedValue(false);
+
+            await WishlistAlertService.pricesChanged([PRODUCT_ID]);
+
+            expect(emailQueue.add).not.toHaveBeenCalled();
+        });
+
+        it('should take the active products of a deal', async () => {
+            WishlistRepository.findAlertSubscribers.mockResolvedValue([]);
+
+            await WishlistAlertService.pricesChangedForDeal({
+                products: [
+                    { product: PRODUCT_ID, isActive: true },
+                    { product: OTHER_PRODUCT_ID, isActive: false },
+                ],
+            });
+
+            expect(WishlistRepository.findAlertSubscribers).toHaveBeenCalledWith([PRODUCT_ID], 'priceDrop');
+        });
+    });
+});